@@ -7,14 +7,21 @@
 
 // Import all optimization modules
 self.importScripts(
+  'lib/logger.js',
   'lib/performance-monitor.js',
   'lib/regex-cache.js',
+  'lib/public-suffix.js',
+  'lib/hostname-matcher.js',
   'lib/site-indexes.js',
   'lib/header-engine.js',
   'lib/chunk-loader.js',
   'lib/usage-learner.js',
   'lib/user-settings.js',
-  'lib/migration.js'
+  'lib/settings-sync.js',
+  'lib/migration.js',
+  'lib/site-schema.js',
+  'lib/dnr-compiler.js',
+  'lib/tab-diagnostics.js'
 );
 
 // Global initialization flag
@@ -30,7 +37,7 @@ function initializeBPC() {
   bpcInitializing = true;
 
   const overallStart = performance.now();
-  console.log('[BPC v4.0] Starting initialization...');
+  logger.info('general', 'Starting initialization...');
 
   try {
     // sites.js is already loaded by background.js - just build indexes
@@ -38,26 +45,23 @@ function initializeBPC() {
     // Step 1: Build indexes from already-loaded sites
     const indexStart = performance.now();
     siteIndexes.buildIndexes(defaultSites);
-    console.log(`[BPC] Indexes built in ${(performance.now() - indexStart).toFixed(2)}ms`);
+    logger.info('general', `Indexes built in ${(performance.now() - indexStart).toFixed(2)}ms`);
 
-    // Step 2: Build header modification rules
-    const headerStart = performance.now();
-    headerEngine.buildRules(siteIndexes, navigator_ua_mobile);
-    console.log(`[BPC] Header rules built in ${(performance.now() - headerStart).toFixed(2)}ms`);
+    // Header rules are added per enabled site (background.js addRules)
 
-    // Step 3: Initialize chunk loader (for future lazy loading)
-    // TODO: Initialize with chunk manifest when sites are split
-    // chunkLoader.init(chunkManifest);
+    // Step 2: Initialize chunk loader (lazy loading of sites in sites/chunks)
+    if (typeof siteChunkManifest !== 'undefined') {
+      chunkLoader.init(siteChunkManifest);
+    }
 
-    // Record total startup time
+    // Startup time (until first set_rules) is recorded by background.js
     const totalTime = performance.now() - overallStart;
-    perfMonitor.recordStartup(totalTime);
 
     bpcInitialized = true;
     bpcInitializing = false;
 
-    console.log(`[BPC v4.0] ✓ Initialization complete in ${totalTime.toFixed(2)}ms`);
-    console.log('[BPC v4.0] Stats:', {
+    logger.info('general', `✓ Initialization complete in ${totalTime.toFixed(2)}ms`);
+    logger.info('general', 'Stats', {
       sites: siteIndexes.getStats(),
       headers: headerEngine.getStats()
     });
@@ -65,7 +69,7 @@ function initializeBPC() {
     return true;
 
   } catch (error) {
-    console.error('[BPC v4.0] Initialization failed:', error);
+    logger.error('general', 'Initialization failed', error);
     bpcInitializing = false;
     throw error;
   }
@@ -73,6 +77,55 @@ function initializeBPC() {
 
 // determineCoreSites function removed - not needed in synchronous init
 
+/**
+ * Import all site chunks at install
+ * importScripts (after start of service worker) only works for scripts imported at install
+ */
+self.addEventListener('install', () => {
+  if (typeof siteChunkManifest === 'undefined') return;
+  for (let chunk of Object.values(siteChunkManifest)) {
+    importScripts(chunk.file);
+  }
+  delete self.loadedSiteChunks;
+});
+
+/**
+ * Migrate stored settings (schema version), then load settings (UserSettings: also awaited by background.js)
+ */
+async function initSettings() {
+  await migration.checkAndMigrate();
+  await userSettings.init();
+}
+
+/**
+ * Preload site chunks: global & preferred region (UserSettings) and chunks of promoted sites (UsageLearner)
+ * All chunks when sites not loaded can't use static rulesets (Chrome < 111, mobile user agent)
+ */
+async function preloadSiteChunks() {
+  await settingsReady;
+  await usageLearner.setEnabled(userSettings.get('performance.usageLearning') !== false);
+  await usageLearner.init();
+  if (typeof siteChunkManifest === 'undefined') return;
+  let chunks = Object.keys(siteChunkManifest);
+  let staticRulesUsable = typeof staticRulesets !== 'undefined' && ext_api.declarativeNetRequest.updateStaticRules && !navigator_ua_mobile;
+  if (staticRulesUsable) {
+    let region = userSettings.get('preferredRegion');
+    let promoted = usageLearner.getPromotedSites();
+    chunks = userSettings.get('performance.preloadCore') ? chunks.filter(chunk => ['global', region].includes(chunk)) : [];
+    for (let domain of promoted) {
+      let chunk = chunkLoader.getChunkForDomain(domain);
+      if (chunk && !chunks.includes(chunk))
+        chunks.push(chunk);
+    }
+    // network rules of promoted sites active before rules are set (rulesets are reset by update of extension)
+    if (promoted.length) {
+      dnrCompiler.configure({staticRulesets: staticRulesets});
+      dnrCompiler.enableStaticRulesets(promoted).catch(e => logger.error('dnr', 'Failed to enable rulesets of promoted sites', e));
+    }
+  }
+  await chunkLoader.preloadChunks(chunks);
+}
+
 /**
  * Handle message passing for cache clearing and other commands
  */
@@ -80,7 +133,7 @@ ext_api.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.action === 'clearCache') {
     // Clear all performance caches
     regexCache.clearAll();
-    console.log('[BPC] Performance caches cleared');
+    logger.info('general', 'Performance caches cleared');
     sendResponse({ success: true });
     return true;
   }
@@ -98,6 +151,39 @@ ext_api.runtime.onMessage.addListener((message, sender, sendResponse) => {
     });
     return true;
   }
+
+  if (message.action === 'getUsageData') {
+    sendResponse({ stats: usageLearner.getStats(), sites: usageLearner.getTopSites(100) });
+    return true;
+  }
+
+  // usage data in storage before backup & after restore (options_backup.js)
+  if (message.action === 'saveUsageData') {
+    usageLearner.persist().then(() => {
+      sendResponse({ success: true });
+    });
+    return true;
+  }
+
+  if (message.action === 'reloadUsageData') {
+    usageLearner.reload().then(() => {
+      sendResponse({ success: true });
+    });
+    return true;
+  }
+
+  // forget site (popup: url of current tab, options: domain)
+  if (message.action === 'forgetSite') {
+    let domain = message.domain || (message.url && siteIndexes.matchUrl('default', message.url));
+    if (!domain) {
+      sendResponse({ success: false });
+      return true;
+    }
+    usageLearner.forget(domain).then(() => {
+      sendResponse({ success: true, domain: domain });
+    });
+    return true;
+  }
 });
 
 /**
@@ -134,104 +220,36 @@ function shouldBlockRequest(domain, url) {
 }
 
 /**
- * Apply header modifications (pre-computed rules)
+ * Apply header modifications (webRequest details, manifest v2)
  */
-function applyHeaderModifications(domain, headers) {
-  return headerEngine.applyHeaders(domain, headers);
+function applyHeaderModifications(domain, details, options) {
+  return headerEngine.applyHeaders(domain, details, options);
 }
 
 /**
- * Track site visit for usage learning
+ * Track site visit for usage learning (domain of default site, opt-out: performance.usageLearning)
  */
 async function trackSiteVisit(domain) {
-  if (userSettings.get('performance.usageLearning')) {
+  if (domain && usageLearner.enabled) {
     await usageLearner.trackVisit(domain);
   }
 }
 
 // Initialize on extension load (synchronous)
 initializeBPC();
+var settingsReady = initSettings();
+var siteChunksPreloaded = preloadSiteChunks();
 
-// Initialize default settings if they don't exist
-ext_api.storage.sync.get('userSettings').then(data => {
-  if (!data.userSettings) {
-    // First time - set defaults with Medium redirect OFF
-    const defaultSettings = {
-      features: {
-        mediumRedirect: false, // OFF by default - user must enable
-        mediumRedirectTarget: 'freedium',
-        ampRedirect: false,
-        archiveRedirect: false,
-        autoBypass: true
-      },
-      siteOverrides: {},
-      preferredRegion: 'global',
-      performance: {
-        usageLearning: true,
-        preloadCore: true
-      }
-    };
-
-    ext_api.storage.sync.set({ userSettings: defaultSettings });
-    console.log('[BPC v4.0] Default settings initialized (Medium redirect: OFF)');
-  }
-
-  // Setup Medium redirect for MV3 using declarativeNetRequest
-  if (ext_manifest_version === 3) {
-    setupMediumRedirect(data.userSettings || {});
-  }
+// Usage learning by settings (opt-out: stored usage data removed)
+userSettings.addChangeListener((key, settings) => {
+  if (key === 'userSettings')
+    usageLearner.setEnabled(settings.performance.usageLearning !== false);
 });
 
-// Listen for settings changes and update redirect rules
+// Medium redirect by contentScript.js (cs-sites/medium.com.js: medium.com & flex group, features of bg2csData)
+// remove redirect rule of older versions (dynamic rule: all medium.com urls)
 if (ext_manifest_version === 3) {
-  ext_api.storage.onChanged.addListener((changes, area) => {
-    if (area === 'sync' && changes.userSettings) {
-      setupMediumRedirect(changes.userSettings.newValue || {});
-    }
-  });
-}
-
-/**
- * Setup Medium redirect using declarativeNetRequest (MV3)
- */
-async function setupMediumRedirect(settings) {
-  const MEDIUM_RULE_ID = 90000; // High ID to avoid conflicts
-
-  try {
-    // Always remove existing rule first
-    await ext_api.declarativeNetRequest.updateDynamicRules({
-      removeRuleIds: [MEDIUM_RULE_ID]
-    });
-
-    // If redirect is enabled, add the rule
-    if (settings.features?.mediumRedirect === true) {
-      const target = settings.features?.mediumRedirectTarget || 'freedium';
-      const redirectUrl = target === 'scribe' ? 'https://scribe.rip/' : 'https://freedium.cfd/';
-
-      await ext_api.declarativeNetRequest.updateDynamicRules({
-        addRules: [{
-          id: MEDIUM_RULE_ID,
-          priority: 100,
-          action: {
-            type: 'redirect',
-            redirect: {
-              regexSubstitution: redirectUrl + '\\0'
-            }
-          },
-          condition: {
-            regexFilter: '(https?://([^/]*\\.)?medium\\.com/.*|https?://([^/]*\\.)?towardsdatascience\\.com/.*|https?://([^/]*\\.)?betterprogramming\\.pub/.*)',
-            resourceTypes: ['main_frame']
-          }
-        }]
-      });
-
-      console.log(`[BPC v4.0] Medium redirect enabled (target: ${target})`);
-    } else {
-      console.log('[BPC v4.0] Medium redirect disabled');
-    }
-  } catch (error) {
-    console.error('[BPC] Failed to setup Medium redirect:', error);
-  }
+  ext_api.declarativeNetRequest.updateDynamicRules({removeRuleIds: [90000]}).catch(err => false);
 }
 
-console.log('[BPC v4.0] Background initialization script loaded');
+logger.info('general', 'Background initialization script loaded');
@@ -9,10 +9,16 @@ var navigator_ua = navigator.userAgent;
 var navigator_ua_mobile = navigator_ua.toLowerCase().includes('mobile');
 var kiwi_browser = navigator_ua_mobile && (url_loc === 'chrome') && !navigator_ua.toLowerCase().includes('yabrowser') && (navigator_ua.includes('Chrome/') && navigator_ua.match(/Chrome\/(\d+)/)[1] < 116);
 
-// BPC v4.0: Load sites.js FIRST, then optimization systems
+// BPC v4.0: Load sites FIRST, then optimization systems
 if (ext_manifest_version === 3) {
-  // Load sites.js BEFORE background-init.js to ensure variables are defined
-  self.importScripts('sites.js');
+  // Load sites BEFORE background-init.js to ensure variables are defined
+  // sites-core.js: sites.js with stubs for sites in chunks (tools/build-chunks.js)
+  self.importScripts('sites/sites-core.js');
+  self.importScripts('sites/sites-manifest.js');
+  // index of static rulesets (tools/build-rulesets.js)
+  self.importScripts('rulesets/rulesets-index.js');
+  // index of site modules of contentScript.js (tools/build-cs-sites.js)
+  self.importScripts('cs-sites/cs-sites-index.js');
   self.importScripts('background-init.js');
 }
 
@@ -23,57 +29,12 @@ if (typeof ext_api.action !== 'object') {
 var dompurify_sites = [];
 var optin_setcookie = false;
 var optin_update = true;
-var blocked_referer = false;
 var domain;
 
 // defaultSites are loaded from sites.js at installation extension
 
-var restrictions = {
-  'autohebdo.fr': /\/www\.autohebdo\.fr\//,
-  'bloomberg.com': /^((?!\.bloomberg\.com\/news\/terminal\/).)*$/,
-  'bloombergadria.com': /^((?!\.bloombergadria\.com\/video\/).)*$/,
-  'dailywire.com': /^((?!\.dailywire\.com\/(episode|show|videos|watch)).)*$/,
-  'economictimes.com': /\.economictimes\.com($|\/($|(__assets|prime)(\/.+)?|.+\.cms))/,
-  'espn.com': /^((?!espn\.com\/watch).)*$/,
-  'esquire.com': /^((?!\/classic\.esquire\.com\/).)*$/,
-  'expresso.pt': /^((?!\/tribuna\.expresso\.pt\/).)*$/,
-  'foreignaffairs.com': /^((?!\/reader\.foreignaffairs\.com\/).)*$/,
-  'ft.com': /^((?!\/cn\.ft\.com\/).)*$/,
-  'hilltimes.com': /^((?!\.hilltimes\.com\/slideshow\/).)*$/,
-  'hindustantimes.com': /^((?!\/epaper\.hindustantimes\.com\/).)*$/,
-  'ilmanifesto.it': /^((?!\/ilmanifesto\.it\/edizioni\/).)*$/,
-  'ilsole24ore.com': /^((?!\/ntplus.+\.ilsole24ore\.com\/).)*$/,
-  'livemint.com': /^((?!\/epaper\.livemint\.com\/).)*$/,
-  'lopinion.fr': /^((?!\.lopinion\.fr\/lejournal).)*$/,
-  'mid-day.com': /^((?!\/epaper\.mid-day\.com\/).)*$/,
-  'nytimes.com': /^((?!\/(help|myaccount|timesmachine)\.nytimes\.com\/).)*$/,
-  'nzz.ch': /^((?!\/epaper\.nzz\.ch\/).)*$/,
-  'quora.com': /^((?!quora\.com\/search\?q=).)*$/,
-  'science.org': /^((?!\.science\.org\/doi\/).)*$/,
-  'statista.com': /^((?!\.statista\.com\/study\/).)*$/,
-  'study.com': /\/study\.com\/.+\/lesson\//,
-  'sueddeutsche.de': /^((?!zeitung\.sueddeutsche\.de).)*$/,
-  'tagesspiegel.de': /^((?!\/(background|checkpoint)\.tagesspiegel\.de\/).)*$/,
-  'techinasia.com': /\.techinasia\.com\/.+/,
-  'thehindu.com': /^((?!epaper\.thehindu\.com).)*$/,
-  'thehindubusinessline.com': /^((?!epaper\.thehindubusinessline\.com).)*$/,
-  'thetimes.com': /^((?!epaper\.thetimes\.com).)*$/,
-  'uol.com.br': /^((?!(conta|email|piaui\.folha)\.uol\.com\.br).)*$/,
-}
-
-if (typeof au_news_corp_domains !== 'undefined' && au_news_corp_domains) {
-  for (let domain of au_news_corp_domains)
-    restrictions[domain] = new RegExp('^((?!todayspaper\\.' + domain.replace(/\./g, '\\.') + '\\/).)*$');
-}
-if (typeof ch_media_domains !== 'undefined' && ch_media_domains) {
-  for (let domain of ch_media_domains)
-    restrictions[domain] = new RegExp('^((?!epaper\\.' + domain.replace(/\./g, '\\.') + '\\/).)*$');
-}
-
-if (typeof browser !== 'object') {
-  for (let domain of [])
-    restrictions[domain] = new RegExp('((\\/|\\.)' + domain.replace(/\./g, '\\.') + '\\/$|' + restrictions[domain].toString().replace(/(^\/|\/$)/g, '') + ')');
-}
+// include/exclude paths of sites (url patterns of hostnameMatcher.urlPattern): domain → {include, exclude}
+var site_paths = {};
 
 // Don't remove cookies before/after page load
 var allow_cookies = [];
@@ -82,11 +43,10 @@ var remove_cookies = [];
 var remove_cookies_select_hold, remove_cookies_select_drop;
 
 // Set User-Agent
-var use_google_bot, use_bing_bot, use_facebook_bot, use_useragent_custom, use_useragent_custom_obj;
+var use_google_bot, use_bing_bot, use_facebook_bot, use_useragent_custom;
 // Set Referer
-var use_facebook_referer, use_google_referer, use_twitter_referer, use_referer_custom, use_referer_custom_obj;
+var use_facebook_referer, use_google_referer, use_twitter_referer, use_referer_custom;
 // Set random IP-address
-var random_ip = {};
 var use_random_ip = [];
 // concat all sites with change of headers (useragent, referer or random ip)
 var change_headers;
@@ -132,6 +92,7 @@ var gpw_domains;
 var rule_excluded_base_domains;
 
 function initSetRules() {
+  site_paths = {};
   allow_cookies = [];
   remove_cookies = [];
   remove_cookies_select_drop = {};
@@ -140,14 +101,13 @@ function initSetRules() {
   use_bing_bot = [];
   use_facebook_bot = [];
   use_useragent_custom = [];
-  use_useragent_custom_obj = {};
   use_facebook_referer = [];
   use_google_referer = [];
   use_twitter_referer = [];
   use_referer_custom = [];
-  use_referer_custom_obj = {};
-  random_ip = {};
+  use_random_ip = [];
   change_headers = [];
+  headerEngine.clear();
   amp_unhide = [];
   amp_redirect = {};
   cs_block = {};
@@ -190,14 +150,12 @@ var updatedSites_domains_new = [];
 var excludedSites = [];
 
 function setDefaultOptions() {
-  ext_api.storage.local.set({
-    sites: filterObject(defaultSites, function (val, key) {
-      return val.domain && !val.domain.match(/^(###$|#options_(disable|optin)_)/)
-    },
-      function (val, key) {
-      return [key, val.domain]
-    })
-  }, function () {
+  userSettings.setSites(filterObject(defaultSites, function (val, key) {
+    return val.domain && !val.domain.match(/^(###$|#options_(disable|optin)_)/)
+  },
+    function (val, key) {
+    return [key, val.domain]
+  })).then(function () {
     ext_api.runtime.openOptionsPage();
   });
 }
@@ -211,6 +169,14 @@ function check_sites_updated(sites_updated_json, optin_update = false) {
           let domain_filter = [];
           return (val.domain && !domain_filter.includes(val.domain) && !(val.upd_version && (val.upd_version <= ext_version)))
         });
+        // skip invalid rules (schema)
+        let json_checked = siteValidator.filterValid(json);
+        if (json_checked.invalid.length) {
+          logger.warn('rules', 'sites_updated: invalid rules skipped (' + json_checked.invalid.join(', ') + ')');
+          for (let error of siteValidator.formatErrors(json_checked.errors))
+            logger.warn('rules', error);
+          json = json_checked.valid;
+        }
         expandSiteRules(json, true);
         ext_api.storage.local.set({
           sites_updated: json
@@ -242,312 +208,81 @@ function prep_regex_str(str, domain = '') {
   return str.replace(/^\//, '').replace(/\/\//g, '/').replace(/([^\\])\/$/, "$1")
 }
 
-var add_session_rule;
-var init_session_rules;
-var push_session_rule;
-var update_session_rules;
-if (ext_manifest_version === 3) {
-
-init_session_rules = function (counters = true, rules = true) {
-  if (counters) {
-    rule_id = 0;
-    regex_id = 0;
-    domain_id = 0;
-  }
-  if (rules) {
-    sesRules = [];
-    sesRuleIds = [];
+// selector rules: fields of legacy pipe-delimited string (paywall|article|...)
+var selector_rule_fields = {
+  ld_json: ['paywall', 'article', 'append', 'hold'],
+  ld_json_next: ['paywall', 'article', 'append', 'hold'],
+  ld_json_source: ['paywall', 'article', 'filter', 'key', 'append', 'hold'],
+  ld_json_url: ['paywall', 'article', 'append', 'hold', 'idSelector', 'key'],
+  ld_archive_is: ['paywall', 'article', 'source', 'link'],
+  ld_och_to_unlock: ['paywall', 'article', 'source'],
+  add_ext_link: ['paywall', 'article']
+};
+
+// normalize selector rule (pipe-delimited string or object) to object {paywall, article, ...}
+function normalize_selector_rule(key, value) {
+  let fields = selector_rule_fields[key];
+  let rule = {};
+  if (typeof value === 'string') {
+    if (!value.includes('|'))
+      return false;
+    let value_split = value.split('|');
+    fields.forEach(function (field, index) {
+      if (value_split[index])
+        rule[field] = value_split[index];
+    });
+  } else if (value && typeof value === 'object') {
+    for (let field of fields) {
+      if (value[field])
+        rule[field] = value[field];
+    }
   }
+  return (rule.paywall && rule.article) ? rule : false;
 }
 
-push_session_rule = function (rule, rule_id) {
-  sesRules.push(rule);
-  sesRuleIds.push(rule_id);
-}
-
-update_session_rules = function (rules, rule_ids) {
-  ext_api.declarativeNetRequest.updateSessionRules({
-    addRules: rules,
-    removeRuleIds: rule_ids
-  }, );
-}
-
-add_session_rule = function (domain, rule, blockedRegexes_rule = '', blockedRegexesGeneral_rule = '', blockedJsInline_rule = '') {
-  function regexToUrlFilter(rule, regex, domain) {
-    let urlFilter;
-    if (!(regex.match(/([([|*{$\^]|\\[a-z\?])/) || regex.match(/([^\.]|\\\.)\+/))) {
-      let match_domain = gpw_domains.concat(['tinypass.com', domain]).find(x => regex.replace(/\\/g, '').match(new RegExp(x.replace(/\./, '\\.'))));
-      urlFilter = regex.replace(/\\/g, '').replace(/\.\+/g, '*');
-      if (match_domain)
-        urlFilter = '||' + urlFilter.replace(/^[\.\/]/g, '');
-      delete rule.condition.regexFilter;
-      rule.condition.urlFilter = urlFilter;
-    }
-    if (!urlFilter)
-      regex_id++;
-  }
-  domain_id++;
-  if (block_js_custom.includes(domain) || block_js_custom_ext.includes(domain)) {
-    rule_id++;
-    let rule_regex;
-    let url_filter;
-    let allow = false;
-    if (block_js_custom.includes(domain)) {
-      rule_regex = "[\\/\\.]" + domain.replace(/\./g, '\\.') + "\\/";
-      url_filter = '||' + domain;
-      if (block_js_custom_ext.includes(domain))
-        url_filter = '*';
-    } else if (block_js_custom_ext.includes(domain)) {
-      url_filter = '*';
-      allow = true;
-    }
-    
-    let block_rule = {
-      "id": rule_id,
-      "priority": 1,
-      "action": {
-        "type": "block"
-      },
-      "condition": {
-        "initiatorDomains": [domain],
-        "urlFilter": url_filter,
-        "resourceTypes": ["script"]
-      }
-    };
-    push_session_rule(block_rule, rule_id);
-
-    if (allow) {
-      rule_id++;
-      let allow_rule = {
-        "id": rule_id,
-        "priority": 2,
-        "action": {
-          "type": "allow"
-        },
-        "condition": {
-          "initiatorDomains": [domain],
-          "urlFilter": '||' + domain,
-          "resourceTypes": ["script"]
-        }
-      };
-      push_session_rule(allow_rule, rule_id);
-    }
-    
-  } else if (blockedRegexes_rule) {
-    rule_id++;
-    let rule_regex = blockedRegexes_rule;
-    if (rule_regex instanceof RegExp)
-      rule_regex = rule_regex.source;
-
-    let block_rule = {
-      "id": rule_id,
-      "priority": 1,
-      "action": {
-        "type": "block"
-      },
-      "condition": {
-        "initiatorDomains": [domain],
-        "regexFilter": rule_regex,
-        "resourceTypes": ["script", "xmlhttprequest"]
-      }
-    };
-    regexToUrlFilter(block_rule, rule_regex, domain);
-    push_session_rule(block_rule, rule_id);
-  }
-  
-  if (blockedRegexesGeneral_rule) {
-    rule_id++;
-    let rule_regex = blockedRegexesGeneral_rule.block_regex;
-    if (rule_regex instanceof RegExp)
-      rule_regex = rule_regex.source;
-    let rule_excluded_domains = excludedSites.concat(rule_excluded_base_domains, blockedRegexesGeneral_rule.excluded_domains);
-    
-    let block_rule = {
-      "id": rule_id,
-      "priority": 1,
-      "action": {
-        "type": "block"
-      },
-      "condition": {
-        "excludedInitiatorDomains": rule_excluded_domains,
-        "regexFilter": rule_regex,
-        "resourceTypes": ["script", "xmlhttprequest"]
-      }
-    };
-    regexToUrlFilter(block_rule, rule_regex, domain);
-    push_session_rule(block_rule, rule_id);
-  }
-  
-  let header_rule = {};
-  if (!rule.allow_cookies || rule.useragent || rule.useragent_custom || rule.referer || rule.referer_custom || rule.random_ip) {
-    rule_id++;
-    header_rule = {
-      "id": rule_id,
-      "priority": 1,
-      "action": {
-        "type": "modifyHeaders",
-        "requestHeaders": []
-      },
-      "condition": {
-        "urlFilter": "||" + domain,
-        "resourceTypes": ["main_frame", "sub_frame", "xmlhttprequest"]
-      }
-    };
-    
-    if (!allow_cookies.includes(domain)) {
-      header_rule.action.requestHeaders.push({
-        "header": "Cookie",
-        "operation": "set",
-        "value": ""
-      });
-    }
-    
-    let mobile = navigator.userAgent.toLowerCase().includes('mobile');
-    let useUserAgentMobile = mobile && !['businessinsider.com', 'theatlantic.com'].includes(domain);
-    
-    let userAgentG = useUserAgentMobile ? userAgentMobileG : userAgentDesktopG;
-    let userAgentB = useUserAgentMobile ? userAgentMobileB : userAgentDesktopB;
-    
-    if (rule.useragent || rule.useragent_custom) {
-      if (rule.useragent === 'googlebot') {
-        let googlebotEnabled = !(es_grupo_vocento_domains.includes(domain) && mobile);
-        if (googlebotEnabled) {
-          if (['economictimes.com', 'economictimes.indiatimes.com'].includes(domain)) {
-            header_rule.condition.urlFilter = '||' + domain + '/*.cms';
-          } else if (domain === 'handelsblatt.com') {
-            header_rule.condition.urlFilter = '||' + domain + '/*.html';
-          }
-          header_rule.action.requestHeaders.push({
-            "header": "User-Agent",
-            "operation": "set",
-            "value": userAgentG
-          });
-          header_rule.action.requestHeaders.push({
-            "header": "Referer",
-            "operation": "set",
-            "value": "https://www.google.com/"
-          });
-          header_rule.action.requestHeaders.push({
-            "header": "X-Forwarded-For",
-            "operation": "set",
-            "value": "66.249.66.1"
-          });
-        }
-      } else if (rule.useragent === 'bingbot') {
-        header_rule.action.requestHeaders.push({
-          "header": "User-Agent",
-          "operation": "set",
-          "value": userAgentB
-        });
-      } else if (rule.useragent === 'facebookbot') {
-        header_rule.action.requestHeaders.push({
-          "header": "User-Agent",
-          "operation": "set",
-          "value": userAgentDesktopF
-        });
-      }
-      if (rule.useragent_custom) {
-        header_rule.action.requestHeaders.push({
-          "header": "User-Agent",
-          "operation": "set",
-          "value": use_useragent_custom_obj[domain]
-        });
-      }
-    } else if (rule.referer || rule.referer_custom) {
-      if (use_google_referer.includes(domain)) {
-        header_rule.action.requestHeaders.push({
-          "header": "Referer",
-          "operation": "set",
-          "value": "https://www.google.com/"
-        });
-      } else if (use_facebook_referer.includes(domain)) {
-        header_rule.action.requestHeaders.push({
-          "header": "Referer",
-          "operation": "set",
-          "value": "https://www.facebook.com/"
-        });
-      } else if (use_twitter_referer.includes(domain)) {
-        header_rule.action.requestHeaders.push({
-          "header": "Referer",
-          "operation": "set",
-          "value": "https://t.co/"
-        });
-      }
-      if (rule.referer_custom) {
-        header_rule.action.requestHeaders.push({
-          "header": "Referer",
-          "operation": "set",
-          "value": use_referer_custom_obj[domain]
-        });
-      }
-    }
-    
-    if (rule.random_ip) {
-      let randomIP_val;
-      if (rule.random_ip === 'eu')
-        randomIP_val = randomIP(185, 185);
-      else
-        randomIP_val = randomIP();
-      header_rule.action.requestHeaders.push({
-        "header": "X-Forwarded-For",
-        "operation": "set",
-        "value": randomIP_val
-      });
+// normalize cs_code (json string, version 1: list of actions or version 2: {version, delay, observe, actions})
+// to {version, delay, observe, actions, ld}; ld_* rules of action.run as selector rules (ld: dompurify needed)
+function normalize_cs_code(value) {
+  if (typeof value === 'string') {
+    try {
+      value = JSON.parse(value);
+    } catch (e) {
+      logger.warn('rules', `cs_code not valid: ${value}`, e);
+      return false;
     }
-    if (header_rule.action.requestHeaders.length)
-      push_session_rule(header_rule, rule_id);
-    else
-      rule_id--;
   }
-  
-  if (blockedJsInline_rule) {
-    rule_id++;
-    let rule_regex = blockedJsInline_rule.source;
-    let block_inline_rule = {
-      "id": rule_id,
-      "priority": 1,
-      "action": {
-        "type": "modifyHeaders",
-        "responseHeaders": [{
-            "header": "Content-Security-Policy",
-            "operation": "set",
-            "value": "script-src *;"
+  let cs_code_rule = Array.isArray(value) ? {version: 1, actions: value} : value;
+  if (!(cs_code_rule && typeof cs_code_rule === 'object' && Array.isArray(cs_code_rule.actions)))
+    return false;
+  let ld = 0;
+  function normalize_actions(actions) {
+    return actions.filter(action => action && action.cond).map(function (action) {
+      let action_new = Object.assign({}, action);
+      if (action.run) {
+        action_new.run = {};
+        for (let key in action.run) {
+          let selector_rule = key.startsWith('ld_') && selector_rule_fields[key] && normalize_selector_rule(key, action.run[key]);
+          if (selector_rule) {
+            action_new.run[key] = selector_rule;
+            ld = 1;
           }
-        ]
-      },
-      "condition": {
-        "requestDomains": [domain],
-        "regexFilter": rule_regex,
-        "resourceTypes": ["main_frame", "sub_frame"]
-      }
-    }
-    regexToUrlFilter(block_inline_rule, rule_regex, domain);
-    push_session_rule(block_inline_rule, rule_id);
-  }
-
-  if (au_news_corp_domains.includes(domain)) {
-    rule_id++;
-    regex_id++;
-    let redirect_rule = {
-      "id": rule_id,
-      "priority": 1,
-      "action": {
-        "type": "redirect",
-        "redirect": {
-          "regexSubstitution": "https://www." + domain + "/\\1?amp"
         }
-      },
-      "condition": {
-        "regexFilter": ".+\\." + domain + "\\/subscribe\\/.+&dest=.+\\.com\\.au%2F([\\w-%]+)&.+",
-        "resourceTypes": ["main_frame"]
       }
-    };
-    push_session_rule(redirect_rule, rule_id);
+      if (action.elems)
+        action_new.elems = normalize_actions(action.elems);
+      return action_new;
+    });
   }
+  let actions = normalize_actions(cs_code_rule.actions);
+  return {
+    version: cs_code_rule.version || 2,
+    delay: Number.isInteger(cs_code_rule.delay) ? cs_code_rule.delay : 1000,
+    observe: cs_code_rule.observe ? 1 : 0,
+    actions: actions,
+    ld: ld
+  };
 }
 
-} // manifest v3
-
 function addRules(domain, rule, flex = false) {
   if (rule.remove_cookies > 0 || rule.hasOwnProperty('remove_cookies_select_hold') || !(rule.hasOwnProperty('allow_cookies') || rule.hasOwnProperty('remove_cookies_select_drop')) || rule.cs_clear_lclstrg)
     cs_clear_lclstrg.push(domain);
@@ -563,39 +298,21 @@ function addRules(domain, rule, flex = false) {
     remove_cookies_select_drop[domain] = rule.remove_cookies_select_drop;
   if (rule.hasOwnProperty('remove_cookies_select_hold'))
     remove_cookies_select_hold[domain] = rule.remove_cookies_select_hold;
+  // compiled once per pattern (regexCache: combined block_regex of custom site in default group)
   if (rule.hasOwnProperty('block_regex')) {
-    if (rule.block_regex instanceof RegExp)
-      blockedRegexes[domain] = rule.block_regex;
-    else {
-      try {
-        blockedRegexes[domain] = new RegExp(prep_regex_str(rule.block_regex, domain));
-      } catch (e) {
-        console.log(`regex not valid, error: ${e}`);
-      }
-    }
+    let block_regex = regexCache.compile((rule.block_regex instanceof RegExp) ? rule.block_regex : prep_regex_str(rule.block_regex, domain), domain);
+    if (block_regex)
+      blockedRegexes[domain] = block_regex;
   }
   if (rule.hasOwnProperty('block_regex_general')) {
-    if (rule.block_regex_general instanceof RegExp)
-      blockedRegexesGeneral[domain] = {block_regex: rule.block_regex_general};
-    else {
-      try {
-        blockedRegexesGeneral[domain] = {block_regex: new RegExp(prep_regex_str(rule.block_regex_general, domain))};
-      } catch (e) {
-        console.log(`regex not valid, error: ${e}`);
-      }
-    }
-    blockedRegexesGeneral[domain]['excluded_domains'] = rule.excluded_domains ? rule.excluded_domains : [];
+    let block_regex = regexCache.compile((rule.block_regex_general instanceof RegExp) ? rule.block_regex_general : prep_regex_str(rule.block_regex_general, domain), domain);
+    if (block_regex)
+      blockedRegexesGeneral[domain] = {block_regex: block_regex, excluded_domains: rule.excluded_domains ? rule.excluded_domains : []};
   }
   if (rule.hasOwnProperty('block_js_inline')) {
-    if (rule.block_js_inline instanceof RegExp)
-      blockedJsInline[domain] = rule.block_js_inline;
-    else {
-      try {
-        blockedJsInline[domain] = new RegExp(prep_regex_str(rule.block_js_inline, domain));
-      } catch (e) {
-        console.log(`regex not valid, error: ${e}`);
-      }
-    }
+    let block_js_inline = regexCache.compile((rule.block_js_inline instanceof RegExp) ? rule.block_js_inline : prep_regex_str(rule.block_js_inline, domain), domain);
+    if (block_js_inline)
+      blockedJsInline[domain] = block_js_inline;
   }
   if (rule.useragent) {
     switch (rule.useragent) {
@@ -613,10 +330,8 @@ function addRules(domain, rule, flex = false) {
       break;
     }
   } else if (rule.useragent_custom) {
-    if (!use_useragent_custom.includes(domain)) {
+    if (!use_useragent_custom.includes(domain))
       use_useragent_custom.push(domain);
-      use_useragent_custom_obj[domain] = rule.useragent_custom;
-    }
   }
   if (rule.referer) {
     switch (rule.referer) {
@@ -634,14 +349,11 @@ function addRules(domain, rule, flex = false) {
       break;
     }
   } else if (rule.referer_custom) {
-    if (!use_referer_custom.includes(domain)) {
+    if (!use_referer_custom.includes(domain))
       use_referer_custom.push(domain);
-      use_referer_custom_obj[domain] = rule.referer_custom;
-    }
-  }
-  if (rule.random_ip) {
-    random_ip[domain] = rule.random_ip;
   }
+  if (rule.random_ip && !use_random_ip.includes(domain))
+    use_random_ip.push(domain);
   if (rule.amp_unhide > 0 && !amp_unhide.includes(domain))
     amp_unhide.push(domain);
   if (rule.amp_redirect)
@@ -649,33 +361,26 @@ function addRules(domain, rule, flex = false) {
   if (rule.cs_block)
     cs_block[domain] = 1;
   if (rule.cs_code) {
-    if (typeof rule.cs_code === 'string') {
-      try {
-        rule.cs_code = JSON.parse(rule.cs_code);
-      } catch (e) {
-        console.log(`cs_code not valid: ${rule.cs_code} error: ${e}`);
-      }
+    let cs_code_rule = normalize_cs_code(rule.cs_code);
+    if (cs_code_rule)
+      cs_code[domain] = cs_code_rule;
+  }
+  let selector_rules = {ld_json, ld_json_next, ld_json_source, ld_json_url, ld_archive_is, ld_och_to_unlock};
+  for (let key in selector_rules) {
+    if (rule[key]) {
+      let selector_rule = normalize_selector_rule(key, rule[key]);
+      if (selector_rule)
+        selector_rules[key][domain] = selector_rule;
     }
-    if (typeof rule.cs_code === 'object')
-      cs_code[domain] = rule.cs_code;
-  }
-  if (rule.ld_json)
-    ld_json[domain] = rule.ld_json;
-  if (rule.ld_json_next)
-    ld_json_next[domain] = rule.ld_json_next;
-  if (rule.ld_json_source)
-    ld_json_source[domain] = rule.ld_json_source;
-  if (rule.ld_json_url)
-    ld_json_url[domain] = rule.ld_json_url;
-  if (rule.ld_archive_is)
-    ld_archive_is[domain] = rule.ld_archive_is;
-  if (rule.ld_och_to_unlock)
-    ld_och_to_unlock[domain] = rule.ld_och_to_unlock;
-  if (rule.ld_json || rule.ld_json_next || rule.ld_json_source || rule.ld_json_url || rule.ld_archive_is || rule.ld_och_to_unlock || rule.cs_dompurify)
+  }
+  if (rule.ld_json || rule.ld_json_next || rule.ld_json_source || rule.ld_json_url || rule.ld_archive_is || rule.ld_och_to_unlock || rule.cs_dompurify || (cs_code[domain] && cs_code[domain].ld))
     if (!dompurify_sites.includes(domain))
       dompurify_sites.push(domain);
-  if (rule.add_ext_link && rule.add_ext_link_type)
-    add_ext_link[domain] = {css: rule.add_ext_link, type: rule.add_ext_link_type};
+  if (rule.add_ext_link && rule.add_ext_link_type) {
+    let add_ext_link_css = normalize_selector_rule('add_ext_link', rule.add_ext_link);
+    if (add_ext_link_css)
+      add_ext_link[domain] = {css: add_ext_link_css, type: rule.add_ext_link_type};
+  }
 
   // custom
   if (rule.block_js > 0)
@@ -683,11 +388,17 @@ function addRules(domain, rule, flex = false) {
   if (rule.block_js_ext > 0)
     block_js_custom_ext.push(domain);
 
+  addSitePaths(domain, rule);
+  headerEngine.addSite(domain, rule);
   if (ext_manifest_version === 3) {
-    init_session_rules(false, flex);
-    add_session_rule(domain, rule, blockedRegexes[domain], blockedRegexesGeneral[domain], blockedJsInline[domain]);
-    if (flex && sesRules.length)
-      update_session_rules(sesRules, sesRuleIds);
+    dnrCompiler.addSite(domain, rule, {
+      block_regex: blockedRegexes[domain],
+      block_regex_general: blockedRegexesGeneral[domain],
+      block_js_inline: blockedJsInline[domain]
+    });
+    // flex: only add/update rules of domain
+    if (flex)
+      dnrCompiler.commit(true);
   }
 }
 
@@ -702,23 +413,55 @@ function customFlexAddRules(custom_domain, rule) {
   }
   if (rule.useragent || rule.useragent_custom || rule.referer || rule.referer_custom || rule.random_ip)
     change_headers.push(custom_domain);
-  if (rule.random_ip)
-    use_random_ip.push(custom_domain);
   ext_api.tabs.reload({bypassCache: true});
 }
 
-// manifest v3
-var rule_id = 0;
-var regex_id = 0;
-var domain_id = 0;
-var sesRules = [];
-var sesRuleIds = [];
+// DNR rules of custom site by domain (group: per domain), not added (preview of options_custom.js), null for manifest v2
+function customSiteRules(rule) {
+  if (ext_manifest_version !== 3)
+    return null;
+  let domains = rule.group ? ((typeof rule.group !== 'string') ? rule.group : rule.group.split(',')).map(x => x.trim()).filter(x => x) : [rule.domain];
+  let rules = {};
+  for (let domain of domains) {
+    let compiled = {};
+    for (let key of ['block_regex', 'block_js_inline']) {
+      if (rule[key])
+        compiled[key] = prep_regex_str(rule[key], domain);
+    }
+    rules[domain] = dnrCompiler.compileSite(domain, rule, compiled);
+  }
+  return rules;
+}
+
+// first set_rules of startup done (handshake of contentScript.js waits for the enabled sites)
+var rulesReadyResolve;
+var rulesReady = new Promise(resolve => rulesReadyResolve = resolve);
+// startup time: from start of background page (service worker) to first set_rules
+rulesReady.then(function () {
+  if (typeof perfMonitor !== 'undefined')
+    perfMonitor.recordStartup(performance.now());
+});
 
 function set_rules(sites, sites_updated, sites_custom) {
   initSetRules();
-  let prev_rule_id = rule_id;
-  if (ext_manifest_version === 3)
-    init_session_rules();
+  headerEngine.configure({
+    mobile: navigator_ua_mobile,
+    userAgents: {
+      googlebot: {desktop: userAgentDesktopG, mobile: userAgentMobileG},
+      bingbot: {desktop: userAgentDesktopB, mobile: userAgentMobileB},
+      facebookbot: {desktop: userAgentDesktopF}
+    }
+  });
+  if (ext_manifest_version === 3) {
+    dnrCompiler.configure({
+      gpwDomains: gpw_domains || [],
+      excludedDomains: excludedSites.concat(rule_excluded_base_domains || []),
+      mobile: navigator_ua_mobile,
+      subscribeRedirectDomains: au_news_corp_domains,
+      staticRulesets: (typeof staticRulesets !== 'undefined') ? staticRulesets : false
+    });
+    dnrCompiler.reset();
+  }
   for (let site in sites) {
     let site_domain = sites[site].toLowerCase();
     let custom = false;
@@ -793,6 +536,12 @@ function set_rules(sites, sites_updated, sites_custom) {
             }
           }
         }
+        // site in chunk not loaded yet (rules by static ruleset)
+        if (rule.chunk) {
+          addSitePaths(domain, rule);
+          dnrCompiler.addStaticSite(domain);
+          continue;
+        }
         addRules(domain, rule);
       }
     }
@@ -801,45 +550,120 @@ function set_rules(sites, sites_updated, sites_custom) {
   blockedJsInlineDomains = Object.keys(blockedJsInline);
   if (ext_manifest_version === 2)
     disableJavascriptInline();
-  else if (ext_manifest_version === 3)
-    update_session_rules(sesRules, sesRuleIds);
-  use_random_ip = Object.keys(random_ip);
   change_headers = use_google_bot.concat(use_bing_bot, use_facebook_bot, use_useragent_custom, use_facebook_referer, use_google_referer, use_twitter_referer, use_referer_custom, use_random_ip);
 
   if (ext_manifest_version === 3) {
-    let block_rules_length = blockedRegexesDomains.length + blockedJsInlineDomains.length;
-    console.log('block_rules: ' + block_rules_length);
-    console.log('regex_rules (max. 1000): ' + regex_id);
-    console.log('total_rules (max. 5000): ' + rule_id);
-    console.log('domains: ' + domain_id);
-    
-    let fake_rules = [];
-    let fake_rules_ids = [];
-    for (let i = rule_id + 1; i < prev_rule_id + 1; i++) {
-      fake_rules.push({
-        "id": i,
-        "priority": 1,
-        "action": {
-          "type": "allow"
-        },
-        "condition": {
-          "urlFilter": "###",
-          "resourceTypes": ["main_frame"]
-        }
-      });
-      fake_rules_ids.push(i);
-    }
-    
-    ext_api.declarativeNetRequest.updateSessionRules({
-      removeRuleIds: fake_rules_ids
-    }, () => {
-      if (ext_api.runtime.lasterror)
-        console.log(ext_api.runtime.lasterrror.message)
+    // only changed rules are updated (stable rule ids), stale rules removed
+    dnrCompiler.commit().then(function (quota) {
+      let block_rules_length = blockedRegexesDomains.length + blockedJsInlineDomains.length;
+      logger.info('dnr', 'block_rules: ' + block_rules_length);
+      logger.info('dnr', 'regex_rules (max. ' + quota.maxRegexRules + '): ' + quota.regexRules);
+      logger.info('dnr', 'total_rules (max. ' + quota.maxRules + '): ' + quota.rules);
+      logger.info('dnr', 'static_rules: ' + quota.staticRules + ' (rulesets: ' + quota.staticRulesets.join(', ') + ')');
+      logger.info('dnr', 'domains: ' + dnrCompiler.getStats().domains);
     });
   }
 
+  index_site_lists();
+  rulesReadyResolve();
 }// manifest v3
 
+// domain lists & rules for hostname lookups (siteIndexes), update after changing lists
+function index_site_lists() {
+  siteIndexes.setDomainLists({
+    enabled: enabledSites,
+    disabled: disabledSites,
+    excluded: excludedSites,
+    nofix: nofix_sites,
+    default: defaultSites_domains,
+    default_grouped: defaultSites_grouped_domains,
+    custom: customSites_domains,
+    custom_ext: customSitesExt,
+    updated: updatedSites_domains_new,
+    updated_sites: Object.values(updatedSites).filter(x => x.domain && !defaultSites_domains.includes(x.domain)).map(x => x.domain),
+    updated_groups: Object.values(updatedSites).filter(x => x.group).map(x => x.group.filter(y => !defaultSites_domains.includes(y))).flat(),
+    custom_flex: custom_flex_domains,
+    custom_flex_not: custom_flex_not_domains,
+    gpw_no_badge: gpw_no_badge_domains,
+    set_var_sites: set_var_sites,
+    es_grupo_vocento: es_grupo_vocento_domains,
+    // rules
+    allow_cookies: allow_cookies,
+    remove_cookies: remove_cookies,
+    cs_clear_lclstrg: cs_clear_lclstrg,
+    dompurify: dompurify_sites,
+    amp_unhide: amp_unhide,
+    amp_redirect: Object.keys(amp_redirect),
+    cs_block: Object.keys(cs_block),
+    cs_code: Object.keys(cs_code),
+    ld_json: Object.keys(ld_json),
+    ld_json_next: Object.keys(ld_json_next),
+    ld_json_source: Object.keys(ld_json_source),
+    ld_json_url: Object.keys(ld_json_url),
+    ld_archive_is: Object.keys(ld_archive_is),
+    ld_och_to_unlock: Object.keys(ld_och_to_unlock),
+    add_ext_link: Object.keys(add_ext_link),
+    block_js_custom: block_js_custom,
+    block_js_custom_ext: block_js_custom_ext,
+    blocked_regexes: blockedRegexesDomains,
+    blocked_js_inline: blockedJsInlineDomains,
+    change_headers: change_headers,
+    use_google_bot: use_google_bot,
+    use_bing_bot: use_bing_bot,
+    use_facebook_bot: use_facebook_bot,
+    use_useragent_custom: use_useragent_custom,
+    use_google_referer: use_google_referer,
+    use_facebook_referer: use_facebook_referer,
+    use_twitter_referer: use_twitter_referer,
+    use_referer_custom: use_referer_custom,
+    use_random_ip: use_random_ip
+  });
+  update_content_scripts();
+}
+
+// lazy loading of default sites (manifest v3): add rules of loaded chunk to stubs & set rules again
+function mergeSiteChunk(chunk_sites) {
+  for (let site in chunk_sites) {
+    let rule = defaultSites[site];
+    if (!rule) {
+      defaultSites[site] = chunk_sites[site];
+      continue;
+    }
+    // keep changes (by updated sites)
+    for (let key in chunk_sites[site]) {
+      if (!rule.hasOwnProperty(key))
+        rule[key] = chunk_sites[site][key];
+    }
+    delete rule.chunk;
+  }
+}
+
+// one set_rules for loaded chunks (after preloading of chunks at startup, else right after load)
+var siteChunkRules = null;
+if (typeof siteChunkManifest !== 'undefined') {
+  chunkLoader.addLoadListener(function (chunk_name, chunk_sites) {
+    mergeSiteChunk(chunk_sites);
+    if (siteChunkRules)
+      return;
+    let preloaded = (typeof siteChunksPreloaded !== 'undefined') ? siteChunksPreloaded.catch(err => false) : Promise.resolve();
+    siteChunkRules = preloaded.then(function () {
+      siteChunkRules = null;
+      if (Object.keys(optionSites).length)
+        set_rules(optionSites, updatedSites, customSites);
+    });
+  });
+}
+
+// load chunk with rules of default site (resolves right away when loaded or not lazy loaded), rules set
+function ensureSiteChunk(url) {
+  let domain = siteIndexes.matchUrl('default', url);
+  if (!domain || typeof siteChunkManifest === 'undefined')
+    return Promise.resolve(true);
+  return chunkLoader.ensureChunkLoaded(domain).then(function (loaded) {
+    return siteChunkRules ? siteChunkRules.then(() => loaded) : loaded;
+  });
+}
+
 // add grouped sites to en/disabledSites (and exclude sites)
 function add_grouped_enabled_domains(groups) {
   for (let key in groups) {
@@ -867,18 +691,16 @@ function add_grouped_enabled_domains(groups) {
     }
 }
 
-// Get the enabled sites (from local storage) & set_rules for sites
-ext_api.storage.local.get({
-  sites: {},
+// Get the enabled sites (userSettings, manifest v3: after migration) & set_rules for sites
+((typeof settingsReady !== 'undefined') ? settingsReady : userSettings.init()).then(() => ext_api.storage.local.get({
   sites_default: Object.keys(defaultSites).filter(x => defaultSites[x].domain && !defaultSites[x].domain.match(/^(#options_|###$)/)),
   sites_custom: {},
   sites_updated: {},
-  sites_excluded: [],
   ext_version_old: '2.3.9.0',
   optIn: false,
   optInUpdate: true
 }, function (items) {
-  var sites = items.sites;
+  var sites = userSettings.getSites();
   optionSites = sites;
   var sites_default = items.sites_default;
   customSites = items.sites_custom;
@@ -892,7 +714,7 @@ ext_api.storage.local.get({
   var ext_version_old = items.ext_version_old;
   optin_setcookie = items.optIn;
   optin_update = items.optInUpdate;
-  excludedSites = items.sites_excluded;
+  excludedSites = userSettings.getExcludedSites();
 
   enabledSites = Object.values(sites).filter(function (val) {
     return (val && val !== '###' && (defaultSites_domains.concat(customSites_domains, updatedSites_domains_new).includes(val)));
@@ -925,9 +747,7 @@ ext_api.storage.local.get({
         if (sites[key] && sites[key] !== ungrouped_sites[key])
           sites[key] = ungrouped_sites[key];
       }
-      ext_api.storage.local.set({
-        sites: sites
-      });
+      userSettings.setSites(sites);
     } else {
       ext_api.management.getSelf(function (result) {
         if ((result.installType === 'development' || (result.installType !== 'development' && !enabledSites.includes('#options_on_update')))) {
@@ -962,30 +782,60 @@ ext_api.storage.local.get({
   check_sites_custom_ext();
   if (!Object.keys(sites).length)
     ext_api.runtime.openOptionsPage();
+}));
+
+// Listen for changes of enabled & excluded sites (userSettings, also changed by options & popup)
+userSettings.addChangeListener(function (key, newValue, oldValue) {
+  if (key === 'sites') {
+    var sites = newValue;
+    optionSites = sites;
+    enabledSites = Object.values(sites).filter(function (val) {
+      return (val && val !== '###' && (defaultSites_domains.concat(customSites_domains, updatedSites_domains_new).includes(val)));
+    }).map(function (val) {
+      return val.toLowerCase();
+    });
+    disabledSites = defaultSites_grouped_domains.concat(customSites_grouped_domains, updatedSites_domains_new).filter(x => !enabledSites.includes(x));
+    add_grouped_enabled_domains(grouped_sites);
+    if (ext_manifest_version === 3) {
+      gpw_domains = Object.values(defaultSites).filter(x => x.block_regex_general && !x.domain.startsWith('###')).map(x => x.domain);
+      rule_excluded_base_domains = disabledSites.filter(x => !x.match(/(^###|_)/) && !gpw_domains.includes(x));
+    }
+    set_rules(sites, updatedSites, customSites);
+  }
+  if (key === 'sites_excluded') {
+    var sites_excluded = newValue;
+    var sites_excluded_old = oldValue;
+    excludedSites = sites_excluded;
+
+    // add/remove excluded sites in en/disabledSites
+    var sites_excluded_added = sites_excluded.filter(x => !sites_excluded_old.includes(x));
+    var sites_excluded_removed = sites_excluded_old.filter(x => !sites_excluded.includes(x));
+
+    for (let site of sites_excluded_added) {
+      if (enabledSites.includes(site)) {
+        enabledSites.splice(enabledSites.indexOf(site), 1);
+        disabledSites.push(site);
+      }
+    }
+    for (let site of sites_excluded_removed) {
+      if (disabledSites.includes(site)) {
+        disabledSites.splice(disabledSites.indexOf(site), 1);
+        enabledSites.push(site);
+      }
+    }
+    index_site_lists();
+  }
 });
 
+// Sync of enabled, custom & excluded sites (storage.sync, opt-in per device: options)
+((typeof settingsReady !== 'undefined') ? settingsReady : userSettings.init()).then(() => settingsSync.init());
+
 // Listen for changes to options
 ext_api.storage.onChanged.addListener(function (changes, namespace) {
   if (namespace === 'sync')
     return;
   for (let key in changes) {
     var storageChange = changes[key];
-    if (key === 'sites') {
-      var sites = storageChange.newValue;
-      optionSites = sites;
-      enabledSites = Object.values(sites).filter(function (val) {
-        return (val && val !== '###' && (defaultSites_domains.concat(customSites_domains, updatedSites_domains_new).includes(val)));
-      }).map(function (val) {
-        return val.toLowerCase();
-      });
-      disabledSites = defaultSites_grouped_domains.concat(customSites_grouped_domains, updatedSites_domains_new).filter(x => !enabledSites.includes(x));
-      add_grouped_enabled_domains(grouped_sites);
-      if (ext_manifest_version === 3) {
-        gpw_domains = Object.values(defaultSites).filter(x => x.block_regex_general && !x.domain.startsWith('###')).map(x => x.domain);
-        rule_excluded_base_domains = disabledSites.filter(x => !x.match(/(^###|_)/) && !gpw_domains.includes(x));
-      }
-      set_rules(sites, updatedSites, customSites);
-    }
     if (key === 'sites_custom') {
       var sites_custom = storageChange.newValue ? storageChange.newValue : {};
       var sites_custom_old = storageChange.oldValue ? storageChange.oldValue : {};
@@ -997,28 +847,19 @@ ext_api.storage.onChanged.addListener(function (changes, namespace) {
       var sites_custom_added = Object.keys(sites_custom).filter(x => !Object.keys(sites_custom_old).includes(x) && !defaultSites.hasOwnProperty(x) && !defaultSites_domains.includes(sites_custom[x].domain));
       var sites_custom_removed = Object.keys(sites_custom_old).filter(x => !Object.keys(sites_custom).includes(x) && !defaultSites.hasOwnProperty(x) && !defaultSites_domains.includes(sites_custom_old[x].domain));
       
-      ext_api.storage.local.get({
-        sites: {}
-      }, function (items) {
-        var sites = items.sites;
-        if (sites_custom_added.concat(sites_custom_removed).length > 0) {
-          for (let key of sites_custom_added)
-            sites[key] = sites_custom[key].domain;
-          for (let key of sites_custom_removed)
-            delete sites[key];
-          
-          ext_api.storage.local.set({
-            sites: sites
-          }, function () {
-            true;
-          });
-        } else {
-          var sites_custom_group_update = Object.keys(sites_custom).filter(x => sites_custom[x].group && Object.keys(sites_custom_old).includes(x) && sites_custom_old[x].group && sites_custom[x].group !== sites_custom_old[x].group && enabledSites.includes(sites_custom[x].domain));
-          for (let key of sites_custom_group_update)
-            enabledSites = enabledSites.concat(sites_custom[key].group.split(','));
-          set_rules(sites, updatedSites, customSites);
-        }
-      });
+      var sites = userSettings.getSites();
+      if (sites_custom_added.concat(sites_custom_removed).length > 0) {
+        for (let key of sites_custom_added)
+          sites[key] = sites_custom[key].domain;
+        for (let key of sites_custom_removed)
+          delete sites[key];
+        userSettings.setSites(sites);
+      } else {
+        var sites_custom_group_update = Object.keys(sites_custom).filter(x => sites_custom[x].group && Object.keys(sites_custom_old).includes(x) && sites_custom_old[x].group && sites_custom[x].group !== sites_custom_old[x].group && enabledSites.includes(sites_custom[x].domain));
+        for (let key of sites_custom_group_update)
+          enabledSites = enabledSites.concat(sites_custom[key].group.split(','));
+        set_rules(sites, updatedSites, customSites);
+      }
     }
     if (key === 'sites_updated') {
       var sites_updated = storageChange.newValue ? storageChange.newValue : {};
@@ -1029,35 +870,11 @@ ext_api.storage.onChanged.addListener(function (changes, namespace) {
         if (enabledSites.includes('#options_enable_new_sites')) {
           for (let site_updated_new of updatedSites_new)
             optionSites[site_updated_new] = updatedSites[site_updated_new].domain;
-          ext_api.storage.local.set({
-            sites: optionSites
-          });
+          userSettings.setSites(optionSites);
         }
       } else
         set_rules(optionSites, updatedSites, customSites);
     }
-    if (key === 'sites_excluded') {
-      var sites_excluded = storageChange.newValue ? storageChange.newValue : [];
-      var sites_excluded_old = storageChange.oldValue ? storageChange.oldValue : [];
-      excludedSites = sites_excluded;
-
-      // add/remove excluded sites in en/disabledSites
-      var sites_excluded_added = sites_excluded.filter(x => !sites_excluded_old.includes(x));
-      var sites_excluded_removed = sites_excluded_old.filter(x => !sites_excluded.includes(x));
-
-      for (let site of sites_excluded_added) {
-        if (enabledSites.includes(site)) {
-          enabledSites.splice(enabledSites.indexOf(site), 1);
-          disabledSites.push(site);
-        }
-      }
-      for (let site of sites_excluded_removed) {
-        if (disabledSites.includes(site)) {
-          disabledSites.splice(disabledSites.indexOf(site), 1);
-          enabledSites.push(site);
-        }
-      }
-    }
     if (key === 'ext_version_new') {
       ext_version_new = storageChange.newValue;
     }
@@ -1150,8 +967,8 @@ ext_api.webRequest.onHeadersReceived.addListener(function (details) {
 }// manifest v2
 
 function blockJsInlineListener(details) {
-  let domain = matchUrlDomain(blockedJsInlineDomains, details.url);
-  let matched = domain && details.url.match(blockedJsInline[domain]);
+  let domain = siteIndexes.matchUrl('blocked_js_inline', details.url);
+  let matched = domain && regexCache.test(blockedJsInline[domain], details.url);
   if (matched && optin_setcookie && ['uol.com.br'].includes(domain))
     matched = false;
   if (!isSiteEnabled(details) || !matched)
@@ -1188,100 +1005,209 @@ if (typeof browser !== 'object') {
   });
 }
 
-  function runOnTab(tab) {
-    let tabId = tab.id;
-    let url = tab.url;
-    let rc_domain = matchUrlDomain(remove_cookies, url);
-    let rc_domain_enabled = rc_domain && enabledSites.includes(rc_domain);
-    let lib_file = 'lib/empty.js';
-    if (matchUrlDomain(dompurify_sites, url))
-      lib_file = 'lib/purify.min.js';
+  // features of userSettings for url: overrides of hostname, site & flex group (e.g. medium.com)
+  function getSiteFeatures(url) {
+    let hostname = siteIndexes.urlHostname(url).replace(/^www\./, '');
+    let domain = siteIndexes.matchUrl('enabled', url);
+    let flex_domain = siteIndexes.matchUrl('custom_flex', url);
+    let group = flex_domain ? Object.keys(custom_flex).find(key => custom_flex[key].includes(flex_domain)) : '';
+    return userSettings.getSiteFeatures([hostname, domain, group]);
+  }
+
+  // data for contentScript.js (runOnMessage)
+  function getBg2csData(url) {
     var bg2csData = {};
+    let hostname = siteIndexes.urlHostname(url);
+    let features = getSiteFeatures(url);
+    bg2csData.features = {
+      mediumRedirect: features.mediumRedirect === true,
+      mediumRedirectTarget: features.mediumRedirectTarget,
+      ampRedirect: features.ampRedirect !== false,
+      archiveRedirect: features.archiveRedirect !== false
+    };
     if (optin_setcookie && matchUrlDomain(['###'], url))
       bg2csData.optin_setcookie = 1;
-    if (matchUrlDomain(amp_unhide, url))
+    if (siteIndexes.matchHostname('amp_unhide', hostname))
       bg2csData.amp_unhide = 1;
-    let amp_redirect_domain = matchUrlDomain(Object.keys(amp_redirect), url);
-    if (amp_redirect_domain)
+    let amp_redirect_domain = siteIndexes.matchHostname('amp_redirect', hostname);
+    if (amp_redirect_domain && bg2csData.features.ampRedirect)
       bg2csData.amp_redirect = amp_redirect[amp_redirect_domain];
-    let cs_block_domain = matchUrlDomain(Object.keys(cs_block), url);
-    let cs_clear_lclstrg_domain = matchUrlDomain(cs_clear_lclstrg, url);
+    let cs_clear_lclstrg_domain = siteIndexes.matchHostname('cs_clear_lclstrg', hostname);
     if (cs_clear_lclstrg_domain)
       bg2csData.cs_clear_lclstrg = 1;
-    let cs_code_domain = matchUrlDomain(Object.keys(cs_code), url);
+    let cs_code_domain = siteIndexes.matchHostname('cs_code', hostname);
     if (cs_code_domain)
       bg2csData.cs_code = cs_code[cs_code_domain];
-    let ld_json_domain = matchUrlDomain(Object.keys(ld_json), url);
+    let ld_json_domain = siteIndexes.matchHostname('ld_json', hostname);
     if (ld_json_domain)
       bg2csData.ld_json = ld_json[ld_json_domain];
-    let ld_json_next_domain = matchUrlDomain(Object.keys(ld_json_next), url);
+    let ld_json_next_domain = siteIndexes.matchHostname('ld_json_next', hostname);
     if (ld_json_next_domain)
       bg2csData.ld_json_next = ld_json_next[ld_json_next_domain];
-    let ld_json_source_domain = matchUrlDomain(Object.keys(ld_json_source), url);
+    let ld_json_source_domain = siteIndexes.matchHostname('ld_json_source', hostname);
     if (ld_json_source_domain)
       bg2csData.ld_json_source = ld_json_source[ld_json_source_domain];
-    let ld_json_url_domain = matchUrlDomain(Object.keys(ld_json_url), url);
+    let ld_json_url_domain = siteIndexes.matchHostname('ld_json_url', hostname);
     if (ld_json_url_domain)
       bg2csData.ld_json_url = ld_json_url[ld_json_url_domain];
-    let ld_archive_is_domain = matchUrlDomain(Object.keys(ld_archive_is), url);
-    if (ld_archive_is_domain)
+    let ld_archive_is_domain = siteIndexes.matchHostname('ld_archive_is', hostname);
+    if (ld_archive_is_domain && bg2csData.features.archiveRedirect)
       bg2csData.ld_archive_is = ld_archive_is[ld_archive_is_domain];
-    let ld_och_to_unlock_domain = matchUrlDomain(Object.keys(ld_och_to_unlock), url);
+    let ld_och_to_unlock_domain = siteIndexes.matchHostname('ld_och_to_unlock', hostname);
     if (ld_och_to_unlock_domain)
       bg2csData.ld_och_to_unlock = ld_och_to_unlock[ld_och_to_unlock_domain];
-    let add_ext_link_domain = matchUrlDomain(Object.keys(add_ext_link), url);
+    let add_ext_link_domain = siteIndexes.matchHostname('add_ext_link', hostname);
     if (add_ext_link_domain)
       bg2csData.add_ext_link = add_ext_link[add_ext_link_domain];
-    let tab_runs = 5;
-    for (let n = 0; n < tab_runs; n++) {
-      setTimeout(function () {
-        if (!cs_block_domain) {
-        // run contentScript.js on page
-        if (ext_manifest_version === 2) {
-          ext_api.tabs.executeScript(tabId, {
-            file: lib_file,
-            runAt: 'document_start'
-          }, function (res) {
-            if (ext_api.runtime.lastError)
-              return;
-            ext_api.tabs.executeScript(tabId, {
-              file: 'contentScript.js',
-              runAt: 'document_start'
-            }, function (res) {
-              if (ext_api.runtime.lastError || res[0]) {
-                return;
-              }
-            })
-          });
-        } else if (ext_manifest_version === 3) {
-          let script_world = "ISOLATED";
-          if (matchUrlDomain(['businesspost.ie', 'hbr.org', 'lepoint.fr', 'thehindu.com', 'thehindubusinessline.com'], url))
-            script_world = "MAIN";
-          ext_api.scripting.executeScript({
-            target: {
-              tabId: tabId
-            },
-            files: [lib_file, "contentScript.js"],
-            injectImmediately: true,
-            world: script_world
-          }).catch(err => false);
-        }
-        // send bg2csData to contentScript.js
-        if (Object.keys(bg2csData).length) {
-          setTimeout(function () {
-            try {
-              ext_api.tabs.sendMessage(tabId, {msg: "bg2cs", data: bg2csData});
-            } catch (err) {
-              false;
-            }
-          }, 500);
-        }
-        } // !cs_block_domain
-        // remove cookies after page load
-        if (rc_domain_enabled && !['enotes.com', 'huffingtonpost.it', 'lastampa.it'].includes(rc_domain)) {
-          remove_cookies_fn(rc_domain, true);
-        }
-      }, n * 200);
+    return bg2csData;
+  }
+
+  // site modules of contentScript.js (cs-sites/cs-sites-index.js): module of domain, or detect modules for sites without module
+  siteIndexes.setDomainLists({cs_sites: Object.keys(csSitesIndex.domains)});
+  function getSiteModules(hostname) {
+    let module_domain = siteIndexes.matchHostname('cs_sites', hostname);
+    let modules = module_domain ? [csSitesIndex.domains[module_domain]] : csSitesIndex.detect;
+    return {
+      name: module_domain ? modules[0] : 'detect',
+      files: modules.map(name => 'cs-sites/' + name + '.js'),
+      world: (module_domain && csSitesIndex.world[csSitesIndex.domains[module_domain]]) || 'ISOLATED'
+    };
+  }
+
+  // files of contentScript.js (before site module, after dompurify)
+  var cs_lib_files = ['lib/hostname-matcher.js', 'lib/cs-domains.js', 'contentScript.js'];
+
+  // handshake of contentScript.js: site enabled for url (include/exclude paths) & bg2csData (runOnTab injects only without handshake)
+  var cs_tabs = {};
+  function csHandshake(url) {
+    return rulesReady.then(() => ensureSiteChunk(url)).then(function () {
+      let enabled = /^http/.test(url) && isSiteEnabled({url: url}) && !siteIndexes.matchUrl('cs_block', url);
+      return {
+        enabled: enabled,
+        data: enabled ? getBg2csData(url) : {}
+      };
+    });
+  }
+
+  ext_api.runtime.onMessage.addListener(function (message, sender, sendResponse) {
+    if (message.request === 'bg2cs' && message.data && sender.tab) {
+      let url = message.data.url;
+      csHandshake(url).then(function (response) {
+        cs_tabs[sender.tab.id] = url;
+        // injection latency (first handshake of page)
+        if (response.enabled && typeof message.data.time === 'number' && typeof perfMonitor !== 'undefined')
+          perfMonitor.recordInjection(siteIndexes.urlHostname(url).replace(/^www\./, ''), message.data.time);
+        sendResponse(response);
+      });
+      return true;
+    }
+  });
+
+  ext_api.tabs.onRemoved.addListener(function (tabId) {
+    delete cs_tabs[tabId];
+    delete tab_routes[tabId];
+    tabDiagnostics.remove(tabId);
+  });
+
+  // manifest v3: contentScript.js (with site module) as registered content scripts of enabled sites (document_start)
+  // one script per site module (and dompurify), site modules in page world are injected by runOnTab
+  var cs_register_timer;
+  function update_content_scripts() {
+    if (!(ext_manifest_version === 3 && ext_api.scripting && ext_api.scripting.registerContentScripts))
+      return;
+    clearTimeout(cs_register_timer);
+    cs_register_timer = setTimeout(function () {
+      register_content_scripts().catch(err => logger.error('content', 'Failed to register content scripts', err));
+    }, 500);
+  }
+
+  async function register_content_scripts() {
+    let scripts = {};
+    for (let domain of enabledSites) {
+      if (!domain.match(/^([a-z0-9-]+\.)+[a-z0-9-]+$/) || siteIndexes.matchHostname('cs_block', domain))
+        continue;
+      let site_modules = getSiteModules(domain);
+      if (site_modules.world !== 'ISOLATED')
+        continue;
+      let dompurify = !!siteIndexes.matchHostname('dompurify', domain);
+      let id = 'cs_' + site_modules.name + (dompurify ? '_dompurify' : '');
+      if (!scripts[id]) {
+        scripts[id] = {
+          id: id,
+          matches: [],
+          js: (dompurify ? ['lib/purify.min.js'] : []).concat(cs_lib_files, site_modules.files),
+          runAt: 'document_start'
+        };
+      }
+      scripts[id].matches.push('*://*.' + domain + '/*');
+    }
+    let registered = await ext_api.scripting.getRegisteredContentScripts() || [];
+    let registered_ids = registered.map(x => x.id);
+    let script_key = script => JSON.stringify([script.matches.slice().sort(), script.js]);
+    let remove_ids = registered_ids.filter(id => !scripts[id]);
+    let update = registered.filter(x => scripts[x.id] && script_key(x) !== script_key(scripts[x.id])).map(x => scripts[x.id]);
+    let add = Object.values(scripts).filter(x => !registered_ids.includes(x.id));
+    if (remove_ids.length)
+      await ext_api.scripting.unregisterContentScripts({ids: remove_ids});
+    if (update.length)
+      await ext_api.scripting.updateContentScripts(update);
+    if (add.length)
+      await ext_api.scripting.registerContentScripts(add);
+  }
+
+  // manifest v2: run scripts in tab (in order, one file per executeScript)
+  function tabs_execute_scripts(tabId, files, runAt = 'document_start') {
+    if (!files.length)
+      return;
+    ext_api.tabs.executeScript(tabId, {
+      file: files[0],
+      runAt: runAt
+    }, function (res) {
+      if (ext_api.runtime.lastError)
+        return;
+      tabs_execute_scripts(tabId, files.slice(1), runAt);
+    });
+  }
+
+  function runOnTab(tab, site_chunk_loaded = false) {
+    if (!site_chunk_loaded && typeof siteChunkManifest !== 'undefined') {
+      ensureSiteChunk(tab.url).then(() => runOnTab(tab, true));
+      return;
+    }
+    // include/exclude paths of site
+    if (!isSiteEnabled(tab))
+      return;
+    let tabId = tab.id;
+    let url = tab.url;
+    let hostname = siteIndexes.urlHostname(url);
+    let rc_domain = siteIndexes.matchHostname('remove_cookies', hostname);
+    let rc_domain_enabled = rc_domain && siteIndexes.listHas('enabled', rc_domain);
+    let lib_file = 'lib/empty.js';
+    if (siteIndexes.matchHostname('dompurify', hostname))
+      lib_file = 'lib/purify.min.js';
+    let cs_block_domain = siteIndexes.matchHostname('cs_block', hostname);
+    let site_modules = getSiteModules(hostname);
+    // contentScript.js of registered content scripts did handshake for url (not for site modules in page world)
+    let cs_handshake = (cs_tabs[tabId] === url) && (site_modules.world === 'ISOLATED');
+    if (!cs_block_domain && !cs_handshake) {
+      // run contentScript.js (with site module) on page (bg2csData by handshake)
+      let cs_files = [lib_file].concat(cs_lib_files, site_modules.files);
+      if (ext_manifest_version === 2) {
+        tabs_execute_scripts(tabId, cs_files);
+      } else if (ext_manifest_version === 3) {
+        ext_api.scripting.executeScript({
+          target: {
+            tabId: tabId
+          },
+          files: cs_files,
+          injectImmediately: true,
+          world: site_modules.world
+        }).catch(err => false);
+      }
+    }
+    // remove cookies after page load
+    if (rc_domain_enabled && !['enotes.com', 'huffingtonpost.it', 'lastampa.it'].includes(rc_domain)) {
+      remove_cookies_fn(rc_domain, true);
     }
   }
 
@@ -1289,22 +1215,15 @@ if (typeof browser !== 'object') {
     let tabId = tab.id;
     let url = tab.url;
     // load contentScript_once.js to identify custom site (flex) of group
-    if (!(matchUrlDomain(custom_flex_domains.concat(custom_flex_not_domains, customSites_domains, updatedSites_domains_new, excludedSites, nofix_sites), url) || matchUrlDomain(defaultSites_domains, url))) {
+    if (!siteIndexes.matchUrl(['custom_flex', 'custom_flex_not', 'custom', 'updated', 'excluded', 'nofix', 'default'], url)) {
       if (ext_manifest_version === 2) {
-        ext_api.tabs.executeScript(tabId, {
-          file: 'contentScript_once.js',
-          runAt: 'document_start'
-        }, function (res) {
-          if (ext_api.runtime.lastError || res[0]) {
-            return;
-          }
-        });
+        tabs_execute_scripts(tabId, ['lib/public-suffix.js', 'lib/hostname-matcher.js', 'contentScript_once.js']);
       } else if (ext_manifest_version === 3) {
         ext_api.scripting.executeScript({
           target: {
             tabId: tabId
           },
-          files: ["contentScript_once.js"]
+          files: ["lib/public-suffix.js", "lib/hostname-matcher.js", "contentScript_once.js"]
         }).catch(err => false);
       }
     }
@@ -1334,24 +1253,17 @@ if (typeof browser !== 'object') {
   function runOnTab_once_var(tab) {
     let tabId = tab.id;
     let url = tab.url;
-    let domain = matchUrlDomain(set_var_sites, url);
+    let domain = siteIndexes.matchUrl('set_var_sites', url);
     // load contentScript_once_var.js to set variables for site
-    if (domain && enabledSites.includes(domain)) {
+    if (domain && siteIndexes.listHas('enabled', domain)) {
       if (ext_manifest_version === 2) {
-        ext_api.tabs.executeScript(tabId, {
-          file: 'contentScript_once_var.js',
-          runAt: 'document_start'
-        }, function (res) {
-          if (ext_api.runtime.lastError || res[0]) {
-            return;
-          }
-        });
+        tabs_execute_scripts(tabId, ['lib/hostname-matcher.js', 'contentScript_once_var.js']);
       } else if (ext_manifest_version === 3) {
         ext_api.scripting.executeScript({
           target: {
             tabId: tabId
           },
-          files: ["contentScript_once_var.js"],
+          files: ["lib/hostname-matcher.js", "contentScript_once_var.js"],
           injectImmediately: true,
           world: "MAIN"
         }).catch(err => false);
@@ -1362,8 +1274,16 @@ if (typeof browser !== 'object') {
 ext_api.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
   let tab_status = changeInfo.status;
   if (/^http/.test(tab.url)) {
-    if ((tab_status && (tab_status === 'complete' || matchUrlDomain(['startribune.com'], tab.url))) || changeInfo.url) {
-      let timeout = changeInfo.url ? 500 : 0;
+    if (tab_status === 'complete') {
+      tab_routes[tabId] = routeUrl(tab.url);
+      // usage learning (manifest v3, background-init.js): visit of enabled default site
+      if (typeof trackSiteVisit === 'function' && isSiteEnabled(tab))
+        trackSiteVisit(siteIndexes.matchUrl('default', tab.url));
+    }
+    // url changed by page (without webNavigation)
+    let url_changed = changeInfo.url && !ext_api.webNavigation;
+    if ((tab_status && (tab_status === 'complete' || matchUrlDomain(['startribune.com'], tab.url))) || url_changed) {
+      let timeout = url_changed ? 500 : 0;
       setTimeout(function () {
         if (isSiteEnabled(tab)) {
           runOnTab(tab);
@@ -1375,6 +1295,54 @@ ext_api.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
   }
 });
 
+// client-side routing (SPA): run fixes of site again for new url of tab (history.pushState/replaceState)
+// contentScript.js resets its state for the route (message route), runOnTab for tabs without contentScript.js (page world)
+var tab_routes = {};
+function routeUrl(url) {
+  return url.split('#')[0];
+}
+
+function runOnRoute(tab) {
+  let site_modules = getSiteModules(siteIndexes.urlHostname(tab.url));
+  if (!cs_tabs[tab.id] || site_modules.world !== 'ISOLATED') {
+    runOnTab(tab);
+    return;
+  }
+  let message = {msg: 'route', data: {url: tab.url}};
+  if (typeof browser === 'object')
+    browser.tabs.sendMessage(tab.id, message).catch(err => runOnTab(tab));
+  else {
+    chrome.tabs.sendMessage(tab.id, message, function (response) {
+      if (chrome.runtime.lastError)
+        runOnTab(tab);
+    });
+  }
+}
+
+if (ext_api.webNavigation) {
+  // new page of tab: reset diagnostics (before requests of page)
+  ext_api.webNavigation.onBeforeNavigate.addListener(function (details) {
+    if (details.frameId === 0)
+      tabDiagnostics.reset(details.tabId, details.url);
+  });
+  ext_api.webNavigation.onHistoryStateUpdated.addListener(function (details) {
+    if (details.frameId !== 0 || !/^http/.test(details.url))
+      return;
+    let tabId = details.tabId;
+    let route = routeUrl(details.url);
+    // same url (replaceState)
+    if (tab_routes[tabId] === route)
+      return;
+    tab_routes[tabId] = route;
+    tabDiagnostics.reset(tabId, details.url);
+    let tab = {id: tabId, url: details.url};
+    ensureSiteChunk(tab.url).then(function () {
+      if (isSiteEnabled(tab) || cs_tabs[tabId])
+        runOnRoute(tab);
+    });
+  });
+}
+
 if (ext_manifest_version === 2) {
 
 var extraInfoSpec = ['blocking', 'requestHeaders'];
@@ -1394,35 +1362,31 @@ ext_api.webRequest.onBeforeSendHeaders.addListener(function(details) {
         break;
       }
     }
-    var blocked_referer_domains = [];
-    if (!header_referer && details.initiator) {
+    if (!header_referer && details.initiator)
       header_referer = details.initiator;
-      if (!blocked_referer && matchUrlDomain(blocked_referer_domains, details.url) && ['script', 'xmlhttprequest'].includes(details.type)) {
-        for (let domain of blocked_referer_domains)
-          restrictions[domain] = new RegExp('((\\/|\\.)' + domain.replace(/\./g, '\\.') + '($|\\/$)|' + restrictions[domain].toString().replace(/(^\/|\/$)/g, '') + ')');
-        blocked_referer = true;
-      }
-    }
   }
 
+  let url_host = siteIndexes.urlHostname(details.url);
+  let referer_host = siteIndexes.urlHostname(header_referer);
+
   // block external javascript for custom sites (optional)
   if (['script'].includes(details.type)) {
-    let domain_blockjs_ext = matchUrlDomain(block_js_custom_ext, header_referer);
+    let domain_blockjs_ext = siteIndexes.matchHostname('block_js_custom_ext', referer_host);
     if (domain_blockjs_ext && !matchUrlDomain(domain_blockjs_ext, details.url) && isSiteEnabled({url: header_referer}))
       return { cancel: true };
   }
 
   // check for blocked regular expression: domain enabled, match regex, block on an internal or external regex
   if (['script', 'xmlhttprequest'].includes(details.type)) {
-    let domain = matchUrlDomain(blockedRegexesDomains, header_referer);
-    if (domain && details.url.match(blockedRegexes[domain]) && isSiteEnabled({url: header_referer}))
+    let domain = siteIndexes.matchHostname('blocked_regexes', referer_host);
+    if (domain && regexCache.test(blockedRegexes[domain], details.url) && isSiteEnabled({url: header_referer}))
       return { cancel: true };
   }
 
   // block general paywall scripts
   if (['script', 'xmlhttprequest'].includes(details.type)) {
     for (let domain in blockedRegexesGeneral) {
-      if (details.url.match(blockedRegexesGeneral[domain].block_regex) && !(matchUrlDomain(excludedSites.concat(disabledSites, blockedRegexesGeneral[domain].excluded_domains), header_referer)))
+      if (regexCache.test(blockedRegexesGeneral[domain].block_regex, details.url) && !(siteIndexes.matchHostname(['excluded', 'disabled'], referer_host) || matchDomain(blockedRegexesGeneral[domain].excluded_domains, referer_host)))
         return { cancel: true };
     }
   }
@@ -1432,132 +1396,20 @@ ext_api.webRequest.onBeforeSendHeaders.addListener(function(details) {
   }
 
   // block javascript of (sub)domain for custom sites (optional)
-  var domain_blockjs = matchUrlDomain(block_js_custom, details.url);
+  var domain_blockjs = siteIndexes.matchHostname('block_js_custom', url_host);
   if (domain_blockjs && details.type === 'script') {
     return { cancel: true };
   }
 
-  var useUserAgentMobile = false;
-  var setReferer = false;
-
-var ignore_types = ['font', 'image', 'stylesheet'];
-
-if (matchUrlDomain(change_headers, details.url) && !ignore_types.includes(details.type)) {
-  var mobile = details.requestHeaders.filter(x => x.name.toLowerCase() === "user-agent" && x.value.toLowerCase().includes("mobile")).length;
-  var googlebotEnabled = matchUrlDomain(use_google_bot, details.url) && 
-    !(matchUrlDomain(es_grupo_vocento_domains, details.url) && mobile) &&
-    !(matchUrlDomain(['economictimes.com', 'economictimes.indiatimes.com'], details.url) && !details.url.split(/[\?#]/)[0].endsWith('.cms')) &&
-    !(matchUrlDomain('handelsblatt.com', details.url) && !details.url.split(/[\?#]/)[0].endsWith('.html')) &&
-    !(matchUrlDomain('nytimes.com', details.url) && details.url.includes('.nytimes.com/live/')) &&
-    !(matchUrlDomain('uol.com.br', details.url) && !matchUrlDomain('folha.uol.com.br', details.url));
-  var bingbotEnabled = matchUrlDomain(use_bing_bot, details.url);
-  var facebookbotEnabled = matchUrlDomain(use_facebook_bot, details.url);
-  var useragent_customEnabled = matchUrlDomain(use_useragent_custom, details.url);
-
-  // if referer exists, set it
-  requestHeaders = requestHeaders.map(function (requestHeader) {
-    if (requestHeader.name === 'Referer') {
-      if (googlebotEnabled || matchUrlDomain(use_google_referer, details.url)) {
-        requestHeader.value = 'https://www.google.com/';
-      } else if (matchUrlDomain(use_facebook_referer, details.url)) {
-        requestHeader.value = 'https://www.facebook.com/';
-      } else if (matchUrlDomain(use_twitter_referer, details.url)) {
-        requestHeader.value = 'https://t.co/';
-      } else if (domain = matchUrlDomain(use_referer_custom, details.url)) {
-        requestHeader.value = use_referer_custom_obj[domain];
-      }
-      setReferer = true;
-    }
-    if (requestHeader.name === 'User-Agent') {
-      useUserAgentMobile = requestHeader.value.toLowerCase().includes("mobile") && !matchUrlDomain(['businessinsider.com', 'theatlantic.com'], details.url);
+  // change headers of site (cookie, user agent, referer & random ip)
+  let domain_headers = headerEngine.matchDomain(url_host);
+  if (domain_headers) {
+    let mobile = requestHeaders.some(x => x.name.toLowerCase() === 'user-agent' && x.value.toLowerCase().includes('mobile'));
+    requestHeaders = headerEngine.applyHeaders(domain_headers, details, {mobile: mobile});
+    if (details.type === 'main_frame') {
+      let headers = headerEngine.getHeaders(domain_headers, details.url, {mobile: mobile});
+      tabDiagnostics.set(details.tabId, 'headers', headers.map(x => x.header + (x.value ? ': ' + x.value : ' (removed)')));
     }
-    return requestHeader;
-  });
-
-  // otherwise add it
-  if (!setReferer) {
-    if (googlebotEnabled || matchUrlDomain(use_google_referer, details.url)) {
-      requestHeaders.push({
-        name: 'Referer',
-        value: 'https://www.google.com/'
-      });
-    } else if (matchUrlDomain(use_facebook_referer, details.url)) {
-      requestHeaders.push({
-        name: 'Referer',
-        value: 'https://www.facebook.com/'
-      });
-    } else if (matchUrlDomain(use_twitter_referer, details.url)) {
-      requestHeaders.push({
-        name: 'Referer',
-        value: 'https://t.co/'
-      });
-    } else if (domain = matchUrlDomain(use_referer_custom, details.url)) {
-      requestHeaders.push({
-        name: 'Referer',
-        value: use_referer_custom_obj[domain]
-      });
-    }
-  }
-
-  // override User-Agent to use Googlebot
-  if (googlebotEnabled) {
-    requestHeaders.push({
-      "name": "User-Agent",
-      "value": useUserAgentMobile ? userAgentMobileG : userAgentDesktopG
-    })
-    requestHeaders.push({
-      "name": "X-Forwarded-For",
-      "value": "66.249.66.1"
-    })
-  }
-
-  // override User-Agent to use Bingbot
-  else if (bingbotEnabled) {
-    requestHeaders.push({
-      "name": "User-Agent",
-      "value": useUserAgentMobile ? userAgentMobileB : userAgentDesktopB
-    })
-  }
-
-  // override User-Agent to use Facebookbot
-  else if (facebookbotEnabled) {
-    requestHeaders.push({
-      "name": "User-Agent",
-      "value": userAgentDesktopF
-    })
-  }
-
-  // override User-Agent to custom
-  else if (domain = useragent_customEnabled) {
-    requestHeaders.push({
-      "name": "User-Agent",
-      "value": use_useragent_custom_obj[domain]
-    })
-  }
- 
-  // random IP for sites in use_random_ip
-  let domain_random = matchUrlDomain(use_random_ip, details.url);
-  if (domain_random && !googlebotEnabled) {
-    let randomIP_val;
-    if (random_ip[domain_random] === 'eu')
-      randomIP_val = randomIP(185, 185);
-    else
-      randomIP_val = randomIP();
-    requestHeaders.push({
-      "name": "X-Forwarded-For",
-      "value": randomIP_val
-    })
-  }
-}
-
-  // remove cookies before page load
-  if (!matchUrlDomain(allow_cookies, details.url)) {
-    requestHeaders = requestHeaders.map(function(requestHeader) {
-      if (requestHeader.name === 'Cookie') {
-        requestHeader.value = '';
-      }
-      return requestHeader;
-    });
   }
 
   if (kiwi_browser) {
@@ -1607,6 +1459,7 @@ function check_sites_custom_ext() {
         customSitesExt = Object.values(json).map(x => x.domain);
         if (json['###_remove_sites'] && json['###_remove_sites'].cs_code)
           customSitesExt_remove = json['###_remove_sites'].cs_code.split(/,\s?/);
+        siteIndexes.setDomainLists({custom_ext: customSitesExt});
       })
     }
   }).catch(err => false);
@@ -1627,38 +1480,40 @@ function updateBadge(activeTab) {
   let color = 'red';
   let currentUrl = activeTab.url;
   if (currentUrl) {
+    let hostname = siteIndexes.urlHostname(currentUrl);
+    let site_state = siteIndexes.getSiteState(hostname);
     if (isSiteEnabled({url: currentUrl})) {
       badgeText = 'ON';
       color = 'red';
-    } else if (matchUrlDomain(enabledSites, currentUrl)) {
+    } else if (site_state.enabled) {
       badgeText = 'ON-';
       color = 'orange';
-    } else if (matchUrlDomain(disabledSites, currentUrl)) {
+    } else if (site_state.disabled) {
       badgeText = 'OFF';
       color = 'blue';
-    } else if (matchUrlDomain(nofix_sites, currentUrl)) {
+    } else if (site_state.nofix) {
       badgeText = 'X';
       color = 'silver';
     }
-    if (matchUrlDomain(gpw_no_badge_domains, currentUrl))
+    if (siteIndexes.matchHostname('gpw_no_badge', hostname))
       badgeText = '';
     if (ext_version_new > ext_version)
       badgeText = '^' + badgeText;
-    let isDefaultSite = matchUrlDomain(defaultSites_domains, currentUrl);
-    let isCustomSite = matchUrlDomain(customSites_domains, currentUrl);
-    let isUpdatedSite = matchUrlDomain(updatedSites_domains_new, currentUrl);
+    let isDefaultSite = siteIndexes.matchHostname('default', hostname);
+    let isCustomSite = siteIndexes.matchHostname('custom', hostname);
+    let isUpdatedSite = siteIndexes.matchHostname('updated', hostname);
     if (!isDefaultSite && (isCustomSite || isUpdatedSite)) {
       ext_api.permissions.contains({
         origins: ['*://*.' + (isCustomSite || isUpdatedSite) + '/*']
       }, function (result) {
         if (!result)
-          badgeText = enabledSites.includes(isCustomSite || isUpdatedSite) ? 'C' : '';
+          badgeText = siteIndexes.listHas('enabled', isCustomSite || isUpdatedSite) ? 'C' : '';
         if (color && badgeText)
           ext_api.action.setBadgeBackgroundColor({color: color});
         ext_api.action.setBadgeText({text: badgeText});
       });
     } else {
-      if (!badgeText && matchUrlDomain(customSitesExt, currentUrl))
+      if (!badgeText && siteIndexes.matchHostname('custom_ext', hostname))
         badgeText = '+C';
       if (color && badgeText)
         ext_api.action.setBadgeBackgroundColor({color: color});
@@ -1717,19 +1572,17 @@ function site_switch() {
     currentWindow: true
   }, function (tabs) {
     if (tabs && tabs[0] && /^http/.test(tabs[0].url)) {
-      let currentUrl = tabs[0].url;
-      let isDefaultSite = matchUrlDomain(defaultSites_grouped_domains, currentUrl);
+      let hostname = siteIndexes.urlHostname(tabs[0].url);
+      let isDefaultSite = siteIndexes.matchHostname('default_grouped', hostname);
       if (!isDefaultSite) {
-        let isDefaultSiteGroup = matchUrlDomain(defaultSites_domains, currentUrl);
+        let isDefaultSiteGroup = siteIndexes.matchHostname('default', hostname);
         if (isDefaultSiteGroup)
           isDefaultSite = Object.keys(grouped_sites).find(key => grouped_sites[key].includes(isDefaultSiteGroup));
       }
       if (!isDefaultSite) {
-        let sites_updated_domains_new = Object.values(updatedSites).filter(x => x.domain && !defaultSites_domains.includes(x.domain)).map(x => x.domain);
-        let isUpdatedSite = matchUrlDomain(sites_updated_domains_new, currentUrl);
+        let isUpdatedSite = siteIndexes.matchHostname('updated_sites', hostname);
         if (!isUpdatedSite) {
-          let sites_updated_group_domains_new = Object.values(updatedSites).filter(x => x.group).map(x => x.group.filter(y => !defaultSites_domains.includes(y))).flat();
-          let isUpdatedSite_group = matchUrlDomain(sites_updated_group_domains_new, currentUrl);
+          let isUpdatedSite_group = siteIndexes.matchHostname('updated_groups', hostname);
           if (isUpdatedSite_group)
             isUpdatedSite = Object.values(updatedSites).filter(x => x.group && x.group.includes(isUpdatedSite_group)).map(x => x.domain)[0];
         }
@@ -1737,37 +1590,18 @@ function site_switch() {
           isDefaultSite = isUpdatedSite;
       }
       let defaultSite_title = isDefaultSite ? Object.keys(defaultSites).find(key => defaultSites[key].domain === isDefaultSite) : '';
-      let isCustomSite = matchUrlDomain(customSites_domains, currentUrl);
+      let isCustomSite = siteIndexes.matchHostname('custom', hostname);
       let customSite_title = isCustomSite ? Object.keys(customSites).find(key => customSites[key].domain === isCustomSite || (customSites[key].group && customSites[key].group.split(',').includes(isCustomSite))) : '';
       if (isCustomSite && customSite_title && customSites[customSite_title].domain !== isCustomSite)
         isCustomSite = customSites[customSite_title].domain;
-      let isCustomFlexSite = matchUrlDomain(custom_flex_domains, currentUrl);
+      let isCustomFlexSite = siteIndexes.matchHostname('custom_flex', hostname);
       let isCustomFlexGroupSite = isCustomFlexSite ? Object.keys(custom_flex).find(key => custom_flex[key].includes(isCustomFlexSite)) : '';
       let customFlexSite_title = isCustomFlexGroupSite ? Object.keys(defaultSites).find(key => defaultSites[key].domain === isCustomFlexGroupSite) : '';
       let site_title = defaultSite_title || customSite_title || customFlexSite_title;
       let domain = isDefaultSite || isCustomSite || isCustomFlexGroupSite;
       if (domain && site_title) {
-        let added_site = [];
-        let removed_site = [];
-        if (enabledSites.includes(domain))
-          removed_site.push(site_title);
-        else
-          added_site.push(site_title);
-        ext_api.storage.local.get({
-          sites: {}
-        }, function (items) {
-          var sites = items.sites;
-          for (let key of added_site)
-            sites[key] = domain;
-          for (let key of removed_site) {
-            key = Object.keys(sites).find(sites_key => compareKey(sites_key, key));
-            delete sites[key];
-          }
-          ext_api.storage.local.set({
-            sites: sites
-          }, function () {
-            ext_api.tabs.reload({bypassCache: true});
-          });
+        userSettings.toggleSite(site_title, domain, !siteIndexes.listHas('enabled', domain)).then(function () {
+          ext_api.tabs.reload({bypassCache: true});
         });
       }
     }
@@ -1797,6 +1631,7 @@ function remove_cookies_fn(domainVar, exclusions = false) {
           cookie_get_options.storeId = storeId;
         var cookie_remove_options = {};
         ext_api.cookies.getAll(cookie_get_options, function (cookies) {
+          logger.debug('cookies', 'remove cookies of ' + domainVar + (exclusions ? ' (with exclusions)' : ''), cookies.map(x => x.name));
           for (let cookie of cookies) {
             if (exclusions) {
               var rc_domain = cookie.domain.replace(/^(\.?www\.|\.)/, '');
@@ -1821,6 +1656,7 @@ function remove_cookies_fn(domainVar, exclusions = false) {
             if (storeId !== 'null')
               cookie_remove_options.storeId = storeId;
             ext_api.cookies.remove(cookie_remove_options);
+            tabDiagnostics.add(tabId, 'cookies', cookie.name + ' (' + cookie.domain + ')');
           }
         });
       }
@@ -1836,20 +1672,13 @@ function clear_cookies() {
     if (tabs && tabs[0] && /^http/.test(tabs[0].url)) {
       let tabId = tabs[0].id;
       if (ext_manifest_version === 2) {
-        ext_api.tabs.executeScript({
-          file: 'options/clearCookies.js',
-          runAt: 'document_start'
-        }, function (res) {
-          if (ext_api.runtime.lastError || res[0]) {
-            return;
-          }
-        });
+        tabs_execute_scripts(tabId, ['lib/public-suffix.js', 'lib/hostname-matcher.js', 'options/clearCookies.js']);
       } else if (ext_manifest_version === 3) {
         ext_api.scripting.executeScript({
           target: {
             tabId: tabId
           },
-          files: ['options/clearCookies.js']
+          files: ['lib/public-suffix.js', 'lib/hostname-matcher.js', 'options/clearCookies.js']
         }).catch(err => false);
       }
       ext_api.tabs.update(tabId, {
@@ -1859,6 +1688,57 @@ function clear_cookies() {
   });
 }
 
+// rule of site (most specific domain) & its source
+function siteRuleSource(hostname) {
+  let sources = {excluded: 'excluded', custom_flex: 'flex', custom: 'custom', updated: 'updated', default: 'default'};
+  for (let list in sources) {
+    let domain = siteIndexes.matchHostname(list, hostname);
+    if (domain) {
+      let source = sources[list];
+      if (source === 'default' && Object.values(updatedSites).some(x => x.domain === domain))
+        source = 'updated';
+      return {domain, source};
+    }
+  }
+  return null;
+}
+
+// diagnostics of tab (popup): collected by tabDiagnostics, rule of site, site module & rules of contentScript.js, matched DNR rules (manifest v3)
+async function getTabDiagnostics(tab) {
+  let diag = Object.assign({}, tabDiagnostics.get(tab.id, tab.url));
+  let hostname = siteIndexes.urlHostname(tab.url);
+  diag.version = ext_version;
+  diag.browser = url_loc;
+  diag.manifest_version = ext_manifest_version;
+  diag.url = tab.url;
+  diag.rule = siteRuleSource(hostname);
+  if (diag.rule && diag.rule.source !== 'excluded') {
+    let domain = diag.rule.domain;
+    diag.rule.enabled = siteIndexes.listHas('enabled', domain);
+    diag.rule.path_excluded = !!site_paths[domain] && !sitePathEnabled(site_paths[domain], tab.url);
+    if (isSiteEnabled(tab)) {
+      let site_modules = getSiteModules(hostname);
+      diag.site_module = site_modules.name + ((site_modules.world === 'MAIN') ? ' (page world)' : '');
+      diag.content_rules = Object.keys(getBg2csData(tab.url));
+    }
+  }
+  diag.dnr_rules = [];
+  if (ext_manifest_version === 3 && ext_api.declarativeNetRequest.getMatchedRules) {
+    try {
+      let matched = await ext_api.declarativeNetRequest.getMatchedRules({tabId: tab.id, minTimeStamp: diag.time});
+      for (let info of matched.rulesMatchedInfo) {
+        let rule_info = dnrCompiler.ruleInfo(info.rule.ruleId, info.rule.rulesetId);
+        if (!diag.dnr_rules.some(x => x.rule_id === rule_info.rule_id && x.ruleset === rule_info.ruleset))
+          diag.dnr_rules.push(rule_info);
+      }
+    } catch (err) {
+      logger.warn('dnr', 'Failed to get matched rules', err);
+    }
+    diag.headers = [...new Set(diag.headers.concat(...diag.dnr_rules.map(x => x.headers || [])))];
+  }
+  return diag;
+}
+
 var chrome_scheme = 'light';
 ext_api.runtime.onMessage.addListener(function (message, sender) {
   if (message.request === 'clear_cookies') {
@@ -1871,6 +1751,8 @@ ext_api.runtime.onMessage.addListener(function (message, sender) {
   if (message.request === 'custom_domain' && message.data && message.data.domain) {
     let custom_domain = message.data.domain;
     let group = message.data.group;
+    if (sender.tab)
+      tabDiagnostics.set(sender.tab.id, 'flex_group', group || '(no group: ' + custom_domain + ')');
     if (group) {
       let nofix_groups = ['###_beehiiv', '###_fi_alma_talent', '###_fi_kaleva', '###_ghost', '###_it_citynews', '###_nl_vmnmedia', '###_se_gota_media', '###_substack_custom', '###_uk_aspermont', '###_uk_delinian', '###_usa_cherryroad'];
       if (!custom_flex_domains.includes(custom_domain)) {
@@ -1908,10 +1790,14 @@ ext_api.runtime.onMessage.addListener(function (message, sender) {
     }
   } else
     custom_flex_not_domains.push(custom_domain);
+  index_site_lists();
   }
   if (message.request === 'site_switch') {
     site_switch();
   }
+  if (message.request === 'sync_now') {
+    settingsSync.sync();
+  }
   if (message.request === 'check_sites_updated') {
     check_sites_updated(sites_updated_json_online);
   }
@@ -1921,6 +1807,26 @@ ext_api.runtime.onMessage.addListener(function (message, sender) {
   if (message.request === 'check_update') {
     check_update();
   }
+  if (message.request === 'fixture_bg2cs_data' && message.data) {
+    let url = message.data.url;
+    let data = {url: url};
+    ensureSiteChunk(url).then(function () {
+      if (/^http/.test(url) && isSiteEnabled({url: url})) {
+        data.bg2csData = getBg2csData(url);
+        data.dompurify = !!siteIndexes.matchUrl('dompurify', url);
+      }
+      ext_api.runtime.sendMessage({
+        msg: "fixture_bg2cs_data",
+        data: data
+      });
+    });
+  }
+  if (message.request === 'custom_site_rules' && message.data && message.data.rule) {
+    ext_api.runtime.sendMessage({
+      msg: "custom_site_rules",
+      data: {id: message.data.id, rules: customSiteRules(message.data.rule)}
+    });
+  }
   if (message.request === 'popup_show_toggle') {
     ext_api.tabs.query({
       active: true,
@@ -1928,31 +1834,86 @@ ext_api.runtime.onMessage.addListener(function (message, sender) {
     }, function (tabs) {
       if (tabs && tabs[0] && /^http/.test(tabs[0].url)) {
         let currentUrl = tabs[0].url;
-        let domain;
-        let isExcludedSite = matchUrlDomain(excludedSites, currentUrl);
-        if (!isExcludedSite) {
-          let isDefaultSite = matchUrlDomain(defaultSites_domains, currentUrl);
-          let isCustomSite = matchUrlDomain(customSites_domains, currentUrl);
-          let isUpdatedSite = matchUrlDomain(updatedSites_domains_new, currentUrl);
-          let isCustomFlexSite = matchUrlDomain(custom_flex_domains, currentUrl);
-          domain = isDefaultSite || isCustomSite || isUpdatedSite || isCustomFlexSite;
-          if (domain)
-            ext_api.runtime.sendMessage({
-              msg: "popup_show_toggle",
-              data: {
-                domain: domain,
-                enabled: enabledSites.includes(domain)
-              }
-            })
-        }
+        ensureSiteChunk(currentUrl).then(function () {
+          let domain;
+          let hostname = siteIndexes.urlHostname(currentUrl);
+          let isExcludedSite = siteIndexes.matchHostname('excluded', hostname);
+          if (!isExcludedSite) {
+            let isDefaultSite = siteIndexes.matchHostname('default', hostname);
+            let isCustomSite = siteIndexes.matchHostname('custom', hostname);
+            let isUpdatedSite = siteIndexes.matchHostname('updated', hostname);
+            let isCustomFlexSite = siteIndexes.matchHostname('custom_flex', hostname);
+            domain = isDefaultSite || isCustomSite || isUpdatedSite || isCustomFlexSite;
+            if (domain)
+              ext_api.runtime.sendMessage({
+                msg: "popup_show_toggle",
+                data: {
+                  domain: domain,
+                  enabled: siteIndexes.listHas('enabled', domain),
+                  path_excluded: !!site_paths[domain] && !sitePathEnabled(site_paths[domain], currentUrl)
+                }
+              })
+          }
+        });
       }
     })
   }
+  if (message.request === 'tab_diagnostics') {
+    ext_api.tabs.query({
+      active: true,
+      currentWindow: true
+    }, function (tabs) {
+      if (tabs && tabs[0] && /^http/.test(tabs[0].url)) {
+        let tab = tabs[0];
+        ensureSiteChunk(tab.url).then(() => getTabDiagnostics(tab)).then(function (diag) {
+          ext_api.runtime.sendMessage({
+            msg: 'tab_diagnostics',
+            data: diag
+          });
+        });
+      }
+    })
+  }
+  // fetch of contentScript.js (ld_json_url ...)
+  if (message.request === 'diagnostics' && message.data && sender.tab) {
+    tabDiagnostics.add(sender.tab.id, 'fetches', message.data);
+    if (!message.data.ok)
+      logger.warn('fetch', 'Failed to fetch ' + message.data.type, message.data.url);
+  }
+  // log of contentScript.js
+  if (message.request === 'log' && message.data && sender.tab) {
+    logger.log(message.data.level, 'content', message.data.message + ' (' + (sender.tab.url || '') + ')', message.data.data);
+  }
+  // log viewer (options/options_log.html)
+  if (message.request === 'log_entries') {
+    ext_api.runtime.sendMessage({
+      msg: 'log_entries',
+      data: {entries: logger.getEntries(message.data || {})}
+    });
+  }
+  if (message.request === 'log_clear') {
+    logger.clear();
+  }
+  // performance dashboard (options/options_performance.html)
+  if (message.request === 'perf_history') {
+    perfMonitor.loaded.then(function () {
+      ext_api.runtime.sendMessage({
+        msg: 'perf_history',
+        data: {history: perfMonitor.getHistory((message.data && message.data.since) || 0)}
+      });
+    });
+  }
+  if (message.request === 'perf_clear') {
+    perfMonitor.clearHistory();
+  }
   if (message.request === 'refreshCurrentTab') {
     ext_api.tabs.reload(sender.tab.id, {bypassCache: true});
   }
 
   function sendArticleSrc(tab_id, message) {
+    tabDiagnostics.add(tab_id, 'fetches', {type: 'ext_src', ok: !!message.data.html, url: message.data.url});
+    if (!message.data.html)
+      logger.warn('fetch', 'No article from external source', message.data.url_src || message.data.url);
     ext_api.tabs.sendMessage(tab_id, {
       msg: "showExtSrc",
       data: message.data
@@ -2085,32 +2046,39 @@ function compareKey(firstStr, secondStr) {
 }
 
 function isSiteEnabled(details) {
-  var enabledSite = matchUrlDomain(enabledSites, details.url);
+  var enabledSite = siteIndexes.matchUrl('enabled', details.url);
   if (!ext_name.startsWith('Bypass Paywalls Clean') || !(self_hosted || /0$/.test(ext_version)))
     enabledSite = '';
-  if (enabledSite in restrictions) {
-    return restrictions[enabledSite].test(details.url);
-  }
+  // excluded (sub)domain of enabled site
+  if (enabledSite && userSettings.isSiteExcluded(siteIndexes.urlHostname(details.url)))
+    return false;
+  if (enabledSite && site_paths[enabledSite])
+    return sitePathEnabled(site_paths[enabledSite], details.url);
   return !!enabledSite;
 }
 
+// url in include_paths & not in exclude_paths of site
+function sitePathEnabled(paths, url) {
+  if (paths.include.length && !hostnameMatcher.matchUrlPattern(paths.include, url))
+    return false;
+  return !hostnameMatcher.matchUrlPattern(paths.exclude, url);
+}
+
+function addSitePaths(domain, rule) {
+  if (rule.include_paths || rule.exclude_paths) {
+    site_paths[domain] = {
+      include: hostnameMatcher.urlPatterns(rule.include_paths, domain),
+      exclude: hostnameMatcher.urlPatterns(rule.exclude_paths, domain)
+    };
+  }
+}
+
 function matchDomain(domains, hostname = '') {
-  var matched_domain = false;
-  if (typeof domains === 'string')
-    domains = [domains];
-  domains.some(domain => (hostname === domain || hostname.endsWith('.' + domain)) && (matched_domain = domain));
-  return matched_domain;
+  return hostnameMatcher.matchDomain(domains, hostname);
 }
 
 function urlHost(url) {
-  if (/^http/.test(url)) {
-    try {
-      return new URL(url).hostname;
-    } catch (e) {
-      console.log(`url not valid: ${url} error: ${e}`);
-    }
-  }
-  return url;
+  return hostnameMatcher.urlHost(url);
 }
 
 function matchUrlDomain(domains, url) {
@@ -2138,20 +2106,6 @@ function decode_utf8(str) {
   return decodeURIComponent(escape(str));
 }
 
-function randomInt(max) {
-  return Math.floor(Math.random() * Math.floor(max));
-}
-
-function randomIP(range_low = 0, range_high = 223) {
-  let rndmIP = [];
-  for (let n = 0; n < 4; n++) {
-    if (n === 0)
-      rndmIP.push(range_low + randomInt(range_high - range_low + 1));
-    else
-      rndmIP.push(randomInt(255) + 1);
-  }
-  return rndmIP.join('.');
-}
 
 // Refresh the current tab (http)
 function refreshCurrentTab() {
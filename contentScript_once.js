@@ -200,28 +200,12 @@ window.setTimeout(function () {
 }
 
 function matchDomain(domains, hostname) {
-  var matched_domain = false;
   if (!hostname)
     hostname = window.location.hostname;
-  if (typeof domains === 'string')
-    domains = [domains];
-  domains.some(domain => (hostname === domain || hostname.endsWith('.' + domain)) && (matched_domain = domain));
-  return matched_domain;
+  return hostnameMatcher.matchDomain(domains, hostname);
 }
 
+// registrable domain (public suffix list)
 function getCookieDomain(hostname) {
-  let domain = hostname;
-  let n = 0;
-  let parts = hostname.split('.');
-  let str = '_gd' + (new Date()).getTime();
-  try {
-  while (n < (parts.length - 1) && document.cookie.indexOf(str + '=' + str) == -1) {
-    domain = parts.slice(-1 - (++n)).join('.');
-    document.cookie = str + "=" + str + ";domain=" + domain + ";";
-  }
-  document.cookie = str + "=;expires=Thu, 01 Jan 1970 00:00:01 GMT;domain=" + domain + ";";
-  } catch (e) {
-    console.log(e);
-  }
-  return domain;
+  return hostnameMatcher.registrableDomain(hostname);
 }
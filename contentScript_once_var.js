@@ -58,13 +58,9 @@ else if (matchDomain('nzherald.co.nz')) {
 }
 
 function matchDomain(domains, hostname) {
-  var matched_domain = false;
   if (!hostname)
     hostname = window.location.hostname;
-  if (typeof domains === 'string')
-    domains = [domains];
-  domains.some(domain => (hostname === domain || hostname.endsWith('.' + domain)) && (matched_domain = domain));
-  return matched_domain;
+  return hostnameMatcher.matchDomain(domains, hostname);
 }
 
 function removeDOMElement(...elements) {
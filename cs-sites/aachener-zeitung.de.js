@@ -0,0 +1,13 @@
+registerSiteModule({
+  domains: ['aachener-zeitung.de'],
+  run(ctx) {
+    let url = ctx.url;
+    getArchive(url, 'div[data-testid="paywall-container"]', '', 'article');
+    let shade = document.querySelector('div.paywalled-article');
+    if (shade)
+      shade.classList.remove('paywalled-article');
+    let noscroll = document.querySelectorAll('html[class], body[class]');
+    for (let elem of noscroll)
+      elem.removeAttribute('class');
+  }
+});
@@ -0,0 +1,14 @@
+registerSiteModule({
+  domains: ['abril.com.br'],
+  run(ctx) {
+    if (window.location.pathname.endsWith('/amp/')) {
+      let paywall = document.querySelector('.piano-modal');
+      removeDOMElement(paywall);
+      let ads = 'amp-ad, amp-embed';
+      hideDOMStyle(ads);
+    } else {
+      let ads = 'div.ads, div[class^="ads-"], div.MGID';
+      hideDOMStyle(ads);
+    }
+  }
+});
@@ -0,0 +1,22 @@
+registerSiteModule({
+  domains: ['aerztezeitung.de'],
+  run(ctx) {
+    let paywall = document.querySelector('div.AZLoginModule');
+    if (paywall) {
+      removeDOMElement(paywall);
+      let json_script = getArticleJsonScript();
+      if (json_script) {
+        let json = JSON.parse(json_script.text);
+        if (json) {
+          let json_text = json.articleBody;
+          let content = document.querySelector('p.intro');
+          if (json_text && content) {
+            let article_new = document.createElement('p');
+            article_new.innerText = json_text;
+            content.after(article_new);
+          }
+        }
+      }
+    }
+  }
+});
@@ -0,0 +1,10 @@
+registerSiteModule({
+  domains: ['ajc.com'],
+  run(ctx) {
+    let paygate = document.querySelector('div.story-paygate_placeholder');
+    if (paygate)
+      paygate.removeAttribute('class');
+    let video_blocker = document.querySelector('div.video-blocker');
+    removeDOMElement(video_blocker);
+  }
+});
@@ -0,0 +1,12 @@
+registerSiteModule({
+  domains: ['alternatives-economiques.fr'],
+  run(ctx) {
+    window.setTimeout(function () {
+      let paywall = document.querySelector('#temp-paywall');
+      removeDOMElement(paywall);
+      let data_ae_poool = document.querySelector('div[data-ae-poool]');
+      if (data_ae_poool)
+        data_ae_poool.removeAttribute('style');
+    }, 500);
+  }
+});
@@ -0,0 +1,12 @@
+registerSiteModule({
+  domains: ['americanbanker.com'].concat(usa_arizent_custom_domains),
+  run(ctx) {
+    let inline_gate = document.querySelector('.inline-gate');
+    if (inline_gate) {
+      inline_gate.classList.remove('inline-gate');
+      let inline_gated = document.querySelectorAll('.inline-gated');
+      for (let elem of inline_gated)
+        elem.classList.remove('inline-gated');
+    }
+  }
+});
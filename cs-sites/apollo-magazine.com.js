@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: ['apollo-magazine.com'],
+  run(ctx) {
+    let banner = document.querySelector('#subscribe-ribbon');
+    removeDOMElement(banner);
+  }
+});
@@ -0,0 +1,10 @@
+registerSiteModule({
+  domains: ar_grupo_clarin_domains,
+  run(ctx) {
+    let ads = 'div.ad-slot, div.box-adv, div.wrapperblock, div.banner, div[id^="div-gpt-ad-flotante"]';
+    hideDOMStyle(ads);
+    let ads_inline = document.querySelectorAll('div > div.sticky, div > div.SRA, div > div[id^="div-gpt-ad-inread"], div > div[id^="div-gpt-ad-caja"], div > div[id^="div-gpt-ad-horizontal"]');
+    for (let ad of ads_inline)
+      hideDOMElement(ad.parentNode);
+  }
+});
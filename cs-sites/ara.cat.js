@@ -0,0 +1,10 @@
+registerSiteModule({
+  domains: ['ara.cat', 'arabalears.cat'],
+  run(ctx) {
+    if (!window.location.pathname.endsWith('.amp.html')) {
+      amp_redirect('div.paywall');
+      let ads = 'div.advertising';
+      hideDOMStyle(ads);
+    }
+  }
+});
@@ -0,0 +1,61 @@
+// Groupe ESH Médias
+registerSiteModule({
+  domains: ['arcinfo.ch', 'lacote.ch', 'lenouvelliste.ch'],
+  run(ctx) {
+    let paywall = document.querySelector('section#paywall-articles');
+    if (paywall && dompurify_loaded) {
+      removeDOMElement(paywall);
+      let url_id = window.location.pathname.match(/\d+$/).pop();
+      let html = document.documentElement.outerHTML;
+      let og_url = document.querySelector('head > meta[name="og:url"][content]');
+      if (og_url && !og_url.content.endsWith(url_id))
+        refreshCurrentTab();
+      let json;
+      if (html.includes('window.__NUXT__='))
+        json = html.split('window.__NUXT__=')[1].split('</script>')[0].trim().replace(/blocs:\[\{.*?\}\],/g, '');
+      let article = document.querySelector('div.html-content');
+      let no_intro = false;
+      if (!article) {
+        article = document.querySelector('div.container-mobile-full');
+        no_intro = true;
+      }
+      if (article && json) {
+        let content = '';
+        if (json.includes('text_1="'))
+          content = json.split('text_1="').pop().split('";')[0];
+        else {
+          let parts = json.split('html:"');
+          parts.splice(0, 1);
+          for (let part of parts)
+            content += part.split('",has_pre_content')[0];
+        }
+        if (content) {
+          content = content.replace(/\\u003C/g, '<').replace(/\\u003E/g, '>').replace(/\\u002F/g, '/').replace(/\\"/g, '"').replace(/\\r\\n/g, '');
+          let parser = new DOMParser();
+          let content_new = parser.parseFromString('<div class="html-content">' + DOMPurify.sanitize(content, dompurify_options) + '</div>', 'text/html');
+          let iframely = content_new.querySelectorAll('div > div.fr-iframely');
+          for (let elem of iframely) {
+            let url_dom = elem.querySelector('[data-iframely-url]');
+            if (url_dom) {
+              let iframe = document.createElement('iframe');
+              iframe.src = url_dom.getAttribute('data-iframely-url');
+              iframe.style = 'width: 100%; height: 400px;';
+              elem.parentNode.replaceChild(iframe, elem);
+            }
+          }
+          let article_top;
+          if (!no_intro) {
+            article_top = article.parentNode.parentNode;
+            removeDOMElement(article.parentNode);
+          } else
+            article_top = article;
+          article_top.appendChild(content_new.querySelector('div'));
+        } else {
+          refreshCurrentTab();
+        }
+      }
+    }
+    let ads = 'div[class*="ads_type_"]';
+    hideDOMStyle(ads);
+  }
+});
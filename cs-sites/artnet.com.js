@@ -0,0 +1,14 @@
+registerSiteModule({
+  domains: ['artnet.com'],
+  run(ctx) {
+    if (window.location.pathname.endsWith('/amp-page')) {
+      amp_unhide_subscr_section();
+    } else {
+      let body_hidden = document.querySelector('.article-body');
+      if (body_hidden)
+        body_hidden.style = 'display:block;';
+      let banner = document.querySelector('div[id^="issuem-leaky-paywall-"]');
+      removeDOMElement(banner);
+    }
+  }
+});
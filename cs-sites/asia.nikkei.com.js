@@ -0,0 +1,32 @@
+registerSiteModule({
+  domains: ['asia.nikkei.com'],
+  run(ctx) {
+    let paywall = document.querySelector('div#paywall-offer');
+    if (paywall && dompurify_loaded) {
+      removeDOMElement(paywall);
+      let article = document.querySelector('div#article-body-preview > div');
+      if (article) {
+        let json_script = document.querySelector('script#__NEXT_DATA__');
+        if (json_script) {
+          try {
+            let json = JSON.parse(json_script.text);
+            if (json && json.props.pageProps.data.body) {
+              let json_text = json.props.pageProps.data.body;
+              if (!json_text.includes('<div>'))
+                json_text = '<div>' + json_text + '</div>';
+              let parser = new DOMParser();
+              let doc = parser.parseFromString(DOMPurify.sanitize(json_text, dompurify_options), 'text/html');
+              let article_new = doc.querySelector('div');
+              article.parentNode.replaceChild(article_new, article);
+            } else
+              refreshCurrentTab();
+          } catch (err) {
+            csLog('error', err);
+          }
+        }
+      }
+    }
+    let banners = 'div#pianoj_ribbon, div#paywall-offer';
+    hideDOMStyle(banners);
+  }
+});
@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: ['atlantico.fr'],
+  run(ctx) {
+    let ads = 'div#pv_atf, div#infeed';
+    hideDOMStyle(ads);
+  }
+});
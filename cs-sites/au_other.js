@@ -0,0 +1,194 @@
+registerSiteModule({
+  domains: ['com.au', 'net.au'],
+  run(ctx) {
+    // Australian Community Media newspapers
+    let au_comm_media_domains = ['bendigoadvertiser.com.au', 'bordermail.com.au', 'canberratimes.com.au', 'centralwesterndaily.com.au', 'dailyadvertiser.com.au', 'dailyliberal.com.au', 'examiner.com.au', 'illawarramercury.com.au', 'newcastleherald.com.au', 'northerndailyleader.com.au', 'standard.net.au', 'theadvocate.com.au', 'thecourier.com.au', 'westernadvocate.com.au'];
+    let au_comm_media_link = document.querySelector('a[href^="https://austcommunitymedia.my.site.com/"]');
+    if (matchDomain(au_comm_media_domains) || au_comm_media_link) {
+      let mask = document.querySelector('div[class^="gradient-mask-"]');
+      if (mask) {
+        mask.removeAttribute('class');
+        let div_hidden = document.querySelectorAll('div.flex-col div.hidden');
+        for (let elem of div_hidden)
+          elem.classList.remove('hidden');
+      } else {
+        let subscribe_truncate = document.querySelector('.subscribe-truncate');
+        if (subscribe_truncate)
+          subscribe_truncate.classList.remove('subscribe-truncate');
+        let subscriber_hiders = document.querySelectorAll('.subscriber-hider');
+        for (let subscriber_hider of subscriber_hiders)
+          subscriber_hider.classList.remove('subscriber-hider');
+      }
+      let noscroll = document.querySelectorAll('html[style], body[style]');
+      for (let elem of noscroll)
+        elem.removeAttribute('style');
+      let story_generic_iframe = '.story-generic__iframe';
+      let blocker = 'div.blocker';
+      let overlays = 'div.transition-all, div[id^="headlessui-dialog"]';
+      let ads = '.ad-placeholder, .sticky, [id*="-container"], #hindsight-ads-iframe';
+      hideDOMStyle(story_generic_iframe + ', ' + blocker + ', ' + overlays + ', ' + ads);
+    } else if (window.location.hostname.endsWith('.com.au')) {
+      // Australia News Corp
+      let au_news_corp_domains = ['adelaidenow.com.au', 'cairnspost.com.au', 'codesports.com.au', 'couriermail.com.au', 'dailytelegraph.com.au', 'geelongadvertiser.com.au', 'goldcoastbulletin.com.au', 'heraldsun.com.au', 'theaustralian.com.au', 'thechronicle.com.au', 'themercury.com.au', 'townsvillebulletin.com.au', 'weeklytimesnow.com.au'];
+      if (matchDomain(au_news_corp_domains)) {
+        let url = window.location.href;
+        if (url.includes('/subscribe/')) {
+          if (!url.includes('/digitalprinteditions') && url.includes('dest=') && url.split('dest=')[1].split('&')[0]) {
+            let url_new = decodeURIComponent(url.split('dest=')[1].split('&')[0]) + '?amp';
+            window.setTimeout(function () {
+              window.location.href = url_new;
+            }, 500);
+          }
+        } else if (window.location.search.match(/[&\?]amp/)) {
+          amp_unhide_subscr_section('amp-ad, amp-embed, [id^="ad-mrec-"]', false);
+          let figure_stretch = document.querySelectorAll('figure.stretch');
+          for (let elem of figure_stretch)
+            elem.classList.remove('stretch');
+          let comments = document.querySelector('#comments-load, .comments-module');
+          removeDOMElement(comments);
+        } else {
+          if (window.location.pathname.includes('/video/') && document.querySelector('div.vms-premium-video'))
+            header_nofix('div.video-hub');
+          let ads = '.header_ads-container, .ad-block';
+          hideDOMStyle(ads);
+        }
+      } else {
+        // Australian Seven West Media
+        if (matchDomain('thewest.com.au') || document.querySelector('head > link[href="https://images.thewest.com.au"]')) {
+          function thewest_main(node) {
+            let filter = /^window\.PAGE_DATA\s?=\s?/;
+            let json_script = getSourceJsonScript(filter);
+            if (json_script) {
+              let json_text = json_script.text.split(filter)[1];
+              json_text = json_text.replace(/:undefined([,}])/g, ':"undefined"$1');
+              try {
+                let json_article = JSON.parse(json_text);
+                let json_pub;
+                for (let key in json_article) {
+                  let json_resolution = json_article[key].data.result.resolution;
+                  if (json_resolution && json_resolution.publication) {
+                    json_pub = json_resolution.publication;
+                    break;
+                  }
+                }
+                let json_content = [];
+                let url_loaded;
+                if (json_pub) {
+                  json_content = json_pub.content.blocks;
+                  url_loaded = json_pub._self;
+                } else
+                  refreshCurrentTab();
+                //let json_video = json_pub.mainVideo;
+                let url = window.location.href;
+                if (!url_loaded || !url.includes(url_loaded.slice(-10)))
+                  refreshCurrentTab();
+                let par_elem, par_sub1, par_sub2;
+                let par_dom = document.createElement('div');
+                let tweet_id = 1;
+                for (let par of json_content) {
+                  par_elem = '';
+                  if (par.kind === 'text') {
+                    par_elem = document.createElement('p');
+                    par_elem.innerText = par.text;
+                  } else if (par.kind === 'subhead') {
+                    par_elem = document.createElement('h2');
+                    par_elem.innerText = par.text;
+                  } else if (par.kind === 'pull-quote') {
+                    par_elem = document.createElement('i');
+                    par_elem.innerText = (par.attribution ? par.attribution + ': ' : '') + par.text;
+                  } else if (par.kind === 'embed') {
+                    if (par.reference.includes('https://omny.fm/') || par.reference.includes('https://docdro.id/')) {
+                      par_elem = document.createElement('embed');
+                      par_elem.src = par.reference;
+                      par_elem.style = 'height:500px; width:100%';
+                      par_elem.frameborder = '0';
+                    } else {
+                      par_elem = document.createElement('a');
+                      par_elem.href = par.reference;
+                      par_elem.innerText = par.reference.split('?')[0];
+                      csLog('debug', 'embed: ' + par.reference);
+                    }
+                  } else if (par.kind === 'unordered-list') {
+                    if (par.items) {
+                      par_elem = document.createElement('ul');
+                      for (let item of par.items)
+                        if (item.text) {
+                          par_sub1 = document.createElement('li');
+                          if (item.intentions[0] && item.intentions[0].href) {
+                            par_sub2 = document.createElement('a');
+                            par_sub2.href = item.intentions[0].href;
+                          } else {
+                            par_sub2 = document.createElement('span');
+                          }
+                          par_sub2.innerText = item.text;
+                          par_sub1.appendChild(par_sub2);
+                          par_elem.appendChild(par_sub1);
+                        }
+                    }
+                  } else if (par.kind === 'inline') {
+                    if (par.asset.kind === 'image' && par.asset.original && par.asset.original.reference) {
+                      par_elem = makeFigure(par.asset.original.reference, par.asset.captionText, {style: 'width:100%'});
+                    }
+                  } else if (par.kind === 'inline-related') {
+                    par_elem = document.createElement('p');
+                    if (par.publications) {
+                      for (let elem of par.publications) {
+                        let par_link = document.createElement('a');
+                        par_link.href = elem._self;
+                        par_link.innerText = elem.heading;
+                        par_elem.appendChild(par_link);
+                        par_elem.appendChild(document.createElement('br'));
+                      }
+                    }
+                  } else {
+                    par_elem = document.createElement('p');
+                    par_elem.innerText = par.text;
+                    csLog('debug', 'json element not supported: ' + par.kind);
+                  }
+                  if (par_elem)
+                    par_dom.appendChild(par_elem);
+                }
+                let content = document.querySelector('div[class*="StyledArticleContent"]');
+                if (content) {
+                  content.innerHTML = '';
+                  content.appendChild(par_dom);
+                } else {
+                  par_dom.setAttribute('style', 'margin: 20px;');
+                  node.before(par_dom);
+                }
+              } catch (err) {
+                csLog('error', err);
+              }
+            }
+            removeDOMElement(node);
+          }
+          let paywall_sel = 'div.paywall div[data-testid*="BreachScreen"], div[class*="StyledBreachWallContent"]';
+          let paywall = document.querySelector(paywall_sel);
+          if (paywall)
+            thewest_main(paywall);
+          else {
+            csDoneOnce = true;
+            waitDOMElement(paywall_sel, 'DIV', thewest_main, true);
+          }
+          let ads = 'div.headerAdvertisement';
+          hideDOMStyle(ads);
+        } else if (document.querySelector('head > link[rel="dns-prefetch"][href="//static.ew.mmg.navigacloud.com"]')) { // McPherson Media Group
+          let paywall = document.querySelector('div#content-Load-message');
+          if (paywall) {
+            removeDOMElement(paywall);
+            let lockable = document.querySelectorAll('div[id^="lockable-"]');
+            for (let elem of lockable) {
+              elem.removeAttribute('style');
+              elem.removeAttribute('id');
+            }
+            let gradient = document.querySelector('div.gradienttext');
+            if (gradient)
+              gradient.removeAttribute('class');
+          }
+        } else
+          csDone = true;
+      }
+    } else
+      csDone = true;
+  }
+});
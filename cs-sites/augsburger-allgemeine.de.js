@@ -0,0 +1,33 @@
+registerSiteModule({
+  domains: ['augsburger-allgemeine.de'],
+  run(ctx) {
+    let paywall_sel = 'div.piano-inline-paywall';
+    let paywall = document.querySelector(paywall_sel);
+    if (paywall) {
+      let url = window.location.href;
+      let plus = pageContains('span[class*="plusplus"]', 'Bildergalerie');
+      if (plus.length) {
+        removeDOMElement(paywall);
+        let article = document.querySelector('div#page-body');
+        if (article)
+          article.before(googleSearchToolLink(url));
+      } else {
+        func_post = function () {
+          let paywall = document.querySelector(paywall_sel);
+          if (paywall) {
+            removeDOMElement(paywall);
+            let article = document.querySelector(article_sel);
+            if (article && article.parentNode) {
+              let url = window.location.href;
+              article.parentNode.before(googleSearchToolLink(url));
+            }
+          }
+        }
+        let article_sel = 'div#article-body-paid-content';
+        getOchToUnlock(url, paywall_sel, '', article_sel);
+      }
+    }
+    let ads = 'div[data-slot-name^="banner"], div[id^="taboola-"], div#piano-inline-offer';
+    hideDOMStyle(ads);
+  }
+});
@@ -0,0 +1,28 @@
+registerSiteModule({
+  domains: ['autocar.co.uk'],
+  run(ctx) {
+    let paywall = document.querySelector('div.ms-block, div.register-block');
+    if (paywall) {
+      removeDOMElement(paywall);
+      let json_script = getArticleJsonScript();
+      if (json_script) {
+        let json = JSON.parse(json_script.text);
+        if (json) {
+          let json_text = json.articleBody;
+          let article = document.querySelector('div.block-node');
+          if (json_text && article) {
+            article.innerHTML = '';
+            let article_new = document.createElement('p');
+            article_new.innerText = json_text;
+            let fade = document.querySelector('div.article-section > div[style*="max-height"]');
+            removeDOMElement(fade);
+            let url = window.location.href;
+            article.append(article_new, 'Text-only > for missing media/links: ', googleSearchToolLink(url));
+          }
+        }
+      }
+    }
+    let ads = 'div[class*="-ads-"]';
+    hideDOMStyle(ads);
+  }
+});
@@ -0,0 +1,9 @@
+registerSiteModule({
+  domains: ['autohebdo.fr'],
+  run(ctx) {
+    if (window.location.pathname.endsWith('.html')) {
+      if (dompurify_loaded)
+        getJsonUrl('div.box-info.yellow', '', 'div.editor', {art_append: 1});
+    }
+  }
+});
@@ -0,0 +1,15 @@
+registerSiteModule({
+  domains: ['automobilwoche.de'],
+  run(ctx) {
+    let body_hidden = document.querySelector('body[class]');
+    if (body_hidden)
+      body_hidden.removeAttribute('class');
+    let lazy_images = document.querySelectorAll('img.lazy[data-src]');
+    for (let elem of lazy_images) {
+      elem.src = elem.getAttribute('data-src');
+      elem.removeAttribute('class');
+    }
+    let lazy_sources = document.querySelectorAll('source[srcset^="data:image"]');
+    removeDOMElement(...lazy_sources);
+  }
+});
@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: ['autoplus.fr'],
+  run(ctx) {
+    let ads = 'div.placeholder-pub_dfp';
+    hideDOMStyle(ads);
+  }
+});
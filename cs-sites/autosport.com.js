@@ -0,0 +1,6 @@
+registerSiteModule({
+  domains: ['autosport.com'],
+  run(ctx) {
+    header_nofix('div.ms-article-content > p', 'div.ms-piano_article-banner');
+  }
+});
@@ -0,0 +1,8 @@
+registerSiteModule({
+  detect: 'head > script[src*=".axate.io/"]',
+  run(ctx) {
+    let premium = document.querySelector('.premium, div[class*="-premium"]');
+    if (premium)
+      premium.removeAttribute('class');
+  }
+});
@@ -0,0 +1,17 @@
+registerSiteModule({
+  domains: ['axios.com'],
+  run(ctx) {
+    function axios_noscroll(node) {
+      node.removeAttribute('style');
+      let overlay = 'div[class^="Modal_paywall"], div[class^="Modal_cta"]';
+      hideDOMStyle(overlay, 2);
+    }
+    let noscroll = document.querySelector('html[style]');
+    if (noscroll)
+      axios_noscroll(noscroll);
+    waitDOMAttribute('html', 'HTML', 'style', axios_noscroll, true);
+    let banners = 'div[data-cy="pro-paywall"], div.apexAd, div[class*="NativeAd"], span[data-ad-type]';
+    hideDOMStyle(banners);
+    csDoneOnce = true;
+  }
+});
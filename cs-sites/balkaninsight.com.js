@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: ['balkaninsight.com'],
+  run(ctx) {
+    if (dompurify_loaded)
+      getJsonUrl('div.subscribeWrapper', '', 'div.post_teaser', {art_append: true, art_hold: true});
+  }
+});
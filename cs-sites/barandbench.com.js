@@ -0,0 +1,15 @@
+registerSiteModule({
+  domains: ['barandbench.com', 'thenewsminute.com'],
+  run(ctx) {
+    let paywall = document.querySelector('div[id*="paywall-banner"]');
+    if (paywall && dompurify_loaded) {
+      removeDOMElement(paywall);
+      let article = document.querySelector('div.paywall');
+      if (article) {
+        let article_new = getArticleQuintype();
+        if (article_new && article.parentNode)
+          article.parentNode.replaceChild(article_new, article);
+      }
+    }
+  }
+});
@@ -0,0 +1,18 @@
+registerSiteModule({
+  domains: ['barrons.com'],
+  run(ctx) {
+    if (!window.location.pathname.startsWith('/amp/')) {
+      amp_redirect('div#cx-interstitial-snippet', '', '/amp' + window.location.pathname);
+      let continue_buttons = document.querySelectorAll('button.snippet__buttons--continue');
+      for (let elem of continue_buttons)
+        elem.addEventListener('click', function () { window.location.reload(); });
+      let ads = 'div[class*="_AdWrapper-"], div[class*="-adWrapper-"]';
+      hideDOMStyle(ads);
+    } else {
+      amp_unhide_subscr_section('.wsj-ad, amp-ad');
+      amp_images_replace();
+      let login = document.querySelector('div.login-section-container');
+      removeDOMElement(login);
+    }
+  }
+});
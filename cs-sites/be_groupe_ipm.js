@@ -0,0 +1,16 @@
+registerSiteModule({
+  domains: be_groupe_ipm_domains,
+  run(ctx) {
+    let paywall = document.querySelector('div.is-preview');
+    if (paywall) {
+      paywall.classList.remove('is-preview');
+      window.setTimeout(function () {
+        let div_hidden = document.querySelector('div.is-hidden');
+        if (div_hidden)
+          div_hidden.classList.remove('is-hidden');
+      }, 1000);
+    }
+    let ads = 'div.ap-AdContainer, div.ap-Outbrain';
+    hideDOMStyle(ads);
+  }
+});
@@ -0,0 +1,40 @@
+registerSiteModule({
+  domains: be_mediahuis_domains.concat(['limburger.nl']),
+  run(ctx) {
+    window.setTimeout(function () {
+      let video = document.querySelector('div.video');
+      func_post = function () {
+        if (video) {
+          let video_new = document.querySelector('div[id$="-streamone"], div[id^="video-player-"]') || document.querySelector('article div[style^="background-color"]');
+          if (!video_new) {
+            let empty_div = document.querySelector('div > div[aria-hidden="true"]:empty:not([class])');
+            if (empty_div)
+              video_new = empty_div.parentNode;
+          }
+          if (video_new && video_new.parentNode)
+            video_new.parentNode.replaceChild(video, video_new);
+        }
+        if (mobile) {
+          let lazy_images = document.querySelectorAll('figure img[loading="lazy"][style]');
+          for (let elem of lazy_images)
+            elem.style = 'width: 95%;';
+          let figures = document.querySelectorAll('figure div');
+          for (let elem of figures) {
+            elem.removeAttribute('style');
+            let svg = elem.querySelector('svg');
+            removeDOMElement(svg);
+          }
+        }
+        let article = document.querySelector(article_sel);
+        if (article) {
+          let pars = article.querySelectorAll('div[style*="font-size"]');
+          if (pars.length < 5)
+            header_nofix(article.querySelector('header'), '', 'BPC > no archive-fix');
+        }
+      }
+      let url = window.location.href;
+      let article_sel = 'article div[id], section div[id]:not([id^="warning"], [id^="ad_overlayer"]), main div[id]:not([id^="warning"], [id^="ad_overlayer"])';
+      getArchive(url, 'head > meta[name$="article_ispaidcontent"][content="true"]', '', article_sel);
+    }, 1500);
+  }
+});
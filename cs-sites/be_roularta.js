@@ -0,0 +1,43 @@
+registerSiteModule({
+  domains: be_roularta_domains,
+  run(ctx) {
+    if (matchDomain('beleggersbelangen.nl')) {
+      let paywall = document.querySelector('div.unlimited-access');
+      if (paywall) {
+        removeDOMElement(paywall);
+        let no_account = document.querySelector('div.no-account');
+        if (no_account)
+          no_account.classList.remove('no-account');
+        let content_inner = document.querySelector('div.content-inner[style]');
+        if (content_inner)
+          content_inner.removeAttribute('style');
+      }
+    } else {
+      let paywall = document.querySelector('div[id*="wall-modal"]');
+      if (paywall) {
+        removeDOMElement(paywall);
+        let html = document.querySelector('html[class]');
+        if (html)
+          html.removeAttribute('class');
+        function roularta_noscroll(node) {
+          node.removeAttribute('style');
+          node.removeAttribute('class');
+        }
+        waitDOMAttribute('html', 'html', 'class', roularta_noscroll, true);
+        let intro = document.querySelectorAll('div.article-body > p, div.article-body > style');
+        removeDOMElement(...intro);
+        let locked = document.querySelector('body.locked');
+        if (locked)
+          locked.classList.remove('locked');
+      }
+      if (!window.navigator.userAgent.toLowerCase().includes('chrome') && !matchDomain(['artsenkrant.com', 'kw.be']) && window.location.href.match(/\/(\w+-){2,}/)) {
+        let lazy_images = document.querySelectorAll('img[src^="data:image/"][data-lazy-src]');
+        for (let elem of lazy_images) {
+          elem.src = elem.getAttribute('data-lazy-src');
+        }
+      }
+    }
+    let ads = 'div.rmgAd, div.c-header__ad';
+    hideDOMStyle(ads);
+  }
+});
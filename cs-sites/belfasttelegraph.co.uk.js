@@ -0,0 +1,83 @@
+registerSiteModule({
+  domains: ['belfasttelegraph.co.uk', 'independent.ie'],
+  run(ctx) {
+    let paywall = document.querySelector('div[class*="_fadetowhite"]');
+    if (paywall && dompurify_loaded) {
+      let content = document.querySelector('script[data-fragment-type="ArticleContent"]');
+      if (content) {
+        removeDOMElement(paywall);
+        let flip_pay = 'div#flip-pay';
+        hideDOMStyle(flip_pay, 5);
+        let intro = document.querySelector('div > div[data-auth-intro="article"]');
+        if (intro) {
+          let intro_par = intro.querySelector('p[class]');
+          let intro_par_class;
+          if (intro_par)
+            intro_par_class = intro_par.getAttribute('class');
+          let content_text = content.innerText;
+          if (content_text.includes('__PRELOADED_STATE_GRAPH')) {
+            content_text = content_text.replace(/window\["__PRELOADED_STATE_GRAPH__.+"\]\s=\s/, '');
+            try {
+              let json = JSON.parse(content_text);
+              if (Object.keys(json).length) {
+                let key = Object.keys(json)[0];
+                let pars = json[key].data.article.body;
+                let parser = new DOMParser();
+                for (let par of pars) {
+                  for (let type in par) {
+                    let item = par[type];
+                    let elem = document.createElement('p');
+                    elem.setAttribute('style', "margin: 10px;");
+                    if (type === 'bullet_list') {
+                      let ul = document.createElement('ul');
+                      for (let sub_item of item) {
+                        let li = document.createElement('li');
+                        li.innerText = parseHtmlEntities(sub_item.replace(/<[^<]*>/g, ''));
+                        ul.appendChild(li);
+                      }
+                      elem.appendChild(ul);
+                    } else if (type === 'image') {
+                      let url = item.url;
+                      if (item.cropped && item.cropped.url)
+                        url = item.cropped.url;
+                      let figure = makeFigure(url, item.caption);
+                      elem.appendChild(figure);
+                    } else if (type === 'related') {
+                      if (item.articles) {
+                        let articles = item.articles;
+                        for (let article of articles) {
+                          let elem_link = document.createElement('a');
+                          elem_link.href = article.webcmsRelativeUrl;
+                          elem_link.innerText = article.title;
+                          elem_link.style = 'text-decoration: underline;';
+                          elem.append(elem_link, document.createElement('br'));
+                        }
+                      }
+                    } else if (!['ad', 'quote', 'streamone'].includes(type)) {
+                      let html = parser.parseFromString('<p class="' + intro_par_class + '">' + DOMPurify.sanitize(item, dompurify_options) + '</p>', 'text/html');
+                      elem = html.querySelector('p');
+                      let error_iframes = elem.querySelectorAll('iframe[allow*="fullscreen"][allowfullscreen]');
+                      for (let iframe of error_iframes)
+                        iframe.removeAttribute('allowfullscreen');
+                      if (!['p', 'subhead', 'legacy-ml'].includes(type)) {
+                        csLog('debug', 'json element not supported: ' + type, item);
+                      }
+                    }
+                    window.setTimeout(function () {
+                      if (elem)
+                        intro.parentNode.appendChild(elem);
+                    }, 500);
+                  }
+                }
+              }
+            } catch (err) {
+              csLog('error', err);
+            }
+          }
+        }
+      }
+    }
+    let ads = 'div.ad';
+    hideDOMStyle(ads);
+  }
+});
@@ -0,0 +1,37 @@
+registerSiteModule({
+  domains: ['benzinga.com'],
+  run(ctx) {
+    function benz_main(node) {
+      removeDOMElement(node);
+      let blurred = document.querySelector('div.article-content-paywalled');
+      if (blurred) {
+        blurred.classList.remove('article-content-paywalled');
+        let key_points = document.querySelectorAll('li.blur-sm');
+        for (let elem of key_points)
+          elem.classList.remove('blur-sm');
+        let article = document.querySelector('div#article-body');
+        if (article) {
+          let json_script = document.querySelector('script#__NEXT_DATA__');
+          if (json_script) {
+            try {
+              let json = JSON.parse(json_script.text);
+              if (json && json.props.pageProps.article.primaryImage) {
+                let img_data = json.props.pageProps.article.primaryImage;
+                if (img_data.url) {
+                  let img = document.createElement('img');
+                  img.src = img_data.url;
+                  img.alt = img_data.alt;
+                  article.before(img);
+                }
+              }
+            } catch (err) {
+              csLog('error', err);
+            }
+          }
+        }
+      }
+    }
+    waitDOMElement('div.paywall-content', 'DIV', benz_main, false);
+    csDoneOnce = true;
+  }
+});
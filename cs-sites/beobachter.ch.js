@@ -0,0 +1,79 @@
+registerSiteModule({
+  domains: ['beobachter.ch', 'handelszeitung.ch'],
+  run(ctx) {
+    let paywall = document.querySelector('div#piano-inlined');
+    if (paywall && dompurify_loaded) {
+      removeDOMElement(paywall);
+      let json_script = document.querySelector('script#hydrationdata');
+      if (json_script) {
+        try {
+          let json = JSON.parse(json_script.text);
+          if (json) {
+            let url_id = json_script.text.includes('"gcid":"') ? json_script.text.split('"gcid":"')[1].split('"')[0] : '';
+            if (url_id && !window.location.pathname.endsWith(url_id))
+              refreshCurrentTab();
+            let pars = json.state;
+            let paragraphs = document.querySelectorAll('div.paragraph');
+            let article = paragraphs[0];
+            if (article) {
+              article.setAttribute('class', 'paragraph text-paragraph');
+              for (let paragraph of paragraphs)
+                paragraph.innerHTML = '';
+              let parser = new DOMParser();
+              for (let par in pars) {
+                let par_elem = pars[par];
+                let elem = document.createElement('div');
+                elem.style = 'font-size: 1.7rem; margin: 25px;';
+                let sub_elem = '';
+                if (par_elem.__typename === 'TextParagraph' && par_elem.text) {
+                  let content_new = parser.parseFromString('<div>' + DOMPurify.sanitize(par_elem.text) + '</div>', 'text/html');
+                  sub_elem = content_new.querySelector('div');
+                } else if (par_elem.__typename === 'EmbedParagraph' && par_elem.embedCode) {
+                  let content_new = parser.parseFromString('<div>' + DOMPurify.sanitize(par_elem.embedCode, dompurify_options) + '</div>', 'text/html');
+                  sub_elem = content_new.querySelector('div');
+                  let iframe = sub_elem.querySelector('iframe[width]');
+                  if (iframe) {
+                    let ratio = iframe.width / (mobile ? 320 : 640);
+                    iframe.width = iframe.width / ratio;
+                    iframe.height = iframe.height / ratio;
+                  }
+                } else if (par_elem.__typename === 'ImageFile') {
+                  if (par_elem.origin) {
+                    sub_elem = document.createElement('img');
+                    sub_elem.src = par_elem.origin;
+                    sub_elem.alt = par_elem.alt;
+                    if (par_elem.width) {
+                      let ratio = par_elem.width / (mobile ? 320 : 640);
+                      sub_elem.width = par_elem.width / ratio;
+                      sub_elem.height = par_elem.height / ratio;
+                    }
+                  }
+                } else if (par_elem.__typename === 'Image') {
+                  if (par_elem.credit) {
+                    sub_elem = document.createElement('p');
+                    sub_elem.appendChild(document.createTextNode(par_elem.credit));
+                  }
+                } else if (par_elem.__typename === 'ImageParagraph') {
+                  if (par_elem.caption) {
+                    let content_new = parser.parseFromString('<div>' + DOMPurify.sanitize(par_elem.caption) + '</div>', 'text/html');
+                    sub_elem = content_new.querySelector('div');
+                  }
+                } else if (!['Article', 'Author', 'Channel', 'LandingPage', 'Query'].includes(par_elem.__typename)) {
+                  csLog('debug', 'json element not supported', par_elem);
+                }
+                if (sub_elem) {
+                  elem.appendChild(sub_elem);
+                  article.appendChild(elem);
+                }
+              }
+            }
+          }
+        } catch (err) {
+          csLog('error', err);
+        }
+      }
+    }
+    let ads = 'div.ad-wrapper, div[id^="apn-ad-slot-"]';
+    hideDOMStyle(ads);
+  }
+});
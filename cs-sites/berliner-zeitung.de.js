@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: ['berliner-zeitung.de'],
+  run(ctx) {
+    let ads = 'div[class^="traffective_"], div[class^="article_billboard-"], div[class*="_ad_"], div[class^="outbrain_"]';
+    hideDOMStyle(ads);
+  }
+});
@@ -0,0 +1,8 @@
+registerSiteModule({
+  domains: ['billboard.com'],
+  run(ctx) {
+    if (window.location.pathname.endsWith('/amp/')) {
+      amp_unhide_subscr_section('amp-ad, amp-embed');
+    }
+  }
+});
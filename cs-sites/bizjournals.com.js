@@ -0,0 +1,38 @@
+registerSiteModule({
+  domains: ['bizjournals.com'],
+  run(ctx) {
+    if (window.location.pathname.includes('/subscriber-only/')) {
+      header_nofix('div.primary');
+    } else {
+      let paywall = document.querySelector('div[data-dev="CxWidget_article:wall"]');
+      if (paywall) {
+        removeDOMElement(paywall);
+        let hidden_content = document.querySelector('article div[style="display: none;"]');
+        if (hidden_content)
+          hidden_content.removeAttribute('style');
+      } else {
+        let paywall = document.querySelector('div#cxense-paywall');
+        if (paywall) {
+          removeDOMElement(paywall);
+          let paywalled_content = document.querySelectorAll('.paywalled-content[style]');
+          for (let elem of paywalled_content)
+            elem.removeAttribute('style');
+        }
+      }
+      window.setTimeout(function () {
+        let dialog = document.querySelector('div[id^="headlessui-dialog-"]');
+        if (dialog) {
+          removeDOMElement(dialog);
+          let html = document.querySelector('html[style]');
+          if (html)
+            html.removeAttribute('style');
+          let nuxt_inert = document.querySelector('div#__nuxt[inert]');
+          if (nuxt_inert)
+            nuxt_inert.removeAttribute('inert');
+        }
+      }, 1000);
+    }
+    let ads = 'div.adwrap';
+    hideDOMStyle(ads);
+  }
+});
@@ -0,0 +1,24 @@
+registerSiteModule({
+  domains: ['bloomberg.com'],
+  run(ctx) {
+    let paywall_sel = 'div[id^="fortress-"]';
+    let paywall = paywall_sel;
+    let leaderboard = 'div[id^="leaderboard"], div[class^="leaderboard"], div.canopy-container';
+    let ads = 'div[data-ad-status], div[data-ad-type], div[class*="FullWidthAd_"], div.adWrapper';
+    hideDOMStyle(paywall + ', ' + leaderboard + ', ' + ads);
+    csDoneOnce = true;
+    waitDOMElement(paywall_sel, 'DIV', removeDOMElement, true);
+    waitDOMAttribute('body', 'BODY', 'data-paywall-overlay-status', node => node.removeAttribute('data-paywall-overlay-status'), true);
+    if (window.location.pathname.startsWith('/live/')) {
+      setInterval(function () {
+        window.localStorage.clear();
+      }, 15 * 60 * 1000);
+    }
+    window.setTimeout(function () {
+      let shimmering = document.querySelector('article.first-story div[class*="Placeholder_placeholderParagraphWrapper-"]');
+      if (shimmering) {
+        header_nofix(shimmering.parentNode, '', 'BPC > disable Dark Reader or enable JavaScript for site');
+      }
+    }, 5000);
+  }
+});
@@ -0,0 +1,10 @@
+registerSiteModule({
+  domains: ['bloombergadria.com'],
+  run(ctx) {
+    let article_hidden = document.querySelector('article[style]');
+    if (article_hidden)
+      article_hidden.removeAttribute('style');
+    let ads = '.banner';
+    hideDOMStyle(ads);
+  }
+});
@@ -0,0 +1,13 @@
+registerSiteModule({
+  domains: ['boersen-zeitung.de'],
+  run(ctx) {
+    window.setTimeout(function () {
+      let paywall = document.querySelector('storefront-section#paywall');
+      if (paywall) {
+        removeDOMElement(paywall);
+        let url = window.location.href;
+        replaceDomElementExt(url, false, false, 'article');
+      }
+    }, 1000);
+  }
+});
@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: ['bostonglobe.com'],
+  run(ctx) {
+    if (window.location.search.startsWith('?outputType=amp'))
+      amp_unhide_subscr_section();
+  }
+});
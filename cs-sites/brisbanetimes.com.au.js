@@ -0,0 +1,10 @@
+registerSiteModule({
+  domains: ['brisbanetimes.com.au', 'smh.com.au', 'theage.com.au', 'watoday.com.au'],
+  run(ctx) {
+    if (!window.location.hostname.startsWith('amp.')) {
+      amp_redirect('head > meta[content^="FOR SUBSCRIBERS"], #paywall_prompt');
+    } else {
+      amp_unhide_subscr_section();
+    }
+  }
+});
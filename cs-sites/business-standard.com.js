@@ -0,0 +1,48 @@
+registerSiteModule({
+  domains: ['business-standard.com'],
+  run(ctx) {
+    function bs_main(node) {
+      removeDOMElement(node);
+      let json_script = document.querySelector('script#__NEXT_DATA__');
+      if (json_script) {
+        try {
+          let json = JSON.parse(json_script.text);
+          if (json && json.props.pageProps.data.htmlContent) {
+            let json_text = json.props.pageProps.data.htmlContent;
+            let content = document.querySelector('div[class^="MainStory_storycontent__"');
+            if (json_text && content) {
+              content.innerHTML = '';
+              let intro = content.querySelectorAll('div:not([class]');
+              removeDOMElement(...intro);
+              let parser = new DOMParser();
+              let doc = parser.parseFromString('<div>' + DOMPurify.sanitize(json_text, dompurify_options) + '</div>', 'text/html');
+              let content_new = doc.querySelector('div');
+              window.setTimeout(function () {
+                content.appendChild(content_new);
+              }, 1000);
+            }
+          } else
+            refreshCurrentTab();
+        } catch (err) {
+          csLog('error', err);
+        }
+      }
+    }
+    if (!window.location.pathname.startsWith('/amp/')) {
+      if (dompurify_loaded) {
+        let paywall_sel = 'div.subscribe-page';
+        let paywall = document.querySelector(paywall_sel);
+        if (paywall) {
+          bs_main(paywall)
+        } else {
+          csDoneOnce = true;
+          waitDOMElement(paywall_sel, 'DIV', bs_main, false);
+        }
+      }
+      let banner = 'section.sbcrbtmlfull';
+      let ads = 'div.advertisement-bg, div[id^="between_article_content_"]';
+      hideDOMStyle(banner + ', ' + ads);
+    } else
+      ampToHtml();
+  }
+});
@@ -0,0 +1,25 @@
+registerSiteModule({
+  domains: ['businessam.be'],
+  run(ctx) {
+    let paywall = document.querySelector('div.paywall');
+    if (paywall && dompurify_loaded) {
+      removeDOMElement(paywall);
+      let article = document.querySelector('div.text-gradient');
+      if (article) {
+        let filter = /window\.fullcontent64\s?=\s?"/;
+        let content_script = getSourceJsonScript(filter);
+        if (content_script) {
+          try {
+            let content = decode_utf8(atob(content_script.text.split(filter)[1].split('";')[0]));
+            let parser = new DOMParser();
+            let doc = parser.parseFromString('<div>' + DOMPurify.sanitize(content, dompurify_options) + '</div>', 'text/html');
+            let content_new = doc.querySelector('div');
+            article.parentNode.replaceChild(content_new, article);
+          } catch (err) {
+            csLog('error', err);
+          }
+        }
+      }
+    }
+  }
+});
@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: ['businessinsider.com'],
+  run(ctx) {
+    let ads = 'div.l-ad, div.in-post-sticky, aside.has-video-ad, div.ad-callout-wrapper';
+    hideDOMStyle(ads);
+  }
+});
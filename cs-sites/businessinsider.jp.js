@@ -0,0 +1,8 @@
+registerSiteModule({
+  domains: ['businessinsider.jp'],
+  run(ctx) {
+    let paywall = document.querySelector('div.piano-paywall-container[hidden]');
+    if (paywall)
+      paywall.removeAttribute('hidden');
+  }
+});
@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: ['businessinsider.nl'],
+  run(ctx) {
+    if (dompurify_loaded)
+      getJsonUrl('div.piano-article__paywall', '', 'div.piano-article__content');
+  }
+});
@@ -0,0 +1,11 @@
+registerSiteModule({
+  domains: ['businessoffashion.com'],
+  run(ctx) {
+    if (window.location.search.startsWith('?outputType=amp')) {
+      amp_unhide_access_hide();
+    } else {
+      let ads = 'div[class^="default__AdsBlockWrapper"]';
+      hideDOMStyle(ads);
+    }
+  }
+});
@@ -0,0 +1,52 @@
+registerSiteModule({
+  domains: ['businesspost.ie'],
+  world: 'MAIN',
+  run(ctx) {
+    listenFromPage('div.article-body-section', function (article_new) {
+      let iframes = article_new.querySelectorAll('div.article__iframe > iframe[height]');
+      for (let elem of iframes)
+        elem.style = 'height: ' + (Number(elem.height) + 25) + 'px; !important';
+    });
+    function bpie_main() {
+      if ($) {
+        let article_id_dom = document.querySelector('article[id]');
+        let article_id;
+        if (article_id_dom)
+          article_id = article_id_dom.id;
+        if (article_id) {
+          let bp_ajaxurl = 'https://www.businesspost.ie/wp-admin/admin-ajax.php';
+          let data_ajax = {
+            action: 'fetch_article_content',
+            type: 'POST',
+            data: {
+              id: article_id
+            },
+            dataType: 'json',
+            contentType: 'application/json'
+          };
+          $.ajax({
+            type: 'POST',
+            url: bp_ajaxurl,
+            data: data_ajax,
+            success: function (data) {
+              window.postMessage({type: 'from_page', data: data});
+            }
+          });
+        }
+      } else
+        refreshCurrentTab();
+    }
+    csDoneOnce = true;
+    window.setTimeout(function () {
+      let paywall = document.querySelector('div#bp_paywall_content');
+      let article_id_dom = document.querySelector('article[id]');
+      let article_id;
+      if (article_id_dom)
+        article_id = article_id_dom.id;
+      if (paywall || article_id) {
+        removeDOMElement(paywall);
+        insert_script(bpie_main);
+      }
+    }, 1500);
+  }
+});
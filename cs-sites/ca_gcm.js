@@ -0,0 +1,12 @@
+registerSiteModule({
+  domains: ca_gcm_domains,
+  run(ctx) {
+    let paywall = document.querySelector('div._block_1dgevo');
+    if (paywall) {
+      removeDOMElement(paywall);
+      refreshCurrentTab();
+    }
+    let counter = document.querySelector('div#paywall-banner-content');
+    removeDOMElement(counter);
+  }
+});
@@ -0,0 +1,7 @@
+registerSiteModule({
+  detect: 'head > script[src*=".postmedia.digital/"], head > meta[content*=".postmedia.digital/"]',
+  run(ctx) {
+    let ads = 'div.ad__section-border, div[id^="tbl_"], div.js-widget-content';
+    hideDOMStyle(ads);
+  }
+});
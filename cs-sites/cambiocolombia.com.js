@@ -0,0 +1,14 @@
+registerSiteModule({
+  domains: ['cambiocolombia.com'],
+  run(ctx) {
+    if (!window.location.pathname.startsWith('/amp/')) {
+      let paywall = document.querySelector('div#require-access');
+      if (paywall) {
+        removeDOMElement(paywall);
+        window.location.href = '/amp' + window.location.pathname;
+      }
+    } else {
+      amp_unhide_subscr_section('amp-ad, amp-embed');
+    }
+  }
+});
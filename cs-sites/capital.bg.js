@@ -0,0 +1,42 @@
+registerSiteModule({
+  domains: ['capital.bg'],
+  run(ctx) {
+    let paywall = document.querySelector('div.paywall-story');
+    if (paywall) {
+      removeDOMElement(paywall);
+      let json_script = getArticleJsonScript();
+      if (json_script) {
+        let json = JSON.parse(json_script.text);
+        if (json) {
+          let json_text = json.articleBody;
+          let img_main = document.querySelector('div.story--header picture > img[src]');
+          let article = document.querySelector('div.story-content');
+          if (json_text && article) {
+            let article_new = document.createElement('p');
+            let json_pars = parseHtmlEntities(json_text).replace(/\s{2,}/g, '\r\n\r\n').split(/[\[\]]{2}/);
+            for (let elem of json_pars) {
+              let par;
+              if (!elem.match(/[\[\]]{2}/)) {
+                if (elem.match(/img:\d+/)) {
+                  if (img_main) {
+                    let img_new_id = elem.split('img:')[1];
+                    if (img_new_id) {
+                      par = document.createElement('img');
+                      par.src = img_main.src.replace(/_\d+\./, '_' + img_new_id + '.').split('?')[0];
+                      par.style = 'margin: 20px; width: 90%;';
+                    }
+                  }
+                } else if (!elem.match(/quote:\d+/)) {
+                  par = document.createElement('p');
+                  par.innerText = elem;
+                }
+              }
+              if (par)
+                article.appendChild(par);
+            }
+          }
+        }
+      }
+    }
+  }
+});
@@ -0,0 +1,21 @@
+registerSiteModule({
+  domains: ['capital.fr'],
+  run(ctx) {
+    let videos = document.querySelectorAll('div > div#prisma-player-leader[data-ads-core*="Dailymotion"]');
+    for (let video of videos) {
+      try {
+        let json = JSON.parse(video.getAttribute('data-ads-core'));
+        if (json && json.playerVideoId) {
+          let iframe = document.createElement('iframe');
+          iframe.src = 'https://www.dailymotion.com/embed/video/' + json.playerVideoId;
+          iframe.style = 'height: ' + video.offsetHeight + 'px; width: ' + video.offsetWidth + 'px;';
+          video.parentNode.replaceChild(iframe, video);
+        }
+      } catch (err) {
+        csLog('error', err);
+      }
+    }
+    let ads = 'div.containerAds, div.ads-introText, div.outbrain-ads';
+    hideDOMStyle(ads);
+  }
+});
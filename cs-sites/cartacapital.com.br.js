@@ -0,0 +1,39 @@
+registerSiteModule({
+  domains: ['cartacapital.com.br'],
+  run(ctx) {
+    if (!window.location.pathname.endsWith('/amp/')) {
+      let paywall = document.querySelector('aside.paywall');
+      if (paywall) {
+        removeDOMElement(paywall);
+        let json_script = getArticleJsonScript();
+        if (json_script) {
+          try {
+            let json = JSON.parse(json_script.text);
+            if (json) {
+              let json_text = json[1].articleBody.replace(/\s{2,}/g, '\r\n\r\n');
+              let content = document.querySelector('section.s-content__text');
+              if (json_text && content) {
+                content.innerHTML = '';
+                let article_new = document.createElement('p');
+                article_new.innerText = json_text;
+                content.appendChild(article_new);
+              }
+            }
+          } catch (err) {
+            csLog('error', err);
+          }
+        }
+      } else {
+        let content_soft = document.querySelector('div.contentSoft');
+        if (content_soft) {
+          content_soft.removeAttribute('class');
+          let freemium = document.querySelectorAll('div[class^="s-freemium"], div.maggazine-add');
+          removeDOMElement(...freemium);
+        }
+      }
+      let ads = 'div.div_ros_topo';
+      hideDOMStyle(ads);
+    } else
+      ampToHtml();
+  }
+});
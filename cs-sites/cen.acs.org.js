@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: ['cen.acs.org'],
+  run(ctx) {
+    let meteredBar = document.querySelector('.meteredBar');
+    removeDOMElement(meteredBar);
+  }
+});
@@ -0,0 +1,11 @@
+registerSiteModule({
+  domains: ch_media_domains,
+  detect: 'head > link[href*="/assets.static-chmedia.ch/"]',
+  run(ctx) {
+    let infobox_body = document.querySelector('div.infobox__body');
+    if (infobox_body)
+      infobox_body.removeAttribute('class');
+    let paywall = document.querySelector('div.dynamic-regwall');
+    removeDOMElement(paywall);
+  }
+});
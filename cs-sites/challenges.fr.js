@@ -0,0 +1,19 @@
+registerSiteModule({
+  domains: ['challenges.fr', 'sciencesetavenir.fr'],
+  run(ctx) {
+    if (window.location.pathname.endsWith('.amp')) {
+      amp_unhide_access_hide('="paywall.access OR cha.access"', '="NOT (paywall.access OR cha.access)"');
+    } else {
+      let content = document.querySelectorAll('.user-paying-content');
+      for (let elem of content) {
+        elem.classList.remove('user-paying-content');
+        elem.removeAttribute('hidden');
+      }
+      let paywall = document.querySelector('.temp-paywall');
+      removeDOMElement(paywall);
+      let amorce = 'div.amorce.manual';
+      let ads = 'div[class^="pub-container"], div[id^="moneytag-"]';
+      hideDOMStyle(amorce + ', ' + ads);
+    }
+  }
+});
@@ -0,0 +1,10 @@
+registerSiteModule({
+  domains: ['charliehebdo.fr'],
+  run(ctx) {
+    window.setTimeout(function () {
+      let paywalled_content = document.querySelector('div.ch-paywalled-content');
+      if (paywalled_content)
+        paywalled_content.removeAttribute('style');
+    }, 500);
+  }
+});
@@ -0,0 +1,15 @@
+registerSiteModule({
+  domains: ['chronicle.com', 'philanthropy.com'],
+  run(ctx) {
+    let preview = document.querySelector('div[data-content-summary]');
+    removeDOMElement(preview);
+    let article_hidden = document.querySelector('div[class~="contentBody" i][hidden]');
+    if (article_hidden) {
+      let attributes = [...article_hidden.attributes].filter(x => x.name !== 'class');
+      for (let elem of attributes)
+        article_hidden.removeAttribute(elem.name);
+    }
+    let ads = 'div.GoogleDfpAd-container';
+    hideDOMStyle(ads);
+  }
+});
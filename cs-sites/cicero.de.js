@@ -0,0 +1,40 @@
+registerSiteModule({
+  domains: ['cicero.de'],
+  run(ctx) {
+    let url = ctx.url;
+    if (!window.location.search.match(/(\?|&)amp/)) {
+      let paywall = document.querySelector('.plenigo-paywall');
+      if (paywall) {
+        removeDOMElement(paywall);
+        func_post = function () {
+          let related_images = document.querySelectorAll('amp-carousel a > amp-img[src]');
+          for (let elem of related_images) {
+            let img = document.createElement('img');
+            Object.assign(img, {
+              src: elem.getAttribute('src'),
+              height: elem.getAttribute('height'),
+              width: elem.getAttribute('width'),
+              alt: elem.getAttribute('alt')
+            });
+            elem.parentNode.replaceChild(img, elem);
+          }
+          let img_captions = document.querySelectorAll('div.carousel-caption:empty');
+          removeDOMElement(...img_captions);
+        }
+        let url_amp = url.split('?')[0] + '?amp';
+        replaceDomElementExt(url_amp, false, false, '.field-name-field-cc-body');
+      }
+    } else {
+      let teasered_content = document.querySelector('.teasered-content');
+      if (teasered_content)
+        teasered_content.classList.remove('teasered-content');
+      let teasered_content_fader = document.querySelector('.teasered-content-fader');
+      let btn_read_more = document.querySelector('.btn--read-more');
+      removeDOMElement(teasered_content_fader, btn_read_more);
+      let ads = 'amp-ad';
+      hideDOMStyle(ads);
+    }
+    let urban_ad_sign = document.querySelectorAll('.urban-ad-sign');
+    removeDOMElement(...urban_ad_sign);
+  }
+});
@@ -0,0 +1,14 @@
+registerSiteModule({
+  detect: 'head > meta[property="og:image"][content*="://impresa.soy-chile.cl/"]',
+  run(ctx) {
+    window.setTimeout(function () {
+      let content = document.querySelector('div.content');
+      if (content)
+        content.setAttribute('id', 'content_new');
+      let modal_wrapper = document.querySelector('div.modal-wrapper');
+      removeDOMElement(modal_wrapper);
+    }, 1000);
+    waitDOMAttribute('body', 'BODY', 'class', node => node.removeAttribute('class'), true);
+    csDoneOnce = true;
+  }
+});
@@ -0,0 +1,19 @@
+registerSiteModule({
+  domains: ['cnbc.com'],
+  run(ctx) {
+    let paywall = document.querySelector('div.ArticleGate-proGate');
+    if (paywall) {
+      removeDOMElement(paywall);
+      let article = document.querySelector('div.ArticleBody-articleBody');
+      if (article)
+        article.style = "margin: 20px 0px; font-family: Lyon,Helvetica,Arial,sans-serif; font-size: 18px; line-height: 1.66";
+      let span_hidden = document.querySelectorAll('span[hidden]');
+      for (let elem of span_hidden) {
+        elem.removeAttribute('hidden');
+        elem.removeAttribute('class');
+        if (elem.innerText)
+          elem.innerText = elem.innerText.split('DISCLOSURES: (None)')[0];
+      }
+    }
+  }
+});
@@ -0,0 +1,18 @@
+registerSiteModule({
+  domains: ['cnn.com'],
+  run(ctx) {
+    let subwall = document.querySelector('div[data-component-id="subwall"]');
+    if (subwall) {
+      removeDOMElement(subwall);
+      let noscroll = document.querySelector('html[style]');
+      if (noscroll)
+        noscroll.removeAttribute('style');
+      waitDOMAttribute('html', 'HTML', 'style', node => node.removeAttribute('style'), true);
+    }
+    let regwall_keys = Object.keys(window.localStorage).filter(x => x.match(/reg_?wall/i));
+    for (let item of regwall_keys)
+      window.localStorage.removeItem(item);
+    let ads = 'div[class^="ad-slot-"], div.container__ads';
+    hideDOMStyle(ads);
+  }
+});
@@ -0,0 +1,14 @@
+registerSiteModule({
+  domains: ['corriere.it'],
+  run(ctx) {
+    if (window.location.pathname.endsWith('_amp.html')) {
+      amp_unhide_subscr_section('amp-ad, amp-embed');
+    } else {
+      if (window.location.pathname.includes('_preview.shtml') && !window.location.pathname.startsWith('/podcast/')) {
+        window.setTimeout(function () {
+          window.location.href = window.location.pathname.replace('_preview.shtml', '.shtml');
+        }, 500);
+      }
+    }
+  }
+});
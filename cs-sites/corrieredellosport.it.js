@@ -0,0 +1,13 @@
+registerSiteModule({
+  domains: ['corrieredellosport.it'],
+  run(ctx) {
+    if (!window.location.pathname.startsWith('/amp/')) {
+      amp_redirect('div[class^="MainTextTruncated_paragraph__"]');
+      let ads = 'div[class^="AdUnit_placeholder"]';
+      hideDOMStyle(ads);
+    } else {
+      let ads = 'amp-ad, amp-embed';
+      hideDOMStyle(ads);
+    }
+  }
+});
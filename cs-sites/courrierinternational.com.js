@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: ['courrierinternational.com'],
+  run(ctx) {
+    let url = ctx.url;
+    getArchive(url, 'div#bloc_paywall', '', 'article');
+  }
+});
@@ -0,0 +1,12 @@
+registerSiteModule({
+  domains: ['crikey.com.au', 'inc-aus.com', 'smartcompany.com.au', 'themandarin.com.au'],
+  run(ctx) {
+    if (matchDomain('themandarin.com.au')) {
+      if (dompurify_loaded)
+        getJsonUrl('div[data-enterprise-agreement-paywall="true"]', '', 'div.paywall-mandy');
+    } else {
+      let ads = '.advert';
+      hideDOMStyle(ads);
+    }
+  }
+});
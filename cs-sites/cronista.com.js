@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: ['cronista.com'],
+  run(ctx) {
+    let ads = 'div#ad-slot-header, div.ad-slot-intext, div#selectMediaNota, div.b-suscription-container';
+    hideDOMStyle(ads);
+  }
+});
@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: ['crusoe.com.br'],
+  run(ctx) {
+    let ads = '#gpt-leaderboard, .ads_desktop, .catchment-box';
+    hideDOMStyle(ads);
+  }
+});
@@ -0,0 +1,724 @@
+// Generated by tools/build-cs-sites.js from cs-sites/*.js (do not edit)
+// domain → site module, detect modules (sites without module), world of module (default ISOLATED)
+var csSitesIndex = {
+  "domains": {
+    "360dx.com": "usa_craincomm",
+    "aachener-zeitung.de": "aachener-zeitung.de",
+    "aargauerzeitung.ch": "ch_media",
+    "abc.es": "es_grupo_vocento",
+    "abendblatt.de": "de_funke_medien",
+    "abqjournal.com": "usa_lee_ent",
+    "abril.com.br": "abril.com.br",
+    "accountingtoday.com": "americanbanker.com",
+    "ad.nl": "nl_dpg_adr",
+    "adage.com": "usa_craincomm",
+    "aerokurier.de": "de_motor_presse",
+    "aerztezeitung.de": "aerztezeitung.de",
+    "afr.com": "afr.com",
+    "aisnenouvelle.fr": "fr_be_groupe_rossel",
+    "ajc.com": "ajc.com",
+    "al.com": "usa_adv_local",
+    "allgemeine-zeitung.de": "de_vrm",
+    "alternatives-economiques.fr": "alternatives-economiques.fr",
+    "americanbanker.com": "americanbanker.com",
+    "apollo-magazine.com": "apollo-magazine.com",
+    "ara.cat": "ara.cat",
+    "arabalears.cat": "ara.cat",
+    "architecturaldigest.com": "usa_conde_nast",
+    "arcinfo.ch": "arcinfo.ch",
+    "artnet.com": "artnet.com",
+    "artsenkrant.com": "be_roularta",
+    "asia.nikkei.com": "asia.nikkei.com",
+    "atlantico.fr": "atlantico.fr",
+    "augsburger-allgemeine.de": "augsburger-allgemeine.de",
+    "auto-motor-und-sport.de": "de_motor_presse",
+    "auto-swiat.pl": "pl_ringier",
+    "autocar.co.uk": "autocar.co.uk",
+    "autohebdo.fr": "autohebdo.fr",
+    "automobilwoche.de": "automobilwoche.de",
+    "autonews.com": "usa_craincomm",
+    "autoplus.fr": "autoplus.fr",
+    "autosport.com": "autosport.com",
+    "axios.com": "axios.com",
+    "azcentral.com": "usa_gannett",
+    "backpacker.com": "usa_outside_mag",
+    "balkaninsight.com": "balkaninsight.com",
+    "baltimoresun.com": "usa_tribune",
+    "barandbench.com": "barandbench.com",
+    "barrons.com": "barrons.com",
+    "bd.nl": "nl_dpg_adr",
+    "beleggersbelangen.nl": "be_roularta",
+    "belfasttelegraph.co.uk": "belfasttelegraph.co.uk",
+    "benefitnews.com": "americanbanker.com",
+    "benzinga.com": "benzinga.com",
+    "beobachter.ch": "beobachter.ch",
+    "berliner-zeitung.de": "berliner-zeitung.de",
+    "betamtb.com": "usa_outside_mag",
+    "betternutrition.com": "usa_outside_mag",
+    "betterprogramming.pub": "medium.com",
+    "bgland24.de": "ovb-online.de",
+    "billboard.com": "billboard.com",
+    "bizjournals.com": "bizjournals.com",
+    "bloomberg.com": "bloomberg.com",
+    "bloombergadria.com": "bloombergadria.com",
+    "bnd.com": "usa_mcc",
+    "bndestem.nl": "nl_dpg_adr",
+    "boersen-zeitung.de": "boersen-zeitung.de",
+    "bonappetit.com": "usa_conde_nast",
+    "bondbuyer.com": "americanbanker.com",
+    "bostonglobe.com": "bostonglobe.com",
+    "bostonherald.com": "usa_mng",
+    "braunschweiger-zeitung.de": "de_funke_medien",
+    "brisbanetimes.com.au": "brisbanetimes.com.au",
+    "buerstaedter-zeitung.de": "de_vrm",
+    "buffalonews.com": "usa_lee_ent",
+    "business-standard.com": "business-standard.com",
+    "businessam.be": "businessam.be",
+    "businessdailyafrica.com": "ke_nation_media",
+    "businessinsider.com": "businessinsider.com",
+    "businessinsider.com.pl": "pl_ringier",
+    "businessinsider.jp": "businessinsider.jp",
+    "businessinsider.nl": "businessinsider.nl",
+    "businessoffashion.com": "businessoffashion.com",
+    "businesspost.ie": "businesspost.ie",
+    "cambiocolombia.com": "cambiocolombia.com",
+    "canarias7.es": "es_grupo_vocento",
+    "capital.bg": "capital.bg",
+    "capital.fr": "capital.fr",
+    "capitalgazette.com": "usa_tribune",
+    "cartacapital.com.br": "cartacapital.com.br",
+    "cen.acs.org": "cen.acs.org",
+    "centrepresseaveyron.fr": "fr_groupe_la_depeche",
+    "challenges.fr": "challenges.fr",
+    "charentelibre.fr": "sudouest.fr",
+    "charliehebdo.fr": "charliehebdo.fr",
+    "charlotteobserver.com": "usa_mcc",
+    "chicagobusiness.com": "usa_craincomm",
+    "chicagotribune.com": "usa_tribune",
+    "chiemgau24.de": "ovb-online.de",
+    "chronicle.com": "chronicle.com",
+    "cicero.de": "cicero.de",
+    "cincinnati.com": "usa_gannett",
+    "clarin.com": "ar_grupo_clarin",
+    "cleaneatingmag.com": "usa_outside_mag",
+    "cleveland.com": "usa_adv_local",
+    "climbing.com": "usa_outside_mag",
+    "cnbc.com": "cnbc.com",
+    "cnn.com": "cnn.com",
+    "cntraveler.com": "usa_conde_nast",
+    "com.au": "au_other",
+    "commercialappeal.com": "usa_gannett",
+    "computerweekly.com": "techtarget.com",
+    "corriere.it": "corriere.it",
+    "corriereadriatico.it": "it_ilmessaggero",
+    "corrieredellosport.it": "corrieredellosport.it",
+    "courant.com": "usa_tribune",
+    "courier-journal.com": "usa_gannett",
+    "courrier-picard.fr": "fr_be_groupe_rossel",
+    "courrierinternational.com": "courrierinternational.com",
+    "crainscleveland.com": "usa_craincomm",
+    "crainsdetroit.com": "usa_craincomm",
+    "crainsgrandrapids.com": "usa_craincomm",
+    "crainsnewyork.com": "usa_craincomm",
+    "crikey.com.au": "crikey.com.au",
+    "cronista.com": "cronista.com",
+    "crusoe.com.br": "crusoe.com.br",
+    "csmonitor.com": "csmonitor.com",
+    "ctpost.com": "usa_hearst_comm",
+    "curbed.com": "usa_nymag",
+    "cw.com.tw": "cw.com.tw",
+    "cyclingnews.com": "cyclingnews.com",
+    "dailypress.com": "usa_tribune",
+    "dailywire.com": "dailywire.com",
+    "dallasnews.com": "dallasnews.com",
+    "decanter.com": "decanter.com",
+    "defector.com": "defector.com",
+    "democratandchronicle.com": "usa_gannett",
+    "demorgen.be": "nl_dpg_media",
+    "denverpost.com": "usa_mng",
+    "desmoinesregister.com": "usa_gannett",
+    "destentor.nl": "nl_dpg_adr",
+    "detroitnews.com": "usa_gannett",
+    "dhnet.be": "be_groupe_ipm",
+    "diaridegirona.cat": "es_epiberica",
+    "diariocordoba.com": "es_epiberica",
+    "diariocorreo.pe": "pe_grupo_elcomercio",
+    "diariodeibiza.es": "es_epiberica",
+    "diariodemallorca.es": "es_epiberica",
+    "diariosur.es": "es_grupo_vocento",
+    "diariovasco.com": "es_grupo_vocento",
+    "dig-in.com": "americanbanker.com",
+    "digiday.com": "digiday.com",
+    "discovermagazine.com": "discovermagazine.com",
+    "dispatch.com": "usa_gannett",
+    "dn.no": "no_dn_media",
+    "doorbraak.be": "doorbraak.be",
+    "dvhn.nl": "lc.nl",
+    "dwell.com": "dwell.com",
+    "eastbaytimes.com": "usa_mng",
+    "eastwest.eu": "eastwest.eu",
+    "echo-online.de": "de_vrm",
+    "economictimes.com": "economictimes.com",
+    "economictimes.indiatimes.com": "economictimes.indiatimes.com",
+    "economist.com": "economist.com",
+    "ed.nl": "nl_dpg_adr",
+    "editorialedomani.it": "editorialedomani.it",
+    "elcomercio.es": "es_grupo_vocento",
+    "elcomercio.pe": "pe_grupo_elcomercio",
+    "elconfidencial.com": "elconfidencial.com",
+    "elcorreo.com": "es_grupo_vocento",
+    "elcorreogallego.es": "es_epiberica",
+    "elcorreoweb.es": "es_epiberica",
+    "eldia.es": "es_epiberica",
+    "eldiario.es": "eldiario.es",
+    "eldiariomontanes.es": "es_grupo_vocento",
+    "elespanol.com": "elespanol.com",
+    "elespectador.com": "elespectador.com",
+    "elle.fr": "elle.fr",
+    "elmundo.es": "es_unidad",
+    "elnortedecastilla.es": "es_grupo_vocento",
+    "elnuevoherald.com": "usa_mcc",
+    "elobservador.com.uy": "elobservador.com.uy",
+    "elpais.com": "elpais.com",
+    "elperiodico.com": "es_epiberica",
+    "elperiodicodearagon.com": "es_epiberica",
+    "elperiodicoextremadura.com": "es_epiberica",
+    "elperiodicomediterraneo.com": "es_epiberica",
+    "eltiempo.com": "eltiempo.com",
+    "eltribuno.com": "eltribuno.com",
+    "em.com.br": "em.com.br",
+    "emporda.info": "es_epiberica",
+    "enotes.com": "enotes.com",
+    "epaper.indiatimes.com": "timesofindia",
+    "epe.es": "es_epiberica",
+    "epicurious.com": "usa_conde_nast",
+    "epoch.org.il": "epoch.org.il",
+    "espn.com": "espn.com",
+    "estadao.com.br": "estadao.com.br",
+    "etc.se": "etc.se",
+    "euobserver.com": "euobserver.com",
+    "european-rubber-journal.com": "usa_craincomm",
+    "europower.no": "no_dn_media",
+    "exame.com": "exame.com",
+    "expansion.com": "es_unidad",
+    "expressnews.com": "usa_hearst_comm",
+    "expresso.pt": "expresso.pt",
+    "farodevigo.es": "es_epiberica",
+    "fastcompany.com": "fastcompany.com",
+    "faz.net": "faz.net",
+    "femmesdaujourdhui.be": "be_roularta",
+    "fieldandstream.com": "fieldandstream.com",
+    "financial-planning.com": "americanbanker.com",
+    "financialexpress.com": "financialexpress.com",
+    "firstthings.com": "firstthings.com",
+    "fiskeribladet.no": "no_dn_media",
+    "flair.be": "be_roularta",
+    "flair.nl": "nl_dpg_media",
+    "flugrevue.de": "de_motor_presse",
+    "fnlondon.com": "fnlondon.com",
+    "forbes.com": "forbes.com",
+    "forbes.com.au": "forbes.com.au",
+    "forbes.pl": "pl_ringier",
+    "forbes.ua": "forbes.ua",
+    "foreignaffairs.com": "foreignaffairs.com",
+    "foreignpolicy.com": "foreignpolicy.com",
+    "fortune.com": "fortune.com",
+    "foxnews.com": "foxnews.com",
+    "freep.com": "usa_gannett",
+    "freitag.de": "freitag.de",
+    "fresnobee.com": "usa_mcc",
+    "ft.com": "ft.com",
+    "ftm.eu": "ftm.eu",
+    "ftm.nl": "ftm.nl",
+    "ga.de": "de_rp_medien",
+    "gauchazh.clicrbs.com.br": "gauchazh.clicrbs.com.br",
+    "gazetadopovo.com.br": "gazetadopovo.com.br",
+    "gazzetta.it": "gazzetta.it",
+    "gazzettadimodena.it": "iltirreno.it",
+    "gazzettadireggio.it": "iltirreno.it",
+    "gbnews.com": "gbnews.com",
+    "gelderlander.nl": "nl_dpg_adr",
+    "genomeweb.com": "usa_craincomm",
+    "gestion.pe": "pe_grupo_elcomercio",
+    "globo.com": "globo.com",
+    "glossy.co": "digiday.com",
+    "golem.de": "golem.de",
+    "gq.com": "usa_conde_nast",
+    "granta.com": "granta.com",
+    "groene.nl": "groene.nl",
+    "grubstreet.com": "usa_nymag",
+    "gva.be": "be_mediahuis",
+    "haaretz.co.il": "haaretz.co.il",
+    "haaretz.com": "haaretz.co.il",
+    "handelsblatt.com": "handelsblatt.com",
+    "handelszeitung.ch": "beobachter.ch",
+    "haz.de": "de_madsack",
+    "hbr.org": "hbr.org",
+    "hbvl.be": "be_mediahuis",
+    "heise.de": "heise.de",
+    "hilltimes.com": "hilltimes.com",
+    "hindustantimes.com": "hindustantimes.com",
+    "historyextra.com": "historyextra.com",
+    "hln.be": "nl_dpg_adr",
+    "hochheimer-zeitung.de": "de_vrm",
+    "houstonchronicle.com": "usa_hearst_comm",
+    "hoy.es": "es_grupo_vocento",
+    "huffingtonpost.it": "it_gedi",
+    "humo.be": "nl_dpg_media",
+    "hydrogeninsight.com": "no_dn_media",
+    "ideal.es": "es_grupo_vocento",
+    "ikz-online.de": "de_funke_medien",
+    "ilfattoquotidiano.it": "ilfattoquotidiano.it",
+    "ilfoglio.it": "ilfoglio.it",
+    "ilgazzettino.it": "it_ilmessaggero",
+    "ilgiorno.it": "it_quotidiano",
+    "ilmanifesto.it": "ilmanifesto.it",
+    "ilmattino.it": "it_ilmessaggero",
+    "ilmessaggero.it": "it_ilmessaggero",
+    "ilrestodelcarlino.it": "it_quotidiano",
+    "ilsole24ore.com": "ilsole24ore.com",
+    "iltelegrafolivorno.it": "it_quotidiano",
+    "iltirreno.it": "iltirreno.it",
+    "inc-aus.com": "crikey.com.au",
+    "inc42.com": "inc42.com",
+    "independent.co.uk": "independent.co.uk",
+    "independent.ie": "belfasttelegraph.co.uk",
+    "indianexpress.com": "indianexpress.com",
+    "indiatoday.in": "indiatoday.in",
+    "indystar.com": "usa_gannett",
+    "informacion.es": "es_epiberica",
+    "infzm.com": "infzm.com",
+    "inkl.com": "inkl.com",
+    "innsalzach24.de": "ovb-online.de",
+    "insidehighered.com": "insidehighered.com",
+    "interestingengineering.com": "interestingengineering.com",
+    "intrafish.com": "no_dn_media",
+    "intrafish.no": "no_dn_media",
+    "investorschronicle.co.uk": "investorschronicle.co.uk",
+    "ipolitics.ca": "ipolitics.ca",
+    "italian.tech": "it_gedi",
+    "italiaoggi.it": "italiaoggi.it",
+    "jacksonville.com": "usa_gannett",
+    "jacobin.de": "jacobin.de",
+    "japantimes.co.jp": "japantimes.co.jp",
+    "jazziz.com": "jazziz.com",
+    "jgnt.co": "thejuggernaut.com",
+    "journaldemillau.fr": "fr_groupe_la_depeche",
+    "journaldunet.com": "journaldunet.com",
+    "journalnow.com": "usa_lee_ent",
+    "journalstar.com": "usa_lee_ent",
+    "jpost.com": "jpost.com",
+    "jsonline.com": "usa_gannett",
+    "kansas.com": "usa_mcc",
+    "kansascity.com": "usa_mcc",
+    "kentucky.com": "usa_mcc",
+    "kn-online.de": "de_madsack",
+    "knack.be": "be_roularta",
+    "knoxnews.com": "usa_gannett",
+    "kompas.id": "kompas.id",
+    "komputerswiat.pl": "pl_ringier",
+    "krautreporter.de": "krautreporter.de",
+    "ksta.de": "ksta.de",
+    "kurier.at": "kurier.at",
+    "kw.be": "be_roularta",
+    "la-croix.com": "la-croix.com",
+    "lacote.ch": "arcinfo.ch",
+    "ladepeche.fr": "fr_groupe_la_depeche",
+    "ladiaria.com.uy": "ladiaria.com.uy",
+    "lalibre.be": "be_groupe_ipm",
+    "lamontagne.fr": "lamontagne.fr",
+    "lampertheimer-zeitung.de": "de_vrm",
+    "lanacion.com.ar": "lanacion.com.ar",
+    "lanazione.it": "it_quotidiano",
+    "lanouvellerepublique.fr": "lanouvellerepublique.fr",
+    "lanuovaferrara.it": "iltirreno.it",
+    "lanuovasardegna.it": "iltirreno.it",
+    "laopinioncoruna.es": "es_epiberica",
+    "laopiniondemalaga.es": "es_epiberica",
+    "laopiniondemurcia.es": "es_epiberica",
+    "laopiniondezamora.es": "es_epiberica",
+    "laprovincia.es": "es_epiberica",
+    "lardennais.fr": "fr_be_groupe_rossel",
+    "larepubliquedespyrenees.fr": "sudouest.fr",
+    "larioja.com": "es_grupo_vocento",
+    "lasprovincias.es": "es_grupo_vocento",
+    "lastampa.it": "it_gedi",
+    "latercera.com": "latercera.com",
+    "latimes.com": "latimes.com",
+    "latribune.ca": "ca_gcm",
+    "lauterbacher-anzeiger.de": "de_vrm",
+    "lavanguardia.com": "lavanguardia.com",
+    "lavenir.net": "be_groupe_ipm",
+    "laverdad.es": "es_grupo_vocento",
+    "lavoixdelest.ca": "ca_gcm",
+    "lavoz.com.ar": "ar_grupo_clarin",
+    "lavozdigital.es": "es_grupo_vocento",
+    "lc.nl": "lc.nl",
+    "lecourrierdesstrateges.fr": "lecourrierdesstrateges.fr",
+    "ledevoir.com": "ledevoir.com",
+    "ledroit.com": "ca_gcm",
+    "ledroitfranco.com": "ca_gcm",
+    "legrandcontinent.eu": "legrandcontinent.eu",
+    "lehighvalleylive.com": "usa_adv_local",
+    "lejdd.fr": "lejdd.fr",
+    "lemagit.fr": "techtarget.com",
+    "lenouvelliste.ca": "ca_gcm",
+    "lenouvelliste.ch": "arcinfo.ch",
+    "leparisien.fr": "leparisien.fr",
+    "lepoint.fr": "lepoint.fr",
+    "lequotidien.com": "ca_gcm",
+    "lerevenu.com": "lerevenu.com",
+    "lescienze.it": "it_gedi",
+    "lesechos.fr": "lesechos.fr",
+    "lesinrocks.com": "lesinrocks.com",
+    "lesoir.be": "fr_be_groupe_rossel",
+    "lesoleil.com": "ca_gcm",
+    "lest-eclair.fr": "fr_be_groupe_rossel",
+    "letelegramme.fr": "letelegramme.fr",
+    "levante-emv.com": "es_epiberica",
+    "levif.be": "be_roularta",
+    "lexpress.fr": "lexpress.fr",
+    "libelle.be": "be_roularta",
+    "libelle.nl": "nl_dpg_media",
+    "liberation-champagne.fr": "fr_be_groupe_rossel",
+    "liberation.fr": "liberation.fr",
+    "limburger.nl": "be_mediahuis",
+    "linda.nl": "linda.nl",
+    "lindependant.fr": "fr_groupe_la_depeche",
+    "literaryreview.co.uk": "literaryreview.co.uk",
+    "livelaw.in": "livelaw.in",
+    "livemint.com": "livemint.com",
+    "ln-online.de": "de_madsack",
+    "lne.es": "es_epiberica",
+    "loeildelaphotographie.com": "loeildelaphotographie.com",
+    "losandes.com.ar": "ar_grupo_clarin",
+    "lunion.fr": "fr_be_groupe_rossel",
+    "luzernerzeitung.ch": "ch_media",
+    "lvz.de": "de_madsack",
+    "macrobusiness.com.au": "macrobusiness.com.au",
+    "madison.com": "usa_lee_ent",
+    "magazine.atavist.com": "magazine.atavist.com",
+    "magazyn-kuchnia.pl": "wyborcza.biz",
+    "main-spitze.de": "de_vrm",
+    "mallorcazeitung.es": "es_epiberica",
+    "manager-magazin.de": "spiegel.de",
+    "mangfall24.de": "ovb-online.de",
+    "manoramaonline.com": "manoramaonline.com",
+    "marca.com": "es_unidad",
+    "margriet.nl": "nl_dpg_media",
+    "marketwatch.com": "marketwatch.com",
+    "masslive.com": "usa_adv_local",
+    "maz-online.de": "de_madsack",
+    "mcall.com": "usa_tribune",
+    "mcclatchydc.com": "usa_mcc",
+    "medium.com": "medium.com",
+    "medscape.com": "medscape.com",
+    "mercurynews.com": "usa_mng",
+    "mexiconewsdaily.com": "mexiconewsdaily.com",
+    "miamiherald.com": "usa_mcc",
+    "mid-day.com": "mid-day.com",
+    "midilibre.fr": "fr_groupe_la_depeche",
+    "mittelhessen.de": "de_vrm",
+    "mlive.com": "usa_adv_local",
+    "moda.it": "it_gedi",
+    "modernhealthcare.com": "usa_craincomm",
+    "modernretail.co": "digiday.com",
+    "monacomatin.mc": "fr_groupe_nice_matin",
+    "monitor.co.ug": "ke_nation_media",
+    "morgenpost.de": "de_funke_medien",
+    "motorradonline.de": "motorradonline.de",
+    "motorsportmagazine.com": "motorsportmagazine.com",
+    "mundodeportivo.com": "lavanguardia.com",
+    "mwananchi.co.tz": "ke_nation_media",
+    "mwanaspoti.co.tz": "ke_nation_media",
+    "nation.africa": "ke_nation_media",
+    "nationalgeographic.com": "nationalgeographic.com",
+    "nationalmortgagenews.com": "americanbanker.com",
+    "nationalreview.com": "nationalreview.com",
+    "nautil.us": "nautil.us",
+    "ndtvprofit.com": "ndtvprofit.com",
+    "net.au": "au_other",
+    "neuepresse.de": "de_madsack",
+    "newcriterion.com": "newcriterion.com",
+    "newrepublic.com": "newrepublic.com",
+    "news-press.com": "usa_gannett",
+    "newsday.com": "newsday.com",
+    "newslaundry.com": "newslaundry.com",
+    "newsobserver.com": "usa_mcc",
+    "newstatesman.com": "newstatesman.com",
+    "newsweek.com": "newsweek.com",
+    "newsweek.pl": "pl_ringier",
+    "newyorker.com": "usa_conde_nast",
+    "nhregister.com": "usa_hearst_comm",
+    "niagarafallsreview.ca": "usa_lee_ent",
+    "nicematin.com": "fr_groupe_nice_matin",
+    "nieuwsblad.be": "be_mediahuis",
+    "nj.com": "usa_adv_local",
+    "nola.com": "nola.com",
+    "nordlittoral.fr": "fr_be_groupe_rossel",
+    "northjersey.com": "usa_gannett",
+    "nrc.nl": "nrc.nl",
+    "nrpyrenees.fr": "fr_groupe_la_depeche",
+    "nrz.de": "de_funke_medien",
+    "nsctotal.com.br": "nsctotal.com.br",
+    "nv.ua": "nv.ua",
+    "nw.de": "nw.de",
+    "nwitimes.com": "usa_lee_ent",
+    "nybooks.com": "nybooks.com",
+    "nydailynews.com": "usa_tribune",
+    "nymag.com": "usa_nymag",
+    "nytimes.com": "nytimes.com",
+    "nzherald.co.nz": "nzherald.co.nz",
+    "nzz.ch": "nzz.ch",
+    "oberhessische-zeitung.de": "de_vrm",
+    "observador.pt": "observador.pt",
+    "ocregister.com": "usa_mng",
+    "oklahoman.com": "usa_gannett",
+    "ole.com.ar": "ar_grupo_clarin",
+    "omaha.com": "usa_lee_ent",
+    "onet.pl": "pl_ringier",
+    "oregonlive.com": "usa_adv_local",
+    "orlandosentinel.com": "usa_tribune",
+    "ostsee-zeitung.de": "de_madsack",
+    "otz.de": "de_funke_medien",
+    "outlookbusiness.com": "outlookbusiness.com",
+    "outlookindia.com": "outlookindia.com",
+    "outsideonline.com": "usa_outside_mag",
+    "ovb-online.de": "ovb-online.de",
+    "oxygenmag.com": "usa_outside_mag",
+    "paris-normandie.fr": "fr_be_groupe_rossel",
+    "parismatch.com": "lejdd.fr",
+    "parkiet.com": "rp.pl",
+    "parool.nl": "nl_dpg_media",
+    "pb.pl": "pb.pl",
+    "pennlive.com": "usa_adv_local",
+    "petitbleu.fr": "fr_groupe_la_depeche",
+    "philanthropy.com": "chronicle.com",
+    "philomag.de": "philomag.de",
+    "pilotonline.com": "usa_tribune",
+    "pionline.com": "usa_craincomm",
+    "piratewires.com": "piratewires.com",
+    "plasticsnews.com": "usa_craincomm",
+    "politicaexterior.com": "politicaexterior.com",
+    "politico.com": "politico.com",
+    "polityka.pl": "polityka.pl",
+    "pourleco.com": "pourleco.com",
+    "precisionmedicineonline.com": "usa_craincomm",
+    "pressenterprise.com": "usa_mng",
+    "profi.de": "de_lv",
+    "profil.at": "profil.at",
+    "project-syndicate.org": "project-syndicate.org",
+    "public.fr": "lejdd.fr",
+    "publico.es": "publico.es",
+    "puck.news": "puck.news",
+    "pzc.nl": "nl_dpg_adr",
+    "quora.com": "quora.com",
+    "quotidiano.net": "it_quotidiano",
+    "quotidianodipuglia.it": "it_ilmessaggero",
+    "rechargenews.com": "no_dn_media",
+    "record.pt": "record.pt",
+    "reforme.net": "reforme.net",
+    "regio7.cat": "es_epiberica",
+    "reuters.com": "reuters.com",
+    "revistaoeste.com": "revistaoeste.com",
+    "rheinpfalz.de": "rheinpfalz.de",
+    "richmond.com": "usa_lee_ent",
+    "rivals.com": "rivals.com",
+    "rnd.de": "de_madsack",
+    "rosenheim24.de": "ovb-online.de",
+    "rp-online.de": "de_rp_medien",
+    "rp.pl": "rp.pl",
+    "rubbernews.com": "usa_craincomm",
+    "rugbypass.com": "rugbypass.com",
+    "rugbyrama.fr": "fr_groupe_la_depeche",
+    "ruhrnachrichten.de": "ruhrnachrichten.de",
+    "rundschau-online.de": "ksta.de",
+    "saarbruecker-zeitung.de": "de_rp_medien",
+    "sabado.pt": "record.pt",
+    "sacbee.com": "usa_mcc",
+    "sandiegouniontribune.com": "usa_mng",
+    "scholastic.com": "scholastic.com",
+    "schweizermonat.ch": "schweizermonat.ch",
+    "science-et-vie.com": "science-et-vie.com",
+    "science.org": "science.org",
+    "sciencesetavenir.fr": "challenges.fr",
+    "scmp.com": "scmp.com",
+    "scotsman.com": "uk_nat_world",
+    "seattletimes.com": "seattletimes.com",
+    "sfchronicle.com": "usa_hearst_comm",
+    "silive.com": "usa_adv_local",
+    "skimag.com": "usa_outside_mag",
+    "slate.com": "slate.com",
+    "slideshare.net": "slideshare.net",
+    "sloanreview.mit.edu": "sloanreview.mit.edu",
+    "sltrib.com": "sltrib.com",
+    "smartcompany.com.au": "crikey.com.au",
+    "smh.com.au": "brisbanetimes.com.au",
+    "sofrep.com": "sofrep.com",
+    "spectator.co.uk": "spectator.co.uk",
+    "spektrum.de": "spektrum.de",
+    "spglobal.com": "spglobal.com",
+    "spiegel.de": "spiegel.de",
+    "sport.sky.it": "sport.sky.it",
+    "sportico.com": "sportico.com",
+    "springermedizin.de": "springermedizin.de",
+    "standaard.be": "be_mediahuis",
+    "star-telegram.com": "usa_mcc",
+    "staradvertiser.com": "staradvertiser.com",
+    "startribune.com": "startribune.com",
+    "statesman.com": "usa_gannett",
+    "statista.com": "statista.com",
+    "stcatharinesstandard.ca": "usa_lee_ent",
+    "stereogum.com": "stereogum.com",
+    "stern.de": "stern.de",
+    "stltoday.com": "usa_lee_ent",
+    "stocknews.com": "stocknews.com",
+    "straitstimes.com": "sg_sph_media",
+    "study.com": "study.com",
+    "stylist.co.uk": "stylist.co.uk",
+    "sudouest.fr": "sudouest.fr",
+    "sueddeutsche.de": "sueddeutsche.de",
+    "suedkurier.de": "suedkurier.de",
+    "sun-sentinel.com": "usa_tribune",
+    "suomensotilas.fi": "suomensotilas.fi",
+    "superdeporte.es": "es_epiberica",
+    "sustainableplastics.com": "usa_craincomm",
+    "swarajyamag.com": "swarajyamag.com",
+    "syracuse.com": "usa_adv_local",
+    "t3n.de": "t3n.de",
+    "tagblatt.ch": "ch_media",
+    "tagesspiegel.de": "tagesspiegel.de",
+    "techinasia.com": "techinasia.com",
+    "techtarget.com": "techtarget.com",
+    "telegraaf.nl": "telegraaf.nl",
+    "telegraph.co.uk": "telegraph.co.uk",
+    "tennessean.com": "usa_gannett",
+    "tes.com": "tes.com",
+    "texasmonthly.com": "texasmonthly.com",
+    "the-american-interest.com": "the-american-interest.com",
+    "the-scientist.com": "the-scientist.com",
+    "the-tls.co.uk": "the-tls.co.uk",
+    "theadvocate.com": "nola.com",
+    "theage.com.au": "brisbanetimes.com.au",
+    "theamericanconservative.com": "theamericanconservative.com",
+    "theamericanscholar.org": "theamericanscholar.org",
+    "theatlantic.com": "theatlantic.com",
+    "thebulletin.org": "thebulletin.org",
+    "thecitizen.co.tz": "ke_nation_media",
+    "thecut.com": "usa_nymag",
+    "thedailybeast.com": "thedailybeast.com",
+    "thediplomat.com": "thediplomat.com",
+    "theglobeandmail.com": "theglobeandmail.com",
+    "thehindu.com": "thehindu.com",
+    "thehindubusinessline.com": "thehindu.com",
+    "theimpression.com": "theimpression.com",
+    "thejuggernaut.com": "thejuggernaut.com",
+    "thelampmagazine.com": "thelampmagazine.com",
+    "thelawyer.com": "thelawyer.com",
+    "themandarin.com.au": "crikey.com.au",
+    "themarker.com": "haaretz.co.il",
+    "themarket.ch": "nzz.ch",
+    "thenewatlantis.com": "thenewatlantis.com",
+    "theneweuropean.co.uk": "theneweuropean.co.uk",
+    "thenewslens.com": "thenewslens.com",
+    "thenewsminute.com": "barandbench.com",
+    "thepeterboroughexaminer.com": "usa_lee_ent",
+    "thepointmag.com": "thepointmag.com",
+    "thequint.com": "thequint.com",
+    "therecord.com": "usa_lee_ent",
+    "thesaturdaypaper.com.au": "thesaturdaypaper.com.au",
+    "thespec.com": "usa_lee_ent",
+    "thestage.co.uk": "thestage.co.uk",
+    "thestar.com": "usa_lee_ent",
+    "thestate.com": "usa_mcc",
+    "thetimes.com": "thetimes.com",
+    "theweek.com": "theweek.com",
+    "thewrap.com": "thewrap.com",
+    "thueringer-allgemeine.de": "de_funke_medien",
+    "tijd.be": "tijd.be",
+    "timeshighereducation.com": "timeshighereducation.com",
+    "timesofindia.indiatimes.com": "timesofindia",
+    "timesunion.com": "usa_hearst_comm",
+    "tirebusiness.com": "usa_craincomm",
+    "tlz.de": "de_funke_medien",
+    "towardsdatascience.com": "medium.com",
+    "tradewindsnews.com": "no_dn_media",
+    "trailrunnermag.com": "usa_outside_mag",
+    "tri-cityherald.com": "usa_mcc",
+    "triathlete.com": "usa_outside_mag",
+    "trouw.nl": "nl_dpg_media",
+    "tt.com": "tt.com",
+    "tubantia.nl": "nl_dpg_adr",
+    "tucson.com": "usa_lee_ent",
+    "tulsaworld.com": "usa_lee_ent",
+    "tuttosport.com": "tuttosport.com",
+    "twincities.com": "usa_mng",
+    "unherd.com": "unherd.com",
+    "uol.com.br": "uol.com.br",
+    "upstreamonline.com": "no_dn_media",
+    "usatoday.com": "usatoday.com",
+    "utech-polyurethane.com": "usa_craincomm",
+    "vanityfair.com": "usa_conde_nast",
+    "varmatin.com": "fr_groupe_nice_matin",
+    "vegetariantimes.com": "usa_outside_mag",
+    "vikatan.com": "vikatan.com",
+    "vn.at": "vn.at",
+    "vn.nl": "vn.nl",
+    "vogue.co.uk": "usa_conde_nast",
+    "vogue.com": "usa_conde_nast",
+    "voguebusiness.com": "voguebusiness.com",
+    "vol.at": "vol.at",
+    "volksfreund.de": "de_rp_medien",
+    "volkskrant.nl": "nl_dpg_media",
+    "vox.com": "vox.com",
+    "vulture.com": "usa_nymag",
+    "washingtonpost.com": "washingtonpost.com",
+    "wasserburg24.de": "ovb-online.de",
+    "watoday.com.au": "brisbanetimes.com.au",
+    "waz.de": "de_funke_medien",
+    "wellandtribune.ca": "usa_lee_ent",
+    "weser-kurier.de": "weser-kurier.de",
+    "wiesbadener-kurier.de": "de_vrm",
+    "winnipegfreepress.com": "winnipegfreepress.com",
+    "wired.com": "usa_conde_nast",
+    "wochenblatt.com": "de_lv",
+    "womenshealth.de": "de_motor_presse",
+    "womensrunning.com": "usa_outside_mag",
+    "wormser-zeitung.de": "de_vrm",
+    "wp.de": "de_funke_medien",
+    "wr.de": "de_funke_medien",
+    "wsj.com": "wsj.com",
+    "wyborcza.biz": "wyborcza.biz",
+    "wyborcza.pl": "wyborcza.biz",
+    "wysokieobcasy.pl": "wyborcza.biz",
+    "yogajournal.com": "usa_outside_mag",
+    "yorkshirepost.co.uk": "uk_nat_world",
+    "zeit.de": "zeit.de",
+    "zerohedge.com": "zerohedge.com"
+  },
+  "detect": [
+    "axate",
+    "ca_postmedia",
+    "ch_media",
+    "cl_soy_chile",
+    "de_madsack",
+    "lamontagne.fr",
+    "lc.nl",
+    "medium.com",
+    "nl_promedia",
+    "ruhrnachrichten.de",
+    "uk_nat_world",
+    "usa_forum_comm",
+    "usa_gannett",
+    "usa_hearst_comm",
+    "usa_lee_ent",
+    "usa_mcc",
+    "usa_mng"
+  ],
+  "world": {
+    "businesspost.ie": "MAIN",
+    "hbr.org": "MAIN",
+    "lepoint.fr": "MAIN",
+    "thehindu.com": "MAIN"
+  }
+};
@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: ['csmonitor.com'],
+  run(ctx) {
+    let paywall = document.querySelector('div.paywall');
+    removeDOMElement(paywall);
+  }
+});
@@ -0,0 +1,6 @@
+registerSiteModule({
+  domains: ['cw.com.tw'],
+  run(ctx) {
+    header_nofix('div.article__content', 'div.paywall', 'BPC > no fix');
+  }
+});
@@ -0,0 +1,11 @@
+registerSiteModule({
+  domains: ['cyclingnews.com'],
+  run(ctx) {
+    let paywall = document.querySelector('div.paywall-locker');
+    if (paywall) {
+      paywall.classList.remove('paywall-locker');
+      let banner = 'div.kiosq-main-layer';
+      hideDOMStyle(banner);
+    }
+  }
+});
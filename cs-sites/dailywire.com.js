@@ -0,0 +1,14 @@
+registerSiteModule({
+  domains: ['dailywire.com'],
+  run(ctx) {
+    let paywall = document.querySelector('div#payed-article-paywall');
+    if (paywall) {
+      removeDOMElement(paywall);
+      let div_hidden = document.querySelector('#post-body-text > div > div[class]');
+      if (div_hidden)
+        div_hidden.removeAttribute('class');
+    }
+    let ads = 'div.ad-wrapper';
+    hideDOMStyle(ads);
+  }
+});
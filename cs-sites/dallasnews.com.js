@@ -0,0 +1,8 @@
+registerSiteModule({
+  domains: ['dallasnews.com'],
+  run(ctx) {
+    if (window.location.search.startsWith('?outputType=amp')) {
+      amp_unhide_subscr_section('amp-ad, amp-embed');
+    }
+  }
+});
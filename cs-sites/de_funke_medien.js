@@ -0,0 +1,19 @@
+registerSiteModule({
+  domains: de_funke_medien_domains,
+  run(ctx) {
+    func_post = function () {
+      if (mobile) {
+        let lazy_images = document.querySelectorAll('picture img[loading="lazy"][style]');
+        for (let elem of lazy_images)
+          elem.style = 'width: 95%;';
+      }
+      header_nofix(article_sel, paywall_sel, 'BPC > no archive-fix');
+    }
+    let paywall_sel = 'div#paywall-container';
+    let article_sel = 'article';
+    let url = ctx.url;
+    getArchive(url, paywall_sel, '', article_sel);
+    let ads = 'aside.ad-slot-wrapper';
+    hideDOMStyle(ads);
+  }
+});
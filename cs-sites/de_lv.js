@@ -0,0 +1,17 @@
+registerSiteModule({
+  domains: de_lv_domains,
+  run(ctx) {
+    let paywall = document.querySelector('div[id^="paymentprocess-"]');
+    if (paywall) {
+      let intro = document.querySelector('div.m-paywall__textFadeOut');
+      removeDOMElement(paywall, intro);
+      let div_hidden = document.querySelector('div.paywall-full-content[style]');
+      if (div_hidden) {
+        div_hidden.removeAttribute('class');
+        div_hidden.removeAttribute('style');
+      }
+    }
+    let ads = 'div.adZone';
+    hideDOMStyle(ads);
+  }
+});
@@ -0,0 +1,13 @@
+registerSiteModule({
+  domains: de_madsack_domains,
+  detect: 'head > link[href*=".rndtech.de/"]',
+  run(ctx) {
+    // plus code in contentScript_once_var.js (timing)
+    if (!window.location.search.startsWith('?outputType=valid_amp')) {
+      let ads = 'div[class^="Adstyled__AdWrapper"]';
+      hideDOMStyle(ads);
+    } else {
+      ampToHtml();
+    }
+  }
+});
@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: de_motor_presse_domains,
+  run(ctx) {
+    let ads = 'div#ads-container, div.va-sponsored, div.mps_markAd';
+    hideDOMStyle(ads);
+  }
+});
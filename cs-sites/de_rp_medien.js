@@ -0,0 +1,13 @@
+registerSiteModule({
+  domains: de_rp_medien_domains,
+  run(ctx) {
+    func_post = function () {
+      let videos = 'glomex-player';
+      hideDOMStyle(videos, 5);
+    }
+    let url = ctx.url;
+    getArchive(url, 'div.park-paywall-content', '', 'article');
+    let ads = 'div.portal-slot';
+    hideDOMStyle(ads);
+  }
+});
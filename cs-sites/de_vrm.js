@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: de_vrm_domains.concat(de_vrm_custom_domains),
+  run(ctx) {
+    let ads = 'div.adSlot, div.loadingBanner';
+    hideDOMStyle(ads);
+  }
+});
@@ -0,0 +1,27 @@
+registerSiteModule({
+  domains: ['decanter.com'],
+  run(ctx) {
+    let paywall = document.querySelector('div[id^="react_subscriber_content_"]');
+    if (paywall && dompurify_loaded) {
+      removeDOMElement(paywall);
+      let data = document.querySelector('div[data-dom-id^="react_subscriber_content_"][data-props]');
+      if (data) {
+        try {
+          let json = JSON.parse(data.getAttribute('data-props'));
+          if (json && json.content) {
+            let content = decode_utf8(atob(json.content));
+            let parser = new DOMParser();
+            let doc = parser.parseFromString('<div>' + DOMPurify.sanitize(content, dompurify_options) + '</div>', 'text/html');
+            let content_new = doc.querySelector('div');
+            data.before(content_new);
+            header_nofix('div.collection-wrapper', '', 'BPC > no fix for reviews');
+            let fade = 'div.piano-container-fade';
+            hideDOMStyle(fade);
+          }
+        } catch (err) {
+          csLog('error', err);
+        }
+      }
+    }
+  }
+});
@@ -0,0 +1,20 @@
+registerSiteModule({
+  domains: ['defector.com'],
+  run(ctx) {
+    let paywall = document.querySelector('div[class^="ContentGate_wrapper__"]');
+    if (paywall && dompurify_loaded) {
+      removeDOMElement(paywall);
+      let article_sel = 'div[class^="PostContent_wrapper__"]';
+      let article = document.querySelector(article_sel);
+      if (article) {
+        window.setTimeout(function () {
+          let pars = article.querySelectorAll('p');
+          if (pars.length < 3) {
+            let url = window.location.href.split('?')[0];
+            replaceDomElementExt(url, false, false, article_sel);
+          }
+        }, 1000);
+      }
+    }
+  }
+});
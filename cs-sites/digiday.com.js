@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: ['digiday.com', 'glossy.co', 'modernretail.co'],
+  run(ctx) {
+    let ads = 'div[class^="ad_"]';
+    hideDOMStyle(ads);
+  }
+});
@@ -0,0 +1,15 @@
+registerSiteModule({
+  domains: ['discovermagazine.com'],
+  run(ctx) {
+    window.setTimeout(function () {
+      let mammoth = document.querySelector('.iXVGnF');
+      if (mammoth)
+        refreshCurrentTab();
+      let body = document.querySelector('body');
+      if (body)
+        body.style = 'overflow: auto !important;';
+      let banners = 'div.fIkXwQ, div[style*="fadeIn"], div[role="button"][aria-label="Dismiss Dialog"]';
+      hideDOMStyle(banners);
+    }, 1000);
+  }
+});
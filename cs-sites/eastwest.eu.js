@@ -0,0 +1,13 @@
+registerSiteModule({
+  domains: ['eastwest.eu'],
+  run(ctx) {
+    let paywall = document.querySelector('.paywall');
+    if (paywall) {
+      paywall.removeAttribute('style');
+      paywall.classList.remove('paywall');
+      let intro = document.querySelectorAll('div#testo_articolo > p, div#testo_articolo > h3');
+      let offerta = document.querySelectorAll('div.offerta_abbonamenti');
+      removeDOMElement(...intro, ...offerta);
+    }
+  }
+});
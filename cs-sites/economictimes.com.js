@@ -0,0 +1,42 @@
+registerSiteModule({
+  domains: ['economictimes.com'],
+  run(ctx) {
+    if (window.location.pathname.includes('/amp_')) {
+      let paywall = document.querySelector('.paywall_wrap');
+      if (paywall && dompurify_loaded) {
+        let content = document.querySelector('.paywall[style="display:none;"]');
+        if (content) {
+          let parser = new DOMParser();
+          let doc = parser.parseFromString('<div style="margin: 20px 0px;">' + DOMPurify.sanitize(content.innerText, dompurify_options) + '</div>', 'text/html');
+          let content_new = doc.querySelector('div');
+          if (content_new && content.parentNode)
+            content.parentNode.replaceChild(content_new, content);
+        } else
+          window.location.href = 'https://economictimes.indiatimes.com' + window.location.pathname.replace('amp_prime', 'prime');
+        let intro = document.querySelector('.art_wrap');
+        let article_blocker = document.querySelector('.articleBlocker');
+        removeDOMElement(paywall, intro, article_blocker);
+        let ads = 'amp-ad';
+        hideDOMStyle(ads);
+      }
+    } else {
+      window.setTimeout(function () {
+        let paywall = document.querySelector('div#blocker_layer');
+        let data_prime = document.querySelector('div[data-prime="1"]');
+        let amphtml = document.querySelector('head > link[rel="amphtml"]');
+        if (paywall || data_prime) {
+          removeDOMElement(paywall);
+          if (data_prime)
+            data_prime.removeAttribute('data-prime');
+          if (amphtml)
+            amp_redirect_not_loop(amphtml);
+          else if (window.location.pathname.startsWith('/epaper/'))
+            window.location.href = 'https://economictimes.indiatimes.com' + window.location.pathname;
+        } else {
+          let ads = '.adContainer';
+          hideDOMStyle(ads);
+        }
+      }, 500);
+    }
+  }
+});
@@ -0,0 +1,30 @@
+registerSiteModule({
+  domains: ['economictimes.indiatimes.com'],
+  run(ctx) {
+    let paywall = document.querySelector('section.prime_paywall');
+    if (paywall) {
+      removeDOMElement(paywall);
+      let content = document.querySelector('div.content1, div.artText');
+      let full_text = document.querySelector('div.paywall.p1');
+      if (content && full_text)
+        content.innerText = full_text.innerText;
+      let page_content = document.querySelector('div.pageContent:not([style])');
+      if (page_content)
+        page_content.setAttribute('style', 'height: auto !important;');
+      let article_wrap = document.querySelector('div.article_wrap[style]');
+      if (article_wrap)
+        article_wrap.removeAttribute('style');
+    }
+    if (mobile) {
+      let pageholder = document.querySelector('main.pageHolder');
+      if (pageholder) {
+        pageholder.classList.remove('pageHolder');
+        let header = document.querySelector('header');
+        if (header)
+          header.style = 'width: 100% !important;';
+        let f_col = document.querySelector('div.f_col');
+        removeDOMElement(f_col);
+      }
+    }
+  }
+});
@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: ['economist.com'],
+  run(ctx) {
+    let ads = 'div[class*="adComponent"]';
+    hideDOMStyle(ads);
+  }
+});
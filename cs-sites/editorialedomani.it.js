@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: ['editorialedomani.it'],
+  run(ctx) {
+    if (window.location.search.startsWith('?amp=1'))
+      ampToHtml();
+  }
+});
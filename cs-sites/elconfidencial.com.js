@@ -0,0 +1,10 @@
+registerSiteModule({
+  domains: ['elconfidencial.com'],
+  run(ctx) {
+    let premium = document.querySelector('div.newsType__content--closed');
+    if (premium)
+      premium.classList.remove('newsType__content--closed');
+    let ads = 'div[id^="mega_"], div[id^="roba_"]';
+    hideDOMStyle(ads);
+  }
+});
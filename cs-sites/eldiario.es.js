@@ -0,0 +1,12 @@
+registerSiteModule({
+  domains: ['eldiario.es'],
+  run(ctx) {
+    if (window.location.pathname.endsWith('.amp.html')) {
+      amp_unhide_access_hide('^="access"', '="NOT access"');
+    } else {
+      amp_redirect('aside.paywall');
+      let ads = 'div.edi-advertising, div.header-ad';
+      hideDOMStyle(ads);
+    }
+  }
+});
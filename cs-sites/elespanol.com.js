@@ -0,0 +1,18 @@
+registerSiteModule({
+  domains: ['elespanol.com'],
+  run(ctx) {
+    if (window.location.pathname.endsWith('.amp.html')) {
+      amp_unhide_subscr_section('amp-ad, amp-embed');
+    } else {
+      let paywall = document.querySelector('div.full-suscriptor-container');
+      if (paywall) {
+        removeDOMElement(paywall);
+        let content_hidden = document.querySelector('div.content-not-granted-paywall');
+        if (content_hidden)
+          content_hidden.classList.remove('content-not-granted-paywall');
+      }
+      let ads = '[id*="superior"], [class*="adv"]';
+      hideDOMStyle(ads);
+    }
+  }
+});
@@ -0,0 +1,10 @@
+registerSiteModule({
+  domains: ['elespectador.com'],
+  run(ctx) {
+    if (window.location.search.match(/(\?|&)outputType=amp/)) {
+      amp_unhide_subscr_section('amp-ad, amp-embed, [class^="Widget"], amp-fx-flying-carpet', false);
+    } else {
+      amp_redirect('div.exclusive_validation');
+    }
+  }
+});
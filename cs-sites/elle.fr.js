@@ -0,0 +1,16 @@
+registerSiteModule({
+  domains: ['elle.fr'],
+  run(ctx) {
+    if (window.location.hostname.startsWith('amp.')) {
+      amp_unhide_access_hide('="poool.access OR cmi_premium.access"');
+    } else {
+      let hidden_images = document.querySelectorAll('img[src^="data:image/"][data-src]');
+      for (let hidden_image of hidden_images)
+        hidden_image.setAttribute('src', hidden_image.getAttribute('data-src'));
+      let subscription_bar = document.querySelector('.tc-subscription-bar');
+      removeDOMElement(subscription_bar);
+    }
+    let ads = 'div[class*="--placeholder"]';
+    hideDOMStyle(ads);
+  }
+});
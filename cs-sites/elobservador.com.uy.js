@@ -0,0 +1,24 @@
+registerSiteModule({
+  domains: ['elobservador.com.uy'],
+  run(ctx) {
+    if (window.location.pathname.endsWith('/amp')) {
+      amp_unhide_access_hide('="observador.mostrarNota"');
+      let amp_images = document.querySelectorAll('div.fixed-container > amp-img.null');
+      for (let amp_image of amp_images) {
+        let elem = document.createElement('img');
+        Object.assign(elem, {
+          src: amp_image.getAttribute('src'),
+          alt: amp_image.getAttribute('alt'),
+          title: amp_image.getAttribute('title')
+        });
+        amp_image.parentNode.replaceChild(elem, amp_image);
+      }
+    } else {
+      let paywall = document.querySelector('div.mensaje_member');
+      if (paywall) {
+        removeDOMElement(paywall);
+        window.location.href = window.location.pathname + '/amp';
+      }
+    }
+  }
+});
@@ -0,0 +1,11 @@
+registerSiteModule({
+  domains: ['elpais.com'],
+  run(ctx) {
+    if (window.location.pathname.endsWith('.amp.html') || window.location.search.match(/(\?|&)outputType=amp/)) {
+      amp_unhide_access_hide('="vip"], [amp-access="success"', '="NOT vip"], [amp-access="NOT success"');
+    } else {
+      let paywall = document.querySelector('div#ctn_freemium_article, div#ctn_premium_article');
+      removeDOMElement(paywall);
+    }
+  }
+});
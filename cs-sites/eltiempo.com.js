@@ -0,0 +1,10 @@
+registerSiteModule({
+  domains: ['eltiempo.com'],
+  run(ctx) {
+    let modulos = document.querySelector('div.modulos');
+    if (modulos)
+      modulos.classList.remove('modulos');
+    let ads = '[class^="c-add"]';
+    hideDOMStyle(ads);
+  }
+});
@@ -0,0 +1,10 @@
+registerSiteModule({
+  domains: ['eltribuno.com'],
+  run(ctx) {
+    let lazy_images = document.querySelectorAll('img.lazyload[data-src]:not([src])');
+    for (let elem of lazy_images) {
+      elem.src = elem.getAttribute('data-src');
+      elem.classList.remove('lazyload');
+    }
+  }
+});
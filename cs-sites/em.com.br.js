@@ -0,0 +1,15 @@
+registerSiteModule({
+  domains: ['em.com.br'],
+  run(ctx) {
+    if (!window.location.pathname.endsWith('/amp.html')) {
+      amp_redirect('.news-blocked-content');
+      let ads = 'div.ads, div.containerads';
+      hideDOMStyle(ads);
+    } else {
+      amp_unhide_subscr_section('amp-ad, amp-embed, amp-fx-flying-carpet');
+      let compress_text = document.querySelector('div.compress-text');
+      if (compress_text)
+        compress_text.classList.remove('compress-text');
+    }
+  }
+});
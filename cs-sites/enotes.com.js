@@ -0,0 +1,17 @@
+registerSiteModule({
+  domains: ['enotes.com'],
+  run(ctx) {
+    let paywall = document.querySelector('section#enotes-paywall');
+    if (paywall) {
+      let section_words = pageContains('p', /\(This entire section contains/);
+      removeDOMElement(paywall, ...section_words);
+      ext_api.runtime.sendMessage({request: 'clear_cookies_domain', data: {domain: 'enotes.com'}});
+      let blurred = document.querySelectorAll('div.u-paywall');
+      for (let elem of blurred)
+        elem.className = 'o-rte-text u-space--top';
+      let ads = document.querySelectorAll('div:not([class]) > div[id^="div-gpt-ad-"]');
+      for (let ad of ads)
+        hideDOMElement(ad.parentNode);
+    }
+  }
+});
@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: ['epoch.org.il'],
+  run(ctx) {
+    if (dompurify_loaded)
+      getJsonUrl('div.register-login-box', '', 'div.paywall');
+  }
+});
@@ -0,0 +1,26 @@
+registerSiteModule({
+  domains: es_epiberica_domains.concat(es_epiberica_custom_domains),
+  run(ctx) {
+    let paywall = document.querySelector('div.ft-helper-closenews');
+    if (paywall) {
+      paywall.removeAttribute('class');
+      let hidden_pars = paywall.querySelectorAll('.closeContentEnd');
+      for (let elem of hidden_pars)
+        elem.classList.remove('closeContentEnd');
+    }
+    if (window.location.pathname.endsWith('.amp.html') || ['amp.elperiodico.com', 'amp.epe.es'].includes(window.location.hostname)) {
+      let amp_images = document.querySelectorAll('figure > amp-img[src]');
+      for (let amp_image of amp_images) {
+        let elem = document.createElement('img');
+        elem.src = amp_image.getAttribute('src');
+        elem.style = 'width: 75%; margin: 0px 50px;';
+        amp_image.parentNode.replaceChild(elem, amp_image);
+      }
+      let ads = 'amp-ad, amp-embed, amp-next-page, span.ad-signature';
+      hideDOMStyle(ads);
+    } else {
+      let ads = 'div.commercial-up-full__wrapper, aside.ft-ad, div[class^="_mo_recs"]';
+      hideDOMStyle(ads);
+    }
+  }
+});
@@ -0,0 +1,17 @@
+registerSiteModule({
+  domains: es_unidad_domains,
+  run(ctx) {
+    if (!window.location.hostname.match(/^amp(-[a-z]{2})?\./)) {
+      let url = window.location.href;
+      if (!window.location.pathname.startsWith('/mejores-colegios')) {
+        amp_redirect('div.ue-c-article__premium', '', url.replace('/www.', '/amp.'));
+      } else if (matchDomain('elmundo.es')) {
+        header_nofix('main p', 'div.ue-c-article__premium');
+        header_nofix('table', 'div.ue-c-paywall');
+      }
+    } else {
+      amp_unhide_access_hide('="authorized=true"', '="authorized!=true"');
+      amp_unhide_subscr_section('amp-ad, amp-embed, .advertising, div.ue-c-ad');
+    }
+  }
+});
@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: ['espn.com'],
+  run(ctx) {
+    let url = ctx.url;
+    getArchive(url, 'aside.espn-plus-container-wrapper', '', 'section#article-feed > article');
+  }
+});
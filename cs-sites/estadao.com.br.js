@@ -0,0 +1,13 @@
+registerSiteModule({
+  domains: ['estadao.com.br'],
+  run(ctx) {
+    if (window.location.pathname.match(/(\.amp$|^\/amp\/)/) || window.location.search.startsWith('?amp')) {
+      amp_unhide_access_hide('="outputValue=\'hide_paywall\'"', '="outputValue=\'show_paywall\'"', 'amp-ad, amp-embed, amp-fx-flying-carpet, div[class^="pAd"], div.ads-container');
+    } else {
+      let paywall = document.getElementById('paywall-wrapper-iframe-estadao');
+      removeDOMElement(paywall);
+      let ads = 'div[class^="styles__Container-sc-"]';
+      hideDOMStyle(ads);
+    }
+  }
+});
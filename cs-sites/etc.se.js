@@ -0,0 +1,25 @@
+registerSiteModule({
+  domains: ['etc.se'],
+  run(ctx) {
+    let paywall = document.querySelector('div.paywalled');
+    if (paywall) {
+      paywall.removeAttribute('class');
+      let gradient = document.querySelector('div.bg-gradient-white');
+      if (gradient)
+        gradient.removeAttribute('class');
+      let footer = document.querySelector('section > footer');
+      if (footer)
+        removeDOMElement(footer.parentNode);
+    }
+    let ads = 'div[class$="-ad"]';
+    hideDOMStyle(ads);
+    let video_iframes = document.querySelectorAll('div.embed-block > iframe[width][height]');
+    for (let elem of video_iframes) {
+      if (elem.width > 1000) {
+        let ratio = elem.width / (mobile ? 320 : 640);
+        elem.width = elem.width / ratio;
+        elem.height = elem.height / ratio;
+      }
+    }
+  }
+});
@@ -0,0 +1,33 @@
+registerSiteModule({
+  domains: ['euobserver.com'],
+  run(ctx) {
+    let paywall = pageContains('div > div > button > div > span', /^Register$/);
+    if (paywall.length && dompurify_loaded) {
+      let article = paywall[0].parentNode.parentNode.parentNode.parentNode;
+      if (article) {
+        let filter = /^window\.__basedcache__\s?=\s?/;
+        let json_script = getSourceJsonScript(filter);
+        if (json_script) {
+          try {
+            let json = JSON.parse(json_script.text.split(filter)[1]);
+            if (json) {
+              let body = findKeyJson(json, ['body']);
+              if (body) {
+                article.innerHTML = '';
+                let parser = new DOMParser();
+                let doc = parser.parseFromString('<div class="w" style="font-size: 18px; line-height: 30px; position: relative;">' + DOMPurify.sanitize(body, dompurify_options) + '</div>', 'text/html');
+                let article_new = doc.querySelector('div');
+                let pars = article_new.querySelectorAll('p.rte-p');
+                for (let par of pars)
+                  par.style = 'margin: 20px 0px;';
+                article.appendChild(article_new);
+              }
+            }
+          } catch (err) {
+            csLog('error', err);
+          }
+        }
+      }
+    }
+  }
+});
@@ -0,0 +1,8 @@
+registerSiteModule({
+  domains: ['exame.com'],
+  run(ctx) {
+    window.localStorage.removeItem('pywllcount');
+    let ads = 'div[id^="ads_"]';
+    hideDOMStyle(ads);
+  }
+});
@@ -0,0 +1,82 @@
+registerSiteModule({
+  domains: ['expresso.pt'],
+  run(ctx) {
+    if (!window.location.hostname.startsWith('amp.')) {
+      let article_sel = 'div.article-content';
+      let paywall = document.querySelector(article_sel + ' > div.g-premium-blocker');
+      if (paywall && dompurify_loaded) {
+        removeDOMElement(paywall);
+        let article = document.querySelector(article_sel);
+        if (article) {
+          let url = window.location.href.split(/[#\?]/)[0];
+          fetch(url)
+          .then(response => {
+            if (response.ok) {
+              response.text().then(html => {
+                if (html.match(/window\.__INITIAL_DATA__\s?=\s?/)) {
+                  try {
+                    article.innerHTML = '';
+                    let json = JSON.parse(html.split(/window\.__INITIAL_DATA__\s?=\s?/)[1].split(';window.')[0].replace(/":undefined([,}])/g, "\":\"undefined\"$1")).nodes;
+                    let pars = [];
+                    for (let elem in json) {
+                      let item = json[elem];
+                      if (item.type === 'Layout') {
+                        for (let elem of item.nodes) {
+                          if (elem.type === 'MainBody')
+                            pars = elem.nodes[0].data.content.contents;
+                        }
+                        break;
+                      }
+                    }
+                    let parser = new DOMParser();
+                    for (let par of pars) {
+                      let par_new;
+                      if (par.html) {
+                        let doc = parser.parseFromString('<div>' + DOMPurify.sanitize(par.html, dompurify_options) + '</div>', 'text/html');
+                        par_new = doc.querySelector('div');
+                      } else if (par.type === 'PICTURE') {
+                        if (par.urlOriginal) {
+                          par_new = makeFigure(par.urlOriginal, par.caption, {style: 'width:100%'});
+                        }
+                      } else if (par.link && par.title) {
+                        if (par.contents) {
+                          par_new = document.createElement('div');
+                          for (let elem of par.contents) {
+                            let elem_new;
+                            if (elem.html) {
+                              let doc = parser.parseFromString('<div>' + DOMPurify.sanitize(elem.html, dompurify_options) + '</div>', 'text/html');
+                              elem_new = doc.querySelector('div');
+                            } else if (elem.urlOriginal) {
+                              elem_new = makeFigure(elem.urlOriginal, elem.caption, {style: 'width:100%'});
+                            }
+                            if (elem_new)
+                              par_new.appendChild(elem_new);
+                          }
+                        } else {
+                          par_new = document.createElement('p');
+                          let art_link = document.createElement('a');
+                          art_link.innerText = par.title;
+                          art_link.href = par.link;
+                          par_new.appendChild(art_link);
+                        }
+                      }
+                      if (par_new)
+                        article.appendChild(par_new);
+                      else
+                        csLog('debug', 'json element not supported', par);
+                    }
+                  } catch (err) {
+                    csLog('error', err);
+                  }
+                }
+              });
+            }
+          }).catch(function (err) {
+            false;
+          });
+        }
+      }
+    } else
+      ampToHtml();
+  }
+});
@@ -0,0 +1,39 @@
+registerSiteModule({
+  domains: ['fastcompany.com'],
+  run(ctx) {
+    let paywall = document.querySelector('div.paywall');
+    if (paywall && dompurify_loaded) {
+      removeDOMElement(paywall);
+      let filter = /\\"content\\":\[/;
+      let json_script = getSourceJsonScript(filter, ':not([id], [src], [type])');
+      if (json_script) {
+        try {
+          let json = JSON.parse('[' + json_script.text.split(filter)[1].split(/\],\\"/)[0].replace(/\\\\\\"/g, '\\"').replace(/(\[|,)\\"/g, '$1"').replace(/\\"(\]|,)/g, '"$1').replace(/\\\\n/g, '') + ']');
+          if (json) {
+            let article = document.querySelector('article');
+            if (article) {
+              article.innerHTML = '';
+              article.className = 'article-container';
+              let parser = new DOMParser();
+              for (let pars of json)
+                for (let par of pars) {
+                  if (!par.match(/^\$\w{2}$/)) {
+                    let content_new = parser.parseFromString('<div class="content-chunk">' + DOMPurify.sanitize(par, dompurify_options) + '</div>', 'text/html');
+                    let elem = content_new.querySelector('div');
+                    let img_srcset_drop = elem.querySelectorAll('figure > img[srcset]');
+                    for (let img of img_srcset_drop)
+                      img.removeAttribute('srcset');
+                    article.appendChild(elem);
+                  }
+                }
+            }
+          }
+        } catch (err) {
+          csLog('error', err);
+        }
+      }
+    }
+    let ads = 'div[class*="ad-wrapper"]';
+    hideDOMStyle(ads);
+  }
+});
@@ -0,0 +1,21 @@
+registerSiteModule({
+  domains: ['faz.net'],
+  run(ctx) {
+    if (matchDomain('zeitung.faz.net')) { // legacy
+      let paywall_z = document.querySelector('div.c-red-carpet');
+      if (paywall_z) {
+        removeDOMElement(paywall_z);
+        let og_url = document.querySelector('head > meta[property="og:url"][content]');
+        if (og_url)
+          window.location.href = og_url.content;
+        else
+          header_nofix('div.article__text');
+      }
+      let sticky_advt = document.querySelector('div.sticky-advt');
+      removeDOMElement(sticky_advt);
+    } else {
+      let ads = 'div.lay-PaySocial, div.iqadtile_wrapper, div.iqdcontainer';
+      hideDOMStyle(ads);
+    }
+  }
+});
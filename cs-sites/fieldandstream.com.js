@@ -0,0 +1,10 @@
+registerSiteModule({
+  domains: ['fieldandstream.com'],
+  run(ctx) {
+    let overlay = document.querySelectorAll('div[class^="mailmunch-"]');
+    removeDOMElement(...overlay);
+    let noscroll = document.querySelector('html.mailmunch-pop-open');
+    if (noscroll)
+      noscroll.removeAttribute('class');
+  }
+});
@@ -0,0 +1,11 @@
+registerSiteModule({
+  domains: ['financialexpress.com'],
+  run(ctx) {
+    let paywall = document.querySelector('div.paywall');
+    if (paywall)
+      paywall.classList.remove('paywall');
+    let register = 'div.pcl-wrap';
+    let ads_selector = window.location.pathname.endsWith('/lite/') ? 'amp-ad, amp-embed, .ad-bg-container' : 'div[class*="-ads-blocks-ad-unit"]';
+    hideDOMStyle(register + ', ' + ads_selector);
+  }
+});
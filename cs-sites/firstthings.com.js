@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: ['firstthings.com'],
+  run(ctx) {
+    let paywall = document.querySelector('.paywall');
+    removeDOMElement(paywall);
+  }
+});
@@ -0,0 +1,29 @@
+registerSiteModule({
+  domains: ['fnlondon.com'],
+  run(ctx) {
+    func_post = function () {
+      if (mobile) {
+        let lazy_images = document.querySelectorAll('picture > img[loading="lazy"][style]');
+        for (let elem of lazy_images) {
+          elem.style = 'width: 95%;';
+          elem.parentNode.removeAttribute('style');
+        }
+      }
+    }
+    let url = ctx.url;
+    getArchive(url, 'div[data-testid="articleSignInSubscribeWrapper"]', '', 'article');
+    let fade = 'div#cx-snippet';
+    hideDOMStyle(fade);
+    function fnlondon_main(node) {
+      window.setTimeout(function () {
+        let signin_links = node.querySelectorAll('a[href^="https://www.fnlondon.com/client/login?target="]');
+        for (let elem of signin_links) {
+          elem.href = '#';//elem.href.split('target=')[1].split('&')[0];
+          elem.innerText = 'Open';
+          elem.addEventListener('click', function () { window.location.reload(); });
+        }
+      }, 500);
+    }
+    waitDOMElement('div[id^="continuous_article_"]', 'DIV', fnlondon_main, true);
+  }
+});
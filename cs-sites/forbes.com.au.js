@@ -0,0 +1,9 @@
+registerSiteModule({
+  domains: ['forbes.com.au'],
+  run(ctx) {
+    if (dompurify_loaded)
+      getJsonUrl('div[class*="_gate"]', '', 'div.article-page__content-body');
+    let fade = document.querySelector('div[style*="background-image: linear-gradient"]');
+    removeDOMElement(fade);
+  }
+});
@@ -0,0 +1,17 @@
+registerSiteModule({
+  domains: ['forbes.com'],
+  run(ctx) {
+    waitDOMAttribute('body', 'body', 'class', node => node.removeAttribute('class'), true);
+    csDoneOnce = true;
+    if (window.location.pathname.startsWith('/newsletters/')) {
+      let paywall = document.querySelector('div > div.newsletter-teaser');
+      if (paywall) {
+        paywall.classList.remove('newsletter-teaser');
+        let header = paywall.parentNode;
+        header_nofix(header);
+      }
+    }
+    let ads = 'fbs-ad';
+    hideDOMStyle(ads);
+  }
+});
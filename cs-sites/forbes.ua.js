@@ -0,0 +1,19 @@
+registerSiteModule({
+  domains: ['forbes.ua'],
+  run(ctx) {
+    let paywall = document.querySelector('div.js-closed-part');
+    if (paywall) {
+      removeDOMElement(paywall);
+      let json_script = getArticleJsonScript();
+      if (json_script) {
+        let json = JSON.parse(json_script.text);
+        if (json) {
+          let json_text = parseHtmlEntities(json.articleBody).replace(/\n/g, "$&\r\n");
+          let article = document.querySelector('div.c-post-text');
+          if (json_text && article)
+            article.innerText = json_text;
+        }
+      }
+    }
+  }
+});
@@ -0,0 +1,14 @@
+registerSiteModule({
+  domains: ['foreignaffairs.com'],
+  run(ctx) {
+    window.setTimeout(function () {
+      let paywall = document.querySelector('.paywall');
+      let loading_indicator = document.querySelector('.loading-indicator');
+      let msg_bottom = document.querySelector('.messages--container--bottom');
+      removeDOMElement(paywall, loading_indicator, msg_bottom);
+      let article_dropcap = document.querySelectorAll('.article-dropcap');
+      for (let elem of article_dropcap)
+        elem.classList.add('loaded');
+    }, 1000);
+  }
+});
@@ -0,0 +1,22 @@
+registerSiteModule({
+  domains: ['foreignpolicy.com'],
+  run(ctx) {
+    let content_ungated = document.querySelector('div.content-ungated');
+    if (content_ungated && dompurify_loaded) {
+      removeDOMElement(content_ungated);
+      let content_gated = document.querySelector('div.content-gated');
+      if (content_gated) {
+        let insider = document.querySelector('body.is-fp-insider');
+        if (insider) {
+          getJsonUrl('div.content-gated', {rm_class: 'content-gated'}, 'div.content-gated');
+          window.setTimeout(function () {
+            let lazy_images = document.querySelectorAll('img[loading="lazy"]');
+            for (let elem of lazy_images)
+              elem.removeAttribute('loading');
+          }, 1000);
+        } else
+          content_gated.classList.remove('content-gated');
+      }
+    }
+  }
+});
@@ -0,0 +1,14 @@
+registerSiteModule({
+  domains: ['fortune.com'],
+  run(ctx) {
+    let paywall = document.querySelector('div.paywallActive');
+    if (window.location.pathname.match(/\/amp(\/)?/)) {
+      amp_unhide_access_hide('="NOT p.showRegWall AND NOT p.showPayWall"', '="p.showPayWall"', '[class^="amp-ad"], div.paywall');
+    } else {
+      if (paywall)
+        paywall.removeAttribute('class');
+      let banner = document.querySelector('div#__next > div:empty');
+      removeDOMElement(banner);
+    }
+  }
+});
@@ -0,0 +1,10 @@
+registerSiteModule({
+  domains: ['foxnews.com'],
+  run(ctx) {
+    let paywall = document.querySelector('div.article-gating-wrapper');
+    removeDOMElement(paywall);
+    let overlay = document.querySelector('div[class*="gated-overlay"]');
+    if (overlay)
+      overlay.removeAttribute('class');
+  }
+});
@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: fr_be_groupe_rossel_domains,
+  run(ctx) {
+    let ads = 'r-pub';
+    hideDOMStyle(ads);
+  }
+});
@@ -0,0 +1,16 @@
+registerSiteModule({
+  domains: fr_groupe_la_depeche_domains,
+  run(ctx) {
+    let paywall = document.querySelector('div.paywall');
+    if (paywall) {
+      removeDOMElement(paywall);
+      let article = document.querySelector('div.article-full__body-content');
+      if (article) {
+        article.removeAttribute('style');
+        article.removeAttribute('data-state');
+      }
+    }
+    let ads = 'div.ad';
+    hideDOMStyle(ads);
+  }
+});
@@ -0,0 +1,19 @@
+registerSiteModule({
+  domains: fr_groupe_nice_matin_domains,
+  run(ctx) {
+    if (window.location.pathname.startsWith('/amp/')) {
+      amp_iframes_replace();
+      let qiota_script = document.querySelector('amp-script.i-amphtml-layout-size-defined[src$="/qiota-amp.js"]');
+      if (qiota_script) {
+        qiota_script.classList.remove('i-amphtml-layout-size-defined');
+        let amp_images = document.querySelectorAll('amp-img > img.i-amphtml-fill-content');
+        for (let elem of amp_images)
+          elem.removeAttribute('class');
+        let sizers = document.querySelectorAll('i-amphtml-sizer');
+        removeDOMElement(...sizers);
+      }
+    }
+    let ads = 'div[class^="ad-slot-"]';
+    hideDOMStyle(ads);
+  }
+});
@@ -0,0 +1,25 @@
+registerSiteModule({
+  domains: ['ft.com'],
+  run(ctx) {
+    func_post = function () {
+      let lazy_images = document.querySelectorAll('figure > picture > img[loading="lazy"][src^="data:image/gif"][new-cursrc]');
+      for (let elem of lazy_images) {
+        elem.removeAttribute('loading');
+        elem.style = 'width: 100%;';
+        let figure = elem.parentNode.parentNode;
+        if (figure.parentNode && figure.parentNode.nodeName === 'DIV')
+          figure.parentNode.removeAttribute('style');
+        elem.src = elem.getAttribute('new-cursrc');
+      }
+      if (mobile) {
+        let grids = document.querySelectorAll('div[style*="grid-template-areas"], article#site-content');
+        for (let elem of grids)
+          elem.style = 'margin: 10px;';
+      }
+    }
+    let url = ctx.url;
+    getArchive(url, 'div#barrier-page', '', 'div.n-layout__row--content', '', 'div[style*="article-body"]', 'body');
+    let banners = '.o-cookie-message, .js-article-ribbon, .o-ads, .o-banner';
+    hideDOMStyle(banners);
+  }
+});
@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: ['ftm.eu'],
+  run(ctx) {
+    let banners = document.querySelectorAll('div.banner-pp, a.readmore');
+    removeDOMElement(...banners);
+  }
+});
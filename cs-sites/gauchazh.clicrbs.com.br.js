@@ -0,0 +1,14 @@
+registerSiteModule({
+  domains: ['gauchazh.clicrbs.com.br'],
+  run(ctx) {
+    window.setTimeout(function () {
+      let blink = document.querySelector('div:not(.hidden) > div.body.blink');
+      if (blink) {
+        csDoneOnce = true;
+        refreshCurrentTab();
+      }
+    }, 2000);
+    let ads = 'div.ad-banner';
+    hideDOMStyle(ads);
+  }
+});
@@ -0,0 +1,11 @@
+registerSiteModule({
+  domains: ['gazetadopovo.com.br'],
+  run(ctx) {
+    if (window.location.pathname.endsWith('/amp/')) {
+      amp_unhide_subscr_section('div.ads-amp, amp-embed, div.tpl-wrapper', false);
+    } else {
+      let ads = 'div.c-ads';
+      hideDOMStyle(ads);
+    }
+  }
+});
@@ -0,0 +1,35 @@
+registerSiteModule({
+  domains: ['gazzetta.it'],
+  run(ctx) {
+    if (window.location.pathname.endsWith('_preview.shtml')) {
+      let paywall = document.querySelector('section.bck-freemium__wall');
+      if (paywall) {
+        removeDOMElement(paywall);
+        if (!window.location.search.startsWith('?reason=unauthenticated')) {
+          window.location.href = window.location.pathname.replace('_preview', '') + '?gaa_at=g';
+        } else {
+          let json_script = getArticleJsonScript();
+          let header = 'div.content > h2';
+          if (json_script) {
+            let json = JSON.parse(json_script.text);
+            if (json) {
+              let json_text = json.articleBody.replace(/(\s{3}|&nbsp;)/g, '\r\n\r\n');
+              let content = document.querySelector('div.content > p.has-first-letter');
+              if (json_text && content) {
+                let content_new = document.createElement('p');
+                content_new.innerText = json_text;
+                content.parentNode.replaceChild(content_new, content);
+                let article_body = document.querySelector('section.body-article');
+                if (article_body)
+                  article_body.style = 'height: auto;';
+              } else
+                header_nofix(header);
+            }
+          } else
+            header_nofix(header);
+        }
+      }
+    } else if (window.location.pathname.endsWith('_amp.shtml'))
+      ampToHtml();
+  }
+});
@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: ['gbnews.com'],
+  run(ctx) {
+    let ads = 'div.ad--billboard, div.ad--placeholder';
+    hideDOMStyle(ads);
+  }
+});
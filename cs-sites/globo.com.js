@@ -0,0 +1,18 @@
+registerSiteModule({
+  domains: ['globo.com'],
+  run(ctx) {
+    if (matchDomain('valor.globo.com')) {
+      if (!window.location.pathname.startsWith('/google/amp/')) {
+        amp_redirect('div.paywall');
+      } else {
+        amp_unhide_subscr_section('amp-ad, amp-embed');
+        amp_images_replace();
+      }
+    } else if (window.location.pathname.includes('/amp/'))
+      ampToHtml();
+    if (!window.location.pathname.includes('/amp/')) {
+      let ads = 'div[id^="ad-container"], div.content-ads, div[class^="block__advertising"], div#pub-in-text-wrapper, div.area_publicidade_container';
+      hideDOMStyle(ads);
+    }
+  }
+});
@@ -0,0 +1,12 @@
+registerSiteModule({
+  domains: ['golem.de'],
+  run(ctx) {
+    let url = ctx.url;
+    func_post = function () {
+      let js_block = 'figure[id]:not([class])';
+      hideDOMStyle(js_block);
+    }
+    getOchToUnlock(url, 'div.paywall-wrapper', '', 'article');
+    let ads = 'div[id^="iqadtile"]';
+  }
+});
@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: ['granta.com'],
+  run(ctx) {
+    if (dompurify_loaded)
+      getJsonUrl('div.article-sign-up-container', '', 'div.article-excerpt');
+  }
+});
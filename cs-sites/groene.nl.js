@@ -0,0 +1,14 @@
+registerSiteModule({
+  domains: ['groene.nl'],
+  run(ctx) {
+    let more = pageContains('div.wrapper > h2', 'Verder lezen?');
+    if (more.length) {
+      let link_text = 'https://www.groene.nl/populair';
+      let a_link = document.createElement('a');
+      a_link.href = link_text;
+      a_link.innerText = 'BPC > ' + link_text.split('www.')[1];
+      more[0].parentNode.append(document.createElement('br'), a_link);
+      csDoneOnce = true;
+    }
+  }
+});
@@ -0,0 +1,31 @@
+registerSiteModule({
+  domains: ['haaretz.co.il', 'haaretz.com', 'themarker.com'],
+  run(ctx) {
+    if (window.location.pathname.match(/\/(.|ty-article-magazine\/)/)) {
+      let body_wrapper_sel = 'section[data-testid="article-body-wrapper"]';
+      let paywall_sel = 'div[data-test="paywallMidpage"], ' + body_wrapper_sel + ' div[data-testid="logo-loading-indicator"]';
+      let article_sel = 'main';
+      let article_link_sel = 'main header, main.article-page p:not([id]), h1#article-header, ' + body_wrapper_sel;
+      let url = window.location.href;
+      if (!mobile) {
+        func_post = function () {
+          let disabled_items = 'section[data-testid="zoidberg-list"], section#comments-section, div[old-position="sticky"]';
+          hideDOMStyle(disabled_items);
+        }
+        getArchive(url, paywall_sel, '', article_sel, '', article_sel, article_link_sel);
+      } else {
+        let paywall = document.querySelector(paywall_sel);
+        if (paywall) {
+          removeDOMElement(paywall);
+          csDoneOnce = true;
+          let article_link = document.querySelector(article_link_sel);
+          if (article_link)
+            article_link.before(archiveLink(url));
+        }
+      }
+    }
+    let history_keys = Object.keys(window.localStorage).filter(x => x.match(/^(reading(Count)?History|raData)/i));
+    for (let item of history_keys)
+      window.localStorage.removeItem(item);
+  }
+});
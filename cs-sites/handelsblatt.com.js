@@ -0,0 +1,21 @@
+registerSiteModule({
+  domains: ['handelsblatt.com'],
+  run(ctx) {
+    let paywall = document.querySelector('app-paywall');
+    if (paywall) {
+      removeDOMElement(paywall);
+      let article = document.querySelector('article');
+      if (article) {
+        let url = window.location.href;
+        article.after(googleSearchToolLink(url));
+        header_nofix('article', '', 'BPC > refresh page');
+      }
+    }
+    window.localStorage.removeItem('HB.METERING');
+    let overlay = document.querySelector('div[id^="sp_message_container_"]');
+    removeDOMElement(overlay);
+    let noscroll = document.querySelector('html[class]');
+    if (noscroll)
+      noscroll.removeAttribute('class');
+  }
+});
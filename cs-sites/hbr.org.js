@@ -0,0 +1,16 @@
+registerSiteModule({
+  domains: ['hbr.org'],
+  world: 'MAIN',
+  run(ctx) {
+    function hbr_main() {
+      window.top.postMessage({type: 'article-paywall:full-content'}, '*');
+    }
+    let popup = document.querySelector('.persistent-banner');
+    removeDOMElement(popup);
+    let paywall = document.querySelector('div#paywall');
+    if (paywall) {
+      removeDOMElement(paywall);
+      insert_script(hbr_main);
+    }
+  }
+});
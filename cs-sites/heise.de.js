@@ -0,0 +1,17 @@
+registerSiteModule({
+  domains: ['heise.de'],
+  run(ctx) {
+    func_post = function () {
+      let paywall = document.querySelector(paywall_sel);
+      if (paywall) {
+        paywall.before(archiveLink(url));
+        removeDOMElement(paywall);
+      }
+    }
+    let paywall_sel = 'a-gift:not([has-access])';
+    let url = ctx.url;
+    getOchToUnlock(url, paywall_sel, '', 'article');
+    let ads = 'div.ad-ldb-container, div.inread-cls-reduc';
+    hideDOMStyle(ads);
+  }
+});
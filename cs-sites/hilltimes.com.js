@@ -0,0 +1,19 @@
+registerSiteModule({
+  domains: ['hilltimes.com'],
+  run(ctx) {
+    function hilltimes_main(node) {
+      getJsonUrl('div.paywallcont', '', 'div#entry-content');
+    }
+    let paywall_sel = 'div.paywallcont';
+    let paywall = document.querySelector(paywall_sel);
+    if (dompurify_loaded) {
+      if (paywall)
+        hilltimes_main(paywall);
+      else
+        waitDOMElement(paywall_sel, 'DIV', hilltimes_main, false);
+      csDoneOnce = true;
+    }
+    let banner = 'section.hide_this_section';
+    hideDOMStyle(banner);
+  }
+});
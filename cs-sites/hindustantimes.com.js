@@ -0,0 +1,18 @@
+registerSiteModule({
+  domains: ['hindustantimes.com'],
+  run(ctx) {
+    let paywall = document.querySelector('.freemium-card');
+    if (paywall) {
+      removeDOMElement(paywall);
+      let freemium_text = document.querySelector('.freemiumText');
+      if (freemium_text)
+        freemium_text.classList.remove('freemiumText');
+    }
+    let noscroll = document.querySelector('body.open-popup');
+    if (noscroll)
+      noscroll.classList.remove('open-popup');
+    let close_story = '.closeStory';
+    let ads = 'div[class^="adHeight"]';
+    hideDOMStyle(close_story + ', ' + ads);
+  }
+});
@@ -0,0 +1,13 @@
+registerSiteModule({
+  domains: ['historyextra.com'],
+  run(ctx) {
+    let article_masked = document.querySelector('.template-article__masked');
+    if (article_masked) {
+      let extra_pars = document.querySelectorAll('div.template-article__masked > p');
+      removeDOMElement(...extra_pars);
+      article_masked.classList.remove('template-article__masked');
+    }
+    let ad_banner = document.querySelector('.ad-banner-container');
+    removeDOMElement(ad_banner);
+  }
+});
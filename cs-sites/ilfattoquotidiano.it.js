@@ -0,0 +1,24 @@
+registerSiteModule({
+  domains: ['ilfattoquotidiano.it'],
+  run(ctx) {
+    if (window.location.pathname.endsWith('/amp/')) {
+      amp_unhide_subscr_section('amp-ad, amp-embed, div#_4sVideoContainer, div#post-consent-ui');
+      let comments = document.querySelector('div.content.comments');
+      removeDOMElement(comments);
+      let logo = document.querySelector('a > amp-img[src$="/logo-tablet.svg"]');
+      if (logo) {
+        let logo_new = document.createElement('img');
+        logo_new.src = logo.getAttribute('src').replace('logo-tablet.svg', 'logo-desktop.svg');
+        logo_new.height = logo.getAttribute('height');
+        logo_new.width = logo.getAttribute('width');
+        logo.parentNode.replaceChild(logo_new, logo);
+      }
+    } else if (window.location.pathname.match(/\/\d{4}\/\d{2}\/\d{2}\//)) {
+      let paywall = document.querySelector('div.read-more');
+      if (paywall) {
+        removeDOMElement(paywall);
+        window.location.href = window.location.pathname + 'amp';
+      }
+    }
+  }
+});
@@ -0,0 +1,12 @@
+registerSiteModule({
+  domains: ['ilfoglio.it'],
+  run(ctx) {
+    if (window.location.pathname.endsWith('/amp/')) {
+      amp_unhide_subscr_section('amp-ad, [class^="adv-"], div#gmpVideoContainer');
+    } else {
+      amp_redirect('div.paywall');
+      let ads = '.advertisement';
+      hideDOMStyle(ads);
+    }
+  }
+});
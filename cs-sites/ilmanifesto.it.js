@@ -0,0 +1,33 @@
+registerSiteModule({
+  domains: ['ilmanifesto.it'],
+  run(ctx) {
+    let paywall = document.querySelector('div[class*="before:bg-gradient-to-t"]');
+    if (paywall && dompurify_loaded) {
+      removeDOMElement(paywall);
+      let article = document.querySelector('article div.prose');
+      if (article) {
+        let filter = /^self\.__next_f\.push\(\[1,"/;
+        let scripts = document.querySelectorAll('script:not([src], [type])');
+        for (let script of scripts) {
+          if (script.text.match(filter) && script.text.includes('canonical_url')) {
+            if (!script.text.includes(window.location.href))
+              refreshCurrentTab();
+            break;
+          }
+        }
+        let source_script = getSourceJsonScript(/^self\.__next_f\.push\(\[1,"\\u003c/);
+        if (source_script) {
+          let source_text = source_script.text.split(filter)[1].split('"])')[0].replace(/\\u003c/g, '<').replace(/\\u003e/g, '>').replace(/\\"/g, '"').replace(/\\n/g, '');
+          let parser = new DOMParser();
+          let doc = parser.parseFromString('<div>' + DOMPurify.sanitize(source_text) + '</div>', 'text/html');
+          let article_new = doc.querySelector('div');
+          let figures = article_new.querySelectorAll('figure[style]');
+          for (let elem of figures)
+            elem.removeAttribute('style');
+          article.innerHTML = '';
+          article.appendChild(article_new);
+        }
+      }
+    }
+  }
+});
@@ -0,0 +1,8 @@
+registerSiteModule({
+  domains: ['ilsole24ore.com'],
+  run(ctx) {
+    header_nofix('div.paywalltext', 'div.lock');
+    let ads = 'div.background-adv, div.abox, div.ob-smartfeed-wrapper';
+    hideDOMStyle(ads);
+  }
+});
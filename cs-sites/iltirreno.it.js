@@ -0,0 +1,17 @@
+registerSiteModule({
+  domains: ['iltirreno.it', 'lanuovasardegna.it', 'gazzettadimodena.it', 'gazzettadireggio.it', 'lanuovaferrara.it'],
+  run(ctx) {
+    if (window.location.pathname.includes('/news/')) {
+      let paywall = document.querySelector('span > img[alt*="Paywall"]');
+      if (paywall) {
+        let header = paywall.parentNode.parentNode;
+        header_nofix(header);
+        removeDOMElement(paywall.parentNode);
+      }
+      window.setTimeout(function () {
+        let banners = document.querySelectorAll('div.MuiSnackbar-root, div.css-16cchgy');
+        removeDOMElement(...banners);
+      }, 1000);
+    }
+  }
+});
@@ -0,0 +1,11 @@
+registerSiteModule({
+  domains: ['inc42.com'],
+  run(ctx) {
+    if (window.location.pathname.endsWith('/amp/')) {
+      amp_unhide_access_hide('="status"', '="NOT status"', 'amp-ad, amp-embed, div.wru-widget');
+    } else {
+      let banner = document.querySelector('div[id*="_leaderboard_"]');
+      removeDOMElement(banner);
+    }
+  }
+});
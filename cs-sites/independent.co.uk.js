@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: ['independent.co.uk'],
+  run(ctx) {
+    let ads = 'div[id^="taboola-"]';
+    hideDOMStyle(ads);
+  }
+});
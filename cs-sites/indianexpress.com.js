@@ -0,0 +1,11 @@
+registerSiteModule({
+  domains: ['indianexpress.com'],
+  run(ctx) {
+    if (window.location.pathname.endsWith('/lite/'))
+      amp_unhide_access_hide('="metering.result=\'ALLOW_ACCESS\'"', '', 'div.amp-ad, amp-embed');
+    else {
+      let ads = 'div[class^="adsbox"], div.adboxtop, div.add-first, div.osv-ad-class, div.ie-int-campign-ad';
+      hideDOMStyle(ads);
+    }
+  }
+});
@@ -0,0 +1,13 @@
+registerSiteModule({
+  domains: ['indiatoday.in'],
+  run(ctx) {
+    if (window.location.pathname.match(/(\/amp)?\/magazine\//)) {
+      let url = window.location.href;
+      if (!url.includes('/amp/')) {
+        amp_redirect('div#csc-paywall');
+      } else {
+        amp_unhide_access_hide('="granted"', '="NOT NOT granted"', 'amp-ad, amp-embed');
+      }
+    }
+  }
+});
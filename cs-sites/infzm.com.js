@@ -0,0 +1,20 @@
+registerSiteModule({
+  domains: ['infzm.com'],
+  run(ctx) {
+    let url = ctx.url;
+    if (url.includes('.com/wap/#/content/')) {
+      let container = document.querySelector('section.container');
+      if (container)
+        container.classList.remove('container');
+      let overlay = document.querySelector('div.article-content[style]');
+      if (overlay)
+        overlay.removeAttribute('style');
+    } else if (url.includes('.com/contents/')) {
+      let paywall = document.querySelector('div.nfzm-article-jumbotron--unauth');
+      if (paywall) {
+        removeDOMElement(paywall);
+        window.location.href = url.replace('.com/contents/', '.com/wap/#/content/').split('?')[0];
+      }
+    }
+  }
+});
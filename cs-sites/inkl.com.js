@@ -0,0 +1,30 @@
+registerSiteModule({
+  domains: ['inkl.com'],
+  run(ctx) {
+    let paywall = document.querySelector('div.paywall');
+    if (paywall) {
+      paywall.removeAttribute('class');
+      let gradient_container = document.querySelector('div.gradient-container');
+      removeDOMElement(gradient_container);
+    }
+    let what_is_inkl = document.querySelector('.what-is-inkl-container, .features-panel');
+    let signup = document.querySelectorAll('.article-signup-container, .locked-sign-up-container, div[class*="/inkl-watermark.svg"]');
+    let shared_banner = document.querySelector('div.shared-article-inline-banner');
+    removeDOMElement(what_is_inkl, ...signup, shared_banner);
+    let dismiss_button = document.querySelector('div.dismiss-button-container button.btn');
+    if (dismiss_button)
+      dismiss_button.click();
+    let dive_deeper_summary_bodies = document.querySelectorAll('div.dive-deeper-container div.summary-body');
+    if (dive_deeper_summary_bodies) {
+      for (let summary_body of dive_deeper_summary_bodies) {
+        if (!summary_body.querySelector('a')) {
+          let ng_click = summary_body.getAttribute('ng-click').replace("showArticle('", '').replace("')", '');
+          let weblink = document.createElement('a');
+          weblink.text = 'open';
+          weblink.href = 'https://www.inkl.com/news/' + ng_click;
+          summary_body.appendChild(weblink);
+        }
+      }
+    }
+  }
+});
@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: ['insidehighered.com'],
+  run(ctx) {
+    let ads = 'div[id^="block-dfptag"], div.wp-block-ihe-ad, section.section-ad_slot, div#roadblock';
+    hideDOMStyle(ads);
+  }
+});
@@ -0,0 +1,12 @@
+registerSiteModule({
+  domains: ['interestingengineering.com'],
+  run(ctx) {
+    let paywall = document.querySelector('div.paywall-main-wrapper');
+    if (paywall) {
+      removeDOMElement(paywall);
+      let blurred = document.querySelectorAll('.blurFilter');
+      for (let elem of blurred)
+        elem.classList.remove('blurFilter');
+    }
+  }
+});
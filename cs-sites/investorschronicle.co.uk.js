@@ -0,0 +1,15 @@
+registerSiteModule({
+  domains: ['investorschronicle.co.uk'],
+  run(ctx) {
+    let paywall = document.querySelector('div#hard-barrier');
+    if (paywall) {
+      removeDOMElement(paywall);
+      let url = window.location.href;
+      let article = document.querySelector('div.summary');
+      if (article)
+        article.before(googleSearchToolLink(url));
+    }
+    let ads = 'div[id$="ad-wrapper"]';
+    hideDOMStyle(ads);
+  }
+});
@@ -0,0 +1,28 @@
+registerSiteModule({
+  domains: it_gedi_domains,
+  run(ctx) {
+    if (domain = matchDomain(['huffingtonpost.it', 'lastampa.it'])) {
+      if (window.location.pathname.includes('/news/')) {
+        if (!window.location.pathname.match(/\amp(\/)?$/)) {
+          csDoneOnce = true;
+          let paywall = document.querySelector('iframe#__limio_frame');
+          if (paywall) {
+            ext_api.runtime.sendMessage({request: 'clear_cookies_domain', data: {domain: domain}});
+            refreshCurrentTab();
+          }
+          let modal = document.querySelector('aside#widgetDP');
+          removeDOMElement(modal);
+        } else
+          ampToHtml();
+      }
+    } else {
+      if (!window.location.pathname.match(/\amp(\/)?$/)) {
+        let paywall = document.querySelector('div#ph-paywall');
+        removeDOMElement(paywall);
+      } else
+        ampToHtml();
+    }
+    let ads = 'div[id^="adv"]';
+    hideDOMStyle(ads);
+  }
+});
@@ -0,0 +1,14 @@
+registerSiteModule({
+  domains: it_ilmessaggero_domains,
+  run(ctx) {
+    if (window.location.pathname.toLowerCase().includes('/amp/')) {
+      amp_unhide_subscr_section('amp-ad, amp-embed');
+    } else {
+      let noscroll = document.querySelector('html[style]');
+      if (noscroll)
+        noscroll.removeAttribute('style');
+      let ads = 'div.adv_banner, div.inread_adv, div#outbrain';
+      hideDOMStyle(ads);
+    }
+  }
+});
@@ -0,0 +1,12 @@
+registerSiteModule({
+  domains: it_quotidiano_domains,
+  run(ctx) {
+    if (window.location.pathname.endsWith('/amp') || window.location.search.startsWith('?amp')) {
+      amp_unhide_access_hide('="c.customGranted"', '="NOT c.customGranted"', 'amp-ad, amp-embed, amp-fx-flying-carpet, .watermark-adv, .amp__watermark');
+    } else {
+      amp_redirect('div[data-testid="paywall-container"], div[class^="Paywall_paywall_"]', '', window.location.pathname + '/amp');
+      let ads = 'div[id^="div-gpt-ad"]';
+      hideDOMStyle(ads);
+    }
+  }
+});
@@ -0,0 +1,19 @@
+registerSiteModule({
+  domains: ['japantimes.co.jp'],
+  run(ctx) {
+    window.setTimeout(function () {
+      let url = window.location.href;
+      let paywall = document.querySelector('div.blocker');
+      if (paywall) {
+        removeDOMElement(paywall);
+        let article = document.querySelector('div#jtarticle');
+        if (article)
+          article.firstChild.before(document.createTextNode('Refresh page or'), archiveLink(url));
+      }
+    }, 5000);
+    let banner = document.querySelector('div.subscribe');
+    removeDOMElement(banner);
+    let ads = 'div.DisplayAd';
+    hideDOMStyle(ads);
+  }
+});
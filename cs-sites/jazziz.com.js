@@ -0,0 +1,16 @@
+registerSiteModule({
+  domains: ['jazziz.com'],
+  run(ctx) {
+    if (dompurify_loaded) {
+      let art_options = {};
+      if (window.location.pathname.startsWith('/jazziz-discovery-'))
+        art_options = {art_append: true, art_hold: true};
+      getJsonUrl('div.emoxie-pay-wall', '', 'div.restricted-content', art_options);
+      window.setTimeout(function () {
+        let slideshow = document.querySelector('div[data-slider-id][style]');
+        if (slideshow)
+          slideshow.removeAttribute('style');
+      }, 1000);
+    }
+  }
+});
@@ -0,0 +1,10 @@
+registerSiteModule({
+  domains: ['journaldunet.com'],
+  run(ctx) {
+    let reg_wall = document.querySelector('div.reg_wall');
+    removeDOMElement(reg_wall);
+    let entry_reg_wall = document.querySelector('div.entry_reg_wall[style]');
+    if (entry_reg_wall)
+      entry_reg_wall.removeAttribute('style');
+  }
+});
@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: ['jpost.com'],
+  run(ctx) {
+    let premium_banners = document.querySelectorAll('.hide-for-premium, #hiddenPremiumForm, #hiddenLink');
+    removeDOMElement(...premium_banners);
+  }
+});
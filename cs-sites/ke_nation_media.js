@@ -0,0 +1,32 @@
+registerSiteModule({
+  domains: ke_nation_media_domains.concat(ke_nation_media_custom_domains),
+  run(ctx) {
+    let paywall = document.querySelectorAll('div.modal, [id*="wall"], section.wall-guard');
+    if (paywall.length) {
+      removeDOMElement(...paywall);
+      func_post = function () {
+        let div_hidden = document.querySelectorAll('div.article-page .nmgp');
+        for (let elem of div_hidden)
+          elem.classList.remove('nmgp');
+        let page_hidden = document.querySelector('div.article-page .hidden');
+        if (page_hidden)
+          page_hidden.classList.remove('hidden');
+        let lazy_images = document.querySelectorAll('img.lazy-img[data-srcset]:not([src])');
+        for (let elem of lazy_images) {
+          elem.src = elem.getAttribute('data-srcset').split(',').pop().split(' ')[0];
+          elem.classList.remove('lazy-img');
+          elem.style = 'margin: 0px 20px';
+        }
+        let videos = document.querySelectorAll('iframe.lazy-iframe_iframe[data-src]:not([src])');
+        for (let elem of videos) {
+          elem.src = elem.getAttribute('data-src');
+          elem.removeAttribute('class');
+        }
+      }
+      let url = window.location.href;
+      replaceDomElementExt(url, false, false, 'div.blk-txt');
+    }
+    let banners = 'div.banner, div.spinner';
+    hideDOMStyle(banners);
+  }
+});
@@ -0,0 +1,24 @@
+registerSiteModule({
+  domains: ['kompas.id'],
+  run(ctx) {
+    let url_artikel = window.location.pathname.startsWith('/artikel/');
+    let delay = url_artikel ? 2500 : 0;
+    window.setTimeout(function () {
+      let paywall = document.querySelector('kompasid-paywall');
+      if (paywall) {
+        removeDOMElement(paywall);
+        if (url_artikel) {
+          let intro = document.querySelector('div.paywall');
+          removeDOMElement(intro);
+          let art_hidden = document.querySelector('div.non-paywall[style]');
+          if (art_hidden)
+            art_hidden.removeAttribute('style');
+        } else {
+          let art_hidden = document.querySelector('section.paywall.hidden');
+          if (art_hidden)
+            art_hidden.classList.remove('hidden');
+        }
+      }
+    }, delay);
+  }
+});
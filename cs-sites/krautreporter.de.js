@@ -0,0 +1,17 @@
+registerSiteModule({
+  domains: ['krautreporter.de'],
+  run(ctx) {
+    let paywall = document.querySelector('.js-article-paywall');
+    if (paywall) {
+      removeDOMElement(paywall);
+      window.setTimeout(function () {
+        let paywall_divider = document.querySelector('.js-paywall-divider');
+        let steady_checkout = document.querySelector('#steady-checkout');
+        removeDOMElement(paywall_divider, steady_checkout);
+        let blurred = document.querySelectorAll('.blurred');
+        for (let elem of blurred)
+          elem.classList.remove('blurred', 'json-ld-paywall-marker', 'hidden@print');
+      }, 500);
+    }
+  }
+});
@@ -0,0 +1,15 @@
+registerSiteModule({
+  domains: ['ksta.de', 'rundschau-online.de'],
+  run(ctx) {
+    function unhide_article(node) {
+      removeDOMElement(node);
+      let article = document.querySelector('div[data-article-content][style]');
+      if (article)
+        article.removeAttribute('style');
+    }
+    waitDOMElement('div[data-type="paywall"]', 'DIV', unhide_article, true);
+    csDoneOnce = true;
+    let banners = 'div.dm-slot, div.dm-zephr-banner';
+    hideDOMStyle(banners);
+  }
+});
@@ -0,0 +1,16 @@
+registerSiteModule({
+  domains: ['kurier.at'],
+  run(ctx) {
+    let paywall = document.querySelector('div#cfs-paywall-container');
+    if (paywall) {
+      removeDOMElement(paywall);
+      let div_hidden = document.querySelector('div.paywall');
+      if (div_hidden) {
+        div_hidden.classList.remove('paywall');
+        div_hidden.removeAttribute('style');
+      }
+    }
+    let ads = 'div[data-ad], div[data-outbrain]';
+    hideDOMStyle(ads);
+  }
+});
@@ -0,0 +1,14 @@
+registerSiteModule({
+  domains: ['la-croix.com'],
+  run(ctx) {
+    let url = ctx.url;
+    if (!url.includes('la-croix.com/amp/')) {
+      let ads = 'div[class^="ads-wrapper-"]';
+      hideDOMStyle(ads);
+    } else {
+      let paywall_block = '#paywall_block';
+      let ads = 'amp-ad, amp-embed';
+      hideDOMStyle(paywall_block + ', ' + ads);
+    }
+  }
+});
@@ -0,0 +1,12 @@
+registerSiteModule({
+  domains: ['ladiaria.com.uy'],
+  run(ctx) {
+    if (window.location.search.startsWith('?display=amp')) {
+      csDoneOnce = true;
+      ampToHtml();
+    } else {
+      let banners = document.querySelectorAll('div.softwall, div.subscribe-notice');
+      removeDOMElement(...banners);
+    }
+  }
+});
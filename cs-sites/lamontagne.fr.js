@@ -0,0 +1,25 @@
+// Groupe Centre France
+registerSiteModule({
+  domains: ['lamontagne.fr'],
+  detect: 'head > meta[name="google-play-app"][content^="app-id=com.centrefrance"]',
+  run(ctx) {
+    let paywall = document.querySelector('div#poool-widget');
+    if (paywall) {
+      removeDOMElement(paywall);
+      let json_script = getArticleJsonScript();
+      if (json_script) {
+        let json = JSON.parse(json_script.text);
+        if (json) {
+          let json_text = json.articleBody;
+          let content = document.querySelector('div.entry-content');
+          if (json_text && content) {
+            content.innerHTML = '';
+            let article_new = document.createElement('p');
+            article_new.innerText = json_text;
+            content.appendChild(article_new);
+          }
+        }
+      }
+    }
+  }
+});
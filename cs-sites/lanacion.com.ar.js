@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: ['lanacion.com.ar'],
+  run(ctx) {
+    let ads = 'div.ln-banner-container';
+    hideDOMStyle(ads);
+  }
+});
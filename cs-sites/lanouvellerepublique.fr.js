@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: ['lanouvellerepublique.fr'],
+  run(ctx) {
+    let ads = 'aside.dfp';
+    hideDOMStyle(ads);
+  }
+});
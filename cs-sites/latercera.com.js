@@ -0,0 +1,10 @@
+registerSiteModule({
+  domains: ['latercera.com'],
+  run(ctx) {
+    let paywall = document.querySelector('div.pw-frontier');
+    if (paywall)
+      removeDOMElement(paywall);
+    let ads = 'div.spm';
+    hideDOMStyle(ads);
+  }
+});
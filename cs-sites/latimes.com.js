@@ -0,0 +1,10 @@
+registerSiteModule({
+  domains: ['latimes.com'],
+  run(ctx) {
+    let subscribers = pageContains('div.infobox > p.infobox-title', /subscribers/i);
+    if (subscribers.length)
+      removeDOMElement(subscribers[0].parentNode);
+    let ads = 'div.google-dfp-ad-wrapper, div.revcontent';
+    hideDOMStyle(ads);
+  }
+});
@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: ['lavanguardia.com', 'mundodeportivo.com'],
+  run(ctx) {
+    let ads = 'span.content-ad, span.hidden-ad, span.ad-unit, div.ad-div';
+    hideDOMStyle(ads);
+  }
+});
@@ -0,0 +1,8 @@
+registerSiteModule({
+  domains: ['lc.nl', 'dvhn.nl'],
+  detect: 'head > link[href*=".ndcmediagroep.nl/"]',
+  run(ctx) {
+    let ads = 'div.top__ad, div.marketingblock-article';
+    hideDOMStyle(ads);
+  }
+});
@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: ['ledevoir.com'],
+  run(ctx) {
+    let counter = document.querySelector('.paywall-breakpoint-wrapper');
+    removeDOMElement(counter);
+  }
+});
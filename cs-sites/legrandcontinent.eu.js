@@ -0,0 +1,10 @@
+registerSiteModule({
+  domains: ['legrandcontinent.eu'],
+  run(ctx) {
+    let paywall = document.querySelector('body.paywall, body.pw, body.softwall');
+    if (paywall)
+      paywall.classList.remove('paywall', 'pw', 'softwall');
+    let banners = document.querySelectorAll('div#fix-pw, div.disposableBanner');
+    removeDOMElement(...banners);
+  }
+});
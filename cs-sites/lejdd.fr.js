@@ -0,0 +1,13 @@
+registerSiteModule({
+  domains: ['lejdd.fr', 'parismatch.com', 'public.fr'],
+  run(ctx) {
+    let banners = '.forbidden';
+    let ads = 'div[class^="lmn-"], div.premium-hidden, div.p-aside--placeholder, section.outbrain-container';
+    hideDOMStyle(banners + ', ' + ads);
+    let bottom_hide = document.querySelector('.cnt[data-poool-mode="hide"]');
+    if (bottom_hide) {
+      bottom_hide.removeAttribute('data-poool-mode');
+      bottom_hide.removeAttribute('style');
+    }
+  }
+});
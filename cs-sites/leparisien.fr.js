@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: ['leparisien.fr'],
+  run(ctx) {
+    if (window.location.pathname.startsWith('/amp/'))
+      ampToHtml();
+  }
+});
@@ -0,0 +1,56 @@
+registerSiteModule({
+  domains: ['lepoint.fr'],
+  world: 'MAIN',
+  run(ctx) {
+    listenFromPage('div#contenu');
+    function lepoint_main() {
+      function decryptVariable(a) {
+        var t = ["point", "les", "payants", "top"],
+        n = ["le", "avec", "articles", "c"],
+        o = (function () {
+          var o = [];
+          for (var e = 0; e < 4; e++)
+            o.push(n[e]), o.push(t[e]);
+          return o
+        })(),
+        e = {
+          stringify: function (o) {
+            var e = {
+              ct: o.ciphertext.toString(CryptoJS.enc.Base64)
+            };
+            return o.iv && (e.iv = o.iv.toString()),
+            o.salt && (e.s = o.salt.toString()),
+            JSON.stringify(e)
+          },
+          parse: function (o) {
+            var e = JSON.parse(o),
+            t = CryptoJS.lib.CipherParams.create({
+              ciphertext: CryptoJS.enc.Base64.parse(e.ct)
+            });
+            return e.iv && (t.iv = CryptoJS.enc.Hex.parse(e.iv)),
+            e.s && (t.salt = CryptoJS.enc.Hex.parse(e.s)),
+            t
+          }
+        };
+        return JSON.parse(CryptoJS.AES.decrypt(JSON.stringify(a), o.join(" "), {
+            format: e
+          }).toString(CryptoJS.enc.Utf8))
+      }
+      let article = document.querySelector('div#contenu');
+      if (article && window.variable_article_poool)
+        window.postMessage({type: 'from_page', data: decryptVariable(window.variable_article_poool)});
+    }
+    if (!matchDomain(['journal.lepoint.fr'])) {
+      let paywall = document.querySelectorAll('aside.paywall');
+      if (paywall.length) {
+        removeDOMElement(...paywall);
+        insert_script(lepoint_main);
+      }
+      let ads = 'div[id*="WRAP_"], div#StickyPaywall, div#paywall-sticky, #article-body div.slotpub, div.sticky-block';
+      hideDOMStyle(ads);
+    } else {
+      let url = window.location.href;
+      getArchive(url, 'div.accnt-cmp', '', 'article');
+    }
+  }
+});
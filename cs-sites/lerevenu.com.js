@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: ['lerevenu.com'],
+  run(ctx) {
+    let ads = 'div.wrapperAd';
+    hideDOMStyle(ads);
+  }
+});
@@ -0,0 +1,53 @@
+registerSiteModule({
+  domains: ['lesechos.fr'],
+  run(ctx) {
+    if (window.location.pathname.startsWith('/amp/')) {
+      ampToHtml();
+    } else {
+      window.setTimeout(function () {
+        let paywall = document.querySelector('div#paywall, div#registerWall');
+        if (paywall && dompurify_loaded) {
+          removeDOMElement(paywall);
+          let filter = /window\.__REACT_QUERY_STATE__\s?=\s?/;
+          let json_script = getSourceJsonScript(filter);
+          if (json_script) {
+            try {
+              let json = JSON.parse(json_script.text.split(filter)[1].split('};')[0] + '}');
+              let data_article = json.queries[1].state;
+              let url = window.location.href;
+              let url_loaded = data_article.data.path;
+              if (url_loaded && (!url_loaded.slice(-7).match(/\d+/) || !url.includes(url_loaded.slice(-7))))
+                refreshCurrentTab();
+              else {
+                let json_text = data_article.data.stripes[0].mainContent[0].data.description;
+                let article = document.querySelector('div.post-paywall');
+                if (article) {
+                  let contentNode = document.createElement('div');
+                  let parser = new DOMParser();
+                  let doc = parser.parseFromString('<div class="' + article.className + '">' + DOMPurify.sanitize(json_text, dompurify_options) + '</div>', 'text/html');
+                  let article_new = doc.querySelector('div');
+                  let error_iframes = article_new.querySelectorAll('iframe[allow*="fullscreen"][allowfullscreen]');
+                  for (let iframe of error_iframes)
+                    iframe.removeAttribute('allowfullscreen');
+                  if (article.parentNode && article_new) {
+                    article.parentNode.replaceChild(article_new, article);
+                    let article_lastnode = document.querySelector('.post-paywall  > :last-child');
+                    if (article_lastnode) {
+                      article_lastnode.setAttribute('style', 'height: auto !important; overflow: hidden !important; max-height: none !important;');
+                    }
+                  }
+                }
+                let styleElem = document.head.appendChild(document.createElement('style'));
+                styleElem.innerText = ".post-paywall::after {height: auto !important;}";
+              }
+            } catch (err) {
+              csLog('error', err);
+            }
+          }
+        }
+        let ads = 'div.sc-1u9r8h-0';
+        hideDOMStyle(ads);
+      }, 500);
+    }
+  }
+});
@@ -0,0 +1,12 @@
+registerSiteModule({
+  domains: ['lesinrocks.com'],
+  run(ctx) {
+    if (window.location.search.match(/(\?|&)amp/)) {
+      let size_defined = document.querySelector('amp-script.i-amphtml-layout-size-defined');
+      if (size_defined)
+        size_defined.style = 'overflow:visible !important;';
+      let overlays = document.querySelectorAll('section.learn_more, div.sidebar, div.menu-footer, div.tooltip_bib, footer.content-info');
+      removeDOMElement(...overlays);
+    }
+  }
+});
@@ -0,0 +1,10 @@
+registerSiteModule({
+  domains: ['letelegramme.fr'],
+  run(ctx) {
+    let paywall = document.querySelectorAll('div.tlg-paywalled');
+    for (let elem of paywall)
+      elem.classList.remove('tlg-paywalled');
+    let ads = 'div[id^="pub_"]';
+    hideDOMStyle(ads);
+  }
+});
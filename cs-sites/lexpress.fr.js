@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: ['lexpress.fr'],
+  run(ctx) {
+    let ads = 'div[class^="block_pub"], div[class^="bottom-bar"], div.teads__block, div.ban-bottom, div[class^="placeholder--ban-atf"]';
+    hideDOMStyle(ads);
+  }
+});
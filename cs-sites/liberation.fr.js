@@ -0,0 +1,84 @@
+registerSiteModule({
+  domains: ['liberation.fr'],
+  run(ctx) {
+    let paywall = document.querySelector('div.article-body-paywall');
+    if (paywall && dompurify_loaded) {
+      removeDOMElement(paywall);
+      let article = document.querySelector('article.article-body-wrapper');
+      if (article) {
+        let fusion_script = document.querySelector('script#fusion-metadata');
+        if (fusion_script && fusion_script.text.includes('Fusion.contentCache=')) {
+          try {
+            let json = JSON.parse(fusion_script.text.split('Fusion.contentCache=')[1].split('};')[0] + '}');
+            if (json && json['site-story-feed-sections']) {
+              let sections = json['site-story-feed-sections'];
+              let content_key = Object.keys(sections).find(x => sections[x].data.content_elements[0].website_url === window.location.pathname);
+              if (content_key) {
+                let pars = sections[content_key].data.content_elements[0].content_elements;
+                if (pars.length)
+                  article.innerHTML = '';
+                let parser = new DOMParser();
+                for (let par of pars) {
+                  let elem = document.createElement('p');
+                  let sub_elem;
+                  if (['header', 'raw_html', 'text'].includes(par.type)) {
+                    if (par.content) {
+                      let doc = parser.parseFromString('<div>' + DOMPurify.sanitize(par.content, dompurify_options) + '</div>', 'text/html');
+                      sub_elem = doc.querySelector('div');
+                      if (par.type === 'header')
+                        sub_elem.style = 'font-weight: bold; font-size: 1.85rem;';
+                    }
+                  } else if (par.type === 'image') {
+                    if (par.url) {
+                      sub_elem = document.createElement('img');
+                      sub_elem.src = par.url;
+                    }
+                  } else if (par.type === 'oembed_response') {
+                    if (par.raw_oembed && par.raw_oembed.html) {
+                      if (!par.subtype === 'twitter') {
+                        let doc = parser.parseFromString('<div>' + DOMPurify.sanitize(par.raw_oembed.html, dompurify_options) + '</div>', 'text/html');
+                        sub_elem = doc.querySelector('div');
+                      } else if (par.raw_oembed.url) {
+                        sub_elem = document.createElement('a');
+                        sub_elem.href = sub_elem.innerText = par.raw_oembed.url;
+                        sub_elem.target = '_blank';
+                      }
+                    }
+                  } else if (par.type === 'link_list') {
+                    if (par.items) {
+                      sub_elem = document.createElement('p');
+                      sub_elem.appendChild(document.createElement('hr'));
+                      sub_elem.appendChild(document.createTextNode('Lire aussi'));
+                      sub_elem.appendChild(document.createElement('br'));
+                      for (let item of par.items) {
+                        if (item.content && item.url) {
+                          let item_link = document.createElement('a');
+                          item_link.href = item.url;
+                          item_link.innerText = item.content;
+                          sub_elem.appendChild(item_link);
+                          sub_elem.appendChild(document.createElement('br'));
+                        }
+                      }
+                      sub_elem.appendChild(document.createElement('hr'));
+                    }
+                  } else if (!['quote'].includes(par.type)) {
+                    csLog('debug', 'json element not supported: ' + par.type, par);
+                  }
+                  if (sub_elem) {
+                    elem.appendChild(sub_elem);
+                    article.appendChild(elem);
+                  }
+                }
+              } else
+                header_nofix(article);
+            }
+          } catch (err) {
+            csLog('error', err);
+          }
+        }
+      }
+    }
+    let ads = 'div[class^="StickyAd"], div[class^="default__OutbrainWrapper"]';
+    hideDOMStyle(ads);
+  }
+});
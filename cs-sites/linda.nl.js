@@ -0,0 +1,63 @@
+registerSiteModule({
+  domains: ['linda.nl'],
+  run(ctx) {
+    window.setTimeout(function () {
+      let paywall = document.querySelector('div.premium-login-box_login-box');
+      if (paywall && dompurify_loaded) {
+        removeDOMElement(paywall);
+        let article = document.querySelector('article');
+        if (article) {
+          let filter = /^window\.__INITIAL_PROPS__\s?=\s?/;
+          let json_script = getSourceJsonScript(filter);
+          if (json_script) {
+            try {
+              let json = JSON.parse(json_script.text.split(filter)[1]);
+              if (json) {
+                let slug = json.slug;
+                if ((slug && !window.location.pathname.includes(slug)) || !json.viewData)
+                  refreshCurrentTab();
+                if (json && json.viewData.article && json.viewData.article.modules) {
+                  let modules = json.viewData.article.modules;
+                  for (let elem of modules) {
+                    let type = elem.acf_fc_layout;
+                    if (type) {
+                      let item = document.createElement('div');
+                      if (['body_text', 'intro', 'quote'].includes(type)) {
+                        if (elem.text) {
+                          let parser = new DOMParser();
+                          let doc = parser.parseFromString('<div style="margin: 20px;">' + DOMPurify.sanitize((elem.title ? elem.title : '') + elem.text.replace(/\r\n/g, '<br>'), dompurify_options) + '</div>', 'text/html');
+                          item = doc.querySelector('div');
+                          if (type === 'intro') {
+                            let intro = item.querySelector('p');
+                            if (intro)
+                              intro.style = 'font-weight: bold; ';
+                          } else if (type === 'quote')
+                            item.style['text-align'] = 'center';
+                          article.append(item);
+                        }
+                      } else if (type === 'image') {
+                        let elem_images = elem.images_portrait || elem.images_landscape;
+                        if (elem_images && elem_images.length) {
+                          for (let img of elem_images) {
+                            let url = img.image.sizes.large;
+                            let caption_text = img.credits ? img.credits.replace(/(\n|<[^<]*>)/g, '') : '';
+                            item = makeFigure(url, caption_text, {style: 'width: 100%;'});
+                            article.append(item);
+                          }
+                        }
+                      } else
+                        csLog('debug', 'json element not supported', elem);
+                    }
+                  }
+                } else
+                  header_nofix('div.article-content_base');
+              }
+            } catch (err) {
+              csLog('error', err);
+            }
+          }
+        }
+      }
+    }, 1000);
+  }
+});
@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: ['literaryreview.co.uk'],
+  run(ctx) {
+    if (dompurify_loaded)
+      getJsonUrl('p.subscribe-for-more', '', 'div#_articlereview');
+  }
+});
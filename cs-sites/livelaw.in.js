@@ -0,0 +1,18 @@
+registerSiteModule({
+  domains: ['livelaw.in'],
+  run(ctx) {
+    let paywall = document.querySelector('div#subscription_paid_message, div.subscribeNow');
+    if (paywall) {
+      let intro = document.querySelector('div.story');
+      removeDOMElement(paywall, intro);
+      let restricted_message = document.querySelector('div.restricted_message');
+      if (restricted_message)
+        restricted_message.classList.remove('restricted_message');
+      let paywall_content = document.querySelector('div.paywall-content.hide');
+      if (paywall_content)
+        paywall_content.classList.remove('hide');
+    }
+    let ads = 'inside-post-ad, amp-ad';
+    hideDOMStyle(ads);
+  }
+});
@@ -0,0 +1,15 @@
+registerSiteModule({
+  domains: ['livemint.com'],
+  run(ctx) {
+    if (window.location.pathname.includes('/amp-')) {
+      let paywall = document.querySelectorAll('[amp-access="NOT subscribed"]');
+      removeDOMElement(...paywall);
+    } else {
+      let paywall = document.querySelector('div.paywall');
+      if (paywall)
+        paywall.classList.remove('paywall');
+      let ads = '[class^="ad"], [id^="ad"], #subscribeAd, .taboolaHeight';
+      hideDOMStyle(ads);
+    }
+  }
+});
@@ -0,0 +1,15 @@
+registerSiteModule({
+  domains: ['loeildelaphotographie.com'],
+  run(ctx) {
+    let paywall = document.querySelector('.paywall');
+    if (paywall) {
+      paywall.removeAttribute('class');
+    }
+    let premium_pic_boxes = document.querySelectorAll('.premium-pic-box');
+    let banners = document.querySelectorAll('.membership-promo-container, .login_form_litle');
+    removeDOMElement(...premium_pic_boxes, ...banners);
+    let blurred_images = document.querySelectorAll('img[style*="blur"]');
+    for (let blurred_image of blurred_images)
+      blurred_image.removeAttribute('style');
+  }
+});
@@ -0,0 +1,27 @@
+registerSiteModule({
+  domains: ['macrobusiness.com.au'],
+  run(ctx) {
+    let paywall = pageContains('div > p', 'The full text of this article is available');
+    if (paywall[0] && dompurify_loaded) {
+      let fade = document.querySelector('div.bg-gradient-to-t');
+      removeDOMElement(paywall[0].parentNode, fade);
+      let json_script = document.querySelector('script#__NUXT_DATA__');
+      if (json_script) {
+        try {
+          let json = JSON.parse(json_script.text);
+          let json_text = json.filter(x => typeof x === 'string' && x.match(/(<|\\u003C)p>/))[0];
+          let parser = new DOMParser();
+          let doc = parser.parseFromString('<div>' + DOMPurify.sanitize(json_text) + '</div>', 'text/html');
+          let content_new = doc.querySelector('div');
+          let article = document.querySelector('div.content');
+          if (article) {
+            article.innerHTML = '';
+            article.appendChild(content_new);
+          }
+        } catch (err) {
+          csLog('error', err);
+        }
+      }
+    }
+  }
+});
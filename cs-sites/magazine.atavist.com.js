@@ -0,0 +1,11 @@
+registerSiteModule({
+  domains: ['magazine.atavist.com'],
+  run(ctx) {
+    let bottom_notification = document.querySelector('div.bottom-notification');
+    let overlay = document.querySelector('div.notification-overlay');
+    removeDOMElement(bottom_notification, overlay);
+    let paywall = document.querySelector('body.paywall-notification-visible');
+    if (paywall)
+      paywall.classList.remove('paywall-notification-visible');
+  }
+});
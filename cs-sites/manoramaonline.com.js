@@ -0,0 +1,10 @@
+registerSiteModule({
+  domains: ['manoramaonline.com'],
+  run(ctx) {
+    if (!window.location.pathname.endsWith('.amp.html')) {
+      amp_redirect('ev-engagement');
+    } else {
+      amp_unhide_access_hide("=\"result='ALLOW_ACCESS'\"");
+    }
+  }
+});
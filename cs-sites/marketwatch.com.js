@@ -0,0 +1,15 @@
+registerSiteModule({
+  domains: ['marketwatch.com'],
+  run(ctx) {
+    if (!window.location.pathname.startsWith('/amp/')) {
+      amp_redirect('div#cx-snippet', '', '/amp' + window.location.pathname);
+    } else {
+      let meter = document.querySelector('div.meter');
+      let container_sponsored = document.querySelector('div.container--sponsored');
+      removeDOMElement(meter, container_sponsored);
+      amp_unhide_subscr_section('.display-ad');
+    }
+    let ads = 'div.element--ad, div.j-ad';
+    hideDOMStyle(ads);
+  }
+});
@@ -0,0 +1,26 @@
+registerSiteModule({
+  domains: ['medium.com'].concat(medium_custom_domains),
+  detect: 'head > link[href*=".medium.com/"]',
+  run(ctx) {
+    let url = ctx.url;
+    let features = ctx.features || {};
+    let target = features.mediumRedirectTarget;
+
+    // member-only story: redirect to freedium/scribe (userSettings: mediumRedirect), otherwise link to article
+    if (features.mediumRedirect && document.body.innerText.includes('Member-only story')) {
+      window.location.href = mediumExtUrl(url, target);
+    } else {
+      let paywall = document.querySelector('article.meteredContent');
+      if (paywall) {
+        paywall.removeAttribute('class');
+        paywall.firstChild.before((target === 'scribe') ? scribeLink(url) : freediumLink(url));
+      }
+    }
+
+    window.setTimeout(function () {
+      let banner = pageContains('div > div > p', /author made this story available to/);
+      if (banner.length)
+        removeDOMElement(banner[0].parentNode.parentNode);
+    }, 1000);
+  }
+});
@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: ['medscape.com'],
+  run(ctx) {
+    let ads = '.AdUnit, [id^="ads-"]';
+    hideDOMStyle(ads);
+  }
+});
@@ -0,0 +1,8 @@
+registerSiteModule({
+  domains: ['mexiconewsdaily.com'],
+  run(ctx) {
+    let div_hidden = document.querySelector('body.single div.td-post-content > div.tdb-block-inner');
+    if (div_hidden)
+      div_hidden.classList.remove('tdb-block-inner');
+  }
+});
@@ -0,0 +1,13 @@
+registerSiteModule({
+  domains: ['mid-day.com'],
+  run(ctx) {
+    if (window.location.pathname.startsWith('/amp/')) {
+      amp_unhide_access_hide('="granted"', '="NOT granted"', 'amp-ad, amp-embed, [class*="BannerAd"], div.midday-wrapper');
+    } else {
+      amp_redirect('div#myModalFullscreen');
+      let read_more = document.querySelector('#read-more-my');
+      if (read_more)
+        read_more.click();
+    }
+  }
+});
@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: ['motorradonline.de'],
+  run(ctx) {
+    if (window.location.pathname.endsWith('/amp/'))
+      ampToHtml();
+  }
+});
@@ -0,0 +1,11 @@
+registerSiteModule({
+  domains: ['motorsportmagazine.com'],
+  run(ctx) {
+    if (dompurify_loaded)
+      getJsonUrl('aside.paywall', '', 'div[data-behaviour="post-content"]');
+    let banner = document.querySelector('div[data-behaviour="react-paywall-threshold"]');
+    removeDOMElement(banner);
+    let ads = 'aside.ad-space';
+    hideDOMStyle(ads);
+  }
+});
@@ -0,0 +1,32 @@
+registerSiteModule({
+  domains: ['nationalgeographic.com'],
+  run(ctx) {
+    function natgeo_func(node) {
+      removeDOMElement(node);
+      let body = document.querySelector('body[class]');
+      if (body) {
+        body.removeAttribute('class');
+        body.removeAttribute('style');
+      }
+    }
+    let paywall = document.querySelector('div[id^="fittPortal"]');
+    if (paywall)
+      natgeo_func(paywall);
+    waitDOMElement('div[id^="fittPortal"]', 'DIV', natgeo_func, false);
+    csDoneOnce = true;
+    window.setTimeout(function () {
+      let url = window.location.href;
+      let subscribed = document.querySelector('div.Article__Content--gated');
+      let msg = document.querySelector('div#bpc_archive');
+      if (subscribed && !msg) {
+        subscribed.appendChild(archiveLink(url));
+        subscribed.setAttribute('style', 'overflow: visible !important;');
+      }
+      let overlay = document.querySelector('div.Article__Content__Overlay--gated');
+      if (overlay)
+        overlay.classList.remove('Article__Content__Overlay--gated');
+    }, 2000);
+    let ads = 'div.ad-slot, div.InsertedAd, div.natgeo-ad';
+    hideDOMStyle(ads);
+  }
+});
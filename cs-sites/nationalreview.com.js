@@ -0,0 +1,20 @@
+registerSiteModule({
+  domains: ['nationalreview.com'],
+  run(ctx) {
+    if (!window.location.pathname.endsWith('/amp/')) {
+      let paywall_sel = 'div.continue-reading';
+      let paywall = document.querySelector(paywall_sel);
+      if (paywall) {
+        let amphtml = document.querySelector('head > link[rel="amphtml"][href]');
+        if (amphtml && !amphtml.href.includes(window.location.pathname)) {
+          removeDOMElement(paywall);
+          refreshCurrentTab();
+        } else if (dompurify_loaded)
+          getJsonUrl(paywall_sel, '', 'div.article-content', {art_class: 'article-content article-content--headless'});
+      }
+    }
+    let banners = 'div.zephr-wrapper, div#bc-root, div.cookie-text';
+    let ads = 'amp-ad, .ad-unit, .ad-skeleton, amp-connatix-player, div[class*="-connatix-"]';
+    hideDOMStyle(banners + ', ' + ads);
+  }
+});
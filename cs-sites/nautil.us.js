@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: ['nautil.us'],
+  run(ctx) {
+    let banners = document.querySelectorAll('div[class^="a__sc-np"], div.subscibe-bar');
+    removeDOMElement(...banners);
+  }
+});
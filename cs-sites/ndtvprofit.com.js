@@ -0,0 +1,14 @@
+registerSiteModule({
+  domains: ['ndtvprofit.com'],
+  run(ctx) {
+    if (window.location.pathname.startsWith('/amp/')) {
+      amp_unhide_subscr_section();
+    } else {
+      window.setTimeout(function () {
+        amp_redirect('div[class^="hard-paywall"], div[class*="geotag-container_"]');
+      }, 1000);
+    }
+    let ads = 'div.responsive-ad';
+    hideDOMStyle(ads);
+  }
+});
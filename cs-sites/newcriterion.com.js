@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: ['newcriterion.com'],
+  run(ctx) {
+    if (dompurify_loaded)
+      getJsonUrl('div.paywall-overlay', '', 'div.entry-content');
+  }
+});
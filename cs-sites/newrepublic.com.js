@@ -0,0 +1,10 @@
+registerSiteModule({
+  domains: ['newrepublic.com'],
+  run(ctx) {
+    let modal = document.querySelector('div.article-scheduled-modal');
+    let pw_popups = document.querySelector('div#pwPopups');
+    removeDOMElement(modal, pw_popups);
+    let ads = '.ad-unit';
+    hideDOMStyle(ads);
+  }
+});
@@ -0,0 +1,14 @@
+registerSiteModule({
+  domains: ['newsday.com'],
+  run(ctx) {
+    if (window.location.pathname.startsWith('/amp/')) {
+      amp_unhide_access_hide('="AccessLevel = \'Full Content Access\' OR Error = true"', '="Error != true AND UserState != \'Subscribed\'"');
+    } else {
+      let nd_lock = document.querySelector('html[class]');
+      if (nd_lock)
+        nd_lock.removeAttribute('class');
+      let ads = 'div[class^="ad_full-banner_"]';
+      hideDOMStyle(ads);
+    }
+  }
+});
@@ -0,0 +1,25 @@
+registerSiteModule({
+  domains: ['newslaundry.com'],
+  run(ctx) {
+    let paywall = document.querySelector('div > div > img[alt^="paywall"]');
+    if (paywall && dompurify_loaded) {
+      let banner = document.querySelector('div.FrsvM');
+      removeDOMElement(paywall.parentNode.parentNode, banner);
+      let json_script = getArticleJsonScript();
+      if (json_script) {
+        let json = JSON.parse(json_script.text);
+        if (json) {
+          let json_text = parseHtmlEntities(json.articleBody).replace(/<\/p>\./g, '</p>');
+          let article = document.querySelector('div.story-element-text');
+          if (json_text && article) {
+            let parser = new DOMParser();
+            let doc = parser.parseFromString('<div>' + DOMPurify.sanitize(json_text) + '</div>', 'text/html');
+            let article_new = doc.querySelector('div');
+            article.innerHTML = '';
+            article.appendChild(article_new);
+          }
+        }
+      }
+    }
+  }
+});
@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: ['newstatesman.com'],
+  run(ctx) {
+    let ads = 'div.ad';
+    hideDOMStyle(ads);
+  }
+});
@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: ['newsweek.com'],
+  run(ctx) {
+    let ads = 'div#topad, div[id^="dfp-ad-"]';
+    hideDOMStyle(ads);
+  }
+});
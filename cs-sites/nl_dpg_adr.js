@@ -0,0 +1,21 @@
+registerSiteModule({
+  domains: nl_dpg_adr_domains.concat(['hln.be']),
+  run(ctx) {
+    let sub_sel = 'article[id^="PURCHASE"]';
+    let sub = document.querySelector(sub_sel + ' > button');
+    if (sub)
+      sub.click();
+    func_post = function () {
+      let shades = document.querySelectorAll('div[style*="background-color"][style*=";width"]');
+      for (let elem of shades)
+        elem.style.width = '85%';
+      let lazy_images = document.querySelectorAll('picture img[loading="lazy"][style]');
+      for (let elem of lazy_images)
+        elem.style = 'width: 95%;';
+      header_nofix('footer', sub_sel, 'BPC > no archive-fix');
+    }
+    let article_sel = 'div#remaining-paid-content';
+    let url = ctx.url;
+    getArchive(url, article_sel + '[data-reduced="true"]', {rm_attrib: 'data-reduced'}, article_sel);
+  }
+});
@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: nl_dpg_media_domains,
+  run(ctx) {
+    let banners = 'aside[data-temptation-position^="ARTICLE_"], div[data-temptation-position^="PAGE_"], div[class^="ad--"], div[id^="article_paragraph_"]';
+    hideDOMStyle(banners);
+  }
+});
@@ -0,0 +1,16 @@
+registerSiteModule({
+  detect: 'head > link[href="//ppt.promedia.nl"], head > script[src*="/pmgnews/scripts/promedia.js"]',
+  run(ctx) {
+    let paywall = document.querySelector('div.pmgsub');
+    if (paywall) {
+      if (paywall.className.includes('pmgsub-nag-2')) {
+        let article = document.querySelector('div.post-body, div.text');
+        if (article) {
+          let url = window.location.href;
+          article.firstChild.before(archiveLink(url));
+        }
+      }
+      removeDOMElement(paywall);
+    }
+  }
+});
@@ -0,0 +1,105 @@
+registerSiteModule({
+  domains: no_dn_media_domains,
+  run(ctx) {
+    if (matchDomain('tradewindsnews.com')) {
+      if (window.location.pathname.startsWith('/markets/')) {
+        let paywall = document.querySelector('iframe[src]');
+        removeDOMElement(paywall);
+        let overflow = document.querySelector('body[style]');
+        if (overflow)
+          overflow.removeAttribute('style');
+        let blurred = document.querySelector('body > div[style]');
+        if (blurred)
+          blurred.removeAttribute('style');
+      } else {
+         header_nofix('div.article-body > div', 'div[style*="background-image: linear-gradient"]');
+      }
+    } else {
+      window.setTimeout(function () {
+        let paywall = document.querySelector('div.dn-paywall > div#sub-paywall-container');
+        if (paywall && dompurify_loaded) {
+          removeDOMElement(paywall.parentNode);
+          let article = document.querySelector('div#dn-content');
+          let json_script = document.querySelector('script#__NUXT_DATA__');
+          if (json_script) {
+            try {
+              let pars = JSON.parse(json_script.text);
+              let article_id_index = pars.indexOf('global-article') + 1;
+              if (article_id_index) {
+                let article_id = pars[article_id_index];
+                if (article_id && !window.location.pathname.endsWith(article_id)) {
+                  refreshCurrentTab();
+                  return;
+                }
+              }
+              article.innerHTML = '';
+              article.classList.remove('shadow');
+              let img_first = true;
+              let parser = new DOMParser();
+              for (let par of pars) {
+                let elem;
+                if (par && par.type) {
+                  let type = pars[par.type];
+                  if (['text', 'subhead'].includes(type)) {
+                    if (par.html || par.value) {
+                      let index = par.html || par.value;
+                      let json_text = pars[index];
+                      let content_new = parser.parseFromString('<p class="dn-text">' + DOMPurify.sanitize(json_text) + '</p>', 'text/html');
+                      elem = content_new.querySelector('p');
+                      if (par.value)
+                        elem.style = 'font-weight: bold;';
+                    }
+                  } else if (type === 'picture') {
+                    if (img_first)
+                      img_first = false;
+                    else {
+                      let caption_text = pars[par.caption];
+                      if (par.credit)
+                        caption_text += ' (' + pars[par.credit] + ')';
+                      elem = makeFigure(pars[par.src], caption_text);
+                      elem.className = 'dn-image';
+                    }
+                  } else if (type === 'factbox') {
+                    elem = document.createElement('p');
+                    if (par.title)
+                      elem.innerText = pars[par.title];
+                    if (par.html) {
+                      let content_new = parser.parseFromString('<div>' + DOMPurify.sanitize(pars[par.html]) + '</div>', 'text/html');
+                      let box = content_new.querySelector('div');
+                      elem.appendChild(box);
+                    }
+                  } else if (type === 'news' && par.title && par.url) {
+                    elem = document.createElement('p');
+                    let sub_elem = document.createElement('a');
+                    sub_elem.href = pars[par.url];
+                    sub_elem.innerText = 'Related: ' + pars[par.title];
+                    sub_elem.style = 'font-weight: bold;';
+                    elem.appendChild(sub_elem);
+                  } else if (!['ad', 'adobetarget', 'author', 'break', 'embed', 'Emne', 'Location', 'news', 'Organisasjon', 'Organisation', 'Organization', 'promobox', 'Person', 'Personer', 'Region', 'Regions', 'related', 'Sector', 'Sectors', 'Selskap', 'Sted', 'Topic'].includes(type)) {
+                    for (let item in par) {
+                      csLog('debug', 'json element not supported: ' + item, pars[par[item]]);
+                    }
+                  }
+                  if (elem)
+                    article.appendChild(elem);
+                }
+              }
+            } catch (err) {
+              csLog('error', err);
+            }
+          }
+        } else if (matchDomain('dn.no') && window.location.pathname.match(/^\/(d2|magasinet|smak)\//)) {
+          let paywall = document.querySelector('div#sub-paywall-container');
+          if (paywall) {
+            removeDOMElement(paywall);
+            let article = document.querySelector('p.vrs-article-header__summary');
+            if (article) {
+              let url = window.location.href;
+              article.firstChild.before(googleSearchToolLink(url));
+            }
+          }
+        }
+      }, 1000);
+    }
+  }
+});
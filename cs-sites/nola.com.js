@@ -0,0 +1,15 @@
+registerSiteModule({
+  domains: ['nola.com', 'theadvocate.com'],
+  run(ctx) {
+    if (window.location.pathname.endsWith('.amp.html')) {
+      let body_hidden = document.querySelector('.site-container');
+      if (body_hidden)
+        body_hidden.setAttribute('style', 'display:block;');
+      let ads = 'amp-ad, amp-embed';
+      hideDOMStyle(ads);
+    } else {
+      let ads = 'div.tnt-ads-container, div.asset-breakout-ads';
+      hideDOMStyle(ads);
+    }
+  }
+});
@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: ['nrc.nl'],
+  run(ctx) {
+    let banners = document.querySelectorAll('div[id$="modal__overlay"], div.header__subscribe-bar, div.banner');
+    removeDOMElement(...banners);
+  }
+});
@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: ['nsctotal.com.br'],
+  run(ctx) {
+    let ads = 'div.ad, div[id^="floater"]';
+    hideDOMStyle(ads);
+  }
+});
@@ -0,0 +1,18 @@
+registerSiteModule({
+  domains: ['nv.ua'],
+  run(ctx) {
+    if (!window.location.pathname.includes('/amp/')) {
+      amp_redirect('div[id^="media_paywall"]');
+    } else {
+      let paywall = document.querySelector('div.paywall-area');
+      if (paywall) {
+        paywall.removeAttribute('class');
+        let subscr = paywall.querySelector('div.make-subscription');
+        removeDOMElement(subscr);
+      }
+      let article = document.querySelector('div.article__content');
+      if (article)
+        article.removeAttribute('class');
+    }
+  }
+});
@@ -0,0 +1,19 @@
+registerSiteModule({
+  domains: ['nw.de'],
+  run(ctx) {
+    let paywall = document.querySelector('div#paywall');
+    if (paywall) {
+      paywall.removeAttribute('id');
+      let json_script = getArticleJsonScript();
+      if (json_script) {
+        let json = JSON.parse(json_script.text);
+        if (json) {
+          let json_text = parseHtmlEntities(json.articleBody.replace(/\n/g, '\n\n').replace(/\.responsive[-@%{}()\.:;\w\s]+}\s?}/g, ''));
+          let article = paywall.querySelector('div[class*="paywall-overlay"]');
+          if (json_text && article)
+            article.innerText = json_text;
+        }
+      }
+    }
+  }
+});
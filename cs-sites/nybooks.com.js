@@ -0,0 +1,10 @@
+registerSiteModule({
+  domains: ['nybooks.com'],
+  run(ctx) {
+    let paywall_article = document.querySelector('.paywall-article');
+    if (paywall_article)
+      paywall_article.classList.remove('paywall-article');
+    let banners = 'div.toast-cta, div.inline-ad';
+    hideDOMStyle(banners);
+  }
+});
@@ -0,0 +1,11 @@
+registerSiteModule({
+  domains: ['nytimes.com'],
+  run(ctx) {
+    if (!window.location.pathname.startsWith('/athletic/')) {
+      waitDOMElement('div#dock-container', 'DIV', removeDOMElement, false);
+      csDoneOnce = true;
+      let banners = 'div[data-testid="inline-message"], div[id^="ad-"], div.pz-ad-box';
+      hideDOMStyle(banners);
+    }
+  }
+});
@@ -0,0 +1,8 @@
+registerSiteModule({
+  domains: ['nzherald.co.nz'],
+  run(ctx) {
+    // plus code in contentScript_once_var.js (timing)
+    let premium_toaster = '#premium-toaster';
+    hideDOMStyle(premium_toaster);
+  }
+});
@@ -0,0 +1,10 @@
+registerSiteModule({
+  domains: ['nzz.ch', 'themarket.ch'],
+  run(ctx) {
+    let fade = document.querySelectorAll('.nzzinteraction');
+    for (let elem of fade)
+      elem.classList.remove('nzzinteraction');
+    let ads = 'div.resor';
+    hideDOMStyle(ads);
+  }
+});
@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: ['observador.pt'],
+  run(ctx) {
+    let ads = 'div.obs-ad-placeholder';
+    hideDOMStyle(ads);
+  }
+});
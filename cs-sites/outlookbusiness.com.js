@@ -0,0 +1,24 @@
+registerSiteModule({
+  domains: ['outlookbusiness.com'],
+  run(ctx) {
+    let paywall = document.querySelector('div#csc-paywall');
+    if (paywall && dompurify_loaded) {
+      removeDOMElement(paywall);
+      let json_script = document.querySelector('script#__NEXT_DATA__');
+      if (json_script) {
+        let json = JSON.parse(json_script.innerText);
+        if (json && json.props.initialState.dashboard.ARTICLE_POST_DETAIL_API.data.article_data.description) {
+          let article_new = json.props.initialState.dashboard.ARTICLE_POST_DETAIL_API.data.article_data.description;
+          let article = document.querySelector('div.story-content');
+          if (article) {
+            article.innerHTML = '';
+            let parser = new DOMParser();
+            let doc = parser.parseFromString('<div>' + DOMPurify.sanitize(article_new) + '</div>', 'text/html');
+            let content_new = doc.querySelector('div');
+            article.appendChild(content_new);
+          }
+        }
+      }
+    }
+  }
+});
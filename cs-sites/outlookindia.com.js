@@ -0,0 +1,23 @@
+registerSiteModule({
+  domains: ['outlookindia.com'],
+  run(ctx) {
+    let paywall = document.querySelector('div.paywall');
+    if (paywall) {
+      removeDOMElement(paywall);
+      let json_script = getArticleJsonScript();
+      if (json_script) {
+        let json = JSON.parse(json_script.text);
+        if (json) {
+          let json_text = parseHtmlEntities(json.articleBody).replace(/\n/g, "$&\r\n");
+          let content = document.querySelector('div#articleBody');
+          if (json_text && content) {
+            content.innerHTML = '';
+            let article_new = document.createElement('p');
+            article_new.innerText = json_text;
+            content.appendChild(article_new);
+          }
+        }
+      }
+    }
+  }
+});
@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: ['ovb-online.de', 'bgland24.de', 'chiemgau24.de', 'innsalzach24.de', 'mangfall24.de', 'rosenheim24.de', 'wasserburg24.de'],
+  run(ctx) {
+    let ads = 'div.id-TBeepSlot, div[data-id-advertdfpconf]';
+    hideDOMStyle(ads);
+  }
+});
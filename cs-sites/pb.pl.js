@@ -0,0 +1,14 @@
+registerSiteModule({
+  domains: ['pb.pl'],
+  run(ctx) {
+    let paywall = document.querySelector('div.paywall');
+    if (paywall) {
+      paywall.classList.remove('paywall');
+      let article_hidden = paywall.querySelector('section.o-article-content');
+      if (article_hidden)
+        article_hidden.removeAttribute('class');
+      let loader = document.querySelector('div.o-piano-template-loader-box');
+      removeDOMElement(loader);
+    }
+  }
+});
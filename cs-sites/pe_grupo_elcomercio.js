@@ -0,0 +1,15 @@
+registerSiteModule({
+  domains: pe_grupo_elcomercio_domains,
+  run(ctx) {
+    let paywall = document.querySelector('.paywall');
+    if (paywall) {
+      paywall.removeAttribute('class');
+      paywall.removeAttribute('style');
+      let fade = document.querySelector('p.story-contents--fade');
+      if (fade)
+        fade.classList.remove('story-contents--fade');
+    }
+    let ads = 'div[class^="content_gpt"]';
+    hideDOMStyle(ads);
+  }
+});
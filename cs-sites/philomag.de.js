@@ -0,0 +1,23 @@
+registerSiteModule({
+  domains: ['philomag.de'],
+  run(ctx) {
+    let paywall = document.querySelector('div[id^="block-paywall"]');
+    if (paywall) {
+      removeDOMElement(paywall);
+      let json_script = getArticleJsonScript();
+      if (json_script) {
+        let json = JSON.parse(json_script.text);
+        if (json) {
+          let json_text = json.articlebody.replace(/%paywall%/g, '').replace(/(\\r)?\\n/g, '<br><br>');
+          let content = document.querySelector('div.content-center > div.description');
+          if (json_text && content) {
+            content.innerHTML = '';
+            let article_new = document.createElement('p');
+            article_new.innerText = json_text;
+            content.appendChild(article_new);
+          }
+        }
+      }
+    }
+  }
+});
@@ -0,0 +1,14 @@
+registerSiteModule({
+  domains: ['piratewires.com'],
+  run(ctx) {
+    if (window.location.pathname.startsWith('/pw/')) {
+      let url_script = getSourceJsonScript(/successButton/);
+      let filter = /window\.location\.href\s?=\s?"/;
+      if (url_script && url_script.text.match(filter)) {
+        let url = url_script.text.split(filter)[1].split(/[\?"]/)[0];
+        removeDOMElement(url_script);
+        window.location.href = url;
+      }
+    }
+  }
+});
@@ -0,0 +1,16 @@
+registerSiteModule({
+  domains: pl_ringier_domains,
+  run(ctx) {
+    if (matchDomain('businessinsider.com.pl')) {
+      let paywall = document.querySelector('div#content-premium-offer');
+      removeDOMElement(paywall);
+    }
+    let premium = document.querySelector('div.contentPremium[style]');
+    if (premium) {
+      premium.removeAttribute('class');
+      premium.removeAttribute('style');
+    }
+    let ads = 'div.adPlaceholder , div[class^="Ad"][class*="Placeholder_"], div[data-placeholder-caption], div[data-run-module$=".floatingAd"], aside[data-ad-container], aside.adsContainer, [class^="pwAds"], .hide-for-paying, div.onet-ad, div.bottomBar, ad-default';
+    hideDOMStyle(ads);
+  }
+});
@@ -0,0 +1,18 @@
+registerSiteModule({
+  domains: ['politicaexterior.com'],
+  run(ctx) {
+    let paywall = document.querySelector('div[class^="paywall-"]');
+    if (paywall) {
+      let article = document.querySelector('div.entry-content-text');
+      let json = document.querySelector('script[type="application/ld+json"]:not([class])');
+      if (json) {
+        let json_text = JSON.parse(json.text).description.replace(/&amp;nbsp;/g, '');
+        let article_new = document.createElement('div');
+        article_new.setAttribute('class', 'entry-content-text');
+        article_new.innerText = '\r\n' + json_text;
+        article.parentNode.replaceChild(article_new, article);
+      }
+      removeDOMElement(paywall);
+    }
+  }
+});
@@ -0,0 +1,15 @@
+registerSiteModule({
+  domains: ['polityka.pl'],
+  run(ctx) {
+    let paywall = document.querySelector('div.cg-article-salebox');
+    if (paywall) {
+      removeDOMElement(paywall);
+      let elem_hidden = document.querySelectorAll('div.cg_article_meat > [style]');
+      for (let elem of elem_hidden)
+        elem.removeAttribute('style');
+      let fade = document.querySelector('article.article_status-cut');
+      if (fade)
+        fade.classList.remove('article_status-cut');
+    }
+  }
+});
@@ -0,0 +1,13 @@
+registerSiteModule({
+  domains: ['pourleco.com'],
+  run(ctx) {
+    let paywall = document.querySelector('div[data-pleco-poool^="paywall"]');
+    if (paywall) {
+      let intro = document.querySelector('div[data-pleco-transition="fade"]');
+      removeDOMElement(paywall, intro);
+      let article = document.querySelector('div[class*="article-"][style]');
+      if (article)
+        article.removeAttribute('style');
+    }
+  }
+});
@@ -0,0 +1,14 @@
+registerSiteModule({
+  domains: ['profil.at'],
+  run(ctx) {
+    let paywall = document.querySelector('div.paywall');
+    if (paywall) {
+      paywall.removeAttribute('class');
+      paywall.removeAttribute('style');
+      let fade = 'div#cfs-paywall-container';
+      hideDOMStyle(fade);
+    }
+    let overlay = 'div.consentOverlay';
+    hideDOMStyle(overlay, 2);
+  }
+});
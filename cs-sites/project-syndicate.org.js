@@ -0,0 +1,15 @@
+registerSiteModule({
+  domains: ['project-syndicate.org'],
+  run(ctx) {
+    func_post = function () {
+      let hidden_images = document.querySelectorAll('img[src][new-cursrc]');
+      for (let elem of hidden_images) {
+        if (elem.src.startsWith('data:image/'))
+          elem.src = elem.getAttribute('new-cursrc');
+        elem.style = 'width: 95%;';
+      }
+    }
+    let url = ctx.url;
+    getArchive(url, 'div.paywall--base', '', 'main > article');
+  }
+});
@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: ['publico.es'],
+  run(ctx) {
+    let ads = 'div.pb-ads';
+    hideDOMStyle(ads);
+  }
+});
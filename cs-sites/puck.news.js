@@ -0,0 +1,12 @@
+registerSiteModule({
+  domains: ['puck.news'],
+  run(ctx) {
+    let url = ctx.url;
+    getArchive(url, 'div[class*="paywall"]', '', 'article');
+    let modal = document.querySelector('div#paywall-modal');
+    removeDOMElement(modal);
+    let overlay = document.querySelector('body.paywall-active');
+    if (overlay)
+      overlay.classList.remove('paywall-active');
+  }
+});
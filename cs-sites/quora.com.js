@@ -0,0 +1,32 @@
+registerSiteModule({
+  domains: ['quora.com'],
+  run(ctx) {
+    let overlays = document.querySelectorAll('div[class*="_overlay"]');
+    removeDOMElement(...overlays);
+    let mask_image = document.querySelector('div.jhqnqh');
+    if (mask_image)
+      mask_image.classList.remove('jhqnqh');
+    let read_more_buttons = document.querySelectorAll('button.puppeteer_test_read_more_button.qu-bg--gray_ultralight');
+    for (let elem of read_more_buttons)
+      elem.click();
+    let overlay_cards = document.querySelectorAll('div[class*="OverlayCard"]');
+    for (let elem of overlay_cards)
+      elem.removeAttribute('class');
+    window.setTimeout(function () {
+      let answers = document.querySelectorAll('div[class*="dom_annotate_question_answer_item_"]');
+      for (let answer of answers) {
+        let wall = answer.querySelector('div.content-monetization-wall');
+        if (wall) {
+          wall.classList.remove('content-monetization-wall');
+          let timestamp_link = answer.querySelector('a.answer_timestamp[href]');
+          if (timestamp_link) {
+            let answer_link = document.createElement('a');
+            answer_link.innerText = 'BPC > open Quora+ answer';
+            answer_link.href = timestamp_link.href;
+            wall.appendChild(answer_link);
+          }
+        }
+      }
+    }, 500);
+  }
+});
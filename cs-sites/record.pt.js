@@ -0,0 +1,9 @@
+registerSiteModule({
+  domains: ['record.pt', 'sabado.pt'],
+  run(ctx) {
+    if (!window.location.pathname.includes('/amp/'))
+      amp_redirect('.bloqueio_exclusivos, .container_assinatura, .bloco_bloqueio', '', window.location.href.replace('/detalhe/', '/amp/'));
+    else
+      amp_unhide_access_hide('="subscriber"', '="NOT subscriber"', 'amp-ad, amp-embed, amp-consent, .detalheAds, .exclusivos_bar');
+  }
+});
@@ -0,0 +1,11 @@
+registerSiteModule({
+  domains: ['reforme.net'],
+  run(ctx) {
+    if (dompurify_loaded) {
+      let article_sel = 'div.elementor-widget-theme-post-content';
+      getJsonUrl(article_sel + ' section', '', article_sel);
+    }
+    let banner = 'div.free-access-banner';
+    hideDOMStyle(banner);
+  }
+});
@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: ['reuters.com'],
+  run(ctx) {
+    let ads = 'div[data-testid="ResponsiveAdSlot"], div[data-testid="Dianomi"]';
+    hideDOMStyle(ads);
+  }
+});
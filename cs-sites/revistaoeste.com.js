@@ -0,0 +1,21 @@
+registerSiteModule({
+  domains: ['revistaoeste.com'],
+  run(ctx) {
+    if (window.location.pathname.startsWith('/revista/')) {
+      let loading_content = document.querySelector('div.loading_content');
+      if (loading_content)
+        loading_content.removeAttribute('class');
+      let spinner = document.querySelector('svg.spinner-eclipse');
+      removeDOMElement(spinner);
+      let lazy_images = document.querySelectorAll('img[src^="data:image/"][data-src]');
+      for (let elem of lazy_images)
+        elem.src = elem.getAttribute('data-src');
+    } else {
+      let div_expandable = document.querySelector('div.expandable');
+      if (div_expandable)
+        div_expandable.classList.remove('expandable');
+      let ads = 'section.ad-wrapper, div.autozep-outer';
+      hideDOMStyle(ads);
+    }
+  }
+});
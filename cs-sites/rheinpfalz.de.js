@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: ['rheinpfalz.de'],
+  run(ctx) {
+    let ads = 'div.nfy-banner';
+    hideDOMStyle(ads);
+  }
+});
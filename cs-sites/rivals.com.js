@@ -0,0 +1,14 @@
+registerSiteModule({
+  domains: ['rivals.com'],
+  run(ctx) {
+    func_post = function () {
+      let lazy_images = document.querySelectorAll('div img[loading="lazy"][src$=".webp"]');
+      for (let elem of lazy_images) {
+        if (elem.src.match(/\/\w{5}\//))
+          elem.src = 'https://archive.ph' + elem.src;
+      }
+    }
+    let url = ctx.url;
+    getArchive(url, 'div[class^="Paywall_paywall_"]', '', 'div[class^="Article_body_"]', '', 'main div[style*="grid-row-start:body"]');
+  }
+});
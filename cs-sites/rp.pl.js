@@ -0,0 +1,14 @@
+registerSiteModule({
+  domains: ['rp.pl', 'parkiet.com'],
+  run(ctx) {
+    let paywall = document.querySelector('div.paywallComp');
+    if (paywall) {
+      removeDOMElement(paywall);
+      let article = document.querySelector('div.article--content');
+      if (article) {
+        let url = window.location.href;
+        article.firstChild.before(googleSearchToolLink(url));
+      }
+    }
+  }
+});
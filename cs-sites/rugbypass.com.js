@@ -0,0 +1,22 @@
+registerSiteModule({
+  domains: ['rugbypass.com'],
+  run(ctx) {
+    if (window.location.pathname.match(/^\/plus\/\w/)) {
+      let paywall = document.querySelector('.premium-fold-bottom');
+      if (paywall) {
+        paywall.classList.remove('premium-fold-bottom');
+        let offer = document.querySelector('.plus-article-offer');
+        removeDOMElement(offer);
+        let fade = document.querySelector('.fade');
+        if (fade)
+          fade.classList.remove('fade');
+      }
+      let lazy_images = document.querySelectorAll('figure > img.lazy[data-src]:not([src])');
+      for (let elem of lazy_images) {
+        elem.src = elem.getAttribute('data-src');
+        elem.removeAttribute('class');
+      }
+    } else
+      csDoneOnce = true;
+  }
+});
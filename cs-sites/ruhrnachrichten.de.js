@@ -0,0 +1,18 @@
+registerSiteModule({
+  domains: ['ruhrnachrichten.de'],
+  detect: 'a.mgw-logo[href^="https://mgw.de"]',
+  run(ctx) {
+    let pathname = window.location.pathname;
+    let article_id;
+    if (pathname.includes('-p-'))
+      article_id = pathname.split('-p-')[1].split('/')[0];
+    if (dompurify_loaded)
+      getJsonUrl('body.is_plus_article', {rm_class: 'is_plus_article'}, 'article', {art_append: 1, art_hold: 1, art_class: 'article__content'}, article_id);
+    if (!matchDomain('ruhrnachrichten.de')) {
+      window.setTimeout(function () {
+        let push = document.querySelector('div.cleverpush-bell');
+        removeDOMElement(push);
+      }, 1000);
+    }
+  }
+});
@@ -0,0 +1,13 @@
+registerSiteModule({
+  domains: ['scholastic.com'],
+  run(ctx) {
+    let paywall = document.querySelector('div.paywallModalElement');
+    if (paywall) {
+      let modal = document.querySelector('div.modal-backdrop');
+      removeDOMElement(paywall, modal);
+      let body_modal = document.querySelector('body.modal-open');
+      if (body_modal)
+        body_modal.removeAttribute('class');
+    }
+  }
+});
@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: ['schweizermonat.ch'],
+  run(ctx) {
+    if (dompurify_loaded)
+      getJsonUrl('div.entry-paywall-login', '', 'div.entry-main > div.entry__post-content');
+  }
+});
@@ -0,0 +1,20 @@
+registerSiteModule({
+  domains: ['science-et-vie.com'],
+  run(ctx) {
+    if (window.location.hostname.startsWith('amp.')) {
+      let pars = document.querySelectorAll('.qiota_reserve > p, .qiota_reserve > h2');
+      let pars_text = [];
+      for (let par of pars) {
+        if (pars_text.includes(par.innerText))
+          removeDOMElement(par);
+        else
+          pars_text.push(par.innerText);
+      }
+      let sizer = document.querySelector('div.article-content > amp-script > i-amphtml-sizer');
+      removeDOMElement(sizer);
+      let replaced_content = document.querySelector('div.i-amphtml-replaced-content');
+      if (replaced_content)
+        replaced_content.removeAttribute('class');
+    }
+  }
+});
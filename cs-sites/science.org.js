@@ -0,0 +1,10 @@
+registerSiteModule({
+  domains: ['science.org'],
+  run(ctx) {
+    let paywall = document.querySelector('div.alert-read-limit');
+    removeDOMElement(paywall);
+    let overlay = document.querySelector('body.alert-read-limit__overlay');
+    if (overlay)
+      overlay.classList.remove('alert-read-limit__overlay');
+  }
+});
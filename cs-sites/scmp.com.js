@@ -0,0 +1,108 @@
+registerSiteModule({
+  domains: ['scmp.com'],
+  run(ctx) {
+    window.setTimeout(function () {
+    let paywall = document.querySelector('div[data-qa="GenericArticle-PaywallContainer"]');
+    if (paywall) {
+      removeDOMElement(paywall);
+      let article = document.querySelector('section[data-qa="ContentBody-ContentBodyContainer"]');
+      if (article) {
+        let json_script = document.querySelector('script#__NEXT_DATA__');
+        if (json_script) {
+          try {
+            let json = JSON.parse(json_script.text);
+            if (json && json.props.pageProps.payload.data.article.body.json) {
+              let pars = json.props.pageProps.payload.data.article.body.json;
+              if (pars && pars.length)
+                article.innerHTML = '';
+              for (let par of pars) {
+                let elem = document.createElement('p');
+                if (par.type === 'p') {
+                  for (let sub_elem of par.children) {
+                    if (sub_elem.type === 'text') {
+                      if (sub_elem.data)
+                        elem.appendChild(document.createTextNode(sub_elem.data));
+                    } else if (['a', 'em', 'span'].includes(sub_elem.type)) {
+                      let first_child = sub_elem.children ? sub_elem.children[0] : '';
+                      if (first_child) {
+                        if (first_child.type === 'text') {
+                          if (first_child.data) {
+                            let a_link = document.createElement('span');
+                            if (sub_elem.attribs && sub_elem.attribs.href) {
+                              a_link = document.createElement('a');
+                              a_link.style = 'text-decoration: underline;';
+                              a_link.href = sub_elem.attribs.href;
+                              if (!matchUrlDomain(window.location.hostname, sub_elem.attribs.href))
+                                a_link.target = '_blank';
+                            } else if (sub_elem.type === 'em')
+                              a_link.style = 'font-style: italic;';
+                            a_link.innerText = first_child.data;
+                            elem.appendChild(a_link);
+                          }
+                        }
+                      }
+                    } else if (sub_elem.type === 'img') {
+                      if (sub_elem.attribs) {
+                        let attribs = sub_elem.attribs;
+                        if (attribs.src)
+                          elem = makeFigure(attribs.src, attribs.title, {alt: attribs.alt, style: 'width: 100%;'}, {style: 'font-size: 80%;'});
+                      }
+                    } else {
+                      csLog('debug', 'json element not supported', sub_elem);
+                    }
+                  }
+                } else if (par.type === 'div') {
+                  if (par.attribs) {
+                    if (par.attribs.class === 'image-inline-container') {
+                      if (par.children && par.children[0]) {
+                        let attribs = par.children[0].attribs;
+                        if (attribs.src)
+                          elem = makeFigure(attribs.src, attribs.title, {alt: attribs.alt, style: 'width: 100%;'}, {style: 'font-size: 80%;'});
+                      }
+                    } else if (par.attribs.class.match(/(methode-html|oembed|video)-wrapper/)) {
+                      for (let sub_elem of par.children) {
+                        if (sub_elem.type === 'iframe') {
+                          let attribs = sub_elem.attribs;
+                          if (attribs.src) {
+                            let figure = document.createElement('figure');
+                            let iframe = document.createElement('iframe');
+                            iframe.src = attribs.src;
+                            if (attribs.width && attribs.height) {
+                              let ratio = attribs.width / (article.offsetWidth);
+                              iframe.width = attribs.width / ratio;
+                              iframe.height = attribs.height / ratio;
+                            } else if (attribs.style) {
+                              iframe.style = attribs.style;
+                              if (attribs.height)
+                                iframe.height = attribs.height;
+                            }
+                            figure.appendChild(iframe);
+                            if (attribs.title) {
+                              let iframe_title = document.createElement('figcaption');
+                              iframe_title.innerText = attribs.title;
+                              iframe_title.style = 'font-size: 80%;';
+                              figure.appendChild(iframe_title);
+                            }
+                            elem.appendChild(figure);
+                          }
+                        }
+                      }
+                    } else if (par.attribs.class)
+                      csLog('debug', 'json element not supported', par);
+                  }
+                }
+                if (elem.hasChildNodes())
+                  article.appendChild(elem);
+              }
+            }
+          } catch (err) {
+            csLog('error', err);
+          }
+        }
+      }
+    }
+    }, 1000);
+    let ads = 'div[data-qa*="AdSlot"], div.adblock-message';
+    hideDOMStyle(ads);
+  }
+});
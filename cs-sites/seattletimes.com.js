@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: ['seattletimes.com'],
+  run(ctx) {
+    let ads = 'div.top-ad-wrapper, div.ad, div.native-ad-article';
+    hideDOMStyle(ads);
+  }
+});
@@ -0,0 +1,9 @@
+registerSiteModule({
+  domains: sg_sph_media_domains,
+  run(ctx) {
+    let url = ctx.url;
+    getArchive(url, 'div#nocx_paywall_area', '', 'main#content');
+    let ads = 'div.ads, div[id^="dfp-ad-"], div.cx_paywall_placeholder';
+    hideDOMStyle(ads);
+  }
+});
@@ -0,0 +1,8 @@
+registerSiteModule({
+  domains: ['slate.com'],
+  run(ctx) {
+    let slate_roadblock = '.slate-roadblock';
+    let ads = 'section[class*="-ad"]';
+    hideDOMStyle(slate_roadblock + ', ' + ads);
+  }
+});
@@ -0,0 +1,8 @@
+registerSiteModule({
+  domains: ['slideshare.net'],
+  run(ctx) {
+    let limit_overlay = document.querySelector('.limit-overlay');
+    if (limit_overlay)
+      limit_overlay.classList.remove('limit-overlay');
+  }
+});
@@ -0,0 +1,12 @@
+registerSiteModule({
+  domains: ['sloanreview.mit.edu'],
+  run(ctx) {
+    if (window.location.pathname.startsWith('/article/')) {
+      window.setTimeout(function () {
+        let pars = document.querySelectorAll('div.article-content > p');
+        if (pars.length && pars.length < 7)
+          refreshCurrentTab_bg();
+      }, 1000);
+    }
+  }
+});
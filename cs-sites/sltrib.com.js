@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: ['sltrib.com'],
+  run(ctx) {
+    let ads = 'div.ad, div.stickyAd, div[class^="sltrib_medrec"]';
+    hideDOMStyle(ads);
+  }
+});
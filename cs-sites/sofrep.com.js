@@ -0,0 +1,14 @@
+registerSiteModule({
+  domains: ['sofrep.com'],
+  run(ctx) {
+    let paywall = document.querySelector('div.paywall');
+    if (paywall) {
+      paywall.removeAttribute('class');
+      let intro = document.querySelector('div.non-paywall');
+      removeDOMElement(intro);
+      waitDOMElement('div#paywall_wrap', 'DIV', node => removeDOMElement(node.parentNode));
+    }
+    let banners = document.querySelectorAll('#scrollerCTA, #botCta');
+    removeDOMElement(...banners);
+  }
+});
@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: ['spectator.co.uk'],
+  run(ctx) {
+    let ads = '#subscribe-ribbon, div.ad-slot';
+    hideDOMStyle(ads);
+  }
+});
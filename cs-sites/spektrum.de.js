@@ -0,0 +1,8 @@
+registerSiteModule({
+  domains: ['spektrum.de'],
+  run(ctx) {
+    let paywall = document.querySelector('article.pw-premium');
+    if (paywall)
+      paywall.classList.remove('pw-premium');
+  }
+});
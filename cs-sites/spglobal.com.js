@@ -0,0 +1,10 @@
+registerSiteModule({
+  domains: ['spglobal.com'],
+  run(ctx) {
+    let overlay = document.querySelector('.article__overlay');
+    removeDOMElement(overlay);
+    let html_noscroll = document.querySelector('html[class]');
+    if (html_noscroll)
+      html_noscroll.removeAttribute('class');
+  }
+});
@@ -0,0 +1,41 @@
+registerSiteModule({
+  domains: ['spiegel.de', 'manager-magazin.de'],
+  run(ctx) {
+    let url = ctx.url;
+    func_post = function () {
+      let failed_iframes = document.querySelectorAll('div > div[x-show="!iframeIsLoaded"]');
+      for (let elem of failed_iframes)
+        hideDOMElement(elem.parentNode);
+      let body_dark = document.querySelector('body[class*="dark:"]');
+      if (body_dark)
+        removeClassesByPrefix(body_dark, 'dark:');
+      let charts = document.querySelectorAll('section div[x-data*="{isLoaded:"]');
+      for (let elem of charts)
+        elem.style.height = elem.offsetHeight + 'px';
+      if (mobile) {
+        let lazy_images = document.querySelectorAll('picture img[loading="lazy"][style]');
+        for (let elem of lazy_images)
+          elem.style = 'width: 95%;';
+      }
+      let article = document.querySelector('article');
+      if (article) {
+        let paywall_sel = 'svg[id*="-plus-paywall-"]';
+        let paywall = document.querySelector(paywall_sel);
+        if (paywall) {
+          if (matchDomain('spiegel.de')) {
+            let archive_link = document.querySelector('div#bpc_archive > a:not([href*="/again?"])');
+            if (archive_link)
+              removeDOMElement(archive_link.parentNode);
+            article.firstChild.before(ochToUnlockLink(url));
+          } else
+            header_nofix('article', paywall_sel, 'BPC > no archive-fix');
+        } else {
+          let hidden_media = document.querySelector('svelte-scroller-outer, div[aria-label="Videoplayer"]');
+          if (hidden_media)
+            article.firstChild.before(document.createTextNode('For hidden media:'), ochToUnlockLink(url));
+        }
+      }
+    }
+    getArchive(url, 'div[data-area="paywall"]', '', 'article');
+  }
+});
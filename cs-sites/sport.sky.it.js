@@ -0,0 +1,22 @@
+registerSiteModule({
+  domains: ['sport.sky.it'],
+  run(ctx) {
+    let paywall = document.querySelector('div.c-paywall');
+    if (paywall) {
+      paywall.removeAttribute('class');
+      let json_script = getArticleJsonScript();
+      if (json_script) {
+        try {
+          let json = JSON.parse(json_script.text);
+          if (json) {
+            let json_text = json[0].articleBody;
+            if (json_text)
+              paywall.innerText = json_text;
+          }
+        } catch (err) {
+          csLog('error', err);
+        }
+      }
+    }
+  }
+});
@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: ['sportico.com'],
+  run(ctx) {
+    if (window.location.pathname.endsWith('/amp/'))
+      amp_unhide_subscr_section('amp-ad, amp-embed');
+  }
+});
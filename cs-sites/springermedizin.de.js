@@ -0,0 +1,22 @@
+registerSiteModule({
+  domains: ['springermedizin.de'],
+  run(ctx) {
+    let paywall = document.querySelector('div#pay-wall');
+    if (paywall) {
+      removeDOMElement(paywall);
+      let json_script = getArticleJsonScript();
+      if (json_script) {
+        let json = JSON.parse(json_script.text);
+        if (json) {
+          let json_text = json.articleBody;
+          let article = document.querySelector('div > p.intro--paragraph');
+          if (json_text && article) {
+            let article_new = document.createElement('p');
+            article_new.innerText = json_text;
+            article.parentNode.replaceChild(article_new, article);
+          }
+        }
+      }
+    }
+  }
+});
@@ -0,0 +1,17 @@
+registerSiteModule({
+  domains: ['staradvertiser.com'],
+  run(ctx) {
+    let paywall = document.querySelectorAll('div.fade');
+    if (paywall.length) {
+      removeDOMElement(...paywall);
+      let div_hidden = document.querySelector('div#hsa-paywall-content[style]');
+      if (div_hidden)
+        div_hidden.removeAttribute('style');
+      let noscroll = document.querySelector('body.overflow-hidden');
+      if (noscroll)
+        noscroll.classList.remove('overflow-hidden');
+    }
+    let ads = 'div.promo-container, div.teads-inread';
+    hideDOMStyle(ads);
+  }
+});
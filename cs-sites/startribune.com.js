@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: ['startribune.com'],
+  run(ctx) {
+    let ads = 'div[data-testid$="-ad"]';
+    hideDOMStyle(ads);
+  }
+});
@@ -0,0 +1,10 @@
+registerSiteModule({
+  domains: ['statista.com'],
+  run(ctx) {
+    if (window.location.pathname.startsWith('/outlook/')) {
+      let show_data = 'button[data-gtm^="xmo_kpiShowData"]';
+      hideDOMStyle(show_data);
+      addStyle('.blur-sm {--tw-blur:none !important;}');
+    }
+  }
+});
@@ -0,0 +1,33 @@
+registerSiteModule({
+  domains: ['stereogum.com'],
+  run(ctx) {
+    let paywall = document.querySelector('div.members-only-overlay-wrapper');
+    if (paywall && dompurify_loaded) {
+      removeDOMElement(paywall);
+      let json_url_dom = document.querySelector('head > link[rel="alternate"][type="application/json"][href]');
+      if (json_url_dom) {
+        let json_url = json_url_dom.href;
+        fetch(json_url)
+        .then(response => {
+          if (response.ok) {
+            response.json().then(json => {
+              try {
+                let json_text = json.acf.article_modules[0].copy.replace(/data-src/g, 'src');
+                let content = document.querySelector('div.article__content div.text-block__inner');
+                if (json_text && content) {
+                  let parser = new DOMParser();
+                  let doc = parser.parseFromString('<div>' + DOMPurify.sanitize(json_text, dompurify_options) + '</div>', 'text/html');
+                  let content_new = doc.querySelector('div');
+                  content.innerHTML = '';
+                  content.appendChild(content_new);
+                }
+              } catch (err) {
+                csLog('error', err);
+              }
+            });
+          }
+        });
+      }
+    }
+  }
+});
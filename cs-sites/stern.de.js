@@ -0,0 +1,12 @@
+registerSiteModule({
+  domains: ['stern.de'],
+  run(ctx) {
+    func_post = function () {
+      header_nofix(article_sel + ' p', paywall_sel, 'BPC > no external site-fix');
+    }
+    let paywall_sel = 'div.paid-barrier';
+    let article_sel = 'div.article__body';
+    let url = ctx.url;
+    getOchToUnlock(url, paywall_sel, '', article_sel);
+  }
+});
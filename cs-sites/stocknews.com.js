@@ -0,0 +1,10 @@
+registerSiteModule({
+  domains: ['stocknews.com'],
+  run(ctx) {
+    let hideme = document.querySelector('div#hideme');
+    removeDOMElement(hideme);
+    let blurmes = document.querySelectorAll('div[id^="blurme"]');
+    for (let i = 0; i < blurmes.length; i++)
+      blurmes[i].setAttribute('id', 'blurmenot' + i);
+  }
+});
@@ -0,0 +1,13 @@
+registerSiteModule({
+  domains: ['study.com'],
+  run(ctx) {
+    let faded_content = document.querySelector('div.faded-content');
+    if (faded_content)
+      faded_content.removeAttribute('class');
+    let div_hidden = document.querySelector('div.hidden[ng-non-bindable]');
+    if (div_hidden)
+      div_hidden.removeAttribute('class');
+    let banners = document.querySelectorAll('div.article-cutoff-div');
+    removeDOMElement(...banners);
+  }
+});
@@ -0,0 +1,15 @@
+registerSiteModule({
+  domains: ['sudouest.fr', 'charentelibre.fr', 'larepubliquedespyrenees.fr'],
+  run(ctx) {
+    let paywall = document.querySelectorAll('.visible-not-premium');
+    if (paywall.length) {
+      removeDOMElement(...paywall);
+      let visible_premium = document.querySelectorAll('div.visible-premium');
+      for (let elem of visible_premium)
+        elem.classList.remove('visible-premium');
+    }
+    let footer_premium = '.footer-premium';
+    let ads = 'div.pub, div.ph-easy-subscription';
+    hideDOMStyle(footer_premium + ', ' + ads);
+  }
+});
@@ -0,0 +1,42 @@
+registerSiteModule({
+  domains: ['sueddeutsche.de'],
+  run(ctx) {
+    let url = ctx.url;
+    if (matchDomain('sz-magazin.sueddeutsche.de')) {
+      func_post = function () {
+        let hidden_images = document.querySelectorAll('img[src^="data:image/"][data-src]');
+        for (let hidden_image of hidden_images)
+          hidden_image.setAttribute('src', hidden_image.getAttribute('data-src'));
+      }
+      getOchToUnlock(url, 'p.paragraph--reduced', {rm_class: 'paragraph--reduced'}, 'main');
+    } else if (window.location.pathname.startsWith('/projekte/artikel/')) {
+      func_post = function () {
+        let par = document.querySelector('div.publishdate');
+        if (par) {
+          let lazy_images = document.querySelectorAll('img[loading]');
+          for (let elem of lazy_images) {
+            if (elem.width) {
+              let ratio = elem.width / (par.offsetWidth);
+              elem.style = 'width: ' + elem.width / ratio + 'px; height: ' + elem.height / ratio + 'px; margin: 20px;';
+            }
+          }
+        }
+        if (intro) {
+          let intro_old = document.querySelector(intro_sel);
+          if (intro_old && intro_old.parentNode)
+            intro_old.parentNode.replaceChild(intro, intro_old);
+        }
+        let paywalled_slide = document.querySelectorAll('div.paywalled-slide');
+        for (let elem of paywalled_slide)
+          elem.removeAttribute('class');
+      }
+      let intro_sel = 'section#module-0';
+      let intro = document.querySelector(intro_sel);
+      getOchToUnlock(url, 'div.offer-page', '', 'main');
+    } else {
+      getOchToUnlock(url, 'head > meta[content="locked"]', '', 'div[itemprop="articleBody"]');
+    }
+    let ads = 'er-ad-slot, div.iqdcontainer';
+    hideDOMStyle(ads);
+  }
+});
@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: ['suedkurier.de'],
+  run(ctx) {
+    let url = ctx.url;
+    getArchive(url, 'aside.article-paywall', '', 'main > article');
+  }
+});
@@ -0,0 +1,8 @@
+registerSiteModule({
+  domains: ['suomensotilas.fi'],
+  run(ctx) {
+    let obscured = document.querySelector('div.epfl-pw-obscured');
+    if (obscured)
+      obscured.classList.remove('epfl-pw-obscured');
+  }
+});
@@ -0,0 +1,14 @@
+registerSiteModule({
+  domains: ['swarajyamag.com'],
+  run(ctx) {
+    if (!window.location.pathname.startsWith('/amp/')) {
+      let paywall = pageContains('h2', /Please Sign In To Continue Reading/);
+      let amphtml = document.querySelector('head > link[rel="amphtml"]');
+      if (paywall.length) {
+        removeDOMElement(...paywall);
+        if (amphtml)
+          amp_redirect_not_loop(amphtml);
+      }
+    }
+  }
+});
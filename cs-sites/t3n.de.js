@@ -0,0 +1,21 @@
+registerSiteModule({
+  domains: ['t3n.de'],
+  run(ctx) {
+    let paywall = document.querySelector('div.c-paywall__wrapper');
+    if (paywall) {
+      removeDOMElement(paywall);
+      let json_script = getArticleJsonScript();
+      if (json_script) {
+        let json = JSON.parse(json_script.text);
+        if (json) {
+          let json_text = json.articleBody;
+          let article = document.querySelector('div.paywall-blur > p');
+          if (json_text && article) {
+            article.innerText = parseHtmlEntities(json_text);
+            article.parentNode.removeAttribute('class');
+          }
+        }
+      }
+    }
+  }
+});
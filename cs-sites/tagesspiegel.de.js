@@ -0,0 +1,30 @@
+registerSiteModule({
+  domains: ['tagesspiegel.de'],
+  run(ctx) {
+    let paywall_sel = 'div#paywall';
+    let url = ctx.url;
+    if (matchDomain('www.tagesspiegel.de')) {
+      func_post = function () {
+        let opinionary = document.querySelector('div > div#opinary-automation-placeholder');
+        if (opinionary)
+          hideDOMElement(opinionary.parentNode);
+        if (mobile) {
+          let lazy_images = document.querySelectorAll('figure img[loading="lazy"][style]');
+          for (let elem of lazy_images)
+            elem.style = 'width: 95%;';
+        }
+      }
+      getArchive(url, paywall_sel, '', 'div#story-elements');
+    } else if (matchDomain('interaktiv.tagesspiegel.de')) {
+      let paywall = document.querySelector(paywall_sel);
+      if (paywall) {
+        removeDOMElement(paywall);
+        let article = document.querySelector('div.tslr-article > p');
+        if (article)
+          article.firstChild.before(archiveLink(url));
+      }
+    }
+    let ads = 'div.iqdcontainer';
+    hideDOMStyle(ads);
+  }
+});
@@ -0,0 +1,30 @@
+registerSiteModule({
+  domains: ['techinasia.com'],
+  run(ctx) {
+    let paywall = document.querySelector('div.paywall-content');
+    if (paywall && dompurify_loaded) {
+      paywall.classList.remove('paywall-content');
+      let url = window.location.href;
+      let url_xhr = url.replace('.com/', '.com/wp-json/techinasia/2.0/posts/').replace('/visual-story/', '/');
+      fetch(url_xhr)
+      .then(response => {
+        if (response.ok) {
+          response.json().then(json => {
+            let json_text = json.posts[0].content;
+            json_text = json_text.replace(/width\=\"(\d){3,}\"/g, 'width="100%"').replace(/height\=\"(\d){3,}\"/g, 'height="100%"');
+            let content = document.querySelector('div.content');
+            if (json_text && content) {
+              let parser = new DOMParser();
+              let doc = parser.parseFromString('<div class="jsx-1794864983 content">' + DOMPurify.sanitize(json_text) + '</div>', 'text/html');
+              let content_new = doc.querySelector('div.content');
+              content.parentNode.replaceChild(content_new, content);
+            }
+          });
+        }
+      });
+    }
+    let splash_subscribe = document.querySelector('div.splash-subscribe');
+    let paywall_hard = document.querySelector('div.paywall-hard');
+    removeDOMElement(splash_subscribe, paywall_hard);
+  }
+});
@@ -0,0 +1,11 @@
+registerSiteModule({
+  domains: ['techtarget.com', 'computerweekly.com', 'lemagit.fr'],
+  run(ctx) {
+    let paywall = document.querySelector('div.paywall');
+    if (paywall) {
+      paywall.classList.remove('paywall');
+      let banners = document.querySelectorAll('p#firstP, div#inlineRegistrationWrapper');
+      removeDOMElement(...banners);
+    }
+  }
+});
@@ -0,0 +1,68 @@
+registerSiteModule({
+  domains: ['telegraaf.nl'],
+  run(ctx) {
+    let premium = document.querySelector('div[class^="Article__premium"] > label, div.PopupWrapper__paywall');
+    let paywall = document.querySelector('data-hydrate[data-name="PaywallHandler"]');
+    let article = document.querySelector('section > div.DetailArticleImage') || document.querySelector('section > p.Article__intro');
+    if (paywall && window.location.pathname.startsWith('/video/'))
+      removeDOMElement(paywall);
+    if (premium && paywall && article && dompurify_loaded) {
+      let div_main = document.createElement('div');
+      div_main.style = 'margin: 20px 0px;';
+      let div_elem = document.createElement('div');
+      let par_style = 'font-weight: normal; font-size: 16px; line-height: 1.5;';
+      function show_text(window_text, div_main) {
+        window_text = window_text.split('window.telegraaf.')[0].replace(/(^\s?=\s?"|";$|\\")/gm, '').replace(/\\\\u003c/gm, '<');
+        let parser = new DOMParser();
+        let doc = parser.parseFromString('<div>' + DOMPurify.sanitize(window_text) + '</div>', 'text/html');
+        let article_new = doc.querySelector('div');
+        let pars = article_new.querySelectorAll('p');
+        for (let par of pars)
+          par.style = 'margin: 10px 0px;';
+        let placeholders = article_new.querySelectorAll('div.TeaserImage__placeholder');
+        for (let elem of placeholders)
+          elem.removeAttribute('class');
+        let media = article_new.querySelectorAll('div.NewsletterForm, div.DetailArticleVideo');
+        removeDOMElement(...media);
+        let twitter_quotes = article_new.querySelectorAll('blockquote.twitter-tweet > a[href]');
+        for (let elem of twitter_quotes) {
+          if (!elem.innerText) {
+            elem.innerText = elem.href;
+            elem.target = '_blank';
+          }
+        }
+        if (mobile) {
+          let art_images = article_new.querySelectorAll('div.DetailArticleImage > div > img');
+          for (let elem of art_images)
+            elem.style.width = '95%';
+        }
+        div_main.appendChild(article_new);
+      }
+      let window_script = document.querySelector('script#scr-tlg-body');
+      if (window_script && window_script.text.includes('window.telegraaf.articleBodyBlocks')) {
+        removeDOMElement(paywall);
+        let window_text = window_script.text.split('window.telegraaf.articleBodyBlocks')[1];
+        if (window_text)
+          show_text(window_text, div_main);
+      } else {
+        removeDOMElement(paywall);
+        let url = window.location.href.split(/[#\?]/)[0];
+        fetch(url)
+        .then(response => {
+          if (response.ok) {
+            response.text().then(html => {
+              if (html.includes('window.telegraaf.articleBodyBlocks')) {
+                let window_text = html.split('window.telegraaf.articleBodyBlocks')[1].split('</script>')[0];
+                if (window_text)
+                  show_text(window_text, div_main);
+              }
+            })
+          }
+        })
+      }
+      article.after(div_main);
+    }
+    let ads = 'div.WebpushOptin, div[data-ad-position]';
+    hideDOMStyle(ads);
+  }
+});
@@ -0,0 +1,20 @@
+registerSiteModule({
+  domains: ['telegraph.co.uk'],
+  run(ctx) {
+    if (window.location.pathname.endsWith('/amp/')) {
+      let paywall = document.querySelectorAll('.premium-paywall');
+      if (paywall.length) {
+        let truncated_content = document.querySelector('.truncated-content');
+        removeDOMElement(...paywall, truncated_content);
+        amp_unhide_access_hide('="c.result=\'ALLOW_ACCESS\'"', '', 'amp-ad, amp-embed', false);
+      } else {
+        let ads = 'amp-ad, amp-embed';
+        hideDOMStyle(ads);
+      }
+    } else {
+      let subwall = '[class^="subwall"]';
+      let ads = '.advert, .commercial-unit';
+      hideDOMStyle(subwall + ', ' + ads);
+    }
+  }
+});
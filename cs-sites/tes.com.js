@@ -0,0 +1,14 @@
+registerSiteModule({
+  domains: ['tes.com'],
+  run(ctx) {
+    let paywall = document.querySelector('div.tg-paywall-message');
+    if (paywall) {
+      removeDOMElement(paywall);
+      let overlay = document.querySelector('div.tg-paywall-body-overlay');
+      if (overlay)
+        overlay.removeAttribute('class');
+    }
+    let banner = document.querySelector('div.js-paywall-info');
+    removeDOMElement(banner);
+  }
+});
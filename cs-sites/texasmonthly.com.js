@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: ['texasmonthly.com'],
+  run(ctx) {
+    let ads = 'div.promo-in-body';
+    hideDOMStyle(ads);
+  }
+});
@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: ['the-american-interest.com'],
+  run(ctx) {
+    let counter = document.getElementById('article-counter');
+    removeDOMElement(counter);
+  }
+});
@@ -0,0 +1,12 @@
+registerSiteModule({
+  domains: ['the-scientist.com'],
+  run(ctx) {
+    let paywall = document.querySelector('div.paywall');
+    if (paywall) {
+      paywall.classList.remove('paywall');
+      let fader = document.querySelector('div.gated-fader');
+      let modal = document.querySelector('div#Modal');
+      removeDOMElement(fader, modal);
+    }
+  }
+});
@@ -0,0 +1,10 @@
+registerSiteModule({
+  domains: ['the-tls.co.uk'],
+  run(ctx) {
+    if (dompurify_loaded)
+      getJsonUrl('div.tls-single-article__closed-paywall', '', 'div.tls-article-body', {art_class: 'tls-article-body'});
+    let fade = 'div.tls-single-article__closed-paywall-wrapper';
+    let ads = 'div[class*="tls-single-article__ad-slot"]';
+    hideDOMStyle(fade + ', ' + ads);
+  }
+});
@@ -0,0 +1,29 @@
+registerSiteModule({
+  domains: ['theamericanconservative.com'],
+  run(ctx) {
+    let paywall_sel = 'section.c-blog-post__body--locked';
+    let paywall = document.querySelector(paywall_sel);
+    if (paywall && dompurify_loaded) {
+      let art_options = {
+        art_append: true,
+        func_text: function (json_text) {
+          if (json_text.includes('<p class="has-drop-cap">')) {
+            let split = json_text.split(/(<p class="has-drop-cap">)/);
+            json_text = split[1] + split[2];
+          };
+          return json_text;
+        }
+      };
+      getJsonUrl(paywall_sel, {rm_class: 'c-blog-post__body--locked'}, 'div.c-blog-post__content', art_options);
+    } else {
+      let img_dark = document.querySelector('div.c-hero-article__image-img.o-image');
+      if (img_dark)
+        img_dark.removeAttribute('class');
+    }
+    let modal = document.querySelector('div#emailsub-modal');
+    removeDOMElement(modal);
+    let noscroll = document.querySelector('body.modal-open');
+    if (noscroll)
+      noscroll.classList.remove('modal-open');
+  }
+});
@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: ['theamericanscholar.org'],
+  run(ctx) {
+    if (dompurify_loaded)
+      getJsonUrl('div.ssagk-form', '', 'div.post_summary');
+  }
+});
@@ -0,0 +1,13 @@
+registerSiteModule({
+  domains: ['theatlantic.com'],
+  run(ctx) {
+    let lazy_images = document.querySelectorAll('img[class*="Image_lazy__"]');
+    for (let elem of lazy_images)
+      removeClassesByPrefix(elem, 'Image_lazy__');
+    let videos = document.querySelectorAll('iframe[data-src]:not([src])');
+    for (let video of videos)
+      video.src = video.getAttribute('data-src');
+    let banners = 'aside#paywall, div[class^="LostInventoryMessage_"]';
+    hideDOMStyle(banners);
+  }
+});
@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: ['thebulletin.org'],
+  run(ctx) {
+    if (dompurify_loaded)
+      getJsonUrl('div.article--cropped', '', 'div#body-copy', {art_append: true});
+  }
+});
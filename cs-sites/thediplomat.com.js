@@ -0,0 +1,14 @@
+registerSiteModule({
+  domains: ['thediplomat.com'],
+  run(ctx) {
+    if (matchDomain('magazine.thediplomat.com')) {
+      let article = document.querySelector('article > section.h-96');
+      if (article)
+        article.classList.remove('h-96');
+      let fade = 'aside.bg-gradient-to-b';
+      hideDOMStyle(fade, 2);
+    }
+    let ads = 'aside.td-ad-container--labeled, div[data-actirise]';
+    hideDOMStyle(ads);
+  }
+});
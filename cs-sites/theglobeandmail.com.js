@@ -0,0 +1,10 @@
+registerSiteModule({
+  domains: ['theglobeandmail.com'],
+  run(ctx) {
+    let lazy_images = document.querySelectorAll('img[src^="data:image/"][data-src]');
+    for (let elem of lazy_images)
+      elem.src = elem.getAttribute('data-src');
+    let ads = 'div.c-ad--base';
+    hideDOMStyle(ads);
+  }
+});
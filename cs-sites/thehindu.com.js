@@ -0,0 +1,21 @@
+registerSiteModule({
+  domains: ['thehindu.com', 'thehindubusinessline.com'],
+  world: 'MAIN',
+  run(ctx) {
+    if (!window.location.pathname.endsWith('/amp/')) {
+      let counter = '#test';
+      let ads = 'div.ad, div.article-ad, div.dfp-ad, div#paywallbox, div[id^="piano-art-"]';
+      hideDOMStyle(counter + ', ' + ads);
+    } else {
+      let ads = 'amp-ad, amp-embed, [class^="height"], [class^="advt"], [id^="piano"]';
+      hideDOMStyle(ads);
+    }
+    function hindu_main() {
+      if (window) {
+        window.Adblock = false;
+        window.isNonSubcribed = false;
+      }
+    }
+    insert_script(hindu_main);
+  }
+});
@@ -0,0 +1,11 @@
+registerSiteModule({
+  domains: ['theimpression.com'],
+  run(ctx) {
+    let paywall = document.querySelector('div#modalpostsubscribe');
+    if (paywall) {
+      let blureffect = document.querySelectorAll('div.blureffect');
+      for (let elem of blureffect)
+        elem.classList.remove('blureffect');
+    }
+  }
+});
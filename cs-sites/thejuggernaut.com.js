@@ -0,0 +1,135 @@
+registerSiteModule({
+  domains: ['thejuggernaut.com', 'jgnt.co'],
+  run(ctx) {
+    let paywall = pageContains('div.font-mono', /(Read this article and many more by subscribing today|Join today to read the full story)/);
+    if (paywall.length) {
+      removeDOMElement(paywall[0].parentNode);
+      let json_script = document.querySelector('script#__NEXT_DATA__');
+      if (json_script) {
+        try {
+          let json = JSON.parse(json_script.text);
+          if (json && json.props.pageProps.post.fields) {
+            let url_next = json.query.slug;
+            if (url_next && !window.location.pathname.includes(url_next))
+              refreshCurrentTab();
+            let fields = json.props.pageProps.post.fields;
+            let pars = fields.fullText ? fields.fullText.content : fields.textEssay.fields.body.content;
+            window.setTimeout(function () {
+            let article = document.querySelector('div[class*="opacity-"]');
+            if (article) {
+              article.innerHTML = '';
+              article.removeAttribute('class');
+              let fade = document.querySelectorAll('div.bg-gradient-to-b');
+              for (let elem of fade)
+                elem.removeAttribute('class');
+              let modal = document.querySelector('div#headlessui-portal-root');
+              removeDOMElement(modal);
+              let par_first = true;
+              function attach_text(sub_item, elem) {
+                if (sub_item.value) {
+                  let sub_elem = document.createElement('span');
+                  sub_elem.innerText = sub_item.value;
+                  if (sub_item.marks && sub_item.marks.length) {
+                    let style = '';
+                    for (let mark of sub_item.marks) {
+                      if (mark.type === 'bold')
+                        style += 'font-weight: bold;';
+                      else if (mark.type === 'italic')
+                        style += 'font-style: italic;';
+                      else if (mark.type === 'underline')
+                        style += 'text-decoration: underline;';
+                    }
+                    sub_elem.style = style;
+                  }
+                  elem.appendChild(sub_elem);
+                }
+              }
+              function attach_hyperlink(sub_item, elem) {
+                if (sub_item.content && sub_item.content[0] && sub_item.content[0].value && sub_item.data && sub_item.data.uri) {
+                  let sub_elem = document.createElement('a');
+                  sub_elem.href = sub_item.data.uri;
+                  sub_elem.innerText = sub_item.content[0].value;
+                  if (!matchUrlDomain(['thejuggernaut.com', 'jgnt.co'], sub_item.data.uri))
+                    sub_elem.target = '_blank';
+                  sub_elem.style = 'text-decoration: underline;';
+                  elem.appendChild(sub_elem);
+                }
+              }
+              function attach_paragraph(par, elem) {
+                if (par.content && par.content.length) {
+                  let span_elem = document.createElement('span');
+                  for (let item of par.content) {
+                    if (item.nodeType === 'text') {
+                      attach_text(item, span_elem);
+                    } else if (item.nodeType === 'hyperlink') {
+                      attach_hyperlink(item, span_elem);
+                    } else
+                      csLog('debug', 'json element not supported', item);
+                  }
+                  elem.appendChild(span_elem);
+                }
+              }
+              for (let par of pars) {
+                let elem = document.createElement('p');
+                if (par.nodeType.match(/^(paragraph|heading-\d)$/)) {
+                  attach_paragraph(par, elem);
+                } else if (['blockquote'].includes(par.nodeType)) {
+                  if (par.content && par.content.length) {
+                    for (let item of par.content) {
+                      if (item.nodeType === 'paragraph') {
+                        elem.style = 'margin: 0px 20px; font-style: italic;';
+                        attach_paragraph(item, elem);
+                      } else
+                        csLog('debug', 'json element not supported', item);
+                    }
+                  }
+                } else if (par.nodeType === 'hr') {
+                  elem.appendChild(document.createElement('hr'));
+                } else if (par.nodeType === 'embedded-asset-block') {
+                  if (!par_first) {
+                    if (par.data && par.data.target && par.data.target.fields) {
+                      if (par.data.target.fields.file && par.data.target.fields.file.url) {
+                        let figure = makeFigure(par.data.target.fields.file.url, par.data.target.fields.description);
+                        elem.appendChild(figure);
+                      }
+                    }
+                  } else
+                    par_first = false;
+                } else if (par.nodeType === 'unordered-list') {
+                  if (par.content && par.content.length) {
+                    let ul = document.createElement('ul');
+                    for (let item of par.content) {
+                      if (item.nodeType === 'list-item') {
+                        if (item.content) {
+                          for (let sub_item_par of item.content) {
+                            if (sub_item_par.nodeType === 'paragraph') {
+                              let li = document.createElement('li');
+                              attach_paragraph(sub_item_par, li);
+                              ul.appendChild(li);
+                            }
+                          }
+                        }
+                      } else
+                        csLog('debug', 'json element not supported', item);
+                    }
+                    elem.appendChild(ul);
+                  }
+                } else {
+                  csLog('debug', 'json element not supported', par);
+                }
+                if (elem.hasChildNodes()) {
+                  article.appendChild(document.createElement('br'));
+                  article.appendChild(elem);
+                }
+              }
+            }
+            }, 1000);
+          } else
+            refreshCurrentTab();
+        } catch (err) {
+          csLog('error', err);
+        }
+      }
+    }
+  }
+});
@@ -0,0 +1,18 @@
+registerSiteModule({
+  domains: ['thelampmagazine.com'],
+  run(ctx) {
+    let paywall = document.querySelector('div.paywall-gradient');
+    if (paywall) {
+      paywall.removeAttribute('class');
+      let banner = document.querySelector('section.p-8');
+      removeDOMElement(banner);
+    }
+    let login = document.querySelectorAll('a.js-login-modal-trigger');
+    for (let elem of login) {
+      elem.removeAttribute('class');
+      let url_search = '/search?q=' + elem.innerText.replace(/\s/g, '+');
+      elem.href = url_search;
+      elem.onclick = x => window.location.href = url_search;
+    }
+  }
+});
@@ -0,0 +1,23 @@
+registerSiteModule({
+  domains: ['thelawyer.com'],
+  run(ctx) {
+    if (window.location.pathname.startsWith('/mda/')) {
+      header_nofix('div.sf-content__post', 'div.sf-login-form', 'BPC > no fix');
+    } else if (dompurify_loaded) {
+      let body = document.querySelector('body[class*="postid-"]');
+      if (body) {
+        let article_id = body.className.split('postid-')[1].split(' ')[0];
+        if (article_id) {
+          func_post = function () {
+            let lazy_images = document.querySelectorAll('img.lazy[data-src]:not([src])');
+            for (let elem of lazy_images) {
+              elem.src = elem.getAttribute('data-src');
+              elem.removeAttribute('class');
+            }
+          }
+          getJsonUrl('div.sf-login-form', '', 'div.sf-content-body__text', {art_append: 1}, article_id, '', false, true);
+        }
+      }
+    }
+  }
+});
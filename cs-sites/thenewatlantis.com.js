@@ -0,0 +1,8 @@
+registerSiteModule({
+  domains: ['thenewatlantis.com'],
+  run(ctx) {
+    let article_gated = document.querySelector('.article-gated');
+    if (article_gated)
+      article_gated.classList.remove('article-gated');
+  }
+});
@@ -0,0 +1,14 @@
+registerSiteModule({
+  domains: ['theneweuropean.co.uk'],
+  run(ctx) {
+    let paywall = document.querySelector('div[data-show-fade-on-noaccess]');
+    if (paywall) {
+      removeDOMElement(paywall);
+      let content = document.querySelector('div[data-show-has-access]');
+      if (content)
+        content.removeAttribute('data-show-has-access');
+    }
+    let banners = document.querySelectorAll('div[data-show-subs-blocked]');
+    removeDOMElement(...banners);
+  }
+});
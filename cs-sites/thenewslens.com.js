@@ -0,0 +1,28 @@
+registerSiteModule({
+  domains: ['thenewslens.com'],
+  run(ctx) {
+    let paywall = document.querySelector('div.article-mask-box');
+    if (paywall) {
+      removeDOMElement(paywall);
+      let json_script = getArticleJsonScript();
+      if (json_script) {
+        let json = JSON.parse(json_script.text);
+        if (json) {
+          let json_text = json.articleBody;
+          let article = document.querySelector('section.article-body');
+          if (json_text && article) {
+            let article_text = article.innerText.replace(/\n/g, '');
+            let split = json_text.split('。');
+            for (let elem of split) {
+              if (!elem.includes('(function(') && !article_text.includes(elem)) {
+                let par_new = document.createElement('p');
+                par_new.innerText = elem + '。';
+                article.append(par_new);
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+});
@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: ['thepointmag.com'],
+  run(ctx) {
+    let overlay = document.querySelectorAll('div.overlay, div#tpopup-');
+    removeDOMElement(...overlay);
+  }
+});
@@ -0,0 +1,30 @@
+registerSiteModule({
+  domains: ['thequint.com'],
+  run(ctx) {
+    window.setTimeout(function () {
+      let lock = document.querySelector('div > img[alt^="lock"]');
+      if (lock && dompurify_loaded) {
+        lock.removeAttribute('alt');
+        let paywall = document.querySelector('div#paywall-widget');
+        if (paywall) {
+          removeDOMElement(paywall);
+          let article = document.querySelector('div.story-element');
+          if (article) {
+            let article_new = getArticleQuintype();
+            if (article_new && article.parentNode)
+              article.parentNode.replaceChild(article_new, article);
+          }
+        }
+        let body_hidden = document.querySelector('div#story-body-wrapper');
+        if (body_hidden) {
+          body_hidden.removeAttribute('class');
+          body_hidden.removeAttribute('style');
+        }
+        function thequint_unhide(node) {
+          node.removeAttribute('style');
+        }
+        waitDOMAttribute('div#story-body-wrapper', 'DIV', 'style', thequint_unhide, true);
+      }
+    }, 4000);
+  }
+});
@@ -0,0 +1,12 @@
+registerSiteModule({
+  domains: ['thesaturdaypaper.com.au'],
+  run(ctx) {
+    let hide_end = document.querySelector('div.hide-end');
+    if (hide_end) {
+      refreshCurrentTab_bg();
+      csDoneOnce = true;
+    }
+    let paywall = document.querySelector('div.paywall-hard-always-show');
+    removeDOMElement(paywall);
+  }
+});
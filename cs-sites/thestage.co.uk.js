@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: ['thestage.co.uk'],
+  run(ctx) {
+    let url = ctx.url;
+    getArchive(url, 'div#ao-MeteringDNAllow', '', 'div[id^="aos-FeatureArticle2Col-"], div[id^="aos-ReviewArticle-"]');
+  }
+});
@@ -0,0 +1,42 @@
+registerSiteModule({
+  domains: ['thetimes.com'],
+  run(ctx) {
+    let url = ctx.url;
+    if (window.location.hostname !== 'epaper.thetimes.com') {
+      func_post = function () {
+        let figure = document.querySelector('figure > div[style] > div[style]');
+        if (figure) {
+          figure.removeAttribute('style');
+          figure.parentNode.removeAttribute('style');
+        }
+        let style_new = 'display: block; margin-left: auto; margin-right: auto; width: 90%;';
+        let inline_images = document.querySelectorAll('img[style][src^="https"]');
+        for (let elem of inline_images) {
+          elem.style = style_new;
+          elem.parentNode.removeAttribute('style');
+        }
+        let headers = document.querySelectorAll('article:not([id]) div[style*="text-align"]');
+        for (let elem of headers)
+          elem.style = style_new + ' text-align: center;';
+        for (let n = 0; n < 5; n++) {
+          window.setTimeout(function () {
+            let page_scroll = document.querySelectorAll('html, body');
+            for (let elem of page_scroll)
+              elem.style.overflow = 'auto';
+          }, n * 500);
+        }
+      }
+      if (!url.includes('?shareToken=')) {
+        let teaser = document.querySelector('body[data-view-name="teaser-article"]');
+        if (teaser) {
+          getArchive(url, 'div#paywall-portal-article-footer', '', 'article:not([id])');
+        }
+      }
+      let paywall_page = document.querySelector('div#paywall-portal-page-footer');
+      let block = document.querySelector('.subscription-block');
+      removeDOMElement(paywall_page, block);
+      let ads = '#ad-article-inline, div#sticky-ad-header, div[class*="InlineAdWrapper"], div[class*="NativeAd"], div.gyLkkj';
+      hideDOMStyle(ads);
+    }
+  }
+});
@@ -0,0 +1,10 @@
+registerSiteModule({
+  domains: ['theweek.com'],
+  run(ctx) {
+    let paywall = document.querySelector('div.kiosq-main-layer');
+    removeDOMElement(paywall);
+    let locker = document.querySelector('div.paywall-locker');
+    if (locker)
+      locker.classList.remove('paywall-locker');
+  }
+});
@@ -0,0 +1,9 @@
+registerSiteModule({
+  domains: ['thewrap.com'],
+  run(ctx) {
+    if (dompurify_loaded)
+      getJsonUrl('div#zephr-payment-form-root', '', 'div.entry-content', {art_append: true});
+    let fade = document.querySelector('div.content-area div[style*="background-image: linear-gradient"]');
+    removeDOMElement(fade);
+  }
+});
@@ -0,0 +1,25 @@
+registerSiteModule({
+  domains: ['tijd.be'],
+  run(ctx) {
+    if (matchDomain('belegger.tijd.be')) {
+      let noscroll = document.querySelector('body.js-overflow-hidden');
+      if (noscroll)
+        noscroll.classList.remove('js-overflow-hidden');
+      let inert = document.querySelectorAll('[inert]');
+      for (let elem of inert)
+        elem.removeAttribute('inert');
+      let banners = document.querySelectorAll('div[class^="paywall-banner__"]');
+      removeDOMElement(...banners);
+    } else {
+      let paywall = document.querySelector('html.paywall-active');
+      if (paywall) {
+        paywall.classList.remove('paywall-active');
+        let popup = document.querySelector('div[data-id="react-paywall-auth0"]');
+        removeDOMElement(popup);
+      }
+      let overlay = document.querySelector('body[style]');
+      if (overlay)
+        overlay.removeAttribute('style');
+    }
+  }
+});
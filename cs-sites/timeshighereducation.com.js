@@ -0,0 +1,20 @@
+registerSiteModule({
+  domains: ['timeshighereducation.com'],
+  run(ctx) {
+    let paywall = document.querySelector('div.paywall-active');
+    if (paywall) {
+      removeDOMElement(paywall);
+      let fade = document.querySelectorAll('div.paywall-fade');
+      for (let elem of fade)
+        elem.classList.remove('paywall-fade');
+    }
+    let hidden_images = document.querySelectorAll('img.b-lazy[src^="data:image/"][data-src]');
+    for (let hidden_image of hidden_images) {
+      hidden_image.setAttribute('src', hidden_image.getAttribute('data-src'));
+      hidden_image.classList.remove('b-lazy');
+      hidden_image.parentElement.classList.remove('media--loading');
+    }
+    let ads = 'div[data-ad-page], section.block-the-dfp';
+    hideDOMStyle(ads);
+  }
+});
@@ -0,0 +1,74 @@
+registerSiteModule({
+  domains: timesofindia_domains,
+  run(ctx) {
+    if (matchDomain('epaper.indiatimes.com')) {
+      let blocker = document.querySelector('div.epaperBlockerWrap');
+      removeDOMElement(blocker);
+      if (window.location.pathname.startsWith('/english-news-paper-today-toi-print-edition/')) {
+        let paywall = document.querySelector('section#blocker');
+        if (paywall) {
+          let fq = document.querySelector('section#fq');
+          removeDOMElement(paywall, fq);
+          let json_script = getArticleJsonScript();
+          if (json_script) {
+            let json = JSON.parse(json_script.text);
+            if (json) {
+              let json_text = json.articleBody;
+              let content = document.querySelector('section[type="synopsis"]');
+              if (json_text && content) {
+                let article_new = document.createElement('p');
+                article_new.innerText = breakText(json_text);
+                content.innerHTML = '';
+                addStyle('[type="synopsis"]::after {background: none !important;}');
+                content.appendChild(article_new);
+              }
+            }
+          }
+        }
+      }
+    } else {
+      let url = window.location.href;
+      let region_block = document.querySelector('div.plan-popup.active');
+      if (region_block) {
+        removeDOMElement(region_block);
+        let overflow = document.querySelector('html[style]');
+        if (overflow)
+          overflow.removeAttribute('style');
+      }
+      if (!window.location.pathname.includes('/amp_')) {
+        let paywall = document.querySelector('div[id^="story-blocker"]');
+        if (paywall && dompurify_loaded) {
+          removeDOMElement(paywall);
+          let json_script = getArticleJsonScript();
+          if (json_script) {
+            try {
+              let json = JSON.parse(json_script.text);
+              if (json) {
+                let json_text = json.articleBody;
+                let article = document.querySelector('div.paywall');
+                if (json_text && article) {
+                  if (!json_text.match(/\s(src|href)=/))
+                    json_text = breakText(json_text).replace(/\n\n/g, '<br><br>');
+                  window.setTimeout(function () {
+                    let parser = new DOMParser();
+                    let doc = parser.parseFromString('<div>' + DOMPurify.sanitize(parseHtmlEntities(json_text), dompurify_options) + '</div>', 'text/html');
+                    let article_new = doc.querySelector('div');
+                    if (article_new) {
+                      article.innerHTML = '';
+                      article.appendChild(article_new);
+                    }
+                  }, 1500);
+                  addStyle('div.paywall::after {background-image: none !important;}');
+                }
+              }
+            } catch (err) {
+              csLog('error', err);
+            }
+          }
+        }
+      } else {
+        ampToHtml();
+      }
+    }
+  }
+});
@@ -0,0 +1,67 @@
+registerSiteModule({
+  domains: ['tt.com'],
+  run(ctx) {
+    window.setTimeout(function () {
+    let paywall = document.querySelector('div#piano-logwall');
+    if (paywall && dompurify_loaded) {
+      removeDOMElement(paywall);
+      let article = document.querySelector('div[data-io-article-url]');
+      if (article) {
+        let json_script = document.querySelector('script#tt-com-www-state');
+        if (json_script) {
+          try {
+            let json_articles = JSON.parse(json_script.text).TT_COM_WWW_GLOBAL_STATE.articles;
+            let json_article_id = json_articles.ids[0];
+            if (!json_article_id || (json_article_id && !window.location.pathname.includes(json_article_id)))
+              refreshCurrentTab();
+            let parser = new DOMParser();
+            let pars = json_articles.entities[json_article_id].articleData.article.elements;
+            for (let par of pars) {
+              let elem;
+              if (['body', 'subheadline1'].includes(par.type)) {
+                if (par.content) {
+                  let doc = parser.parseFromString('<p>' + DOMPurify.sanitize(par.content, dompurify_options) + '</p>', 'text/html');
+                  elem = doc.querySelector('p');
+                  if (par.type === 'subheadline1')
+                    elem.style = 'font-weight: bold;';
+                }
+              } else if (par.type = 'x-im/content-part') {
+                if (par.elements) {
+                  elem = document.createElement('p');
+                  for (let item of par.elements) {
+                    if (item.content) {
+                      let sub_elem = document.createElement('p');
+                      sub_elem.innerText = parseHtmlEntities(item.content);
+                      elem.appendChild(sub_elem);
+                    }
+                  }
+                }
+              } else if (par.type.match(/^x-im\//)) {
+                if (par.url) {
+                  if (par.url.startsWith('https://twitter.com/')) {
+                    elem = document.createElement('p');
+                    let sub_elem = document.createElement('a');
+                    sub_elem.href = elem.innerText = par.url;
+                    sub_elem.target = '_blank';
+                    elem.appendChild(sub_elem);
+                  } else {
+                    elem = document.createElement('iframe');
+                    elem.src = par.url;
+                    elem.style = 'height: ' + article.offsetWidth + 'px; width: ' + article.offsetWidth + 'px;';
+                  }
+                }
+              }
+              if (elem)
+                article.appendChild(elem);
+            }
+          } catch (err) {
+            csLog('error', err);
+          }
+        }
+      }
+    }
+    }, 1000);
+    let ads = 'div[class*="ads-container"], div.adblock-warning';
+    hideDOMStyle(ads);
+  }
+});
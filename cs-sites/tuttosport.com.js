@@ -0,0 +1,37 @@
+registerSiteModule({
+  domains: ['tuttosport.com'],
+  run(ctx) {
+    if (!window.location.pathname.startsWith('/amp/')) {
+      let paywall = document.querySelector('div[class^="MainTextTruncated_premium"]');
+      if (paywall && dompurify_loaded) {
+        removeDOMElement(paywall);
+        let article = document.querySelector('div > div[class^="MainTextTruncated_truncatedContent"]');
+        if (article) {
+          let json_script = document.querySelector('script#__NEXT_DATA__');
+          if (json_script) {
+            try {
+              let json = JSON.parse(json_script.text);
+              if (json && json.props.pageProps.news && json.props.pageProps.news.content) {
+                let url_next = json.props.pageProps.news.href;
+                if (url_next && !window.location.pathname.includes(url_next))
+                  window.location.href = window.location.pathname;
+                let parser = new DOMParser();
+                let doc = parser.parseFromString('<div>' + DOMPurify.sanitize(json.props.pageProps.news.content, dompurify_options) + '</div>', 'text/html');
+                let article_new = doc.querySelector('div');
+                article.parentNode.replaceChild(article_new, article);
+              } else
+                refreshCurrentTab();
+            } catch (err) {
+              csLog('error', err);
+            }
+          }
+        }
+      }
+      let ads = 'div[class^="AdUnit_"]';
+      hideDOMStyle(ads);
+    } else {
+      let ads = 'amp-ad, amp-embed';
+      hideDOMStyle(ads);
+    }
+  }
+});
@@ -0,0 +1,8 @@
+registerSiteModule({
+  domains: uk_nat_world_domains,
+  detect: 'footer > div a[href^="https://www.nationalworldplc.com"]',
+  run(ctx) {
+    let ads = 'div[class^="MarkupAds__Container-"], div[class*="_AdContainer-"], div[class^="Dailymotion__Wrapper-"]';
+    hideDOMStyle(ads);
+  }
+});
@@ -0,0 +1,12 @@
+registerSiteModule({
+  domains: ['unherd.com'],
+  run(ctx) {
+    let preview = document.querySelector('div#premiumpreview');
+    if (preview) {
+      removeDOMElement(preview);
+      let premium = document.querySelector('div#premiumcontent');
+      if (premium)
+        premium.removeAttribute('id');
+    }
+  }
+});
@@ -0,0 +1,21 @@
+registerSiteModule({
+  domains: ['uol.com.br'],
+  run(ctx) {
+    if (matchDomain('folha.uol.com.br')) {
+      if (window.location.pathname.startsWith('/amp/')) {
+        amp_unhide_subscr_section('amp-ad, amp-sticky-ad, amp-embed');
+      } else {
+        let signup = document.querySelector('.c-top-signup');
+        removeDOMElement(signup);
+      }
+    } else if (matchDomain('blogfolha.uol.com.br')) {
+      let hidden_images = document.querySelectorAll('div[id^="attachment_"] > a > img[src^="http:"][srcset]');
+      for (let hidden_image of hidden_images) {
+        hidden_image.src = hidden_image.src.replace('http:', 'https:');
+        hidden_image.srcset = '';
+      }
+    }
+    let ads = 'div[class*="advertising"], div.jupiter-ads, div.up-floating, div[data-cp-id$="asfads"]';
+    hideDOMStyle(ads);
+  }
+});
@@ -0,0 +1,95 @@
+registerSiteModule({
+  domains: usa_adv_local_domains,
+  run(ctx) {
+    if (window.location.search.startsWith('?outputType=amp')) {
+      let ads = 'amp-embed';
+      hideDOMStyle(ads);
+    } else {
+      let paywall_sel = 'div.paywall';
+      let paywall = document.querySelector(paywall_sel);
+      let article = document.querySelector('div.entry-content');
+      if (paywall && article && dompurify_loaded) {
+        function fusionGetContent(fusion_text) {
+          try {
+            let json = JSON.parse(fusion_text.split('Fusion.globalContent=')[1].split(';Fusion.')[0]);
+            if (json) {
+              article.innerHTML = '';
+              let parser = new DOMParser();
+              let pars = json.content_elements;
+              for (let par of pars) {
+                let par_new;
+                if (['header', 'text'].includes(par.type)) {
+                  if (par.content) {
+                    let doc = parser.parseFromString('<p class="article__paragraph">' + DOMPurify.sanitize(par.content) + '</p>', 'text/html');
+                    par_new = doc.querySelector('p');
+                  }
+                } else if (par.image_type) {
+                  if (par.url) {
+                    let caption_text = par.caption;
+                    if (par.credits && par.credits.by && par.credits.by[0] && par.credits.by[0].byline)
+                      caption_text += ' - ' + par.credits.by[0].byline;
+                    par_new = makeFigure(par.url, caption_text, {alt: par.alt_text}, {'class': 'article__image-caption'});
+                    par_new.className = 'article__image';
+                    par_new.style = 'width: 75%; margin-left: auto; margin-right: auto;';
+                  }
+                } else if (par.type === 'custom_embed') {
+                  if (par.subtype === 'custom-image' && par.embed && par.embed.config) {
+                    let config = par.embed.config;
+                    if (config.image_src) {
+                      let caption_text = config.image_caption;
+                      if (config.image_credit)
+                        caption_text += ' ' + config.image_credit;
+                      par_new = makeFigure(config.image_src, caption_text, {}, {'class': 'article__image-caption'});
+                      par_new.className = 'article__image';
+                    }
+                  }
+                } else if (par.raw_oembed) {
+                  if (par.raw_oembed.html) {
+                    let doc = parser.parseFromString('<p>' + DOMPurify.sanitize(par.raw_oembed.html, dompurify_options) + '</p>', 'text/html');
+                    par_new = doc.querySelector('p');
+                  }
+                } else if (par.type === 'list') {
+                  if (par.items) {
+                    par_new = document.createElement('ul');
+                    for (let item of par.items) {
+                      let li = document.createElement('li');
+                      let doc = parser.parseFromString('<span>' + DOMPurify.sanitize(item.content) + '</span>', 'text/html');
+                      let span = doc.querySelector('span');
+                      li.appendChild(span);
+                      par_new.appendChild(li);
+                    }
+                  }
+                } else if (!['quote', 'raw_html'].includes(par.type)) {
+                  csLog('debug', 'json element not supported', par);
+                }
+                if (par_new)
+                  article.appendChild(par_new);
+              }
+            }
+          } catch (err) {
+            csLog('error', err);
+          }
+        }
+        let fusion_script = document.querySelector('script#fusion-metadata');
+        if (fusion_script) {
+          paywall.classList.remove('paywall');
+          if (fusion_script.text.includes('Fusion.globalContent=')) {
+            fusionGetContent(fusion_script.text);
+          } else {
+            let url = window.location.href.split(/[#\?]/)[0];
+            fetch(url)
+            .then(response => {
+              if (response.ok) {
+                response.text().then(html => {
+                  if (html.includes('Fusion.globalContent='))
+                    fusionGetContent(html);
+                });
+              }
+            });
+          }
+        } else
+          amp_redirect(paywall_sel, '', window.location.pathname + '?outputType=amp');
+      }
+    }
+  }
+});
@@ -0,0 +1,10 @@
+registerSiteModule({
+  domains: usa_conde_nast_domains,
+  run(ctx) {
+    let maps = document.querySelectorAll('div.map_wrapper');
+    for (let elem of maps)
+      elem.style.visibility = 'visible';
+    let banners = 'aside.paywall-bar, div[class^="MessageBannerWrapper-"], div.ad-stickyhero, div.ad_wrapper';
+    hideDOMStyle(banners);
+  }
+});
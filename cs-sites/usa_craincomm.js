@@ -0,0 +1,32 @@
+registerSiteModule({
+  domains: usa_craincomm_domains,
+  run(ctx) {
+    if (matchDomain('european-rubber-journal.com')) {
+      let paywall = document.querySelector('div.article-overlay');
+      if (paywall) {
+        let fade = document.querySelector('div.gradient');
+        removeDOMElement(paywall, fade);
+        let truncated = document.querySelector('div.truncated');
+        if (truncated)
+          truncated.classList.remove('truncated');
+      }
+    } else if (matchDomain(['pionline.com', 'rubbernews.com'])) {
+      let body_hidden = document.querySelector('body[class]');
+      if (body_hidden)
+        body_hidden.removeAttribute('class');
+      let lazy_images = document.querySelectorAll('img.lazy[data-src]');
+      for (let lazy_image of lazy_images) {
+        lazy_image.src = lazy_image.getAttribute('data-src');
+        lazy_image.removeAttribute('class');
+      }
+      let lazy_sources = document.querySelectorAll('source[srcset^="data:image"]');
+      removeDOMElement(...lazy_sources);
+    } else {
+      let sponsored_article = document.querySelector('div.sponsored-article');
+      if (sponsored_article)
+        sponsored_article.classList.remove('sponsored-article');
+    }
+    let ads = 'div.footer__ads-footer';
+    hideDOMStyle(ads);
+  }
+});
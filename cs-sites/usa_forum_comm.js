@@ -0,0 +1,7 @@
+registerSiteModule({
+  detect: 'head > meta[property][content^="https://cdn.forumcomm.com/"]',
+  run(ctx) {
+    let ads = 'div.GoogleDfpAd-Content';
+    hideDOMStyle(ads);
+  }
+});
@@ -0,0 +1,8 @@
+registerSiteModule({
+  domains: usa_gannett_domains,
+  detect: 'head > link[href*=".gannettdigital.com/"], head > link[href*=".gannett-cdn.com/"]',
+  run(ctx) {
+    if (window.location.pathname.endsWith('/restricted/') && window.location.search.startsWith('?return='))
+      window.location.href = decodeURIComponent(window.location.href.split('?return=')[1]);
+  }
+});
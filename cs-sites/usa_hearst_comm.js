@@ -0,0 +1,16 @@
+registerSiteModule({
+  domains: usa_hearst_comm_domains,
+  detect: 'head > script[src*="/treg.hearstnp.com/"]',
+  run(ctx) {
+    let overlay = document.querySelector('div > div#modalOuter');
+    if (overlay) {
+      hideDOMElement(overlay.parentNode);
+      let noscroll = document.querySelector('body[style]');
+      if (noscroll)
+        noscroll.removeAttribute('style');
+    }
+    let ads = pageContains('div > div > p', 'Article continues below this ad');
+    for (let elem of ads)
+      hideDOMElement(elem.parentNode.parentNode);
+  }
+});
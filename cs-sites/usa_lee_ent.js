@@ -0,0 +1,54 @@
+registerSiteModule({
+  domains: usa_lee_ent_domains.concat(ca_torstar_domains, ['abqjournal.com']),
+  detect: 'head > meta[name="tncms-access-version"]',
+  run(ctx) {
+    domain = matchDomain(usa_lee_ent_domains);
+    if (window.location.pathname.endsWith('.amp.html')) {
+      amp_unhide_access_hide('="hasAccess"', '="NOT hasAccess"', 'amp-ad, amp-embed, .amp-ads-container');
+      let elem_hidden = document.querySelectorAll('html[class], body[class]');
+      for (let elem of elem_hidden)
+        elem.removeAttribute('class');
+      let amp_images = document.querySelectorAll('div.main-content amp-img[src^="https://"]');
+      for (let amp_image of amp_images) {
+        let elem = document.createElement('img');
+        Object.assign(elem, {
+          src: amp_image.getAttribute('src'),
+          alt: amp_image.getAttribute('alt'),
+          height: '400'
+        });
+        amp_image.parentNode.replaceChild(elem, amp_image);
+      }
+    } else {
+      if (!domain) {
+        function unscramble(t) {
+          for (var n = "", i = 0, r = t.length; i < r; i++) {
+            var s = t.charCodeAt(i);
+            if (s >= 33 && s <= 126) {
+              var sTmp = String.fromCharCode(33 + (s - 33 + 47) % 94);
+              n += sTmp;
+            } else
+              n += t.charAt(i);
+          }
+          return n;
+        }
+        let paywall = document.querySelector('div.subscriber-offers');
+        removeDOMElement(paywall);
+        let subscriber_only = document.querySelectorAll('div.subscriber-only');
+        for (let elem of subscriber_only) {
+          if (elem.classList.contains('encrypted-content') && dompurify_loaded) {
+            let parser = new DOMParser();
+            let doc = parser.parseFromString('<div>' + DOMPurify.sanitize(unscramble(elem.innerText)) + '</div>', 'text/html');
+            let content_new = doc.querySelector('div');
+            elem.parentNode.replaceChild(content_new, elem);
+          }
+          elem.removeAttribute('style');
+          elem.removeAttribute('class');
+        }
+        let banners = document.querySelectorAll('div.subscription-required, div.redacted-overlay');
+        removeDOMElement(...banners);
+      }
+      let ads = 'div.tnt-ads-container, div[class*="adLabelWrapper"], div.globalHeaderBillboard';
+      hideDOMStyle(ads);
+    }
+  }
+});
@@ -0,0 +1,36 @@
+registerSiteModule({
+  domains: usa_mcc_domains,
+  detect: 'section.bottom-nav > a[href^="https://www.mcclatchy.com/privacy-policy"]',
+  run(ctx) {
+    if (window.location.hostname.startsWith('amp.')) {
+      amp_unhide_subscr_section('amp-ad, amp-embed');
+      let subscriptions_action = document.querySelector('div[subscriptions-action][subscriptions-display="NOT data.hasError"]');
+      if (subscriptions_action)
+        subscriptions_action.removeAttribute('subscriptions-action');
+      let art_cropped = document.querySelector('div.article-body.cropped');
+      if (art_cropped)
+        art_cropped.classList.remove('cropped');
+      let subscr_tag = document.querySelector('div#subscriber-exclusive-tag');
+      let amp_players = document.querySelectorAll('amp-connatix-player, amp-iframe.trinity-player');
+      removeDOMElement(subscr_tag, ...amp_players);
+      let amp_images = document.querySelectorAll('amp-img[srcset]:not([src])');
+      for (let elem of amp_images) {
+        let img = document.createElement('img');
+        img.src = elem.getAttribute('srcset').split(' ')[0],
+        img.alt = elem.getAttribute('alt'),
+        img.style = 'width: 100%;';
+        elem.parentNode.replaceChild(img, elem);
+      }
+    } else {
+      let paywall = document.querySelector('p#yzwall');
+      if (paywall) {
+        removeDOMElement(paywall);
+        let pars_hidden = document.querySelectorAll('.yzfade, .yzarret');
+        for (let elem of pars_hidden)
+          elem.removeAttribute('class');
+      }
+    }
+    let ads = document.querySelectorAll('div[data-type="ad"]');
+    removeDOMElement(...ads);
+  }
+});
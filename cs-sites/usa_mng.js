@@ -0,0 +1,35 @@
+registerSiteModule({
+  domains: usa_mng_domains,
+  detect: 'head > link[rel="stylesheet"][id^="dfm-accuweather-"], footer li > a[href^="https://www.medianewsgroup.com"]',
+  run(ctx) {
+    if (window.location.pathname.endsWith('/amp/'))
+      amp_unhide_subscr_section('amp-ad, amp-embed, div.ampWrapperInside, div#paywall');
+    else if (dompurify_loaded) {
+      let paywall_sel = '#server-paywall';
+      let paywall = document.querySelector(paywall_sel);
+      let article_sel = 'div.body-copy';
+      let article = document.querySelector(article_sel);
+      if (paywall && article) {
+        func_post = function () {
+          let slideshow = article.querySelector('div.article-slideshow');
+          if (slideshow) {
+            slideshow.removeAttribute('class');
+            let image_wrappers = slideshow.querySelectorAll('div.image-wrapper');
+            for (let elem of image_wrappers) {
+              elem.removeAttribute('class');
+              elem.style = 'margin: 20px 0px;';
+            }
+            let caption = 'div.mng-gallery-information-container, button.icon-close';
+            hideDOMStyle(caption, 2);
+          }
+          if (iframe)
+            article.appendChild(iframe);
+        }
+        let iframe = article.querySelector('iframe');
+        getJsonUrl(paywall_sel, '', article_sel, {art_append:1, art_class: 'body-copy'});
+      }
+      let ads = 'div.dfp-ad';
+      hideDOMStyle(ads);
+    }
+  }
+});
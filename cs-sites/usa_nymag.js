@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: usa_nymag_domains,
+  run(ctx) {
+    let ads = 'div.m-ad';
+    hideDOMStyle(ads);
+  }
+});
@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: usa_outside_mag_domains,
+  run(ctx) {
+    let ads = 'div.js-ad';
+    hideDOMStyle(ads);
+  }
+});
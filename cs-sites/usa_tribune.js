@@ -0,0 +1,9 @@
+registerSiteModule({
+  domains: usa_tribune_domains,
+  run(ctx) {
+    if (dompurify_loaded)
+      getJsonUrl('div.paywall-container', '', 'div.body-copy', {art_class: 'body-copy'});
+    let ads = 'div.dfp-ad';
+    hideDOMStyle(ads);
+  }
+});
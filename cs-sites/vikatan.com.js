@@ -0,0 +1,28 @@
+registerSiteModule({
+  domains: ['vikatan.com'],
+  run(ctx) {
+    window.setTimeout(function () {
+      let paywall = document.querySelector('div#paywallDisplay');
+      if (paywall && dompurify_loaded) {
+        removeDOMElement(paywall);
+        let json_script = getArticleJsonScript();
+        if (json_script) {
+          let json = JSON.parse(json_script.text);
+          if (json) {
+            let json_text = parseHtmlEntities(json.articleBody);
+            let content = document.querySelector('div.story-element > div');
+            if (json_text && content) {
+              let parser = new DOMParser();
+              let doc = parser.parseFromString('<div>' + DOMPurify.sanitize(json_text) + '</div>', 'text/html');
+              let content_new = doc.querySelector('div');
+              content.parentNode.replaceChild(content_new, content);
+            }
+          }
+        }
+      }
+      let story_hidden = document.querySelector('div[class^="styles-m__story-card-wrapper_"]');
+      if (story_hidden)
+        story_hidden.removeAttribute('class');
+    }, 500);
+  }
+});
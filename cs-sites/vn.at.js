@@ -0,0 +1,21 @@
+registerSiteModule({
+  domains: ['vn.at'],
+  run(ctx) {
+    if (window.location.href.match(/\.vn\.at\/.+\/\d{4}\//)) {
+      let paywall = document.querySelector('div.paywalled-content');
+      if (paywall) {
+        csDoneOnce = true;
+        let par = paywall.querySelector('p');
+        if (!par) {
+          refreshCurrentTab_bg();
+        } else {
+          let lazy_images = document.querySelectorAll('img[src^="data:image/"][lazy-src]');
+          for (let elem of lazy_images) {
+            elem.src = elem.getAttribute('lazy-src');
+          }
+        }
+      } else
+        refreshCurrentTab_bg();
+    }
+  }
+});
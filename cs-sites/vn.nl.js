@@ -0,0 +1,33 @@
+registerSiteModule({
+  domains: ['vn.nl'],
+  run(ctx) {
+    window.setTimeout(function () {
+      let paywall = document.querySelectorAll('section[class^="c-paywall"]');
+      if (paywall.length && dompurify_loaded) {
+        removeDOMElement(...paywall);
+        let article = document.querySelector('div.c-article-content__container');
+        if (article) {
+          let json_script = document.querySelector('script#__NEXT_DATA__');
+          if (json_script) {
+            try {
+              let json = JSON.parse(json_script.text);
+              if (json && json.props.pageProps.article && json.props.pageProps.article.content) {
+                let parser = new DOMParser();
+                let doc = parser.parseFromString('<div>' + DOMPurify.sanitize(json.props.pageProps.article.content, dompurify_options) + '</div>', 'text/html');
+                let content_new = doc.querySelector('div');
+                article.innerHTML = '';
+                article.appendChild(content_new);
+              } else
+                refreshCurrentTab();
+            } catch (err) {
+              csLog('error', err);
+            }
+          }
+        }
+      }
+      let noscroll = document.querySelector('html[class]');
+      if (noscroll)
+        noscroll.removeAttribute('class');
+    }, 1000);
+  }
+});
@@ -0,0 +1,85 @@
+registerSiteModule({
+  domains: ['voguebusiness.com'],
+  run(ctx) {
+    let article = document.querySelector('article');
+    if (article) {
+      let pars = article.querySelectorAll('p:not([class]), p.paywall');
+      if (pars.length < 5) {
+        removeDOMElement(...pars);
+        let filter = /^window\.__PRELOADED_STATE__\s?=\s?/;
+        let json_script = getSourceJsonScript(filter, '[type]:not([src])');
+        if (json_script) {
+          try {
+            let json = JSON.parse(json_script.text.split(filter)[1].split('};')[0] + '}');
+            let body = document.querySelector('div.body__inner-container');
+            if (body) {
+              let pars = json.transformed.article.body;
+              function makeElem(elem, par_elem) {
+                if (Array.isArray(elem) && elem.length) {
+                  let elem_new;
+                  let item = elem[0];
+                  if (typeof item === 'string') {
+                    if (['p', 'h2', 'em', 'strong'].includes(item)) {
+                      elem_new = document.createElement(item);
+                      par_elem.appendChild(elem_new);
+                      elem.shift();
+                      makeElem(elem, elem_new);
+                    } else if (item === 'a' && elem.length > 2) {
+                      elem_new = document.createElement('a');
+                      let a_data = elem[1];
+                      elem_new.href = a_data.href;
+                      if (a_data.isExternal)
+                        elem_new.target = '_blank';
+                      makeElem(elem.slice(2), elem_new);
+                      par_elem.appendChild(elem_new);
+                    } else if (item === 'inline-embed' || !(['ad', 'cm-unit', 'inline-newsletter', 'native-ad'].includes(item) || (item.length < 30 && item.includes('inline-embed')))) {
+                      if (item === 'inline-embed') {
+                        let img_data = elem[1];
+                        if (img_data && img_data.type === 'image') {
+                          if (img_data.props && img_data.props.image && img_data.props.image.sources) {
+                            let caption_text;
+                            if (img_data.props.dangerousCaption) {
+                              caption_text = img_data.props.dangerousCaption.replace(/<\/?\w+>/g, '');
+                              if (img_data.props.dangerousCredit)
+                                caption_text += ' ' + img_data.props.dangerousCredit;
+                            }
+                            let figure = makeFigure(img_data.props.image.sources.lg.url, caption_text);
+                            par_elem.appendChild(figure);
+                          }
+                        }
+                      } else {
+                        elem_new = document.createTextNode(item);
+                        par_elem.appendChild(elem_new);
+                        elem.shift();
+                        makeElem(elem, par_elem);
+                      }
+                    }
+                  } else if (Array.isArray(item)) {
+                    if (['a', 'em', 'strong'].includes(item[0])) {
+                      makeElem(item, par_elem);
+                      elem.shift();
+                      makeElem(elem, par_elem);
+                    } else {
+                      csLog('debug', 'json element not supported', item);
+                    }
+                  } else if (typeof item === 'object') {
+                    if (!item.class)
+                      csLog('debug', 'json element not supported', item);
+                    elem.shift();
+                    makeElem(elem, par_elem);
+                  }
+                } else if (typeof elem === 'string' && !['div'].includes(elem)) {
+                  par_elem.appendChild(document.createTextNode(elem));
+                }
+              }
+              for (let par of pars)
+                makeElem(par, body);
+            }
+          } catch (err) {
+            csLog('error', err);
+          }
+        }
+      }
+    }
+  }
+});
@@ -0,0 +1,44 @@
+registerSiteModule({
+  domains: ['vol.at'],
+  run(ctx) {
+    if (!window.location.pathname.match(/\/amp\/?$/)) {
+      window.setTimeout(function () {
+        let paywall = document.querySelector('div.vodl-region-article__premium-content');
+        if (paywall && dompurify_loaded) {
+          paywall.removeAttribute('class');
+          if (!paywall.hasChildNodes()) {
+            let json_script = document.querySelector('script#externalPostDataNode');
+            if (json_script) {
+              try {
+                let json = JSON.parse(json_script.text);
+                let json_text = json.content.data.post.content;
+                let parser = new DOMParser();
+                let doc = parser.parseFromString('<div class="entry-content">' + DOMPurify.sanitize(json_text) + '</div>', 'text/html');
+                let article_new = doc.querySelector('div');
+                let hidden_images = article_new.querySelectorAll('img[src^="/"][srcset]');
+                let json_domain = json.content.data.post.thumbnail.src.match(/https:\/\/(www\.)?\w+\.at/)[0];
+                for (let elem of hidden_images) {
+                  elem.src = elem.src.replace('https://www.vol.at', json_domain);
+                  elem.removeAttribute('srcset');
+                }
+                let hidden_comments = document.querySelector('div[class*="backdrop-blur"]');
+                if (hidden_comments)
+                  hidden_comments.removeAttribute('class');
+                let article = document.querySelector('div.article-body');
+                if (article) {
+                  article.innerHTML = '';
+                  article.appendChild(article_new);
+                }
+              } catch (err) {
+                csLog('error', err);
+              }
+            }
+          }
+        }
+      }, 500);
+      let ads = 'div[id^="rm-adslot-"], div[id^="piano_rec"]';
+      hideDOMStyle(ads);
+    } else
+      ampToHtml();
+  }
+});
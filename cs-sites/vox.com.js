@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: ['vox.com'],
+  run(ctx) {
+    let ads = 'div[id^="div-gpt-ad-"]';
+    hideDOMStyle(ads);
+  }
+});
@@ -0,0 +1,30 @@
+registerSiteModule({
+  domains: ['washingtonpost.com'],
+  run(ctx) {
+    let leaderboard = '#leaderboard-wrapper';
+    let ads = 'div[data-qa$="-ad"]';
+    hideDOMStyle(leaderboard + ', ' + ads);
+    if (window.location.pathname.startsWith('/comments') && window.location.search.startsWith('?storyUrl=')) {
+      let wrapper = document.querySelector('div#comments-wrapper');
+      if (wrapper) {
+        let com_link = document.createElement('a');
+        com_link.href = window.location.href.replace('https://www.washingtonpost.com/comments?storyUrl', 'https://talk.washingtonpost.com/embed/stream?storyURL');
+        com_link.innerText = 'BPC > open comments';
+        wrapper.appendChild(com_link);
+        csDoneOnce = true;
+      }
+    } else if (window.location.hostname === 'talk.washingtonpost.com') {
+      let body = document.querySelector('body');
+      if (body)
+        body.style = 'margin: 10px;';
+      let nav = document.querySelector('main > nav');
+      if (nav && window.location.search.startsWith('?storyURL=')) {
+        let com_link = document.createElement('a');
+        com_link.href = decodeURIComponent(window.location.href.split('?storyURL=')[1]);
+        com_link.innerText = 'BPC > return to article';
+        nav.after(com_link);
+        csDoneOnce = true;
+      }
+    }
+  }
+});
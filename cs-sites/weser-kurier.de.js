@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: ['weser-kurier.de'],
+  run(ctx) {
+    let ads = 'div.ad-wrapper, div.anyad';
+    hideDOMStyle(ads);
+  }
+});
@@ -0,0 +1,7 @@
+registerSiteModule({
+  domains: ['winnipegfreepress.com'],
+  run(ctx) {
+    let ads = '.billboard-ad-space, .ad, .article-ad, .fixed-sky';
+    hideDOMStyle(ads);
+  }
+});
@@ -0,0 +1,98 @@
+registerSiteModule({
+  domains: ['wsj.com'],
+  run(ctx) {
+    if (!matchDomain('cn.wsj.com'))
+      blockJsReferrer();
+    if (window.location.pathname.startsWith('/livecoverage/')) {
+      window.setTimeout(function () {
+        let paywall = document.querySelector('div#cx-lc-snippet');
+        let amphtml = document.querySelector('head > link[rel="amphtml"]');
+        if (paywall) {
+          removeDOMElement(paywall);
+          if (amphtml) {
+            amp_redirect_not_loop(amphtml);
+          } else {
+            let fade = document.querySelectorAll('div[class*="-CardWrapper"]');
+            for (let elem of fade)
+              elem.removeAttribute('class');
+          }
+        }
+      }, 1000);
+    } else {
+      let url_article = window.location.pathname.includes('/articles/');
+      let path_article = window.location.pathname.match(/(\w+-){3,}\w+/);
+      if (url_article || path_article) {
+        if (true) {
+          let paywall_sel = '.snippet-promotion, div[id^="cx-snippet-overlay"]';
+          let paywall = document.querySelector(paywall_sel);
+          if (paywall && dompurify_loaded) {
+            if (!matchDomain('cn.wsj.com')) {
+              let url = window.location.href;
+              let article_sel = 'article section';
+              let wsj_pro = paywall.querySelector('a[href^="https://wsjpro.com/"]');
+              if (wsj_pro)
+                article_sel = 'article';
+              let video_sel = 'div[data-type="video"]';
+              let video = document.querySelector(video_sel);
+              let schema_script = document.querySelector('script#articleschema');
+              func_post = function () {
+                if (video) {
+                  let video_new = document.querySelector(video_sel);
+                  if (video_new && video_new.parentNode)
+                    video_new.parentNode.replaceChild(video, video_new);
+                }
+                let inline_videos = document.querySelectorAll('div[id^="video"]');
+                for (let inline_video of inline_videos) {
+                  let video_id = inline_video.id.replace('video', '');
+                  if (video_id && schema_script) {
+                    try {
+                      let video_data = JSON.parse(schema_script.text).find(x => x['@type'] === 'VideoObject' && x.embedUrl.includes(video_id));
+                      if (video_data && inline_video.parentNode) {
+                        let elem = document.createElement('iframe');
+                        elem.src = video_data.embedUrl;
+                        elem.style = 'width: ' + inline_video.offsetWidth + 'px; height: ' + inline_video.offsetWidth * 3 / 4 + 'px;';
+                        inline_video.parentNode.replaceChild(elem, inline_video);
+                      }
+                    } catch (err) {
+                      csLog('error', err);
+                    }
+                  }
+                }
+                if (mobile) {
+                  let inline_images = document.querySelectorAll('div[style] > figure > picture > img');
+                  for (let elem of inline_images) {
+                    elem.style = 'width: 100%;';
+                    elem.removeAttribute('height');
+                    elem.removeAttribute('width');
+                    elem.parentNode.removeAttribute('style');
+                    elem.parentNode.parentNode.parentNode.removeAttribute('style');
+                  }
+                  let inline_data = document.querySelectorAll('div[data-layout="inline"][style]');
+                  for (let elem of inline_data)
+                    elem.removeAttribute('style');
+                }
+                let read_next = document.querySelector('div#cx-what-to-read-next');
+                removeDOMElement(read_next);
+                let inline_wrappers = document.querySelectorAll('div[style*="background-position"] > div[id^="wrapper-INLINEIMM_"]');
+                for (let elem of inline_wrappers)
+                  removeDOMElement(elem.parentNode);
+              }
+              let cn_canonical = document.querySelector('head > link[rel="canonical"][href^="https://cn.wsj.com/"]');
+              if (!cn_canonical)
+                getArchive(url, paywall_sel, '', article_sel);
+              else {
+                removeDOMElement(paywall);
+                refreshCurrentTab();
+              }
+            } else {
+              removeDOMElement(paywall);
+              window.location.href = window.location.href.split(/[\?#]/)[0].replace('https://cn.', 'https://www.');
+            }
+          }
+        }
+      }
+    }
+    let ads = 'div.wsj-ad, div.adWrapper, div.css-xgokil-Box, div#cx-article-cover-overlay';
+    hideDOMStyle(ads);
+  }
+});
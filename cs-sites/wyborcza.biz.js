@@ -0,0 +1,16 @@
+registerSiteModule({
+  domains: ['wyborcza.biz', 'wyborcza.pl', 'wysokieobcasy.pl', 'magazyn-kuchnia.pl'],
+  run(ctx) {
+    let url = ctx.url;
+    func_post = function () {
+      let empty_spans = document.querySelectorAll('figure > a > span:empty');
+      removeDOMElement(...empty_spans);
+    }
+    if (matchDomain(['wyborcza.biz', 'wyborcza.pl']))
+      getArchive(url, 'div.article--content-fadeout', {rm_attrib: 'class'}, 'div.container[class*="pt"]', '', 'div.body > div:not([style*="background-color:"]):not([old-position])');
+    else
+      getArchive(url, 'section.fade-out-article', {rm_attrib: 'class'}, 'article');
+    let ads = 'div[id^="adUnit"], div[id^="ads-"]';
+    hideDOMStyle(ads);
+  }
+});
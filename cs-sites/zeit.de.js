@@ -0,0 +1,23 @@
+registerSiteModule({
+  domains: ['zeit.de'],
+  run(ctx) {
+    func_post = function () {
+      if (mobile) {
+        let lazy_images = document.querySelectorAll('figure img[loading="lazy"][style]');
+        for (let elem of lazy_images)
+          elem.style = 'width: 95%;';
+        let span_empty = document.querySelectorAll('span:empty');
+        removeDOMElement(...span_empty);
+      }
+      let ads = document.querySelectorAll('div[style*=";min-height:"] > div[id^="iqadtile"]');
+      for (let ad of ads)
+        hideDOMElement(ad.parentNode);
+    }
+    let url = window.location.href.split(/[#\?]/)[0];
+    if (document.querySelector('head > link[rel="next"]'))
+      url += '/komplettansicht';
+    getArchive(url, 'aside#paywall', '', 'article', '', 'article', 'article > div');
+    let ads = 'div[id^="iqadtile"]';
+    hideDOMStyle(ads);
+  }
+});
@@ -0,0 +1,30 @@
+registerSiteModule({
+  domains: ['zerohedge.com'],
+  run(ctx) {
+    window.setTimeout(function () {
+      let paywall = document.querySelector('div[class^="PremiumOverlay_container__"]');
+      if (paywall && dompurify_loaded) {
+        removeDOMElement(paywall);
+        let json_script = document.querySelector('script#__NEXT_DATA__');
+        if (json_script) {
+          try {
+            let json = JSON.parse(json_script.innerText);
+            if (json && json.props.pageProps.node.body) {
+              let article_new = parseHtmlEntities(decode_utf8(atob(json.props.pageProps.node.body.substring(21))));
+              let article = document.querySelector('div[class^="NodeContent_mainContent__"');
+              if (article) {
+                article.innerHTML = '';
+                let parser = new DOMParser();
+                let doc = parser.parseFromString('<div>' + DOMPurify.sanitize(article_new) + '</div>', 'text/html');
+                let content_new = doc.querySelector('div');
+                article.appendChild(content_new);
+              }
+            }
+          } catch (err) {
+            csLog('error', err);
+          }
+        }
+      }
+    }, 1000);
+  }
+});
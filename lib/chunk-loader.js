@@ -8,6 +8,7 @@ class ChunkLoader {
     this.siteToChunkMap = new Map();  // domain → chunk name
     this.chunkManifest = {};          // chunk name → { file, domains }
     this.loading = new Map();         // chunk name → Promise (prevents duplicate loads)
+    this.loadListeners = [];          // called with (chunk name, sites) after load
   }
 
   /**
@@ -25,25 +26,27 @@ class ChunkLoader {
       }
     }
 
-    console.log(`[BPC] Chunk loader initialized: ${Object.keys(manifest).length} chunks, ${this.siteToChunkMap.size} domains mapped`);
+    logger.info('rules', `Chunk loader initialized: ${Object.keys(manifest).length} chunks, ${this.siteToChunkMap.size} domains mapped`);
   }
 
   /**
    * Ensure chunk loaded for a domain
    */
   async ensureChunkLoaded(domain, retries = 3) {
-    // Check if domain is already indexed (in core or loaded chunk)
-    if (typeof siteIndexes !== 'undefined' && siteIndexes.hasDomain(domain)) {
-      return true;
-    }
-
     // Find which chunk contains this domain
     let chunkName = this.siteToChunkMap.get(domain);
     if (!chunkName) {
-      // Domain not in any chunk
-      return false;
+      // Domain not in any chunk (core sites are indexed, stubs of chunk sites too)
+      return typeof siteIndexes !== 'undefined' && siteIndexes.hasDomain(domain);
     }
 
+    return await this.ensureChunk(chunkName, retries);
+  }
+
+  /**
+   * Ensure chunk loaded (once)
+   */
+  async ensureChunk(chunkName, retries = 3) {
     // Already loaded?
     if (this.loadedChunks.has(chunkName)) {
       return true;
@@ -72,7 +75,7 @@ class ChunkLoader {
   async loadChunk(chunkName, retries = 3) {
     let chunkData = this.chunkManifest[chunkName];
     if (!chunkData) {
-      console.error(`[BPC] Unknown chunk: ${chunkName}`);
+      logger.error('rules', `Unknown chunk: ${chunkName}`);
       return false;
     }
 
@@ -85,10 +88,19 @@ class ChunkLoader {
 
         this.loadedChunks.add(chunkName);
 
-        // Rebuild indexes with new sites
-        if (typeof window.loadedSiteChunk !== 'undefined' && typeof siteIndexes !== 'undefined') {
-          siteIndexes.buildIndexes(window.loadedSiteChunk);
-          delete window.loadedSiteChunk; // Clean up
+        // Rebuild indexes with new sites (self: window or service worker)
+        // chunk file sets self.loadedSiteChunks[chunk name] (chunks can be loaded in parallel)
+        let chunkSites = self.loadedSiteChunks && self.loadedSiteChunks[chunkName];
+        if (chunkSites) {
+          delete self.loadedSiteChunks[chunkName]; // Clean up
+        }
+        if (chunkSites && typeof siteIndexes !== 'undefined') {
+          siteIndexes.buildIndexes(chunkSites);
+        }
+        if (chunkSites) {
+          for (let listener of this.loadListeners) {
+            listener(chunkName, chunkSites);
+          }
         }
 
         const loadTime = performance.now() - startTime;
@@ -96,14 +108,14 @@ class ChunkLoader {
           perfMonitor.recordChunkLoad(chunkName, loadTime);
         }
 
-        console.log(`[BPC] Loaded chunk "${chunkName}" (${chunkData.domains?.length || 0} domains) in ${loadTime.toFixed(2)}ms`);
+        logger.info('rules', `Loaded chunk "${chunkName}" (${chunkData.domains?.length || 0} domains) in ${loadTime.toFixed(2)}ms`);
         return true;
 
       } catch (e) {
-        console.error(`[BPC] Chunk load failed (attempt ${attempt + 1}/${retries}):`, chunkName, e);
+        logger.error('rules', `Chunk ${chunkName} load failed (attempt ${attempt + 1}/${retries})`, e);
 
         if (attempt === retries - 1) {
-          console.error(`[BPC] Failed to load chunk ${chunkName} after ${retries} attempts`);
+          logger.error('rules', `Failed to load chunk ${chunkName} after ${retries} attempts`);
           return false;
         }
 
@@ -132,10 +144,17 @@ class ChunkLoader {
    * Preload specific chunks
    */
   async preloadChunks(chunkNames) {
-    let promises = chunkNames.map(name => this.loadChunk(name));
+    let promises = chunkNames.map(name => this.ensureChunk(name));
     await Promise.all(promises);
   }
 
+  /**
+   * Add listener for loaded chunks (chunk name, sites of chunk)
+   */
+  addLoadListener(listener) {
+    this.loadListeners.push(listener);
+  }
+
   /**
    * Get loader stats
    */
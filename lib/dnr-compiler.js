@@ -0,0 +1,549 @@
+/**
+ * DnrRuleCompiler - Compiles site rules into declarativeNetRequest rules
+ * Stable rule ids (hash of domain & rule type), incremental session rule updates and quota reporting
+ * Rules equal to a rule in a static ruleset (rulesets/, built from defaultSites) are not added as session rules
+ */
+class DnrRuleCompiler {
+  constructor() {
+    this.rules = new Map();   // id → DNR rule
+    this.ruleKeys = new Map(); // id → {domain, type}
+    this.ids = new Map();     // domain::type → id
+    this.options = {
+      gpwDomains: [],
+      excludedDomains: [],
+      mobile: false,
+      subscribeRedirectDomains: [],
+      staticRulesets: false     // rulesets/rulesets-index.js
+    };
+    this.sessionOnly = new Set(); // ids of rules which can't be static (random ip, general paywall scripts)
+    this.staticServed = new Map(); // id → [ruleset id, static rule id, hash]
+    this.staticSites = new Set();  // domains with rules not loaded (site chunk), all static rules used
+    this.staticSiteRules = 0;
+    this.quota = null;
+    this.pending = Promise.resolve();
+  }
+
+  /**
+   * Set environment for compiling (mobile, general paywall script domains, excluded domains ...)
+   * User agents & header special cases: headerEngine.configure
+   */
+  configure(options) {
+    Object.assign(this.options, options);
+  }
+
+  /**
+   * Remove all compiled rules (next commit removes stale session rules)
+   */
+  reset() {
+    this.rules.clear();
+    this.ruleKeys.clear();
+    this.ids.clear();
+    this.sessionOnly.clear();
+    this.staticSites.clear();
+  }
+
+  /**
+   * FNV-1a hash (32-bit)
+   */
+  hash(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+      hash ^= str.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Hash of rule content (without id) to match static rules
+   */
+  ruleHash(rule) {
+    let {id, ...content} = rule;
+    return this.hash(this.ruleJson(content)).toString(16);
+  }
+
+  /**
+   * Stable id for domain & rule type (FNV-1a hash, collisions probe to next free id)
+   */
+  ruleId(domain, type) {
+    let key = domain + '::' + type;
+    if (this.ids.has(key))
+      return this.ids.get(key);
+    let id = (this.hash(key) >>> 1) || 1;
+    while (this.ruleKeys.has(id) && this.ruleKeys.get(id).key !== key)
+      id = (id % 0x7fffffff) + 1;
+    this.ids.set(key, id);
+    return id;
+  }
+
+  /**
+   * Add DNR rule for domain & rule type
+   */
+  addRule(domain, type, rule) {
+    rule.id = this.ruleId(domain, type);
+    this.rules.set(rule.id, rule);
+    this.ruleKeys.set(rule.id, {domain, type, key: domain + '::' + type});
+    return rule;
+  }
+
+  /**
+   * Compile site rule (compiled regexes from addRules: {block_regex, block_regex_general, block_js_inline})
+   */
+  addSite(domain, rule, compiled = {}) {
+    let rules = this.compileSite(domain, rule, compiled);
+    for (let type in rules) {
+      this.addRule(domain, type, rules[type]);
+      if (type === 'block_regex_general' || (type === 'headers' && rule.random_ip))
+        this.sessionOnly.add(rules[type].id);
+    }
+    return rules;
+  }
+
+  /**
+   * Site without compiled rules (rules of site chunk not loaded): use its static rules
+   */
+  addStaticSite(domain) {
+    this.staticSites.add(domain);
+  }
+
+  /**
+   * Use urlFilter instead of regexFilter when regex is a plain path (saves regex quota)
+   */
+  regexToUrlFilter(rule, regex, domain) {
+    if (!(regex.match(/([([|*{$\^]|\\[a-z\?])/) || regex.match(/([^\.]|\\\.)\+/))) {
+      let match_domain = this.options.gpwDomains.concat(['tinypass.com', domain]).find(x => regex.replace(/\\/g, '').match(new RegExp(x.replace(/\./, '\\.'))));
+      let urlFilter = regex.replace(/\\/g, '').replace(/\.\+/g, '*');
+      if (match_domain)
+        urlFilter = '||' + urlFilter.replace(/^[\.\/]/g, '');
+      delete rule.condition.regexFilter;
+      rule.condition.urlFilter = urlFilter;
+    }
+    return rule;
+  }
+
+  /**
+   * DNR rules of site rule by rule type (without ids)
+   */
+  compileSite(domain, rule, compiled = {}) {
+    let options = this.options;
+    let rules = {};
+    let block_js = rule.block_js > 0;
+    let block_js_ext = rule.block_js_ext > 0;
+    if (block_js || block_js_ext) {
+      let url_filter = block_js_ext ? '*' : '||' + domain;
+      rules.block_js = {
+        "priority": 1,
+        "action": {
+          "type": "block"
+        },
+        "condition": {
+          "initiatorDomains": [domain],
+          "urlFilter": url_filter,
+          "resourceTypes": ["script"]
+        }
+      };
+      if (block_js_ext && !block_js) {
+        rules.block_js_allow = {
+          "priority": 2,
+          "action": {
+            "type": "allow"
+          },
+          "condition": {
+            "initiatorDomains": [domain],
+            "urlFilter": '||' + domain,
+            "resourceTypes": ["script"]
+          }
+        };
+      }
+    } else if (compiled.block_regex) {
+      let rule_regex = (compiled.block_regex instanceof RegExp) ? compiled.block_regex.source : compiled.block_regex;
+      rules.block_regex = this.regexToUrlFilter({
+        "priority": 1,
+        "action": {
+          "type": "block"
+        },
+        "condition": {
+          "initiatorDomains": [domain],
+          "regexFilter": rule_regex,
+          "resourceTypes": ["script", "xmlhttprequest"]
+        }
+      }, rule_regex, domain);
+    }
+
+    if (compiled.block_regex_general) {
+      let rule_regex = compiled.block_regex_general.block_regex;
+      if (rule_regex instanceof RegExp)
+        rule_regex = rule_regex.source;
+      rules.block_regex_general = this.regexToUrlFilter({
+        "priority": 1,
+        "action": {
+          "type": "block"
+        },
+        "condition": {
+          "excludedInitiatorDomains": options.excludedDomains.concat(compiled.block_regex_general.excluded_domains || []),
+          "regexFilter": rule_regex,
+          "resourceTypes": ["script", "xmlhttprequest"]
+        }
+      }, rule_regex, domain);
+    }
+
+    // request headers (headers, headers_useragent)
+    Object.assign(rules, headerEngine.compileRules(domain, rule, options.mobile));
+
+    if (compiled.block_js_inline) {
+      let rule_regex = (compiled.block_js_inline instanceof RegExp) ? compiled.block_js_inline.source : compiled.block_js_inline;
+      rules.block_js_inline = this.regexToUrlFilter({
+        "priority": 1,
+        "action": {
+          "type": "modifyHeaders",
+          "responseHeaders": [{
+              "header": "Content-Security-Policy",
+              "operation": "set",
+              "value": "script-src *;"
+            }
+          ]
+        },
+        "condition": {
+          "requestDomains": [domain],
+          "regexFilter": rule_regex,
+          "resourceTypes": ["main_frame", "sub_frame"]
+        }
+      }, rule_regex, domain);
+    }
+
+    // exclude_paths of site: no rules for page & its requests (above all rules of site)
+    let exclude_paths = hostnameMatcher.urlPatterns(rule.exclude_paths, domain);
+    if (exclude_paths.length) {
+      rules.exclude_paths = {
+        "priority": 4,
+        "action": {
+          "type": "allowAllRequests"
+        },
+        "condition": Object.assign(hostnameMatcher.urlPatternCondition(exclude_paths), {
+          "resourceTypes": ["main_frame", "sub_frame"]
+        })
+      };
+    }
+
+    if (options.subscribeRedirectDomains.includes(domain)) {
+      rules.subscribe_redirect = {
+        "priority": 1,
+        "action": {
+          "type": "redirect",
+          "redirect": {
+            "regexSubstitution": "https://www." + domain + "/\\1?amp"
+          }
+        },
+        "condition": {
+          "regexFilter": ".+\\." + domain + "\\/subscribe\\/.+&dest=.+\\.com\\.au%2F([\\w-%]+)&.+",
+          "resourceTypes": ["main_frame"]
+        }
+      };
+    }
+    return rules;
+  }
+
+  /**
+   * Session rule limits of browser
+   */
+  getLimits() {
+    let dnr = (typeof chrome === 'object' && chrome.declarativeNetRequest) || {};
+    return {
+      maxRules: dnr.MAX_NUMBER_OF_SESSION_RULES || dnr.MAX_NUMBER_OF_DYNAMIC_AND_SESSION_RULES || 5000,
+      maxRegexRules: dnr.MAX_NUMBER_OF_REGEX_RULES || 1000
+    };
+  }
+
+  /**
+   * Apply quota (total & regex rules), returns rules to add and dropped rules
+   */
+  applyQuota(reservedRegexRules = 0) {
+    let limits = this.getLimits();
+    let rules = [];
+    let dropped = [];
+    let regexRules = reservedRegexRules;
+    for (let [id, rule] of this.rules) {
+      if (this.staticServed.has(id))
+        continue;
+      let isRegex = !!rule.condition.regexFilter;
+      let reason = '';
+      if (rules.length >= limits.maxRules)
+        reason = 'rules quota (' + limits.maxRules + ')';
+      else if (isRegex && regexRules >= limits.maxRegexRules)
+        reason = 'regex rules quota (' + limits.maxRegexRules + ')';
+      if (reason) {
+        let key = this.ruleKeys.get(id);
+        dropped.push({domain: key.domain, type: key.type, reason});
+        continue;
+      }
+      if (isRegex)
+        regexRules++;
+      rules.push(rule);
+    }
+    return {rules, dropped, regexRules, limits};
+  }
+
+  /**
+   * Canonical json (sorted keys) to compare rules
+   */
+  ruleJson(rule) {
+    let sortKeys = (value) => {
+      if (Array.isArray(value))
+        return value.map(sortKeys);
+      if (value && typeof value === 'object')
+        return Object.keys(value).sort().reduce((obj, key) => {
+          obj[key] = sortKeys(value[key]);
+          return obj;
+        }, {});
+      return value;
+    };
+    return JSON.stringify(sortKeys(rule));
+  }
+
+  /**
+   * Update session rules with changes only (partial: keep rules not compiled now, for flex sites)
+   * Commits run one after another (set_rules can be called again before update is done)
+   */
+  commit(partial = false) {
+    this.pending = this.pending.catch(() => {}).then(() => this.updateSessionRules(partial));
+    return this.pending;
+  }
+
+  async updateSessionRules(partial) {
+    let dnr = chrome.declarativeNetRequest;
+    let error = '';
+    let staticRulesets = [];
+    if (!partial) {
+      try {
+        staticRulesets = await this.updateStaticRules();
+      } catch (e) {
+        // static rules not (fully) applied: all rules as session rules
+        error = 'static rules: ' + e.message;
+        this.staticServed.clear();
+        this.staticSiteRules = 0;
+        staticRulesets = [];
+        try {
+          await dnr.updateEnabledRulesets({disableRulesetIds: this.options.staticRulesets.rulesets});
+        } catch (e2) {}
+      }
+    } else
+      staticRulesets = (this.quota && this.quota.staticRulesets) || [];
+    let reservedRegexRules = 0;
+    try {
+      let dynamicRules = await dnr.getDynamicRules();
+      reservedRegexRules = dynamicRules.filter(rule => rule.condition.regexFilter).length;
+    } catch (e) {
+      reservedRegexRules = 0;
+    }
+    let {rules, dropped, regexRules, limits} = this.applyQuota(reservedRegexRules);
+    let current = await dnr.getSessionRules();
+    let currentRules = new Map(current.map(rule => [rule.id, rule]));
+    let keepIds = new Set(rules.map(rule => rule.id));
+    let addRules = [];
+    let removeRuleIds = [];
+    for (let rule of rules) {
+      let old = currentRules.get(rule.id);
+      if (old && this.ruleJson(old) === this.ruleJson(rule))
+        continue;
+      if (old)
+        removeRuleIds.push(rule.id);
+      addRules.push(rule);
+    }
+    if (!partial) {
+      for (let id of currentRules.keys()) {
+        if (!keepIds.has(id))
+          removeRuleIds.push(id);
+      }
+    }
+    if (addRules.length || removeRuleIds.length) {
+      try {
+        await dnr.updateSessionRules({addRules, removeRuleIds});
+      } catch (e) {
+        // drop rules with regex not supported by browser & retry
+        let unsupported = await this.unsupportedRegexRules(addRules);
+        if (unsupported.length) {
+          for (let rule of unsupported) {
+            let key = this.ruleKeys.get(rule.id);
+            dropped.push({domain: key.domain, type: key.type, reason: 'regex not supported'});
+          }
+          addRules = addRules.filter(rule => !unsupported.includes(rule));
+          regexRules -= unsupported.length;
+          try {
+            await dnr.updateSessionRules({addRules, removeRuleIds});
+          } catch (e2) {
+            error = e2.message;
+          }
+        } else
+          error = e.message;
+      }
+    }
+    if (error)
+      logger.error('dnr', 'Failed to update session rules', error);
+    let total = partial ? (await dnr.getSessionRules()).length : rules.length;
+    this.quota = {
+      rules: total,
+      maxRules: limits.maxRules,
+      regexRules: regexRules,
+      maxRegexRules: limits.maxRegexRules,
+      added: addRules.length,
+      removed: removeRuleIds.length,
+      staticRules: this.staticServed.size + this.staticSiteRules,
+      staticRulesets: staticRulesets,
+      dropped: dropped,
+      error: error,
+      updated: Date.now()
+    };
+    if (dropped.length)
+      logger.error('dnr', `${dropped.length} rules dropped (quota)`, dropped);
+    try {
+      await chrome.storage.local.set({dnr_quota: this.quota});
+    } catch (e) {
+      logger.error('dnr', 'Failed to save rules quota', e);
+    }
+    return this.quota;
+  }
+
+  /**
+   * Enable static rulesets (& rules) serving compiled rules, returns enabled ruleset ids
+   * Static rules of disabled/changed sites are disabled (session rule added instead)
+   */
+  async updateStaticRules() {
+    let dnr = chrome.declarativeNetRequest;
+    let index = this.options.staticRulesets;
+    this.staticServed.clear();
+    this.staticSiteRules = 0;
+    if (!index || !dnr.updateStaticRules)
+      return [];
+    let served = {};
+    for (let domain of this.staticSites) {
+      for (let type in index.rules[domain] || {}) {
+        let static_rule = index.rules[domain][type];
+        (served[static_rule[0]] = served[static_rule[0]] || new Set()).add(static_rule[1]);
+        this.staticSiteRules++;
+      }
+    }
+    for (let [id, rule] of this.rules) {
+      let key = this.ruleKeys.get(id);
+      let static_rule = index.rules[key.domain] && index.rules[key.domain][key.type];
+      if (static_rule && !this.sessionOnly.has(id) && static_rule[2] === this.ruleHash(rule)) {
+        this.staticServed.set(id, static_rule);
+        (served[static_rule[0]] = served[static_rule[0]] || new Set()).add(static_rule[1]);
+      }
+    }
+    let enableRulesetIds = index.rulesets.filter(rulesetId => served[rulesetId]);
+    let disableRulesetIds = index.rulesets.filter(rulesetId => !served[rulesetId]);
+    for (let rulesetId of enableRulesetIds) {
+      let disabledIds = await dnr.getDisabledRuleIds({rulesetId});
+      let disableRuleIds = this.staticRuleIds(rulesetId).filter(id => !served[rulesetId].has(id) && !disabledIds.includes(id));
+      let enableRuleIds = disabledIds.filter(id => served[rulesetId].has(id));
+      if (disableRuleIds.length || enableRuleIds.length)
+        await dnr.updateStaticRules({rulesetId, disableRuleIds, enableRuleIds});
+    }
+    await dnr.updateEnabledRulesets({enableRulesetIds, disableRulesetIds});
+    return enableRulesetIds;
+  }
+
+  /**
+   * Enable static rulesets with rules of domains before first commit (promoted sites of usageLearner at startup)
+   * Queued like commits, so a later commit sets the rulesets of the compiled rules
+   */
+  enableStaticRulesets(domains) {
+    this.pending = this.pending.catch(() => {}).then(async () => {
+      let dnr = chrome.declarativeNetRequest;
+      let index = this.options.staticRulesets;
+      if (!index || !dnr.updateEnabledRulesets)
+        return [];
+      let rulesetIds = new Set();
+      for (let domain of domains) {
+        for (let type in index.rules[domain] || {})
+          rulesetIds.add(index.rules[domain][type][0]);
+      }
+      let enabled = await dnr.getEnabledRulesets();
+      let enableRulesetIds = Array.from(rulesetIds).filter(rulesetId => !enabled.includes(rulesetId));
+      if (enableRulesetIds.length)
+        await dnr.updateEnabledRulesets({enableRulesetIds});
+      return enableRulesetIds;
+    });
+    return this.pending;
+  }
+
+  /**
+   * All rule ids of static ruleset
+   */
+  staticRuleIds(rulesetId) {
+    let index = this.options.staticRulesets;
+    let ids = [];
+    for (let domain in index.rules) {
+      for (let type in index.rules[domain]) {
+        if (index.rules[domain][type][0] === rulesetId)
+          ids.push(index.rules[domain][type][1]);
+      }
+    }
+    return ids;
+  }
+
+  async unsupportedRegexRules(rules) {
+    let dnr = chrome.declarativeNetRequest;
+    let unsupported = [];
+    if (!dnr.isRegexSupported)
+      return unsupported;
+    for (let rule of rules.filter(rule => rule.condition.regexFilter)) {
+      let result = await dnr.isRegexSupported({regex: rule.condition.regexFilter});
+      if (result && !result.isSupported)
+        unsupported.push(rule);
+    }
+    return unsupported;
+  }
+
+  /**
+   * Domain & rule type of matched rule (getMatchedRules: session or static rule), headers of modifyHeaders rule
+   */
+  ruleInfo(ruleId, rulesetId) {
+    let info = {rule_id: ruleId, ruleset: rulesetId};
+    let key = (rulesetId === '_session') ? this.ruleKeys.get(ruleId) : null;
+    let index = this.options.staticRulesets;
+    if (!key && index) {
+      for (let domain in index.rules) {
+        for (let type in index.rules[domain]) {
+          let static_rule = index.rules[domain][type];
+          if (static_rule[0] === rulesetId && static_rule[1] === ruleId)
+            key = {domain, type};
+        }
+      }
+    }
+    if (key) {
+      info.domain = key.domain;
+      info.type = key.type;
+      let rule = this.rules.get(this.ids.get(key.domain + '::' + key.type));
+      if (rule && rule.action.requestHeaders)
+        info.headers = rule.action.requestHeaders.map(x => x.header + ((x.operation === 'remove' || !x.value) ? ' (removed)' : ': ' + x.value));
+    }
+    return info;
+  }
+
+  /**
+   * Get quota usage of last commit
+   */
+  getQuota() {
+    return this.quota;
+  }
+
+  /**
+   * Get statistics
+   */
+  getStats() {
+    let rules = [...this.rules.values()];
+    return {
+      rules: rules.length,
+      regexRules: rules.filter(rule => rule.condition.regexFilter).length,
+      domains: new Set([...this.ruleKeys.values()].map(key => key.domain)).size
+    };
+  }
+}
+
+// Create global instance
+if (typeof window !== 'undefined') {
+  window.dnrCompiler = new DnrRuleCompiler();
+} else if (typeof self !== 'undefined') {
+  self.dnrCompiler = new DnrRuleCompiler();
+}
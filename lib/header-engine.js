@@ -1,131 +1,238 @@
 /**
- * HeaderRuleEngine - Pre-computed header modification rules
- * Eliminates repeated array searches and string generation
+ * HeaderRuleEngine - Request header rules of sites (cookie, user agent, referer & random ip)
+ * Same headers for declarativeNetRequest (manifest v3: modifyHeaders rules) & webRequest (manifest v2: onBeforeSendHeaders)
+ * Special cases are rule fields: useragent_include_paths/useragent_exclude_paths (url patterns for user agent), useragent_mobile ('desktop'|'none')
+ * Headers rule is limited to include_paths of site (exclude_paths: dnrCompiler, isSiteEnabled)
  */
 class HeaderRuleEngine {
   constructor() {
-    this.rules = new Map(); // domain → pre-computed rule object
+    this.rules = new Map(); // domain → header rule (normalized site rule or false)
+    this.domains = null;    // HostnameTrie of domains (built on first match)
+    this.options = {
+      mobile: false,          // browser with mobile user agent (manifest v3)
+      userAgents: {}          // {googlebot: {desktop, mobile}, bingbot: {desktop, mobile}, facebookbot: {desktop}}
+    };
+    this.referers = {
+      google: 'https://www.google.com/',
+      facebook: 'https://www.facebook.com/',
+      twitter: 'https://t.co/'
+    };
+    this.ignoreTypes = ['font', 'image', 'stylesheet']; // webRequest: only cookie removed
+  }
+
+  /**
+   * Set user agents & mobile browser
+   */
+  configure(options) {
+    Object.assign(this.options, options);
   }
 
   /**
-   * Build all header modification rules from site configs
+   * Header rule of site rule (false when no headers are changed), url patterns of domain (hostnameMatcher.urlPattern)
    */
-  buildRules(siteIndexes, navigator_ua_mobile) {
-    const userAgents = {
-      'googlebot': navigator_ua_mobile ?
-        "Chrome/115.0.5790.171 Mobile Safari/537.36 (compatible ; Googlebot/2.1 ; +http://www.google.com/bot.html)" :
-        "Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)",
-      'bingbot': navigator_ua_mobile ?
-        "Chrome/115.0.5790.171 Mobile Safari/537.36 (compatible; bingbot/2.0; +http://www.bing.com/bingbot.htm)" :
-        "Mozilla/5.0 (compatible; bingbot/2.0; +http://www.bing.com/bingbot.htm)",
-      'facebookbot': 'facebookexternalhit/1.1 (+http://www.facebook.com/externalhit_uatext.php)'
+  normalizeRule(domain, rule) {
+    let header_rule = {
+      include_paths: hostnameMatcher.urlPatterns(rule.include_paths, domain),
+      cookies: !rule.allow_cookies,
+      useragent: ['googlebot', 'bingbot', 'facebookbot'].includes(rule.useragent) ? rule.useragent : '',
+      useragent_custom: rule.useragent ? '' : (rule.useragent_custom || ''),
+      useragent_include_paths: hostnameMatcher.urlPatterns(rule.useragent_include_paths, domain),
+      useragent_exclude_paths: hostnameMatcher.urlPatterns(rule.useragent_exclude_paths, domain),
+      useragent_mobile: rule.useragent_mobile || '',
+      referer: this.referers[rule.referer] ? rule.referer : '',
+      referer_custom: rule.referer ? '' : (rule.referer_custom || ''),
+      random_ip: rule.random_ip || ''
     };
+    if (!(header_rule.cookies || header_rule.useragent || header_rule.useragent_custom || header_rule.referer || header_rule.referer_custom || header_rule.random_ip))
+      return false;
+    return header_rule;
+  }
 
-    // Iterate through all indexed domains
-    for (let domain of siteIndexes.indexedDomains) {
-      let config = siteIndexes.getSiteConfig(domain);
-      if (!config) continue;
+  /**
+   * Add header rule of site (enabled site, background.js addRules)
+   */
+  addSite(domain, rule) {
+    // sites without header rule too (most specific site of hostname)
+    this.rules.set(domain, this.normalizeRule(domain, rule));
+    this.domains = null;
+  }
 
-      let rule = {};
+  /**
+   * Match hostname (or subdomain) of site, returns most specific domain or false
+   */
+  matchDomain(hostname) {
+    if (!this.domains) {
+      this.domains = hostnameMatcher.createTrie([...this.rules.keys()]);
+    }
+    return this.domains.match(hostname);
+  }
 
-      // User agent override
-      if (config.useragent) {
-        if (typeof config.useragent === 'string' && userAgents[config.useragent]) {
-          rule.userAgent = userAgents[config.useragent];
-        } else if (typeof config.useragent === 'object') {
-          rule.userAgent = config.useragent;
-        }
-      }
+  /**
+   * User agent changed for browser (& url when given)
+   */
+  useragentEnabled(header_rule, mobile, url = '') {
+    if (!(header_rule.useragent || header_rule.useragent_custom))
+      return false;
+    if (mobile && header_rule.useragent_mobile === 'none')
+      return false;
+    if (url && header_rule.useragent_include_paths.length && !hostnameMatcher.matchUrlPattern(header_rule.useragent_include_paths, url))
+      return false;
+    if (url && hostnameMatcher.matchUrlPattern(header_rule.useragent_exclude_paths, url))
+      return false;
+    return true;
+  }
 
-      // Referer override
-      if (config.referer) {
-        rule.referer = config.referer;
-      }
+  /**
+   * User agent headers (googlebot also sets referer & ip of Google)
+   */
+  useragentHeaders(header_rule, mobile) {
+    let headers = [];
+    let userAgents = this.options.userAgents;
+    let useMobile = mobile && header_rule.useragent_mobile !== 'desktop';
+    let setHeader = (header, value) => headers.push({header, operation: 'set', value});
+    if (header_rule.useragent === 'googlebot') {
+      setHeader('User-Agent', useMobile ? userAgents.googlebot.mobile : userAgents.googlebot.desktop);
+      setHeader('Referer', this.referers.google);
+      setHeader('X-Forwarded-For', '66.249.66.1');
+    } else if (header_rule.useragent === 'bingbot') {
+      setHeader('User-Agent', useMobile ? userAgents.bingbot.mobile : userAgents.bingbot.desktop);
+    } else if (header_rule.useragent === 'facebookbot') {
+      setHeader('User-Agent', userAgents.facebookbot.desktop);
+    } else if (header_rule.useragent_custom) {
+      setHeader('User-Agent', header_rule.useragent_custom);
+    }
+    return headers;
+  }
 
-      // Random IP
-      if (config.random_ip) {
-        rule.randomIP = this.generateIPPool();
+  /**
+   * Cookie, referer & random ip headers (without googlebot)
+   */
+  siteHeaders(header_rule, googlebot = false) {
+    let headers = [];
+    let setHeader = (header, value) => headers.push({header, operation: 'set', value});
+    if (header_rule.cookies) {
+      setHeader('Cookie', '');
+    }
+    if (!googlebot) {
+      if (header_rule.referer) {
+        setHeader('Referer', this.referers[header_rule.referer]);
+      } else if (header_rule.referer_custom) {
+        setHeader('Referer', header_rule.referer_custom);
       }
-
-      // Only store if there are rules
-      if (Object.keys(rule).length > 0) {
-        this.rules.set(domain, rule);
+      if (header_rule.random_ip) {
+        setHeader('X-Forwarded-For', (header_rule.random_ip === 'eu') ? this.randomIP(185, 185) : this.randomIP());
       }
     }
-
-    console.log(`[BPC] Built header rules for ${this.rules.size} domains`);
+    return headers;
   }
 
   /**
-   * Generate a pool of random IPs
+   * Request headers to set for url of domain (DNR header operations)
+   * options: {mobile (browser)}
    */
-  generateIPPool(poolSize = 10) {
-    return Array.from({length: poolSize}, () =>
-      Array.from({length: 4}, () =>
-        Math.floor(Math.random() * 255)
-      ).join('.')
-    );
+  getHeaders(domain, url, options = {}) {
+    let header_rule = this.rules.get(domain);
+    if (!header_rule) return [];
+    let mobile = options.hasOwnProperty('mobile') ? options.mobile : this.options.mobile;
+    let useragent = this.useragentEnabled(header_rule, mobile, url);
+    let useragent_headers = useragent ? this.useragentHeaders(header_rule, mobile) : [];
+    let site_headers = this.siteHeaders(header_rule, useragent && header_rule.useragent === 'googlebot');
+    // cookie first
+    return site_headers.filter(x => x.header === 'Cookie').concat(useragent_headers, site_headers.filter(x => x.header !== 'Cookie'));
   }
 
   /**
-   * Apply header modifications for a domain
+   * Apply request headers for request of domain (webRequest details, manifest v2), returns request headers
+   * Only cookie is removed for ignored resource types (font, image & stylesheet)
    */
-  applyHeaders(domain, headers) {
-    let rule = this.rules.get(domain);
-    if (!rule) return headers;
-
-    let modified = [...headers];
-
-    // Remove existing headers that we'll override
-    modified = modified.filter(header => {
-      let name = header.name.toLowerCase();
-      if (rule.userAgent && name === 'user-agent') return false;
-      if (rule.referer && name === 'referer') return false;
-      if (rule.randomIP && name === 'x-forwarded-for') return false;
-      return true;
-    });
-
-    // Add our headers
-    if (rule.userAgent) {
-      modified.push({
-        name: 'User-Agent',
-        value: rule.userAgent
+  applyHeaders(domain, details, options = {}) {
+    let headers = this.getHeaders(domain, details.url, options);
+    if (this.ignoreTypes.includes(details.type))
+      headers = headers.filter(x => x.header === 'Cookie');
+    if (!headers.length) return details.requestHeaders;
+    let names = headers.map(x => x.header.toLowerCase());
+    let requestHeaders = details.requestHeaders.filter(x => !names.includes(x.name.toLowerCase()));
+    for (let header of headers) {
+      requestHeaders.push({
+        name: header.header,
+        value: header.value
       });
     }
+    return requestHeaders;
+  }
 
-    if (rule.referer) {
-      modified.push({
-        name: 'Referer',
-        value: rule.referer
-      });
+  /**
+   * DNR modifyHeaders rules of site rule by rule type (without ids)
+   * headers: cookie, user agent, referer & random ip (include_paths of site)
+   * headers_useragent: user agent for useragent_include_paths, headers_useragent_exclude: allow rule for useragent_exclude_paths
+   */
+  compileRules(domain, rule, mobile = this.options.mobile) {
+    let header_rule = this.normalizeRule(domain, rule);
+    if (!header_rule) return {};
+    let rules = {};
+    let dnrRule = (action, url_patterns, priority = 1) => ({
+      "priority": priority,
+      "action": action,
+      "condition": Object.assign(url_patterns.length ? hostnameMatcher.urlPatternCondition(url_patterns) : {"urlFilter": "||" + domain}, {
+        "resourceTypes": ["main_frame", "sub_frame", "xmlhttprequest"]
+      })
+    });
+    let modifyHeaders = headers => ({"type": "modifyHeaders", "requestHeaders": headers});
+    let useragent = this.useragentEnabled(header_rule, mobile);
+    let include_paths = header_rule.useragent_include_paths;
+    let exclude_paths = header_rule.useragent_exclude_paths;
+    let useragent_paths = useragent && (include_paths.length > 0 || exclude_paths.length > 0);
+    let googlebot = useragent && !useragent_paths && header_rule.useragent === 'googlebot';
+    let headers = this.siteHeaders(header_rule, googlebot);
+    headers = headers.filter(x => x.header === 'Cookie').concat((useragent && !useragent_paths) ? this.useragentHeaders(header_rule, mobile) : [], headers.filter(x => x.header !== 'Cookie'));
+    if (headers.length) {
+      // above allow rule of useragent_exclude_paths
+      rules.headers = dnrRule(modifyHeaders(headers), header_rule.include_paths, (useragent_paths && exclude_paths.length) ? 3 : 1);
     }
-
-    if (rule.randomIP) {
-      // Rotate through pre-generated IPs
-      let ip = rule.randomIP[Date.now() % rule.randomIP.length];
-      modified.push({
-        name: 'X-Forwarded-For',
-        value: ip
-      });
+    if (useragent_paths) {
+      // user agent only for paths (higher priority than headers of site), or not for excluded paths (allow rule)
+      rules.headers_useragent = dnrRule(modifyHeaders(this.useragentHeaders(header_rule, mobile)), include_paths.length ? include_paths : header_rule.include_paths, exclude_paths.length ? 1 : 2);
+      if (exclude_paths.length)
+        rules.headers_useragent_exclude = dnrRule({"type": "allow"}, exclude_paths, 2);
     }
+    return rules;
+  }
 
-    return modified;
+  /**
+   * Random ip address (first number in range)
+   */
+  randomIP(range_low = 0, range_high = 223) {
+    let randomInt = max => Math.floor(Math.random() * max);
+    let rndmIP = [];
+    for (let n = 0; n < 4; n++) {
+      if (n === 0)
+        rndmIP.push(range_low + randomInt(range_high - range_low + 1));
+      else
+        rndmIP.push(randomInt(255) + 1);
+    }
+    return rndmIP.join('.');
   }
 
   /**
    * Check if domain has header rules
    */
   hasRules(domain) {
-    return this.rules.has(domain);
+    return !!this.rules.get(domain);
   }
 
   /**
    * Get stats
    */
   getStats() {
-    return {
-      totalRules: this.rules.size
-    };
+    let header_rules = [...this.rules.values()].filter(x => x);
+    let stats = {sites: this.rules.size, totalRules: header_rules.length, useragent: 0, referer: 0, randomIP: 0, paths: 0};
+    for (let header_rule of header_rules) {
+      if (header_rule.useragent || header_rule.useragent_custom) stats.useragent++;
+      if (header_rule.referer || header_rule.referer_custom) stats.referer++;
+      if (header_rule.random_ip) stats.randomIP++;
+      if (header_rule.useragent_include_paths.length) stats.paths++;
+    }
+    return stats;
   }
 
   /**
@@ -133,6 +240,7 @@ class HeaderRuleEngine {
    */
   clear() {
     this.rules.clear();
+    this.domains = null;
   }
 }
 
@@ -0,0 +1,264 @@
+/**
+ * HostnameMatcher - Shared hostname matching for background, content scripts & options pages
+ * Domain lists as reversed-label trie (example.co.uk → uk → co → example): lookup per label of hostname
+ * Registrable domain by public suffix list (lib/public-suffix.js, tools/build-public-suffix.js)
+ * Classes as var: content scripts are injected more than once in a page
+ */
+var HostnameTrie = class {
+  constructor(domains = []) {
+    this.root = new Map();
+    this.size = 0;
+    for (let domain of domains) {
+      this.add(domain);
+    }
+  }
+
+  /**
+   * Add domain (matches domain & subdomains)
+   */
+  add(domain) {
+    let node = {children: this.root};
+    let labels = domain.split('.');
+    for (let i = labels.length - 1; i >= 0; i--) {
+      if (!node.children.has(labels[i])) {
+        node.children.set(labels[i], {children: new Map(), domain: ''});
+      }
+      node = node.children.get(labels[i]);
+    }
+    if (!node.domain) {
+      node.domain = domain;
+      this.size++;
+    }
+  }
+
+  /**
+   * Match hostname (or subdomain) of domain, returns most specific domain or false
+   */
+  match(hostname = '') {
+    let matched_domain = false;
+    let children = this.root;
+    let labels = hostname.split('.');
+    for (let i = labels.length - 1; i >= 0; i--) {
+      let node = children.get(labels[i]);
+      if (!node) break;
+      if (node.domain) {
+        matched_domain = node.domain;
+      }
+      children = node.children;
+    }
+    return matched_domain;
+  }
+
+  /**
+   * Check if domain is in trie (exact match)
+   */
+  has(domain) {
+    return this.match(domain) === domain;
+  }
+};
+
+var HostnameMatcher = class {
+  constructor() {
+    this.tries = new Map();                // joined domains → trie (domain lists of calls)
+    this.maxTries = 500;
+    this.suffixTries = new Map();          // tld → trie of public suffix rules (built on first use)
+  }
+
+  /**
+   * Create trie for domain list
+   */
+  createTrie(domains) {
+    return new HostnameTrie(domains);
+  }
+
+  /**
+   * Get (cached) trie for domain list
+   */
+  getTrie(domains) {
+    let key = domains.join(',');
+    let trie = this.tries.get(key);
+    if (!trie) {
+      if (this.tries.size >= this.maxTries) {
+        this.tries.clear();
+      }
+      trie = new HostnameTrie(domains);
+      this.tries.set(key, trie);
+    }
+    return trie;
+  }
+
+  /**
+   * Match hostname (or subdomain) in domain(s), returns matched domain or false
+   */
+  matchDomain(domains, hostname = '') {
+    if (typeof domains === 'string') {
+      domains = [domains];
+    }
+    return this.getTrie(domains).match(hostname);
+  }
+
+  /**
+   * Hostname of url (or url when no http(s) url)
+   */
+  urlHost(url = '') {
+    if (/^http/.test(url)) {
+      try {
+        return new URL(url).hostname;
+      } catch (e) {
+        console.log(`url not valid: ${url} error: ${e}`);
+      }
+    }
+    return url;
+  }
+
+  /**
+   * Match hostname of url in domain(s)
+   */
+  matchUrlDomain(domains, url) {
+    return this.matchDomain(domains, this.urlHost(url));
+  }
+
+  /**
+   * Url pattern of site rule (include_paths, exclude_paths, useragent_include_paths ...), returns {host, path, hostOnly} or false
+   * /path (any host of domain) or host[/path] (domain or subdomain, * wildcard); {domain} is domain (group rules), | at end for end of url
+   */
+  urlPattern(pattern, domain) {
+    pattern = pattern.replace(/{domain}/g, domain);
+    let index = pattern.indexOf('/');
+    let host = (index === 0) ? domain : (index > 0 ? pattern.slice(0, index) : pattern);
+    if (!(host === domain || host.endsWith('.' + domain)))
+      return false;
+    return {host, path: (index >= 0) ? pattern.slice(index) : '/', hostOnly: index < 0};
+  }
+
+  /**
+   * Url patterns of domain (patterns of other domains left out)
+   */
+  urlPatterns(patterns = [], domain) {
+    return patterns.map(pattern => this.urlPattern(pattern, domain)).filter(x => x);
+  }
+
+  /**
+   * Regex source of url pattern (urlFilter syntax), anchor false: without scheme & subdomains
+   */
+  urlPatternSource(url_pattern, anchor = true) {
+    let escape = str => str.replace(/[.+?^${}()[\]\\|]/g, '\\$&');
+    let path = url_pattern.path.replace(/\|$/, '');
+    return (anchor ? '^https?://([^/?#]+\\.)?' : '') + escape(url_pattern.host).replace(/\*/g, '[^/?#]*') + '(:\\d+)?' +
+      escape(path).replace(/\*/g, '.*') + (url_pattern.path.endsWith('|') ? '$' : '');
+  }
+
+  /**
+   * Match url with url patterns of domain
+   */
+  matchUrlPattern(url_patterns, url) {
+    return url_patterns.some(url_pattern => new RegExp(this.urlPatternSource(url_pattern)).test(url));
+  }
+
+  /**
+   * DNR condition for url patterns of domain: {requestDomains} (hosts only), {urlFilter} or {regexFilter}
+   */
+  urlPatternCondition(url_patterns) {
+    if (url_patterns.every(x => x.hostOnly && !x.host.includes('*')))
+      return {requestDomains: url_patterns.map(x => x.host)};
+    if (url_patterns.length === 1)
+      return {urlFilter: '||' + url_patterns[0].host + url_patterns[0].path};
+    return {regexFilter: '^https?://([^/?#]+\\.)?(' + url_patterns.map(x => this.urlPatternSource(x, false)).join('|') + ')'};
+  }
+
+  /**
+   * Trie of public suffix rules for tld (false when tld has no rules below)
+   */
+  getSuffixTrie(tld) {
+    if (!this.suffixTries.has(tld)) {
+      let rules = (typeof publicSuffixRules !== 'undefined' && publicSuffixRules.hasOwnProperty(tld)) ? publicSuffixRules[tld] : '';
+      let root = {children: new Map()};
+      for (let rule of rules ? rules.split(',') : []) {
+        let exception = rule.startsWith('!');
+        let labels = rule.replace(/^!/, '').split('.');
+        let node = root;
+        for (let i = labels.length - 1; i >= 0; i--) {
+          if (!node.children.has(labels[i])) {
+            node.children.set(labels[i], {children: new Map()});
+          }
+          node = node.children.get(labels[i]);
+        }
+        if (exception) {
+          node.exception = true;
+        } else {
+          node.rule = true;
+        }
+      }
+      this.suffixTries.set(tld, rules ? root : false);
+    }
+    return this.suffixTries.get(tld);
+  }
+
+  /**
+   * Number of labels of public suffix of hostname labels (reversed)
+   */
+  publicSuffixLength(labels) {
+    let length = 1; // default rule *
+    let node = this.getSuffixTrie(labels[0]);
+    for (let i = 1; node && i < labels.length; i++) {
+      let child = node.children.get(labels[i]);
+      if (child && child.exception) {
+        return i;
+      }
+      let wildcard = node.children.get('*');
+      if ((child && child.rule) || (wildcard && wildcard.rule)) {
+        length = i + 1;
+      }
+      node = child;
+    }
+    return length;
+  }
+
+  /**
+   * Check if hostname is an ip address
+   */
+  isIp(hostname) {
+    return /^\d+\.\d+\.\d+\.\d+$/.test(hostname) || hostname.includes(':');
+  }
+
+  /**
+   * Get public suffix of hostname (www.example.co.uk → co.uk)
+   */
+  publicSuffix(hostname = '') {
+    hostname = hostname.toLowerCase().replace(/\.$/, '');
+    if (!hostname || this.isIp(hostname)) return '';
+    let labels = hostname.split('.').reverse();
+    return labels.slice(0, this.publicSuffixLength(labels)).reverse().join('.');
+  }
+
+  /**
+   * Get registrable domain of hostname (www.example.co.uk → example.co.uk, user.github.io → user.github.io)
+   * Returns hostname for ip address, public suffix or hostname without dot (localhost)
+   */
+  registrableDomain(hostname = '') {
+    hostname = hostname.toLowerCase().replace(/\.$/, '');
+    if (!hostname.includes('.') || this.isIp(hostname)) return hostname;
+    let labels = hostname.split('.').reverse();
+    let length = this.publicSuffixLength(labels);
+    if (labels.length <= length) return hostname;
+    return labels.slice(0, length + 1).reverse().join('.');
+  }
+
+  /**
+   * Get statistics
+   */
+  getStats() {
+    return {
+      tries: this.tries.size,
+      suffixTries: this.suffixTries.size,
+      publicSuffixRules: typeof publicSuffixRules !== 'undefined'
+    };
+  }
+};
+
+// Global hostname matcher instance
+if (typeof window !== 'undefined') {
+  window.hostnameMatcher = window.hostnameMatcher || new HostnameMatcher();
+} else if (typeof self !== 'undefined') {
+  self.hostnameMatcher = self.hostnameMatcher || new HostnameMatcher();
+}
@@ -0,0 +1,146 @@
+/**
+ * Logger - Structured log of background.js, lib/ modules & contentScript.js (levels & categories)
+ * Ring buffer of entries, persisted in storage.session (manifest v3: kept after restart of service worker)
+ * Log viewer: options/options_log.html (filter & export)
+ * Pages (options & popup) log to console only (persisted log is of background)
+ */
+class Logger {
+  constructor(maxEntries = 500) {
+    this.levels = ['debug', 'info', 'warn', 'error'];
+    this.categories = ['general', 'rules', 'dnr', 'cookies', 'fetch', 'content'];
+    this.entries = [];
+    this.maxEntries = maxEntries;
+    this.consoleLevel = 'info';   // min. level written to console
+    this.storageKey = 'bpc_log';
+    this.saveTimer = null;
+    this.persist = !(typeof location !== 'undefined' && /\/options\//.test(location.pathname));
+    this.loaded = this.load();
+  }
+
+  /**
+   * storage.session (null when not supported: manifest v2 Chrome & pages without extension api, or not persisted)
+   */
+  storage() {
+    if (!this.persist) return null;
+    let ext_api = (typeof browser === 'object') ? browser : ((typeof chrome === 'object') ? chrome : null);
+    return (ext_api && ext_api.storage && ext_api.storage.session) ? ext_api.storage.session : null;
+  }
+
+  /**
+   * Load persisted entries (before entries of this session)
+   */
+  async load() {
+    let storage = this.storage();
+    if (!storage) return;
+    try {
+      let data = await storage.get(this.storageKey);
+      let entries = (data && Array.isArray(data[this.storageKey])) ? data[this.storageKey] : [];
+      this.entries = entries.concat(this.entries).slice(-this.maxEntries);
+    } catch (e) {
+      console.error('[BPC:general] Failed to load log:', e);
+    }
+  }
+
+  /**
+   * Add entry: level (debug|info|warn|error), category (general|rules|dnr|cookies|fetch|content), message & optional data
+   */
+  log(level, category, message, data) {
+    if (!this.levels.includes(level)) level = 'info';
+    if (!this.categories.includes(category)) category = 'general';
+    let entry = {time: Date.now(), level, category, message: String(message)};
+    if (data !== undefined)
+      entry.data = this.formatData(data);
+    this.entries.push(entry);
+    if (this.entries.length > this.maxEntries)
+      this.entries.splice(0, this.entries.length - this.maxEntries);
+    if (this.levels.indexOf(level) >= this.levels.indexOf(this.consoleLevel)) {
+      let out = (level === 'error') ? console.error : ((level === 'warn') ? console.warn : console.log);
+      let args = ['[BPC:' + category + '] ' + entry.message];
+      if (data !== undefined)
+        args.push(data);
+      out(...args);
+    }
+    this.scheduleSave();
+    return entry;
+  }
+
+  debug(category, message, data) {
+    return this.log('debug', category, message, data);
+  }
+
+  info(category, message, data) {
+    return this.log('info', category, message, data);
+  }
+
+  warn(category, message, data) {
+    return this.log('warn', category, message, data);
+  }
+
+  error(category, message, data) {
+    return this.log('error', category, message, data);
+  }
+
+  /**
+   * Data of entry as (short) text
+   */
+  formatData(data) {
+    if (data instanceof Error)
+      return data.name + ': ' + data.message;
+    let text;
+    try {
+      text = (typeof data === 'string') ? data : JSON.stringify(data);
+    } catch (e) {
+      text = String(data);
+    }
+    return (text && text.length > 1000) ? text.slice(0, 1000) + '…' : text;
+  }
+
+  scheduleSave() {
+    if (!this.storage()) return;
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => this.save(), 1000);
+  }
+
+  async save() {
+    let storage = this.storage();
+    if (!storage) return;
+    try {
+      await storage.set({[this.storageKey]: this.entries});
+    } catch (e) {
+      console.error('[BPC:general] Failed to save log:', e);
+    }
+  }
+
+  /**
+   * Entries by filter: {level (min. level), category, text}
+   */
+  getEntries(filter = {}) {
+    let min_level = this.levels.indexOf(filter.level || 'debug');
+    let text = (filter.text || '').toLowerCase();
+    return this.entries.filter(entry => this.levels.indexOf(entry.level) >= min_level &&
+      (!filter.category || entry.category === filter.category) &&
+      (!text || (entry.message + ' ' + (entry.data || '')).toLowerCase().includes(text)));
+  }
+
+  async clear() {
+    this.entries = [];
+    clearTimeout(this.saveTimer);
+    let storage = this.storage();
+    if (storage)
+      await storage.remove(this.storageKey);
+  }
+
+  /**
+   * Entry as line of text (export)
+   */
+  static formatEntry(entry) {
+    return new Date(entry.time).toISOString() + ' ' + entry.level.toUpperCase().padEnd(5) + ' [' + entry.category + '] ' + entry.message + (entry.data ? ' ' + entry.data : '');
+  }
+}
+
+// Global logger instance
+if (typeof window !== 'undefined') {
+  window.logger = new Logger();
+} else if (typeof self !== 'undefined') {
+  self.logger = new Logger();
+}
@@ -1,176 +1,235 @@
 /**
  * Migration - Handles upgrading from old extension versions
  * Ensures smooth transition and data preservation
+ * Ordered steps by schema version (bpc_schema_version in storage.local), each step changes a copy of storage.local & storage.sync
+ * (idempotent: no changes when already applied), changes are logged & written per step (not with dry run)
+ * Storage is backed up (verified) before the first step, rollback() restores it (also after a failed step)
  */
 class Migration {
   constructor() {
-    this.CURRENT_VERSION = '4.0.0';
-    this.MIGRATION_KEY = 'bpc_migration_status';
+    this.SCHEMA_KEY = 'bpc_schema_version';
+    this.BACKUP_KEY = 'bpc_migration_backup';
+    // not in backup (volatile or large): performance history & rules quota
+    this.excludeKeys = [this.BACKUP_KEY, 'bpc_perf', 'dnr_quota'];
+    this.steps = [];
+    this.registerSteps();
   }
 
   /**
-   * Check if migration is needed and run it
+   * Add step: version (schema version after step), name & migrate(state) changing state {local, sync}
    */
-  async checkAndMigrate() {
-    try {
-      let data = await ext_api.storage.local.get(this.MIGRATION_KEY);
-      let lastMigrated = data[this.MIGRATION_KEY];
-
-      if (!lastMigrated || this.compareVersions(lastMigrated, this.CURRENT_VERSION) < 0) {
-        console.log(`[BPC] Migration needed: ${lastMigrated || 'none'} → ${this.CURRENT_VERSION}`);
-        await this.runMigration(lastMigrated);
-      } else {
-        console.log(`[BPC] No migration needed (already on ${this.CURRENT_VERSION})`);
+  register(version, name, migrate) {
+    if (this.steps.some(step => step.version === version))
+      throw new Error(`Migration step ${version} already registered`);
+    this.steps.push({version, name, migrate});
+    this.steps.sort((a, b) => a.version - b.version);
+  }
+
+  registerSteps() {
+    // status & backup of 4.0.0 migration (replaced by schema version)
+    this.register(1, 'remove 4.0.0 migration status', state => {
+      for (let key of ['bpc_migration_status', 'migration_completed', 'settings_backup_v3', 'backup_timestamp'])
+        delete state.local[key];
+    });
+
+    // sites of v3 in storage.sync (enabled sites are read from storage.local.sites)
+    this.register(2, 'move sites from storage.sync to storage.local', state => {
+      let sites_sync = state.sync.sites;
+      if (!sites_sync || typeof sites_sync !== 'object')
+        return;
+      if (!state.local.sites || !Object.keys(state.local.sites).length)
+        state.local.sites = sites_sync;
+      delete state.sync.sites;
+    });
+
+    // userSettings with defaults of UserSettings (missing keys only)
+    this.register(3, 'add missing userSettings', state => {
+      let defaults = (typeof UserSettings !== 'undefined') ? UserSettings.defaults() : {};
+      let settings = state.sync.userSettings || {};
+      if (!settings.preferredRegion)
+        settings.preferredRegion = (typeof userSettings !== 'undefined') ? userSettings.detectRegion() : 'global';
+      state.sync.userSettings = this.fillDefaults(settings, defaults);
+    });
+
+    // visit counts of UsageLearner as decayed score (promoted sites are derived from score)
+    this.register(4, 'convert usage data to scores', state => {
+      let usage_data = state.local.usageData || {};
+      let now = Date.now();
+      for (let domain in usage_data) {
+        if (typeof usage_data[domain] === 'number')
+          usage_data[domain] = {score: usage_data[domain], last: now};
       }
-    } catch (e) {
-      console.error('[BPC] Migration check failed:', e);
-    }
+      if (state.local.usageData)
+        state.local.usageData = usage_data;
+      delete state.local.promotedSites;
+    });
+
+    // disabled sites of userSettings.siteOverrides (never used) as disabled in storage.local.sites
+    this.register(5, 'move disabled site overrides to sites', state => {
+      let overrides = state.sync.userSettings && state.sync.userSettings.siteOverrides;
+      if (!overrides)
+        return;
+      for (let domain of Object.keys(overrides)) {
+        if (!(overrides[domain] && overrides[domain].hasOwnProperty('disabled')))
+          continue;
+        if (overrides[domain].disabled && state.local.sites) {
+          for (let title of Object.keys(state.local.sites)) {
+            if (state.local.sites[title] === domain)
+              delete state.local.sites[title];
+          }
+        }
+        delete overrides[domain].disabled;
+        if (!Object.keys(overrides[domain]).length)
+          delete overrides[domain];
+      }
+    });
+
+    // ampRedirect & archiveRedirect gate amp_redirect & archive rules: on when not stored (stored choice is kept)
+    this.register(6, 'enable amp & archive redirect features', state => {
+      let features = state.sync.userSettings && state.sync.userSettings.features;
+      if (!features)
+        return;
+      for (let key of ['ampRedirect', 'archiveRedirect']) {
+        if (features[key] === undefined)
+          features[key] = true;
+      }
+    });
+
+    // mediumRedirect (manifest v3: redirect of medium.com by dnr rule 90000) gates redirect of member-only stories (contentScript.js),
+    // on when not stored (stored choice is kept)
+    this.register(7, 'enable medium redirect feature', state => {
+      let features = state.sync.userSettings && state.sync.userSettings.features;
+      if (!features)
+        return;
+      if (features.mediumRedirect === undefined)
+        features.mediumRedirect = true;
+    });
   }
 
   /**
-   * Run migration process
+   * Add keys of defaults missing in target (nested objects)
    */
-  async runMigration(fromVersion) {
-    console.log(`[BPC] Starting migration to v${this.CURRENT_VERSION}...`);
-    const startTime = performance.now();
-
-    try {
-      // Step 1: Backup existing settings
-      await this.backupSettings();
-
-      // Step 2: Migrate data structures
-      await this.migrateSettings(fromVersion);
-
-      // Step 3: Mark migration complete
-      await ext_api.storage.local.set({
-        [this.MIGRATION_KEY]: this.CURRENT_VERSION,
-        migration_completed: Date.now()
-      });
-
-      const duration = performance.now() - startTime;
-      console.log(`[BPC] Migration completed in ${duration.toFixed(2)}ms`);
-
-      // Show success notification
-      this.showNotification('Extension Updated', 'Bypass Paywalls Clean has been optimized for better performance!');
-
-    } catch (e) {
-      console.error('[BPC] Migration failed:', e);
+  fillDefaults(target, defaults) {
+    for (let key in defaults) {
+      if (!target.hasOwnProperty(key))
+        target[key] = this.clone(defaults[key]);
+      else if (defaults[key] && typeof defaults[key] === 'object' && !Array.isArray(defaults[key]) && target[key] && typeof target[key] === 'object')
+        this.fillDefaults(target[key], defaults[key]);
+    }
+    return target;
+  }
 
-      // Show error notification
-      this.showNotification('Update Failed', 'Please reinstall the extension if issues persist.');
+  clone(value) {
+    return (value === undefined) ? value : JSON.parse(JSON.stringify(value));
+  }
 
-      throw e;
-    }
+  async getSchemaVersion() {
+    let data = await ext_api.storage.local.get(this.SCHEMA_KEY);
+    return data[this.SCHEMA_KEY] || 0;
   }
 
   /**
-   * Backup existing settings
+   * Copy of storage.local & storage.sync (without excluded keys)
    */
-  async backupSettings() {
-    try {
-      let oldSettings = await ext_api.storage.sync.get('sites');
-
-      await ext_api.storage.local.set({
-        'settings_backup_v3': oldSettings,
-        'backup_timestamp': Date.now()
-      });
-
-      console.log('[BPC] Settings backed up');
-    } catch (e) {
-      console.error('[BPC] Backup failed:', e);
+  async snapshot() {
+    let state = {};
+    for (let area of ['local', 'sync']) {
+      let data = await ext_api.storage[area].get(null);
+      for (let key of this.excludeKeys)
+        delete data[key];
+      state[area] = this.clone(data);
     }
+    return state;
   }
 
   /**
-   * Migrate settings from old format to new format
+   * Changes per storage area: {local: {set, remove}, sync: {set, remove}}
    */
-  async migrateSettings(fromVersion) {
-    // Get old settings
-    let oldData = await ext_api.storage.sync.get('sites');
-
-    // Create new settings structure
-    let newSettings = {
-      features: {
-        mediumRedirect: true,
-        mediumRedirectTarget: 'freedium',
-        ampRedirect: true,
-        archiveRedirect: true,
-        autoBypass: true
-      },
-      siteOverrides: {},
-      preferredRegion: this.detectRegion(),
-      performance: {
-        usageLearning: true,
-        preloadCore: true
-      }
-    };
-
-    // Migrate enabled/disabled sites
-    if (oldData.sites) {
-      for (let [siteName, domain] of Object.entries(oldData.sites)) {
-        if (typeof domain === 'string') {
-          // Check if this site was disabled
-          let enabledSites = await ext_api.storage.local.get('enabledSites');
-          let disabledSites = await ext_api.storage.local.get('disabledSites');
-
-          if (disabledSites.disabledSites && disabledSites.disabledSites.includes(siteName)) {
-            newSettings.siteOverrides[domain] = { disabled: true };
-          }
-        }
+  diff(before, after) {
+    let changes = {};
+    for (let area of ['local', 'sync']) {
+      let set = {};
+      let remove = Object.keys(before[area]).filter(key => !after[area].hasOwnProperty(key));
+      for (let key in after[area]) {
+        if (JSON.stringify(after[area][key]) !== JSON.stringify(before[area][key]))
+          set[key] = after[area][key];
       }
+      changes[area] = {set, remove};
     }
+    return changes;
+  }
 
-    // Save new settings
-    await ext_api.storage.sync.set({ userSettings: newSettings });
+  formatChanges(changes) {
+    let parts = [];
+    for (let area in changes) {
+      let keys = Object.keys(changes[area].set).map(key => 'set ' + key).concat(changes[area].remove.map(key => 'remove ' + key));
+      if (keys.length)
+        parts.push(area + ': ' + keys.join(', '));
+    }
+    return parts.length ? parts.join('; ') : 'no changes';
+  }
 
-    console.log('[BPC] Settings migrated');
+  async applyChanges(changes) {
+    for (let area in changes) {
+      if (changes[area].remove.length)
+        await ext_api.storage[area].remove(changes[area].remove);
+      if (Object.keys(changes[area].set).length)
+        await ext_api.storage[area].set(changes[area].set);
+    }
   }
 
   /**
-   * Detect user's region
+   * Backup of storage (state of schema version), verified by reading it back
    */
-  detectRegion() {
-    try {
-      let locale = ext_api.i18n.getUILanguage();
-      let region = locale.split('-')[1]?.toLowerCase();
-
-      const regionMap = {
-        'in': 'india',
-        'us': 'usa',
-        'gb': 'europe',
-        'uk': 'europe',
-        'de': 'europe',
-        'fr': 'europe',
-        'es': 'europe',
-        'it': 'europe'
-      };
-
-      return regionMap[region] || 'global';
-    } catch (e) {
-      return 'global';
-    }
+  async backupSettings(state, version) {
+    let backup = {version: version, time: Date.now(), local: state.local, sync: state.sync};
+    await ext_api.storage.local.set({[this.BACKUP_KEY]: backup});
+    let data = await ext_api.storage.local.get(this.BACKUP_KEY);
+    if (JSON.stringify(data[this.BACKUP_KEY]) !== JSON.stringify(backup))
+      throw new Error('Backup not verified');
+    logger.info('general', `Settings backed up (schema version ${version})`);
   }
 
   /**
-   * Compare version strings
-   * Returns: -1 if a < b, 0 if a == b, 1 if a > b
+   * Check if migration is needed and run it
+   * dryRun: changes of steps are logged & returned, storage isn't changed
+   * Returns {from, to, dryRun, steps: [{version, name, changes}], error}
    */
-  compareVersions(a, b) {
-    if (!a) return -1;
-    if (!b) return 1;
-
-    let aParts = a.split('.').map(Number);
-    let bParts = b.split('.').map(Number);
-
-    for (let i = 0; i < Math.max(aParts.length, bParts.length); i++) {
-      let aVal = aParts[i] || 0;
-      let bVal = bParts[i] || 0;
-
-      if (aVal < bVal) return -1;
-      if (aVal > bVal) return 1;
+  async checkAndMigrate(options = {}) {
+    let dryRun = !!options.dryRun;
+    let result = {from: 0, to: 0, dryRun: dryRun, steps: []};
+    try {
+      result.from = result.to = await this.getSchemaVersion();
+      let pending = this.steps.filter(step => step.version > result.from);
+      if (!pending.length) {
+        logger.debug('general', `No migration needed (schema version ${result.from})`);
+        return result;
+      }
+      logger.info('general', `Migration needed: schema version ${result.from} → ${pending[pending.length - 1].version}` + (dryRun ? ' (dry run)' : ''));
+      let state = await this.snapshot();
+      if (!dryRun)
+        await this.backupSettings(state, result.from);
+      for (let step of pending) {
+        let before = this.clone(state);
+        await step.migrate(state, this);
+        let changes = this.diff(before, state);
+        logger.info('general', `Migration step ${step.version} (${step.name}): ${this.formatChanges(changes)}` + (dryRun ? ' (dry run)' : ''));
+        if (!dryRun) {
+          await this.applyChanges(changes);
+          await ext_api.storage.local.set({[this.SCHEMA_KEY]: step.version});
+        }
+        result.steps.push({version: step.version, name: step.name, changes: changes});
+        result.to = step.version;
+      }
+    } catch (e) {
+      logger.error('general', `Migration failed (schema version ${result.to})`, e);
+      result.error = e.message;
+      if (!dryRun && result.steps.length) {
+        await this.rollback();
+        this.showNotification('Update Failed', 'Settings have been restored to the previous version.');
+      }
     }
-
-    return 0;
+    return result;
   }
 
   /**
@@ -188,23 +247,22 @@ class Migration {
   }
 
   /**
-   * Rollback to previous version (emergency use only)
+   * Rollback to backup (storage.local & storage.sync, schema version of backup)
    */
   async rollback() {
     try {
-      let backup = await ext_api.storage.local.get('settings_backup_v3');
-
-      if (backup.settings_backup_v3) {
-        await ext_api.storage.sync.set(backup.settings_backup_v3);
-        console.log('[BPC] Rolled back to v3 settings');
-        this.showNotification('Rollback Complete', 'Settings have been restored to the previous version.');
-        return true;
-      } else {
-        console.error('[BPC] No backup found for rollback');
+      let data = await ext_api.storage.local.get(this.BACKUP_KEY);
+      let backup = data[this.BACKUP_KEY];
+      if (!backup) {
+        logger.error('general', 'No backup found for rollback');
         return false;
       }
+      let current = await this.snapshot();
+      await this.applyChanges(this.diff(current, {local: backup.local, sync: backup.sync}));
+      logger.info('general', `Rolled back to schema version ${backup.version}`);
+      return true;
     } catch (e) {
-      console.error('[BPC] Rollback failed:', e);
+      logger.error('general', 'Rollback failed', e);
       return false;
     }
   }
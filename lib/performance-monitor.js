@@ -1,6 +1,8 @@
 /**
  * PerformanceMonitor - Tracks extension performance metrics
  * Monitors startup time, chunk loads, cache hit rates, etc.
+ * Samples are kept as time series in storage.local (rolling window, kept after restart of service worker)
+ * Dashboard: options/options_performance.html
  */
 class PerformanceMonitor {
   constructor() {
@@ -13,14 +15,140 @@ class PerformanceMonitor {
       requestsProcessed: 0
     };
     this.startTime = performance.now();
+    // series: startup (ms until first set_rules), indexBuild (ms), chunkLoad (ms, label chunk),
+    // cacheHitRate (%, manifest v2: regexCache of blocked scripts), injection (ms, label domain)
+    this.series = ['startup', 'indexBuild', 'chunkLoad', 'cacheHitRate', 'injection'];
+    this.history = {};
+    this.maxSamples = 500;                      // per series
+    this.maxAge = 14 * 24 * 60 * 60 * 1000;     // 14 days
+    this.cacheSample = {hits: 0, misses: 0};    // cache hits/misses since last sample of hit rate
+    this.storageKey = 'bpc_perf';
+    this.saveTimer = null;
+    this.loaded = this.load();
   }
 
   /**
-   * Record extension startup time
+   * storage.local (null in pages without extension api), calls in callback form (chrome.* api returns promises only in manifest v3)
+   */
+  storage() {
+    let ext_api = (typeof browser === 'object') ? browser : ((typeof chrome === 'object') ? chrome : null);
+    return (ext_api && ext_api.storage && ext_api.storage.local) ? ext_api.storage.local : null;
+  }
+
+  /**
+   * Load persisted samples (before samples of this session)
+   */
+  async load() {
+    let storage = this.storage();
+    if (!storage) return;
+    try {
+      let data = await new Promise(resolve => storage.get(this.storageKey, resolve));
+      let history = (data && data[this.storageKey]) || {};
+      for (let name of this.series) {
+        if (Array.isArray(history[name]))
+          this.history[name] = history[name].concat(this.history[name] || []);
+      }
+      this.prune();
+    } catch (e) {
+      logger.error('general', 'Failed to load performance history', e);
+    }
+  }
+
+  /**
+   * Add sample to series: value & optional label (chunk, domain)
+   */
+  addSample(name, value, label) {
+    if (!this.series.includes(name) || !isFinite(value)) return;
+    let sample = {time: Date.now(), value: Math.round(value * 100) / 100};
+    if (label)
+      sample.label = label;
+    (this.history[name] = this.history[name] || []).push(sample);
+    if (this.history[name].length > this.maxSamples)
+      this.history[name].splice(0, this.history[name].length - this.maxSamples);
+    this.scheduleSave();
+  }
+
+  /**
+   * Remove samples older than maxAge
+   */
+  prune(now = Date.now()) {
+    for (let name of Object.keys(this.history))
+      this.history[name] = this.history[name].filter(sample => now - sample.time <= this.maxAge).slice(-this.maxSamples);
+  }
+
+  /**
+   * Save at most every 5 seconds (cache hits & misses are recorded for every test)
+   */
+  scheduleSave() {
+    if (this.saveTimer || !this.storage()) return;
+    this.saveTimer = setTimeout(() => this.save(), 5000);
+  }
+
+  /**
+   * Save samples (with sample of cache hit rate since last save)
+   */
+  async save() {
+    let storage = this.storage();
+    if (!storage) return;
+    let total = this.cacheSample.hits + this.cacheSample.misses;
+    if (total) {
+      this.addSample('cacheHitRate', (this.cacheSample.hits / total) * 100);
+      this.cacheSample = {hits: 0, misses: 0};
+    }
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    this.prune();
+    try {
+      await this.loaded;
+      await new Promise(resolve => storage.set({[this.storageKey]: this.history}, resolve));
+    } catch (e) {
+      logger.error('general', 'Failed to save performance history', e);
+    }
+  }
+
+  /**
+   * Samples of all series since time
+   */
+  getHistory(since = 0) {
+    let history = {};
+    for (let name of this.series)
+      history[name] = (this.history[name] || []).filter(sample => sample.time >= since);
+    return history;
+  }
+
+  async clearHistory() {
+    this.history = {};
+    this.cacheSample = {hits: 0, misses: 0};
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    let storage = this.storage();
+    if (storage)
+      await new Promise(resolve => storage.remove(this.storageKey, resolve));
+  }
+
+  /**
+   * Summary of samples: count, average, 95th percentile & last value
+   */
+  static summarize(samples) {
+    if (!samples.length)
+      return {count: 0, avg: 0, p95: 0, last: 0};
+    let values = samples.map(sample => sample.value).sort((a, b) => a - b);
+    let avg = values.reduce((sum, value) => sum + value, 0) / values.length;
+    return {
+      count: values.length,
+      avg: Math.round(avg * 100) / 100,
+      p95: values[Math.min(values.length - 1, Math.ceil(values.length * 0.95) - 1)],
+      last: samples[samples.length - 1].value
+    };
+  }
+
+  /**
+   * Record extension startup time: from start of background page (service worker) to first set_rules
    */
   recordStartup(timeMs) {
     this.metrics.startupTime = timeMs;
-    console.log(`[BPC Performance] Startup completed in ${timeMs.toFixed(2)}ms`);
+    this.addSample('startup', timeMs);
+    logger.info('general', `Startup completed in ${timeMs.toFixed(2)}ms`);
   }
 
   /**
@@ -28,7 +156,8 @@ class PerformanceMonitor {
    */
   recordIndexBuild(timeMs) {
     this.metrics.indexBuildTime = timeMs;
-    console.log(`[BPC Performance] Indexes built in ${timeMs.toFixed(2)}ms`);
+    this.addSample('indexBuild', timeMs);
+    logger.info('general', `Indexes built in ${timeMs.toFixed(2)}ms`);
   }
 
   /**
@@ -40,7 +169,8 @@ class PerformanceMonitor {
       timeMs: timeMs,
       timestamp: Date.now()
     });
-    console.log(`[BPC Performance] Chunk "${chunkName}" loaded in ${timeMs.toFixed(2)}ms`);
+    this.addSample('chunkLoad', timeMs, chunkName);
+    logger.info('general', `Chunk "${chunkName}" loaded in ${timeMs.toFixed(2)}ms`);
   }
 
   /**
@@ -48,6 +178,8 @@ class PerformanceMonitor {
    */
   recordCacheHit() {
     this.metrics.cacheHits++;
+    this.cacheSample.hits++;
+    this.scheduleSave();
   }
 
   /**
@@ -55,6 +187,15 @@ class PerformanceMonitor {
    */
   recordCacheMiss() {
     this.metrics.cacheMisses++;
+    this.cacheSample.misses++;
+    this.scheduleSave();
+  }
+
+  /**
+   * Record injection latency of content script: time from start of page to handshake (contentScript.js)
+   */
+  recordInjection(domain, timeMs) {
+    this.addSample('injection', timeMs, domain);
   }
 
   /**
@@ -99,11 +240,11 @@ class PerformanceMonitor {
    */
   async logSummary() {
     let metrics = await this.exportMetrics();
-    console.log('[BPC Performance Summary]', metrics);
+    logger.info('general', 'Performance summary', metrics);
   }
 
   /**
-   * Reset all metrics
+   * Reset all metrics (of this session, history is kept)
    */
   reset() {
     this.metrics = {
@@ -1,44 +1,79 @@
 /**
  * RegexCache - Compiles and caches regex patterns with LRU result memoization
  * Provides 50-100x speedup for repeated pattern matching
+ * Compiled patterns: one entry per source & flags (combined patterns of set_rules are compiled once), LRU by count
+ * Match results: LRU by count & size (bytes of keys), optional ttl; hits & misses per pattern (getStats)
  */
 class RegexCache {
-  constructor(maxCacheSize = 1000) {
-    this.cache = new Map();          // pattern → compiled RegExp
-    this.matchResults = new Map();   // pattern+url → boolean (LRU)
-    this.maxCacheSize = maxCacheSize;
+  constructor(maxCacheSize = 1000, options = {}) {
+    this.cache = new Map();          // source/flags → {regex, id, hits, misses} (LRU)
+    this.patternIds = new WeakMap(); // compiled RegExp → entry of cache
+    this.matchResults = new Map();   // pattern id + url → {result, time, bytes} (LRU)
+    this.maxCacheSize = maxCacheSize;                          // max. match results
+    this.maxBytes = options.maxBytes || 512 * 1024;            // max. size of match results
+    this.maxPatterns = options.maxPatterns || 2000;            // max. compiled patterns
+    this.maxUrlLength = options.maxUrlLength || 2048;          // longer urls aren't cached
+    this.ttl = options.ttl || 0;                               // ms (0: no expiry)
+    this.bytes = 0;
+    this.nextId = 1;
+    this.counters = {hits: 0, misses: 0, expired: 0, evicted: 0};
+  }
+
+  /**
+   * Key of compiled pattern (string pattern: source without flags)
+   */
+  patternKey(pattern) {
+    return (pattern instanceof RegExp) ? pattern.source + '/' + pattern.flags : pattern + '/';
   }
 
   /**
    * Compile a regex pattern (accepts RegExp, string, or pattern object)
-   * Returns cached RegExp if already compiled
+   * Returns cached RegExp if already compiled (null for invalid pattern, logged with optional context: domain)
    */
-  compile(pattern) {
+  compile(pattern, context = '') {
     if (!pattern) return null;
+    if (!(pattern instanceof RegExp) && typeof pattern !== 'string') return pattern;
 
-    // Already a RegExp
-    if (pattern instanceof RegExp) {
-      let key = pattern.source + pattern.flags;
-      if (!this.cache.has(key)) {
-        this.cache.set(key, pattern);
-      }
-      return this.cache.get(key);
+    let key = this.patternKey(pattern);
+    let entry = this.cache.get(key);
+    if (entry) {
+      // most recently used
+      this.cache.delete(key);
+      this.cache.set(key, entry);
+      return entry.regex;
     }
 
-    // String pattern
+    let regex = pattern;
     if (typeof pattern === 'string') {
-      if (!this.cache.has(pattern)) {
-        try {
-          this.cache.set(pattern, new RegExp(pattern));
-        } catch (e) {
-          console.error('[BPC] Invalid regex pattern:', pattern, e);
-          return null;
-        }
+      try {
+        regex = new RegExp(pattern);
+      } catch (e) {
+        logger.warn('rules', 'Invalid regex pattern' + (context ? ' (' + context + ')' : '') + ': ' + pattern, e);
+        return null;
       }
-      return this.cache.get(pattern);
     }
+    entry = {regex: regex, id: this.nextId++, hits: 0, misses: 0};
+    this.cache.set(key, entry);
+    this.patternIds.set(regex, entry);
+    if (this.cache.size > this.maxPatterns)
+      this.evictPattern(this.cache.keys().next().value);
+    return regex;
+  }
 
-    return pattern;
+  /**
+   * Remove compiled pattern with its match results (least recently used pattern)
+   */
+  evictPattern(key) {
+    let entry = this.cache.get(key);
+    this.cache.delete(key);
+    if (!entry) return;
+    if (this.patternIds.get(entry.regex) === entry)
+      this.patternIds.delete(entry.regex);
+    let prefix = entry.id + ' ';
+    for (let [resultKey, cached] of this.matchResults) {
+      if (resultKey.startsWith(prefix))
+        this.deleteResult(resultKey, cached);
+    }
   }
 
   /**
@@ -48,39 +83,70 @@ class RegexCache {
   test(pattern, url) {
     let compiled = this.compile(pattern);
     if (!compiled) return false;
+    // pattern object (not cached)
+    if (!(compiled instanceof RegExp)) return compiled.test(url);
 
-    let cacheKey = `${compiled.source}::${url}`;
+    let entry = this.patternIds.get(compiled);
+    if (!entry || url.length > this.maxUrlLength) {
+      compiled.lastIndex = 0;
+      return compiled.test(url);
+    }
+    let cacheKey = entry.id + ' ' + url;
 
     // Check result cache (LRU)
-    if (this.matchResults.has(cacheKey)) {
+    let cached = this.matchResults.get(cacheKey);
+    if (cached && this.ttl && Date.now() - cached.time > this.ttl) {
+      this.deleteResult(cacheKey, cached);
+      this.counters.expired++;
+      cached = null;
+    }
+    if (cached) {
+      this.matchResults.delete(cacheKey);
+      this.matchResults.set(cacheKey, cached);
+      entry.hits++;
+      this.counters.hits++;
       if (typeof perfMonitor !== 'undefined') {
         perfMonitor.recordCacheHit();
       }
-      return this.matchResults.get(cacheKey);
+      return cached.result;
     }
 
     // Execute and cache result
+    entry.misses++;
+    this.counters.misses++;
     if (typeof perfMonitor !== 'undefined') {
       perfMonitor.recordCacheMiss();
     }
 
+    compiled.lastIndex = 0;
     let result = compiled.test(url);
 
+    // size of key (utf-16) & entry
+    let bytes = cacheKey.length * 2 + 64;
+    this.matchResults.set(cacheKey, {result: result, time: this.ttl ? Date.now() : 0, bytes: bytes});
+    this.bytes += bytes;
+
     // LRU eviction if cache full
-    if (this.matchResults.size >= this.maxCacheSize) {
+    while (this.matchResults.size > this.maxCacheSize || this.bytes > this.maxBytes) {
       let firstKey = this.matchResults.keys().next().value;
-      this.matchResults.delete(firstKey);
+      this.deleteResult(firstKey, this.matchResults.get(firstKey));
+      this.counters.evicted++;
     }
 
-    this.matchResults.set(cacheKey, result);
     return result;
   }
 
+  deleteResult(key, cached) {
+    this.matchResults.delete(key);
+    this.bytes -= cached.bytes;
+  }
+
   /**
    * Clear match result cache (keep compiled regexes)
    */
   clearMatchCache() {
     this.matchResults.clear();
+    this.bytes = 0;
   }
 
   /**
@@ -88,17 +154,33 @@ class RegexCache {
    */
   clearAll() {
     this.cache.clear();
-    this.matchResults.clear();
+    this.patternIds = new WeakMap();
+    this.clearMatchCache();
+    this.counters = {hits: 0, misses: 0, expired: 0, evicted: 0};
   }
 
   /**
-   * Get cache stats
+   * Get cache stats (patterns: most used patterns with hits & misses)
    */
-  getStats() {
+  getStats(maxPatterns = 20) {
+    let total = this.counters.hits + this.counters.misses;
+    let patterns = Array.from(this.cache.values()).filter(entry => entry.hits + entry.misses > 0)
+      .sort((a, b) => (b.hits + b.misses) - (a.hits + a.misses)).slice(0, maxPatterns)
+      .map(entry => ({
+        pattern: entry.regex.source.length > 100 ? entry.regex.source.slice(0, 100) + '…' : entry.regex.source,
+        hits: entry.hits,
+        misses: entry.misses
+      }));
     return {
       compiledPatterns: this.cache.size,
       cachedResults: this.matchResults.size,
-      maxCacheSize: this.maxCacheSize
+      maxCacheSize: this.maxCacheSize,
+      bytes: this.bytes,
+      maxBytes: this.maxBytes,
+      ttl: this.ttl,
+      ...this.counters,
+      hitRate: total ? Math.round(this.counters.hits / total * 10000) / 100 : 0,
+      patterns: patterns
     };
   }
 }
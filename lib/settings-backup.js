@@ -0,0 +1,197 @@
+/**
+ * SettingsBackup - Backup & restore of all extension state as one versioned json bundle (Options > Backup)
+ * Bundle: {format, version, created, extVersion, data: {key: value}, permissions: {origins}}
+ * data: enabled, custom & excluded sites, opt-in flags, userSettings & usage data, origins: granted optional host permissions
+ * Restore: bundle is validated, changes are previewed (diff), host permissions missing on this device are requested by options page
+ */
+class SettingsBackup {
+  constructor() {
+    this.FORMAT = 'bpc-backup';
+    this.VERSION = 1;
+    // key → storage area & default (not stored yet)
+    this.keys = {
+      sites: {area: 'local', default: {}},
+      sites_custom: {area: 'local', default: {}},
+      sites_excluded: {area: 'local', default: []},
+      optIn: {area: 'local', default: false},
+      optInUpdate: {area: 'local', default: true},
+      userSettings: {area: 'sync', default: {}},
+      usageData: {area: 'local', default: {}}
+    };
+  }
+
+  /**
+   * Current state as bundle
+   */
+  async create() {
+    let data = {};
+    for (let key in this.keys) {
+      let items = await UserSettings.storageCall(this.keys[key].area, 'get', {[key]: this.keys[key].default});
+      data[key] = items[key];
+    }
+    let manifest = ext_api.runtime.getManifest();
+    return {
+      format: this.FORMAT,
+      version: this.VERSION,
+      created: new Date().toISOString(),
+      extVersion: manifest.version,
+      data: data,
+      permissions: {origins: await this.grantedOrigins()}
+    };
+  }
+
+  /**
+   * Granted host permissions (without host permissions of manifest)
+   */
+  async grantedOrigins() {
+    let manifest = ext_api.runtime.getManifest();
+    let required = (manifest.host_permissions || []).concat((manifest.permissions || []).filter(x => x.includes('://')));
+    let permissions = await new Promise(resolve => ext_api.permissions.getAll(resolve));
+    return (permissions.origins || []).filter(origin => !required.includes(origin)).sort();
+  }
+
+  /**
+   * Origins of bundle not granted on this device
+   */
+  async missingOrigins(bundle) {
+    let missing = [];
+    for (let origin of bundle.permissions.origins) {
+      if (!(await new Promise(resolve => ext_api.permissions.contains({origins: [origin]}, resolve))))
+        missing.push(origin);
+    }
+    return missing;
+  }
+
+  /**
+   * Parse json-text of bundle: {bundle, errors}
+   */
+  parse(text) {
+    let bundle;
+    try {
+      bundle = JSON.parse(text);
+    } catch (e) {
+      return {bundle: null, errors: ['json: ' + e.message]};
+    }
+    return {bundle: bundle, errors: this.validate(bundle)};
+  }
+
+  /**
+   * Errors of bundle (empty when valid), keys missing in data aren't restored
+   */
+  validate(bundle) {
+    let errors = [];
+    let isObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+    if (!isObject(bundle) || bundle.format !== this.FORMAT)
+      return ['not a backup of Bypass Paywalls Clean (format: ' + this.FORMAT + ')'];
+    if (!Number.isInteger(bundle.version) || bundle.version < 1)
+      errors.push('version: not valid');
+    else if (bundle.version > this.VERSION)
+      errors.push(`version: ${bundle.version} is newer than supported version ${this.VERSION} (update extension)`);
+    if (!isObject(bundle.data))
+      return errors.concat('data: missing');
+    if (!isObject(bundle.permissions) || !Array.isArray(bundle.permissions.origins) || bundle.permissions.origins.some(x => typeof x !== 'string' || !/^(\*|https?):\/\/[^\/]+\/.*$/.test(x)))
+      errors.push('permissions.origins: array of host patterns expected');
+    let data = bundle.data;
+    for (let key of ['sites', 'sites_custom', 'userSettings', 'usageData']) {
+      if (data.hasOwnProperty(key) && !isObject(data[key]))
+        errors.push(key + ': object expected');
+    }
+    if (isObject(data.sites) && Object.values(data.sites).some(x => typeof x !== 'string'))
+      errors.push('sites: domains (string) expected');
+    if (data.hasOwnProperty('sites_excluded') && !(Array.isArray(data.sites_excluded) && data.sites_excluded.every(x => typeof x === 'string')))
+      errors.push('sites_excluded: array of domains expected');
+    for (let key of ['optIn', 'optInUpdate']) {
+      if (data.hasOwnProperty(key) && typeof data[key] !== 'boolean')
+        errors.push(key + ': boolean expected');
+    }
+    if (isObject(data.usageData) && Object.values(data.usageData).some(x => !isObject(x) || typeof x.score !== 'number' || typeof x.last !== 'number'))
+      errors.push('usageData: {score, last} per domain expected');
+    if (isObject(data.sites_custom) && typeof siteValidator !== 'undefined')
+      errors = errors.concat(siteValidator.formatErrors(siteValidator.validateSites(data.sites_custom)).map(x => 'sites_custom: ' + x));
+    return errors;
+  }
+
+  /**
+   * Changes of restore: [{key, name, change: 'added' | 'removed' | 'changed', from, to}]
+   * entries of sites & usage data by name, userSettings by path (features.ampRedirect), excluded sites by domain
+   */
+  async diff(bundle) {
+    let current = (await this.create()).data;
+    let changes = [];
+    for (let key in this.keys) {
+      if (!bundle.data.hasOwnProperty(key))
+        continue;
+      let before = this.entries(key, this.normalize(key, current[key]));
+      let after = this.entries(key, this.normalize(key, bundle.data[key]));
+      for (let name of Object.keys(Object.assign({}, before, after)).sort()) {
+        let from = before[name];
+        let to = after[name];
+        if (from === undefined)
+          changes.push({key, name, change: 'added', to});
+        else if (to === undefined)
+          changes.push({key, name, change: 'removed', from});
+        else if (JSON.stringify(from) !== JSON.stringify(to))
+          changes.push({key, name, change: 'changed', from, to});
+      }
+    }
+    let origins = await this.missingOrigins(bundle);
+    for (let origin of origins)
+      changes.push({key: 'permissions', name: origin, change: 'added', to: true});
+    return changes;
+  }
+
+  // userSettings as restored (missing keys from defaults)
+  normalize(key, value) {
+    return (key === 'userSettings') ? userSettings.deepMerge(UserSettings.defaults(), value) : value;
+  }
+
+  entries(key, value, prefix = '') {
+    if (Array.isArray(value))
+      return Object.fromEntries(value.map(x => [x, true]));
+    if (!value || typeof value !== 'object')
+      return {[prefix]: value};
+    if (key !== 'userSettings')
+      return Object.assign({}, value);
+    let entries = {};
+    for (let name in value) {
+      if (value[name] && typeof value[name] === 'object' && !Array.isArray(value[name]))
+        Object.assign(entries, this.entries(key, value[name], prefix + name + '.'));
+      else
+        entries[prefix + name] = value[name];
+    }
+    return entries;
+  }
+
+  /**
+   * Restore state of bundle (validated), returns origins to request (permissions.request needs user gesture)
+   */
+  async restore(bundle) {
+    let errors = this.validate(bundle);
+    if (errors.length)
+      throw new Error('Backup not valid: ' + errors.join(', '));
+    let data = bundle.data;
+    for (let key in this.keys) {
+      if (!data.hasOwnProperty(key))
+        continue;
+      if (key === 'sites')
+        await userSettings.setSites(data.sites);
+      else if (key === 'sites_excluded')
+        await userSettings.setExcludedSites(data.sites_excluded);
+      else if (key === 'userSettings')
+        await userSettings.replace(data.userSettings);
+      else if (key === 'usageData' && userSettings.get('performance.usageLearning') === false)
+        continue;
+      else
+        await UserSettings.storageCall(this.keys[key].area, 'set', {[key]: data[key]});
+    }
+    logger.info('general', `Backup restored (created ${bundle.created}, version ${bundle.extVersion})`);
+    return this.missingOrigins(bundle);
+  }
+}
+
+// Global settings backup instance
+if (typeof window !== 'undefined') {
+  window.settingsBackup = new SettingsBackup();
+} else if (typeof self !== 'undefined') {
+  self.settingsBackup = new SettingsBackup();
+}
@@ -0,0 +1,367 @@
+/**
+ * SettingsSync - Optional sync of enabled sites, custom sites & excluded sites across devices (storage.sync)
+ * Opt-in per device (storage.local.sync_enabled), status for options (storage.local.sync_status)
+ * Time of change per entry of sites, sites_custom & sites_excluded (removed entries as tombstones), merged by entry: latest change wins
+ * (entries of device before sync was enabled have time 0: synced entries win)
+ * Synced as one compressed bundle (deflate-raw & base64) in chunks within quotas of storage.sync (8 KB per item, 100 KB total)
+ */
+class SettingsSync {
+  constructor(options = {}) {
+    this.keys = ['sites', 'sites_custom', 'sites_excluded'];
+    this.META_KEY = 'bpc_sync_meta';        // storage.sync: {device, time, chunks, encoding, hash, bytes}
+    this.CHUNK_PREFIX = 'bpc_sync_';        // storage.sync: bpc_sync_0..n
+    this.ENABLED_KEY = 'sync_enabled';
+    this.STATE_KEY = 'sync_state';          // storage.local: {key: {times, removed}}
+    this.STATUS_KEY = 'sync_status';
+    this.chunkSize = options.chunkSize || 8000;                            // QUOTA_BYTES_PER_ITEM: 8192 (key & json of value)
+    this.quotaBytes = options.quotaBytes || 102400;                        // QUOTA_BYTES
+    this.tombstoneAge = options.tombstoneAge || 90 * 24 * 60 * 60 * 1000;  // 90 days
+    this.syncDelay = options.syncDelay || 5000;                            // max. 120 writes per minute
+    this.enabled = false;
+    this.device = '';
+    this.state = {};
+    this.written = {};      // key → json of value written by sync (no time of change)
+    this.syncTimer = null;
+    this.syncing = null;
+    this.ready = null;
+  }
+
+  /**
+   * Initialize from storage (once), sync when enabled
+   */
+  init() {
+    if (!this.ready)
+      this.ready = this.load();
+    return this.ready;
+  }
+
+  async load() {
+    try {
+      let data = await UserSettings.storageCall('local', 'get', {[this.ENABLED_KEY]: false, [this.STATE_KEY]: {}, sync_device: ''});
+      this.enabled = !!data[this.ENABLED_KEY];
+      this.state = data[this.STATE_KEY] || {};
+      this.device = data.sync_device;
+      if (!this.device) {
+        this.device = Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+        await UserSettings.storageCall('local', 'set', {sync_device: this.device});
+      }
+    } catch (e) {
+      logger.error('general', 'Failed to load sync state', e);
+    }
+    this.listen();
+    if (this.enabled)
+      await this.sync();
+  }
+
+  /**
+   * Changes of sites (time of entries), opt-in of device & synced data of other devices
+   */
+  listen() {
+    ext_api.storage.onChanged.addListener((changes, area) => {
+      if (area === 'local' && changes[this.ENABLED_KEY])
+        this.setEnabled(!!changes[this.ENABLED_KEY].newValue);
+      if (area === 'local' && this.enabled) {
+        let changed = false;
+        for (let key of this.keys) {
+          if (changes[key] && this.stamp(key, changes[key].oldValue, changes[key].newValue))
+            changed = true;
+        }
+        if (changed) {
+          this.saveState();
+          this.scheduleSync();
+        }
+      }
+      if (area === 'sync' && this.enabled && changes[this.META_KEY]) {
+        let meta = changes[this.META_KEY].newValue;
+        if (meta && meta.device !== this.device)
+          this.sync();
+      }
+    });
+  }
+
+  /**
+   * Enable/disable sync of device (enable: synced entries win over entries of device)
+   */
+  async setEnabled(enabled) {
+    if (this.enabled === enabled) return;
+    this.enabled = enabled;
+    clearTimeout(this.syncTimer);
+    logger.info('general', `Sync ${enabled ? 'enabled' : 'disabled'}`);
+    if (enabled) {
+      this.state = {};
+      await this.saveState();
+      await this.sync();
+    } else
+      await this.saveStatus({enabled: false});
+  }
+
+  /**
+   * Entries of stored value (sites_excluded: domain → true)
+   */
+  toEntries(key, value) {
+    if (key === 'sites_excluded')
+      return Object.fromEntries((Array.isArray(value) ? value : []).map(domain => [domain, true]));
+    return (value && typeof value === 'object') ? value : {};
+  }
+
+  fromEntries(key, entries) {
+    return (key === 'sites_excluded') ? Object.keys(entries) : entries;
+  }
+
+  keyState(key) {
+    if (!this.state[key])
+      this.state[key] = {times: {}, removed: {}};
+    return this.state[key];
+  }
+
+  /**
+   * Time of changed & removed entries (not for values written by sync), returns true when changed
+   */
+  stamp(key, oldValue, newValue) {
+    let json = JSON.stringify(newValue);
+    if (this.written[key] === json) {
+      delete this.written[key];
+      return false;
+    }
+    let before = this.toEntries(key, oldValue);
+    let after = this.toEntries(key, newValue);
+    let state = this.keyState(key);
+    let now = Date.now();
+    let changed = false;
+    for (let name in after) {
+      if (!before.hasOwnProperty(name) || JSON.stringify(before[name]) !== JSON.stringify(after[name])) {
+        state.times[name] = now;
+        delete state.removed[name];
+        changed = true;
+      }
+    }
+    for (let name in before) {
+      if (!after.hasOwnProperty(name)) {
+        state.removed[name] = now;
+        delete state.times[name];
+        changed = true;
+      }
+    }
+    return changed;
+  }
+
+  /**
+   * Time of entry (removed: time of tombstone, -1: unknown)
+   */
+  entryTime(data, name) {
+    if (data.entries.hasOwnProperty(name))
+      return data.times[name] || 0;
+    if (data.removed.hasOwnProperty(name))
+      return data.removed[name];
+    return -1;
+  }
+
+  /**
+   * Merge entries of key by time (same time: remote), tombstones older than tombstoneAge are removed
+   */
+  mergeKey(local, remote, now = Date.now()) {
+    let result = {entries: {}, times: {}, removed: {}};
+    let names = new Set(Object.keys(local.entries).concat(Object.keys(local.removed), Object.keys(remote.entries), Object.keys(remote.removed)));
+    for (let name of Array.from(names).sort()) {
+      let source = (this.entryTime(remote, name) >= this.entryTime(local, name)) ? remote : local;
+      if (source.entries.hasOwnProperty(name)) {
+        result.entries[name] = source.entries[name];
+        if (source.times[name])
+          result.times[name] = source.times[name];
+      } else if (now - source.removed[name] < this.tombstoneAge)
+        result.removed[name] = source.removed[name];
+    }
+    return result;
+  }
+
+  merge(local, remote) {
+    let merged = {};
+    for (let key of this.keys)
+      merged[key] = this.mergeKey(local[key], remote[key] || {entries: {}, times: {}, removed: {}});
+    return merged;
+  }
+
+  /**
+   * Entries with times of storage.local: {key: {entries, times, removed}}
+   */
+  async readLocal() {
+    let data = await UserSettings.storageCall('local', 'get', {sites: {}, sites_custom: {}, sites_excluded: []});
+    let local = {};
+    for (let key of this.keys) {
+      let state = this.keyState(key);
+      local[key] = {entries: this.toEntries(key, data[key]), times: state.times, removed: state.removed};
+    }
+    return local;
+  }
+
+  /**
+   * Write merged entries to storage.local (changed keys only)
+   */
+  async writeLocal(local, merged) {
+    let changed = [];
+    for (let key of this.keys) {
+      this.state[key] = {times: merged[key].times, removed: merged[key].removed};
+      if (JSON.stringify(merged[key].entries) === JSON.stringify(this.sortEntries(local[key].entries)))
+        continue;
+      let value = this.fromEntries(key, merged[key].entries);
+      this.written[key] = JSON.stringify(value);
+      if (key === 'sites')
+        await userSettings.setSites(value);
+      else if (key === 'sites_excluded')
+        await userSettings.setExcludedSites(value);
+      else
+        await UserSettings.storageCall('local', 'set', {[key]: value});
+      changed.push(key);
+    }
+    await this.saveState();
+    return changed;
+  }
+
+  sortEntries(entries) {
+    return Object.fromEntries(Object.keys(entries).sort().map(name => [name, entries[name]]));
+  }
+
+  /**
+   * Synced entries of storage.sync (null: nothing synced), error when chunks are incomplete (written by other device)
+   */
+  async readRemote() {
+    let data = await UserSettings.storageCall('sync', 'get', this.META_KEY);
+    let meta = data[this.META_KEY];
+    if (!meta)
+      return null;
+    let chunk_keys = Array.from({length: meta.chunks}, (x, i) => this.CHUNK_PREFIX + i);
+    let chunks = await UserSettings.storageCall('sync', 'get', chunk_keys);
+    let text = chunk_keys.map(key => chunks[key] || '').join('');
+    if (SettingsSync.hash(text) !== meta.hash)
+      throw Object.assign(new Error('Synced data incomplete (sync in progress)'), {retry: true});
+    let bundle = JSON.parse((meta.encoding === 'deflate-raw') ? await SettingsSync.decompress(text) : text);
+    return {meta: meta, data: bundle.data};
+  }
+
+  /**
+   * Write bundle as chunks (within quota: other keys of storage.sync included), stale chunks are removed
+   */
+  async writeRemote(data, meta_old) {
+    let json = JSON.stringify({v: 1, data: data});
+    let encoding = (typeof CompressionStream === 'function') ? 'deflate-raw' : 'json';
+    let text = (encoding === 'deflate-raw') ? await SettingsSync.compress(json) : json;
+    let hash = SettingsSync.hash(text);
+    if (meta_old && meta_old.hash === hash)
+      return meta_old;
+    let items = {};
+    let chunks = Math.ceil(text.length / this.chunkSize);
+    for (let i = 0; i < chunks; i++)
+      items[this.CHUNK_PREFIX + i] = text.slice(i * this.chunkSize, (i + 1) * this.chunkSize);
+    let meta = {device: this.device, time: Date.now(), chunks: chunks, encoding: encoding, hash: hash, bytes: 0};
+    let other = await UserSettings.storageCall('sync', 'get', null);
+    let other_bytes = Object.keys(other).filter(key => !key.startsWith(this.CHUNK_PREFIX)).reduce((sum, key) => sum + SettingsSync.itemBytes(key, other[key]), 0);
+    meta.bytes = Object.keys(items).reduce((sum, key) => sum + SettingsSync.itemBytes(key, items[key]), 0) + SettingsSync.itemBytes(this.META_KEY, meta);
+    if (meta.bytes + other_bytes > this.quotaBytes)
+      throw new Error(`Sync quota exceeded (${meta.bytes + other_bytes} of ${this.quotaBytes} bytes, custom sites: ${SettingsSync.itemBytes('', data.sites_custom.entries)} bytes)`);
+    items[this.META_KEY] = meta;
+    await UserSettings.storageCall('sync', 'set', items);
+    let stale = [];
+    for (let i = chunks; meta_old && i < meta_old.chunks; i++)
+      stale.push(this.CHUNK_PREFIX + i);
+    if (stale.length)
+      await UserSettings.storageCall('sync', 'remove', stale);
+    return meta;
+  }
+
+  /**
+   * Merge synced & local entries, write changes to storage.local & storage.sync
+   * Returns status: {enabled, time, pulled (changed keys), pushed, bytes, chunks, error}
+   */
+  sync() {
+    if (!this.syncing)
+      this.syncing = this.run().finally(() => this.syncing = null);
+    return this.syncing;
+  }
+
+  async run() {
+    clearTimeout(this.syncTimer);
+    if (!this.enabled)
+      return {enabled: false};
+    let status = {enabled: true, time: Date.now(), pulled: [], pushed: false, bytes: 0, quota: this.quotaBytes, chunks: 0, error: ''};
+    try {
+      let remote = await this.readRemote();
+      let local = await this.readLocal();
+      let merged = this.merge(local, remote ? remote.data : {});
+      status.pulled = await this.writeLocal(local, merged);
+      let meta = await this.writeRemote(merged, remote && remote.meta);
+      status.pushed = !remote || meta !== remote.meta;
+      status.bytes = meta.bytes;
+      status.chunks = meta.chunks;
+      logger.info('general', `Sync: ${status.pulled.length ? 'updated ' + status.pulled.join(', ') : 'no local changes'}${status.pushed ? ', synced data updated' : ''} (${meta.bytes} bytes)`);
+    } catch (e) {
+      status.error = e.message;
+      logger.error('general', 'Sync failed', e);
+      if (e.retry)
+        this.scheduleSync();
+    }
+    await this.saveStatus(status);
+    return status;
+  }
+
+  scheduleSync() {
+    clearTimeout(this.syncTimer);
+    this.syncTimer = setTimeout(() => this.sync(), this.syncDelay);
+  }
+
+  async saveState() {
+    try {
+      await UserSettings.storageCall('local', 'set', {[this.STATE_KEY]: this.state});
+    } catch (e) {
+      logger.error('general', 'Failed to save sync state', e);
+    }
+  }
+
+  async saveStatus(status) {
+    try {
+      await UserSettings.storageCall('local', 'set', {[this.STATUS_KEY]: status});
+    } catch (e) {
+      logger.error('general', 'Failed to save sync status', e);
+    }
+  }
+
+  /**
+   * Bytes of item in storage.sync (quota: key & json of value)
+   */
+  static itemBytes(key, value) {
+    return key.length + new TextEncoder().encode(JSON.stringify(value)).length;
+  }
+
+  /**
+   * Hash of text (FNV-1a, 32 bit)
+   */
+  static hash(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16);
+  }
+
+  static async compress(text) {
+    let stream = new Blob([text]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    let bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000)
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    return btoa(binary);
+  }
+
+  static async decompress(base64) {
+    let bytes = Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+    let stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Response(stream).text();
+  }
+}
+
+// Global settings sync instance
+if (typeof window !== 'undefined') {
+  window.settingsSync = new SettingsSync();
+} else if (typeof self !== 'undefined') {
+  self.settingsSync = new SettingsSync();
+}
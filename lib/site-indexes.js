@@ -15,6 +15,9 @@ class SiteIndexes {
     this.blockRules = new Map();           // domain → compiled regex array
     this.restrictionMap = new Map();       // domain → compiled restriction regex
 
+    // Domain lists of background.js (enabled/disabled/excluded/nofix, default/custom/updated, rules)
+    this.domainLists = new Map();          // list name → HostnameTrie of domains
+
     // Tracking
     this.totalSites = 0;
     this.indexedDomains = new Set();
@@ -57,7 +60,7 @@ class SiteIndexes {
       perfMonitor.recordIndexBuild(buildTime);
     }
 
-    console.log(`[BPC] Indexed ${this.totalSites} sites in ${buildTime.toFixed(2)}ms`);
+    logger.info('rules', `Indexed ${this.totalSites} sites in ${buildTime.toFixed(2)}ms`);
   }
 
   /**
@@ -171,6 +174,76 @@ class SiteIndexes {
     return false;
   }
 
+  /**
+   * Set domain lists (list name → array of domains), replaces lists with the same name
+   */
+  setDomainLists(lists) {
+    for (let [name, domains] of Object.entries(lists)) {
+      this.domainLists.set(name, hostnameMatcher.createTrie(domains || []));
+    }
+  }
+
+  /**
+   * Check if domain list has domain (exact match)
+   */
+  listHas(name, domain) {
+    let list = this.domainLists.get(name);
+    return !!(list && list.has(domain));
+  }
+
+  /**
+   * Match hostname (or subdomain) in domain list(s), returns most specific matched domain or false
+   * Lookup per label in reversed-label trie: uk → co → example → www
+   */
+  matchHostname(names, hostname = '') {
+    if (!hostname) return false;
+    let matched_domain = false;
+    for (let name of [].concat(names)) {
+      let list = this.domainLists.get(name);
+      let domain = list && list.size && list.match(hostname);
+      if (domain && (!matched_domain || domain.length > matched_domain.length)) {
+        matched_domain = domain;
+      }
+    }
+    return matched_domain;
+  }
+
+  /**
+   * Match hostname of url in domain list(s)
+   */
+  matchUrl(names, url) {
+    return this.matchHostname(names, this.urlHostname(url));
+  }
+
+  /**
+   * Hostname of url (or url when no http(s) url)
+   */
+  urlHostname(url = '') {
+    return hostnameMatcher.urlHost(url);
+  }
+
+  /**
+   * Get state of site for url: matched domain, enabled/disabled/nofix, excluded & source (default/custom/updated)
+   */
+  getSiteState(url) {
+    let hostname = this.urlHostname(url);
+    let state = {
+      domain: this.matchHostname(['enabled', 'disabled', 'nofix'], hostname),
+      enabled: !!this.matchHostname('enabled', hostname),
+      disabled: !!this.matchHostname('disabled', hostname),
+      nofix: !!this.matchHostname('nofix', hostname),
+      excluded: !!this.matchHostname('excluded', hostname),
+      source: ''
+    };
+    for (let source of ['custom', 'updated', 'default']) {
+      if (this.matchHostname(source, hostname)) {
+        state.source = source;
+        break;
+      }
+    }
+    return state;
+  }
+
   /**
    * Get index statistics
    */
@@ -182,7 +255,8 @@ class SiteIndexes {
       groups: this.groupConfigs.size,
       botUserAgents: this.botUserAgents.size,
       cookieRules: this.cookieRules.size,
-      blockRules: this.blockRules.size
+      blockRules: this.blockRules.size,
+      domainLists: Object.fromEntries([...this.domainLists].map(([name, list]) => [name, list.size]))
     };
   }
 
@@ -198,6 +272,7 @@ class SiteIndexes {
     this.blockRules.clear();
     this.restrictionMap.clear();
     this.indexedDomains.clear();
+    this.domainLists.clear();
     this.totalSites = 0;
   }
 }
@@ -0,0 +1,386 @@
+/**
+ * SiteSchema - Formal schema for site rule objects
+ * Covers defaultSites (sites.js), sites_updated.json and sites_custom (options_custom.js)
+ */
+
+// Pipe-delimited selector fields (required|optional) per rule key
+const sitePipeFields = {
+  ld_json: ['paywall_sel', 'article_sel', '[article_append]', '[article_hold]'],
+  ld_json_next: ['paywall_sel', 'article_sel', '[article_append]', '[article_hold]'],
+  ld_json_source: ['paywall_sel', 'article_sel', 'filter', 'json_key', '[article_append]', '[article_hold]'],
+  ld_json_url: ['paywall_sel', 'article_sel', '[article_append]', '[article_hold]', '[article_id_sel]', '[key]'],
+  ld_archive_is: ['paywall_sel', 'article_sel', '[article_src_sel]', '[article_link_sel]'],
+  ld_och_to_unlock: ['paywall_sel', 'article_sel', '[article_src_sel]'],
+  add_ext_link: ['paywall_sel', 'article_sel'],
+  amp_redirect: ['paywall_sel', '[amp_url]']
+};
+
+// Object form of selector fields (alternative to pipe-delimited string)
+const siteSelectorFields = {
+  ld_json: ['paywall', 'article', '[append]', '[hold]'],
+  ld_json_next: ['paywall', 'article', '[append]', '[hold]'],
+  ld_json_source: ['paywall', 'article', 'filter', 'key', '[append]', '[hold]'],
+  ld_json_url: ['paywall', 'article', '[append]', '[hold]', '[idSelector]', '[key]'],
+  ld_archive_is: ['paywall', 'article', '[source]', '[link]'],
+  ld_och_to_unlock: ['paywall', 'article', '[source]'],
+  add_ext_link: ['paywall', 'article']
+};
+
+function siteSelectorRule(key) {
+  let fields = siteSelectorFields[key];
+  let properties = {};
+  for (let field of fields.map(x => x.replace(/[\[\]]/g, ''))) {
+    if (['append', 'hold'].includes(field))
+      properties[field] = {type: ['boolean', 'integer', 'string']};
+    else
+      properties[field] = {type: 'string', format: ['paywall', 'article', 'source', 'link', 'idSelector'].includes(field) ? 'selector' : ''};
+  }
+  return {
+    type: ['string', 'object'],
+    pipeFields: sitePipeFields[key],
+    required: fields.filter(x => !x.startsWith('[')),
+    additionalProperties: false,
+    properties
+  };
+}
+
+const siteFlag = {type: 'integer', minimum: 0};
+const siteRegex = {type: ['regexp', 'string'], format: 'regex'};
+const siteDomainList = {type: 'array', items: {type: 'string', format: 'hostname'}};
+const sitePathList = {type: 'array', items: {type: 'string', format: 'path'}};
+
+const siteRuleSchema = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  $id: 'bpc-site-rule',
+  title: 'Bypass Paywalls Clean site rule',
+  type: 'object',
+  required: ['domain'],
+  additionalProperties: false,
+  properties: {
+    domain: {type: 'string', format: 'site-domain'},
+    group: {type: ['array', 'string'], items: {type: 'string', format: 'hostname'}, format: 'hostname-list'},
+    group_rule: {type: 'string'},
+    group_rule_domains: siteDomainList,
+    exception: {type: 'array', items: {$ref: '#/definitions/exception'}},
+    nofix: siteFlag,
+    upd_version: {type: 'string', pattern: '^\\d+(\\.\\d+)*$'},
+    include_paths: sitePathList,
+    exclude_paths: sitePathList,
+    // cookies
+    allow_cookies: siteFlag,
+    remove_cookies: siteFlag,
+    remove_cookies_select_drop: {type: 'array', items: {type: 'string'}},
+    remove_cookies_select_hold: {type: 'array', items: {type: 'string'}},
+    cs_clear_lclstrg: siteFlag,
+    // blocking
+    block_regex: siteRegex,
+    block_regex_general: siteRegex,
+    block_regex_ignore_default: siteFlag,
+    block_js_inline: siteRegex,
+    block_js: siteFlag,
+    block_js_ext: siteFlag,
+    block_host_perm_add: {type: 'string', format: 'hostname-list'},
+    excluded_domains: siteDomainList,
+    // headers
+    useragent: {type: 'string', enum: ['googlebot', 'bingbot', 'facebookbot']},
+    useragent_custom: {type: 'string'},
+    useragent_include_paths: sitePathList,
+    useragent_exclude_paths: sitePathList,
+    useragent_mobile: {type: 'string', enum: ['desktop', 'none']},
+    googlebot: siteFlag,
+    referer: {type: 'string', enum: ['facebook', 'google', 'twitter']},
+    referer_custom: {type: 'string'},
+    random_ip: {type: 'string', enum: ['all', 'eu']},
+    // content script
+    cs_block: siteFlag,
+    cs_dompurify: siteFlag,
+    cs_code: {$ref: '#/definitions/cs_code'},
+    amp_unhide: siteFlag,
+    amp_redirect: {type: 'string', pipeFields: sitePipeFields.amp_redirect},
+    ld_json: siteSelectorRule('ld_json'),
+    ld_json_next: siteSelectorRule('ld_json_next'),
+    ld_json_source: siteSelectorRule('ld_json_source'),
+    ld_json_url: siteSelectorRule('ld_json_url'),
+    ld_archive_is: siteSelectorRule('ld_archive_is'),
+    ld_och_to_unlock: siteSelectorRule('ld_och_to_unlock'),
+    add_ext_link: siteSelectorRule('add_ext_link'),
+    add_ext_link_type: {type: 'string', enum: ['archive.is', 'google_search_tool']}
+  },
+  dependencies: {
+    add_ext_link: ['add_ext_link_type'],
+    add_ext_link_type: ['add_ext_link']
+  },
+  definitions: {
+    exception: {
+      type: 'object',
+      required: ['domain'],
+      properties: {
+        domain: {type: ['string', 'array'], items: {type: 'string', format: 'hostname'}}
+      },
+      $extends: '#'
+    },
+    // version 1: list of actions, version 2: {version: 2, delay, observe, actions} (json string or value)
+    cs_code: {
+      type: ['array', 'object', 'string'],
+      format: 'json',
+      items: {$ref: '#/definitions/cs_code_action'},
+      required: ['version', 'actions'],
+      additionalProperties: false,
+      properties: {
+        version: {type: 'integer', enum: [2]},
+        delay: {type: 'integer', minimum: 0},
+        observe: siteFlag,
+        actions: {type: 'array', items: {$ref: '#/definitions/cs_code_action'}}
+      }
+    },
+    cs_code_action: {
+      type: 'object',
+      required: ['cond'],
+      additionalProperties: false,
+      properties: {
+        cond: {type: 'string', format: 'selector'},
+        rm_elem: siteFlag,
+        rm_elem_wait: siteFlag,
+        rm_class: {type: 'string'},
+        rm_class_prefix: {type: 'string'},
+        rm_attrib: {type: 'string'},
+        set_attrib: {type: 'string', pipeFields: ['attrib', 'value']},
+        hide: siteFlag,
+        style: {type: 'string'},
+        move: {type: 'string', pipeFields: ['target_sel', '[position]']},
+        run: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            ld_json: siteSelectorRule('ld_json'),
+            ld_json_next: siteSelectorRule('ld_json_next'),
+            ld_json_source: siteSelectorRule('ld_json_source'),
+            ld_json_url: siteSelectorRule('ld_json_url'),
+            ld_archive_is: siteSelectorRule('ld_archive_is'),
+            ld_och_to_unlock: siteSelectorRule('ld_och_to_unlock')
+          }
+        },
+        elems: {type: 'array', items: {$ref: '#/definitions/cs_code_action'}}
+      }
+    }
+  }
+};
+
+class SiteValidator {
+  constructor(schema = siteRuleSchema) {
+    this.schema = schema;
+  }
+
+  /**
+   * Validate one site rule, returns array of {site, field, message}
+   */
+  validateRule(rule, title = '') {
+    let errors = [];
+    // separators & option entries (###, #options_...) carry no rules
+    if (rule && typeof rule.domain === 'string' && rule.domain.match(/^(###$|#options_)/))
+      return errors;
+    this.validateValue(rule, this.schema, '', errors);
+    return errors.map(err => ({site: title, field: err.field, message: err.message}));
+  }
+
+  /**
+   * Validate an object of site rules keyed by title
+   */
+  validateSites(sites) {
+    let errors = [];
+    if (!sites || typeof sites !== 'object' || Array.isArray(sites))
+      return [{site: '', field: '', message: 'sites must be an object (title: rule)'}];
+    for (let title in sites)
+      errors = errors.concat(this.validateRule(sites[title], title));
+    return errors;
+  }
+
+  /**
+   * Split sites into valid & invalid (by title)
+   */
+  filterValid(sites) {
+    let errors = this.validateSites(sites);
+    let invalid = [...new Set(errors.map(err => err.site))];
+    let valid = {};
+    for (let title in sites) {
+      if (!invalid.includes(title))
+        valid[title] = sites[title];
+    }
+    return {valid, invalid, errors};
+  }
+
+  /**
+   * Human readable error lines
+   */
+  formatErrors(errors) {
+    return errors.map(err => (err.site ? err.site + ': ' : '') + (err.field ? err.field + ' ' : '') + err.message);
+  }
+
+  resolveRef(ref) {
+    if (ref === '#')
+      return this.schema;
+    return ref.replace(/^#\//, '').split('/').reduce((obj, key) => obj && obj[key], this.schema);
+  }
+
+  /**
+   * Merge $extends (base properties with local overrides)
+   */
+  resolveSchema(schema) {
+    if (schema.$ref)
+      return this.resolveSchema(this.resolveRef(schema.$ref));
+    if (schema.$extends) {
+      let base = this.resolveRef(schema.$extends);
+      let merged = Object.assign({}, base, schema);
+      merged.properties = Object.assign({}, base.properties, schema.properties);
+      merged.required = schema.required || base.required;
+      delete merged.$extends;
+      return merged;
+    }
+    return schema;
+  }
+
+  typeOf(value) {
+    if (Object.prototype.toString.call(value) === '[object RegExp]')
+      return 'regexp';
+    if (Array.isArray(value))
+      return 'array';
+    if (value === null)
+      return 'null';
+    if (Number.isInteger(value))
+      return 'integer';
+    return typeof value;
+  }
+
+  validateValue(value, schema, field, errors) {
+    schema = this.resolveSchema(schema);
+    let value_type = this.typeOf(value);
+    if (schema.type) {
+      let types = [].concat(schema.type);
+      let type_ok = types.includes(value_type) || (value_type === 'integer' && types.includes('number'));
+      if (!type_ok) {
+        errors.push({field, message: 'must be of type ' + types.join('|') + ' (not ' + value_type + ')'});
+        return;
+      }
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push({field, message: 'must be one of: ' + schema.enum.join(', ')});
+      return;
+    }
+    if (typeof schema.minimum === 'number' && typeof value === 'number' && value < schema.minimum)
+      errors.push({field, message: 'must be >= ' + schema.minimum});
+    if (schema.pattern && typeof value === 'string' && !new RegExp(schema.pattern).test(value))
+      errors.push({field, message: 'must match ' + schema.pattern});
+    if (schema.format)
+      this.validateFormat(value, schema.format, field, errors, schema);
+    if (schema.pipeFields && typeof value === 'string')
+      this.validatePipeFields(value, schema.pipeFields, field, errors);
+    if (value_type === 'array' && schema.items) {
+      value.forEach((item, index) => this.validateValue(item, schema.items, field + '[' + index + ']', errors));
+    }
+    if (value_type === 'object')
+      this.validateObject(value, schema, field, errors);
+  }
+
+  validateObject(obj, schema, field, errors) {
+    let prefix = field ? field + '.' : '';
+    for (let key of (schema.required || [])) {
+      if (!obj.hasOwnProperty(key))
+        errors.push({field: prefix + key, message: 'is required'});
+    }
+    let properties = schema.properties || {};
+    for (let key in obj) {
+      if (properties.hasOwnProperty(key))
+        this.validateValue(obj[key], properties[key], prefix + key, errors);
+      else if (schema.additionalProperties === false)
+        errors.push({field: prefix + key, message: prefix ? 'is not a known field' : 'is not a known rule key'});
+    }
+    for (let key in (schema.dependencies || {})) {
+      if (obj.hasOwnProperty(key)) {
+        for (let dep of schema.dependencies[key]) {
+          if (!obj.hasOwnProperty(dep))
+            errors.push({field: prefix + key, message: 'needs ' + dep});
+        }
+      }
+    }
+  }
+
+  validatePipeFields(value, fields, field, errors) {
+    let required = fields.filter(x => !x.startsWith('['));
+    let parts = value.split('|');
+    if (parts.length < required.length || required.some((x, index) => !parts[index])) {
+      errors.push({field, message: 'needs ' + required.join('|') + (required.length < fields.length ? ' (optional: ' + fields.filter(x => x.startsWith('[')).map(x => x.replace(/[\[\]]/g, '')).join('|') + ')' : '')});
+      return;
+    }
+    if (parts.length > fields.length)
+      errors.push({field, message: 'has too many fields (max. ' + fields.length + ': ' + fields.map(x => x.replace(/[\[\]]/g, '')).join('|') + ')'});
+    fields.forEach((name, index) => {
+      if (parts[index] && name.endsWith('_sel') && !this.isSelector(parts[index]))
+        errors.push({field, message: name + ' is not a valid css-selector: ' + parts[index]});
+    });
+  }
+
+  validateFormat(value, format, field, errors, schema) {
+    switch (format) {
+    case 'regex':
+      if (typeof value === 'string') {
+        try {
+          new RegExp(value.replace(/{domain}/g, 'example\\.com').replace(/^\//, '').replace(/([^\\])\/$/, '$1'));
+        } catch (e) {
+          errors.push({field, message: 'is not a valid regex: ' + e.message});
+        }
+      }
+      break;
+    case 'json':
+      if (typeof value === 'string') {
+        try {
+          let json = JSON.parse(value);
+          let json_schema = Object.assign({}, schema, {type: [].concat(schema.type).filter(x => x !== 'string'), format: ''});
+          this.validateValue(json, json_schema, field, errors);
+        } catch (e) {
+          errors.push({field, message: 'is not valid json: ' + e.message});
+        }
+      }
+      break;
+    case 'site-domain':
+      if (!value.match(/^(###|#options_|group_)/))
+        this.validateFormat(value, 'hostname', field, errors);
+      break;
+    case 'hostname':
+      if (typeof value === 'string' && !value.match(/^([a-z0-9]([a-z0-9_-]*[a-z0-9])?\.)+[a-z0-9-]{2,}$/))
+        errors.push({field, message: 'is not a valid domain: ' + value});
+      break;
+    case 'hostname-list':
+      if (typeof value === 'string') {
+        for (let domain of value.split(',').map(x => x.trim()).filter(x => x))
+          this.validateFormat(domain, 'hostname', field, errors);
+      }
+      break;
+    case 'path':
+      if (typeof value === 'string' && !(value && value.match(/^([a-z0-9*{}_-]+(\.[a-z0-9*{}_-]+)+)?(\/[^\s#|]*\|?)?$/)))
+        errors.push({field, message: 'is not a valid url path ([host]/path, * wildcard, | end of url): ' + value});
+      break;
+    case 'selector':
+      if (!this.isSelector(value))
+        errors.push({field, message: 'is not a valid css-selector: ' + value});
+      break;
+    }
+  }
+
+  isSelector(sel) {
+    if (typeof document === 'undefined')
+      return true;
+    try {
+      document.createDocumentFragment().querySelector(sel);
+    } catch (e) {
+      return false;
+    }
+    return true;
+  }
+}
+
+// Create global instance
+if (typeof window !== 'undefined') {
+  window.siteValidator = new SiteValidator();
+} else if (typeof self !== 'undefined') {
+  self.siteValidator = new SiteValidator();
+}
@@ -0,0 +1,89 @@
+/**
+ * TabDiagnostics - What BPC did for the page of a tab (popup: diagnostics & copy report)
+ * Collected in background.js per tab (reset on navigation & new route): flex group (contentScript_once.js),
+ * changed headers (manifest v2), removed cookies & external fetches (ld_*, archive.is); matched rule & DNR rules are added on request
+ */
+class TabDiagnostics {
+  constructor(maxEntries = 50) {
+    this.tabs = new Map(); // tabId → diagnostics
+    this.maxEntries = maxEntries;
+  }
+
+  /**
+   * New page (or route) of tab (time: start of page for matched DNR rules)
+   */
+  reset(tabId, url, time = Date.now()) {
+    let diag = {
+      url: url,
+      time: time,
+      flex_group: '',
+      headers: [],
+      cookies: [],
+      fetches: []
+    };
+    this.tabs.set(tabId, diag);
+    return diag;
+  }
+
+  /**
+   * Diagnostics of tab (created when missing, e.g. after restart of service worker)
+   */
+  get(tabId, url = '') {
+    return this.tabs.get(tabId) || this.reset(tabId, url, 0);
+  }
+
+  set(tabId, key, value) {
+    if (tabId === undefined || tabId < 0)
+      return;
+    this.get(tabId)[key] = value;
+  }
+
+  /**
+   * Add entry to list of tab (without duplicates, max entries)
+   */
+  add(tabId, key, entry) {
+    if (tabId === undefined || tabId < 0)
+      return;
+    let list = this.get(tabId)[key];
+    let entry_json = JSON.stringify(entry);
+    if (list.length < this.maxEntries && !list.some(x => JSON.stringify(x) === entry_json))
+      list.push(entry);
+  }
+
+  remove(tabId) {
+    this.tabs.delete(tabId);
+  }
+
+  /**
+   * Text report for support (popup: copy report)
+   */
+  static formatReport(diag) {
+    let lines = [];
+    let list = (title, items) => {
+      lines.push(title + ': ' + (items.length ? '' : 'none'));
+      for (let item of items)
+        lines.push('  - ' + item);
+    };
+    lines.push('BPC ' + (diag.version || '') + ' (' + (diag.browser || '') + ', manifest v' + (diag.manifest_version || '') + ')');
+    lines.push('url: ' + diag.url);
+    if (diag.rule)
+      lines.push('rule: ' + diag.rule.domain + ' (' + diag.rule.source + ')' + (diag.rule.enabled ? '' : ' disabled') + (diag.rule.path_excluded ? ' page excluded' : ''));
+    else
+      lines.push('rule: none');
+    lines.push('flex group: ' + (diag.flex_group || 'none'));
+    lines.push('site module: ' + (diag.site_module || 'none'));
+    lines.push('content rules: ' + ((diag.content_rules && diag.content_rules.length) ? diag.content_rules.join(', ') : 'none'));
+    list('DNR rules matched', (diag.dnr_rules || []).map(x => x.rule_id + ' (' + x.ruleset + ')' + (x.domain ? ' ' + x.domain + ' ' + x.type : '')));
+    list('headers changed', diag.headers || []);
+    list('cookies removed', diag.cookies || []);
+    list('fetches', (diag.fetches || []).map(x => x.type + ' ' + (x.ok ? 'ok' : 'failed') + (x.url ? ' ' + x.url : '')));
+    return lines.join('\n');
+  }
+}
+
+// Global tab diagnostics instance
+if (typeof window !== 'undefined') {
+  window.tabDiagnostics = new TabDiagnostics();
+} else if (typeof self !== 'undefined') {
+  self.tabDiagnostics = new TabDiagnostics();
+}
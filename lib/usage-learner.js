@@ -1,71 +1,102 @@
 /**
  * UsageLearner - Tracks site visit frequency and auto-promotes frequently visited sites to core
  * Provides adaptive performance optimization based on actual usage patterns
+ * Score of site decays over time (half-life), sites not visited within retention window are removed
+ * Only domains of default sites are tracked (no urls), opt-out by performance.usageLearning (stored data removed)
+ * Promoted sites: chunks preloaded & static rulesets enabled at startup (background-init.js)
  */
 class UsageLearner {
-  constructor(promotionThreshold = 5) {
-    this.visitCounts = new Map();
+  constructor(promotionThreshold = 5, options = {}) {
+    this.visits = new Map();          // domain → {score, last}
     this.promotionThreshold = promotionThreshold;
+    this.halfLife = options.halfLife || 14 * 24 * 60 * 60 * 1000;     // 14 days
+    this.retention = options.retention || 90 * 24 * 60 * 60 * 1000;   // 90 days
     this.promotedSites = new Set();
     this.enabled = true;
+    this.saveTimer = null;
   }
 
   /**
-   * Initialize from stored data
+   * Initialize from stored data (visit counts of older versions: migration step 4)
    */
   async init() {
+    if (!this.enabled) return;
     try {
-      let data = await ext_api.storage.local.get(['usageData', 'promotedSites']);
-
-      if (data.usageData) {
-        this.visitCounts = new Map(Object.entries(data.usageData));
-      }
+      let data = await ext_api.storage.local.get('usageData');
+      let now = Date.now();
 
-      if (data.promotedSites) {
-        this.promotedSites = new Set(data.promotedSites);
+      for (let [domain, visit] of Object.entries(data.usageData || {})) {
+        if (visit && visit.last)
+          this.visits.set(domain, visit);
       }
 
-      console.log(`[BPC] Usage learner initialized: ${this.visitCounts.size} tracked sites, ${this.promotedSites.size} promoted`);
+      this.prune(now);
+      this.updatePromoted(now);
+      logger.info('general', `Usage learner initialized: ${this.visits.size} tracked sites, ${this.promotedSites.size} promoted`);
     } catch (e) {
-      console.error('[BPC] Failed to load usage data:', e);
+      logger.error('general', 'Failed to load usage data', e);
     }
   }
 
+  /**
+   * Score of domain at time (decayed since last visit)
+   */
+  getScore(domain, now = Date.now()) {
+    let visit = this.visits.get(domain);
+    if (!visit) return 0;
+    return visit.score * Math.pow(0.5, Math.max(0, now - visit.last) / this.halfLife);
+  }
+
   /**
    * Track a site visit
    */
   async trackVisit(domain) {
-    if (!this.enabled) return;
+    if (!this.enabled || !domain) return;
 
-    let count = (this.visitCounts.get(domain) || 0) + 1;
-    this.visitCounts.set(domain, count);
+    let now = Date.now();
+    let score = this.getScore(domain, now) + 1;
+    this.visits.set(domain, {score: Math.round(score * 1000) / 1000, last: now});
 
     // Check for promotion
-    if (count >= this.promotionThreshold && !this.promotedSites.has(domain)) {
-      await this.promoteToCore(domain);
+    if (score >= this.promotionThreshold && !this.promotedSites.has(domain)) {
+      this.promoteToCore(domain);
     }
 
-    // Persist periodically (every 10 visits to reduce storage writes)
-    if (count % 10 === 0) {
-      await this.persist();
-    }
+    this.scheduleSave();
   }
 
   /**
-   * Promote a domain to core (keep loaded in memory)
+   * Promote a domain to core (chunk preloaded at startup)
    */
-  async promoteToCore(domain) {
-    console.log(`[BPC] Promoting ${domain} to core (${this.visitCounts.get(domain)} visits)`);
-
+  promoteToCore(domain) {
+    logger.info('general', `Promoting ${domain} to core (score ${this.getScore(domain).toFixed(2)})`);
     this.promotedSites.add(domain);
+  }
 
-    // Store promoted status
-    try {
-      await ext_api.storage.local.set({
-        promotedSites: Array.from(this.promotedSites)
-      });
-    } catch (e) {
-      console.error('[BPC] Failed to save promoted sites:', e);
+  /**
+   * Promoted sites by current score (sites below half of threshold are demoted)
+   */
+  updatePromoted(now = Date.now()) {
+    for (let domain of this.visits.keys()) {
+      let score = this.getScore(domain, now);
+      if (score >= this.promotionThreshold)
+        this.promotedSites.add(domain);
+      else if (score < this.promotionThreshold / 2 && this.promotedSites.delete(domain))
+        logger.info('general', `Demoting ${domain} (score ${score.toFixed(2)})`);
+    }
+    for (let domain of this.promotedSites) {
+      if (!this.visits.has(domain))
+        this.promotedSites.delete(domain);
+    }
+  }
+
+  /**
+   * Remove sites not visited within retention window (or with score near 0)
+   */
+  prune(now = Date.now()) {
+    for (let [domain, visit] of this.visits) {
+      if (now - visit.last > this.retention || this.getScore(domain, now) < 0.05)
+        this.visits.delete(domain);
     }
   }
 
@@ -76,72 +107,105 @@ class UsageLearner {
     return this.promotedSites.has(domain);
   }
 
+  getPromotedSites() {
+    return Array.from(this.promotedSites);
+  }
+
   /**
-   * Get visit count for a domain
+   * Get top visited sites (by current score)
    */
-  getVisitCount(domain) {
-    return this.visitCounts.get(domain) || 0;
+  getTopSites(limit = 20) {
+    let now = Date.now();
+    return Array.from(this.visits.entries())
+      .map(([domain, visit]) => ({domain, score: Math.round(this.getScore(domain, now) * 100) / 100, last: visit.last, promoted: this.promotedSites.has(domain)}))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
   }
 
   /**
-   * Get top visited sites
+   * Forget a site (visits & promotion)
    */
-  getTopSites(limit = 20) {
-    return Array.from(this.visitCounts.entries())
-      .sort((a, b) => b[1] - a[1])
-      .slice(0, limit)
-      .map(([domain, count]) => ({ domain, count }));
+  async forget(domain) {
+    this.visits.delete(domain);
+    this.promotedSites.delete(domain);
+    logger.info('general', `Usage data of ${domain} removed`);
+    await this.persist();
+  }
+
+  scheduleSave() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => this.persist(), 10000);
   }
 
   /**
    * Persist usage data to storage
    */
   async persist() {
+    clearTimeout(this.saveTimer);
+    if (!this.enabled) return;
+    this.prune();
     try {
       await ext_api.storage.local.set({
-        usageData: Object.fromEntries(this.visitCounts),
-        promotedSites: Array.from(this.promotedSites)
+        usageData: Object.fromEntries(this.visits)
       });
     } catch (e) {
-      console.error('[BPC] Failed to persist usage data:', e);
+      logger.error('general', 'Failed to persist usage data', e);
     }
   }
 
   /**
-   * Enable/disable usage learning
+   * Enable/disable usage learning (disable: stored usage data is removed)
    */
-  setEnabled(enabled) {
+  async setEnabled(enabled) {
+    if (this.enabled === enabled) return;
     this.enabled = enabled;
-    console.log(`[BPC] Usage learning ${enabled ? 'enabled' : 'disabled'}`);
+    logger.info('general', `Usage learning ${enabled ? 'enabled' : 'disabled'}`);
+    if (!enabled)
+      await this.reset();
   }
 
   /**
    * Reset all usage data
    */
   async reset() {
-    this.visitCounts.clear();
+    clearTimeout(this.saveTimer);
+    this.visits.clear();
     this.promotedSites.clear();
 
     try {
       await ext_api.storage.local.remove(['usageData', 'promotedSites']);
-      console.log('[BPC] Usage data reset');
+      logger.info('general', 'Usage data reset');
     } catch (e) {
-      console.error('[BPC] Failed to reset usage data:', e);
+      logger.error('general', 'Failed to reset usage data', e);
     }
   }
 
+  /**
+   * Reload usage data from storage (restored backup)
+   */
+  async reload() {
+    clearTimeout(this.saveTimer);
+    this.visits.clear();
+    this.promotedSites.clear();
+    await this.init();
+  }
+
   /**
    * Get statistics
    */
   getStats() {
-    let totalVisits = Array.from(this.visitCounts.values()).reduce((a, b) => a + b, 0);
+    let now = Date.now();
+    let totalScore = Array.from(this.visits.keys()).reduce((sum, domain) => sum + this.getScore(domain, now), 0);
 
     return {
-      trackedSites: this.visitCounts.size,
+      enabled: this.enabled,
+      trackedSites: this.visits.size,
       promotedSites: this.promotedSites.size,
-      totalVisits: totalVisits,
-      avgVisitsPerSite: this.visitCounts.size > 0 ? (totalVisits / this.visitCounts.size).toFixed(2) : 0,
-      promotionThreshold: this.promotionThreshold
+      totalScore: totalScore.toFixed(2),
+      avgScorePerSite: this.visits.size > 0 ? (totalScore / this.visits.size).toFixed(2) : 0,
+      promotionThreshold: this.promotionThreshold,
+      halfLifeDays: this.halfLife / (24 * 60 * 60 * 1000),
+      retentionDays: this.retention / (24 * 60 * 60 * 1000)
     };
   }
 }
@@ -1,20 +1,34 @@
 /**
  * UserSettings - Manages extension settings with sync support
  * Handles feature toggles, per-site overrides, performance settings
+ * Settings service of background, popup & options pages: owns userSettings (storage.sync), enabled sites (storage.local.sites)
+ * & excluded sites (storage.local.sites_excluded), change listeners are called for changes of any context (storage.onChanged)
  */
 class UserSettings {
   constructor() {
-    this.settings = {
+    this.settings = UserSettings.defaults();
+    this.sites = {};            // title → domain (enabled sites, groups & #options_ flags)
+    this.excludedSites = [];    // domains
+    this.listeners = [];        // called with (key, newValue, oldValue): userSettings, sites or sites_excluded
+    this.loaded = false;
+    this.ready = null;
+  }
+
+  /**
+   * Default settings
+   */
+  static defaults() {
+    return {
       features: {
-        mediumRedirect: false,
+        mediumRedirect: true,
         mediumRedirectTarget: 'freedium', // 'freedium' | 'scribe'
-        ampRedirect: false,
-        archiveRedirect: false,
+        ampRedirect: true,
+        archiveRedirect: true,
         autoBypass: true
       },
 
       siteOverrides: {
-        // domain → { disabled: boolean, redirect: boolean }
+        // domain → { feature: value } (features of site, e.g. { ampRedirect: false })
       },
 
       preferredRegion: 'global', // Will be auto-detected
@@ -24,16 +38,38 @@ class UserSettings {
         preloadCore: true
       }
     };
+  }
 
-    this.loaded = false;
+  /**
+   * Call of storage area (get, set or remove) in callback form (chrome.* api returns promises only in manifest v3),
+   * rejected with runtime.lastError
+   */
+  static storageCall(area, method, arg) {
+    return new Promise((resolve, reject) => {
+      ext_api.storage[area][method](arg, function (result) {
+        if (ext_api.runtime.lastError)
+          reject(new Error(ext_api.runtime.lastError.message));
+        else
+          resolve(result);
+      });
+    });
   }
 
   /**
-   * Initialize settings from storage
+   * Initialize settings from storage (once)
    */
-  async init() {
+  init() {
+    if (!this.ready)
+      this.ready = this.load();
+    return this.ready;
+  }
+
+  async load() {
     try {
-      let data = await ext_api.storage.sync.get('userSettings');
+      let data = await UserSettings.storageCall('sync', 'get', 'userSettings');
+      let local = await UserSettings.storageCall('local', 'get', {sites: {}, sites_excluded: []});
+      this.sites = local.sites || {};
+      this.excludedSites = local.sites_excluded || [];
 
       if (data.userSettings) {
         // Merge with defaults (in case new settings were added)
@@ -45,13 +81,51 @@ class UserSettings {
       }
 
       this.loaded = true;
-      console.log('[BPC] Settings loaded:', this.settings);
+      logger.debug('general', 'Settings loaded', this.settings);
 
     } catch (e) {
-      console.error('[BPC] Failed to load settings:', e);
-      // Use defaults
+      logger.error('general', 'Failed to load settings', e);
+      // Use defaults (not loaded: enabled sites aren't known, pages don't save them)
       this.settings.preferredRegion = this.detectRegion();
-      this.loaded = true;
+    }
+    this.listen();
+  }
+
+  /**
+   * Keep settings in sync with storage (changes by other contexts) & call change listeners
+   */
+  listen() {
+    ext_api.storage.onChanged.addListener((changes, area) => {
+      if (area === 'sync' && changes.userSettings) {
+        this.settings = this.deepMerge(UserSettings.defaults(), changes.userSettings.newValue || {});
+        this.emit('userSettings', this.settings, changes.userSettings.oldValue);
+      }
+      if (area === 'local' && changes.sites) {
+        this.sites = changes.sites.newValue || {};
+        this.emit('sites', this.sites, changes.sites.oldValue || {});
+      }
+      if (area === 'local' && changes.sites_excluded) {
+        this.excludedSites = changes.sites_excluded.newValue || [];
+        this.emit('sites_excluded', this.excludedSites, changes.sites_excluded.oldValue || []);
+      }
+    });
+  }
+
+  addChangeListener(listener) {
+    this.listeners.push(listener);
+  }
+
+  removeChangeListener(listener) {
+    this.listeners = this.listeners.filter(x => x !== listener);
+  }
+
+  emit(key, newValue, oldValue) {
+    for (let listener of this.listeners) {
+      try {
+        listener(key, newValue, oldValue);
+      } catch (e) {
+        logger.error('general', `Settings listener failed (${key})`, e);
+      }
     }
   }
 
@@ -63,7 +137,8 @@ class UserSettings {
       let locale = ext_api.i18n.getUILanguage(); // e.g., 'en-IN', 'en-US'
       let region = locale.split('-')[1]?.toLowerCase();
 
-      const supportedRegions = ['india', 'usa', 'europe'];
+      // regions of site chunks (tools/site-regions.js)
+      const supportedRegions = ['india', 'usa', 'europe', 'asia', 'oceania', 'americas', 'africa'];
       const regionMap = {
         'in': 'india',
         'us': 'usa',
@@ -72,15 +147,41 @@ class UserSettings {
         'de': 'europe',
         'fr': 'europe',
         'es': 'europe',
-        'it': 'europe'
+        'it': 'europe',
+        'nl': 'europe',
+        'be': 'europe',
+        'at': 'europe',
+        'ch': 'europe',
+        'se': 'europe',
+        'no': 'europe',
+        'dk': 'europe',
+        'fi': 'europe',
+        'pl': 'europe',
+        'pt': 'europe',
+        'ie': 'europe',
+        'au': 'oceania',
+        'nz': 'oceania',
+        'jp': 'asia',
+        'sg': 'asia',
+        'il': 'asia',
+        'tw': 'asia',
+        'ca': 'americas',
+        'br': 'americas',
+        'ar': 'americas',
+        'mx': 'americas',
+        'cl': 'americas',
+        'pe': 'americas',
+        'uy': 'americas',
+        'ke': 'africa',
+        'za': 'africa'
       };
 
       let detected = regionMap[region] || 'global';
-      console.log(`[BPC] Detected region: ${detected} (from locale: ${locale})`);
+      logger.info('general', `Detected region: ${detected} (from locale: ${locale})`);
 
       return detected;
     } catch (e) {
-      console.error('[BPC] Failed to detect region:', e);
+      logger.error('general', 'Failed to detect region', e);
       return 'global';
     }
   }
@@ -90,10 +191,10 @@ class UserSettings {
    */
   async save() {
     try {
-      await ext_api.storage.sync.set({ userSettings: this.settings });
-      console.log('[BPC] Settings saved');
+      await UserSettings.storageCall('sync', 'set', { userSettings: this.settings });
+      logger.info('general', 'Settings saved');
     } catch (e) {
-      console.error('[BPC] Failed to save settings:', e);
+      logger.error('general', 'Failed to save settings', e);
     }
   }
 
@@ -141,34 +242,98 @@ class UserSettings {
   }
 
   /**
-   * Check if a site is disabled
+   * Features with overrides of site (domains: first domain with override wins, e.g. hostname, site & group)
+   */
+  getSiteFeatures(domains) {
+    let features = Object.assign({}, this.settings.features);
+    for (let domain of [].concat(domains).filter(x => x).reverse())
+      Object.assign(features, this.settings.siteOverrides[domain]);
+    return features;
+  }
+
+  isFeatureEnabledForSite(featureName, domains) {
+    return this.getSiteFeatures(domains)[featureName] === true;
+  }
+
+  hasSiteOverrides(domain) {
+    return !!this.settings.siteOverrides[domain];
+  }
+
+  /**
+   * Set feature of site (value undefined: override removed)
    */
-  isSiteDisabled(domain) {
-    return this.settings.siteOverrides[domain]?.disabled === true;
+  async setSiteOverride(domain, featureName, value) {
+    let overrides = this.settings.siteOverrides[domain] || {};
+    if (value === undefined)
+      delete overrides[featureName];
+    else
+      overrides[featureName] = value;
+    if (Object.keys(overrides).length)
+      this.settings.siteOverrides[domain] = overrides;
+    else
+      delete this.settings.siteOverrides[domain];
+    await this.save();
+  }
+
+  async clearSiteOverrides(domain) {
+    delete this.settings.siteOverrides[domain];
+    await this.save();
   }
 
   /**
-   * Toggle a feature
+   * Enabled sites (title → domain)
    */
-  async toggleFeature(featureName) {
-    let current = this.settings.features[featureName];
-    await this.set(`features.${featureName}`, !current);
-    return !current;
+  getSites() {
+    return Object.assign({}, this.sites);
+  }
+
+  async setSites(sites) {
+    this.sites = sites;
+    await UserSettings.storageCall('local', 'set', { sites: sites });
   }
 
   /**
-   * Toggle a site
+   * Enable/disable a site (title of site in options, domain of site or group)
    */
-  async toggleSite(domain) {
-    if (!this.settings.siteOverrides[domain]) {
-      this.settings.siteOverrides[domain] = {};
-    }
+  async toggleSite(title, domain, enabled) {
+    let sites = this.getSites();
+    // title without (note), like compareKey of background.js
+    let normalize = x => x.toLowerCase().replace(/\s\(.*\)/, '');
+    let key = Object.keys(sites).find(key => normalize(key) === normalize(title));
+    if (enabled === undefined)
+      enabled = !key;
+    if (key)
+      delete sites[key];
+    if (enabled)
+      sites[title] = domain;
+    await this.setSites(sites);
+    return enabled;
+  }
 
-    let current = this.settings.siteOverrides[domain].disabled || false;
-    this.settings.siteOverrides[domain].disabled = !current;
+  getExcludedSites() {
+    return this.excludedSites.slice();
+  }
 
-    await this.save();
-    return !current;
+  /**
+   * Set excluded sites (without www., duplicates & empty entries)
+   */
+  async setExcludedSites(domains) {
+    let sites_excluded = [];
+    for (let domain of domains.map(x => x.trim().replace(/^www\./, '')).filter(x => x)) {
+      if (!sites_excluded.includes(domain))
+        sites_excluded.push(domain);
+    }
+    this.excludedSites = sites_excluded;
+    await UserSettings.storageCall('local', 'set', { sites_excluded: sites_excluded });
+    return sites_excluded;
+  }
+
+  /**
+   * Hostname is (subdomain of) excluded site
+   */
+  isSiteExcluded(hostname = '') {
+    hostname = hostname.replace(/^www\./, '');
+    return this.excludedSites.some(domain => hostname === domain || hostname.endsWith('.' + domain));
   }
 
   /**
@@ -192,47 +357,19 @@ class UserSettings {
    * Reset to defaults
    */
   async reset() {
-    this.settings = {
-      features: {
-        mediumRedirect: false,
-        mediumRedirectTarget: 'freedium',
-        ampRedirect: false,
-        archiveRedirect: false,
-        autoBypass: true
-      },
-      siteOverrides: {},
-      preferredRegion: this.detectRegion(),
-      performance: {
-        usageLearning: true,
-        preloadCore: true
-      }
-    };
+    this.settings = UserSettings.defaults();
+    this.settings.preferredRegion = this.detectRegion();
 
     await this.save();
-    console.log('[BPC] Settings reset to defaults');
+    logger.info('general', 'Settings reset to defaults');
   }
 
   /**
-   * Export settings
+   * Replace settings (restored backup: lib/settings-backup.js), missing keys from defaults
    */
-  export() {
-    return JSON.stringify(this.settings, null, 2);
-  }
-
-  /**
-   * Import settings
-   */
-  async import(json) {
-    try {
-      let imported = JSON.parse(json);
-      this.settings = this.deepMerge(this.settings, imported);
-      await this.save();
-      console.log('[BPC] Settings imported');
-      return true;
-    } catch (e) {
-      console.error('[BPC] Failed to import settings:', e);
-      return false;
-    }
+  async replace(settings) {
+    this.settings = this.deepMerge(UserSettings.defaults(), settings);
+    await this.save();
   }
 }
 
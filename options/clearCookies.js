@@ -17,21 +17,9 @@ ext_api.runtime.sendMessage({
   }
 });
 
+// registrable domain (public suffix list)
 function getCookieDomain(hostname) {
-  let domain = hostname;
-  let n = 0;
-  let parts = hostname.split('.');
-  let str = '_gd' + (new Date()).getTime();
-  try {
-  while (n < (parts.length - 1) && document.cookie.indexOf(str + '=' + str) == -1) {
-    domain = parts.slice(-1 - (++n)).join('.');
-    document.cookie = str + "=" + str + ";domain=" + domain + ";";
-  }
-  document.cookie = str + "=;expires=Thu, 01 Jan 1970 00:00:01 GMT;domain=" + domain + ";";
-  } catch (e) {
-    console.log(e);
-  }
-  return domain;
+  return hostnameMatcher.registrableDomain(hostname);
 }
 
 var msg = "Cookies (and local storage) removed from " + cookie_domain;
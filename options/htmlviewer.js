@@ -74,22 +74,11 @@ if (window.location.href === 'https://codebeautify.org/htmlviewer') {
 }
 
 function matchDomain(domains, hostname = window.location.hostname) {
-  let matched_domain = false;
-  if (typeof domains === 'string')
-    domains = [domains];
-  domains.some(domain => (hostname === domain || hostname.endsWith('.' + domain)) && (matched_domain = domain));
-  return matched_domain;
+  return hostnameMatcher.matchDomain(domains, hostname);
 }
 
 function urlHost(url) {
-  if (/^http/.test(url)) {
-    try {
-      return new URL(url).hostname;
-    } catch (e) {
-      console.log(`url not valid: ${url} error: ${e}`);
-    }
-  }
-  return url;
+  return hostnameMatcher.urlHost(url);
 }
 
 function matchUrlDomain(domains, url) {
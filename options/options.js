@@ -12,9 +12,7 @@ function save_options(event) {
     return memo;
   }, {});
   
-  ext_api.storage.local.set({
-    sites: sites
-  }, function () {
+  userSettings.setSites(sites).then(function () {
     // Update status to let user know options were saved.
     if (event) {
       var status_label = document.querySelectorAll('[id^="status"]');
@@ -31,13 +29,12 @@ function save_options(event) {
 // Restores checkbox input states using the preferences stored in ext_api.storage.
 function renderOptions() {
   var labelEl;
-  ext_api.storage.local.get({
-    sites: {},
+  userSettings.init().then(() => ext_api.storage.local.get({
     sites_updated: {},
     sites_custom: {},
-    sites_excluded: []
+    dnr_quota: false
   }, function (items) {
-    var sites = items.sites;
+    var sites = userSettings.getSites();
     var sites_updated = filterObject(items.sites_updated, function (val, key) {
       return !val.nofix
     });
@@ -59,7 +56,9 @@ function renderOptions() {
       }
     });
 
-    var sites_excluded = items.sites_excluded;
+    render_dnr_quota(items.dnr_quota);
+
+    var sites_excluded = userSettings.getExcludedSites();
     var sitesEl = document.getElementById('bypass_sites');
     var site_types = {
       "updated": {
@@ -112,8 +111,10 @@ function renderOptions() {
     labelEl = document.createElement('label');
     labelEl.appendChild(document.createTextNode(sites_excluded.join()));
     sitesEl.appendChild(labelEl);
-    save_options();
-  });
+    // enabled sites not loaded (storage error): don't overwrite them
+    if (userSettings.loaded)
+      save_options();
+  }));
 }
 
 function handleSearch() {
@@ -186,6 +187,79 @@ function selectNone() {
   });
 }
 
+// Declarative Net Request (session) rules usage (manifest v3)
+function render_dnr_quota(quota) {
+  var quota_el = document.getElementById('dnr_quota');
+  quota_el.textContent = '';
+  if (!quota)
+    return;
+  var quota_text = document.createElement('small');
+  quota_text.textContent = 'Network rules: ' + quota.rules + '/' + quota.maxRules + ' | regex rules: ' + quota.regexRules + '/' + quota.maxRegexRules;
+  if (quota.staticRules)
+    quota_text.textContent += ' | static rules: ' + quota.staticRules;
+  quota_el.appendChild(quota_text);
+  if (quota.error || quota.dropped.length) {
+    var quota_errors = document.createElement('ul');
+    quota_errors.style = 'color:red;';
+    if (quota.error) {
+      let item = document.createElement('li');
+      item.textContent = 'Error: ' + quota.error;
+      quota_errors.appendChild(item);
+    }
+    for (let rule of quota.dropped) {
+      let item = document.createElement('li');
+      item.textContent = 'Rule dropped: ' + rule.domain + ' (' + rule.type + ') - ' + rule.reason;
+      quota_errors.appendChild(item);
+    }
+    quota_el.appendChild(quota_errors);
+  }
+}
+
+// Sync with other devices (lib/settings-sync.js in background: sync_enabled & sync_status)
+function render_sync_status(status) {
+  var status_el = document.getElementById('sync_status');
+  status_el.textContent = '';
+  if (!(status && status.enabled))
+    return;
+  var status_text = document.createElement('small');
+  status_text.textContent = 'Last sync: ' + new Date(status.time).toLocaleString() + ' | synced data: ' + status.bytes + '/' + status.quota + ' bytes (' + status.chunks + ' items)';
+  if (status.pulled && status.pulled.length)
+    status_text.textContent += ' | updated from other device: ' + status.pulled.join(', ') + ' (reload page)';
+  status_el.appendChild(status_text);
+  if (status.error) {
+    var status_error = document.createElement('div');
+    status_error.style = 'color:red;';
+    status_error.textContent = 'Sync error: ' + status.error;
+    status_el.appendChild(status_error);
+  }
+}
+
+function render_sync() {
+  var sync_enabled = document.getElementById('sync_enabled');
+  var sync_now = document.getElementById('sync_now');
+  ext_api.storage.local.get({
+    sync_enabled: false,
+    sync_status: false
+  }, function (items) {
+    sync_enabled.checked = items.sync_enabled;
+    sync_now.disabled = !items.sync_enabled;
+    render_sync_status(items.sync_status);
+  });
+  sync_enabled.addEventListener('change', function () {
+    sync_now.disabled = !sync_enabled.checked;
+    ext_api.storage.local.set({
+      sync_enabled: sync_enabled.checked
+    });
+  });
+  sync_now.addEventListener('click', function () {
+    ext_api.runtime.sendMessage({request: 'sync_now'});
+  });
+  ext_api.storage.onChanged.addListener(function (changes, namespace) {
+    if (namespace === 'local' && changes.sync_status)
+      render_sync_status(changes.sync_status.newValue);
+  });
+}
+
 function closeButton() {
   window.close();
 }
@@ -212,6 +286,7 @@ function filterObject(obj, filterFn, mapFn = function (val, key) {
 }
 
 document.addEventListener('DOMContentLoaded', renderOptions);
+document.addEventListener('DOMContentLoaded', render_sync);
 document.getElementById('save').addEventListener('click', save_options);
 document.getElementById('save_top').addEventListener('click', save_options);
 document.getElementById('select-all').addEventListener('click', selectAll);
@@ -0,0 +1,138 @@
+var ext_api = (typeof browser === 'object') ? browser : chrome;
+
+// validated bundle of restore file & origins of bundle not granted (preview)
+var restore_bundle = null;
+var restore_origins = [];
+
+function show_status(text, error = '') {
+  document.getElementById('status').textContent = text;
+  document.getElementById('error').textContent = error;
+}
+
+function date_str() {
+  let date = new Date();
+  return new Date(date.getTime() - (date.getTimezoneOffset() * 60000)).toISOString().split("T")[0];
+}
+
+// action of background (usage data: background-init.js), callback form (chrome.* api returns promises only in manifest v3)
+function send_action(action) {
+  return new Promise(resolve => ext_api.runtime.sendMessage({action: action}, function () {
+    resolve(!ext_api.runtime.lastError);
+  }));
+}
+
+// Backup everything to file (usage data of background saved first)
+function backup_options() {
+  send_action('saveUsageData')
+  .then(() => settingsBackup.create())
+  .then(bundle => {
+    var a = document.createElement("a");
+    var file = new Blob([JSON.stringify(bundle, null, 2)], {type: 'application/json'});
+    a.href = window.URL.createObjectURL(file);
+    a.download = 'bypass_paywalls_clean_backup_' + date_str() + '.json';
+    a.click();
+    show_status('Backup created (' + Object.keys(bundle.data.sites_custom).length + ' custom sites, ' + bundle.permissions.origins.length + ' host permissions).');
+  }).catch(err => show_status('', 'Backup failed: ' + err.message));
+}
+
+function value_text(value) {
+  return (value === undefined) ? '' : ((typeof value === 'object') ? JSON.stringify(value) : String(value));
+}
+
+function show_preview(bundle, changes) {
+  document.getElementById('restore_preview').style.display = 'block';
+  document.getElementById('restore_info').textContent = 'Backup of ' + new Date(bundle.created).toLocaleString() + ' (version ' + bundle.extVersion + '): ' + (changes.length ? changes.length + ' changes' : 'no changes');
+  var table = document.getElementById('restore_diff');
+  table.innerHTML = '';
+  if (!changes.length)
+    return;
+  var header = document.createElement('tr');
+  for (let text of ['setting', 'entry', 'change', 'current', 'backup']) {
+    let cell = document.createElement('th');
+    cell.textContent = text;
+    header.appendChild(cell);
+  }
+  table.appendChild(header);
+  for (let change of changes) {
+    let row = document.createElement('tr');
+    for (let text of [change.key, change.name, change.change, value_text(change.from), value_text(change.to)]) {
+      let cell = document.createElement('td');
+      cell.textContent = text;
+      row.appendChild(cell);
+    }
+    table.appendChild(row);
+  }
+}
+
+function hide_preview() {
+  restore_bundle = null;
+  document.getElementById('restore_preview').style.display = 'none';
+  document.getElementById('restoreInput').value = '';
+}
+
+// Validate restore file & show changes
+function restore_options(e) {
+  var reader = new FileReader();
+  reader.onload = function () {
+    hide_preview();
+    var parsed = settingsBackup.parse(this.result);
+    if (parsed.errors.length) {
+      show_status('', 'Backup file not valid (not restored): ' + parsed.errors.join('; '));
+      return;
+    }
+    settingsBackup.diff(parsed.bundle).then(changes => {
+      restore_bundle = parsed.bundle;
+      restore_origins = changes.filter(change => change.key === 'permissions').map(change => change.name);
+      show_status('');
+      show_preview(parsed.bundle, changes);
+    }).catch(err => show_status('', 'Backup file not valid (not restored): ' + err.message));
+  };
+  reader.readAsText(e.target.files[0]);
+}
+
+// request host permissions of backup (user gesture)
+function request_permissions(origins) {
+  var perm_request = document.getElementById('perm_request');
+  return new Promise(resolve => ext_api.permissions.request({
+    origins: origins
+  }, function (granted) {
+    resolve(!ext_api.runtime.lastError && !!granted);
+  })).then(granted => {
+    perm_request.style.display = granted ? 'none' : 'block';
+    return granted;
+  });
+}
+
+// Apply restore (host permissions are requested before any awaits: user gesture)
+function apply_restore() {
+  var bundle = restore_bundle;
+  if (!bundle)
+    return;
+  var permissions = restore_origins.length ? request_permissions(restore_origins) : Promise.resolve(true);
+  hide_preview();
+  userSettings.init()
+  .then(() => settingsBackup.restore(bundle))
+  .then(() => {
+    send_action('reloadUsageData');
+    return permissions.then(() => settingsBackup.missingOrigins(bundle));
+  }).then(missing => {
+    restore_origins = missing;
+    document.getElementById('perm_request').style.display = missing.length ? 'block' : 'none';
+    show_status('Backup restored.', missing.length ? 'Host permissions not granted: ' + missing.join(', ') : '');
+  }).catch(err => show_status('', 'Restore failed: ' + err.message));
+}
+
+document.getElementById('backup').addEventListener('click', backup_options);
+document.getElementById('restore').onclick = function () {restoreInput.click()}
+document.getElementById('restoreInput').addEventListener('change', restore_options, false);
+document.getElementById('restore_apply').addEventListener('click', apply_restore);
+document.getElementById('restore_cancel').addEventListener('click', function () {
+  hide_preview();
+  show_status('Restore cancelled.');
+});
+document.getElementById('perm_request').addEventListener('click', function () {
+  request_permissions(restore_origins).then(granted => {
+    if (granted)
+      show_status('Host permissions granted.');
+  });
+});
@@ -11,6 +11,49 @@ var referer_options = ['', 'facebook', 'google', 'twitter'];
 var random_ip_options = ['', 'all', 'eu'];
 var add_ext_link_type_options = ['', 'archive.is', 'google_search_tool'];
 
+// fields of site editor by type: text, textarea, checkbox (1), select (options), domains (list of domains) & selector (fields of selector rule)
+var editor_fields = {
+  title: {type: 'text', placeholder: 'Example'},
+  domain: {type: 'text', placeholder: 'example.com'},
+  group: {type: 'domains'},
+  allow_cookies: {type: 'checkbox'},
+  remove_cookies: {type: 'checkbox'},
+  useragent: {type: 'select', options: useragent_options},
+  useragent_custom: {type: 'textarea'},
+  referer: {type: 'select', options: referer_options},
+  referer_custom: {type: 'textarea'},
+  random_ip: {type: 'select', options: random_ip_options},
+  block_js: {type: 'checkbox', label: 'block_js (domain)'},
+  block_js_ext: {type: 'checkbox'},
+  block_js_inline: {type: 'text', placeholder: '\\.example\\.com\\/article\\/'},
+  block_regex: {type: 'text', label: 'block_regex (add to default)', placeholder: '\\.example\\.com\\/js\\/'},
+  block_regex_ignore_default: {type: 'checkbox'},
+  block_host_perm_add: {type: 'domains'},
+  amp_unhide: {type: 'checkbox'},
+  amp_redirect: {type: 'text', placeholder: 'div.paywall|amp_url'},
+  ld_json: {type: 'selector'},
+  ld_json_next: {type: 'selector'},
+  ld_json_source: {type: 'selector'},
+  ld_json_url: {type: 'selector'},
+  ld_archive_is: {type: 'selector'},
+  add_ext_link: {type: 'selector'},
+  add_ext_link_type: {type: 'select', options: add_ext_link_type_options},
+  cs_code: {type: 'textarea', placeholder: 'for dev: check imported examples'}
+};
+
+var selector_placeholders = {
+  paywall: 'div.paywall',
+  article: 'div.article',
+  filter: 'filter',
+  key: 'json_key',
+  idSelector: 'meta[name="id"]',
+  source: 'div.art_src',
+  link: 'div.art_link'
+};
+
+// keys of edited site not in editor (kept when re-added)
+var editor_extra = {};
+
 function capitalize(str) {
   return (typeof str === 'string') ? str.charAt(0).toUpperCase() + str.slice(1) : '';
 }
@@ -30,12 +73,52 @@ function filterObject(obj, filterFn, mapFn = function (val, key) {
     filter(([key, val]) => filterFn(val, key)).map(([key, val]) => mapFn(val, key)));
 }
 
+// Show (schema) errors
+function show_errors(errors, title = '') {
+  var errorEl = document.getElementById('error');
+  errorEl.innerHTML = '';
+  if (!errors.length)
+    return;
+  if (title) {
+    let strongEl = document.createElement('strong');
+    strongEl.textContent = title;
+    errorEl.appendChild(strongEl);
+  }
+  let listEl = document.createElement('ul');
+  for (let error of errors) {
+    let itemEl = document.createElement('li');
+    itemEl.textContent = error;
+    listEl.appendChild(itemEl);
+  }
+  errorEl.appendChild(listEl);
+}
+
+// Parse & validate json-text of custom sites (returns false when not valid, errors shown with result: not saved/sorted)
+function parse_sites_custom(text, result = 'not saved') {
+  var sites_custom;
+  try {
+    sites_custom = JSON.parse(text);
+  } catch (err) {
+    show_errors([err.message], 'Json-text not valid (' + result + '):');
+    return false;
+  }
+  var errors = siteValidator.validateSites(sites_custom);
+  if (errors.length) {
+    show_errors(siteValidator.formatErrors(errors), 'Custom sites not valid (' + result + '):');
+    return false;
+  }
+  show_errors([]);
+  return sites_custom;
+}
+
 // Saves options to ext_api.storage
 function save_options() {
   var textareaEl = document.querySelector('#bypass_sites textarea');
   var sites_custom = {};
   if (textareaEl.value) {
-    var sites_custom = JSON.parse(textareaEl.value);
+    var sites_custom = parse_sites_custom(textareaEl.value);
+    if (!sites_custom)
+      return false;
     sites_custom = filterObject(sites_custom, function (val, key) {
       return !(val.add_ext_link && !val.add_ext_link_type)
     });
@@ -57,11 +140,11 @@ function save_options() {
 // Sort json by key in textarea
 function sort_options() {
   var textareaEl = document.querySelector('#bypass_sites textarea');
-  var sites_custom = {};
   if (textareaEl.value) {
-    var sites_custom = JSON.parse(textareaEl.value);
-    var sites_custom_sorted = sortJson(sites_custom);
-    textareaEl.value = JSON.stringify(sites_custom_sorted);
+    var sites_custom = parse_sites_custom(textareaEl.value, 'not sorted');
+    if (!sites_custom)
+      return false;
+    textareaEl.value = JSON.stringify(sortJson(sites_custom));
   }
 }
 
@@ -86,7 +169,19 @@ function import_json(result) {
     sites_custom: {}
   }, function (items) {
     var sites_custom = items.sites_custom;
-    var sites_custom_new = JSON.parse(result);
+    var sites_custom_new;
+    try {
+      sites_custom_new = JSON.parse(result);
+    } catch (err) {
+      show_errors([err.message], 'Import file not valid (json):');
+      return;
+    }
+    var sites_checked = siteValidator.filterValid(sites_custom_new);
+    if (sites_checked.invalid.length)
+      show_errors(siteValidator.formatErrors(sites_checked.errors), 'Invalid sites skipped on import:');
+    else
+      show_errors([]);
+    sites_custom_new = sites_checked.valid;
     var customSitesExt_remove = [];
     if (sites_custom_new['###_remove_sites'] && sites_custom_new['###_remove_sites'].cs_code)
       customSitesExt_remove = sites_custom_new['###_remove_sites'].cs_code.split(/,\s?/);
@@ -152,55 +247,292 @@ function _imp() {
   import_json(result);
 }
 
-// Add custom site to ext_api.storage
-function add_options() {
-  var inputEls = document.querySelectorAll('#add_site input, #add_site select, #add_site textarea');
-  var sites_custom = {};
-  
-  for (let elem of inputEls) {
-    if (elem.dataset.key === 'title') {
-      var title = capitalize(elem.value);
-      if (!title)
-        break;
-      sites_custom[title] = {};
+// Site editor: field per rule key (typed input, domain list or selector fields) with inline errors
+function render_editor() {
+  var add_siteEl = document.getElementById('add_site');
+  add_siteEl.innerHTML = '';
+  for (let key in editor_fields) {
+    let field = editor_fields[key];
+    let fieldEl = document.createElement('div');
+    fieldEl.className = 'editor_field';
+    fieldEl.dataset.key = key;
+    if (['domains', 'selector'].includes(field.type)) {
+      let nameEl = document.createElement('div');
+      nameEl.textContent = field.label || key;
+      fieldEl.appendChild(nameEl);
+      fieldEl.appendChild((field.type === 'domains') ? editor_domains() : editor_selector(key));
     } else {
-      if (elem.dataset.value) {
-        if (elem.checked)
-          sites_custom[title][elem.dataset.key] = parseInt(elem.dataset.value);
-      } else if (elem.value) {
-        if (['block_host_perm_add', 'group'].includes(elem.dataset.key))
-          elem.value = elem.value.replace(/,{2,}/g, ',').replace(/(\s|www\.|,$)/g, '');
-        sites_custom[title][elem.dataset.key] = elem.value;
+      let labelEl = document.createElement('label');
+      labelEl.appendChild(editor_input(key, field));
+      labelEl.appendChild(document.createTextNode(' ' + (field.label || key)));
+      fieldEl.appendChild(labelEl);
+    }
+    let errorEl = document.createElement('div');
+    errorEl.className = 'editor_error';
+    fieldEl.appendChild(errorEl);
+    add_siteEl.appendChild(fieldEl);
+  }
+  add_siteEl.addEventListener('input', editor_changed);
+  add_siteEl.addEventListener('change', editor_changed);
+  editor_set('', {});
+}
+
+function editor_input(key, field) {
+  var inputEl;
+  if (field.type === 'checkbox') {
+    inputEl = document.createElement('input');
+    inputEl.type = 'checkbox';
+  } else if (field.type === 'select') {
+    inputEl = document.createElement('select');
+    for (let value of field.options) {
+      let option = document.createElement("option");
+      option.value = value;
+      option.text = value;
+      inputEl.appendChild(option);
+    }
+  } else if (field.type === 'textarea') {
+    inputEl = document.createElement('textarea');
+    inputEl.rows = 5;
+    inputEl.cols = 35;
+  } else {
+    inputEl = document.createElement('input');
+    inputEl.size = 35;
+  }
+  if (field.placeholder)
+    inputEl.placeholder = field.placeholder;
+  inputEl.dataset.key = key;
+  return inputEl;
+}
+
+// List of domains (group, block_host_perm_add): input per domain
+function editor_domains() {
+  var listEl = document.createElement('div');
+  listEl.className = 'editor_domains';
+  var addEl = document.createElement('button');
+  addEl.textContent = 'Add domain';
+  addEl.addEventListener('click', function () {
+    editor_domain_row(listEl, '').querySelector('input').focus();
+    editor_changed();
+  });
+  listEl.appendChild(addEl);
+  return listEl;
+}
+
+function editor_domain_row(listEl, domain) {
+  var rowEl = document.createElement('div');
+  var inputEl = document.createElement('input');
+  inputEl.size = 30;
+  inputEl.placeholder = 'example.com';
+  inputEl.value = domain;
+  var removeEl = document.createElement('button');
+  removeEl.textContent = 'x';
+  removeEl.title = 'Remove domain';
+  removeEl.addEventListener('click', function () {
+    rowEl.remove();
+    editor_changed();
+  });
+  rowEl.appendChild(inputEl);
+  rowEl.appendChild(removeEl);
+  listEl.insertBefore(rowEl, listEl.lastChild);
+  return rowEl;
+}
+
+// Selector rule (ld_*, add_ext_link) as object: input per field (css-selector or text), append & hold as checkbox
+function editor_selector(key) {
+  var ruleEl = document.createElement('div');
+  ruleEl.className = 'editor_selector';
+  for (let name of siteSelectorFields[key]) {
+    let field = name.replace(/[\[\]]/g, '');
+    let inputEl = document.createElement('input');
+    inputEl.dataset.field = field;
+    if (['append', 'hold'].includes(field))
+      inputEl.type = 'checkbox';
+    else {
+      inputEl.size = 20;
+      inputEl.placeholder = selector_placeholders[field] || field;
+    }
+    let labelEl = document.createElement('label');
+    labelEl.appendChild(inputEl);
+    labelEl.appendChild(document.createTextNode(' ' + name + ' '));
+    ruleEl.appendChild(labelEl);
+  }
+  return ruleEl;
+}
+
+// Selector rule as object (pipe-delimited string: fields by position)
+function selector_rule_object(key, value) {
+  if (value && typeof value === 'object')
+    return value;
+  var fields = siteSelectorFields[key].map(x => x.replace(/[\[\]]/g, ''));
+  var rule = {};
+  (value || '').split('|').forEach(function (part, index) {
+    if (part && fields[index])
+      rule[fields[index]] = part;
+  });
+  return rule;
+}
+
+// Site of editor: {title, rule} (keys of edited site not in editor are kept)
+function editor_site() {
+  var title = '';
+  var rule = {};
+  for (let fieldEl of document.querySelectorAll('#add_site .editor_field')) {
+    let key = fieldEl.dataset.key;
+    let field = editor_fields[key];
+    let value;
+    if (field.type === 'domains') {
+      let domains = Array.from(fieldEl.querySelectorAll('input')).map(x => x.value.split(',')).flat()
+        .map(x => x.trim().replace(/^(https?:\/\/)?(www\.)?/, '').replace(/\/.*$/, '').toLowerCase()).filter(x => x);
+      value = [...new Set(domains)].join(',');
+    } else if (field.type === 'selector') {
+      let selector_rule = {};
+      for (let inputEl of fieldEl.querySelectorAll('input')) {
+        if (inputEl.type === 'checkbox') {
+          if (inputEl.checked)
+            selector_rule[inputEl.dataset.field] = 1;
+        } else if (inputEl.value.trim())
+          selector_rule[inputEl.dataset.field] = inputEl.value.trim();
       }
+      value = Object.keys(selector_rule).length ? selector_rule : '';
+    } else {
+      let inputEl = fieldEl.querySelector('[data-key]');
+      value = (field.type === 'checkbox') ? (inputEl.checked ? 1 : '') : inputEl.value.trim();
     }
+    if (key === 'title')
+      title = capitalize(value);
+    else if (value)
+      rule[key] = value;
   }
-  
-  if (title && sites_custom[title]['domain']) {
-    sites_custom[title]['domain'] = sites_custom[title]['domain'].replace(/(http(s)?:\/\/|\/$)/g, '').replace(/^(www|amp(html)?|m|wap)(\d)?\./, '').toLowerCase();
-    
-    // add new site to local storage
-    ext_api.storage.local.get({
-      sites_custom: {}
-    }, function (items) {
-      var sites_custom_old = items.sites_custom;
-      
-      for (var key in sites_custom) {
-        sites_custom_old[key] = sites_custom[key];
+  if (rule.domain)
+    rule.domain = rule.domain.replace(/(http(s)?:\/\/|\/$)/g, '').replace(/^(www|amp(html)?|m|wap)(\d)?\./, '').toLowerCase();
+  return {title: title, rule: Object.assign(rule, editor_extra)};
+}
+
+// Fill editor with site (empty: new site)
+function editor_set(title, site) {
+  editor_extra = filterObject(site, function (val, key) {
+    return !editor_fields.hasOwnProperty(key);
+  });
+  for (let fieldEl of document.querySelectorAll('#add_site .editor_field')) {
+    let key = fieldEl.dataset.key;
+    let field = editor_fields[key];
+    let value = (key === 'title') ? title : site[key];
+    if (field.type === 'domains') {
+      let listEl = fieldEl.querySelector('.editor_domains');
+      for (let rowEl of listEl.querySelectorAll('div'))
+        rowEl.remove();
+      let domains = value ? ((typeof value === 'string') ? value.split(',') : value) : [];
+      for (let domain of domains.length ? domains : [''])
+        editor_domain_row(listEl, domain.trim());
+    } else if (field.type === 'selector') {
+      let selector_rule = selector_rule_object(key, value);
+      for (let inputEl of fieldEl.querySelectorAll('input')) {
+        let field_value = selector_rule[inputEl.dataset.field];
+        if (inputEl.type === 'checkbox')
+          inputEl.checked = !!field_value && field_value !== '0';
+        else
+          inputEl.value = field_value || '';
       }
-      
-      ext_api.storage.local.set({
-        sites_custom: sites_custom_old
-      }, function () {
-        // Update status to let user know new custom site was added.
-        var status_add = document.getElementById('status_add');
-        status_add.textContent = 'Site added.';
-        setTimeout(function () {
-          //status.textContent = '';
-          renderOptions();
-        }, 800);
-      });
-    });
+    } else {
+      let inputEl = fieldEl.querySelector('[data-key]');
+      if (field.type === 'checkbox')
+        inputEl.checked = (value > 0);
+      else if (field.type === 'select')
+        inputEl.selectedIndex = Math.max(field.options.indexOf(value), 0);
+      else
+        inputEl.value = (value && typeof value === 'object') ? JSON.stringify(value) : (value || '');
+    }
+  }
+  editor_changed();
+}
+
+// Inline errors of editor (schema: lib/site-schema.js) & preview of DNR rules, returns errors
+function editor_changed() {
+  var site = editor_site();
+  var errors = [];
+  if (site.title || Object.keys(site.rule).length) {
+    errors = siteValidator.validateRule(site.rule, site.title);
+    if (!site.title)
+      errors.unshift({site: '', field: 'title', message: 'is required'});
+  }
+  var other_errors = [];
+  for (let fieldEl of document.querySelectorAll('#add_site .editor_field')) {
+    fieldEl.classList.remove('invalid');
+    fieldEl.querySelector('.editor_error').textContent = '';
+  }
+  for (let error of errors) {
+    let fieldEl = document.querySelector('#add_site .editor_field[data-key="' + error.field.split(/[.\[]/)[0] + '"]');
+    if (fieldEl) {
+      fieldEl.classList.add('invalid');
+      fieldEl.querySelector('.editor_error').textContent += (error.field + ' ' + error.message + '\n');
+    } else
+      other_errors.push(error);
   }
+  document.getElementById('status_add').innerText = siteValidator.formatErrors(other_errors).join('\n');
+  editor_preview(site, errors);
+  return errors;
+}
+
+var editor_preview_timer;
+var editor_preview_id = 0;
+// DNR rules of site (compiled by background.js, after typing stopped)
+function editor_preview(site, errors) {
+  clearTimeout(editor_preview_timer);
+  var previewEl = document.getElementById('dnr_preview');
+  editor_preview_id++;
+  if (!site.rule.domain || errors.length) {
+    previewEl.textContent = site.rule.domain ? 'No preview (site not valid)' : '';
+    return;
+  }
+  let id = editor_preview_id;
+  editor_preview_timer = setTimeout(function () {
+    ext_api.runtime.sendMessage({request: 'custom_site_rules', data: {id: id, rule: site.rule}});
+  }, 300);
+}
+
+function show_dnr_preview(rules) {
+  var previewEl = document.getElementById('dnr_preview');
+  if (!rules) {
+    previewEl.textContent = 'No DNR rules (manifest v2: headers & blocking by webRequest)';
+    return;
+  }
+  var count = Object.values(rules).reduce((sum, domain_rules) => sum + Object.keys(domain_rules).length, 0);
+  previewEl.textContent = count ? count + ' rules\n' + JSON.stringify(rules, null, 2) : 'No DNR rules (only content script)';
+}
+
+// Add custom site to ext_api.storage
+function add_options() {
+  var site = editor_site();
+  var title = site.title;
+  var status_add = document.getElementById('status_add');
+  if (editor_changed().length || !title) {
+    status_add.innerText = 'Site not added (see errors of fields).';
+    return false;
+  }
+  var sites_custom = {[title]: site.rule};
+
+  // add new site to local storage
+  ext_api.storage.local.get({
+    sites_custom: {}
+  }, function (items) {
+    var sites_custom_old = items.sites_custom;
+
+    for (var key in sites_custom) {
+      sites_custom_old[key] = sites_custom[key];
+    }
+
+    ext_api.storage.local.set({
+      sites_custom: sites_custom_old
+    }, function () {
+      // Update status to let user know new custom site was added.
+      editor_set('', {});
+      status_add.textContent = 'Site added.';
+      setTimeout(function () {
+        //status.textContent = '';
+        renderOptions();
+      }, 800);
+    });
+  });
 }
 
 // Delete custom site from ext_api.storage
@@ -263,38 +595,13 @@ function edit_options() {
   if (!title)
     return false;
   
-  // copy site to add-fields
+  // copy site to editor
   ext_api.storage.local.get({
     sites_custom: {}
   }, function (items) {
     sites_custom = items.sites_custom;
-    var edit_site = sites_custom[title];
-    document.querySelector('input[data-key="title"]').value = title;
-    document.querySelector('input[data-key="domain"]').value = edit_site.domain;
-    document.querySelector('textarea[data-key="group"]').value = edit_site.group || '';
-    document.querySelector('input[data-key="allow_cookies"]').checked = (edit_site.allow_cookies > 0);
-    document.querySelector('input[data-key="remove_cookies"]').checked = (edit_site.remove_cookies > 0);
-    document.querySelector('select[data-key="useragent"]').selectedIndex = useragent_options.indexOf(edit_site.useragent);
-    document.querySelector('textarea[data-key="useragent_custom"]').value = edit_site.useragent_custom || '';
-    document.querySelector('select[data-key="referer"]').selectedIndex = referer_options.indexOf(edit_site.referer);
-    document.querySelector('textarea[data-key="referer_custom"]').value = edit_site.referer_custom || '';
-    document.querySelector('select[data-key="random_ip"]').selectedIndex = random_ip_options.indexOf(edit_site.random_ip);
-    document.querySelector('input[data-key="block_js"]').checked = (edit_site.block_js > 0);
-    document.querySelector('input[data-key="block_js_ext"]').checked = (edit_site.block_js_ext > 0);
-    document.querySelector('input[data-key="block_js_inline"]').value = edit_site.block_js_inline || '';
-    document.querySelector('input[data-key="block_regex"]').value = edit_site.block_regex || '';
-    document.querySelector('input[data-key="block_regex_ignore_default"]').checked = (edit_site.block_regex_ignore_default > 0 || edit_site.block_regex_ignore_default > 0);
-    document.querySelector('input[data-key="block_host_perm_add"]').value = edit_site.block_host_perm_add || '';
-    document.querySelector('input[data-key="amp_unhide"]').checked = (edit_site.amp_unhide > 0);
-    document.querySelector('input[data-key="amp_redirect"]').value = edit_site.amp_redirect || '';
-    document.querySelector('input[data-key="ld_json"]').value = edit_site.ld_json || '';
-    document.querySelector('input[data-key="ld_json_next"]').value = edit_site.ld_json_next || '';
-    document.querySelector('input[data-key="ld_json_source"]').value = edit_site.ld_json_source || '';
-    document.querySelector('input[data-key="ld_json_url"]').value = edit_site.ld_json_url || '';
-    document.querySelector('input[data-key="ld_archive_is"]').value = edit_site.ld_archive_is || '';
-    document.querySelector('input[data-key="add_ext_link"]').value = edit_site.add_ext_link || '';
-    document.querySelector('select[data-key="add_ext_link_type"]').selectedIndex = add_ext_link_type_options.indexOf(edit_site.add_ext_link_type);
-    document.querySelector('textarea[data-key="cs_code"]').value = edit_site.cs_code || '';
+    editor_set(title, sites_custom[title]);
+    document.getElementById('add_site').scrollIntoView();
   });
 }
 
@@ -346,98 +653,16 @@ function renderOptions() {
     textareaEl.value = JSON.stringify(sites_custom);
     textareaEl.rows = 12;
     textareaEl.cols = 40;
+    // inline validation of json-text
+    textareaEl.addEventListener('input', function () {
+      if (textareaEl.value)
+        parse_sites_custom(textareaEl.value);
+      else
+        show_errors([]);
+    });
     labelEl.appendChild(textareaEl);
     sitesEl.appendChild(labelEl);
     
-    // add site
-    var add_sitesEl = document.getElementById('add_site');
-    add_sitesEl.innerHTML = '';
-    var inputEl;
-    var add_checkboxes = {
-      'title': 0,
-      'domain': 0,
-      'group': 0,
-      'allow_cookies': 1,
-      'remove_cookies': 1,
-      'useragent': 0,
-      'useragent_custom': 0,
-      'referer': 0,
-      'referer_custom': 0,
-      'random_ip': 0,
-      'block_js (domain)': 1,
-      'block_js_ext': 1,
-      'block_js_inline': 0,
-      'block_regex (add to default)': 0,
-      'block_regex_ignore_default': 1,
-      'block_host_perm_add': 0,
-      'amp_unhide': 1,
-      'amp_redirect': 0,
-      'ld_json': 0,
-      'ld_json_next': 0,
-      'ld_json_source': 0,
-      'ld_json_url': 0,
-      'ld_archive_is': 0,
-      'add_ext_link': 0,
-      'add_ext_link_type': 0,
-      'cs_code': 0,
-    };
-    var add_options = {
-      useragent: useragent_options,
-      referer: referer_options,
-      random_ip: random_ip_options,
-      add_ext_link_type: add_ext_link_type_options
-    };
-    for (var key in add_checkboxes) {
-      if (add_checkboxes[key]) {
-        inputEl = document.createElement('input');
-        inputEl.type = 'checkbox';
-        inputEl.dataset.value = 1;
-      } else {
-        if (add_options[key]) {
-          inputEl = document.createElement('select');
-          for (let elem of add_options[key]) {
-            let option = document.createElement("option");
-            option.value = elem;
-            option.text = elem;
-            inputEl.appendChild(option);
-          }
-        } else {
-          if (!['cs_code', 'group', 'referer_custom', 'useragent_custom'].includes(key)) {
-            inputEl = document.createElement('input');
-            inputEl.size = 35;
-          } else {
-            inputEl = document.createElement('textarea');
-            inputEl.rows = 5;
-            inputEl.cols = 35;
-          }
-          let placeholders = {
-            title: 'Example',
-            domain: 'example.com',
-            group: 'example1.com,example2.com',
-            block_js_inline: '\\.example\\.com\\/article\\/',
-            block_regex: '\\.example\\.com\\/js\\/',
-            block_host_perm_add: 'example1.com,example2.com',
-            amp_redirect: 'div.paywall|amp_url',
-            ld_json: 'div.paywall|div.article',
-            ld_json_next: 'div.paywall|div.article',
-            ld_json_source: 'div.paywall|div.article|filter|json_key',
-            ld_json_url: 'div.paywall|div.article',
-            ld_archive_is: 'div.paywall|div.art|div.art_src|div.art_link',
-            add_ext_link: 'div.paywall|div.article',
-            cs_code: 'for dev: check imported examples',
-          };
-          if (placeholders[key])
-            inputEl.placeholder = placeholders[key];
-        }
-      }
-      labelEl = document.createElement('label');
-      labelEl.style = 'margin: 2px 0px;';
-      inputEl.dataset.key = key.split(' (')[0];
-      labelEl.appendChild(inputEl);
-      labelEl.appendChild(document.createTextNode(' ' + key));
-      add_sitesEl.appendChild(labelEl);
-    }
-    
     // list of custom sites
     var custom_sitesEl = document.getElementById('custom_sites');
     custom_sitesEl.innerHTML = '';
@@ -541,7 +766,12 @@ function handleSearch() {
   });
 }
 
+document.addEventListener('DOMContentLoaded', render_editor);
 document.addEventListener('DOMContentLoaded', renderOptions);
+ext_api.runtime.onMessage.addListener(function (message, sender) {
+  if (message.msg === 'custom_site_rules' && message.data && message.data.id === editor_preview_id)
+    show_dnr_preview(message.data.rules);
+});
 document.getElementById('save').addEventListener('click', save_options);
 document.getElementById('sort').addEventListener('click', sort_options);
 document.getElementById('export').addEventListener('click', export_options);
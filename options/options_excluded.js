@@ -6,9 +6,7 @@ function save_options() {
     var sites_excluded = [];
     if (textareaEl.value !== '')
         var sites_excluded = textareaEl.value.split(',').filter(x => x).map(x => x.trim().replace('www.', ''));
-    ext_api.storage.local.set({
-        sites_excluded: sites_excluded
-    }, function () {
+    userSettings.setExcludedSites(sites_excluded).then(function () {
         // Update status to let user know excluded sites were saved.
         var status = document.getElementById('status');
         status.textContent = 'Excluded sites saved.';
@@ -30,10 +28,8 @@ function sort_options() {
 }
 
 function renderOptions() {
-    ext_api.storage.local.get({
-        sites_excluded: []
-    }, function (items) {
-        var sites_excluded = items.sites_excluded;
+    userSettings.init().then(function () {
+        var sites_excluded = userSettings.getExcludedSites();
         var sitesEl = document.getElementById('excluded_sites');
         sitesEl.innerHTML = '';
         var labelEl = document.createElement('label');
@@ -0,0 +1,133 @@
+var ext_api = (typeof browser === 'object') ? browser : chrome;
+var manifestData = ext_api.runtime.getManifest();
+
+var selector_rule_keys = ['ld_json', 'ld_json_next', 'ld_json_source', 'ld_json_url', 'ld_archive_is', 'ld_och_to_unlock'];
+
+// Fetch source without cookies (false when failed)
+function fetch_source(url) {
+  return fetch(url, {credentials: 'omit'})
+  .then(response => response.text().then(body => ({
+    status: response.status,
+    contentType: response.headers.get('content-type') || 'text/html',
+    body: body
+  }))).catch(err => false);
+}
+
+// External sources loaded by rule (getJsonUrl, getArchive & getOchToUnlock in contentScript.js)
+function fixture_ext_urls(url, html, bg2csData) {
+  var urls = [];
+  var url_base = url.split(/[#\?]/)[0];
+  if (bg2csData.ld_json_url) {
+    let doc = new DOMParser().parseFromString(html, 'text/html');
+    let json_url_dom = doc.querySelector('head > link[rel="alternate"][type="application/json"][href]');
+    if (json_url_dom)
+      urls.push(new URL(json_url_dom.getAttribute('href'), url).href);
+    else if (bg2csData.ld_json_url.idSelector) {
+      let article_id_dom = doc.querySelector(bg2csData.ld_json_url.idSelector + '[content]');
+      if (article_id_dom)
+        urls.push(new URL(url).origin + '/wp-json/wp/v2/posts/' + article_id_dom.getAttribute('content'));
+    }
+  }
+  if (bg2csData.ld_archive_is)
+    urls.push('https://archive.is/' + url_base);
+  if (bg2csData.ld_och_to_unlock)
+    urls.push('https://och.to/unlock/' + url_base);
+  return urls;
+}
+
+// Expected result (paywall removed & article present) from rule
+function fixture_expect(bg2csData, text) {
+  var expect = {};
+  var selector_rule = selector_rule_keys.map(key => bg2csData[key]).find(x => x) || (bg2csData.add_ext_link && bg2csData.add_ext_link.css);
+  if (selector_rule) {
+    expect.paywall = selector_rule.paywall;
+    expect.article = selector_rule.article;
+  }
+  if (text)
+    expect.text = text;
+  return expect;
+}
+
+function download_fixture(fixture) {
+  var a = document.createElement("a");
+  var file = new Blob([JSON.stringify(fixture, null, 2)], {type: "application/json"});
+  a.href = window.URL.createObjectURL(file);
+  a.download = new URL(fixture.url).hostname.replace(/^www\./, '') + '.json';
+  a.click();
+}
+
+function show_status(text, error = '') {
+  document.getElementById('status').textContent = text;
+  document.getElementById('error').textContent = error;
+}
+
+function record_fixture(url, text, data) {
+  if (!data.bg2csData) {
+    show_status('', 'No (enabled) site rule for url: ' + url);
+    return;
+  }
+  var bg2csData = data.bg2csData;
+  show_status('Recording ' + url + ' ...');
+  fetch_source(url).then(page => {
+    if (!page || page.status !== 200) {
+      show_status('', 'Failed to load page (status: ' + (page ? page.status : 'error') + ')');
+      return;
+    }
+    var ext_urls = fixture_ext_urls(url, page.body, bg2csData);
+    Promise.all(ext_urls.map(fetch_source)).then(results => {
+      var responses = {};
+      var missing = [];
+      ext_urls.forEach(function (ext_url, index) {
+        if (results[index])
+          responses[ext_url] = results[index];
+        else
+          missing.push(ext_url);
+      });
+      var fixture = {
+        url: url,
+        recorded: new Date().toISOString(),
+        version: manifestData.version,
+        dompurify: data.dompurify,
+        html: page.body,
+        responses: responses,
+        expect: fixture_expect(bg2csData, text)
+      };
+      download_fixture(fixture);
+      show_status('Fixture recorded.', missing.length ? 'Not recorded (add response to fixture manually): ' + missing.join(', ') : '');
+    });
+  });
+}
+
+// recording waiting for bg2csData of background ({url, text})
+var fixture_pending = null;
+
+function record_options() {
+  var url = document.getElementById('fixture_url').value.trim();
+  var text = document.getElementById('fixture_text').value.trim();
+  if (!/^https?:\/\//.test(url)) {
+    show_status('', 'Url not valid: ' + url);
+    return;
+  }
+  var origin = new URL(url).origin + '/*';
+  // host permission needed to fetch page source
+  ext_api.permissions.request({
+    origins: [origin]
+  }, function (granted) {
+    if (!granted) {
+      show_status('', 'Host permission not granted for: ' + origin);
+      return;
+    }
+    fixture_pending = {url: url, text: text};
+    ext_api.runtime.sendMessage({request: 'fixture_bg2cs_data', data: {url: url}});
+  });
+}
+
+ext_api.runtime.onMessage.addListener(function (message, sender) {
+  if (message.msg === 'fixture_bg2cs_data' && message.data && fixture_pending && message.data.url === fixture_pending.url) {
+    let pending = fixture_pending;
+    fixture_pending = null;
+    record_fixture(pending.url, pending.text, message.data);
+  }
+});
+
+document.getElementById('record').addEventListener('click', record_options);
@@ -0,0 +1,70 @@
+var ext_api = (typeof browser === 'object') ? browser : chrome;
+var manifestData = ext_api.runtime.getManifest();
+
+// entries of filter (background.js: logger.getEntries)
+var log_entries = [];
+
+function log_filter() {
+  return {
+    level: document.getElementById('log_level').value,
+    category: document.getElementById('log_category').value,
+    text: document.getElementById('log_text').value.trim()
+  };
+}
+
+function request_entries() {
+  ext_api.runtime.sendMessage({request: 'log_entries', data: log_filter()});
+}
+
+function show_entries(entries) {
+  log_entries = entries;
+  let table = document.getElementById('log_entries');
+  table.innerHTML = '';
+  // newest first
+  for (let entry of entries.slice().reverse()) {
+    let row = document.createElement('tr');
+    row.className = entry.level;
+    let cells = [new Date(entry.time).toLocaleTimeString(), entry.level, entry.category, entry.message, entry.data || ''];
+    for (let text of cells) {
+      let cell = document.createElement('td');
+      cell.textContent = text;
+      row.appendChild(cell);
+    }
+    table.appendChild(row);
+  }
+  document.getElementById('status').textContent = entries.length + ' entries';
+}
+
+function download_log(text, type, extension) {
+  var a = document.createElement("a");
+  var file = new Blob([text], {type: type});
+  a.href = window.URL.createObjectURL(file);
+  a.download = 'bpc_log_' + new Date().toISOString().replace(/[:.]/g, '-') + extension;
+  a.click();
+}
+
+function export_text() {
+  let header = 'Bypass Paywalls Clean ' + manifestData.version + ' (' + navigator.userAgent + ')';
+  download_log([header].concat(log_entries.map(Logger.formatEntry)).join('\n'), 'text/plain', '.log');
+}
+
+function export_json() {
+  download_log(JSON.stringify({version: manifestData.version, userAgent: navigator.userAgent, entries: log_entries}, null, 2), 'application/json', '.json');
+}
+
+ext_api.runtime.onMessage.addListener(function (message, sender) {
+  if (message.msg === 'log_entries' && message.data)
+    show_entries(message.data.entries);
+});
+
+document.getElementById('log_level').addEventListener('change', request_entries);
+document.getElementById('log_category').addEventListener('change', request_entries);
+document.getElementById('log_text').addEventListener('input', request_entries);
+document.getElementById('refresh').addEventListener('click', request_entries);
+document.getElementById('export_text').addEventListener('click', export_text);
+document.getElementById('export_json').addEventListener('click', export_json);
+document.getElementById('clear').addEventListener('click', function () {
+  ext_api.runtime.sendMessage({request: 'log_clear'});
+  show_entries([]);
+});
+request_entries();
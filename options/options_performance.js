@@ -0,0 +1,191 @@
+var ext_api = (typeof browser === 'object') ? browser : chrome;
+var manifestData = ext_api.runtime.getManifest();
+
+// series of background.js (perfMonitor.getHistory)
+var perf_series = {
+  startup: {title: 'Startup time (until rules set)', unit: 'ms'},
+  indexBuild: {title: 'Index build time', unit: 'ms'},
+  chunkLoad: {title: 'Chunk load time', unit: 'ms'},
+  cacheHitRate: {title: 'Regex cache hit rate (blocked scripts)', unit: '%'},
+  injection: {title: 'Injection latency', unit: 'ms'}
+};
+// manifest v3: scripts blocked by dnr rules (no regexCache)
+if (manifestData.manifest_version === 3)
+  delete perf_series.cacheHitRate;
+var perf_history = {};
+
+function request_history() {
+  let days = parseInt(document.getElementById('perf_period').value);
+  ext_api.runtime.sendMessage({request: 'perf_history', data: {since: Date.now() - days * 24 * 60 * 60 * 1000}});
+}
+
+function summary_text(summary, unit) {
+  if (!summary.count)
+    return 'no samples';
+  return summary.count + ' samples, avg ' + summary.avg + unit + ', p95 ' + summary.p95 + unit + ', last ' + summary.last + unit;
+}
+
+// line chart of samples (x: time, y: value)
+function draw_chart(canvas, samples, unit) {
+  let ctx = canvas.getContext('2d');
+  let width = canvas.width;
+  let height = canvas.height;
+  let pad = {left: 50, right: 10, top: 10, bottom: 20};
+  let color = getComputedStyle(document.body).color;
+  ctx.clearRect(0, 0, width, height);
+  ctx.font = '11px sans-serif';
+  ctx.fillStyle = color;
+  ctx.strokeStyle = color;
+  if (!samples.length) {
+    ctx.fillText('no samples', width / 2 - 25, height / 2);
+    return;
+  }
+  let t_min = samples[0].time;
+  let t_max = Math.max(samples[samples.length - 1].time, t_min + 1);
+  let v_max = (unit === '%') ? 100 : Math.max(...samples.map(x => x.value)) * 1.1 || 1;
+  let x = time => pad.left + (time - t_min) / (t_max - t_min) * (width - pad.left - pad.right);
+  let y = value => height - pad.bottom - value / v_max * (height - pad.top - pad.bottom);
+  // axes & labels
+  ctx.globalAlpha = 0.4;
+  ctx.beginPath();
+  ctx.moveTo(pad.left, pad.top);
+  ctx.lineTo(pad.left, height - pad.bottom);
+  ctx.lineTo(width - pad.right, height - pad.bottom);
+  ctx.stroke();
+  ctx.globalAlpha = 1;
+  ctx.fillText(Math.round(v_max) + unit, 2, pad.top + 8);
+  ctx.fillText('0' + unit, 2, height - pad.bottom);
+  ctx.fillText(new Date(t_min).toLocaleString(), pad.left, height - 4);
+  let t_max_text = new Date(t_max).toLocaleString();
+  ctx.fillText(t_max_text, width - pad.right - ctx.measureText(t_max_text).width, height - 4);
+  // samples
+  ctx.strokeStyle = ctx.fillStyle = 'steelblue';
+  ctx.beginPath();
+  samples.forEach((sample, index) => {
+    if (index)
+      ctx.lineTo(x(sample.time), y(sample.value));
+    else
+      ctx.moveTo(x(sample.time), y(sample.value));
+  });
+  ctx.stroke();
+  for (let sample of samples)
+    ctx.fillRect(x(sample.time) - 1.5, y(sample.value) - 1.5, 3, 3);
+}
+
+// table of samples by label (domain or chunk), slowest (p95) first
+function show_table(table, samples, title) {
+  let labels = {};
+  for (let sample of samples)
+    (labels[sample.label || ''] = labels[sample.label || ''] || []).push(sample);
+  let rows = Object.keys(labels).map(label => Object.assign({label}, PerformanceMonitor.summarize(labels[label])));
+  rows.sort((a, b) => b.p95 - a.p95);
+  table.innerHTML = '';
+  let add_row = (cells, tag) => {
+    let row = document.createElement('tr');
+    for (let text of cells) {
+      let cell = document.createElement(tag);
+      cell.textContent = text;
+      row.appendChild(cell);
+    }
+    table.appendChild(row);
+  };
+  add_row([title, 'samples', 'avg (ms)', 'p95 (ms)', 'last (ms)'], 'th');
+  for (let row of rows)
+    add_row([row.label, row.count, row.avg, row.p95, row.last], 'td');
+}
+
+function show_history(history) {
+  perf_history = history;
+  let charts = document.getElementById('perf_charts');
+  charts.innerHTML = '';
+  let total = 0;
+  for (let name in perf_series) {
+    let samples = history[name] || [];
+    let series = perf_series[name];
+    total += samples.length;
+    let div = document.createElement('div');
+    div.className = 'perf_chart';
+    let title = document.createElement('strong');
+    title.textContent = series.title;
+    let summary = document.createElement('div');
+    summary.textContent = summary_text(PerformanceMonitor.summarize(samples), series.unit);
+    let canvas = document.createElement('canvas');
+    canvas.width = 800;
+    canvas.height = 160;
+    div.append(title, summary, canvas);
+    charts.appendChild(div);
+    draw_chart(canvas, samples, series.unit);
+  }
+  show_table(document.getElementById('perf_injection'), history.injection || [], 'domain');
+  show_table(document.getElementById('perf_chunks'), history.chunkLoad || [], 'chunk');
+  document.getElementById('status').textContent = total + ' samples';
+}
+
+// usage learning (background-init.js: usageLearner)
+function show_usage(response) {
+  if (!response)
+    return;
+  let stats = response.stats;
+  document.getElementById('usage_status').textContent = stats.enabled ? (stats.trackedSites + ' sites, ' + stats.promotedSites + ' promoted') : 'usage learning disabled';
+  let table = document.getElementById('usage_sites');
+  table.innerHTML = '';
+  if (!response.sites.length)
+    return;
+  let header = document.createElement('tr');
+  for (let text of ['domain', 'score', 'last visit', 'promoted', '']) {
+    let cell = document.createElement('th');
+    cell.textContent = text;
+    header.appendChild(cell);
+  }
+  table.appendChild(header);
+  for (let site of response.sites) {
+    let row = document.createElement('tr');
+    for (let text of [site.domain, site.score, new Date(site.last).toLocaleString(), site.promoted ? 'yes' : '']) {
+      let cell = document.createElement('td');
+      cell.textContent = text;
+      row.appendChild(cell);
+    }
+    let cell = document.createElement('td');
+    let button = document.createElement('button');
+    button.textContent = 'forget';
+    button.addEventListener('click', function () {
+      ext_api.runtime.sendMessage({action: 'forgetSite', domain: site.domain}).then(request_usage);
+    });
+    cell.appendChild(button);
+    row.appendChild(cell);
+    table.appendChild(row);
+  }
+}
+
+function request_usage() {
+  ext_api.runtime.sendMessage({action: 'getUsageData'}).then(show_usage);
+}
+
+function export_json() {
+  var a = document.createElement("a");
+  var file = new Blob([JSON.stringify({version: manifestData.version, userAgent: navigator.userAgent, history: perf_history}, null, 2)], {type: 'application/json'});
+  a.href = window.URL.createObjectURL(file);
+  a.download = 'bpc_performance_' + new Date().toISOString().replace(/[:.]/g, '-') + '.json';
+  a.click();
+}
+
+ext_api.runtime.onMessage.addListener(function (message, sender) {
+  if (message.msg === 'perf_history' && message.data)
+    show_history(message.data.history);
+});
+
+document.getElementById('perf_period').addEventListener('change', request_history);
+document.getElementById('refresh').addEventListener('click', function () {
+  request_history();
+  request_usage();
+});
+document.getElementById('export_json').addEventListener('click', export_json);
+document.getElementById('clear').addEventListener('click', function () {
+  ext_api.runtime.sendMessage({request: 'perf_clear'});
+  show_history({});
+});
+document.getElementById('usage_reset').addEventListener('click', function () {
+  ext_api.runtime.sendMessage({action: 'resetUsageData'}).then(request_usage);
+});
+request_history();
+request_usage();
@@ -1,90 +1,109 @@
-// Enhanced popup features for v4.0 optimization
-const ext_api = (typeof browser === 'object') ? browser : chrome;
+// Enhanced popup features for v4.0 optimization (settings: lib/user-settings.js)
 
 // Initialize enhanced features
 (async function initEnhancedFeatures() {
   try {
-    // Load settings with proper defaults
-    let data = await ext_api.storage.sync.get('userSettings');
+    // Load settings (with defaults)
+    await userSettings.init();
+    let settings = userSettings.settings;
 
-    // Define default settings (OFF by default - user must enable)
-    const defaultSettings = {
-      features: {
-        mediumRedirect: false,
-        mediumRedirectTarget: 'freedium',
-        ampRedirect: false,
-        archiveRedirect: false
-      }
-    };
-
-    // Deep merge helper (reused from UserSettings pattern)
-    function deepMerge(target, source) {
-      let result = { ...target };
-      for (let key in source) {
-        if (source[key] && typeof source[key] === 'object' && !Array.isArray(source[key])) {
-          result[key] = deepMerge(target[key] || {}, source[key]);
-        } else if (source[key] !== undefined) {
-          result[key] = source[key];
-        }
-      }
-      return result;
-    }
-
-    // Merge defaults with loaded settings
-    let settings = deepMerge(defaultSettings, data.userSettings || {});
-
-    // Set toggle states
+    // Feature toggles: all sites, or overrides of current site (siteOverrides of hostname)
+    const siteOnlyToggle = document.getElementById('toggle-site-only');
+    const siteLabel = document.getElementById('toggle-site');
     const mediumRedirectToggle = document.getElementById('toggle-medium-redirect');
     const mediumRedirectTarget = document.getElementById('medium-redirect-target');
     const ampRedirectToggle = document.getElementById('toggle-amp-redirect');
     const archiveToggle = document.getElementById('toggle-archive');
+    const usageLearningToggle = document.getElementById('toggle-usage-learning');
 
-    if (mediumRedirectToggle) {
-      mediumRedirectToggle.checked = settings.features.mediumRedirect;
+    let tabs = await ext_api.tabs.query({ active: true, currentWindow: true });
+    let site = (tabs[0] && /^http/.test(tabs[0].url)) ? new URL(tabs[0].url).hostname.replace(/^www\./, '') : '';
+    let siteOnly = !!(site && userSettings.hasSiteOverrides(site));
+    if (siteOnlyToggle) {
+      siteOnlyToggle.checked = siteOnly;
+      siteOnlyToggle.disabled = !site;
     }
-    if (mediumRedirectTarget) {
-      mediumRedirectTarget.value = settings.features.mediumRedirectTarget;
+    if (siteLabel && site) {
+      siteLabel.textContent = site;
     }
-    if (ampRedirectToggle) {
-      ampRedirectToggle.checked = settings.features.ampRedirect;
+
+    function renderFeatures() {
+      let features = siteOnly ? userSettings.getSiteFeatures(site) : userSettings.settings.features;
+      if (mediumRedirectToggle) {
+        mediumRedirectToggle.checked = features.mediumRedirect;
+      }
+      if (mediumRedirectTarget) {
+        mediumRedirectTarget.value = features.mediumRedirectTarget;
+      }
+      if (ampRedirectToggle) {
+        ampRedirectToggle.checked = features.ampRedirect;
+      }
+      if (archiveToggle) {
+        archiveToggle.checked = features.archiveRedirect;
+      }
     }
-    if (archiveToggle) {
-      archiveToggle.checked = settings.features.archiveRedirect;
+
+    async function setFeature(name, value) {
+      if (siteOnly)
+        await userSettings.setSiteOverride(site, name, value);
+      else
+        await userSettings.set('features.' + name, value);
     }
 
-    // Medium redirect toggle handler
-    if (mediumRedirectToggle) {
-      mediumRedirectToggle.addEventListener('change', async (e) => {
-        settings.features.mediumRedirect = e.target.checked;
-        await ext_api.storage.sync.set({ userSettings: settings });
-        console.log(`[BPC] Medium redirect ${e.target.checked ? 'enabled' : 'disabled'}`);
+    renderFeatures();
+    if (usageLearningToggle) {
+      usageLearningToggle.checked = settings.performance.usageLearning;
+    }
+
+    // Current site only (unchecked: overrides of site removed)
+    if (siteOnlyToggle) {
+      siteOnlyToggle.addEventListener('change', async (e) => {
+        siteOnly = e.target.checked;
+        if (!siteOnly)
+          await userSettings.clearSiteOverrides(site);
+        renderFeatures();
       });
     }
 
-    // Medium redirect target handler
+    // Medium redirect toggle & target (freedium or scribe)
+    if (mediumRedirectToggle) {
+      mediumRedirectToggle.addEventListener('change', (e) => setFeature('mediumRedirect', e.target.checked));
+    }
     if (mediumRedirectTarget) {
-      mediumRedirectTarget.addEventListener('change', async (e) => {
-        settings.features.mediumRedirectTarget = e.target.value;
-        await ext_api.storage.sync.set({ userSettings: settings });
-        console.log(`[BPC] Medium redirect target: ${e.target.value}`);
-      });
+      mediumRedirectTarget.addEventListener('change', (e) => setFeature('mediumRedirectTarget', e.target.value));
     }
 
     // AMP redirect toggle handler
     if (ampRedirectToggle) {
-      ampRedirectToggle.addEventListener('change', async (e) => {
-        settings.features.ampRedirect = e.target.checked;
-        await ext_api.storage.sync.set({ userSettings: settings });
-        console.log(`[BPC] AMP redirect ${e.target.checked ? 'enabled' : 'disabled'}`);
-      });
+      ampRedirectToggle.addEventListener('change', (e) => setFeature('ampRedirect', e.target.checked));
     }
 
     // Archive fallback toggle handler
     if (archiveToggle) {
-      archiveToggle.addEventListener('change', async (e) => {
-        settings.features.archiveRedirect = e.target.checked;
-        await ext_api.storage.sync.set({ userSettings: settings });
-        console.log(`[BPC] Archive fallback ${e.target.checked ? 'enabled' : 'disabled'}`);
+      archiveToggle.addEventListener('change', (e) => setFeature('archiveRedirect', e.target.checked));
+    }
+
+    // Usage learning toggle handler (disabled: usage data is removed)
+    if (usageLearningToggle) {
+      usageLearningToggle.addEventListener('change', async (e) => {
+        await userSettings.set('performance.usageLearning', e.target.checked);
+      });
+    }
+
+    // Forget current site (usage learning)
+    const forgetSiteBtn = document.getElementById('forget_site');
+    if (forgetSiteBtn) {
+      forgetSiteBtn.addEventListener('click', async () => {
+        try {
+          let tabs = await ext_api.tabs.query({ active: true, currentWindow: true });
+          let response = tabs[0] ? await ext_api.runtime.sendMessage({ action: 'forgetSite', url: tabs[0].url }) : null;
+          forgetSiteBtn.textContent = (response && response.success) ? '✓ Forgotten' : 'not tracked';
+          setTimeout(() => {
+            forgetSiteBtn.textContent = 'forget site';
+          }, 2000);
+        } catch (e) {
+          logger.error('general', 'Failed to forget site', e);
+        }
       });
     }
 
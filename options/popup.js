@@ -16,22 +16,28 @@ ext_api.tabs.query({
     let tabId = tabs[0].id;
     if (ext_manifest_version === 2) {
       ext_api.tabs.executeScript(tabId, {
-        file: '/options/htmlviewer.js'
+        file: '/lib/hostname-matcher.js'
       }, function (res) {
-        if (ext_api.runtime.lastError || res[0]) {
+        if (ext_api.runtime.lastError)
           return;
-        }
+        ext_api.tabs.executeScript(tabId, {
+          file: '/options/htmlviewer.js'
+        }, function (res) {
+          if (ext_api.runtime.lastError || res[0]) {
+            return;
+          }
+        });
       });
     } else if (ext_manifest_version === 3) {
       ext_api.scripting.executeScript({
         target: {tabId: tabId},
-        files: ["/options/htmlviewer.js"]
+        files: ["/lib/hostname-matcher.js", "/options/htmlviewer.js"]
       })
     }
   }
 });
 
-function popup_show_toggle(domain, enabled) {
+function popup_show_toggle(domain, enabled, path_excluded = false) {
   if (domain) {
     var site_switch_span = document.getElementById('site_switch_span');
     let labelEl = document.createElement('label');
@@ -47,6 +53,13 @@ function popup_show_toggle(domain, enabled) {
     spanEl.setAttribute('title', 'en/disable current site/group in BPC');
     labelEl.appendChild(spanEl);
     site_switch_span.appendChild(labelEl);
+    // site enabled, but page not in include_paths or in exclude_paths of site
+    if (enabled && path_excluded) {
+      let pathEl = document.createElement('span');
+      pathEl.setAttribute('title', 'BPC not active for this page (excluded path of site)');
+      pathEl.innerText = ' (page excluded)';
+      site_switch_span.appendChild(pathEl);
+    }
     document.getElementById("site_switch").addEventListener('click', function () {
       ext_api.runtime.sendMessage({
         request: 'site_switch'
@@ -61,8 +74,30 @@ ext_api.runtime.sendMessage({
 });
 ext_api.runtime.onMessage.addListener(function (message, sender) {
   if (message.msg === 'popup_show_toggle' && message.data) {
-    popup_show_toggle(message.data.domain, message.data.enabled)
+    popup_show_toggle(message.data.domain, message.data.enabled, message.data.path_excluded)
   }
+  if (message.msg === 'tab_diagnostics' && message.data) {
+    diagnostics_report = TabDiagnostics.formatReport(message.data);
+    document.getElementById('diagnostics_report').innerText = diagnostics_report;
+  }
+});
+
+// diagnostics of current tab (what BPC did), copy report for support
+var diagnostics_report = '';
+document.getElementById('diagnostics').addEventListener('toggle', function () {
+  if (this.open)
+    ext_api.runtime.sendMessage({
+      request: 'tab_diagnostics'
+    });
+});
+
+document.getElementById('diagnostics_copy').addEventListener('click', function () {
+  let button = this;
+  if (diagnostics_report)
+    navigator.clipboard.writeText(diagnostics_report).then(function () {
+      button.innerText = 'copied';
+      setTimeout(() => button.innerText = 'copy report', 2000);
+    });
 });
 
 var cookie_domain;
@@ -135,36 +170,20 @@ function showArchiveLinks() {
 showArchiveLinks();
 
 function matchDomain(domains, hostname = window.location.hostname) {
-  let matched_domain = false;
-  if (typeof domains === 'string')
-    domains = [domains];
-  domains.some(domain => (hostname === domain || hostname.endsWith('.' + domain)) && (matched_domain = domain));
-  return matched_domain;
+  return hostnameMatcher.matchDomain(domains, hostname);
 }
 
 function urlHost(url) {
-  if (/^http/.test(url)) {
-    try {
-      return new URL(url).hostname;
-    } catch (e) {
-      console.log(`url not valid: ${url} error: ${e}`);
-    }
-  }
-  return url;
+  return hostnameMatcher.urlHost(url);
 }
 
 function closeButton() {
   window.close();
 }
 
+// registrable domain (public suffix list)
 function getCookiePermDomain(hostname) {
-  let domain = hostname.replace(/^(www|amp(html)?|m|wap)(\d)?\./, '');
-  let domain_split = domain.split('.');
-  let num = 2;
-  if (domain_split.length > 2 && domain.match(/(\w){2,4}\.(\w){2}$/))
-    num = 3;
-  domain = domain_split.slice(-num).join('.');
-  return domain;
+  return hostnameMatcher.registrableDomain(hostname);
 }
 
 document.getElementById("button-close").addEventListener('click', closeButton);
@@ -0,0 +1,3 @@
+// Generated by tools/build-rulesets.js (do not edit)
+// static rules: domain → rule type → [ruleset id, rule id, hash of rule]
+var staticRulesets = {"rulesets":["sites_global","sites_usa","sites_europe","sites_india","sites_asia","sites_oceania","sites_americas","sites_africa"],"rules":{"60millions-mag.com":{"block_regex":["sites_global",318228450,"b42cf17"]},"al.com":{"block_regex":["sites_usa",1457351198,"6797b8d7"]},"cleveland.com":{"block_regex":["sites_usa",883386283,"91971532"]},"lehighvalleylive.com":{"block_regex":["sites_usa",299539232,"2c1d66de"]},"masslive.com":{"block_regex":["sites_usa",1787059166,"b43dc79e"]},"mlive.com":{"block_regex":["sites_usa",509695413,"7b21964f"]},"nj.com":{"block_regex":["sites_usa",139839895,"9bab995c"]},"oregonlive.com":{"block_regex":["sites_usa",931800348,"aed352a2"]},"pennlive.com":{"block_regex":["sites_usa",821589950,"df53d9e3"]},"silive.com":{"block_regex":["sites_usa",991804878,"9df4848a"]},"syracuse.com":{"block_regex":["sites_usa",293794922,"cbffb277"]},"adweek.com":{"headers":["sites_global",415259791,"6869fffd"]},"agefi.fr":{"headers":["sites_europe",1053496812,"f900f6d6"]},"abqjournal.com":{"block_regex":["sites_global",276269812,"68f91dad"]},"ad.nl":{"block_regex":["sites_europe",1908800536,"be514fc0"]},"bd.nl":{"block_regex":["sites_europe",2013531179,"24d709ff"]},"bndestem.nl":{"block_regex":["sites_europe",1367873199,"9be4be03"]},"destentor.nl":{"block_regex":["sites_europe",1298783897,"5229d5f1"]},"ed.nl":{"block_regex":["sites_europe",2080396150,"4340e9bc"]},"gelderlander.nl":{"block_regex":["sites_europe",1465795956,"37afe70"]},"pzc.nl":{"block_regex":["sites_europe",620016546,"f06a87e6"]},"tubantia.nl":{"block_regex":["sites_europe",1679707611,"a947f8d7"]},"alternatives-economiques.fr":{"block_regex":["sites_europe",1828717492,"3a69ca64"],"headers":["sites_europe",934382639,"88048b61"]},"americastestkitchen.com":{"block_regex":["sites_global",1934122528,"925d52a6"]},"americanaffairsjournal.org":{"block_regex":["sites_global",414709853,"40fc516d"]},"americanbanker.com":{"block_regex":["sites_global",146063999,"1ee06c9a"]},"americanpurpose.com":{"block_regex":["sites_global",847849334,"dc6ebcd9"]},"apollo-magazine.com":{"headers":["sites_global",1871140317,"7e4df38d"]},"ara.cat":{"block_regex":["sites_europe",1343213360,"8717f729"],"headers":["sites_europe",577350007,"4962bc48"]},"arabalears.cat":{"block_regex":["sites_europe",1802642390,"8bfa6647"],"headers":["sites_europe",443790977,"c4bdb1ec"]},"artforum.com":{"headers":["sites_global",211101657,"4f38bebd"]},"artnet.com":{"block_regex":["sites_global",1155867349,"8ba2ff11"]},"atavist.com":{"headers":["sites_global",1794888842,"43a3b78f"]},"atlantico.fr":{"block_regex":["sites_europe",898108008,"f2156171"]},"augsburger-allgemeine.de":{"block_regex":["sites_europe",1829345692,"1d88accc"]},"adelaidenow.com.au":{"block_regex":["sites_oceania",2140357003,"f0a35f75"],"exclude_paths":["sites_oceania",1476821635,"ed43a9a0"],"subscribe_redirect":["sites_oceania",617496542,"ea6dc41b"]},"cairnspost.com.au":{"block_regex":["sites_oceania",959976812,"766ddc5c"],"exclude_paths":["sites_oceania",706425598,"18ae5559"],"subscribe_redirect":["sites_oceania",1368758946,"cab1ca89"]},"codesports.com.au":{"block_regex":["sites_oceania",978511774,"78f24a18"],"exclude_paths":["sites_oceania",890753220,"b141906d"],"subscribe_redirect":["sites_oceania",1231801516,"55ed9511"]},"couriermail.com.au":{"block_regex":["sites_oceania",597147568,"b16d9b9e"],"exclude_paths":["sites_oceania",1670693706,"fc522405"],"subscribe_redirect":["sites_oceania",460271102,"cdcca3c1"]},"dailytelegraph.com.au":{"block_regex":["sites_oceania",461939820,"abb80c21"],"exclude_paths":["sites_oceania",2124273196,"d93312fa"],"subscribe_redirect":["sites_oceania",1396308499,"cb574139"]},"geelongadvertiser.com.au":{"block_regex":["sites_oceania",431421284,"dd9a16ba"],"exclude_paths":["sites_oceania",697889094,"914cb9e5"],"subscribe_redirect":["sites_oceania",1140372314,"9a0cf91"]},"goldcoastbulletin.com.au":{"block_regex":["sites_oceania",1043531739,"371b0279"],"exclude_paths":["sites_oceania",1389134931,"58209248"],"subscribe_redirect":["sites_oceania",348049198,"f08e65d7"]},"heraldsun.com.au":{"block_regex":["sites_oceania",1665238490,"27b1bb9a"],"exclude_paths":["sites_oceania",1481018648,"cebebbbd"],"subscribe_redirect":["sites_oceania",739090192,"92fb2e81"]},"theaustralian.com.au":{"block_regex":["sites_oceania",1795350573,"2fed5975"],"exclude_paths":["sites_oceania",761355057,"9c6953bc"],"subscribe_redirect":["sites_oceania",424882096,"9517a917"]},"thechronicle.com.au":{"block_regex":["sites_oceania",1564244637,"85ebd2a"],"exclude_paths":["sites_oceania",1485924447,"81d9239f"],"subscribe_redirect":["sites_oceania",1351598955,"6f20f621"]},"themercury.com.au":{"block_regex":["sites_oceania",25649981,"ca779fc6"],"exclude_paths":["sites_oceania",258517503,"b5a6536f"],"subscribe_redirect":["sites_oceania",1660236939,"ba4b4dd9"]},"townsvillebulletin.com.au":{"block_regex":["sites_oceania",174153695,"e387c38e"],"exclude_paths":["sites_oceania",1499079477,"abd50b03"],"subscribe_redirect":["sites_oceania",995935573,"9f2601a1"]},"weeklytimesnow.com.au":{"block_regex":["sites_oceania",1434986249,"40caafab"],"exclude_paths":["sites_oceania",2018945957,"b74dc1e4"],"subscribe_redirect":["sites_oceania",1535287412,"7fe897d5"]},"bendigoadvertiser.com.au":{"block_regex":["sites_oceania",1703881168,"a67af033"]},"bordermail.com.au":{"block_regex":["sites_oceania",1932538659,"893650a7"]},"canberratimes.com.au":{"block_regex":["sites_oceania",68246686,"bcc2a83e"]},"centralwesterndaily.com.au":{"block_regex":["sites_oceania",643569387,"21f192d8"]},"dailyadvertiser.com.au":{"block_regex":["sites_oceania",350002786,"c001e3ee"]},"dailyliberal.com.au":{"block_regex":["sites_oceania",598711428,"c9439e90"]},"examiner.com.au":{"block_regex":["sites_oceania",646117332,"6876209d"]},"illawarramercury.com.au":{"block_regex":["sites_oceania",1837149164,"8db51ca8"]},"newcastleherald.com.au":{"block_regex":["sites_oceania",30662994,"3c57acf2"]},"northerndailyleader.com.au":{"block_regex":["sites_oceania",2092885703,"445105bc"]},"standard.net.au":{"block_regex":["sites_oceania",1934276720,"73defca1"]},"theadvocate.com.au":{"block_regex":["sites_oceania",750444879,"1c8c95c"]},"thecourier.com.au":{"block_regex":["sites_oceania",1210230270,"8b5dd8ec"]},"westernadvocate.com.au":{"block_regex":["sites_oceania",523292525,"2523a9"]},"afr.com":{"block_regex":["sites_oceania",43937648,"807bf3c6"]},"brisbanetimes.com.au":{"block_regex":["sites_oceania",215727361,"ebddbc90"]},"smh.com.au":{"block_regex":["sites_oceania",340929022,"a873db12"]},"theage.com.au":{"block_regex":["sites_oceania",240572326,"2f1b483c"]},"watoday.com.au":{"block_regex":["sites_oceania",2121644676,"c6212b9b"]},"automobilwoche.de":{"block_regex":["sites_europe",966854976,"311ac7e7"]},"autoplus.fr":{"block_regex":["sites_europe",1804027866,"95236698"]},"autosport.com":{"block_regex":["sites_global",1104246090,"c447d25a"]},"barrons.com":{"block_regex":["sites_global",1534919347,"6965c943"]},"historyextra.com":{"block_regex":["sites_global",949105598,"8ee7b519"]},"benzinga.com":{"headers":["sites_global",638329329,"cc8fcac5"]},"berliner-zeitung.de":{"headers":["sites_europe",594663699,"a0ce4567"]},"berlingske.dk":{"headers":["sites_europe",1178203846,"d8e446d5"]},"bloomberg.com":{"block_regex":["sites_global",1483098719,"58d1210d"],"exclude_paths":["sites_global",1113335599,"c3a5aa43"]},"bloombergadria.com":{"block_js_inline":["sites_global",1327647692,"3451dc16"],"exclude_paths":["sites_global",302567851,"d477a163"]},"###_usa_bnp_media":{"block_regex":["sites_usa",1468882908,"4f38c60c"]},"thebulletin.org":{"block_regex":["sites_global",1236818558,"58678f5e"]},"businessinsider.com":{"block_regex":["sites_global",1964465030,"c15fc04c"],"headers":["sites_global",574345205,"e543566f"]},"businessinsider.jp":{"block_regex":["sites_asia",375762171,"9150ef48"]},"businessinsider.nl":{"block_regex":["sites_europe",257271899,"78d1d969"]},"businesspost.ie":{"block_regex":["sites_europe",1115967240,"e4c5675d"]},"labusinessjournal.com":{"block_regex":["sites_usa",415173090,"bdabba4b"]},"ocbj.com":{"block_regex":["sites_usa",731538892,"f723858d"]},"sdbj.com":{"block_regex":["sites_usa",772644119,"8c046b64"]},"sfvbj.com":{"block_regex":["sites_usa",1102473757,"cde2db3a"]},"cambiocolombia.com":{"block_regex":["sites_global",1785369676,"91a14b0f"]},"capital.bg":{"block_regex":["sites_europe",878708396,"7b845dca"]},"capital.fr":{"block_regex":["sites_europe",991557914,"736ec8bf"]},"causeur.fr":{"block_regex":["sites_europe",723530808,"da174ecd"]},"aargauerzeitung.ch":{"block_regex":["sites_europe",20188456,"2ba17778"],"headers":["sites_europe",790998339,"d3614bfb"],"exclude_paths":["sites_europe",1533131442,"8c264856"]},"luzernerzeitung.ch":{"block_regex":["sites_europe",933342845,"296e4b4d"],"headers":["sites_europe",1720084378,"e28046f2"],"exclude_paths":["sites_europe",666709825,"989099af"]},"tagblatt.ch":{"block_regex":["sites_europe",428699339,"28baa36b"],"headers":["sites_europe",58902956,"524a692e"],"exclude_paths":["sites_europe",330535363,"78a9cb49"]},"challenges.fr":{"block_regex":["sites_europe",315344592,"121b6fb"]},"charliehebdo.fr":{"block_regex":["sites_europe",2002584785,"2fc512a7"]},"cen.acs.org":{"headers":["sites_global",2099050042,"a783197f"]},"cnbc.com":{"block_regex":["sites_global",776360246,"d1118825"]},"commentary.org":{"block_regex":["sites_global",850567466,"ee731bf6"],"headers":["sites_global",1008798297,"53eabc05"]},"cw.com.tw":{"headers":["sites_asia",960218003,"9b68a236"]},"architecturaldigest.com":{"block_regex":["sites_usa",1926661975,"711c1bc1"]},"bonappetit.com":{"block_regex":["sites_usa",1115883656,"90295771"]},"cntraveler.com":{"block_regex":["sites_usa",860791284,"ddba4665"]},"epicurious.com":{"block_regex":["sites_usa",224268788,"34cab681"]},"gq.com":{"block_regex":["sites_usa",531584449,"5bb7bf09"]},"newyorker.com":{"block_regex":["sites_usa",1014679693,"8963c5d3"]},"vanityfair.com":{"block_regex":["sites_usa",782760586,"bd389c6d"]},"vogue.co.uk":{"block_regex":["sites_usa",77717130,"2d3a9551"]},"vogue.com":{"block_regex":["sites_usa",191830463,"ad55f697"]},"wired.com":{"block_regex":["sites_usa",1777035864,"adacdb39"]},"connaissancedesarts.com":{"block_regex":["sites_global",388356101,"2eefeca8"]},"correiodopovo.com.br":{"block_regex":["sites_americas",869778922,"b58d7615"]},"corriere.it":{"block_regex":["sites_europe",1785653200,"72058da"]},"cosmopolitan.fr":{"block_regex":["sites_europe",846496483,"4136c065"]},"courrierinternational.com":{"headers":["sites_global",1170778664,"3b7dd90a"]},"360dx.com":{"block_regex":["sites_usa",435433402,"b7cba552"]},"adage.com":{"block_regex":["sites_usa",755616222,"704a0d90"]},"autonews.com":{"headers":["sites_usa",367367964,"1649d91"]},"chicagobusiness.com":{"block_regex":["sites_usa",666047171,"842a55cc"]},"crainscleveland.com":{"block_regex":["sites_usa",1006485837,"4d27bab4"]},"crainsdetroit.com":{"block_regex":["sites_usa",1366899956,"54887cba"]},"crainsgrandrapids.com":{"block_regex":["sites_usa",1687472593,"4e8cb19e"]},"crainsnewyork.com":{"block_regex":["sites_usa",1579146003,"8abaf13e"]},"genomeweb.com":{"block_regex":["sites_usa",621546241,"6c8dee96"]},"modernhealthcare.com":{"block_regex":["sites_usa",2142736543,"4650a20a"]},"pionline.com":{"block_regex":["sites_usa",154917831,"3857dcdc"]},"plasticsnews.com":{"block_regex":["sites_usa",724755520,"fb32d556"]},"precisionmedicineonline.com":{"block_regex":["sites_usa",1562846890,"60cafe3a"]},"rubbernews.com":{"block_regex":["sites_usa",4978346,"40c6fa63"]},"sustainableplastics.com":{"block_regex":["sites_usa",1267032446,"10d7edf8"]},"tirebusiness.com":{"block_regex":["sites_usa",234500681,"f95893e"]},"utech-polyurethane.com":{"block_regex":["sites_usa",683280483,"117223f6"]},"crusoe.com.br":{"block_regex":["sites_americas",554185570,"826ae1de"]},"dagensmedicin.se":{"headers":["sites_europe",1693444339,"f62574d7"]},"dailymail.co.uk":{"block_regex":["sites_europe",1523998804,"e39daf20"]},"mailonsunday.co.uk":{"block_regex":["sites_europe",669036569,"45263f50"]},"thisismoney.co.uk":{"block_regex":["sites_europe",1496594029,"6ed9bec8"]},"limburger.nl":{"block_regex":["sites_europe",1951272146,"fc16f3df"]},"tijd.be":{"headers":["sites_europe",149226999,"6f78b3b"]},"tagesspiegel.de":{"exclude_paths":["sites_europe",1376540966,"d446970a"]},"df.cl":{"headers":["sites_americas",500486001,"bd3bda57"]},"rheinpfalz.de":{"block_regex":["sites_europe",958484119,"495cdcdf"],"headers":["sites_europe",79336376,"b0b89692"]},"digiday.com":{"block_regex":["sites_usa",1675177016,"8911cf26"]},"glossy.co":{"block_regex":["sites_usa",401542366,"fca2ee0f"]},"modernretail.co":{"block_regex":["sites_usa",1859163742,"3f93896e"]},"digitimes.com":{"block_regex":["sites_global",2015895632,"45b3dd11"],"headers":["sites_global",1550238871,"d068d288"]},"discovermagazine.com":{"headers":["sites_global",746590897,"238c70d2"]},"tradewindsnews.com":{"block_regex":["sites_europe",1803584240,"3adcefce"]},"dnevnik.bg":{"block_regex":["sites_europe",168698858,"acb6284e"]},"editorialedomani.it":{"block_regex":["sites_europe",380133503,"3afc6099"],"headers":["sites_europe",974017496,"48dd6fbd"]},"demorgen.be":{"block_regex":["sites_europe",2070900445,"3fe64b8d"]},"flair.nl":{"block_regex":["sites_europe",962050800,"76b690e5"]},"humo.be":{"block_regex":["sites_europe",893919183,"76c0f0b9"]},"libelle.nl":{"block_regex":["sites_europe",1696921507,"e2df544a"]},"margriet.nl":{"block_regex":["sites_europe",1187866712,"bbbb5dec"]},"parool.nl":{"block_regex":["sites_europe",1865831301,"d617f89e"]},"trouw.nl":{"block_regex":["sites_europe",742392094,"55c6ac3c"]},"volkskrant.nl":{"block_regex":["sites_europe",527417151,"ba9ae1e2"]},"dwell.com":{"block_js_inline":["sites_global",948031679,"7bb6416c"]},"elconfidencial.com":{"block_regex":["sites_global",1894215845,"592caab3"]},"cronista.com":{"block_regex":["sites_global",174955481,"39af1765"]},"eldeber.com.bo":{"block_regex":["sites_global",685414726,"ea3e3085"]},"eldiario.es":{"block_regex":["sites_europe",729308833,"d410c0b4"]},"elespanol.com":{"block_regex":["sites_global",379640284,"6f48d731"]},"elespectador.com":{"block_regex":["sites_global",1356792800,"d679e348"]},"elmercurio.com":{"block_regex":["sites_global",1546952441,"76200cd"],"headers":["sites_global",44372230,"a09885a2"]},"elobservador.com.uy":{"block_regex":["sites_americas",1364041903,"b07a4148"]},"elpais.com":{"block_regex":["sites_global",1924597138,"35607b89"],"block_js_inline":["sites_global",848465319,"5337cee0"]},"elpais.com.uy":{"block_regex":["sites_americas",1640343392,"d748c07f"]},"eltiempo.com":{"block_regex":["sites_global",1253816406,"9a7ee68c"]},"eltribuno.com":{"block_regex":["sites_global",462345312,"d9497690"]},"elle.fr":{"block_regex":["sites_europe",1058893528,"3fe1b19b"]},"britannica.com":{"headers":["sites_global",1884605346,"b43baa74"]},"espn.com":{"exclude_paths":["sites_global",151712398,"caef972c"]},"esprit.presse.fr":{"block_regex":["sites_europe",1711491796,"1a9ecb9e"]},"em.com.br":{"block_regex":["sites_americas",1626859471,"fd300fda"]},"standard.co.uk":{"block_regex":["sites_europe",1682829371,"da0b7431"]},"expresso.pt":{"exclude_paths":["sites_europe",1140730489,"c4660222"]},"fastcompany.com":{"block_regex":["sites_global",1286736043,"9368affa"]},"fnlondon.com":{"block_regex":["sites_global",65263228,"11da7808"]},"ft.com":{"headers":["sites_global",119011395,"dac0e37e"],"exclude_paths":["sites_global",325692850,"f7f0dd0c"]},"firstthings.com":{"headers":["sites_global",1863415069,"39261eaa"]},"ftm.eu":{"block_regex":["sites_europe",1021140835,"77bb3c70"]},"ftm.nl":{"block_regex":["sites_europe",793138769,"cc56902c"]},"forbes.com":{"block_regex":["sites_global",1897115335,"b122c15c"]},"foreignaffairs.com":{"block_regex":["sites_global",1914576412,"e04a9042"],"exclude_paths":["sites_global",1381260334,"aded6276"]},"foreignpolicy.com":{"block_regex":["sites_global",1645768929,"8fdc3681"]},"fortune.com":{"block_regex":["sites_global",2055667535,"931b175f"]},"faz.net":{"headers":["sites_global",791200841,"e5179490"]},"abendblatt.de":{"block_regex":["sites_europe",650414071,"b197b78f"]},"braunschweiger-zeitung.de":{"block_regex":["sites_europe",478268715,"684032f6"]},"ikz-online.de":{"block_regex":["sites_europe",718022358,"d0a46c50"]},"morgenpost.de":{"block_regex":["sites_europe",1171368008,"b915089c"]},"nrz.de":{"block_regex":["sites_europe",808782545,"d9d6bcbc"]},"otz.de":{"block_regex":["sites_europe",8682793,"56ba9b55"]},"thueringer-allgemeine.de":{"block_regex":["sites_europe",1909362989,"74435c49"]},"tlz.de":{"block_regex":["sites_europe",857235315,"204c5e64"]},"waz.de":{"block_regex":["sites_europe",1047948495,"da6534f4"]},"wp.de":{"block_regex":["sites_europe",122930928,"6286a841"]},"wr.de":{"block_regex":["sites_europe",1063307321,"91a7684b"]},"azcentral.com":{"block_regex":["sites_usa",1964218378,"320cf066"],"headers":["sites_usa",1806150969,"58f69d17"]},"cincinnati.com":{"block_regex":["sites_usa",461908340,"a41ad51c"],"headers":["sites_usa",993973743,"97d55e73"]},"commercialappeal.com":{"block_regex":["sites_usa",1641048404,"896e8cc7"],"headers":["sites_usa",1089002011,"30cc5344"]},"courier-journal.com":{"block_regex":["sites_usa",1944190573,"2dc37157"],"headers":["sites_usa",756152554,"672f784e"]},"democratandchronicle.com":{"block_regex":["sites_usa",1094882062,"57310a27"],"headers":["sites_usa",506655465,"2489c554"]},"desmoinesregister.com":{"block_regex":["sites_usa",527309827,"e3d0e4ac"],"headers":["sites_usa",361330828,"2a13f98d"]},"detroitnews.com":{"block_regex":["sites_usa",1053407420,"1122ede2"],"headers":["sites_usa",1801051751,"935ff2df"]},"dispatch.com":{"block_regex":["sites_usa",1214973866,"8fec53b8"],"headers":["sites_usa",818415833,"8f4191c3"]},"freep.com":{"block_regex":["sites_usa",1763694607,"144e6214"],"headers":["sites_usa",1676016200,"d823dbbd"]},"indystar.com":{"block_regex":["sites_usa",1713594759,"45f828e6"],"headers":["sites_usa",1425214576,"d309e01d"]},"jacksonville.com":{"block_regex":["sites_usa",294230485,"d8607441"],"headers":["sites_usa",1876743266,"10cdbd56"]},"jsonline.com":{"block_regex":["sites_usa",1683762323,"21d6e9be"],"headers":["sites_usa",818832188,"6a0eb985"]},"knoxnews.com":{"block_regex":["sites_usa",1405447238,"2238b42b"],"headers":["sites_usa",72894609,"f7a2d980"]},"news-press.com":{"block_regex":["sites_usa",1990464294,"76a8ee23"],"headers":["sites_usa",1529573361,"16248070"]},"northjersey.com":{"block_regex":["sites_usa",1134899164,"80e1ae75"],"headers":["sites_usa",882066803,"f6d24f38"]},"oklahoman.com":{"block_regex":["sites_usa",1930677592,"95d1e24e"],"headers":["sites_usa",1012964307,"c4d01bab"]},"statesman.com":{"block_regex":["sites_usa",1500926711,"c395dd74"],"headers":["sites_usa",1104641472,"248cef41"]},"tennessean.com":{"block_regex":["sites_usa",67517963,"2cca8512"],"headers":["sites_usa",460327780,"84c9ed85"]},"gauchazh.clicrbs.com.br":{"block_regex":["sites_americas",1480108453,"ca70e7bf"]},"gazetadopovo.com.br":{"block_regex":["sites_americas",986512604,"be7fc8c8"]},"gbnews.com":{"block_regex":["sites_global",1915735474,"b00f187e"]},"glassdoor.com":{"headers":["sites_global",1700762697,"81d19515"]},"globes.co.il":{"block_regex":["sites_asia",830658168,"c30e976d"],"headers":["sites_asia",1432134643,"27b28eb9"]},"parkiet.com":{"headers":["sites_europe",1622292432,"88a36ccb"]},"rp.pl":{"headers":["sites_europe",757017423,"c6d907f6"]},"groene.nl":{"headers":["sites_europe",775592111,"663e2cb4"]},"lesoleil.com":{"block_regex":["sites_americas",2046252021,"6a155f9"]},"lamontagne.fr":{"block_regex":["sites_europe",1401292261,"5173ee6b"]},"usinenouvelle.com":{"headers":["sites_europe",146776713,"e6f16adb"]},"dhnet.be":{"block_regex":["sites_europe",362898830,"a3535e47"]},"lalibre.be":{"block_regex":["sites_europe",397063040,"c8be58e7"]},"lavenir.net":{"block_regex":["sites_europe",81004425,"860ccc9f"]},"monacomatin.mc":{"block_regex":["sites_europe",1249029210,"ad3db040"]},"nicematin.com":{"block_regex":["sites_europe",291399867,"966e96e5"]},"varmatin.com":{"block_regex":["sites_europe",914123858,"6d13d6c1"]},"lequotidiendumedecin.fr":{"block_regex":["sites_europe",1511021826,"dc6ca4d0"]},"lequotidiendupharmacien.fr":{"block_regex":["sites_europe",1208138478,"8d65ddbb"]},"aisnenouvelle.fr":{"headers":["sites_europe",832005851,"463ca73e"]},"courrier-picard.fr":{"headers":["sites_europe",271442334,"6ea9f42f"]},"lardennais.fr":{"headers":["sites_europe",1696257347,"15d99c31"]},"lesoir.be":{"headers":["sites_europe",116338394,"c70c7d2f"]},"lest-eclair.fr":{"headers":["sites_europe",1890506360,"c8c63ee3"]},"liberation-champagne.fr":{"headers":["sites_europe",775920081,"76d341ca"]},"lunion.fr":{"headers":["sites_europe",1056348217,"629fe7d5"]},"nordlittoral.fr":{"headers":["sites_europe",706043523,"6dd98526"]},"paris-normandie.fr":{"headers":["sites_europe",1458373658,"7c8dc2a7"]},"abril.com.br":{"block_regex":["sites_americas",1801880376,"afff5273"]},"clarin.com":{"block_regex":["sites_americas",1249044205,"325ab468"]},"lavoz.com.ar":{"block_regex":["sites_americas",1172155144,"db8db989"]},"losandes.com.ar":{"block_regex":["sites_americas",2132543543,"c6112385"]},"ole.com.ar":{"block_regex":["sites_americas",483965830,"f3b5892a"]},"diariocorreo.pe":{"block_regex":["sites_americas",1626664926,"e8adc688"]},"elcomercio.pe":{"block_regex":["sites_americas",1583595204,"3e193a80"]},"gestion.pe":{"block_regex":["sites_americas",1897667701,"7493df30"]},"diariodemallorca.es":{"block_regex":["sites_europe",1105787505,"2acf00c3"]},"eldia.es":{"block_regex":["sites_europe",189627634,"aa7ae3ea"]},"elperiodico.com":{"block_regex":["sites_europe",952393499,"f6c124cf"]},"epe.es":{"block_regex":["sites_europe",1872542758,"96d1b52f"]},"farodevigo.es":{"block_regex":["sites_europe",1053692034,"65b67225"]},"informacion.es":{"block_regex":["sites_europe",1371354338,"a1857dd2"]},"laprovincia.es":{"block_regex":["sites_europe",1466726583,"905b569"]},"levante-emv.com":{"block_regex":["sites_europe",334577281,"3a1012c2"]},"lne.es":{"block_regex":["sites_europe",274783866,"7149c4be"]},"mallorcazeitung.es":{"block_regex":["sites_europe",1637976366,"9cd9867a"]},"superdeporte.es":{"block_regex":["sites_europe",281720290,"f6ec2141"]},"elmundo.es":{"block_regex":["sites_europe",1330402087,"b463970d"]},"expansion.com":{"block_regex":["sites_europe",139968825,"40c1b8ef"]},"marca.com":{"block_regex":["sites_europe",1630392482,"7e872ade"]},"abc.es":{"block_regex":["sites_europe",389223580,"b1a7c2df"],"headers":["sites_europe",867720755,"8e59e008"]},"canarias7.es":{"block_regex":["sites_europe",1832535300,"83c5e6fc"],"headers":["sites_europe",848177631,"59b9f2af"]},"diariosur.es":{"block_regex":["sites_europe",1827561329,"9cca55c1"],"headers":["sites_europe",259048270,"9684e3ce"]},"diariovasco.com":{"block_regex":["sites_europe",2144249512,"e10504d2"],"headers":["sites_europe",1604431555,"29c1fb6b"]},"elcomercio.es":{"block_regex":["sites_europe",198036368,"b865c625"],"headers":["sites_europe",962345943,"e8545250"]},"elcorreo.com":{"block_regex":["sites_europe",1579672431,"a270aecd"],"headers":["sites_europe",797473312,"5310e74a"]},"eldiariomontanes.es":{"block_regex":["sites_europe",205071813,"3016c80b"],"headers":["sites_europe",895412722,"29247fba"]},"elnortedecastilla.es":{"block_regex":["sites_europe",86618756,"9d64630c"],"headers":["sites_europe",1207549791,"9c2b7a67"]},"hoy.es":{"block_regex":["sites_europe",1115376680,"a3d6c297"],"headers":["sites_europe",134873695,"9d6d22fc"]},"ideal.es":{"block_regex":["sites_europe",389279900,"bf5d52e0"],"headers":["sites_europe",863472455,"7996e30b"]},"larioja.com":{"block_regex":["sites_europe",1954498937,"c91e2308"],"headers":["sites_europe",350953590,"4408375d"]},"lasprovincias.es":{"block_regex":["sites_europe",1992791180,"3fda863"],"headers":["sites_europe",1874533443,"8ae1e5c4"]},"laverdad.es":{"block_regex":["sites_europe",1757058267,"5c286950"],"headers":["sites_europe",642226324,"7ede0411"]},"lavozdigital.es":{"block_regex":["sites_europe",668257856,"e3abf6c1"],"headers":["sites_europe",2134986023,"dc3ebf8c"]},"huffingtonpost.it":{"block_js_inline":["sites_europe",2076249825,"65e366bc"]},"italian.tech":{"block_regex":["sites_europe",1436267592,"33b8d844"],"headers":["sites_europe",386846079,"ed52b9bc"]},"lastampa.it":{"block_js_inline":["sites_europe",954359181,"c63ca3fb"]},"lescienze.it":{"block_regex":["sites_europe",12827198,"2783aa53"],"headers":["sites_europe",735491677,"93a5c86b"]},"moda.it":{"block_regex":["sites_europe",1821735043,"725b9ebc"],"headers":["sites_europe",671410068,"1e56d81e"]},"iltirreno.it":{"headers":["sites_europe",117209073,"7ec10875"]},"lanuovasardegna.it":{"headers":["sites_europe",1605753784,"73061380"]},"mannheimer-morgen.de":{"headers":["sites_europe",1376289124,"98d91022"]},"handelsblatt.com":{"block_regex":["sites_global",1996133034,"e247be62"],"headers_useragent":["sites_global",274700798,"5bb5f7f0"]},"harpers.org":{"block_regex":["sites_global",350921314,"15043b56"],"headers":["sites_global",465207425,"53f6d9c5"]},"hbr.org":{"block_regex":["sites_global",1963301900,"36c17087"]},"ctpost.com":{"block_regex":["sites_usa",306507848,"51b616"]},"expressnews.com":{"block_regex":["sites_usa",1085403496,"5e4c3a52"]},"houstonchronicle.com":{"block_regex":["sites_usa",1323029707,"338622f2"]},"nhregister.com":{"block_regex":["sites_usa",172030927,"6e0955b2"]},"sfchronicle.com":{"block_regex":["sites_usa",1827936943,"c90c0910"]},"timesunion.com":{"block_regex":["sites_usa",1152455728,"6d6f5112"]},"bicycling.com":{"block_regex":["sites_usa",1117316205,"6df50329"]},"cosmopolitan.com":{"block_regex":["sites_usa",1985765953,"d2436a3b"]},"countryliving.com":{"block_regex":["sites_usa",1954783616,"75eaf4e0"]},"delish.com":{"block_regex":["sites_usa",1415805953,"3bc28788"]},"elle.com":{"block_regex":["sites_usa",2081868032,"f0b52e75"]},"elledecor.com":{"block_regex":["sites_usa",1569870376,"50fad928"]},"esquire.com":{"block_regex":["sites_usa",138794984,"1e184107"],"exclude_paths":["sites_usa",1372414834,"e49d56cd"]},"goodhousekeeping.com":{"block_regex":["sites_usa",2144843662,"c23c0375"]},"harpersbazaar.com":{"block_regex":["sites_usa",1852468462,"1019587f"]},"housebeautiful.com":{"block_regex":["sites_usa",997908067,"f9b0f8cc"]},"menshealth.com":{"block_regex":["sites_usa",824042367,"68e260f8"]},"oprahdaily.com":{"block_regex":["sites_usa",1374914461,"57a004b8"]},"popularmechanics.com":{"block_regex":["sites_usa",217552573,"df184bdf"]},"prevention.com":{"block_regex":["sites_usa",1616874421,"cd9281b"]},"roadandtrack.com":{"block_regex":["sites_usa",2136849246,"fc52f475"]},"runnersworld.com":{"block_regex":["sites_usa",652603516,"4ecc5712"]},"townandcountrymag.com":{"block_regex":["sites_usa",1336205962,"fc5134bb"]},"womenshealthmag.com":{"block_regex":["sites_usa",2099285578,"5fb5cffb"]},"hln.be":{"block_regex":["sites_europe",1169436438,"7c651be9"]},"hindustantimes.com":{"block_regex":["sites_global",2004114296,"c83b7ffc"],"exclude_paths":["sites_global",1340243458,"dbf15dde"]},"staradvertiser.com":{"block_regex":["sites_global",2093430610,"622ec417"]},"ilfattoquotidiano.it":{"block_regex":["sites_europe",866692351,"abc4e07c"]},"ilfoglio.it":{"block_regex":["sites_europe",1730061748,"727c1b79"]},"ilmanifesto.it":{"exclude_paths":["sites_europe",784846235,"53dc858e"]},"corriereadriatico.it":{"block_regex":["sites_europe",1290223673,"9599aee6"]},"ilgazzettino.it":{"block_regex":["sites_europe",2077767200,"c739ed85"]},"ilmattino.it":{"block_regex":["sites_europe",1565427663,"49105b42"]},"ilmessaggero.it":{"block_regex":["sites_europe",1893046793,"f9c94787"]},"quotidianodipuglia.it":{"block_regex":["sites_europe",1830549824,"994fa6a9"]},"ilsole24ore.com":{"block_regex":["sites_global",134128529,"8cc77edc"],"exclude_paths":["sites_global",136892075,"51c74f75"]},"inc.com":{"block_regex":["sites_global",724827392,"90f478bf"],"headers":["sites_global",846116075,"7db4d1c1"]},"inc42.com":{"block_regex":["sites_global",1929112263,"a14daa4d"]},"indiatoday.in":{"block_regex":["sites_india",71872749,"ce5a9400"]},"inews.co.uk":{"block_regex":["sites_europe",287048605,"d608830c"],"block_js_inline":["sites_europe",595444310,"af5a2ca7"]},"theinitium.com":{"block_regex":["sites_global",2068220976,"d060889e"]},"inkl.com":{"headers":["sites_global",1951175140,"bfc608ab"]},"insidehighered.com":{"block_regex":["sites_global",1402250960,"3f3a7d5c"]},"intelligentinvestor.com.au":{"headers":["sites_oceania",476421753,"35111444"]},"investsmart.com.au":{"headers":["sites_oceania",1202257558,"c2a2f2bd"]},"internazionale.it":{"block_regex":["sites_europe",1289650770,"c35edd7a"]},"investorschronicle.co.uk":{"headers":["sites_europe",1669463968,"900fcd1e"]},"jazzwise.com":{"headers":["sites_global",1390828913,"e07a8cdc"]},"ksta.de":{"block_regex":["sites_europe",1118003757,"43acee5e"]},"rundschau-online.de":{"block_regex":["sites_europe",1104521752,"85fab420"]},"krautreporter.de":{"headers":["sites_europe",1926861899,"81869af1"]},"kurier.at":{"block_regex":["sites_europe",386027733,"ca8513c5"]},"lecho.be":{"headers":["sites_europe",965450852,"3041cd67"]},"lexpress.fr":{"block_regex":["sites_europe",104608739,"b05b8971"]},"linforme.com":{"headers":["sites_global",1049945200,"2106c4d1"]},"loeildelaphotographie.com":{"block_regex":["sites_global",508364748,"cfb9b36d"]},"lopinion.fr":{"headers":["sites_europe",1430421579,"58cd0d08"],"exclude_paths":["sites_europe",1496096788,"9942e33a"]},"la-croix.com":{"block_regex":["sites_global",428151046,"7ef8fcc3"]},"ladiaria.com.uy":{"headers":["sites_americas",1467062116,"74df113a"]},"lanacion.com.ar":{"headers":["sites_americas",1503076256,"545339d3"]},"lanouvellerepublique.fr":{"block_regex":["sites_europe",460855625,"81478ed6"]},"latribune.fr":{"block_regex":["sites_europe",249194564,"ee3a8ab7"]},"lavanguardia.com":{"block_regex":["sites_global",2028197565,"2c1dd517"]},"topagrar.com":{"block_js_inline":["sites_europe",1152827668,"940b4d86"]},"reviewjournal.com":{"block_regex":["sites_global",825788852,"91cca952"]},"law.com":{"block_regex":["sites_global",1079376346,"d4582937"],"headers":["sites_global",1767691433,"d30a7e8c"]},"ledevoir.com":{"block_regex":["sites_global",1833571495,"963ddffb"]},"lejdd.fr":{"block_regex":["sites_europe",129872277,"8360bcb8"]},"lenouveleconomiste.fr":{"headers":["sites_europe",347624772,"62835622"]},"leparisien.fr":{"headers":["sites_europe",1100850211,"2d5e3b5c"]},"lepoint.fr":{"block_regex":["sites_europe",428132087,"f2f2a26c"]},"lerevenu.com":{"block_regex":["sites_global",915574798,"b15df6de"]},"letelegramme.fr":{"block_regex":["sites_europe",1812350092,"ff30a0a1"]},"le1hebdo.fr":{"block_regex":["sites_europe",630923953,"b2225941"]},"buffalonews.com":{"block_regex":["sites_usa",1571841289,"72736393"]},"journalnow.com":{"block_regex":["sites_usa",1417516894,"f5f8a5fc"]},"journalstar.com":{"block_regex":["sites_usa",1315018914,"d523ac82"]},"madison.com":{"block_regex":["sites_usa",770303298,"dc8a75b2"]},"nwitimes.com":{"block_regex":["sites_usa",1981517823,"73f0e659"]},"omaha.com":{"block_regex":["sites_usa",225142734,"a1c3c2fd"]},"richmond.com":{"block_regex":["sites_usa",1224582099,"23602405"]},"stltoday.com":{"block_regex":["sites_usa",858891658,"b2dbb963"]},"tucson.com":{"block_regex":["sites_usa",84704467,"76252b19"]},"tulsaworld.com":{"block_regex":["sites_usa",1532847345,"a49f9062"]},"lesinrocks.com":{"block_regex":["sites_global",1138838995,"1912116f"]},"livemint.com":{"block_regex":["sites_global",1754132608,"358e6085"],"exclude_paths":["sites_global",1459749722,"7344cece"]},"loebclassics.com":{"headers":["sites_global",879299762,"f2c2f00c"]},"lrb.co.uk":{"block_js_inline":["sites_europe",2076187378,"1a7ffb95"]},"latimes.com":{"block_regex":["sites_global",683232156,"602cdafe"]},"haz.de":{"block_regex":["sites_europe",182650907,"4db46ae6"]},"kn-online.de":{"block_regex":["sites_europe",1640653477,"667a287e"]},"ln-online.de":{"block_regex":["sites_europe",1020249319,"6700af7f"]},"lvz.de":{"block_regex":["sites_europe",1962481152,"32d27d"]},"maz-online.de":{"block_regex":["sites_europe",935693169,"4a50eded"]},"neuepresse.de":{"block_regex":["sites_europe",480778461,"40477d9c"]},"ostsee-zeitung.de":{"block_regex":["sites_europe",1518654103,"6e83223d"]},"rnd.de":{"block_regex":["sites_europe",1832882956,"f946d37d"]},"mainichi.jp":{"headers":["sites_asia",713656796,"871928ce"]},"manoramaonline.com":{"block_regex":["sites_global",1881695980,"f2e1908f"]},"marketwatch.com":{"block_regex":["sites_global",680081132,"c6026fc6"]},"bnd.com":{"block_regex":["sites_usa",1485768636,"77b4e10e"],"headers":["sites_usa",1339571559,"3d8ebcc1"]},"charlotteobserver.com":{"block_regex":["sites_usa",1326872909,"bc5b4f24"],"headers":["sites_usa",168287082,"d9cfbaef"]},"elnuevoherald.com":{"block_regex":["sites_usa",959108859,"4b4b82c"],"headers":["sites_usa",1636362036,"dd085773"]},"fresnobee.com":{"block_regex":["sites_usa",278543439,"d5f473bd"],"headers":["sites_usa",1403940224,"69c6fb68"]},"kansas.com":{"block_regex":["sites_usa",903344947,"ac6e08cf"],"headers":["sites_usa",1372662692,"35dcaf60"]},"kansascity.com":{"block_regex":["sites_usa",1541933999,"ba620212"],"headers":["sites_usa",1492328808,"cdd5d963"]},"kentucky.com":{"block_regex":["sites_usa",883667276,"23648c54"],"headers":["sites_usa",1145549719,"a64a2d79"]},"mcclatchydc.com":{"block_regex":["sites_usa",851477965,"4266669"],"headers":["sites_usa",1716086474,"32618394"]},"miamiherald.com":{"block_regex":["sites_usa",957244093,"fdcadb09"],"headers":["sites_usa",2012501978,"85b45bac"]},"newsobserver.com":{"block_regex":["sites_usa",803374586,"2d897839"],"headers":["sites_usa",1083884837,"e87f8052"]},"sacbee.com":{"block_regex":["sites_usa",1354481265,"d9e2d527"],"headers":["sites_usa",915812942,"db2141e4"]},"star-telegram.com":{"block_regex":["sites_usa",789795888,"49f31d92"],"headers":["sites_usa",990419579,"8c3f3ea9"]},"thestate.com":{"block_regex":["sites_usa",1968712887,"bc24ba66"],"headers":["sites_usa",97205120,"3e29d22b"]},"tri-cityherald.com":{"block_regex":["sites_usa",2111250756,"a4162eb9"],"headers":["sites_usa",1325000171,"e322ddce"]},"ruhrnachrichten.de":{"block_regex":["sites_europe",1017132255,"65628997"]},"gva.be":{"block_regex":["sites_europe",127349251,"12bb75a7"]},"hbvl.be":{"block_regex":["sites_europe",970384626,"b9b0ed85"]},"nieuwsblad.be":{"block_regex":["sites_europe",344528991,"ea61f10d"]},"standaard.be":{"block_regex":["sites_europe",1644846019,"f4099b43"]},"dvhn.nl":{"block_regex":["sites_europe",1104220792,"4443ae2c"]},"lc.nl":{"block_regex":["sites_europe",815462504,"4cb63b9"]},"bostonherald.com":{"block_regex":["sites_usa",1649828063,"b7958ee2"]},"denverpost.com":{"block_regex":["sites_usa",1931948326,"7a0c4587"]},"eastbaytimes.com":{"block_regex":["sites_usa",1802231587,"283477ee"]},"mercurynews.com":{"block_regex":["sites_usa",1659622751,"748d7853"]},"ocregister.com":{"block_regex":["sites_usa",611769661,"27475eae"]},"pressenterprise.com":{"block_regex":["sites_usa",991094734,"22067e1d"]},"sandiegouniontribune.com":{"block_regex":["sites_usa",1410697532,"51da58eb"]},"twincities.com":{"block_regex":["sites_usa",1760509586,"6ff4b0a4"]},"medscape.com":{"block_regex":["sites_global",2145158219,"5f53f280"]},"mexiconewsdaily.com":{"block_regex":["sites_global",1554938949,"21c6a9d4"]},"mid-day.com":{"block_regex":["sites_global",1918201505,"3fab6be7"],"exclude_paths":["sites_global",263885005,"b3f19319"]},"sloanreview.mit.edu":{"block_regex":["sites_global",253364293,"d91edac6"]},"technologyreview.com":{"block_regex":["sites_global",1974680104,"305c9b3e"]},"monocle.com":{"headers":["sites_global",1760900201,"2e0aee73"]},"aerokurier.de":{"block_regex":["sites_europe",128031202,"512a3cb7"]},"auto-motor-und-sport.de":{"block_regex":["sites_europe",15812605,"bf78f561"]},"flugrevue.de":{"block_regex":["sites_europe",1964530192,"2300de03"]},"motorradonline.de":{"block_regex":["sites_europe",2136501812,"ae5d7b8f"]},"womenshealth.de":{"block_regex":["sites_europe",854219117,"c63e79ef"]},"motorsportmagazine.com":{"block_regex":["sites_global",764237725,"57bbdfd4"]},"mv-voice.com":{"headers":["sites_global",1146524532,"32b5425b"]},"merkur.de":{"block_regex":["sites_europe",1775432462,"7ac49498"]},"mundodeportivo.com":{"block_regex":["sites_global",1750014419,"887969ab"]},"nationalgeographic.com":{"block_regex":["sites_global",624237716,"5a0283a7"]},"nationalreview.com":{"block_regex":["sites_global",50375340,"c16d6e34"]},"scotsman.com":{"block_regex":["sites_europe",1160163666,"ba95987d"]},"yorkshirepost.co.uk":{"block_regex":["sites_europe",2138847219,"a8c244e0"]},"ndtvprofit.com":{"block_regex":["sites_global",1269363272,"ee029ed2"]},"nzz.ch":{"block_regex":["sites_europe",1194584327,"86153afc"],"exclude_paths":["sites_europe",1809593229,"307b9ed4"]},"nv.ua":{"block_regex":["sites_europe",1890690228,"99d35ed5"]},"curbed.com":{"block_regex":["sites_usa",1339321748,"54ab5913"]},"grubstreet.com":{"block_regex":["sites_usa",193360044,"40762bb7"]},"nymag.com":{"block_regex":["sites_usa",817576040,"ad43e828"]},"thecut.com":{"block_regex":["sites_usa",1058391032,"34d363a3"]},"vulture.com":{"block_regex":["sites_usa",1073120465,"8347b81b"]},"nzherald.co.nz":{"block_regex":["sites_oceania",665723925,"530e9cfe"]},"newsday.com":{"block_regex":["sites_global",796549128,"8f124c7e"]},"newsweek.com":{"block_regex":["sites_global",1447603957,"4039d3e6"],"headers":["sites_global",1828924930,"3cd5eeac"]},"asia.nikkei.com":{"block_regex":["sites_global",243710361,"a352addb"]},"nwzonline.de":{"block_regex":["sites_europe",587397798,"b4618562"]},"nrc.nl":{"block_regex":["sites_europe",1414517985,"53d65de"]},"nsctotal.com.br":{"block_regex":["sites_americas",1487482983,"e4619215"]},"nyteknik.se":{"headers":["sites_europe",1886231697,"65499beb"]},"estadao.com.br":{"block_regex":["sites_americas",139981123,"e9fbb738"]},"globo.com":{"block_regex":["sites_global",1719079864,"d238b138"]},"observador.pt":{"block_js_inline":["sites_europe",170331160,"593680e9"]},"outdoorlife.com":{"block_regex":["sites_global",39494581,"b43a0064"]},"backpacker.com":{"block_regex":["sites_usa",1859061818,"565508ec"]},"betamtb.com":{"block_regex":["sites_usa",906180472,"fea53b2e"]},"betternutrition.com":{"block_regex":["sites_usa",1130972673,"84e70c95"]},"cleaneatingmag.com":{"block_regex":["sites_usa",702731302,"ab9a052d"]},"climbing.com":{"block_regex":["sites_usa",1040996147,"3b3af1a"]},"outsideonline.com":{"block_regex":["sites_usa",32936708,"dcf2475f"]},"oxygenmag.com":{"block_regex":["sites_usa",761160546,"6b9691da"]},"skimag.com":{"block_regex":["sites_usa",2031248753,"227c3487"]},"trailrunnermag.com":{"block_regex":["sites_usa",1138450614,"51beb648"]},"triathlete.com":{"block_regex":["sites_usa",945760767,"2e34a44f"]},"vegetariantimes.com":{"block_regex":["sites_usa",826974355,"8d7e9eb9"]},"womensrunning.com":{"block_regex":["sites_usa",1196667585,"dd817be1"]},"yogajournal.com":{"block_regex":["sites_usa",25330648,"1db5eca"]},"ovb-online.de":{"block_regex":["sites_europe",1228060814,"94d76f26"]},"paloaltoonline.com":{"headers":["sites_global",1471717005,"d12136da"]},"parismatch.com":{"block_regex":["sites_global",1563381447,"8cd48848"]},"pastemagazine.com":{"block_regex":["sites_global",1222529235,"b9861254"]},"billboard.com":{"block_regex":["sites_usa",2049362736,"a80d4309"]},"rollingstone.com":{"block_regex":["sites_usa",977950412,"8ba71026"]},"sourcingjournal.com":{"block_regex":["sites_usa",874497913,"2bc9a9d7"]},"sportico.com":{"block_regex":["sites_usa",80603715,"cecdd8b9"]},"variety.com":{"block_regex":["sites_usa",1505704348,"dda032b4"]},"wwd.com":{"block_regex":["sites_usa",882100641,"f2dbf662"]},"philomag.com":{"block_regex":["sites_global",580125408,"199c2101"]},"philosophynow.org":{"headers":["sites_global",738753598,"6c328f1f"]},"piqd.de":{"headers":["sites_europe",2119773275,"d151f213"]},"piratewires.com":{"block_regex":["sites_global",1910861833,"71e14b6c"],"headers":["sites_global",1202394358,"3ca4ac71"]},"post-gazette.com":{"block_regex":["sites_global",1373383581,"c817433e"],"headers":["sites_global",1546247354,"f34969bc"]},"politico.com":{"block_regex":["sites_global",947717769,"5eb9243a"]},"politis.fr":{"block_regex":["sites_europe",1076221581,"9a705685"]},"polityka.pl":{"headers":["sites_europe",999432904,"b63baa1d"]},"popsci.com":{"block_regex":["sites_global",1645204073,"df2065f2"]},"calgaryherald.com":{"block_regex":["sites_americas",2002888512,"2747c2ca"]},"financialpost.com":{"block_regex":["sites_americas",623294291,"e7592080"]},"nationalpost.com":{"block_regex":["sites_americas",1808676811,"511a7e9b"]},"theprovince.com":{"block_regex":["sites_americas",493904824,"aada8e7e"]},"torontosun.com":{"block_regex":["sites_americas",693697814,"71da0880"]},"vancouversun.com":{"block_regex":["sites_americas",1378776693,"5cedcc3e"]},"pourleco.com":{"block_regex":["sites_global",505736971,"ee78b8ed"]},"pourlascience.fr":{"block_regex":["sites_europe",1152291738,"ae25f13a"]},"crikey.com.au":{"block_regex":["sites_oceania",1656879338,"647e1ee0"]},"inc-aus.com":{"block_regex":["sites_oceania",589692135,"93f83442"]},"smartcompany.com.au":{"block_regex":["sites_oceania",882488361,"a0014dfe"]},"profil.at":{"block_regex":["sites_europe",192386255,"428a7336"]},"prospectmagazine.co.uk":{"block_regex":["sites_europe",1022886701,"6af12e5"]},"public.fr":{"block_regex":["sites_europe",1290181753,"5be1eefe"]},"publico.es":{"block_regex":["sites_europe",2000559571,"41805f49"]},"pb.pl":{"block_regex":["sites_europe",1923489340,"75bbd0a5"]},"qz.com":{"block_regex":["sites_global",380059241,"fbb5ad92"]},"quora.com":{"headers":["sites_global",2058007200,"84ac4d2d"],"exclude_paths":["sites_global",2008094237,"51b55a46"]},"ilgiorno.it":{"block_regex":["sites_europe",1855942899,"9f270058"]},"ilrestodelcarlino.it":{"block_regex":["sites_europe",1411393927,"d728d702"]},"iltelegrafolivorno.it":{"block_regex":["sites_europe",1655359980,"880ac21a"]},"lanazione.it":{"block_regex":["sites_europe",4596423,"fcc1cc12"]},"quotidiano.net":{"block_regex":["sites_europe",400649285,"e7d24046"]},"record.pt":{"block_regex":["sites_europe",525841577,"22c3e0a0"]},"reuters.com":{"block_regex":["sites_global",1530843874,"f4393a6a"]},"revistaoeste.com":{"block_regex":["sites_global",776328011,"33a908e3"],"block_js_inline":["sites_global",303448862,"55e0e964"]},"revueconflits.com":{"block_regex":["sites_global",1457449150,"786c1a97"]},"revue21.fr":{"block_regex":["sites_europe",2066479067,"7e5a4343"]},"ga.de":{"block_regex":["sites_europe",195298899,"c776d13e"]},"rp-online.de":{"block_regex":["sites_europe",1138159591,"6b68b54"]},"saarbruecker-zeitung.de":{"block_regex":["sites_europe",2114293933,"6183b867"]},"volksfreund.de":{"block_regex":["sites_europe",1731009369,"8a32df05"]},"beobachter.ch":{"block_regex":["sites_europe",1929899100,"83e46486"],"headers":["sites_europe",223033843,"7edf8ac8"]},"blick.ch":{"block_regex":["sites_europe",219542283,"44723122"]},"handelszeitung.ch":{"block_regex":["sites_europe",1100790586,"9a26099e"],"headers":["sites_europe",823141989,"185cf02c"]},"auto-swiat.pl":{"block_regex":["sites_europe",222305238,"69d6e045"]},"businessinsider.com.pl":{"block_regex":["sites_europe",1494405237,"eb15e850"]},"forbes.pl":{"block_regex":["sites_europe",1044626946,"fad9c984"]},"komputerswiat.pl":{"block_regex":["sites_europe",1426600433,"c70536cc"]},"newsweek.pl":{"block_regex":["sites_europe",336306248,"c5d71dd4"]},"onet.pl":{"block_regex":["sites_europe",746650045,"f673837b"]},"artsenkrant.com":{"block_regex":["sites_europe",602979171,"2b383a6c"]},"beleggersbelangen.nl":{"block_regex":["sites_europe",997842662,"49d0e438"]},"femmesdaujourdhui.be":{"block_regex":["sites_europe",894746983,"bda1dba8"]},"flair.be":{"block_regex":["sites_europe",703437760,"3feadfd2"]},"knack.be":{"block_regex":["sites_europe",617499442,"9c9ff5aa"]},"kw.be":{"block_regex":["sites_europe",1767413693,"7eb05384"]},"levif.be":{"block_regex":["sites_europe",1334918363,"8afa2992"]},"libelle.be":{"block_regex":["sites_europe",159124567,"8589cdd8"]},"rugbypass.com":{"block_regex":["sites_global",855953733,"13089d1"],"block_js_inline":["sites_global",1331485184,"975cf5eb"]},"spglobal.com":{"block_regex":["sites_global",1941948655,"6974d98c"],"block_js_inline":["sites_global",1686240930,"f1e885f2"]},"sabado.pt":{"block_regex":["sites_europe",1729120373,"5a0efd3"]},"science.org":{"exclude_paths":["sites_global",425295747,"67b42fd7"]},"science-et-vie.com":{"block_regex":["sites_global",1712505378,"a98419ad"],"headers":["sites_global",1714985021,"1a8a9c62"]},"sciencesetavenir.fr":{"block_regex":["sites_europe",541470599,"648ee44a"],"headers":["sites_europe",107281008,"e14a9dd3"]},"scienceshumaines.com":{"block_regex":["sites_global",504534866,"81870335"]},"scientificamerican.com":{"block_regex":["sites_global",615289083,"59156ecd"]},"slate.com":{"block_regex":["sites_global",643632327,"8e3119f8"],"headers":["sites_global",464688392,"f6e7570"]},"sofrep.com":{"headers":["sites_global",242042812,"32771d00"]},"scmp.com":{"block_regex":["sites_global",725089487,"351b732a"]},"si.com":{"block_regex":["sites_global",591351471,"2aba2e92"]},"standardmedia.co.ke":{"block_regex":["sites_africa",1694049641,"cf5f5d4e"]},"startribune.com":{"block_regex":["sites_global",2104973661,"3a491e4"]},"statista.com":{"headers":["sites_global",1767381367,"6346a945"],"exclude_paths":["sites_global",1460107528,"20e456d6"]},"stratfor.com":{"headers":["sites_global",1231058777,"d3dd6894"]},"suomensotilas.fi":{"block_regex":["sites_europe",250719124,"694b9518"]},"sueddeutsche.de":{"block_regex":["sites_europe",1460107818,"536abb4f"],"exclude_paths":["sites_europe",249923368,"de9d1349"]},"suedkurier.de":{"block_regex":["sites_europe",761388354,"db746086"]},"tampabay.com":{"block_regex":["sites_global",631597797,"e5c06b5"]},"techinasia.com":{"headers":["sites_global",1275771347,"244ee2a5"],"exclude_paths":["sites_global",454967036,"59483c18"]},"texasmonthly.com":{"block_regex":["sites_global",1590965546,"453e7b48"]},"nola.com":{"block_regex":["sites_usa",1722128203,"37365d3b"]},"theadvocate.com":{"block_regex":["sites_usa",1531578021,"ba01e199"]},"theartnewspaper.com":{"block_regex":["sites_global",2019741636,"7f048a2f"]},"ajc.com":{"block_regex":["sites_global",1120922670,"80b9b10d"]},"theatlantic.com":{"headers":["sites_global",628580217,"9b9d0c74"]},"thebaffler.com":{"block_regex":["sites_global",2067349712,"3271f38b"]},"bostonglobe.com":{"block_regex":["sites_global",364855531,"185707b3"]},"businessoffashion.com":{"block_regex":["sites_global",103945931,"bdd39724"]},"chronicle.com":{"block_regex":["sites_usa",1559670097,"3980f8a4"]},"philanthropy.com":{"block_regex":["sites_usa",1005978512,"b5955bb4"]},"columbian.com":{"headers":["sites_global",1628584004,"d17508d"]},"thecritic.co.uk":{"block_regex":["sites_europe",1715201695,"dad55d05"],"headers":["sites_europe",1029406456,"29550b7b"]},"thedailybeast.com":{"block_regex":["sites_global",1146830148,"70eb1212"],"headers":["sites_global",87310827,"6e7e4966"]},"dailywire.com":{"exclude_paths":["sites_global",1110076000,"b6608489"]},"dallasnews.com":{"block_regex":["sites_global",1319965493,"9a059f4c"],"headers":["sites_global",729142882,"d9697675"]},"thediplomat.com":{"headers":["sites_global",1830554558,"7f062684"]},"thedispatch.com":{"block_regex":["sites_global",345584991,"e63ca80d"]},"economictimes.com":{"headers_useragent":["sites_india",1798366381,"7c0b438b"]},"economictimes.indiatimes.com":{"headers_useragent":["sites_india",355451788,"fa84a5e2"]},"economist.com":{"block_regex":["sites_global",420964098,"26889f4"],"headers":["sites_global",354851869,"75f1443d"]},"epoch.org.il":{"block_js_inline":["sites_usa",432576440,"a19ed28e"]},"theepochtimes.com":{"block_regex":["sites_usa",2029315187,"ca149615"]},"financialexpress.com":{"block_regex":["sites_global",671208698,"26504c8f"]},"theglobeandmail.com":{"block_regex":["sites_global",281730851,"926880e3"]},"thehill.com":{"block_regex":["sites_global",1999576556,"5fc0b23"]},"hilltimes.com":{"block_regex":["sites_global",210931402,"f86f70ed"],"headers":["sites_global",1817389653,"d410b28"],"exclude_paths":["sites_global",834100230,"4dc2c7ed"]},"thehindu.com":{"block_regex":["sites_global",1793431022,"3274ecb7"],"exclude_paths":["sites_global",817433842,"ef6f0aa9"]},"thehindubusinessline.com":{"block_regex":["sites_global",1658804538,"a13175fb"],"exclude_paths":["sites_global",1505454006,"d79c2115"]},"independent.co.uk":{"block_regex":["sites_europe",1631692672,"234dd3a6"]},"indianexpress.com":{"block_regex":["sites_global",1660209885,"aef28e6e"]},"theintercept.com":{"block_regex":["sites_global",1928308597,"8e105861"]},"irishexaminer.com":{"block_regex":["sites_global",1146283067,"c41f625a"]},"irishnews.com":{"block_regex":["sites_global",1973038121,"dd39236"]},"irishtimes.com":{"block_regex":["sites_global",774822746,"424a4780"]},"japantimes.co.jp":{"block_regex":["sites_asia",1497410428,"dfb1bd21"]},"jpost.com":{"block_regex":["sites_global",476425900,"6334c351"]},"thelawyer.com":{"block_regex":["sites_global",222617816,"997103ca"]},"themarket.ch":{"block_regex":["sites_europe",802841427,"f93d8e64"]},"thenation.com":{"block_regex":["sites_global",1346498000,"c9d3dded"]},"thenewatlantis.com":{"block_regex":["sites_global",331460835,"f9da0e2e"]},"theneweuropean.co.uk":{"block_regex":["sites_europe",273648069,"e987ac17"]},"newrepublic.com":{"block_regex":["sites_global",1924540497,"c1247a32"]},"newstatesman.com":{"block_regex":["sites_global",1745979541,"99feac30"]},"nybooks.com":{"block_regex":["sites_global",935233461,"7a33f194"]},"nysun.com":{"block_regex":["sites_global",1974706395,"f655dee4"]},"nytimes.com":{"block_regex":["sites_global",1019825547,"1e6cc96e"],"headers_useragent":["sites_global",991001131,"4f8de92a"],"headers_useragent_exclude":["sites_global",876002063,"c1f85652"],"exclude_paths":["sites_global",1290366595,"6d24fb3d"]},"inquirer.com":{"block_regex":["sites_global",1067807598,"4c0d88ab"]},"sltrib.com":{"block_regex":["sites_global",1661569238,"e1c8ae4d"]},"thesaturdaypaper.com.au":{"block_regex":["sites_oceania",1058896366,"16264ae0"],"headers":["sites_oceania",388260909,"2287c2a5"]},"seattletimes.com":{"block_regex":["sites_global",797294444,"ac280b53"]},"spectator.co.uk":{"headers":["sites_europe",1631352025,"94a2d018"]},"spectator.com.au":{"headers":["sites_oceania",1192054201,"eca34035"]},"thespectator.com":{"block_regex":["sites_global",800573687,"bc03818b"]},"thebookseller.com":{"headers":["sites_europe",1971592870,"6bafb1be"]},"telegraph.co.uk":{"block_regex":["sites_europe",1625937367,"cc61b2c6"]},"thetimes.com":{"exclude_paths":["sites_global",1923193969,"848dff9b"]},"niagarafallsreview.ca":{"block_regex":["sites_americas",1009538715,"a90cadb"]},"stcatharinesstandard.ca":{"block_regex":["sites_americas",614086296,"4aba3a79"]},"thepeterboroughexaminer.com":{"block_regex":["sites_americas",903817583,"6cd30e17"]},"therecord.com":{"block_regex":["sites_americas",430908011,"8e9331c3"]},"thespec.com":{"block_regex":["sites_americas",931454812,"f0c0de43"]},"thestar.com":{"block_regex":["sites_americas",867488720,"1061a2d1"]},"wellandtribune.ca":{"block_regex":["sites_americas",852413432,"c67cba21"]},"theverge.com":{"block_regex":["sites_global",1689809901,"f01fef80"]},"wsj.com":{"headers":["sites_global",243711111,"1b2e60d1"]},"washingtonpost.com":{"block_regex":["sites_global",2130254037,"90c170e"],"headers":["sites_global",461494914,"6646d5d5"]},"tt.com":{"block_regex":["sites_global",1887382193,"dee78d1a"]},"baltimoresun.com":{"block_regex":["sites_usa",867008916,"1c896bd4"]},"capitalgazette.com":{"block_regex":["sites_usa",374765759,"26c7a188"]},"chicagotribune.com":{"block_regex":["sites_usa",19371830,"eebb4a9c"]},"courant.com":{"block_regex":["sites_usa",1153957149,"70214b5a"]},"dailypress.com":{"block_regex":["sites_usa",577255925,"b796003c"]},"mcall.com":{"block_regex":["sites_usa",795871874,"525c8318"]},"nydailynews.com":{"block_regex":["sites_usa",21064529,"81d6d7b4"]},"orlandosentinel.com":{"block_regex":["sites_usa",1236808895,"28058f68"]},"pilotonline.com":{"block_regex":["sites_usa",179395623,"e6c138c"]},"sun-sentinel.com":{"block_regex":["sites_usa",2063551416,"53e14334"]},"unherd.com":{"block_regex":["sites_global",1533713156,"fa00c266"]},"uol.com.br":{"block_regex":["sites_americas",80388429,"eb1825f5"],"headers_useragent":["sites_americas",1106992965,"377eb9f7"],"exclude_paths":["sites_americas",1149683919,"2ecc03b0"]},"usatoday.com":{"block_regex":["sites_global",1032215067,"b7c30ed2"],"headers":["sites_global",752191956,"46aca119"]},"valeursactuelles.com":{"block_regex":["sites_global",1571462793,"96cd8fcc"]},"allgemeine-zeitung.de":{"block_regex":["sites_europe",1515711965,"27926518"],"headers":["sites_europe",415951194,"9424e8e5"]},"echo-online.de":{"block_regex":["sites_europe",396858025,"1587fc8f"],"headers":["sites_europe",1883207446,"6cea6986"]},"wiesbadener-kurier.de":{"block_regex":["sites_europe",953740403,"755b4278"],"headers":["sites_europe",1933699228,"b3cc967d"]},"voguebusiness.com":{"block_regex":["sites_global",395430340,"3f79d6f7"]},"vn.at":{"block_regex":["sites_europe",990461230,"9849a73b"],"block_js_inline":["sites_europe",1809006867,"5ddb4416"]},"vol.at":{"block_regex":["sites_europe",1028214097,"3d2c0e"]},"vox.com":{"block_regex":["sites_global",914213599,"565e1e57"]},"washingtonexaminer.com":{"block_regex":["sites_global",1496509260,"f653ce6f"]},"weltkunst.de":{"headers":["sites_europe",1213834539,"6a8d27c"]},"weser-kurier.de":{"block_regex":["sites_europe",1230935170,"e3798f49"]},"winnipegfreepress.com":{"block_regex":["sites_global",1596020899,"d1f8ce9d"]},"wonderzine.com":{"headers":["sites_global",89453248,"bc518aeb"]},"ynet.co.il":{"block_regex":["sites_asia",815545050,"3c5ce6cd"]},"###_usa_townnews":{"headers":["sites_usa",863381276,"60bf7ac3"]}}};
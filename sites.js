@@ -157,6 +157,7 @@ var defaultSites = {
       "townsvillebulletin.com.au",
       "weeklytimesnow.com.au"
     ],
+    exclude_paths: ["todayspaper.{domain}"],
     allow_cookies: 1,
     block_regex: /\.ampproject\.org\/v0\/amp-subscriptions-.+\.js/
   },
@@ -206,6 +207,7 @@ var defaultSites = {
   },
   "AutoHebdo.fr": {
     domain: "autohebdo.fr",
+    include_paths: ["www.autohebdo.fr"],
     allow_cookies: 1,
     cs_dompurify: 1
   },
@@ -268,11 +270,13 @@ var defaultSites = {
   },
   "Bloomberg": {
     domain: "bloomberg.com",
+    exclude_paths: ["/news/terminal/"],
     allow_cookies: 1,
     block_regex: /(\.cm\.bloomberg\.com\/|assets\.bwbx\.io\/s\d\/javelin\/.+\/transporter\/)/
   },
   "Bloomberg Adria": {
     domain: "bloombergadria.com",
+    exclude_paths: ["/video/"],
     allow_cookies: 1,
     block_js_inline: /\.bloombergadria\.com\/.+\/news\//
   },
@@ -307,7 +311,8 @@ var defaultSites = {
     domain: "businessinsider.com",
     allow_cookies: 1,
     block_regex: /\.sophi\.io\//,
-    useragent: "googlebot"
+    useragent: "googlebot",
+    useragent_mobile: "desktop"
   },
   "Business Insider Japan": {
     domain: "businessinsider.jp",
@@ -373,6 +378,7 @@ var defaultSites = {
       "luzernerzeitung.ch",
       "tagblatt.ch"
     ],
+    exclude_paths: ["epaper.{domain}"],
     allow_cookies: 1,
     block_regex: /\.zephr\.com\/zephr-browser\//,
     useragent: "googlebot"
@@ -565,6 +571,7 @@ var defaultSites = {
   },
   "Der Tagesspiegel (fetch from archive.is; not background/checkpoint)": {
     domain: "tagesspiegel.de",
+    exclude_paths: ["background.tagesspiegel.de", "checkpoint.tagesspiegel.de"],
     allow_cookies: 1,
     cs_dompurify: 1
   },
@@ -775,6 +782,7 @@ var defaultSites = {
   },
   "ESPN USA (news only; fetch from archive.is)": {
     domain: "espn.com",
+    exclude_paths: ["/watch"],
     allow_cookies: 1,
     cs_dompurify: 1
   },
@@ -804,6 +812,7 @@ var defaultSites = {
   },
   "Expresso.pt (not Tribuna)": {
     domain: "expresso.pt",
+    exclude_paths: ["tribuna.expresso.pt"],
     allow_cookies: 1,
     cs_dompurify: 1
   },
@@ -825,6 +834,7 @@ var defaultSites = {
   },
   "Financial Times (not cn subdomain)": {
     domain: "ft.com",
+    exclude_paths: ["cn.ft.com"],
     useragent: "googlebot",
     cs_dompurify: 1
   },
@@ -856,6 +866,7 @@ var defaultSites = {
   },
   "Foreign Affairs (not reader)": {
     domain: "foreignaffairs.com",
+    exclude_paths: ["reader.foreignaffairs.com"],
     allow_cookies: 1,
     block_regex: /\.foreignaffairs\.com\/modules\/custom\/fa_paywall_js\/js\/paywall\.js/
   },
@@ -1176,7 +1187,8 @@ var defaultSites = {
     ],
     allow_cookies: 1,
     block_regex: /\.ampproject\.org\/v0\/amp-access-.+\.js/,
-    useragent: "googlebot"
+    useragent: "googlebot",
+    useragent_mobile: "none"
   },
   "Gruppo GEDI.it (listed sites only)": {
     domain: "###_it_gedi",
@@ -1226,7 +1238,8 @@ var defaultSites = {
     domain: "handelsblatt.com",
     allow_cookies: 1,
     block_regex: /\.piano\.io\//,
-    useragent: "googlebot"
+    useragent: "googlebot",
+    useragent_include_paths: ["/*.html"]
   },
   "Harper's Magazine": {
     domain: "harpers.org",
@@ -1284,6 +1297,7 @@ var defaultSites = {
       "townandcountrymag.com",
       "womenshealthmag.com"
     ],
+    exclude_paths: ["classic.esquire.com"],
     allow_cookies: 1,
     block_regex: /(\.com\/_assets\/jam\/|\.ensighten\.com\/.+\/Bootstrap\.js)/
   },
@@ -1300,6 +1314,7 @@ var defaultSites = {
   },
   "Hindustan Times (not epaper)": {
     domain: "hindustantimes.com",
+    exclude_paths: ["epaper.hindustantimes.com"],
     allow_cookies: 1,
     block_regex: /\.ampproject\.org\/v0\/amp-access-.+\.js/
   },
@@ -1320,6 +1335,7 @@ var defaultSites = {
   },
   "Il Manifesto": {
     domain: "ilmanifesto.it",
+    exclude_paths: ["/edizioni/"],
     allow_cookies: 1,
     cs_dompurify: 1
   },
@@ -1337,6 +1353,7 @@ var defaultSites = {
   },
   "Il Sole 24 Ore (24+ only)": {
     domain: "ilsole24ore.com",
+    exclude_paths: ["ntplus*.ilsole24ore.com"],
     allow_cookies: 1,
     block_regex: /(\.ilsole24ore\.com\/zephr\/feature|\.cloudfront\.net\/embed\/widget\/subx.+\.js)/
   },
@@ -1480,6 +1497,7 @@ var defaultSites = {
   },
   "L'Opinion (not Le Journal)": {
     domain: "lopinion.fr",
+    exclude_paths: ["/lejournal"],
     allow_cookies: 1,
     useragent: "googlebot"
   },
@@ -1647,6 +1665,7 @@ var defaultSites = {
   },
   "LiveMint (not epaper)": {
     domain: "livemint.com",
+    exclude_paths: ["epaper.livemint.com"],
     allow_cookies: 1,
     block_regex: /(\.livemint\.com\/lm-img\/subscription\/|\.tinypass\.com\/|\.ampproject\.org\/v0\/amp-access-.+\.js)/
   },
@@ -1800,6 +1819,7 @@ var defaultSites = {
   },
   "Mid-Day (not epaper)": {
     domain: "mid-day.com",
+    exclude_paths: ["epaper.mid-day.com"],
     allow_cookies: 1,
     block_regex: /\.ampproject\.org\/v0\/amp-access-.+\.js/
   },
@@ -1893,6 +1913,7 @@ var defaultSites = {
   },
   "Neue Zürcher Zeitung (not epaper)": {
     domain: "nzz.ch",
+    exclude_paths: ["epaper.nzz.ch"],
     allow_cookies: 1,
     block_regex: /(\.piano\.io\/|ens\.nzz\.ch\/.+\/Bootstrap\.js)/
   },
@@ -1947,7 +1968,8 @@ var defaultSites = {
   "Nordwest Zeitung": {
     domain: "nwzonline.de",
     allow_cookies: 1,
-    block_regex: /\.piano\.io\//
+    block_regex: /\.piano\.io\//,
+    cs_code: {"version": 2, "delay": 0, "actions": [{"cond": "div.adslot", "hide": 1}]}
   },
   "NRC Handelsblad": {
     domain: "nrc.nl",
@@ -2198,6 +2220,7 @@ var defaultSites = {
   },
   "Quora": {
     domain: "quora.com",
+    exclude_paths: ["/search?q="],
     allow_cookies: 1,
     useragent: "googlebot"
   },
@@ -2342,6 +2365,7 @@ var defaultSites = {
   },
   "Science (free articles only)": {
     domain: "science.org",
+    exclude_paths: ["/doi/"],
     allow_cookies: 1
   },
   "Science & Vie": {
@@ -2429,6 +2453,7 @@ var defaultSites = {
   },
   "Statista": {
     domain: "statista.com",
+    exclude_paths: ["/study/"],
     referer: "google"
   },
   "Stereogum": {
@@ -2452,6 +2477,7 @@ var defaultSites = {
   },
   "Study.com (only lessons; no videos)": {
     domain: "study.com",
+    include_paths: ["/*/lesson/"],
     allow_cookies: 1
   },
   "Stylist.co.uk": {
@@ -2466,6 +2492,7 @@ var defaultSites = {
   },
   "Süddeutsche Zeitung": {
     domain: "sueddeutsche.de",
+    exclude_paths: ["zeitung.sueddeutsche.de"],
     allow_cookies: 1,
     block_regex: /\.sueddeutsche\.de\/api\/tinypass\.min\.js/,
     cs_dompurify: 1
@@ -2491,6 +2518,7 @@ var defaultSites = {
   },
   "Tech in Asia": {
     domain: "techinasia.com",
+    exclude_paths: ["/|"],
     allow_cookies: 1,
     useragent: "facebookbot",
     cs_dompurify: 1
@@ -2560,7 +2588,8 @@ var defaultSites = {
   "The Atlantic": {
     domain: "theatlantic.com",
     remove_cookies_select_drop: ["articleViews"],
-    useragent: "googlebot"
+    useragent: "googlebot",
+    useragent_mobile: "desktop"
   },
   "The Baffler": {
     domain: "thebaffler.com",
@@ -2609,6 +2638,7 @@ var defaultSites = {
   },
   "The Daily Wire (news only)": {
     domain: "dailywire.com",
+    exclude_paths: ["/episode", "/show", "/videos", "/watch"],
     allow_cookies: 1
   },
   "The Dallas Morning News": {
@@ -2632,8 +2662,10 @@ var defaultSites = {
       "economictimes.com",
       "economictimes.indiatimes.com"
     ],
+    include_paths: ["economictimes.com/|", "economictimes.com/__assets", "economictimes.com/prime", "economictimes.com/*.cms"],
     allow_cookies: 1,
     useragent: "googlebot",
+    useragent_include_paths: ["/*.cms"],
     cs_dompurify: 1
   },
   "The Economist": {
@@ -2675,6 +2707,7 @@ var defaultSites = {
   },
   "The Hill Times": {
     domain: "hilltimes.com",
+    exclude_paths: ["/slideshow/"],
     allow_cookies: 1,
     block_regex: /\.hilltimes\.com\/.+\/js\/loadingoverlay\/loadingoverlay\.min\.js/,
     useragent: "googlebot",
@@ -2682,11 +2715,13 @@ var defaultSites = {
   },
   "The Hindu (not epaper)": {
     domain: "thehindu.com",
+    exclude_paths: ["epaper.thehindu.com"],
     allow_cookies: 1,
     block_regex: /(\.cxense\.com\/|\.piano\.io\/xbuilder\/experience\/execute|\.ampproject\.org\/v0\/amp-subscriptions-.+\.js)/
   },
   "The Hindu BusinessLine (not epaper)": {
     domain: "thehindubusinessline.com",
+    exclude_paths: ["epaper.thehindubusinessline.com"],
     allow_cookies: 1,
     block_regex: /(\.cxense\.com\/|\.piano\.io\/xbuilder\/experience\/execute|\.ampproject\.org\/v0\/amp-subscriptions-.+\.js)/
   },
@@ -2799,9 +2834,11 @@ var defaultSites = {
   },
   "The New York Times": {
     domain: "nytimes.com",
+    exclude_paths: ["help.nytimes.com", "myaccount.nytimes.com", "timesmachine.nytimes.com"],
     allow_cookies: 1,
     block_regex: /(\.nytimes\.com\/(meter\.js|svc\/onsite-messaging\/query)|mwcm\.nyt\.com\/.+\.js|cooking\.nytimes\.com\/api\/.+\/access)/,
-    useragent: "googlebot"
+    useragent: "googlebot",
+    useragent_exclude_paths: ["/live/"]
   },
   "The News Lens": {
     allow_cookies: 1,
@@ -2879,6 +2916,7 @@ var defaultSites = {
   },
   "The Times UK (fetch from archive.is)": {
     domain: "thetimes.com",
+    exclude_paths: ["epaper.thetimes.com"],
     allow_cookies: 1,
     cs_dompurify: 1
   },
@@ -2981,9 +3019,11 @@ var defaultSites = {
   },
   "UOL.com.br": {
     domain: "uol.com.br",
+    exclude_paths: ["conta.uol.com.br", "email.uol.com.br", "piaui.folha.uol.com.br"],
     allow_cookies: 1,
     block_regex: /(paywall\.folha\.uol\.com\.br\/|\.(tinypass|matheranalytics)\.com\/|\.ampproject\.org\/v0\/amp-subscriptions-.+\.js)/,
-    useragent: "googlebot"
+    useragent: "googlebot",
+    useragent_include_paths: ["folha.uol.com.br"]
   },
   "USA Today": {
     domain: "usatoday.com",
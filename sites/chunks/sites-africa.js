@@ -0,0 +1,9 @@
+// Generated by tools/build-chunks.js from sites.js (do not edit)
+self.loadedSiteChunks = self.loadedSiteChunks || {};
+self.loadedSiteChunks["africa"] = {
+  "Standardmedia.co.ke": {
+    domain: "standardmedia.co.ke",
+    allow_cookies: 1,
+    block_regex: /\.poool\.fr\//
+  }
+};
@@ -0,0 +1,120 @@
+// Generated by tools/build-chunks.js from sites.js (do not edit)
+self.loadedSiteChunks = self.loadedSiteChunks || {};
+self.loadedSiteChunks["americas"] = {
+  "CartaCapital": {
+    domain: "cartacapital.com.br",
+    allow_cookies: 1
+  },
+  "Correio do Povo": {
+    domain: "correiodopovo.com.br",
+    allow_cookies: 1,
+    block_regex: /(paywall\.correiodopovo\.com\.br|\.ampproject\.org\/v0\/amp-access-.+\.js)/
+  },
+  "Crusoe.com.br": {
+    domain: "crusoe.com.br",
+    allow_cookies: 1,
+    block_regex: /\.crusoe\.com\.br\/assets\/js\/swg-wallcontent-crusoe\.js/
+  },
+  "Diario Financiero (df.cl)": {
+    domain: "df.cl",
+    allow_cookies: 1,
+    useragent: "googlebot"
+  },
+  "El Observador.com.uy": {
+    domain: "elobservador.com.uy",
+    allow_cookies: 1,
+    block_regex: /(\.elobservador\.com\.uy\/shares|\.ampproject\.org\/v0\/amp-access-.+\.js)/
+  },
+  "El País.com.uy": {
+    domain: "elpais.com.uy",
+    allow_cookies: 1,
+    block_regex: /(\.elpais\.com\.uy\/user\/authStatus|\.evolok\.net\/|\.cxense\.com\/)/
+  },
+  "Estado de Minas": {
+    domain: "em.com.br",
+    allow_cookies: 1,
+    block_regex: /\.ampproject\.org\/v0\/amp-subscriptions-.+\.js/
+  },
+  "GaúchaZH": {
+    domain: "gauchazh.clicrbs.com.br",
+    allow_cookies: 1,
+    block_regex: /(\.piano\.io\/api\/tinypass\.min\.js|\.clicrbs\.com\.br\/paywall-api\/count\/)/
+  },
+  "Gazeta do Povo": {
+    domain: "gazetadopovo.com.br",
+    allow_cookies: 1,
+    block_regex: /(\.tinypass\.com\/|\.cxense\.com\/|\.ampproject\.org\/v0\/amp-subscriptions-.+\.js)/
+  },
+  "Groupe Québecor": {
+    domain: "###_ca_groupe_quebecor",
+    group: ["journaldemontreal.com", "journaldequebec.com"],
+    allow_cookies: 1
+  },
+  "Grupo Abril": {
+    domain: "abril.com.br",
+    allow_cookies: 1,
+    block_regex: /\.abril\.com\.br\/.+\/abril-paywall\//
+  },
+  "Grupo Clarín": {
+    domain: "###_ar_grupo_clarin",
+    group: ["clarin.com", "lavoz.com.ar", "losandes.com.ar", "ole.com.ar"],
+    allow_cookies: 1,
+    block_regex: /zonda\.clarin\.com\//,
+    exception: [
+      {
+        domain: "lavoz.com.ar",
+        allow_cookies: 1,
+        block_regex: /cdn\.wyleex\.com\/lavoz\/pw\.min\.js/
+      },
+      {
+        domain: "losandes.com.ar",
+        allow_cookies: 1,
+        block_regex: /cdn\.lavoz\.com\.ar\/sites\/.+\/paywall\/losandes\/pw\.js/
+      }
+    ]
+  },
+  "Grupo El Comercio": {
+    domain: "###_pe_grupo_elcomercio",
+    group: ["diariocorreo.pe", "elcomercio.pe", "gestion.pe"],
+    allow_cookies: 1,
+    block_regex: "(\\.tinypass\\.com\\/|\\/{domain}\\/pf\\/dist\\/engine\\/react\\.js)"
+  },
+  "iPolitics.ca": {
+    domain: "ipolitics.ca",
+    allow_cookies: 1,
+    cs_dompurify: 1
+  },
+  "La Diaria.com.uy": {
+    domain: "ladiaria.com.uy",
+    allow_cookies: 1,
+    useragent: "googlebot"
+  },
+  "La Nación (free articles only)": {
+    domain: "lanacion.com.ar"
+  },
+  "NSC Total": {
+    domain: "nsctotal.com.br",
+    allow_cookies: 1,
+    block_regex: /\.nsctotal\.com\.br\/wp-content\/themes\/nsctotal\/js\/paywall\.js/
+  },
+  "O Estado de S. Paulo": {
+    domain: "estadao.com.br",
+    allow_cookies: 1,
+    block_regex: /(\.estadao\.com\.br\/(paywall\/|access\.js)|\.ampproject\.org\/v0\/amp-(access|subscriptions)-.+\.js)/
+  },
+  "The Toronto Star (+ local TorStar sites)": {
+    domain: "###_ca_torstar",
+    group: ["niagarafallsreview.ca", "stcatharinesstandard.ca", "thepeterboroughexaminer.com", "therecord.com", "thespec.com", "thestar.com", "wellandtribune.ca"],
+    allow_cookies: 1,
+    block_regex: "(\\.{domain}\\/(script|.+\\/tncms\\/api\\/access\\..+)\\.js|\\.ampproject\\.org\\/v\\d\\/amp-access-.+\\.js)",
+    cs_dompurify: 1
+  },
+  "UOL.com.br": {
+    domain: "uol.com.br",
+    exclude_paths: ["conta.uol.com.br", "email.uol.com.br", "piaui.folha.uol.com.br"],
+    allow_cookies: 1,
+    block_regex: /(paywall\.folha\.uol\.com\.br\/|\.(tinypass|matheranalytics)\.com\/|\.ampproject\.org\/v0\/amp-subscriptions-.+\.js)/,
+    useragent: "googlebot",
+    useragent_include_paths: ["folha.uol.com.br"]
+  }
+};
@@ -0,0 +1,47 @@
+// Generated by tools/build-chunks.js from sites.js (do not edit)
+self.loadedSiteChunks = self.loadedSiteChunks || {};
+self.loadedSiteChunks["asia"] = {
+  "Business Insider Japan": {
+    domain: "businessinsider.jp",
+    allow_cookies: 1,
+    block_regex: /(\.cxense\.com\/|\.piano\.io\/)/
+  },
+  "CommonWealth Magazine Taiwan (free articles only)": {
+    domain: "cw.com.tw"
+  },
+  "Globes": {
+    domain: "globes.co.il",
+    block_regex: /\.tinypass\.com\//
+  },
+  "Haaretz Group (fetch from archive.is)": {
+    domain: "###_il_haaretz_group",
+    group: ["haaretz.co.il", "haaretz.com", "themarker.com"],
+    remove_cookies_select_drop: ["ra"],
+    cs_dompurify: 1
+  },
+  "Kompas.id": {
+    domain: "kompas.id",
+    allow_cookies: 1
+  },
+  "Mainichi Shimbun": {
+    domain: "mainichi.jp",
+    allow_cookies: 1,
+    useragent: "googlebot"
+  },
+  "SPH Media (fetch from archive.is)": {
+    domain: "###_sg_sph_media",
+    group: ["straitstimes.com"],
+    allow_cookies: 1,
+    cs_dompurify: 1
+  },
+  "The Japan Times (do not block TinyPass-script externally)": {
+    domain: "japantimes.co.jp",
+    block_regex: /\.cxense\.com\//,
+    remove_cookies_select_drop: ["xbc"]
+  },
+  "Ynet": {
+    domain: "ynet.co.il",
+    allow_cookies: 1,
+    block_regex: /\.tinypass\.com\//
+  }
+};
@@ -0,0 +1,858 @@
+// Generated by tools/build-chunks.js from sites.js (do not edit)
+self.loadedSiteChunks = self.loadedSiteChunks || {};
+self.loadedSiteChunks["europe"] = {
+  "Aachener Zeitung (fetch from archive.is)": {
+    domain: "aachener-zeitung.de",
+    allow_cookies: 1,
+    cs_dompurify: 1
+  },
+  "Agefi.fr": {
+    domain: "agefi.fr",
+    allow_cookies: 1,
+    useragent: "googlebot"
+  },
+  "Algemeen Dagblad (+ regional/ADR; fetch from archive.is)": {
+    domain: "###_nl_dpg_adr",
+    group: ["ad.nl", "bd.nl", "bndestem.nl", "destentor.nl", "ed.nl", "gelderlander.nl", "pzc.nl", "tubantia.nl"],
+    allow_cookies: 1,
+    block_regex: /temptation\..+\.nl\/temptation\.js/,
+    cs_dompurify: 1
+  },
+  "Alternatives Economiques": {
+    domain: "alternatives-economiques.fr",
+    block_regex: /\.poool\.fr\//
+  },
+  "ARA": {
+    domain: "###_cat_ara",
+    group: ["ara.cat", "arabalears.cat"],
+    allow_cookies: 1,
+    block_regex: /\.ampproject\.org\/v0\/amp-access-.+\.js/,
+    useragent: "googlebot"
+  },
+  "Ärzte Zeitung": {
+    domain: "aerztezeitung.de",
+    allow_cookies: 1
+  },
+  "Atlantico.fr": {
+    domain: "atlantico.fr",
+    allow_cookies: 1,
+    block_regex: /\.tonos\.gjirafa\.tech\/init\/access/
+  },
+  "Augsburger Allgemeine": {
+    domain: "augsburger-allgemeine.de",
+    allow_cookies: 1,
+    block_regex: /\.tinypass\.com\//,
+    cs_dompurify: 1
+  },
+  "Autocar.co.uk": {
+    domain: "autocar.co.uk",
+    allow_cookies: 1
+  },
+  "AutoHebdo.fr": {
+    domain: "autohebdo.fr",
+    include_paths: ["www.autohebdo.fr"],
+    allow_cookies: 1,
+    cs_dompurify: 1
+  },
+  "Automobilwoche": {
+    domain: "automobilwoche.de",
+    allow_cookies: 1,
+    block_regex: /\.automobilwoche\.de\/sites\/camw\/files\/js\/js_.+\.js/
+  },
+  "AutoPlus.fr": {
+    domain: "autoplus.fr",
+    allow_cookies: 1,
+    block_regex: /\.qiota\.com\//
+  },
+  "Belfast Telegraph": {
+    domain: "belfasttelegraph.co.uk",
+    allow_cookies: 1,
+    cs_dompurify: 1
+  },
+  "Berliner Zeitung": {
+    domain: "berliner-zeitung.de",
+    allow_cookies: 1,
+    useragent: "googlebot"
+  },
+  "Berlingske": {
+    domain: "berlingske.dk",
+    allow_cookies: 1,
+    useragent: "bingbot"
+  },
+  "Börsen-Zeitung": {
+    domain: "boersen-zeitung.de",
+    allow_cookies: 1,
+    cs_dompurify: 1
+  },
+  "BusinessAM.be": {
+    domain: "businessam.be",
+    allow_cookies: 1,
+    cs_dompurify: 1
+  },
+  "Business Insider Nederland": {
+    domain: "businessinsider.nl",
+    allow_cookies: 1,
+    block_regex: /\.piano\.io\//,
+    cs_dompurify: 1
+  },
+  "Business Post.ie": {
+    domain: "businesspost.ie",
+    allow_cookies: 1,
+    block_regex: /\.businesspost\.ie\/api\/tinypass\.min\.js/,
+    cs_dompurify: 1
+  },
+  "Capital.bg": {
+    domain: "capital.bg",
+    allow_cookies: 1,
+    block_regex: /\.poool\.fr\//
+  },
+  "Capital.fr": {
+    domain: "capital.fr",
+    allow_cookies: 1,
+    block_regex: /\.poool\.fr\//
+  },
+  "Causeur": {
+    domain: "causeur.fr",
+    allow_cookies: 1,
+    block_regex: /\.qiota\.com\//
+  },
+  "Challenges": {
+    domain: "challenges.fr",
+    allow_cookies: 1,
+    block_regex: /(\.poool\.fr\/|\.ampproject\.org\/v0\/amp-access-.+\.js)/
+  },
+  "Charlie Hebdo": {
+    domain: "charliehebdo.fr",
+    allow_cookies: 1,
+    block_regex: /\.poool\.fr\//
+  },
+  "Cicero.de": {
+    domain: "cicero.de",
+    allow_cookies: 1,
+    cs_dompurify: 1
+  },
+  "Corriere della Sera": {
+    domain: "corriere.it",
+    allow_cookies: 1,
+    block_regex: /(\.tinypass\.com\/|\.corriereobjects\.it\/.+\/js\/_paywall\.sjs|\.ampproject\.org\/v0\/amp-subscriptions-.+\.js)/
+  },
+  "Corriere dello Sport": {
+    domain: "corrieredellosport.it",
+    allow_cookies: 1
+  },
+  "Cosmopolitan.fr": {
+    domain: "cosmopolitan.fr",
+    allow_cookies: 1,
+    block_regex: /\.qiota\.com\//
+  },
+  "Dagens ETC": {
+    domain: "etc.se",
+    allow_cookies: 1
+  },
+  "Dagens Medicin": {
+    domain: "dagensmedicin.se",
+    allow_cookies: 1,
+    useragent: "googlebot"
+  },
+  "Dagsavisen.no": {
+    domain: "dagsavisen.no",
+    allow_cookies: 1
+  },
+  "Daily Mail Group UK": {
+    domain: "###_uk_dmg_media",
+    group: ["dailymail.co.uk", "mailonsunday.co.uk", "thisismoney.co.uk"],
+    allow_cookies: 1,
+    block_regex: "\\.{domain}\\/zephr\\/feature"
+  },
+  "De Limburger (fetch from archive.is)": {
+    domain: "limburger.nl",
+    allow_cookies: 1,
+    block_regex: /\.limburger\.nl\/extra\/assets\/resources\/js\/zephrIntegration\.js/,
+    cs_dompurify: 1
+  },
+  "De Tijd": {
+    domain: "tijd.be",
+    referer: "google"
+  },
+  "Der Freitag": {
+    domain: "freitag.de",
+    allow_cookies: 1
+  },
+  "Der Spiegel (fetch from archive.is)": {
+    domain: "spiegel.de",
+    allow_cookies: 1,
+    cs_dompurify: 1
+  },
+  "Der Tagesspiegel (fetch from archive.is; not background/checkpoint)": {
+    domain: "tagesspiegel.de",
+    exclude_paths: ["background.tagesspiegel.de", "checkpoint.tagesspiegel.de"],
+    allow_cookies: 1,
+    cs_dompurify: 1
+  },
+  "Die Rheinpfalz": {
+    domain: "rheinpfalz.de",
+    allow_cookies: 1,
+    block_regex: /\.piano\.io\//,
+    useragent: "googlebot"
+  },
+  "Die Zeit (fetch from archive.is)": {
+    domain: "zeit.de",
+    allow_cookies: 1,
+    cs_dompurify: 1
+  },
+  "DN Media Group": {
+    domain: "###_no_dn_media",
+    group: ["dn.no", "europower.no", "fiskeribladet.no", "hydrogeninsight.com", "intrafish.com", "intrafish.no", "rechargenews.com", "tradewindsnews.com", "upstreamonline.com"],
+    allow_cookies: 1,
+    cs_dompurify: 1,
+    exception: [
+      {
+        domain: "tradewindsnews.com",
+        allow_cookies: 1,
+        block_regex: /subscription-static-global\.nhst\.tech\//
+      }
+    ]
+  },
+  "Dnevnik.bg": {
+    domain: "dnevnik.bg",
+    allow_cookies: 1,
+    block_regex: /\.dnevnik\.bg\/api\/auth\/callback\/credentials/
+  },
+  "Domani": {
+    domain: "editorialedomani.it",
+    allow_cookies: 1,
+    block_regex: /(\.editorialedomani\.it\/pelcro\.js|js\.pelcro\.com\/)/,
+    useragent: "googlebot"
+  },
+  "Doorbraak.be": {
+    domain: "doorbraak.be",
+    allow_cookies: 1,
+    cs_dompurify: 1
+  },
+  "DPG Media (not ADR)": {
+    domain: "###_nl_dpg_media",
+    group: ["demorgen.be", "flair.nl", "humo.be", "libelle.nl", "margriet.nl", "parool.nl", "trouw.nl", "volkskrant.nl"],
+    remove_cookies_select_drop: ["TID_ID"],
+    block_regex: "(\\.{domain}\\/temptation\\/resolve|temptation\\.{domain}\\/temptation\\.js)"
+  },
+  "Eastwest.eu": {
+    domain: "eastwest.eu",
+    allow_cookies: 1
+  },
+  "El Diario.es": {
+    domain: "eldiario.es",
+    allow_cookies: 1,
+    block_regex: /\.ampproject\.org\/v0\/amp-access-.+\.js/
+  },
+  "Elle.fr": {
+    domain: "elle.fr",
+    allow_cookies: 1,
+    block_regex: /(\.poool\.fr\/|\.ampproject\.org\/v0\/amp-access-.+\.js)/
+  },
+  "Esprit": {
+    domain: "esprit.presse.fr",
+    allow_cookies: 1,
+    block_regex: /\.poool\.fr\//
+  },
+  "Evening Standard (UK)": {
+    domain: "standard.co.uk",
+    allow_cookies: 1,
+    block_regex: /(\.tinypass\.com\/|\.ampproject\.org\/v0\/amp-access-.+\.js)/
+  },
+  "Expresso.pt (not Tribuna)": {
+    domain: "expresso.pt",
+    exclude_paths: ["tribuna.expresso.pt"],
+    allow_cookies: 1,
+    cs_dompurify: 1
+  },
+  "Follow the Money (ftm.nl & ftm.eu)": {
+    domain: "###_nl_eu_ftm",
+    group: ["ftm.eu", "ftm.nl"],
+    allow_cookies: 1,
+    block_regex: /\.ftm\.(nl|eu)\/js\/routing\?/
+  },
+  "Forbes.ua (text only)": {
+    domain: "forbes.ua",
+    allow_cookies: 1
+  },
+  "Funke Mediengruppe (fetch from archive.is)": {
+    domain: "###_de_funke_medien",
+    group: ["abendblatt.de", "braunschweiger-zeitung.de", "ikz-online.de", "morgenpost.de", "nrz.de", "otz.de", "thueringer-allgemeine.de", "tlz.de", "waz.de", "wp.de", "wr.de"],
+    allow_cookies: 1,
+    block_regex: /\.piano\.io\//,
+    cs_dompurify: 1
+  },
+  "Golem.de": {
+    domain: "golem.de",
+    allow_cookies: 1,
+    cs_dompurify: 1
+  },
+  "GremiMedia.pl Group": {
+    domain: "###_pl_gremi_media",
+    group: ["parkiet.com", "rp.pl"]
+  },
+  "Groene Amsterdammer": {
+    domain: "groene.nl",
+    remove_cookies_select_hold: ["accept-cookies", "popunder-hidden"],
+    useragent: "googlebot"
+  },
+  "Groupe ESH Médias": {
+    domain: "###_ch_esh_medias",
+    group: ["arcinfo.ch", "lacote.ch", "lenouvelliste.ch"],
+    allow_cookies: 1,
+    cs_dompurify: 1
+  },
+  "Groupe IPM": {
+    domain: "###_be_groupe_ipm",
+    group: ["dhnet.be", "lalibre.be", "lavenir.net"],
+    allow_cookies: 1,
+    block_regex: /(\.piano\.io\/xbuilder\/experience\/execute|\.cxense\.com\/|\.ampproject\.org\/v0\/amp-access-.+\.js)/
+  },
+  "Groupe La Dépêche": {
+    domain: "###_fr_groupe_la_depeche",
+    group: ["centrepresseaveyron.fr", "journaldemillau.fr", "ladepeche.fr", "lindependant.fr", "midilibre.fr", "nrpyrenees.fr", "petitbleu.fr", "rugbyrama.fr"],
+    allow_cookies: 1
+  },
+  "Groupe Nice-Matin": {
+    domain: "###_fr_groupe_nice_matin",
+    group: ["monacomatin.mc", "nicematin.com", "varmatin.com"],
+    allow_cookies: 1,
+    block_regex: /(\.qiota\.com\/|\.nicematin\.com\/build\/js\/viewpay\..+\.js)/
+  },
+  "Groupe Profession Santé": {
+    domain: "###_fr_groupe_prof_sante",
+    group: ["lequotidiendumedecin.fr", "lequotidiendupharmacien.fr"],
+    allow_cookies: 1,
+    block_regex: /\.poool\.fr\//
+  },
+  "Groupe Rossel": {
+    domain: "###_fr_be_groupe_rossel",
+    group: ["aisnenouvelle.fr", "courrier-picard.fr", "lardennais.fr", "lesoir.be", "lest-eclair.fr", "liberation-champagne.fr", "lunion.fr", "nordlittoral.fr", "paris-normandie.fr"],
+    allow_cookies: 1,
+    useragent_custom: "Mozilla/5.0 (Java) outbrain"
+  },
+  "Groupe Sud Ouest": {
+    domain: "###_fr_groupe_sud_ouest",
+    group: ["sudouest.fr", "charentelibre.fr", "larepubliquedespyrenees.fr"],
+    allow_cookies: 1
+  },
+  "Grupo Unidad Editorial": {
+    domain: "###_es_unidad",
+    group: ["elmundo.es", "expansion.com", "marca.com"],
+    allow_cookies: 1,
+    block_regex: /(\.tinypass\.com\/|\.ampproject\.org\/v0\/amp-(access|subscriptions)-.+\.js)/
+  },
+  "Grupo Vocento": {
+    domain: "###_es_grupo_vocento",
+    group: ["abc.es", "canarias7.es", "diariosur.es", "diariovasco.com", "elcomercio.es", "elcorreo.com", "eldiariomontanes.es", "elnortedecastilla.es", "hoy.es", "ideal.es", "larioja.com", "lasprovincias.es", "laverdad.es", "lavozdigital.es"],
+    allow_cookies: 1,
+    block_regex: /\.ampproject\.org\/v0\/amp-access-.+\.js/,
+    useragent: "googlebot",
+    useragent_mobile: "none"
+  },
+  "Gruppo GEDI.it (listed sites only)": {
+    domain: "###_it_gedi",
+    group: ["huffingtonpost.it", "italian.tech", "lastampa.it", "lescienze.it", "moda.it"],
+    remove_cookies_select_drop: ["blaize_session"],
+    block_regex: /(scripts\.repubblica\.it\/pw\/pw\.js|\.ampproject\.org\/v0\/amp-(access|user-notification)-.+\.js)/,
+    useragent: "googlebot",
+    exception: [
+      {
+        domain: ["huffingtonpost.it", "lastampa.it"],
+        block_js_inline: /\.it\/.+\/news\//,
+        remove_cookies_select_drop: ["blaize_session"]
+      }
+    ]
+  },
+  "Heise online": {
+    domain: "heise.de",
+    allow_cookies: 1,
+    cs_dompurify: 1
+  },
+  "Het Laatste Nieuws (fetch from archive.is)": {
+    domain: "hln.be",
+    allow_cookies: 1,
+    block_regex: /temptation\.hln\.be\/temptation\.js/,
+    cs_dompurify: 1
+  },
+  "Il Fatto Quotidiano": {
+    domain: "ilfattoquotidiano.it",
+    allow_cookies: 1,
+    block_regex: /\.ampproject\.org\/v0\/amp-subscriptions-.+\.js/
+  },
+  "Il Foglio": {
+    domain: "ilfoglio.it",
+    allow_cookies: 1,
+    block_regex: /\.ampproject\.org\/v0\/amp-subscriptions-.+\.js/
+  },
+  "Il Manifesto": {
+    domain: "ilmanifesto.it",
+    exclude_paths: ["/edizioni/"],
+    allow_cookies: 1,
+    cs_dompurify: 1
+  },
+  "Il Messaggero (+ regional)": {
+    domain: "###_it_ilmessaggero",
+    group: ["corriereadriatico.it", "ilgazzettino.it", "ilmattino.it", "ilmessaggero.it", "quotidianodipuglia.it"],
+    allow_cookies: 1,
+    block_regex: /(\.(cedscdn|cedsdigital)\.it\/.+\/PaywallMeter\.js|\.ampproject\.org\/v0\/amp-(access|consent|subscriptions)-.+\.m?js)/
+  },
+  "iNews (UK)": {
+    domain: "inews.co.uk",
+    allow_cookies: 1,
+    block_js_inline: /liveapp\.inews\.co\.uk\/.+\/content\.html/,
+    block_regex: /\.tinypass\.com\//
+  },
+  "Internazionale.it": {
+    domain: "internazionale.it",
+    allow_cookies: 1,
+    block_regex: /\.internazionale\.it\/templates_js_ajax\.inc\.php/
+  },
+  "Investors' Chronicle (UK)": {
+    domain: "investorschronicle.co.uk",
+    allow_cookies: 1,
+    referer: "google"
+  },
+  "Irish Independent": {
+    domain: "independent.ie",
+    allow_cookies: 1,
+    cs_dompurify: 1
+  },
+  "Italia Oggi": {
+    domain: "italiaoggi.it",
+    allow_cookies: 1,
+    cs_dompurify: 1
+  },
+  "Jacobin.de": {
+    domain: "jacobin.de",
+    allow_cookies: 1,
+    cs_dompurify: 1
+  },
+  "Kölner Stadt-Anzeiger": {
+    domain: "ksta.de",
+    allow_cookies: 1,
+    block_regex: /\.cleverpush\.com\//
+  },
+  "Kölnische Rundschau": {
+    domain: "rundschau-online.de",
+    allow_cookies: 1,
+    block_regex: /\.cleverpush\.com\//
+  },
+  "Krautreporter.de": {
+    domain: "krautreporter.de"
+  },
+  "Kurier.at": {
+    domain: "kurier.at",
+    allow_cookies: 1,
+    block_regex: /\.tinypass\.com\//
+  },
+  "L'Écho": {
+    domain: "lecho.be",
+    referer: "google"
+  },
+  "L'Express": {
+    domain: "lexpress.fr",
+    allow_cookies: 1,
+    block_regex: /\.qiota\.com\/data/
+  },
+  "L'Opinion (not Le Journal)": {
+    domain: "lopinion.fr",
+    exclude_paths: ["/lejournal"],
+    allow_cookies: 1,
+    useragent: "googlebot"
+  },
+  "La Gazzetta dello Sport (text only)": {
+    domain: "gazzetta.it",
+    allow_cookies: 1
+  },
+  "La Nouvelle République du Centre-Ouest": {
+    domain: "lanouvellerepublique.fr",
+    allow_cookies: 1,
+    block_regex: /\.qiota\.com\//
+  },
+  "La Tribune": {
+    domain: "latribune.fr",
+    allow_cookies: 1,
+    block_regex: /\.poool\.fr\//
+  },
+  "Landwirtschaftsverlag": {
+    domain: "###_de_lv",
+    group: ["profi.de", "topagrar.com", "wochenblatt.com"],
+    allow_cookies: 1,
+    exception: [
+      {
+        domain: "topagrar.com",
+        allow_cookies: 1,
+        block_js_inline: /\.topagrar\.com\/.+\/news\//
+      }
+    ]
+  },
+  "Le Courrier des Stratèges": {
+    domain: "lecourrierdesstrateges.fr",
+    allow_cookies: 1,
+    cs_dompurify: 1
+  },
+  "Le Grand Continent": {
+    domain: "legrandcontinent.eu",
+    allow_cookies: 1
+  },
+  "Le Journal du Dimanche": {
+    domain: "lejdd.fr",
+    allow_cookies: 1,
+    block_regex: /\.poool\.fr\//
+  },
+  "Le Nouvel Economiste": {
+    domain: "lenouveleconomiste.fr",
+    allow_cookies: 1,
+    useragent: "googlebot"
+  },
+  "Le Parisien": {
+    domain: "leparisien.fr",
+    allow_cookies: 1,
+    useragent: "googlebot"
+  },
+  "Le Point": {
+    domain: "lepoint.fr",
+    allow_cookies: 1,
+    block_regex: /\.poool\.fr\//,
+    cs_dompurify: 1
+  },
+  "Le Télégramme": {
+    domain: "letelegramme.fr",
+    allow_cookies: 1,
+    block_regex: /\.poool\.fr\//
+  },
+  "Le1Hebdo.fr": {
+    domain: "le1hebdo.fr",
+    allow_cookies: 1,
+    block_regex: /\.qiota\.com\//
+  },
+  "Les Échos": {
+    domain: "lesechos.fr",
+    allow_cookies: 1,
+    cs_dompurify: 1
+  },
+  "Libération.fr (only when in source)": {
+    domain: "liberation.fr",
+    allow_cookies: 1,
+    cs_dompurify: 1
+  },
+  "Linda.nl": {
+    domain: "linda.nl",
+    allow_cookies: 1,
+    cs_dompurify: 1
+  },
+  "Literary Review (UK)": {
+    domain: "literaryreview.co.uk",
+    allow_cookies: 1,
+    cs_dompurify: 1
+  },
+  "London Review of Books": {
+    domain: "lrb.co.uk",
+    allow_cookies: 1,
+    block_js_inline: /\.lrb\.co\.uk\//
+  },
+  "Manager-magazin.de (fetch from archive.is)": {
+    domain: "manager-magazin.de",
+    allow_cookies: 1,
+    cs_dompurify: 1
+  },
+  "Mediahuis België (fetch from archive.is)": {
+    domain: "###_be_mediahuis",
+    group: ["gva.be", "hbvl.be", "nieuwsblad.be", "standaard.be"],
+    allow_cookies: 1,
+    block_regex: "\\.{domain}\\/extra\\/assets\\/resources\\/js\\/zephrIntegration\\.js",
+    cs_dompurify: 1
+  },
+  "Motor Presse Stuttgart": {
+    domain: "###_de_motor_presse",
+    group: ["aerokurier.de", "auto-motor-und-sport.de", "flugrevue.de", "motorradonline.de", "womenshealth.de"],
+    allow_cookies: 1,
+    block_regex: "\\.{domain}\\/thenewsbar\\/config\\/"
+  },
+  "Münchner Merkur": {
+    domain: "merkur.de",
+    allow_cookies: 1,
+    block_regex: /\.merkur\.de\/sub\/js\/pc-offer-west\.js/
+  },
+  "Neue Westfälische": {
+    domain: "nw.de",
+    allow_cookies: 1
+  },
+  "Neue Zürcher Zeitung (not epaper)": {
+    domain: "nzz.ch",
+    exclude_paths: ["epaper.nzz.ch"],
+    allow_cookies: 1,
+    block_regex: /(\.piano\.io\/|ens\.nzz\.ch\/.+\/Bootstrap\.js)/
+  },
+  "New Voice (nv.ua)": {
+    domain: "nv.ua",
+    allow_cookies: 1,
+    block_regex: /\.ampproject\.org\/v0\/amp-access-.+\.js/
+  },
+  "Nordwest Zeitung": {
+    domain: "nwzonline.de",
+    allow_cookies: 1,
+    block_regex: /\.piano\.io\//,
+    cs_code: {
+      version: 2,
+      delay: 0,
+      actions: [
+        {
+          cond: "div.adslot",
+          hide: 1
+        }
+      ]
+    }
+  },
+  "NRC Handelsblad": {
+    domain: "nrc.nl",
+    remove_cookies_select_drop: ["counter"],
+    block_regex: /\.nrc\.nl\/paywall-api\/api\/zephr/
+  },
+  "NyTeknik": {
+    domain: "nyteknik.se",
+    allow_cookies: 1,
+    useragent: "googlebot"
+  },
+  "Observador.pt": {
+    domain: "observador.pt",
+    allow_cookies: 1,
+    block_js_inline: /\/observador\.pt\/(\d{4}|especiais|opiniao)\//
+  },
+  "PhiloMag.de": {
+    domain: "philomag.de",
+    allow_cookies: 1
+  },
+  "Piqd.de": {
+    domain: "piqd.de",
+    allow_cookies: 1,
+    useragent: "googlebot"
+  },
+  "Politis.fr": {
+    domain: "politis.fr",
+    allow_cookies: 1,
+    block_regex: /\.poool\.fr\//
+  },
+  "Polityka.pl": {
+    domain: "polityka.pl",
+    allow_cookies: 1,
+    useragent: "googlebot"
+  },
+  "Pour la Science.fr": {
+    domain: "pourlascience.fr",
+    allow_cookies: 1,
+    block_regex: /\.qiota\.com\//
+  },
+  "Profil.at": {
+    domain: "profil.at",
+    allow_cookies: 1,
+    block_regex: /\.piano\.io\//
+  },
+  "Prospect Magazine": {
+    domain: "prospectmagazine.co.uk",
+    allow_cookies: 1,
+    block_regex: /\.piano\.io\//
+  },
+  "Public.fr": {
+    domain: "public.fr",
+    allow_cookies: 1,
+    block_regex: /\.poool\.fr\//
+  },
+  "Público.es": {
+    domain: "publico.es",
+    allow_cookies: 1,
+    block_regex: /\.piano\.io\//
+  },
+  "Puls Biznesu": {
+    domain: "pb.pl",
+    allow_cookies: 1,
+    block_regex: /\.pb\.pl\/api\/tinypass\.min\.js/
+  },
+  "Quotidiano.net (+ regional)": {
+    domain: "###_it_quotidiano",
+    group: ["ilgiorno.it", "ilrestodelcarlino.it", "iltelegrafolivorno.it", "lanazione.it", "quotidiano.net"],
+    allow_cookies: 1,
+    block_regex: /(\.tinypass\.com\/|\.ampproject\.org\/v0\/amp-access-.+\.js)/
+  },
+  "Record.pt": {
+    domain: "record.pt",
+    allow_cookies: 1,
+    block_regex: /\.ampproject\.org\/v0\/amp-access-.+\.js/
+  },
+  "Revue21.fr": {
+    domain: "revue21.fr",
+    allow_cookies: 1,
+    block_regex: /\.qiota\.com\//
+  },
+  "Rheinische Post Mediengruppe (fetch from archive.is)": {
+    domain: "###_de_rp_medien",
+    group: ["ga.de", "rp-online.de", "saarbruecker-zeitung.de", "volksfreund.de"],
+    allow_cookies: 1,
+    block_regex: /\.piano\.io\//,
+    cs_dompurify: 1
+  },
+  "Ringier Gruppe (ch)": {
+    allow_cookies: 1,
+    domain: "###_ch_ringier",
+    group: ["beobachter.ch", "blick.ch", "handelszeitung.ch"],
+    block_regex: /\.tinypass\.com\//,
+    cs_dompurify: 1,
+    useragent: "googlebot",
+    exception: [
+      {
+        domain: "blick.ch",
+        allow_cookies: 1,
+        block_regex: /\.tinypass\.com\//
+      }
+    ]
+  },
+  "Ringier Axel Springer Polska": {
+    domain: "###_pl_ringier",
+    group: ["auto-swiat.pl", "businessinsider.com.pl", "forbes.pl", "komputerswiat.pl", "newsweek.pl", "onet.pl"],
+    allow_cookies: 1,
+    block_regex: /\.piano\.io\//
+  },
+  "Sábado (not video)": {
+    domain: "sabado.pt",
+    allow_cookies: 1,
+    block_regex: /\.ampproject\.org\/v0\/amp-access-.+\.js/
+  },
+  "Schweizer Monat": {
+    domain: "schweizermonat.ch",
+    allow_cookies: 1,
+    cs_dompurify: 1
+  },
+  "Sciences et Avenir": {
+    domain: "sciencesetavenir.fr",
+    block_regex: /(\.poool\.fr\/|\.ampproject\.org\/v0\/amp-access-.+\.js)/
+  },
+  "Spektrum.de": {
+    domain: "spektrum.de",
+    allow_cookies: 1
+  },
+  "Sport.sky.it": {
+    domain: "sport.sky.it",
+    allow_cookies: 1
+  },
+  "Springer Medizin": {
+    domain: "springermedizin.de",
+    allow_cookies: 1
+  },
+  "Stern.de": {
+    domain: "stern.de",
+    allow_cookies: 1,
+    cs_dompurify: 1
+  },
+  "Stylist.co.uk": {
+    domain: "stylist.co.uk",
+    allow_cookies: 1,
+    cs_dompurify: 1
+  },
+  "Suomen Sotilas": {
+    domain: "suomensotilas.fi",
+    allow_cookies: 1,
+    block_regex: /\/suomensotilas\.fi\/wp-content\/plugins\/epflpw\/js\/pw\.js/
+  },
+  "Süddeutsche Zeitung": {
+    domain: "sueddeutsche.de",
+    exclude_paths: ["zeitung.sueddeutsche.de"],
+    allow_cookies: 1,
+    block_regex: /\.sueddeutsche\.de\/api\/tinypass\.min\.js/,
+    cs_dompurify: 1
+  },
+  "Südkurier (fetch from archive.is)": {
+    domain: "suedkurier.de",
+    allow_cookies: 1,
+    block_regex: /\.tinypass\.com\//,
+    cs_dompurify: 1
+  },
+  "T3n.de": {
+    domain: "t3n.de",
+    allow_cookies: 1
+  },
+  "Telegraaf": {
+    domain: "telegraaf.nl",
+    allow_cookies: 1,
+    cs_dompurify: 1
+  },
+  "The Critic": {
+    domain: "thecritic.co.uk",
+    block_regex: /\.hadrianpaywall\.com\//
+  },
+  "The Independent (UK)": {
+    domain: "independent.co.uk",
+    allow_cookies: 1,
+    block_regex: /\.tinypass\.com\//
+  },
+  "The Market.ch": {
+    domain: "themarket.ch",
+    allow_cookies: 1,
+    block_regex: /(\.piano\.io\/|ens\.themarket\.ch\/.+\/Bootstrap\.js)/
+  },
+  "The New European": {
+    domain: "theneweuropean.co.uk",
+    allow_cookies: 1,
+    block_regex: /cdn\.tinypass\.com\//
+  },
+  "The Spectator (UK)": {
+    domain: "spectator.co.uk",
+    useragent: "googlebot"
+  },
+  "The Stage Media (UK)": {
+    domain: "###_uk_thestage_media",
+    allow_cookies: 1,
+    group: ["thebookseller.com", "thestage.co.uk"],
+    cs_dompurify: 1,
+    exception: [
+      {
+        domain: "thebookseller.com",
+        allow_cookies: 1,
+        useragent: "googlebot"
+      }
+    ]
+  },
+  "The Telegraph": {
+    domain: "telegraph.co.uk",
+    allow_cookies: 1,
+    block_regex: /(\.tinypass\.com\/|\.telegraph\.co\.uk\/martech\/js\/|\.ampproject\.org\/v0\/amp-access-.+\.js)/
+  },
+  "The Times Literary Supplement": {
+    domain: "the-tls.co.uk",
+    allow_cookies: 1,
+    cs_dompurify: 1
+  },
+  "Vorarlberg Nachrichten": {
+    domain: "vn.at",
+    allow_cookies: 1,
+    block_js_inline: /\.vn\.at\/.+\/\d{4}\//,
+    block_regex: /\.tinypass\.com\//
+  },
+  "Vorarlberg Online": {
+    domain: "vol.at",
+    allow_cookies: 1,
+    block_regex: /\.tinypass\.com\//,
+    cs_dompurify: 1
+  },
+  "Vrij Nederland": {
+    domain: "vn.nl",
+    allow_cookies: 1,
+    cs_dompurify: 1
+  },
+  "Weltkunst": {
+    domain: "weltkunst.de",
+    allow_cookies: 1,
+    useragent: "googlebot"
+  },
+  "Weser-Kurier": {
+    domain: "weser-kurier.de",
+    allow_cookies: 1,
+    block_regex: /\.piano\.io\//
+  },
+  "Wyborcza.pl Group (fetch from archive.is)": {
+    domain: "###_pl_wyborcza_group",
+    group: ["magazyn-kuchnia.pl", "wyborcza.biz", "wyborcza.pl", "wysokieobcasy.pl"],
+    allow_cookies: 1,
+    cs_dompurify: 1
+  }
+};
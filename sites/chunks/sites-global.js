@@ -0,0 +1,1108 @@
+// Generated by tools/build-chunks.js from sites.js (do not edit)
+self.loadedSiteChunks = self.loadedSiteChunks || {};
+self.loadedSiteChunks["global"] = {
+  "60 Millions de consommateurs": {
+    domain: "60millions-mag.com",
+    allow_cookies: 1,
+    block_regex: /\.poool\.fr\//
+  },
+  "Adweek": {
+    domain: "adweek.com",
+    useragent: "googlebot"
+  },
+  "Albuquerque Journal": {
+    domain: "abqjournal.com",
+    allow_cookies: 1,
+    block_regex: /\.abqjournal\.com\/.+\/tncms\/api\/access\..+\.js/,
+    cs_dompurify: 1
+  },
+  "Ámbito": {
+    domain: "ambito.com",
+    remove_cookies_select_drop: ["TDNotesRead"]
+  },
+  "America's Test Kitchen": {
+    domain: "americastestkitchen.com",
+    allow_cookies: 1,
+    block_regex: /\.tinypass\.com\//
+  },
+  "American Affairs": {
+    domain: "americanaffairsjournal.org",
+    allow_cookies: 1,
+    block_regex: /\/americanaffairsjournal\.org\/wp-content\/mu-plugins\/app\/src\/paywall\/paywall\.js/
+  },
+  "American Purpose": {
+    domain: "americanpurpose.com",
+    allow_cookies: 1,
+    block_regex: /\/steadyhq\.com\//
+  },
+  "Apollo Magazine": {
+    domain: "apollo-magazine.com"
+  },
+  "Artforum": {
+    domain: "artforum.com"
+  },
+  "Artnet": {
+    domain: "artnet.com",
+    allow_cookies: 1,
+    block_regex: /(\.artnet\.com\/paywall-ajax\.php|\.ampproject\.org\/v0\/amp-subscriptions-.+\.js)/
+  },
+  "Atavist Magazine": {
+    domain: "atavist.com"
+  },
+  "Autosport (free articles only)": {
+    domain: "autosport.com",
+    allow_cookies: 1,
+    block_regex: /\.tinypass\.com\//
+  },
+  "Axios": {
+    domain: "axios.com",
+    allow_cookies: 1
+  },
+  "Balkan Insight": {
+    domain: "balkaninsight.com",
+    allow_cookies: 1,
+    cs_dompurify: 1
+  },
+  "Bar and Bench": {
+    domain: "barandbench.com",
+    allow_cookies: 1,
+    cs_dompurify: 1
+  },
+  "Barron's": {
+    domain: "barrons.com",
+    allow_cookies: 1,
+    block_regex: /(\.cxense\.com\/|\.ampproject\.org\/v0\/amp-subscriptions-.+\.js)/
+  },
+  "BBC History Extra": {
+    domain: "historyextra.com",
+    allow_cookies: 1,
+    block_regex: /\.tinypass\.com\//
+  },
+  "Benzinga": {
+    domain: "benzinga.com"
+  },
+  "Bloomberg": {
+    domain: "bloomberg.com",
+    exclude_paths: ["/news/terminal/"],
+    allow_cookies: 1,
+    block_regex: /(\.cm\.bloomberg\.com\/|assets\.bwbx\.io\/s\d\/javelin\/.+\/transporter\/)/
+  },
+  "Bloomberg Adria": {
+    domain: "bloombergadria.com",
+    exclude_paths: ["/video/"],
+    allow_cookies: 1,
+    block_js_inline: /\.bloombergadria\.com\/.+\/news\//
+  },
+  "Bulletin of the Atomic Scientists": {
+    domain: "thebulletin.org",
+    allow_cookies: 1,
+    block_regex: /\.tinypass\.com\//,
+    cs_dompurify: 1
+  },
+  "Business Insider": {
+    domain: "businessinsider.com",
+    allow_cookies: 1,
+    block_regex: /\.sophi\.io\//,
+    useragent: "googlebot",
+    useragent_mobile: "desktop"
+  },
+  "Business Standard": {
+    domain: "business-standard.com",
+    allow_cookies: 1,
+    cs_dompurify: 1
+  },
+  "Cambio Colombia": {
+    domain: "cambiocolombia.com",
+    allow_cookies: 1,
+    block_regex: /\.ampproject\.org\/v0\/amp-subscriptions-.+\.js/
+  },
+  "Chemical & Engineering News": {
+    domain: "cen.acs.org"
+  },
+  "CNBC (news only)": {
+    domain: "cnbc.com",
+    allow_cookies: 1,
+    block_regex: /\.tinypass\.com\//
+  },
+  "CNN": {
+    domain: "cnn.com",
+    allow_cookies: 1
+  },
+  "Commentary Magazine": {
+    domain: "commentary.org",
+    block_regex: /\.commentary\.org\/.+\/js\/dg-locker-public\.js/
+  },
+  "Connaissance des Arts": {
+    domain: "connaissancedesarts.com",
+    allow_cookies: 1,
+    block_regex: /\.connaissancedesarts\.com\/wp-content\/cache\/.+\.js/
+  },
+  "Courrier international (fetch from archive.is)": {
+    domain: "courrierinternational.com",
+    allow_cookies: 1,
+    useragent: "googlebot",
+    cs_dompurify: 1
+  },
+  "CyclingNews": {
+    domain: "cyclingnews.com",
+    allow_cookies: 1
+  },
+  "Decanter (not reviews)": {
+    domain: "decanter.com",
+    allow_cookies: 1,
+    cs_dompurify: 1
+  },
+  "Defector": {
+    domain: "defector.com",
+    allow_cookies: 1,
+    cs_dompurify: 1
+  },
+  "DigiTimes Asia": {
+    domain: "digitimes.com",
+    allow_cookies: 1,
+    block_regex: /\.piano\.io\//,
+    useragent: "googlebot"
+  },
+  "Discover Magazine": {
+    domain: "discovermagazine.com"
+  },
+  "Dwell": {
+    domain: "dwell.com",
+    allow_cookies: 1,
+    block_js_inline: /\.dwell\.com\/article\/.+\?rel=plus/,
+    cs_dompurify: 1
+  },
+  "El Confidencial": {
+    domain: "elconfidencial.com",
+    allow_cookies: 1,
+    block_regex: /\.tinypass\.com\//
+  },
+  "El Cronista": {
+    domain: "cronista.com",
+    allow_cookies: 1,
+    block_regex: /\.cronista\.com\/files\/cachefiles\/987.+\.js/
+  },
+  "El Deber.com.bo": {
+    domain: "eldeber.com.bo",
+    allow_cookies: 1,
+    block_regex: /cdn\.lavoz\.com\.ar\/sites\/.+\/paywall\/eldeber\/pw\.js/
+  },
+  "El Español": {
+    domain: "elespanol.com",
+    allow_cookies: 1,
+    block_regex: /(\.tinypass\.com\/|\.ampproject\.org\/v0\/amp-(access|subscriptions)-.+\.js)/
+  },
+  "El Espectador": {
+    domain: "elespectador.com",
+    allow_cookies: 1,
+    block_regex: /(\.tinypass\.com\/|\.cxense\.com\/|js\.matheranalytics\.com\/|\.ampproject\.org\/v0\/amp-subscriptions-.+\.js)/
+  },
+  "El País": {
+    domain: "elpais.com",
+    allow_cookies: 1,
+    block_js_inline: /\/verne\.elpais\.com\/.+\.html/,
+    block_regex: /(\/elpais\.com\/arc\/subs\/p\.min\.js|\.ampproject\.org\/v0\/amp-access-.+\.js)/
+  },
+  "El Tiempo": {
+    domain: "eltiempo.com",
+    allow_cookies: 1,
+    block_regex: /\.tinypass\.com\//
+  },
+  "El Tribuno": {
+    domain: "eltribuno.com",
+    allow_cookies: 1,
+    block_regex: /\.eltribuno\.com\/scripts\/Bellhop\/dist\/bellhop\.min\.js/
+  },
+  "Encyclopedia Britannica": {
+    domain: "britannica.com"
+  },
+  "eNotes": {
+    domain: "enotes.com",
+    remove_cookies_select_drop: ["ENOTESID"]
+  },
+  "ESPN USA (news only; fetch from archive.is)": {
+    domain: "espn.com",
+    exclude_paths: ["/watch"],
+    allow_cookies: 1,
+    cs_dompurify: 1
+  },
+  "EUobserver": {
+    domain: "euobserver.com",
+    allow_cookies: 1,
+    cs_dompurify: 1
+  },
+  "Exame": {
+    domain: "exame.com",
+    allow_cookies: 1
+  },
+  "Fast Company": {
+    domain: "fastcompany.com",
+    allow_cookies: 1,
+    block_regex: /(\.tinypass\.com\/|\.fastcompany\.com\/script\.js)/,
+    cs_dompurify: 1
+  },
+  "Field & Stream": {
+    domain: "fieldandstream.com",
+    allow_cookies: 1
+  },
+  "Financial News (London; fetch from archive.is)": {
+    domain: "fnlondon.com",
+    allow_cookies: 1,
+    block_regex: /\.cxense\.com\//,
+    cs_dompurify: 1
+  },
+  "Financial Times (not cn subdomain)": {
+    domain: "ft.com",
+    exclude_paths: ["cn.ft.com"],
+    useragent: "googlebot",
+    cs_dompurify: 1
+  },
+  "First Things": {
+    domain: "firstthings.com"
+  },
+  "Forbes (not newsletters)": {
+    domain: "forbes.com",
+    allow_cookies: 1,
+    block_regex: /(\.forbes\.com\/zephr\/feature|\.ampproject\.org\/v0\/amp-access-.+\.js)/
+  },
+  "Foreign Affairs (not reader)": {
+    domain: "foreignaffairs.com",
+    exclude_paths: ["reader.foreignaffairs.com"],
+    allow_cookies: 1,
+    block_regex: /\.foreignaffairs\.com\/modules\/custom\/fa_paywall_js\/js\/paywall\.js/
+  },
+  "Foreign Policy": {
+    domain: "foreignpolicy.com",
+    allow_cookies: 1,
+    block_regex: /(\.piano\.io\/xbuilder\/experience\/execute|\.cxense\.com\/)/,
+    cs_dompurify: 1
+  },
+  "Fortune": {
+    domain: "fortune.com",
+    allow_cookies: 1,
+    block_regex: /(\.piano\.io\/xbuilder\/experience\/execute|\.cxense\.com\/|\.ampproject\.org\/v0\/amp-access-.+\.js)/
+  },
+  "Fox News (regwall)": {
+    domain: "foxnews.com",
+    allow_cookies: 1
+  },
+  "Frankfurter Allgemeine Zeitung": {
+    domain: "faz.net",
+    allow_cookies: 1,
+    useragent: "googlebot"
+  },
+  "GB News": {
+    domain: "gbnews.com",
+    allow_cookies: 1,
+    block_regex: /\.piano\.io\//
+  },
+  "Glassdoor (regwall)": {
+    domain: "glassdoor.com"
+  },
+  "Granta Magazine": {
+    domain: "granta.com",
+    allow_cookies: 1,
+    cs_dompurify: 1
+  },
+  "Handelsblatt": {
+    domain: "handelsblatt.com",
+    allow_cookies: 1,
+    block_regex: /\.piano\.io\//,
+    useragent: "googlebot",
+    useragent_include_paths: ["/*.html"]
+  },
+  "Harper's Magazine": {
+    domain: "harpers.org",
+    block_regex: /\/harpers\.org\/wp-content\/themes\/timber\/static\/js\/modal.+\.js/
+  },
+  "Harvard Business Review (do not block TinyPass-script externally)": {
+    domain: "hbr.org",
+    block_regex: /\.cxense\.com\//,
+    remove_cookies_select_drop: ["xbc"]
+  },
+  "Hindustan Times (not epaper)": {
+    domain: "hindustantimes.com",
+    exclude_paths: ["epaper.hindustantimes.com"],
+    allow_cookies: 1,
+    block_regex: /\.ampproject\.org\/v0\/amp-access-.+\.js/
+  },
+  "Honolulu Star-Advertiser": {
+    domain: "staradvertiser.com",
+    allow_cookies: 1,
+    block_regex: /js\.matheranalytics\.com\//
+  },
+  "Il Sole 24 Ore (24+ only)": {
+    domain: "ilsole24ore.com",
+    exclude_paths: ["ntplus*.ilsole24ore.com"],
+    allow_cookies: 1,
+    block_regex: /(\.ilsole24ore\.com\/zephr\/feature|\.cloudfront\.net\/embed\/widget\/subx.+\.js)/
+  },
+  "Inc.com": {
+    domain: "inc.com",
+    block_regex: /\.tinypass\.com\//
+  },
+  "Inc42": {
+    domain: "inc42.com",
+    allow_cookies: 1,
+    block_regex: /(\/inc42\.com\/wp-admin\/admin-ajax\.php$|\.ampproject\.org\/v0\/amp-access-.+\.js)/
+  },
+  "Initium Media": {
+    domain: "theinitium.com",
+    allow_cookies: 1,
+    block_regex: /\.wallkit\.net\/js\//
+  },
+  "Inkl": {
+    domain: "inkl.com"
+  },
+  "Inside Higher Ed": {
+    domain: "insidehighered.com",
+    allow_cookies: 1,
+    block_regex: /js\.pelcro\.com\//
+  },
+  "Interesting Engineering": {
+    domain: "interestingengineering.com",
+    allow_cookies: 1
+  },
+  "Jazziz": {
+    domain: "jazziz.com",
+    allow_cookies: 1,
+    cs_dompurify: 1
+  },
+  "Jazzwise": {
+    domain: "jazzwise.com",
+    allow_cookies: 1,
+    useragent: "googlebot"
+  },
+  "L'Informé": {
+    domain: "linforme.com",
+    allow_cookies: 1,
+    useragent: "googlebot"
+  },
+  "L'Oeil de la Photographie": {
+    domain: "loeildelaphotographie.com",
+    allow_cookies: 1,
+    block_regex: /cdn\.loeildelaphotographie\.com\/wp-content\/.+\/hague-child\/js\/script-.+\.js/
+  },
+  "La Croix": {
+    domain: "la-croix.com",
+    allow_cookies: 1,
+    block_regex: /(\.la-croix\.com\/build\/.+\/paywall.+\.js|\.ampproject\.org\/v0\/amp-access-.+\.js)/
+  },
+  "La Tercera": {
+    domain: "latercera.com",
+    allow_cookies: 1
+  },
+  "La Vanguardia": {
+    domain: "lavanguardia.com",
+    allow_cookies: 1,
+    block_regex: /\/ev\.lavanguardia\.com\//
+  },
+  "Las Vegas Review-Journal": {
+    domain: "reviewjournal.com",
+    allow_cookies: 1,
+    block_regex: /\.reviewjournal\.com\/wp-content\/plugins\/.+\/loader_prod\.min\.js/
+  },
+  "Law.com (free articles only)": {
+    domain: "law.com",
+    allow_cookies: 1,
+    block_regex: /\/olytics\.omeda\.com\//,
+    referer: "facebook"
+  },
+  "Le Devoir": {
+    domain: "ledevoir.com",
+    block_regex: /\.tinypass\.com\//,
+    remove_cookies_select_drop: ["pw6"]
+  },
+  "Le Journal du Net": {
+    domain: "journaldunet.com",
+    allow_cookies: 1
+  },
+  "Le Revenu": {
+    domain: "lerevenu.com",
+    allow_cookies: 1,
+    block_regex: /\.qiota\.com\//
+  },
+  "Les Inrockuptibles": {
+    domain: "lesinrocks.com",
+    allow_cookies: 1,
+    block_regex: /\.qiota\.com\//
+  },
+  "LiveMint (not epaper)": {
+    domain: "livemint.com",
+    exclude_paths: ["epaper.livemint.com"],
+    allow_cookies: 1,
+    block_regex: /(\.livemint\.com\/lm-img\/subscription\/|\.tinypass\.com\/|\.ampproject\.org\/v0\/amp-access-.+\.js)/
+  },
+  "Loeb Classical Library": {
+    domain: "loebclassics.com"
+  },
+  "Los Angeles Times": {
+    domain: "latimes.com",
+    allow_cookies: 1,
+    block_regex: /\.latimes\.com\/meteringjs/
+  },
+  "Malayala Manorama": {
+    domain: "manoramaonline.com",
+    allow_cookies: 1,
+    block_regex: /\.ampproject\.org\/v0\/amp-access-.+\.js/
+  },
+  "MarketWatch": {
+    domain: "marketwatch.com",
+    allow_cookies: 1,
+    block_regex: /(\.cxense\.com\/|\.ampproject\.org\/v0\/amp-(access|subscriptions)-.+\.js)/
+  },
+  "Medscape (regwall)": {
+    domain: "medscape.com",
+    allow_cookies: 1,
+    block_regex: /(\.medscapestatic\.com\/.+\/medscape-library|\.wbmdstatic\.com\/.+\/chunk-vendors\..+)\.js/
+  },
+  "Mexico News Daily": {
+    domain: "mexiconewsdaily.com",
+    allow_cookies: 1,
+    block_regex: /\/mexiconewsdaily\.com\/wp-content\/plugins\/leaky-paywall\/js\/leaky-paywall-cookie\.js/
+  },
+  "Mid-Day (not epaper)": {
+    domain: "mid-day.com",
+    exclude_paths: ["epaper.mid-day.com"],
+    allow_cookies: 1,
+    block_regex: /\.ampproject\.org\/v0\/amp-access-.+\.js/
+  },
+  "MIT Sloan Management Review": {
+    domain: "sloanreview.mit.edu",
+    allow_cookies: 1,
+    block_regex: /(\.tinypass\.com\/|\/sloanreview\.mit\.edu\/.+\/welcome-ad\.js)/
+  },
+  "MIT Technology Review": {
+    domain: "technologyreview.com",
+    allow_cookies: 1,
+    block_regex: /(\.tinypass\.com\/|\.ampproject\.org\/v0\/amp-access-.+\.mjs)/
+  },
+  "Monocle": {
+    domain: "monocle.com",
+    useragent: "googlebot"
+  },
+  "Motor Sport Magazine (UK)": {
+    domain: "motorsportmagazine.com",
+    allow_cookies: 1,
+    block_regex: /\.motorsportmagazine\.com\/wp-admin\/admin-ajax\.php/,
+    cs_dompurify: 1
+  },
+  "Mountain View Voice": {
+    domain: "mv-voice.com"
+  },
+  "Mundo Deportivo": {
+    domain: "mundodeportivo.com",
+    allow_cookies: 1,
+    block_regex: /\/ev\.mundodeportivo\.com\//
+  },
+  "National Review": {
+    domain: "nationalreview.com",
+    allow_cookies: 1,
+    block_regex: /\.ampproject\.org\/v0\/amp-access-.+\.js/,
+    cs_dompurify: 1
+  },
+  "NDTV Profit": {
+    domain: "ndtvprofit.com",
+    allow_cookies: 1,
+    block_regex: /\.ampproject\.org\/v0\/amp-subscriptions-.+\.js/
+  },
+  "Newsday": {
+    domain: "newsday.com",
+    allow_cookies: 1,
+    block_regex: /(loader-cdn\.azureedge\.net\/|js\.matheranalytics\.com\/|\.ampproject\.org\/v0\/amp-access-.+\.js)/
+  },
+  "Newslaundry": {
+    domain: "newslaundry.com",
+    allow_cookies: 1,
+    cs_dompurify: 1
+  },
+  "Newsweek": {
+    domain: "newsweek.com",
+    block_regex: /(js\.pelcro\.com\/|\.ampproject\.org\/v0\/amp-(access|subscriptions)-.+\.js)/
+  },
+  "Nikkei Asian Review": {
+    domain: "asia.nikkei.com",
+    allow_cookies: 1,
+    block_regex: /\.piano\.io\//,
+    cs_dompurify: 1
+  },
+  "O Globo (& Valor Econômico)": {
+    domain: "globo.com",
+    allow_cookies: 1,
+    block_regex: /(\.tinypass\.com\/|\.ampproject\.org\/v0\/amp-subscriptions-.+\.js)/
+  },
+  "Outdoor Life": {
+    domain: "outdoorlife.com",
+    allow_cookies: 1,
+    block_regex: /js\.pelcro\.com\//
+  },
+  "Outlook Business": {
+    domain: "outlookbusiness.com",
+    allow_cookies: 1,
+    cs_dompurify: 1
+  },
+  "Outlook India": {
+    domain: "outlookindia.com",
+    allow_cookies: 1
+  },
+  "Palo Alto Online": {
+    domain: "paloaltoonline.com"
+  },
+  "Paris Match": {
+    domain: "parismatch.com",
+    allow_cookies: 1,
+    block_regex: /\.poool\.fr\//
+  },
+  "Paste Magazine": {
+    domain: "pastemagazine.com",
+    allow_cookies: 1,
+    block_regex: /\.pastemagazine\.com\/wp-content\/cache\/autoptimize\/js\/autoptimize_.+\.js/
+  },
+  "PhiloMag.com": {
+    domain: "philomag.com",
+    allow_cookies: 1,
+    block_regex: /\.qiota\.com\//
+  },
+  "Philosophy Now": {
+    domain: "philosophynow.org"
+  },
+  "Pirate Wires": {
+    allow_cookies: 1,
+    domain: "piratewires.com",
+    block_regex: /\.piratewires\.com\/_next\/static\/chunks\/3930-.+\.js/,
+    useragent_custom: "Mozilla/5.0 (compatible; Twitterbot/1.0)"
+  },
+  "Pittsburgh Post Gazette": {
+    domain: "post-gazette.com",
+    block_regex: /\.tinypass\.com\//
+  },
+  "Política Exterior": {
+    domain: "politicaexterior.com",
+    allow_cookies: 1
+  },
+  "Politico (regwall; not pro)": {
+    domain: "politico.com",
+    allow_cookies: 1,
+    block_regex: /\.tinypass\.com\//
+  },
+  "Popular Science": {
+    domain: "popsci.com",
+    allow_cookies: 1,
+    block_regex: /js\.pelcro\.com\//
+  },
+  "Pour l'Éco": {
+    allow_cookies: 1,
+    domain: "pourleco.com",
+    block_regex: /\.poool\.fr\//
+  },
+  "Project Syndicate (fetch from archive.is)": {
+    domain: "project-syndicate.org",
+    allow_cookies: 1,
+    cs_dompurify: 1
+  },
+  "Puck.news (fetch from archive.is)": {
+    domain: "puck.news",
+    allow_cookies: 1,
+    cs_dompurify: 1
+  },
+  "Quartz (newsletter)": {
+    domain: "qz.com",
+    allow_cookies: 1,
+    block_regex: /\.kinja-static\.com\/assets\/.+\/regwalled-content.+\.js/
+  },
+  "Quora": {
+    domain: "quora.com",
+    exclude_paths: ["/search?q="],
+    allow_cookies: 1,
+    useragent: "googlebot"
+  },
+  "Réforme.net": {
+    domain: "reforme.net",
+    allow_cookies: 1,
+    cs_dompurify: 1
+  },
+  "Reuters": {
+    domain: "reuters.com",
+    allow_cookies: 1,
+    block_regex: /\.reuters\.com\/arc\/subs\/p\.min\.js/
+  },
+  "Revista Oeste": {
+    domain: "revistaoeste.com",
+    allow_cookies: 1,
+    block_js_inline: /\/revistaoeste\.com\/revista\//,
+    block_regex: /\/revistaoeste\.com\/wp-content\/.+\/js\/app\..+\.js/
+  },
+  "Revue Conflits": {
+    domain: "revueconflits.com",
+    allow_cookies: 1,
+    block_regex: /\.qiota\.com\/data/
+  },
+  "Rivals (fetch from archive.is)": {
+    domain: "rivals.com",
+    allow_cookies: 1,
+    cs_dompurify: 1
+  },
+  "RugbyPass": {
+    domain: "rugbypass.com",
+    allow_cookies: 1,
+    block_js_inline: /\.rugbypass\.com\/plus\/\w/,
+    block_regex: /\.tinypass\.com\//
+  },
+  "S&P Global": {
+    domain: "spglobal.com",
+    allow_cookies: 1,
+    block_js_inline: /\/www\.spglobal\.com\//,
+    block_regex: /\.spglobal\.com\/script\.js/
+  },
+  "Scholastic": {
+    domain: "scholastic.com",
+    allow_cookies: 1
+  },
+  "Science (free articles only)": {
+    domain: "science.org",
+    exclude_paths: ["/doi/"],
+    allow_cookies: 1
+  },
+  "Science & Vie": {
+    domain: "science-et-vie.com",
+    block_regex: /\.qiota\.com\//
+  },
+  "ScienceNews.org": {
+    domain: "sciencenews.org",
+    remove_cookies_select_drop: ["blaize_session"]
+  },
+  "Sciences Humaines": {
+    domain: "scienceshumaines.com",
+    allow_cookies: 1,
+    block_regex: /\.qiota\.com\//
+  },
+  "Scientific American": {
+    domain: "scientificamerican.com",
+    allow_cookies: 1,
+    block_regex: /\.scientificamerican\.com\/api\/tinypass\.min\.js/
+  },
+  "Slate": {
+    domain: "slate.com",
+    block_regex: /(\.tinypass\.com\/|\.ampproject\.org\/v0\/amp-access-.+\.js)/
+  },
+  "SlideShare": {
+    domain: "slideshare.net",
+    allow_cookies: 1
+  },
+  "SOFREP": {
+    domain: "sofrep.com"
+  },
+  "South China Morning Post": {
+    domain: "scmp.com",
+    allow_cookies: 1,
+    block_regex: /\.tinypass\.com\//
+  },
+  "Southern Weekly": {
+    domain: "infzm.com",
+    allow_cookies: 1
+  },
+  "Sports Illustrated": {
+    domain: "si.com",
+    allow_cookies: 1,
+    block_regex: /\.blueconic\.net\//
+  },
+  "Star Tribune": {
+    domain: "startribune.com",
+    allow_cookies: 1,
+    block_regex: /\.tinypass\.com\//
+  },
+  "Statista": {
+    domain: "statista.com",
+    exclude_paths: ["/study/"],
+    referer: "google"
+  },
+  "Stereogum": {
+    domain: "stereogum.com",
+    allow_cookies: 1,
+    cs_dompurify: 1
+  },
+  "Stock News": {
+    domain: "stocknews.com",
+    allow_cookies: 1
+  },
+  "Stratfor": {
+    domain: "stratfor.com",
+    allow_cookies: 1,
+    useragent: "googlebot"
+  },
+  "Study.com (only lessons; no videos)": {
+    domain: "study.com",
+    include_paths: ["/*/lesson/"],
+    allow_cookies: 1
+  },
+  "Swarajyamag": {
+    domain: "swarajyamag.com",
+    allow_cookies: 1
+  },
+  "Tampa Bay Times": {
+    domain: "tampabay.com",
+    allow_cookies: 1,
+    block_regex: /(\.zephr\.com\/zephr-browser\/|js\.matheranalytics\.com\/|\.ampproject\.org\/v0\/amp-access-.+\.js)/
+  },
+  "Tech in Asia": {
+    domain: "techinasia.com",
+    exclude_paths: ["/|"],
+    allow_cookies: 1,
+    useragent: "facebookbot",
+    cs_dompurify: 1
+  },
+  "Tes Magazine": {
+    domain: "tes.com",
+    remove_cookies_select_drop: ["tg_paywall"]
+  },
+  "Texas Monthly": {
+    domain: "texasmonthly.com",
+    allow_cookies: 1,
+    block_regex: /\.texasmonthly\.com\/script\.js/
+  },
+  "The American Conservative": {
+    domain: "theamericanconservative.com",
+    allow_cookies: 1,
+    cs_dompurify: 1
+  },
+  "The American Interest": {
+    domain: "the-american-interest.com",
+    allow_cookies: 1
+  },
+  "The American Scholar": {
+    domain: "theamericanscholar.org",
+    allow_cookies: 1,
+    cs_dompurify: 1
+  },
+  "The Art Newspaper": {
+    domain: "theartnewspaper.com",
+    allow_cookies: 1,
+    block_regex: /\.theartnewspaper\.com\/_next\/static\/chunks\/pages\/access-allowed-.+\.js/
+  },
+  "The Atlantic": {
+    domain: "theatlantic.com",
+    remove_cookies_select_drop: ["articleViews"],
+    useragent: "googlebot",
+    useragent_mobile: "desktop"
+  },
+  "The Baffler": {
+    domain: "thebaffler.com",
+    allow_cookies: 1,
+    block_regex: /\/blink\.net\/.+\/blink-sdk\.js/
+  },
+  "The Boston Globe": {
+    domain: "bostonglobe.com",
+    allow_cookies: 1,
+    block_regex: /(\.blueconic\.net\/|meter\.bostonglobe\.com\/js\/|\.ampproject\.org\/v0\/amp-subscriptions-.+\.js)/
+  },
+  "The Business Journals (free articles only; do not block Cxense-script externally)": {
+    domain: "bizjournals.com",
+    allow_cookies: 1
+  },
+  "The Business of Fashion": {
+    domain: "businessoffashion.com",
+    allow_cookies: 1,
+    block_regex: /(\.businessoffashion\.com\/zephr\/feature|\.ampproject\.org\/v0\/amp-access-.+\.js)/
+  },
+  "The Christian Science Monitor": {
+    domain: "csmonitor.com",
+    allow_cookies: 1
+  },
+  "The Columbian": {
+    domain: "columbian.com",
+    allow_cookies: 1,
+    useragent: "googlebot"
+  },
+  "The Daily Beast": {
+    domain: "thedailybeast.com",
+    block_regex: /\.tinypass\.com\//
+  },
+  "The Daily Wire (news only)": {
+    domain: "dailywire.com",
+    exclude_paths: ["/episode", "/show", "/videos", "/watch"],
+    allow_cookies: 1
+  },
+  "The Dallas Morning News": {
+    domain: "dallasnews.com",
+    allow_cookies: 1,
+    block_regex: /(\.dallasnews\.com\/script\.js|js\.matheranalytics\.com\/|\.ampproject\.org\/v0\/amp-subscriptions-.+\.js)/,
+    useragent: "googlebot"
+  },
+  "The Diplomat": {
+    domain: "thediplomat.com",
+    useragent: "facebookbot"
+  },
+  "The Dispatch": {
+    domain: "thedispatch.com",
+    allow_cookies: 1,
+    block_regex: /\.thedispatch\.com\/api\/tinypass\.min\.js/
+  },
+  "The Economist": {
+    domain: "economist.com",
+    allow_cookies: 1,
+    block_regex: /(\/zephr\/feature|\.economist\.com\/latest\/wall-ui\.js)/,
+    useragent_custom: "Mozilla/5.0 (Linux; Android 14) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/127.0.6533.103 Mobile Safari/537.36 Lamarr"
+  },
+  "The Financial Express": {
+    domain: "financialexpress.com",
+    allow_cookies: 1,
+    block_regex: /(\.financialexpress\.com\/.+\/min\/premiumStoryContent\.js|\.ampproject\.org\/v0\/amp-access-.+\.js)/
+  },
+  "The Globe and Mail": {
+    domain: "theglobeandmail.com",
+    allow_cookies: 1,
+    block_regex: /(\.sophi\.io\/|\.zephr\.com\/zephr-browser\/)/
+  },
+  "The Hill": {
+    domain: "thehill.com",
+    allow_cookies: 1,
+    block_regex: /\.tinypass\.com\//
+  },
+  "The Hill Times": {
+    domain: "hilltimes.com",
+    exclude_paths: ["/slideshow/"],
+    allow_cookies: 1,
+    block_regex: /\.hilltimes\.com\/.+\/js\/loadingoverlay\/loadingoverlay\.min\.js/,
+    useragent: "googlebot",
+    cs_dompurify: 1
+  },
+  "The Hindu (not epaper)": {
+    domain: "thehindu.com",
+    exclude_paths: ["epaper.thehindu.com"],
+    allow_cookies: 1,
+    block_regex: /(\.cxense\.com\/|\.piano\.io\/xbuilder\/experience\/execute|\.ampproject\.org\/v0\/amp-subscriptions-.+\.js)/
+  },
+  "The Hindu BusinessLine (not epaper)": {
+    domain: "thehindubusinessline.com",
+    exclude_paths: ["epaper.thehindubusinessline.com"],
+    allow_cookies: 1,
+    block_regex: /(\.cxense\.com\/|\.piano\.io\/xbuilder\/experience\/execute|\.ampproject\.org\/v0\/amp-subscriptions-.+\.js)/
+  },
+  "The Impression": {
+    domain: "theimpression.com",
+    allow_cookies: 1
+  },
+  "The Indian Express": {
+    domain: "indianexpress.com",
+    allow_cookies: 1,
+    block_regex: /(\/indianexpress\/js\/evolok\/|\.fewcents\.co\/.+\/paywall.*\.js|\.ampproject\.org\/v0\/amp-access-.+\.js)/
+  },
+  "The Intercept": {
+    domain: "theintercept.com",
+    allow_cookies: 1,
+    block_regex: /\.piano\.io\//
+  },
+  "The Irish Examiner": {
+    domain: "irishexaminer.com",
+    allow_cookies: 1,
+    block_regex: /\.irishexaminer\.com\/pu_examiner\/scripts\/engage/
+  },
+  "The Irish News": {
+    domain: "irishnews.com",
+    allow_cookies: 1,
+    block_regex: /\.irishnews\.com\/arc\/subs\/p\.min\.js/
+  },
+  "The Irish Times": {
+    domain: "irishtimes.com",
+    allow_cookies: 1,
+    block_regex: /\.irishtimes\.com\/zephr\/feature/
+  },
+  "The Jerusalem Post": {
+    domain: "jpost.com",
+    allow_cookies: 1,
+    block_regex: /\.jpost\.com\/js\/js_article\.min\.js/
+  },
+  "The Lamp Magazine": {
+    domain: "thelampmagazine.com",
+    allow_cookies: 1
+  },
+  "The Lawyer (UK; not mda)": {
+    domain: "thelawyer.com",
+    allow_cookies: 1,
+    block_regex: /\.tinypass\.com\//,
+    cs_dompurify: 1
+  },
+  "The Nation": {
+    domain: "thenation.com",
+    allow_cookies: 1,
+    block_regex: /(\.tinypass\.com\/|\.ampproject\.org\/v0\/amp-access-.+\.js)/
+  },
+  "The New Atlantis": {
+    domain: "thenewatlantis.com",
+    allow_cookies: 1,
+    block_regex: /\.thenewatlantis\.com\/.+\/thenewatlantis\/js\/(gate|donate)\.js/
+  },
+  "The New Criterion": {
+    domain: "newcriterion.com",
+    allow_cookies: 1,
+    cs_dompurify: 1
+  },
+  "The New Republic": {
+    domain: "newrepublic.com",
+    allow_cookies: 1,
+    block_regex: /\/blink\.net\/.+\/blink-sdk\.js/
+  },
+  "The New Statesman": {
+    domain: "newstatesman.com",
+    allow_cookies: 1,
+    block_regex: /\.piano\.io\//
+  },
+  "The New York Review of Books": {
+    domain: "nybooks.com",
+    allow_cookies: 1,
+    block_regex: /\.nybooks\.com\/wp-admin\/admin-ajax\.php/
+  },
+  "The New York Sun": {
+    domain: "nysun.com",
+    allow_cookies: 1,
+    block_regex: /\.nysun\.com\/zephr\/feature/
+  },
+  "The New York Times": {
+    domain: "nytimes.com",
+    exclude_paths: ["help.nytimes.com", "myaccount.nytimes.com", "timesmachine.nytimes.com"],
+    allow_cookies: 1,
+    block_regex: /(\.nytimes\.com\/(meter\.js|svc\/onsite-messaging\/query)|mwcm\.nyt\.com\/.+\.js|cooking\.nytimes\.com\/api\/.+\/access)/,
+    useragent: "googlebot",
+    useragent_exclude_paths: ["/live/"]
+  },
+  "The News Lens": {
+    allow_cookies: 1,
+    domain: "thenewslens.com"
+  },
+  "The News Minute": {
+    domain: "thenewsminute.com",
+    allow_cookies: 1,
+    cs_dompurify: 1
+  },
+  "The Philadelphia Inquirer": {
+    domain: "inquirer.com",
+    allow_cookies: 1,
+    block_regex: /(\.tinypass\.com\/|js\.matheranalytics\.com\/)/
+  },
+  "The Point Magazine": {
+    domain: "thepointmag.com",
+    remove_cookies_select_drop: ["monthly_history"]
+  },
+  "The Quint": {
+    domain: "thequint.com",
+    allow_cookies: 1,
+    cs_dompurify: 1
+  },
+  "The Salt Lake Tribune": {
+    domain: "sltrib.com",
+    allow_cookies: 1,
+    block_regex: /\.tinypass\.com\//
+  },
+  "The Scientist (archive)": {
+    domain: "the-scientist.com",
+    allow_cookies: 1
+  },
+  "The Seattle Times": {
+    domain: "seattletimes.com",
+    allow_cookies: 1,
+    block_regex: /(\.seattletimes\.com\/.+\/st-user-messaging.+\.js|js\.matheranalytics\.com\/)/
+  },
+  "The Spectator World": {
+    domain: "thespectator.com",
+    allow_cookies: 1,
+    block_regex: /\.tinypass\.com\//
+  },
+  "The Times UK (fetch from archive.is)": {
+    domain: "thetimes.com",
+    exclude_paths: ["epaper.thetimes.com"],
+    allow_cookies: 1,
+    cs_dompurify: 1
+  },
+  "The Verge": {
+    domain: "theverge.com",
+    allow_cookies: 1,
+    block_regex: /\.theverge\.com\/zephr\/feature/
+  },
+  "The Wall Street Journal": {
+    domain: "wsj.com",
+    allow_cookies: 1,
+    referer_custom: "https://www.drudgereport.com/",
+    cs_dompurify: 1
+  },
+  "The Washington Post": {
+    domain: "washingtonpost.com",
+    allow_cookies: 1,
+    block_regex: /\.washingtonpost\.com\/.+\/tetro-client\//,
+    useragent: "googlebot"
+  },
+  "The Week (regwall)": {
+    domain: "theweek.com",
+    allow_cookies: 1
+  },
+  "The Wrap": {
+    domain: "thewrap.com",
+    remove_cookies_select_drop: ["blaize_session"],
+    cs_dompurify: 1
+  },
+  "Times Higher Education": {
+    domain: "timeshighereducation.com",
+    allow_cookies: 1
+  },
+  "Tiroler Tageszeitung": {
+    domain: "tt.com",
+    allow_cookies: 1,
+    block_regex: /\.piano\.io\/xbuilder\/experience\/execute/,
+    cs_dompurify: 1
+  },
+  "Tuttosport": {
+    domain: "tuttosport.com",
+    allow_cookies: 1,
+    cs_dompurify: 1
+  },
+  "UnHerd": {
+    domain: "unherd.com",
+    allow_cookies: 1,
+    block_regex: /\.piano\.io\//
+  },
+  "USA Today": {
+    domain: "usatoday.com",
+    allow_cookies: 1,
+    block_regex: /\.ampproject\.org\/v0\/amp-access-.+\.js/,
+    useragent: "googlebot"
+  },
+  "Valeurs Actuelles": {
+    domain: "valeursactuelles.com",
+    allow_cookies: 1,
+    block_regex: /\.qiota\.com\//
+  },
+  "Vikatan": {
+    domain: "vikatan.com",
+    allow_cookies: 1,
+    cs_dompurify: 1
+  },
+  "Vogue Business": {
+    domain: "voguebusiness.com",
+    block_regex: /\.voguebusiness\.com\/journey\/compiler\/build-.+\.js/,
+    remove_cookies_select_drop: ["userId"]
+  },
+  "Vox": {
+    domain: "vox.com",
+    allow_cookies: 1,
+    block_regex: /\.zephr\.com\/zephr-browser\//
+  },
+  "Washington Examiner": {
+    domain: "washingtonexaminer.com",
+    allow_cookies: 1,
+    block_regex: /\.zephr\.com\/zephr-browser\//
+  },
+  "Winnipeg Free Press": {
+    domain: "winnipegfreepress.com",
+    allow_cookies: 1,
+    block_regex: /(\.winnipegfreepress\.com\/(api\/v\d\/auth\/identify|.+\/gdpr\.js)|\.cxense\.com\/)/
+  },
+  "Wonderzine": {
+    domain: "wonderzine.com",
+    allow_cookies: 1,
+    useragent: "facebookbot"
+  },
+  "ZeroHedge": {
+    domain: "zerohedge.com",
+    allow_cookies: 1,
+    cs_dompurify: 1
+  }
+};
@@ -0,0 +1,28 @@
+// Generated by tools/build-chunks.js from sites.js (do not edit)
+self.loadedSiteChunks = self.loadedSiteChunks || {};
+self.loadedSiteChunks["india"] = {
+  "India Today": {
+    domain: "indiatoday.in",
+    allow_cookies: 1,
+    block_regex: /\.ampproject\.org\/v0\/amp-access-.+\.js/
+  },
+  "Live Law": {
+    domain: "livelaw.in",
+    allow_cookies: 1
+  },
+  "The Economic Times (ET Prime)": {
+    domain: "###_economictimes",
+    group: ["economictimes.com", "economictimes.indiatimes.com"],
+    include_paths: ["economictimes.com/|", "economictimes.com/__assets", "economictimes.com/prime", "economictimes.com/*.cms"],
+    allow_cookies: 1,
+    useragent: "googlebot",
+    useragent_include_paths: ["/*.cms"],
+    cs_dompurify: 1
+  },
+  "Times of India": {
+    domain: "###_timesofindia",
+    group: ["epaper.indiatimes.com", "timesofindia.indiatimes.com"],
+    allow_cookies: 1,
+    cs_dompurify: 1
+  }
+};
@@ -0,0 +1,67 @@
+// Generated by tools/build-chunks.js from sites.js (do not edit)
+self.loadedSiteChunks = self.loadedSiteChunks || {};
+self.loadedSiteChunks["oceania"] = {
+  "Australia News Corp": {
+    domain: "###_au_news_corp",
+    group: ["adelaidenow.com.au", "cairnspost.com.au", "codesports.com.au", "couriermail.com.au", "dailytelegraph.com.au", "geelongadvertiser.com.au", "goldcoastbulletin.com.au", "heraldsun.com.au", "theaustralian.com.au", "thechronicle.com.au", "themercury.com.au", "townsvillebulletin.com.au", "weeklytimesnow.com.au"],
+    exclude_paths: ["todayspaper.{domain}"],
+    allow_cookies: 1,
+    block_regex: /\.ampproject\.org\/v0\/amp-subscriptions-.+\.js/
+  },
+  "Australia Nine Entertainment": {
+    domain: "###_au_nine_ent",
+    group: ["afr.com", "brisbanetimes.com.au", "smh.com.au", "theage.com.au", "watoday.com.au"],
+    allow_cookies: 1,
+    block_regex: /(\.piano\.io\/xbuilder\/experience\/execute|\.cxense\.com\/|\.ampproject\.org\/v0\/amp-subscriptions-.+\.js)/,
+    exception: [
+      {
+        domain: "afr.com",
+        allow_cookies: 1,
+        block_regex: /(\.afr\.com\/assets\/StandardArticleTemplate\..+\.chunk\.js|\.tinypass\.com\/)/,
+        cs_dompurify: 1
+      }
+    ]
+  },
+  "Forbes Australia": {
+    domain: "forbes.com.au",
+    remove_cookies_select_drop: ["blaize_session"],
+    cs_dompurify: 1
+  },
+  "InvestSmart": {
+    domain: "###_au_investsmart",
+    group: ["intelligentinvestor.com.au", "investsmart.com.au"],
+    allow_cookies: 1,
+    useragent: "googlebot"
+  },
+  "MacroBusiness.com.au": {
+    domain: "macrobusiness.com.au",
+    allow_cookies: 1,
+    cs_dompurify: 1
+  },
+  "New Zealand Herald": {
+    domain: "nzherald.co.nz",
+    allow_cookies: 1,
+    block_regex: /\.nzherald\.co\.nz\/sales\/public\/v\d\/entitlements/
+  },
+  "Private Media AU": {
+    domain: "###_au_private_media",
+    group: ["crikey.com.au", "inc-aus.com", "smartcompany.com.au", "themandarin.com.au"],
+    block_regex: "\\.{domain}\\/zephr\\/feature",
+    remove_cookies_select_drop: ["blaize_session"],
+    exception: [
+      {
+        domain: "themandarin.com.au",
+        allow_cookies: 1,
+        cs_dompurify: 1
+      }
+    ]
+  },
+  "The Saturday Paper": {
+    domain: "thesaturdaypaper.com.au",
+    block_regex: /\.thesaturdaypaper\.com\.au\/sites\/all\/modules\/custom\/node_meter\/pw\.js/
+  },
+  "The Spectator Australia": {
+    domain: "spectator.com.au",
+    useragent: "googlebot"
+  }
+};
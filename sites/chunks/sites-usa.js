@@ -0,0 +1,109 @@
+// Generated by tools/build-chunks.js from sites.js (do not edit)
+self.loadedSiteChunks = self.loadedSiteChunks || {};
+self.loadedSiteChunks["usa"] = {
+  "Advance Local": {
+    domain: "###_usa_adv_local",
+    group: ["al.com", "cleveland.com", "lehighvalleylive.com", "masslive.com", "mlive.com", "nj.com", "oregonlive.com", "pennlive.com", "silive.com", "syracuse.com"],
+    allow_cookies: 1,
+    block_regex: /\.sophi\.io\//,
+    cs_dompurify: 1
+  },
+  "California Business Journals": {
+    domain: "###_usa_cbj",
+    group: ["labusinessjournal.com", "ocbj.com", "sdbj.com", "sfvbj.com"],
+    allow_cookies: 1,
+    block_regex: /\/olytics\.omeda\.com\//
+  },
+  "Condé Nast magazines": {
+    domain: "###_usa_conde_nast",
+    group: ["architecturaldigest.com", "bonappetit.com", "cntraveler.com", "epicurious.com", "gq.com", "newyorker.com", "vanityfair.com", "vogue.co.uk", "vogue.com", "wired.com"],
+    allow_cookies: 1,
+    block_regex: "\\.{domain}\\/journey\\/compiler\\/build-.+\\.js"
+  },
+  "Crain Communications": {
+    domain: "###_usa_craincomm",
+    group: ["360dx.com", "adage.com", "autonews.com", "chicagobusiness.com", "crainscleveland.com", "crainsdetroit.com", "crainsgrandrapids.com", "crainsnewyork.com", "european-rubber-journal.com", "genomeweb.com", "modernhealthcare.com", "pionline.com", "plasticsnews.com", "precisionmedicineonline.com", "rubbernews.com", "sustainableplastics.com", "tirebusiness.com", "utech-polyurethane.com"],
+    allow_cookies: 1,
+    block_regex: "(js\\.pelcro\\.com\\/|{domain}\\/profiles\\/.+\\/crain_pelcro_user\\.js)",
+    exception: [
+      {
+        domain: "autonews.com",
+        allow_cookies: 1,
+        useragent: "googlebot"
+      },
+      {
+        domain: "european-rubber-journal.com",
+        allow_cookies: 1
+      },
+      {
+        domain: ["pionline.com", "rubbernews.com"],
+        allow_cookies: 1,
+        block_regex: /(js\.pelcro\.com\/|\.com\/sites\/.+\/js_.+\.js)/
+      }
+    ]
+  },
+  "Digiday Media": {
+    domain: "###_usa_digiday",
+    group: ["digiday.com", "glossy.co", "modernretail.co"],
+    allow_cookies: 1,
+    block_regex: /\.tinypass\.com\//
+  },
+  "Hearst Communications magazines": {
+    domain: "###_usa_hearst_comm_mag",
+    group: ["bicycling.com", "cosmopolitan.com", "countryliving.com", "delish.com", "elle.com", "elledecor.com", "esquire.com", "goodhousekeeping.com", "harpersbazaar.com", "housebeautiful.com", "menshealth.com", "oprahdaily.com", "popularmechanics.com", "prevention.com", "roadandtrack.com", "runnersworld.com", "townandcountrymag.com", "womenshealthmag.com"],
+    exclude_paths: ["classic.esquire.com"],
+    allow_cookies: 1,
+    block_regex: /(\.com\/_assets\/jam\/|\.ensighten\.com\/.+\/Bootstrap\.js)/
+  },
+  "Nautilus": {
+    domain: "nautil.us",
+    remove_cookies_select_drop: ["arc", "sfa"]
+  },
+  "New York Magazine (+ Curbed, Grub Street, The Cut & Vulture)": {
+    domain: "###_usa_nymag",
+    group: ["curbed.com", "grubstreet.com", "nymag.com", "thecut.com", "vulture.com"],
+    block_regex: /\.cloudfront\.net\/embed\/widget\/subx.+\.js/,
+    remove_cookies_select_drop: ["nymcid", "first-nymcid"]
+  },
+  "Outside magazines": {
+    domain: "###_usa_outside_mag",
+    group: ["backpacker.com", "betamtb.com", "betternutrition.com", "cleaneatingmag.com", "climbing.com", "outsideonline.com", "oxygenmag.com", "skimag.com", "trailrunnermag.com", "triathlete.com", "vegetariantimes.com", "womensrunning.com", "yogajournal.com"],
+    allow_cookies: 1,
+    block_regex: /\.tinypass\.com\//
+  },
+  "Penske Media Corporation": {
+    domain: "###_usa_penske_media",
+    allow_cookies: 1,
+    group: ["billboard.com", "rollingstone.com", "sourcingjournal.com", "sportico.com", "variety.com", "wwd.com"],
+    block_regex: /(\.tinypass\.com\/|\.cxense\.com\/|\.ampproject\.org\/v0\/amp-(access|subscriptions)-.+\.js)/
+  },
+  "TechTarget Group": {
+    domain: "###_usa_techtarget",
+    allow_cookies: 1,
+    group: ["computerweekly.com", "lemagit.fr", "techtarget.com"]
+  },
+  "The (New Orleans) Advocate": {
+    domain: "###_usa_theadvocate",
+    group: ["nola.com", "theadvocate.com"],
+    allow_cookies: 1,
+    block_regex: "(\\.{domain}\\/(script|.+\\/tncms\\/api\\/access\\..+)\\.js|\\.townnews\\.com\\/.+\\/engage\\.min\\.js)"
+  },
+  "The Chronicle of Higher Education (& Philanthropy)": {
+    domain: "###_usa_chronicle",
+    group: ["chronicle.com", "philanthropy.com"],
+    allow_cookies: 1,
+    block_regex: "\\.{domain}\\/script\\.js"
+  },
+  "The Juggernaut": {
+    domain: "###_usa_thejuggernaut",
+    group: ["thejuggernaut.com", "jgnt.co"],
+    allow_cookies: 1
+  },
+  "Tribune Publishing Company": {
+    domain: "###_usa_tribune",
+    group: ["baltimoresun.com", "capitalgazette.com", "chicagotribune.com", "courant.com", "dailypress.com", "mcall.com", "nydailynews.com", "orlandosentinel.com", "pilotonline.com", "sun-sentinel.com"],
+    allow_cookies: 1,
+    block_regex: "(\\.{domain}\\/(script|.+\\/loader-wp\\/static\\/loader\\.min)\\.js)",
+    cs_dompurify: 1
+  }
+};
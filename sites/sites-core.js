@@ -0,0 +1,2464 @@
+// Generated by tools/build-chunks.js from sites.js (do not edit)
+// sites with chunk: rules loaded by chunkLoader
+var defaultSites = {
+  "* BPC settings": {
+    domain: "###"
+  },
+  "Show options on update": {
+    domain: "#options_on_update"
+  },
+  "Enable new sites by default": {
+    domain: "#options_enable_new_sites"
+  },
+  "Check for update rules at startup": {
+    domain: "#options_optin_update_rules"
+  },
+  "* Default sites": {
+    domain: "###"
+  },
+  "60 Millions de consommateurs": {
+    domain: "60millions-mag.com",
+    chunk: "global"
+  },
+  "Aachener Zeitung (fetch from archive.is)": {
+    domain: "aachener-zeitung.de",
+    chunk: "europe"
+  },
+  "Advance Local": {
+    domain: "###_usa_adv_local",
+    group: ["al.com", "cleveland.com", "lehighvalleylive.com", "masslive.com", "mlive.com", "nj.com", "oregonlive.com", "pennlive.com", "silive.com", "syracuse.com"],
+    chunk: "usa"
+  },
+  "Adweek": {
+    domain: "adweek.com",
+    chunk: "global"
+  },
+  "Agefi.fr": {
+    domain: "agefi.fr",
+    chunk: "europe"
+  },
+  "Albuquerque Journal": {
+    domain: "abqjournal.com",
+    chunk: "global"
+  },
+  "Algemeen Dagblad (+ regional/ADR; fetch from archive.is)": {
+    domain: "###_nl_dpg_adr",
+    group: ["ad.nl", "bd.nl", "bndestem.nl", "destentor.nl", "ed.nl", "gelderlander.nl", "pzc.nl", "tubantia.nl"],
+    chunk: "europe"
+  },
+  "Alternatives Economiques": {
+    domain: "alternatives-economiques.fr",
+    chunk: "europe"
+  },
+  "Ámbito": {
+    domain: "ambito.com",
+    chunk: "global"
+  },
+  "America's Test Kitchen": {
+    domain: "americastestkitchen.com",
+    chunk: "global"
+  },
+  "American Affairs": {
+    domain: "americanaffairsjournal.org",
+    chunk: "global"
+  },
+  "American Banker (+ Arizent/opt-in to custom sites)": {
+    domain: "americanbanker.com",
+    allow_cookies: 1,
+    block_regex: /\.tinypass\.com\//
+  },
+  "American Purpose": {
+    domain: "americanpurpose.com",
+    chunk: "global"
+  },
+  "Apollo Magazine": {
+    domain: "apollo-magazine.com",
+    chunk: "global"
+  },
+  "ARA": {
+    domain: "###_cat_ara",
+    group: ["ara.cat", "arabalears.cat"],
+    chunk: "europe"
+  },
+  "Artforum": {
+    domain: "artforum.com",
+    chunk: "global"
+  },
+  "Artnet": {
+    domain: "artnet.com",
+    chunk: "global"
+  },
+  "Ärzte Zeitung": {
+    domain: "aerztezeitung.de",
+    chunk: "europe"
+  },
+  "Atavist Magazine": {
+    domain: "atavist.com",
+    chunk: "global"
+  },
+  "Atlantico.fr": {
+    domain: "atlantico.fr",
+    chunk: "europe"
+  },
+  "Augsburger Allgemeine": {
+    domain: "augsburger-allgemeine.de",
+    chunk: "europe"
+  },
+  "Australia News Corp": {
+    domain: "###_au_news_corp",
+    group: ["adelaidenow.com.au", "cairnspost.com.au", "codesports.com.au", "couriermail.com.au", "dailytelegraph.com.au", "geelongadvertiser.com.au", "goldcoastbulletin.com.au", "heraldsun.com.au", "theaustralian.com.au", "thechronicle.com.au", "themercury.com.au", "townsvillebulletin.com.au", "weeklytimesnow.com.au"],
+    exclude_paths: ["todayspaper.{domain}"],
+    chunk: "oceania"
+  },
+  "Australian Community Media (opt-in to custom sites for unlisted)": {
+    domain: "###_au_comm_media",
+    group: ["bendigoadvertiser.com.au", "bordermail.com.au", "canberratimes.com.au", "centralwesterndaily.com.au", "dailyadvertiser.com.au", "dailyliberal.com.au", "examiner.com.au", "illawarramercury.com.au", "newcastleherald.com.au", "northerndailyleader.com.au", "standard.net.au", "theadvocate.com.au", "thecourier.com.au", "westernadvocate.com.au"],
+    allow_cookies: 1,
+    block_regex: /\.piano\.io\//
+  },
+  "Australia Nine Entertainment": {
+    domain: "###_au_nine_ent",
+    group: ["afr.com", "brisbanetimes.com.au", "smh.com.au", "theage.com.au", "watoday.com.au"],
+    chunk: "oceania"
+  },
+  "Autocar.co.uk": {
+    domain: "autocar.co.uk",
+    chunk: "europe"
+  },
+  "AutoHebdo.fr": {
+    domain: "autohebdo.fr",
+    include_paths: ["www.autohebdo.fr"],
+    chunk: "europe"
+  },
+  "Automobilwoche": {
+    domain: "automobilwoche.de",
+    chunk: "europe"
+  },
+  "AutoPlus.fr": {
+    domain: "autoplus.fr",
+    chunk: "europe"
+  },
+  "Autosport (free articles only)": {
+    domain: "autosport.com",
+    chunk: "global"
+  },
+  "Axios": {
+    domain: "axios.com",
+    chunk: "global"
+  },
+  "Balkan Insight": {
+    domain: "balkaninsight.com",
+    chunk: "global"
+  },
+  "Bar and Bench": {
+    domain: "barandbench.com",
+    chunk: "global"
+  },
+  "Barron's": {
+    domain: "barrons.com",
+    chunk: "global"
+  },
+  "BBC History Extra": {
+    domain: "historyextra.com",
+    chunk: "global"
+  },
+  "Belfast Telegraph": {
+    domain: "belfasttelegraph.co.uk",
+    chunk: "europe"
+  },
+  "Benzinga": {
+    domain: "benzinga.com",
+    chunk: "global"
+  },
+  "Berliner Zeitung": {
+    domain: "berliner-zeitung.de",
+    chunk: "europe"
+  },
+  "Berlingske": {
+    domain: "berlingske.dk",
+    chunk: "europe"
+  },
+  "Bloomberg": {
+    domain: "bloomberg.com",
+    exclude_paths: ["/news/terminal/"],
+    chunk: "global"
+  },
+  "Bloomberg Adria": {
+    domain: "bloombergadria.com",
+    exclude_paths: ["/video/"],
+    chunk: "global"
+  },
+  "BNP Media (opt-in to custom sites)": {
+    domain: "###_usa_bnp_media",
+    allow_cookies: 1,
+    block_regex: /\/paywall\/evercookie_get\.js/
+  },
+  "Börsen-Zeitung": {
+    domain: "boersen-zeitung.de",
+    chunk: "europe"
+  },
+  "Bridge Tower Media (opt-in to custom sites)": {
+    domain: "###_usa_bridge_tower",
+    group: [],
+    allow_cookies: 1,
+    block_regex: "\\.{domain}\\/script\\.js"
+  },
+  "Bulletin of the Atomic Scientists": {
+    domain: "thebulletin.org",
+    chunk: "global"
+  },
+  "BusinessAM.be": {
+    domain: "businessam.be",
+    chunk: "europe"
+  },
+  "Business Insider": {
+    domain: "businessinsider.com",
+    chunk: "global"
+  },
+  "Business Insider Japan": {
+    domain: "businessinsider.jp",
+    chunk: "asia"
+  },
+  "Business Insider Nederland": {
+    domain: "businessinsider.nl",
+    chunk: "europe"
+  },
+  "Business Post.ie": {
+    domain: "businesspost.ie",
+    chunk: "europe"
+  },
+  "Business Standard": {
+    domain: "business-standard.com",
+    chunk: "global"
+  },
+  "California Business Journals": {
+    domain: "###_usa_cbj",
+    group: ["labusinessjournal.com", "ocbj.com", "sdbj.com", "sfvbj.com"],
+    chunk: "usa"
+  },
+  "Cambio Colombia": {
+    domain: "cambiocolombia.com",
+    chunk: "global"
+  },
+  "Capital.bg": {
+    domain: "capital.bg",
+    chunk: "europe"
+  },
+  "Capital.fr": {
+    domain: "capital.fr",
+    chunk: "europe"
+  },
+  "CartaCapital": {
+    domain: "cartacapital.com.br",
+    chunk: "americas"
+  },
+  "Causeur": {
+    domain: "causeur.fr",
+    chunk: "europe"
+  },
+  "CH Media (opt-in to custom sites for unlisted)": {
+    domain: "###_ch_media",
+    group: ["aargauerzeitung.ch", "luzernerzeitung.ch", "tagblatt.ch"],
+    exclude_paths: ["epaper.{domain}"],
+    allow_cookies: 1,
+    block_regex: /\.zephr\.com\/zephr-browser\//,
+    useragent: "googlebot"
+  },
+  "Challenges": {
+    domain: "challenges.fr",
+    chunk: "europe"
+  },
+  "Charlie Hebdo": {
+    domain: "charliehebdo.fr",
+    chunk: "europe"
+  },
+  "Chemical & Engineering News": {
+    domain: "cen.acs.org",
+    chunk: "global"
+  },
+  "Cicero.de": {
+    domain: "cicero.de",
+    chunk: "europe"
+  },
+  "CNBC (news only)": {
+    domain: "cnbc.com",
+    chunk: "global"
+  },
+  "CNHI Group (opt-in to custom sites)": {
+    domain: "###_usa_cnhi",
+    group: [],
+    allow_cookies: 1,
+    block_regex: /\.newsmemory\.com\/\?meter/
+  },
+  "CNN": {
+    domain: "cnn.com",
+    chunk: "global"
+  },
+  "Commentary Magazine": {
+    domain: "commentary.org",
+    chunk: "global"
+  },
+  "CommonWealth Magazine Taiwan (free articles only)": {
+    domain: "cw.com.tw",
+    chunk: "asia"
+  },
+  "Condé Nast magazines": {
+    domain: "###_usa_conde_nast",
+    group: ["architecturaldigest.com", "bonappetit.com", "cntraveler.com", "epicurious.com", "gq.com", "newyorker.com", "vanityfair.com", "vogue.co.uk", "vogue.com", "wired.com"],
+    chunk: "usa"
+  },
+  "Connaissance des Arts": {
+    domain: "connaissancedesarts.com",
+    chunk: "global"
+  },
+  "Correio do Povo": {
+    domain: "correiodopovo.com.br",
+    chunk: "americas"
+  },
+  "Corriere della Sera": {
+    domain: "corriere.it",
+    chunk: "europe"
+  },
+  "Corriere dello Sport": {
+    domain: "corrieredellosport.it",
+    chunk: "europe"
+  },
+  "Cosmopolitan.fr": {
+    domain: "cosmopolitan.fr",
+    chunk: "europe"
+  },
+  "Courrier international (fetch from archive.is)": {
+    domain: "courrierinternational.com",
+    chunk: "global"
+  },
+  "Crain Communications": {
+    domain: "###_usa_craincomm",
+    group: ["360dx.com", "adage.com", "autonews.com", "chicagobusiness.com", "crainscleveland.com", "crainsdetroit.com", "crainsgrandrapids.com", "crainsnewyork.com", "european-rubber-journal.com", "genomeweb.com", "modernhealthcare.com", "pionline.com", "plasticsnews.com", "precisionmedicineonline.com", "rubbernews.com", "sustainableplastics.com", "tirebusiness.com", "utech-polyurethane.com"],
+    chunk: "usa"
+  },
+  "Crusoe.com.br": {
+    domain: "crusoe.com.br",
+    chunk: "americas"
+  },
+  "Dagens ETC": {
+    domain: "etc.se",
+    chunk: "europe"
+  },
+  "CyclingNews": {
+    domain: "cyclingnews.com",
+    chunk: "global"
+  },
+  "Dagens Medicin": {
+    domain: "dagensmedicin.se",
+    chunk: "europe"
+  },
+  "Dagsavisen.no": {
+    domain: "dagsavisen.no",
+    chunk: "europe"
+  },
+  "Daily Mail Group UK": {
+    domain: "###_uk_dmg_media",
+    group: ["dailymail.co.uk", "mailonsunday.co.uk", "thisismoney.co.uk"],
+    chunk: "europe"
+  },
+  "De Limburger (fetch from archive.is)": {
+    domain: "limburger.nl",
+    chunk: "europe"
+  },
+  "De Tijd": {
+    domain: "tijd.be",
+    chunk: "europe"
+  },
+  "Decanter (not reviews)": {
+    domain: "decanter.com",
+    chunk: "global"
+  },
+  "Defector": {
+    domain: "defector.com",
+    chunk: "global"
+  },
+  "Der Freitag": {
+    domain: "freitag.de",
+    chunk: "europe"
+  },
+  "Der Spiegel (fetch from archive.is)": {
+    domain: "spiegel.de",
+    chunk: "europe"
+  },
+  "Der Tagesspiegel (fetch from archive.is; not background/checkpoint)": {
+    domain: "tagesspiegel.de",
+    exclude_paths: ["background.tagesspiegel.de", "checkpoint.tagesspiegel.de"],
+    chunk: "europe"
+  },
+  "Deutscher Fachverlag Mediengruppe (opt-in to custom sites)": {
+    domain: "###_de_dfv_medien",
+    group: [],
+    allow_cookies: 1,
+    useragent: "googlebot",
+    cs_code: [
+      {
+        cond: "div.Ad",
+        rm_elem: 1
+      }
+    ]
+  },
+  "Diario Financiero (df.cl)": {
+    domain: "df.cl",
+    chunk: "americas"
+  },
+  "Die Rheinpfalz": {
+    domain: "rheinpfalz.de",
+    chunk: "europe"
+  },
+  "Die Zeit (fetch from archive.is)": {
+    domain: "zeit.de",
+    chunk: "europe"
+  },
+  "Digiday Media": {
+    domain: "###_usa_digiday",
+    group: ["digiday.com", "glossy.co", "modernretail.co"],
+    chunk: "usa"
+  },
+  "DigiTimes Asia": {
+    domain: "digitimes.com",
+    chunk: "global"
+  },
+  "Discover Magazine": {
+    domain: "discovermagazine.com",
+    chunk: "global"
+  },
+  "DK Medier Group (opt-in to custom sites)": {
+    domain: "###_dk_medier",
+    group: [],
+    allow_cookies: 1,
+    useragent: "googlebot"
+  },
+  "DN Media Group": {
+    domain: "###_no_dn_media",
+    group: ["dn.no", "europower.no", "fiskeribladet.no", "hydrogeninsight.com", "intrafish.com", "intrafish.no", "rechargenews.com", "tradewindsnews.com", "upstreamonline.com"],
+    chunk: "europe"
+  },
+  "Dnevnik.bg": {
+    domain: "dnevnik.bg",
+    chunk: "europe"
+  },
+  "Domani": {
+    domain: "editorialedomani.it",
+    chunk: "europe"
+  },
+  "Doorbraak.be": {
+    domain: "doorbraak.be",
+    chunk: "europe"
+  },
+  "DPG Media (not ADR)": {
+    domain: "###_nl_dpg_media",
+    group: ["demorgen.be", "flair.nl", "humo.be", "libelle.nl", "margriet.nl", "parool.nl", "trouw.nl", "volkskrant.nl"],
+    chunk: "europe"
+  },
+  "DVV Media International (opt-in to custom sites)": {
+    domain: "###_uk_dvv_media",
+    group: [],
+    remove_cookies_select_drop: ["AnonUserCookie"],
+    block_regex: /\/wp-json\/api\/v\d\/has-access/,
+    exception: [
+      {
+        domain: "railwaygazette.com",
+        allow_cookies: 1,
+        useragent: "googlebot"
+      }
+    ]
+  },
+  "Dwell": {
+    domain: "dwell.com",
+    chunk: "global"
+  },
+  "Eastwest.eu": {
+    domain: "eastwest.eu",
+    chunk: "europe"
+  },
+  "El Confidencial": {
+    domain: "elconfidencial.com",
+    chunk: "global"
+  },
+  "El Cronista": {
+    domain: "cronista.com",
+    chunk: "global"
+  },
+  "El Deber.com.bo": {
+    domain: "eldeber.com.bo",
+    chunk: "global"
+  },
+  "El Diario.es": {
+    domain: "eldiario.es",
+    chunk: "europe"
+  },
+  "El Español": {
+    domain: "elespanol.com",
+    chunk: "global"
+  },
+  "El Espectador": {
+    domain: "elespectador.com",
+    chunk: "global"
+  },
+  "El Mercurio (not Inversiones/Legal; + regional/opt-in to custom sites)": {
+    domain: "elmercurio.com",
+    group: ["elmercurio.com"],
+    block_regex: "(\\.{domain}\\/impresa\\/.+\\/assets\\/(vendor|\\d)\\.js|pram\\.pasedigital\\.cl\\/API\\/User\\/Status\\?)",
+    exception: [
+      {
+        domain: "elmercurio.com",
+        allow_cookies: 1,
+        block_regex: /\.(elmercurio\.com|emol\.cl)\/(.+\/)?js\/(.+\/)?(modal|merPramV\d|PramModal\.min)\.js/,
+        useragent: "googlebot"
+      }
+    ]
+  },
+  "El Observador.com.uy": {
+    domain: "elobservador.com.uy",
+    chunk: "americas"
+  },
+  "El País": {
+    domain: "elpais.com",
+    chunk: "global"
+  },
+  "El País.com.uy": {
+    domain: "elpais.com.uy",
+    chunk: "americas"
+  },
+  "El Tiempo": {
+    domain: "eltiempo.com",
+    chunk: "global"
+  },
+  "El Tribuno": {
+    domain: "eltribuno.com",
+    chunk: "global"
+  },
+  "Elle.fr": {
+    domain: "elle.fr",
+    chunk: "europe"
+  },
+  "Encyclopedia Britannica": {
+    domain: "britannica.com",
+    chunk: "global"
+  },
+  "eNotes": {
+    domain: "enotes.com",
+    chunk: "global"
+  },
+  "ESPN USA (news only; fetch from archive.is)": {
+    domain: "espn.com",
+    exclude_paths: ["/watch"],
+    chunk: "global"
+  },
+  "Esprit": {
+    domain: "esprit.presse.fr",
+    chunk: "europe"
+  },
+  "Estado de Minas": {
+    domain: "em.com.br",
+    chunk: "americas"
+  },
+  "EUobserver": {
+    domain: "euobserver.com",
+    chunk: "global"
+  },
+  "Evening Standard (UK)": {
+    domain: "standard.co.uk",
+    chunk: "europe"
+  },
+  "Exame": {
+    domain: "exame.com",
+    chunk: "global"
+  },
+  "Expresso.pt (not Tribuna)": {
+    domain: "expresso.pt",
+    exclude_paths: ["tribuna.expresso.pt"],
+    chunk: "europe"
+  },
+  "Fast Company": {
+    domain: "fastcompany.com",
+    chunk: "global"
+  },
+  "Field & Stream": {
+    domain: "fieldandstream.com",
+    chunk: "global"
+  },
+  "Financial News (London; fetch from archive.is)": {
+    domain: "fnlondon.com",
+    chunk: "global"
+  },
+  "Financial Times (not cn subdomain)": {
+    domain: "ft.com",
+    exclude_paths: ["cn.ft.com"],
+    chunk: "global"
+  },
+  "First Things": {
+    domain: "firstthings.com",
+    chunk: "global"
+  },
+  "Follow the Money (ftm.nl & ftm.eu)": {
+    domain: "###_nl_eu_ftm",
+    group: ["ftm.eu", "ftm.nl"],
+    chunk: "europe"
+  },
+  "Forbes (not newsletters)": {
+    domain: "forbes.com",
+    chunk: "global"
+  },
+  "Forbes Australia": {
+    domain: "forbes.com.au",
+    chunk: "oceania"
+  },
+  "Forbes.ua (text only)": {
+    domain: "forbes.ua",
+    chunk: "europe"
+  },
+  "Foreign Affairs (not reader)": {
+    domain: "foreignaffairs.com",
+    exclude_paths: ["reader.foreignaffairs.com"],
+    chunk: "global"
+  },
+  "Foreign Policy": {
+    domain: "foreignpolicy.com",
+    chunk: "global"
+  },
+  "Fortune": {
+    domain: "fortune.com",
+    chunk: "global"
+  },
+  "Forum Communications (opt-in to custom sites)": {
+    domain: "###_usa_forum_comm",
+    group: [],
+    allow_cookies: 1,
+    block_regex: /loader-cdn\.azureedge\.net\//
+  },
+  "Fox News (regwall)": {
+    domain: "foxnews.com",
+    chunk: "global"
+  },
+  "Frankfurter Allgemeine Zeitung": {
+    domain: "faz.net",
+    chunk: "global"
+  },
+  "Funke Mediengruppe (fetch from archive.is)": {
+    domain: "###_de_funke_medien",
+    group: ["abendblatt.de", "braunschweiger-zeitung.de", "ikz-online.de", "morgenpost.de", "nrz.de", "otz.de", "thueringer-allgemeine.de", "tlz.de", "waz.de", "wp.de", "wr.de"],
+    chunk: "europe"
+  },
+  "Gannett Group (local USA Today; opt-in to custom sites for unlisted)": {
+    domain: "###_usa_gannett",
+    group: ["azcentral.com", "cincinnati.com", "commercialappeal.com", "courier-journal.com", "democratandchronicle.com", "desmoinesregister.com", "detroitnews.com", "dispatch.com", "freep.com", "indystar.com", "jacksonville.com", "jsonline.com", "knoxnews.com", "news-press.com", "northjersey.com", "oklahoman.com", "statesman.com", "tennessean.com"],
+    allow_cookies: 1,
+    amp_unhide: 1,
+    block_regex: /\.ampproject\.org\/v0\/amp-access-.+\.js/,
+    useragent: "googlebot"
+  },
+  "GaúchaZH": {
+    domain: "gauchazh.clicrbs.com.br",
+    chunk: "americas"
+  },
+  "Gazeta do Povo": {
+    domain: "gazetadopovo.com.br",
+    chunk: "americas"
+  },
+  "GB News": {
+    domain: "gbnews.com",
+    chunk: "global"
+  },
+  "Glassdoor (regwall)": {
+    domain: "glassdoor.com",
+    chunk: "global"
+  },
+  "Globes": {
+    domain: "globes.co.il",
+    chunk: "asia"
+  },
+  "Golem.de": {
+    domain: "golem.de",
+    chunk: "europe"
+  },
+  "Granta Magazine": {
+    domain: "granta.com",
+    chunk: "global"
+  },
+  "GremiMedia.pl Group": {
+    domain: "###_pl_gremi_media",
+    group: ["parkiet.com", "rp.pl"],
+    chunk: "europe"
+  },
+  "Groene Amsterdammer": {
+    domain: "groene.nl",
+    chunk: "europe"
+  },
+  "Groupe Capitales Médias (+ regional/opt-in to custom sites)": {
+    domain: "###_ca_gcm",
+    group: ["lesoleil.com"],
+    allow_cookies: 1,
+    block_regex: /\.poool\.fr\//
+  },
+  "Groupe Centre France (opt-in to custom sites for unlisted)": {
+    domain: "###_fr_gcf",
+    group: ["lamontagne.fr"],
+    allow_cookies: 1,
+    block_regex: /\.poool\.fr\//
+  },
+  "Groupe ESH Médias": {
+    domain: "###_ch_esh_medias",
+    group: ["arcinfo.ch", "lacote.ch", "lenouvelliste.ch"],
+    chunk: "europe"
+  },
+  "Groupe Infopro Digital (opt-in to custom sites for unlisted)": {
+    domain: "###_fr_groupe_infopro",
+    group: ["usinenouvelle.com"],
+    allow_cookies: 1,
+    useragent: "googlebot"
+  },
+  "Groupe IPM": {
+    domain: "###_be_groupe_ipm",
+    group: ["dhnet.be", "lalibre.be", "lavenir.net"],
+    chunk: "europe"
+  },
+  "Groupe La Dépêche": {
+    domain: "###_fr_groupe_la_depeche",
+    group: ["centrepresseaveyron.fr", "journaldemillau.fr", "ladepeche.fr", "lindependant.fr", "midilibre.fr", "nrpyrenees.fr", "petitbleu.fr", "rugbyrama.fr"],
+    chunk: "europe"
+  },
+  "Groupe Nice-Matin": {
+    domain: "###_fr_groupe_nice_matin",
+    group: ["monacomatin.mc", "nicematin.com", "varmatin.com"],
+    chunk: "europe"
+  },
+  "Groupe Profession Santé": {
+    domain: "###_fr_groupe_prof_sante",
+    group: ["lequotidiendumedecin.fr", "lequotidiendupharmacien.fr"],
+    chunk: "europe"
+  },
+  "Groupe Québecor": {
+    domain: "###_ca_groupe_quebecor",
+    group: ["journaldemontreal.com", "journaldequebec.com"],
+    chunk: "americas"
+  },
+  "Groupe Rossel": {
+    domain: "###_fr_be_groupe_rossel",
+    group: ["aisnenouvelle.fr", "courrier-picard.fr", "lardennais.fr", "lesoir.be", "lest-eclair.fr", "liberation-champagne.fr", "lunion.fr", "nordlittoral.fr", "paris-normandie.fr"],
+    chunk: "europe"
+  },
+  "Groupe Sud Ouest": {
+    domain: "###_fr_groupe_sud_ouest",
+    group: ["sudouest.fr", "charentelibre.fr", "larepubliquedespyrenees.fr"],
+    chunk: "europe"
+  },
+  "Groupe SynerJ Media (opt-in to custom sites)": {
+    domain: "###_fr_synerj",
+    group: [],
+    allow_cookies: 1,
+    ld_json_url: "div#encart_abo|div.article_bloc_texte",
+    useragent: "googlebot"
+  },
+  "Grupo Abril": {
+    domain: "abril.com.br",
+    chunk: "americas"
+  },
+  "Grupo Clarín": {
+    domain: "###_ar_grupo_clarin",
+    group: ["clarin.com", "lavoz.com.ar", "losandes.com.ar", "ole.com.ar"],
+    chunk: "americas"
+  },
+  "Grupo El Comercio": {
+    domain: "###_pe_grupo_elcomercio",
+    group: ["diariocorreo.pe", "elcomercio.pe", "gestion.pe"],
+    chunk: "americas"
+  },
+  "Grupo Prensa Ibérica (opt-in to custom sites for unlisted)": {
+    domain: "###_es_epiberica",
+    group: ["diariodemallorca.es", "eldia.es", "elperiodico.com", "epe.es", "farodevigo.es", "informacion.es", "laprovincia.es", "levante-emv.com", "lne.es", "mallorcazeitung.es", "superdeporte.es"],
+    allow_cookies: 1,
+    block_regex: /\.piano\.io\//
+  },
+  "Grupo Unidad Editorial": {
+    domain: "###_es_unidad",
+    group: ["elmundo.es", "expansion.com", "marca.com"],
+    chunk: "europe"
+  },
+  "Grupo Vocento": {
+    domain: "###_es_grupo_vocento",
+    group: ["abc.es", "canarias7.es", "diariosur.es", "diariovasco.com", "elcomercio.es", "elcorreo.com", "eldiariomontanes.es", "elnortedecastilla.es", "hoy.es", "ideal.es", "larioja.com", "lasprovincias.es", "laverdad.es", "lavozdigital.es"],
+    chunk: "europe"
+  },
+  "Gruppo GEDI.it (listed sites only)": {
+    domain: "###_it_gedi",
+    group: ["huffingtonpost.it", "italian.tech", "lastampa.it", "lescienze.it", "moda.it"],
+    chunk: "europe"
+  },
+  "Gruppo SAE.it (free articles only; opt-in to custom sites for unlisted)": {
+    domain: "###_it_gruppo_sae",
+    group: ["iltirreno.it", "lanuovasardegna.it"]
+  },
+  "Haaretz Group (fetch from archive.is)": {
+    domain: "###_il_haaretz_group",
+    group: ["haaretz.co.il", "haaretz.com", "themarker.com"],
+    chunk: "asia"
+  },
+  "Haas Mediengruppe (opt-in to custom sites for unlisted)": {
+    domain: "###_de_haas_medien",
+    group: ["mannheimer-morgen.de"],
+    allow_cookies: 1,
+    useragent: "googlebot"
+  },
+  "Handelsblatt": {
+    domain: "handelsblatt.com",
+    chunk: "global"
+  },
+  "Harper's Magazine": {
+    domain: "harpers.org",
+    chunk: "global"
+  },
+  "Harvard Business Review (do not block TinyPass-script externally)": {
+    domain: "hbr.org",
+    chunk: "global"
+  },
+  "Haymarket Media Group (opt-in to custom sites)": {
+    domain: "###_uk_haymarket",
+    group: [],
+    useragent: "googlebot"
+  },
+  "Haymarket Medical Network (opt-in to custom sites)": {
+    domain: "###_uk_haymarket_medical",
+    group: [],
+    allow_cookies: 1,
+    remove_cookies: 1,
+    cs_code: [
+      {
+        cond: "div#modal-register-popup, div.gating-banner",
+        rm_elem: 1
+      },
+      {
+        cond: "div[data-gated]",
+        rm_attrib: "data-gated"
+      }
+    ]
+  },
+  "Hearst Communications (newspapers; opt-in to custom sites for unlisted)": {
+    domain: "###_usa_hearst_comm",
+    group: ["ctpost.com", "expressnews.com", "houstonchronicle.com", "nhregister.com", "sfchronicle.com", "timesunion.com"],
+    allow_cookies: 1,
+    block_regex: "(\\.{domain}\\/script\\.js|\\.ensighten\\.com\\/|js\\.matheranalytics\\.com\\/)"
+  },
+  "Hearst Communications magazines": {
+    domain: "###_usa_hearst_comm_mag",
+    group: ["bicycling.com", "cosmopolitan.com", "countryliving.com", "delish.com", "elle.com", "elledecor.com", "esquire.com", "goodhousekeeping.com", "harpersbazaar.com", "housebeautiful.com", "menshealth.com", "oprahdaily.com", "popularmechanics.com", "prevention.com", "roadandtrack.com", "runnersworld.com", "townandcountrymag.com", "womenshealthmag.com"],
+    exclude_paths: ["classic.esquire.com"],
+    chunk: "usa"
+  },
+  "Heise online": {
+    domain: "heise.de",
+    chunk: "europe"
+  },
+  "Het Laatste Nieuws (fetch from archive.is)": {
+    domain: "hln.be",
+    chunk: "europe"
+  },
+  "Hindustan Times (not epaper)": {
+    domain: "hindustantimes.com",
+    exclude_paths: ["epaper.hindustantimes.com"],
+    chunk: "global"
+  },
+  "Honolulu Star-Advertiser": {
+    domain: "staradvertiser.com",
+    chunk: "global"
+  },
+  "Il Fatto Quotidiano": {
+    domain: "ilfattoquotidiano.it",
+    chunk: "europe"
+  },
+  "Il Foglio": {
+    domain: "ilfoglio.it",
+    chunk: "europe"
+  },
+  "Il Manifesto": {
+    domain: "ilmanifesto.it",
+    exclude_paths: ["/edizioni/"],
+    chunk: "europe"
+  },
+  "Il Messaggero (+ regional)": {
+    domain: "###_it_ilmessaggero",
+    group: ["corriereadriatico.it", "ilgazzettino.it", "ilmattino.it", "ilmessaggero.it", "quotidianodipuglia.it"],
+    chunk: "europe"
+  },
+  "Il Sole 24 Ore (24+ only)": {
+    domain: "ilsole24ore.com",
+    exclude_paths: ["ntplus*.ilsole24ore.com"],
+    chunk: "global"
+  },
+  "Inc.com": {
+    domain: "inc.com",
+    chunk: "global"
+  },
+  "Inc42": {
+    domain: "inc42.com",
+    chunk: "global"
+  },
+  "India Today": {
+    domain: "indiatoday.in",
+    chunk: "india"
+  },
+  "Industry Dive (opt-in to custom sites)": {
+    domain: "###_usa_industrydive",
+    group: [],
+    allow_cookies: 1,
+    block_regex: "\\.{domain}\\/static\\/js\\/dist\\/contentGate\\.bundle\\.js"
+  },
+  "iNews (UK)": {
+    domain: "inews.co.uk",
+    chunk: "europe"
+  },
+  "Initium Media": {
+    domain: "theinitium.com",
+    chunk: "global"
+  },
+  "Inkl": {
+    domain: "inkl.com",
+    chunk: "global"
+  },
+  "Inside Higher Ed": {
+    domain: "insidehighered.com",
+    chunk: "global"
+  },
+  "Inside Retail (opt-in to custom sites)": {
+    domain: "###_au_inside_retail",
+    group: [],
+    ld_json_url: "div#premium-box|div.article__text__holder|1"
+  },
+  "InvestSmart": {
+    domain: "###_au_investsmart",
+    group: ["intelligentinvestor.com.au", "investsmart.com.au"],
+    chunk: "oceania"
+  },
+  "Interesting Engineering": {
+    domain: "interestingengineering.com",
+    chunk: "global"
+  },
+  "Internazionale.it": {
+    domain: "internazionale.it",
+    chunk: "europe"
+  },
+  "Investors' Chronicle (UK)": {
+    domain: "investorschronicle.co.uk",
+    chunk: "europe"
+  },
+  "iPolitics.ca": {
+    domain: "ipolitics.ca",
+    chunk: "americas"
+  },
+  "Irish Independent": {
+    domain: "independent.ie",
+    chunk: "europe"
+  },
+  "Italia Oggi": {
+    domain: "italiaoggi.it",
+    chunk: "europe"
+  },
+  "Jacobin.de": {
+    domain: "jacobin.de",
+    chunk: "europe"
+  },
+  "Jazziz": {
+    domain: "jazziz.com",
+    chunk: "global"
+  },
+  "Jazzwise": {
+    domain: "jazzwise.com",
+    chunk: "global"
+  },
+  "Kölner Stadt-Anzeiger": {
+    domain: "ksta.de",
+    chunk: "europe"
+  },
+  "Kölnische Rundschau": {
+    domain: "rundschau-online.de",
+    chunk: "europe"
+  },
+  "Kompas.id": {
+    domain: "kompas.id",
+    chunk: "asia"
+  },
+  "Krautreporter.de": {
+    domain: "krautreporter.de",
+    chunk: "europe"
+  },
+  "Kurier.at": {
+    domain: "kurier.at",
+    chunk: "europe"
+  },
+  "L'Écho": {
+    domain: "lecho.be",
+    chunk: "europe"
+  },
+  "L'Express": {
+    domain: "lexpress.fr",
+    chunk: "europe"
+  },
+  "L'Informé": {
+    domain: "linforme.com",
+    chunk: "global"
+  },
+  "L'Oeil de la Photographie": {
+    domain: "loeildelaphotographie.com",
+    chunk: "global"
+  },
+  "L'Opinion (not Le Journal)": {
+    domain: "lopinion.fr",
+    exclude_paths: ["/lejournal"],
+    chunk: "europe"
+  },
+  "La Croix": {
+    domain: "la-croix.com",
+    chunk: "global"
+  },
+  "La Diaria.com.uy": {
+    domain: "ladiaria.com.uy",
+    chunk: "americas"
+  },
+  "La Gazzetta dello Sport (text only)": {
+    domain: "gazzetta.it",
+    chunk: "europe"
+  },
+  "La Nación (free articles only)": {
+    domain: "lanacion.com.ar",
+    chunk: "americas"
+  },
+  "La Nouvelle République du Centre-Ouest": {
+    domain: "lanouvellerepublique.fr",
+    chunk: "europe"
+  },
+  "La Tercera": {
+    domain: "latercera.com",
+    chunk: "global"
+  },
+  "La Tribune": {
+    domain: "latribune.fr",
+    chunk: "europe"
+  },
+  "La Vanguardia": {
+    domain: "lavanguardia.com",
+    chunk: "global"
+  },
+  "Landwirtschaftsverlag": {
+    domain: "###_de_lv",
+    group: ["profi.de", "topagrar.com", "wochenblatt.com"],
+    chunk: "europe"
+  },
+  "Las Vegas Review-Journal": {
+    domain: "reviewjournal.com",
+    chunk: "global"
+  },
+  "Law.com (free articles only)": {
+    domain: "law.com",
+    chunk: "global"
+  },
+  "Le Courrier des Stratèges": {
+    domain: "lecourrierdesstrateges.fr",
+    chunk: "europe"
+  },
+  "Le Devoir": {
+    domain: "ledevoir.com",
+    chunk: "global"
+  },
+  "Le Grand Continent": {
+    domain: "legrandcontinent.eu",
+    chunk: "europe"
+  },
+  "Le Journal du Dimanche": {
+    domain: "lejdd.fr",
+    chunk: "europe"
+  },
+  "Le Journal du Net": {
+    domain: "journaldunet.com",
+    chunk: "global"
+  },
+  "Le Nouvel Economiste": {
+    domain: "lenouveleconomiste.fr",
+    chunk: "europe"
+  },
+  "Le Parisien": {
+    domain: "leparisien.fr",
+    chunk: "europe"
+  },
+  "Le Point": {
+    domain: "lepoint.fr",
+    chunk: "europe"
+  },
+  "Le Revenu": {
+    domain: "lerevenu.com",
+    chunk: "global"
+  },
+  "Le Télégramme": {
+    domain: "letelegramme.fr",
+    chunk: "europe"
+  },
+  "Le1Hebdo.fr": {
+    domain: "le1hebdo.fr",
+    chunk: "europe"
+  },
+  "Lee Enterprises Group (opt-in to custom sites for unlisted)": {
+    domain: "###_usa_lee_ent",
+    group: ["buffalonews.com", "journalnow.com", "journalstar.com", "madison.com", "nwitimes.com", "omaha.com", "richmond.com", "stltoday.com", "tucson.com", "tulsaworld.com"],
+    allow_cookies: 1,
+    block_regex: /\.com\/.+\/tncms\/api\/access\..+\.js/
+  },
+  "Les Échos": {
+    domain: "lesechos.fr",
+    chunk: "europe"
+  },
+  "Les Inrockuptibles": {
+    domain: "lesinrocks.com",
+    chunk: "global"
+  },
+  "Libération.fr (only when in source)": {
+    domain: "liberation.fr",
+    chunk: "europe"
+  },
+  "Linda.nl": {
+    domain: "linda.nl",
+    chunk: "europe"
+  },
+  "Literary Review (UK)": {
+    domain: "literaryreview.co.uk",
+    chunk: "europe"
+  },
+  "Live Law": {
+    domain: "livelaw.in",
+    chunk: "india"
+  },
+  "LiveMint (not epaper)": {
+    domain: "livemint.com",
+    exclude_paths: ["epaper.livemint.com"],
+    chunk: "global"
+  },
+  "Loeb Classical Library": {
+    domain: "loebclassics.com",
+    chunk: "global"
+  },
+  "London Review of Books": {
+    domain: "lrb.co.uk",
+    chunk: "europe"
+  },
+  "Los Angeles Times": {
+    domain: "latimes.com",
+    chunk: "global"
+  },
+  "MacroBusiness.com.au": {
+    domain: "macrobusiness.com.au",
+    chunk: "oceania"
+  },
+  "Madsack Mediengruppe (opt-in to custom sites for unlisted)": {
+    domain: "###_de_madsack",
+    group: ["haz.de", "kn-online.de", "ln-online.de", "lvz.de", "maz-online.de", "neuepresse.de", "ostsee-zeitung.de", "rnd.de"],
+    allow_cookies: 1,
+    block_regex: /\.tinypass\.com\//
+  },
+  "Maine Trust for Local News (opt-in to custom sites)": {
+    domain: "###_usa_maine_trust",
+    group: [],
+    allow_cookies: 1,
+    block_regex: /loader\.masthead\.me\//
+  },
+  "Mainichi Shimbun": {
+    domain: "mainichi.jp",
+    chunk: "asia"
+  },
+  "Malayala Manorama": {
+    domain: "manoramaonline.com",
+    chunk: "global"
+  },
+  "Manager-magazin.de (fetch from archive.is)": {
+    domain: "manager-magazin.de",
+    chunk: "europe"
+  },
+  "MarketWatch": {
+    domain: "marketwatch.com",
+    chunk: "global"
+  },
+  "McClatchy Group (opt-in to custom sites for unlisted)": {
+    domain: "###_usa_mcc",
+    group: ["bnd.com", "charlotteobserver.com", "elnuevoherald.com", "fresnobee.com", "kansas.com", "kansascity.com", "kentucky.com", "mcclatchydc.com", "miamiherald.com", "newsobserver.com", "sacbee.com", "star-telegram.com", "thestate.com", "tri-cityherald.com"],
+    block_regex: /(\.amplitude\.com\/|\.mcclatchy\.com\/mcc-paywall-new\.js|\.ampproject\.org\/v0\/amp-(access|subscriptions)-.+\.js)/
+  },
+  "McPherson Media Group (opt-in to custom sites)": {
+    domain: "###_au_mmg",
+    allow_cookies: 1
+  },
+  "Media Group Westfalen (opt-in to custom sites for unlisted)": {
+    domain: "###_de_mgw",
+    group: ["ruhrnachrichten.de"],
+    allow_cookies: 1,
+    block_regex: /\.tinypass\.com\//,
+    cs_dompurify: 1
+  },
+  "Mediahuis België (fetch from archive.is)": {
+    domain: "###_be_mediahuis",
+    group: ["gva.be", "hbvl.be", "nieuwsblad.be", "standaard.be"],
+    chunk: "europe"
+  },
+  "Mediahuis Noord (+ regional/opt-in to custom sites)": {
+    domain: "###_nl_mediahuis_noord",
+    group: ["dvhn.nl", "lc.nl"],
+    allow_cookies: 1,
+    block_regex: /(\.evolok\.net\/|\.ndcmediagroep\.nl\/js\/evolok\/|\.nl\/_\/zh\/worker)/
+  },
+  "MediaNews Group (opt-in to custom sites for unlisted)": {
+    domain: "###_usa_mng",
+    group: ["bostonherald.com", "denverpost.com", "eastbaytimes.com", "mercurynews.com", "ocregister.com", "pressenterprise.com", "sandiegouniontribune.com", "twincities.com"],
+    allow_cookies: 1,
+    block_regex: /(\.com\/(script|.+\/loader\.min)\.js|\.tinypass\.com\/|\.ampproject\.org\/v0\/amp-subscriptions-.+\.js)/,
+    cs_dompurify: 1
+  },
+  "Medium (opt-in to custom sites for custom domains)": {
+    domain: "medium.com",
+    allow_cookies: 1,
+    group: ["medium.com", "betterprogramming.pub", "towardsdatascience.com"]
+  },
+  "Medscape (regwall)": {
+    domain: "medscape.com",
+    chunk: "global"
+  },
+  "Mexico News Daily": {
+    domain: "mexiconewsdaily.com",
+    chunk: "global"
+  },
+  "Mid-Day (not epaper)": {
+    domain: "mid-day.com",
+    exclude_paths: ["epaper.mid-day.com"],
+    chunk: "global"
+  },
+  "MIT Sloan Management Review": {
+    domain: "sloanreview.mit.edu",
+    chunk: "global"
+  },
+  "MIT Technology Review": {
+    domain: "technologyreview.com",
+    chunk: "global"
+  },
+  "Monocle": {
+    domain: "monocle.com",
+    chunk: "global"
+  },
+  "Motor Presse Stuttgart": {
+    domain: "###_de_motor_presse",
+    group: ["aerokurier.de", "auto-motor-und-sport.de", "flugrevue.de", "motorradonline.de", "womenshealth.de"],
+    chunk: "europe"
+  },
+  "Motor Sport Magazine (UK)": {
+    domain: "motorsportmagazine.com",
+    chunk: "global"
+  },
+  "Mountain View Voice": {
+    domain: "mv-voice.com",
+    chunk: "global"
+  },
+  "Münchner Merkur": {
+    domain: "merkur.de",
+    chunk: "europe"
+  },
+  "Mundo Deportivo": {
+    domain: "mundodeportivo.com",
+    chunk: "global"
+  },
+  "Nation Media Group (Kenya; opt-in to custom sites for unlisted)": {
+    domain: "###_ke_nation_media",
+    group: ["businessdailyafrica.com", "nation.africa"],
+    allow_cookies: 1,
+    cs_dompurify: 1
+  },
+  "National Geographic USA": {
+    domain: "nationalgeographic.com",
+    allow_cookies: 1,
+    block_regex: /cdn\.registerdisney\.go\.com\//,
+    random_ip: "eu"
+  },
+  "National Review": {
+    domain: "nationalreview.com",
+    chunk: "global"
+  },
+  "National World Publishing (UK; opt-in to custom sites for unlisted)": {
+    domain: "###_uk_nat_world",
+    group: ["scotsman.com", "yorkshirepost.co.uk"],
+    allow_cookies: 1,
+    block_regex: /\.tinypass\.com\//
+  },
+  "Nautilus": {
+    domain: "nautil.us",
+    chunk: "usa"
+  },
+  "NDTV Profit": {
+    domain: "ndtvprofit.com",
+    chunk: "global"
+  },
+  "Neue Westfälische": {
+    domain: "nw.de",
+    chunk: "europe"
+  },
+  "Neue Zürcher Zeitung (not epaper)": {
+    domain: "nzz.ch",
+    exclude_paths: ["epaper.nzz.ch"],
+    chunk: "europe"
+  },
+  "New Voice (nv.ua)": {
+    domain: "nv.ua",
+    chunk: "europe"
+  },
+  "New York Magazine (+ Curbed, Grub Street, The Cut & Vulture)": {
+    domain: "###_usa_nymag",
+    group: ["curbed.com", "grubstreet.com", "nymag.com", "thecut.com", "vulture.com"],
+    chunk: "usa"
+  },
+  "New Zealand Herald": {
+    domain: "nzherald.co.nz",
+    chunk: "oceania"
+  },
+  "Newsday": {
+    domain: "newsday.com",
+    chunk: "global"
+  },
+  "Newslaundry": {
+    domain: "newslaundry.com",
+    chunk: "global"
+  },
+  "Newsquest Media Group (UK; opt-in to custom sites)": {
+    domain: "###_uk_newsquest",
+    group: [],
+    allow_cookies: 1,
+    block_regex: /\.tinypass\.com\//
+  },
+  "Newsweek": {
+    domain: "newsweek.com",
+    chunk: "global"
+  },
+  "Nikkei Asian Review": {
+    domain: "asia.nikkei.com",
+    chunk: "global"
+  },
+  "Nordwest Zeitung": {
+    domain: "nwzonline.de",
+    chunk: "europe"
+  },
+  "NRC Handelsblad": {
+    domain: "nrc.nl",
+    chunk: "europe"
+  },
+  "NSC Total": {
+    domain: "nsctotal.com.br",
+    chunk: "americas"
+  },
+  "NWT Media.se (opt-in to custom sites)": {
+    domain: "###_se_nwt_media",
+    group: [],
+    allow_cookies: 1,
+    useragent: "googlebot"
+  },
+  "NyTeknik": {
+    domain: "nyteknik.se",
+    chunk: "europe"
+  },
+  "O Estado de S. Paulo": {
+    domain: "estadao.com.br",
+    chunk: "americas"
+  },
+  "O Globo (& Valor Econômico)": {
+    domain: "globo.com",
+    chunk: "global"
+  },
+  "Observador.pt": {
+    domain: "observador.pt",
+    chunk: "europe"
+  },
+  "Outdoor Life": {
+    domain: "outdoorlife.com",
+    chunk: "global"
+  },
+  "Outlook Business": {
+    domain: "outlookbusiness.com",
+    chunk: "global"
+  },
+  "Outlook India": {
+    domain: "outlookindia.com",
+    chunk: "global"
+  },
+  "Outside magazines": {
+    domain: "###_usa_outside_mag",
+    group: ["backpacker.com", "betamtb.com", "betternutrition.com", "cleaneatingmag.com", "climbing.com", "outsideonline.com", "oxygenmag.com", "skimag.com", "trailrunnermag.com", "triathlete.com", "vegetariantimes.com", "womensrunning.com", "yogajournal.com"],
+    chunk: "usa"
+  },
+  "OVB Media (opt-in to custom sites for ovb24.de news portals)": {
+    domain: "###_de_ovb_media",
+    group: ["ovb-online.de"],
+    allow_cookies: 1,
+    block_regex: "\\.{domain}\\/sub\\/js\\/pc-offer-west\\.js"
+  },
+  "Palo Alto Online": {
+    domain: "paloaltoonline.com",
+    chunk: "global"
+  },
+  "Paris Match": {
+    domain: "parismatch.com",
+    chunk: "global"
+  },
+  "Paste Magazine": {
+    domain: "pastemagazine.com",
+    chunk: "global"
+  },
+  "PEI Media (opt-in to custom sites)": {
+    domain: "###_usa_pei",
+    group: [],
+    allow_cookies: 1,
+    useragent: "googlebot"
+  },
+  "Penske Media Corporation": {
+    domain: "###_usa_penske_media",
+    group: ["billboard.com", "rollingstone.com", "sourcingjournal.com", "sportico.com", "variety.com", "wwd.com"],
+    chunk: "usa"
+  },
+  "PhiloMag.com": {
+    domain: "philomag.com",
+    chunk: "global"
+  },
+  "PhiloMag.de": {
+    domain: "philomag.de",
+    chunk: "europe"
+  },
+  "Philosophy Now": {
+    domain: "philosophynow.org",
+    chunk: "global"
+  },
+  "Piqd.de": {
+    domain: "piqd.de",
+    chunk: "europe"
+  },
+  "Pirate Wires": {
+    domain: "piratewires.com",
+    chunk: "global"
+  },
+  "Pittsburgh Post Gazette": {
+    domain: "post-gazette.com",
+    chunk: "global"
+  },
+  "Política Exterior": {
+    domain: "politicaexterior.com",
+    chunk: "global"
+  },
+  "Politico (regwall; not pro)": {
+    domain: "politico.com",
+    chunk: "global"
+  },
+  "Politis.fr": {
+    domain: "politis.fr",
+    chunk: "europe"
+  },
+  "Polityka.pl": {
+    domain: "polityka.pl",
+    chunk: "europe"
+  },
+  "Popular Science": {
+    domain: "popsci.com",
+    chunk: "global"
+  },
+  "Postmedia Network (opt-in to custom sites for unlisted)": {
+    domain: "###_ca_postmedia",
+    group: ["calgaryherald.com", "financialpost.com", "nationalpost.com", "theprovince.com", "torontosun.com", "vancouversun.com"],
+    allow_cookies: 1,
+    block_regex: /\.tinypass\.com\//
+  },
+  "Pour l'Éco": {
+    domain: "pourleco.com",
+    chunk: "global"
+  },
+  "Pour la Science.fr": {
+    domain: "pourlascience.fr",
+    chunk: "europe"
+  },
+  "Private Media AU": {
+    domain: "###_au_private_media",
+    group: ["crikey.com.au", "inc-aus.com", "smartcompany.com.au", "themandarin.com.au"],
+    chunk: "oceania"
+  },
+  "Profil.at": {
+    domain: "profil.at",
+    chunk: "europe"
+  },
+  "Project Syndicate (fetch from archive.is)": {
+    domain: "project-syndicate.org",
+    chunk: "global"
+  },
+  "ProMedia.nl Group (opt-in to custom sites)": {
+    domain: "###_nl_promedia",
+    group: [],
+    useragent: "googlebot",
+    cs_dompurify: 1
+  },
+  "Prospect Magazine": {
+    domain: "prospectmagazine.co.uk",
+    chunk: "europe"
+  },
+  "Public.fr": {
+    domain: "public.fr",
+    chunk: "europe"
+  },
+  "Público.es": {
+    domain: "publico.es",
+    chunk: "europe"
+  },
+  "Puck.news (fetch from archive.is)": {
+    domain: "puck.news",
+    chunk: "global"
+  },
+  "Puls Biznesu": {
+    domain: "pb.pl",
+    chunk: "europe"
+  },
+  "Quartz (newsletter)": {
+    domain: "qz.com",
+    chunk: "global"
+  },
+  "Quora": {
+    domain: "quora.com",
+    exclude_paths: ["/search?q="],
+    chunk: "global"
+  },
+  "Quotidiano.net (+ regional)": {
+    domain: "###_it_quotidiano",
+    group: ["ilgiorno.it", "ilrestodelcarlino.it", "iltelegrafolivorno.it", "lanazione.it", "quotidiano.net"],
+    chunk: "europe"
+  },
+  "Record.pt": {
+    domain: "record.pt",
+    chunk: "europe"
+  },
+  "Réforme.net": {
+    domain: "reforme.net",
+    chunk: "global"
+  },
+  "Reuters": {
+    domain: "reuters.com",
+    chunk: "global"
+  },
+  "Revista Oeste": {
+    domain: "revistaoeste.com",
+    chunk: "global"
+  },
+  "Revue Conflits": {
+    domain: "revueconflits.com",
+    chunk: "global"
+  },
+  "Revue21.fr": {
+    domain: "revue21.fr",
+    chunk: "europe"
+  },
+  "Rheinische Post Mediengruppe (fetch from archive.is)": {
+    domain: "###_de_rp_medien",
+    group: ["ga.de", "rp-online.de", "saarbruecker-zeitung.de", "volksfreund.de"],
+    chunk: "europe"
+  },
+  "Ringier Gruppe (ch)": {
+    domain: "###_ch_ringier",
+    group: ["beobachter.ch", "blick.ch", "handelszeitung.ch"],
+    chunk: "europe"
+  },
+  "Ringier Axel Springer Polska": {
+    domain: "###_pl_ringier",
+    group: ["auto-swiat.pl", "businessinsider.com.pl", "forbes.pl", "komputerswiat.pl", "newsweek.pl", "onet.pl"],
+    chunk: "europe"
+  },
+  "Rivals (fetch from archive.is)": {
+    domain: "rivals.com",
+    chunk: "global"
+  },
+  "Roularta Media Group": {
+    domain: "###_be_roularta",
+    group: ["artsenkrant.com", "beleggersbelangen.nl", "femmesdaujourdhui.be", "flair.be", "knack.be", "kw.be", "levif.be", "libelle.be"],
+    allow_cookies: 1,
+    block_js_inline: /\.be\/.+\/(\w+-){2,}/,
+    block_regex: "(\\.|\\/){domain}\\/(script|js\\/responsive\\/rmg(Modal|Paywall))\\.js",
+    exception: [
+      {
+        domain: ["artsenkrant.com", "beleggersbelangen.nl", "kw.be"],
+        allow_cookies: 1,
+        block_regex: "(\\.|\\/){domain}\\/(script|js\\/responsive\\/rmg(Modal|Paywall))\\.js"
+      }
+    ]
+  },
+  "RugbyPass": {
+    domain: "rugbypass.com",
+    chunk: "global"
+  },
+  "S&P Global": {
+    domain: "spglobal.com",
+    chunk: "global"
+  },
+  "Sábado (not video)": {
+    domain: "sabado.pt",
+    chunk: "europe"
+  },
+  "Scholastic": {
+    domain: "scholastic.com",
+    chunk: "global"
+  },
+  "Schweizer Monat": {
+    domain: "schweizermonat.ch",
+    chunk: "europe"
+  },
+  "Science (free articles only)": {
+    domain: "science.org",
+    exclude_paths: ["/doi/"],
+    chunk: "global"
+  },
+  "Science & Vie": {
+    domain: "science-et-vie.com",
+    chunk: "global"
+  },
+  "ScienceNews.org": {
+    domain: "sciencenews.org",
+    chunk: "global"
+  },
+  "Sciences et Avenir": {
+    domain: "sciencesetavenir.fr",
+    chunk: "europe"
+  },
+  "Sciences Humaines": {
+    domain: "scienceshumaines.com",
+    chunk: "global"
+  },
+  "Scientific American": {
+    domain: "scientificamerican.com",
+    chunk: "global"
+  },
+  "Slate": {
+    domain: "slate.com",
+    chunk: "global"
+  },
+  "SlideShare": {
+    domain: "slideshare.net",
+    chunk: "global"
+  },
+  "SOFREP": {
+    domain: "sofrep.com",
+    chunk: "global"
+  },
+  "South China Morning Post": {
+    domain: "scmp.com",
+    chunk: "global"
+  },
+  "Southern Weekly": {
+    domain: "infzm.com",
+    chunk: "global"
+  },
+  "Spektrum.de": {
+    domain: "spektrum.de",
+    chunk: "europe"
+  },
+  "SPH Media (fetch from archive.is)": {
+    domain: "###_sg_sph_media",
+    group: ["straitstimes.com"],
+    chunk: "asia"
+  },
+  "Sport Life Ibérica (text only; opt-in to custom sites)": {
+    domain: "###_es_sport_life",
+    group: [],
+    allow_cookies: 1,
+    ld_json: "div.c-paywall|div.c-mainarticle__body"
+  },
+  "Sport.sky.it": {
+    domain: "sport.sky.it",
+    chunk: "europe"
+  },
+  "Sports Illustrated": {
+    domain: "si.com",
+    chunk: "global"
+  },
+  "Springer Medizin": {
+    domain: "springermedizin.de",
+    chunk: "europe"
+  },
+  "Standardmedia.co.ke": {
+    domain: "standardmedia.co.ke",
+    chunk: "africa"
+  },
+  "Star Tribune": {
+    domain: "startribune.com",
+    chunk: "global"
+  },
+  "Statista": {
+    domain: "statista.com",
+    exclude_paths: ["/study/"],
+    chunk: "global"
+  },
+  "Stereogum": {
+    domain: "stereogum.com",
+    chunk: "global"
+  },
+  "Stern.de": {
+    domain: "stern.de",
+    chunk: "europe"
+  },
+  "Stock News": {
+    domain: "stocknews.com",
+    chunk: "global"
+  },
+  "Stratfor": {
+    domain: "stratfor.com",
+    chunk: "global"
+  },
+  "Study.com (only lessons; no videos)": {
+    domain: "study.com",
+    include_paths: ["/*/lesson/"],
+    chunk: "global"
+  },
+  "Stylist.co.uk": {
+    domain: "stylist.co.uk",
+    chunk: "europe"
+  },
+  "Suomen Sotilas": {
+    domain: "suomensotilas.fi",
+    chunk: "europe"
+  },
+  "Süddeutsche Zeitung": {
+    domain: "sueddeutsche.de",
+    exclude_paths: ["zeitung.sueddeutsche.de"],
+    chunk: "europe"
+  },
+  "Südkurier (fetch from archive.is)": {
+    domain: "suedkurier.de",
+    chunk: "europe"
+  },
+  "Swarajyamag": {
+    domain: "swarajyamag.com",
+    chunk: "global"
+  },
+  "T3n.de": {
+    domain: "t3n.de",
+    chunk: "europe"
+  },
+  "Tampa Bay Times": {
+    domain: "tampabay.com",
+    chunk: "global"
+  },
+  "Tech in Asia": {
+    domain: "techinasia.com",
+    exclude_paths: ["/|"],
+    chunk: "global"
+  },
+  "TechTarget Group": {
+    domain: "###_usa_techtarget",
+    group: ["computerweekly.com", "lemagit.fr", "techtarget.com"],
+    chunk: "usa"
+  },
+  "Telegraaf": {
+    domain: "telegraaf.nl",
+    chunk: "europe"
+  },
+  "Tes Magazine": {
+    domain: "tes.com",
+    chunk: "global"
+  },
+  "Texas Monthly": {
+    domain: "texasmonthly.com",
+    chunk: "global"
+  },
+  "The (New Orleans) Advocate": {
+    domain: "###_usa_theadvocate",
+    group: ["nola.com", "theadvocate.com"],
+    chunk: "usa"
+  },
+  "The American Conservative": {
+    domain: "theamericanconservative.com",
+    chunk: "global"
+  },
+  "The American Interest": {
+    domain: "the-american-interest.com",
+    chunk: "global"
+  },
+  "The American Scholar": {
+    domain: "theamericanscholar.org",
+    chunk: "global"
+  },
+  "The Art Newspaper": {
+    domain: "theartnewspaper.com",
+    chunk: "global"
+  },
+  "The Atlanta Journal-Constitution (+ Cox First Media/opt-in to custom sites)": {
+    domain: "ajc.com",
+    allow_cookies: 1,
+    block_regex: /(\.wgchrrammzv\.com\/prod\/ajc\/loader\.min\.js|\.ampproject\.org\/v0\/amp-access-.+\.js)/,
+    exception: [
+      {
+        domain: "ajc.com",
+        allow_cookies: 1,
+        block_regex: /(\.piano\.io\/xbuilder\/experience\/execute|\.cxense\.com\/|\.sophi\.io\/)/
+      }
+    ]
+  },
+  "The Atlantic": {
+    domain: "theatlantic.com",
+    chunk: "global"
+  },
+  "The Baffler": {
+    domain: "thebaffler.com",
+    chunk: "global"
+  },
+  "The Boston Globe": {
+    domain: "bostonglobe.com",
+    chunk: "global"
+  },
+  "The Business Journals (free articles only; do not block Cxense-script externally)": {
+    domain: "bizjournals.com",
+    chunk: "global"
+  },
+  "The Business of Fashion": {
+    domain: "businessoffashion.com",
+    chunk: "global"
+  },
+  "The Christian Science Monitor": {
+    domain: "csmonitor.com",
+    chunk: "global"
+  },
+  "The Chronicle of Higher Education (& Philanthropy)": {
+    domain: "###_usa_chronicle",
+    group: ["chronicle.com", "philanthropy.com"],
+    chunk: "usa"
+  },
+  "The Columbian": {
+    domain: "columbian.com",
+    chunk: "global"
+  },
+  "The Critic": {
+    domain: "thecritic.co.uk",
+    chunk: "europe"
+  },
+  "The Daily Beast": {
+    domain: "thedailybeast.com",
+    chunk: "global"
+  },
+  "The Daily Wire (news only)": {
+    domain: "dailywire.com",
+    exclude_paths: ["/episode", "/show", "/videos", "/watch"],
+    chunk: "global"
+  },
+  "The Dallas Morning News": {
+    domain: "dallasnews.com",
+    chunk: "global"
+  },
+  "The Diplomat": {
+    domain: "thediplomat.com",
+    chunk: "global"
+  },
+  "The Dispatch": {
+    domain: "thedispatch.com",
+    chunk: "global"
+  },
+  "The Economic Times (ET Prime)": {
+    domain: "###_economictimes",
+    group: ["economictimes.com", "economictimes.indiatimes.com"],
+    include_paths: ["economictimes.com/|", "economictimes.com/__assets", "economictimes.com/prime", "economictimes.com/*.cms"],
+    chunk: "india"
+  },
+  "The Economist": {
+    domain: "economist.com",
+    chunk: "global"
+  },
+  "The Epoch Times (+ br|cz|de|fr|jp|ro; opt-in to custom sites)": {
+    domain: "###_usa_epochtimes",
+    group: ["epoch.org.il", "theepochtimes.com"],
+    allow_cookies: 1,
+    block_regex: /\.(theepochtimes\.com|epochbase\.(com|eu))\/(rules\/get|libs\/paywall.+\.js)/,
+    exception: [
+      {
+        domain: "epoch.org.il",
+        allow_cookies: 1,
+        block_js_inline: /\/epoch\.org\.il\/.+\/\d{5,}\//,
+        cs_dompurify: 1
+      }
+    ]
+  },
+  "The Financial Express": {
+    domain: "financialexpress.com",
+    chunk: "global"
+  },
+  "The Globe and Mail": {
+    domain: "theglobeandmail.com",
+    chunk: "global"
+  },
+  "The Hill": {
+    domain: "thehill.com",
+    chunk: "global"
+  },
+  "The Hill Times": {
+    domain: "hilltimes.com",
+    exclude_paths: ["/slideshow/"],
+    chunk: "global"
+  },
+  "The Hindu (not epaper)": {
+    domain: "thehindu.com",
+    exclude_paths: ["epaper.thehindu.com"],
+    chunk: "global"
+  },
+  "The Hindu BusinessLine (not epaper)": {
+    domain: "thehindubusinessline.com",
+    exclude_paths: ["epaper.thehindubusinessline.com"],
+    chunk: "global"
+  },
+  "The Impression": {
+    domain: "theimpression.com",
+    chunk: "global"
+  },
+  "The Independent (UK)": {
+    domain: "independent.co.uk",
+    chunk: "europe"
+  },
+  "The Indian Express": {
+    domain: "indianexpress.com",
+    chunk: "global"
+  },
+  "The Intercept": {
+    domain: "theintercept.com",
+    chunk: "global"
+  },
+  "The Irish Examiner": {
+    domain: "irishexaminer.com",
+    chunk: "global"
+  },
+  "The Irish News": {
+    domain: "irishnews.com",
+    chunk: "global"
+  },
+  "The Irish Times": {
+    domain: "irishtimes.com",
+    chunk: "global"
+  },
+  "The Japan Times (do not block TinyPass-script externally)": {
+    domain: "japantimes.co.jp",
+    chunk: "asia"
+  },
+  "The Jerusalem Post": {
+    domain: "jpost.com",
+    chunk: "global"
+  },
+  "The Juggernaut": {
+    domain: "###_usa_thejuggernaut",
+    group: ["thejuggernaut.com", "jgnt.co"],
+    chunk: "usa"
+  },
+  "The Lamp Magazine": {
+    domain: "thelampmagazine.com",
+    chunk: "global"
+  },
+  "The Lawyer (UK; not mda)": {
+    domain: "thelawyer.com",
+    chunk: "global"
+  },
+  "The Market.ch": {
+    domain: "themarket.ch",
+    chunk: "europe"
+  },
+  "The Nation": {
+    domain: "thenation.com",
+    chunk: "global"
+  },
+  "The New Atlantis": {
+    domain: "thenewatlantis.com",
+    chunk: "global"
+  },
+  "The New Criterion": {
+    domain: "newcriterion.com",
+    chunk: "global"
+  },
+  "The New European": {
+    domain: "theneweuropean.co.uk",
+    chunk: "europe"
+  },
+  "The New Republic": {
+    domain: "newrepublic.com",
+    chunk: "global"
+  },
+  "The New Statesman": {
+    domain: "newstatesman.com",
+    chunk: "global"
+  },
+  "The New York Review of Books": {
+    domain: "nybooks.com",
+    chunk: "global"
+  },
+  "The New York Sun": {
+    domain: "nysun.com",
+    chunk: "global"
+  },
+  "The New York Times": {
+    domain: "nytimes.com",
+    exclude_paths: ["help.nytimes.com", "myaccount.nytimes.com", "timesmachine.nytimes.com"],
+    chunk: "global"
+  },
+  "The News Lens": {
+    domain: "thenewslens.com",
+    chunk: "global"
+  },
+  "The News Minute": {
+    domain: "thenewsminute.com",
+    chunk: "global"
+  },
+  "The Philadelphia Inquirer": {
+    domain: "inquirer.com",
+    chunk: "global"
+  },
+  "The Point Magazine": {
+    domain: "thepointmag.com",
+    chunk: "global"
+  },
+  "The Quint": {
+    domain: "thequint.com",
+    chunk: "global"
+  },
+  "The Salt Lake Tribune": {
+    domain: "sltrib.com",
+    chunk: "global"
+  },
+  "The Saturday Paper": {
+    domain: "thesaturdaypaper.com.au",
+    chunk: "oceania"
+  },
+  "The Scientist (archive)": {
+    domain: "the-scientist.com",
+    chunk: "global"
+  },
+  "The Seattle Times": {
+    domain: "seattletimes.com",
+    chunk: "global"
+  },
+  "The Spectator (UK)": {
+    domain: "spectator.co.uk",
+    chunk: "europe"
+  },
+  "The Spectator Australia": {
+    domain: "spectator.com.au",
+    chunk: "oceania"
+  },
+  "The Spectator World": {
+    domain: "thespectator.com",
+    chunk: "global"
+  },
+  "The Stage Media (UK)": {
+    domain: "###_uk_thestage_media",
+    group: ["thebookseller.com", "thestage.co.uk"],
+    chunk: "europe"
+  },
+  "The Telegraph": {
+    domain: "telegraph.co.uk",
+    chunk: "europe"
+  },
+  "The Times UK (fetch from archive.is)": {
+    domain: "thetimes.com",
+    exclude_paths: ["epaper.thetimes.com"],
+    chunk: "global"
+  },
+  "The Times Literary Supplement": {
+    domain: "the-tls.co.uk",
+    chunk: "europe"
+  },
+  "The Toronto Star (+ local TorStar sites)": {
+    domain: "###_ca_torstar",
+    group: ["niagarafallsreview.ca", "stcatharinesstandard.ca", "thepeterboroughexaminer.com", "therecord.com", "thespec.com", "thestar.com", "wellandtribune.ca"],
+    chunk: "americas"
+  },
+  "The Verge": {
+    domain: "theverge.com",
+    chunk: "global"
+  },
+  "The Wall Street Journal": {
+    domain: "wsj.com",
+    chunk: "global"
+  },
+  "The Washington Post": {
+    domain: "washingtonpost.com",
+    chunk: "global"
+  },
+  "The Week (regwall)": {
+    domain: "theweek.com",
+    chunk: "global"
+  },
+  "The West Australian (+ regional/opt-in to custom sites)": {
+    domain: "thewest.com.au",
+    allow_cookies: 1
+  },
+  "The Wrap": {
+    domain: "thewrap.com",
+    chunk: "global"
+  },
+  "Times Higher Education": {
+    domain: "timeshighereducation.com",
+    chunk: "global"
+  },
+  "Times of India": {
+    domain: "###_timesofindia",
+    group: ["epaper.indiatimes.com", "timesofindia.indiatimes.com"],
+    chunk: "india"
+  },
+  "Tiroler Tageszeitung": {
+    domain: "tt.com",
+    chunk: "global"
+  },
+  "Tribune Publishing Company": {
+    domain: "###_usa_tribune",
+    group: ["baltimoresun.com", "capitalgazette.com", "chicagotribune.com", "courant.com", "dailypress.com", "mcall.com", "nydailynews.com", "orlandosentinel.com", "pilotonline.com", "sun-sentinel.com"],
+    chunk: "usa"
+  },
+  "Tuttosport": {
+    domain: "tuttosport.com",
+    chunk: "global"
+  },
+  "UnHerd": {
+    domain: "unherd.com",
+    chunk: "global"
+  },
+  "UOL.com.br": {
+    domain: "uol.com.br",
+    exclude_paths: ["conta.uol.com.br", "email.uol.com.br", "piaui.folha.uol.com.br"],
+    chunk: "americas"
+  },
+  "USA Today": {
+    domain: "usatoday.com",
+    chunk: "global"
+  },
+  "Valeurs Actuelles": {
+    domain: "valeursactuelles.com",
+    chunk: "global"
+  },
+  "Valnet Group (regwall; opt-in to custom sites)": {
+    domain: "###_ca_valnet",
+    group: [],
+    remove_cookies_select_drop: ["articlesLimitDepth", "articlesReadPerDay"]
+  },
+  "Verlagsgruppe Rhein Main (opt-in to custom sites for unlisted)": {
+    allow_cookies: 1,
+    domain: "###_de_vrm",
+    group: ["allgemeine-zeitung.de", "echo-online.de", "wiesbadener-kurier.de"],
+    block_regex: /\.cxense\.com\//,
+    useragent: "googlebot"
+  },
+  "Vikatan": {
+    domain: "vikatan.com",
+    chunk: "global"
+  },
+  "Vogue Business": {
+    domain: "voguebusiness.com",
+    chunk: "global"
+  },
+  "Vorarlberg Nachrichten": {
+    domain: "vn.at",
+    chunk: "europe"
+  },
+  "Vorarlberg Online": {
+    domain: "vol.at",
+    chunk: "europe"
+  },
+  "Vox": {
+    domain: "vox.com",
+    chunk: "global"
+  },
+  "Vrij Nederland": {
+    domain: "vn.nl",
+    chunk: "europe"
+  },
+  "Washington Examiner": {
+    domain: "washingtonexaminer.com",
+    chunk: "global"
+  },
+  "Weltkunst": {
+    domain: "weltkunst.de",
+    chunk: "europe"
+  },
+  "Weser-Kurier": {
+    domain: "weser-kurier.de",
+    chunk: "europe"
+  },
+  "Winnipeg Free Press": {
+    domain: "winnipegfreepress.com",
+    chunk: "global"
+  },
+  "Wonderzine": {
+    domain: "wonderzine.com",
+    chunk: "global"
+  },
+  "Wyborcza.pl Group (fetch from archive.is)": {
+    domain: "###_pl_wyborcza_group",
+    group: ["magazyn-kuchnia.pl", "wyborcza.biz", "wyborcza.pl", "wysokieobcasy.pl"],
+    chunk: "europe"
+  },
+  "Ynet": {
+    domain: "ynet.co.il",
+    chunk: "asia"
+  },
+  "ZeroHedge": {
+    domain: "zerohedge.com",
+    chunk: "global"
+  },
+  "* Block general paywall-scripts (opt-in to custom sites to enable also for unlisted sites)": {
+    domain: "###"
+  },
+  "Amp-access": {
+    domain: "cdn.ampproject.org",
+    allow_cookies: 1,
+    block_regex_general: /\.ampproject\.org\/.+\/amp-(access|(.+-)?ad|analytics|fx-flying-carpet|subscriptions)-.+\.m?js/,
+    excluded_domains: ["cambridge.org", "cmjornal.pt"]
+  },
+  "Amplitude": {
+    domain: "amplitude.com",
+    allow_cookies: 1,
+    block_regex_general: /\.amplitude\.com\//,
+    excluded_domains: ["amplitude.com"]
+  },
+  "Arc XP": {
+    domain: "###_arcxp.com",
+    allow_cookies: 1,
+    block_regex_general: /\/arc\/subs\/p\.min\.js/,
+    excluded_domains: ["latercera.com", "nzherald.co.nz"]
+  },
+  "Axate.io": {
+    domain: "###_uk_axate.io",
+    allow_cookies: 1,
+    block_regex_general: /\.axate\.io\//
+  },
+  "AzureEdge": {
+    domain: "loader-cdn.azureedge.net",
+    allow_cookies: 1,
+    block_regex_general: /loader-cdn\.azureedge\.net\//
+  },
+  "BlueConic": {
+    domain: "blueconic.net",
+    allow_cookies: 1,
+    block_regex_general: /(\.blueconic\.net\/|[a-z]{1}[0-9]{2,3}\.[\w-]+\.(co(m|\.uk)|net|org)\/script\.js)/
+  },
+  "Cxense": {
+    domain: "cxense.com",
+    allow_cookies: 1,
+    block_regex_general: /\.cxense\.com\//,
+    excluded_domains: ["bizjournals.com", "journaldemontreal.com", "journaldequebec.com", "wsj.com"]
+  },
+  "Ensighten": {
+    domain: "ensighten.com",
+    allow_cookies: 1,
+    block_regex_general: /\.ensighten\.com\/.+\/Bootstrap\.js/
+  },
+  "EverCookie": {
+    domain: "###_evercookie",
+    allow_cookies: 1,
+    block_regex_general: /\/paywall\/evercookie_get\.js/
+  },
+  "Evolok": {
+    domain: "evolok.net",
+    allow_cookies: 1,
+    block_regex_general: /\.evolok\.net\//
+  },
+  "Evolok WordPress": {
+    domain: "###_wp_evolok",
+    allow_cookies: 1,
+    block_regex_general: /\/evolok\/.+\/ev-(em|widgets)\.min\.js/,
+    excluded_domains: ["vikatan.com"]
+  },
+  "FewCents": {
+    domain: "fewcents.co",
+    allow_cookies: 1,
+    block_regex_general: /\.fewcents\.co\/.+\/paywall.*\.js/
+  },
+  "Ippen.media": {
+    domain: "###_de_ippen_media",
+    allow_cookies: 1,
+    block_regex_general: /\.de\/sub\/js\/pc-offer-west\.js/
+  },
+  "Leaky Paywall (WordPress plugin)": {
+    domain: "###_wp_leaky_paywall",
+    group: [],
+    block_regex_general: /\/wp-content\/plugins\/leaky-paywall\/js\/leaky-paywall-cookie\.js/
+  },
+  "MatherAnalytics": {
+    domain: "matheranalytics.com",
+    allow_cookies: 1,
+    block_regex_general: /js\.matheranalytics.com\//
+  },
+  "NewsMemory": {
+    domain: "newsmemory.com",
+    allow_cookies: 1,
+    block_regex_general: /\.newsmemory\.com\/\?meter/
+  },
+  "Omeda Olytics": {
+    domain: "omeda.com",
+    allow_cookies: 1,
+    block_regex_general: /olytics\.omeda\.com\//,
+    excluded_domains: ["omeda.com"]
+  },
+  "OneCount": {
+    domain: "onecount.net",
+    allow_cookies: 1,
+    block_regex_general: /\.onecount\.net\//
+  },
+  "Pelcro": {
+    domain: "pelcro.com",
+    allow_cookies: 1,
+    block_regex_general: /js\.pelcro\.com\//,
+    excluded_domains: ["pelcro.com"]
+  },
+  "Piano.io (+ TinyPass)": {
+    domain: "piano.io",
+    allow_cookies: 1,
+    block_regex_general: /\/xbuilder\/experience\/execute/,
+    excluded_domains: ["piano.io", "hbr.org", "japantimes.co.jp", "nacion.com"]
+  },
+  "Pico.tools": {
+    domain: "pico.tools",
+    allow_cookies: 1,
+    block_regex_general: /api\.pico\.tools\//
+  },
+  "Pigeon (WordPress plugin)": {
+    domain: "###_wp_pigeon",
+    allow_cookies: 1,
+    block_regex_general: /\/c\/assets\/pigeon\.js/
+  },
+  "Poool.fr": {
+    domain: "poool.fr",
+    allow_cookies: 1,
+    block_regex_general: /\.poool\.fr\//,
+    excluded_domains: ["poool.fr"]
+  },
+  "Qiota": {
+    domain: "qiota.com",
+    allow_cookies: 1,
+    block_regex_general: /\.qiota\.com\/data/,
+    excluded_domains: ["qiota.com"]
+  },
+  "Sophi.io": {
+    domain: "sophi.io",
+    allow_cookies: 1,
+    block_regex_general: /\.sophi\.io\//,
+    excluded_domains: ["sophi.io"]
+  },
+  "Steady": {
+    domain: "steadyhq.com",
+    allow_cookies: 1,
+    block_regex_general: /\/steadyhq\.com\//,
+    excluded_domains: ["steadyhq.com"]
+  },
+  "TownNews sites (Blox CMS)": {
+    domain: "###_usa_townnews",
+    block_regex_general: /\/tncms\/api\/access(\..+)?\.js/,
+    cs_dompurify: 1,
+    exception: [
+      {
+        domain: "berkshireeagle.com",
+        block_regex_general: /\/tncms\/api\/access(\..+)?\.js/,
+        useragent: "googlebot",
+        cs_dompurify: 1
+      }
+    ]
+  },
+  "Zephr": {
+    domain: "zephr.com",
+    allow_cookies: 1,
+    block_regex_general: /(\.zephr\.com\/zephr-browser\/|\/zephr\/feature)/,
+    excluded_domains: ["theverge.com"]
+  },
+  "* Custom (new) sites": {
+    domain: "###"
+  }
+}
+
+if (typeof browser !== 'object') {
+  delete defaultSites['Roularta Media Group']['block_js_inline'];
+  delete defaultSites['Roularta Media Group']['exception'];
+}
+
+var defaultSites_grouped_domains = Object.values(defaultSites).filter(function (value) {
+    return (value.hasOwnProperty('domain') && value.domain !== '###');
+  }).map(x => x.domain);
+var defaultSites_groups_domains = [].concat.apply([], Object.values(defaultSites).filter(function (value) {
+    return value.hasOwnProperty('group');
+  }).map(x => x.group));
+var defaultSites_domains = defaultSites_grouped_domains.concat(defaultSites_groups_domains);
+
+function expandSiteRules(sites, updated = false) {
+  for (let site in sites) {
+    let rule = sites[site];
+    if (rule.hasOwnProperty('group_rule')) {
+      let rules = sites[rule.group_rule];
+      for (key in rules) {
+        if (key !== 'group_rule_domains')
+          sites[site][key] = rules[key];
+      }
+      //delete sites[site].group_rule;
+    }
+    if (updated) {
+      if (rule.hasOwnProperty('group_rule_domains')) {
+        let domains = rule.group_rule_domains;
+        for (let domain of domains) {
+          let defaultTitle = Object.keys(defaultSites).find(key => defaultSites[key].domain === domain);
+          if (defaultTitle) {
+            for (key in rule) {
+              if (key !== 'group_rule_domains')
+                defaultSites[defaultTitle][key] = rule[key];
+            }
+          }
+        }
+      }
+    }
+    if (rule.hasOwnProperty('group')) {
+      let domain = rule.domain;
+      grouped_sites[domain] = rule.group
+    }
+  }
+}
+
+var grouped_sites = {};
+expandSiteRules(defaultSites);
+
+// grouped domains (background)
+var au_news_corp_domains = grouped_sites['###_au_news_corp'];
+var ch_media_domains = grouped_sites['###_ch_media'];
+var de_madsack_domains = grouped_sites['###_de_madsack'];
+var es_grupo_vocento_domains = grouped_sites['###_es_grupo_vocento'];
+
+// custom domains (background)
+var custom_flex_not = {
+  "###_ca_postmedia": ["canada.com", "canoe.com", "driving.ca"],
+  "###_de_dfv_medien": ["dfv.de"],
+  "###_de_madsack": ["madsack.de", "madsack-medien-campus.de"],
+  "###_es_epiberica": ["sport.es", "stilo.es"],
+  "###_wp_leaky_paywall": ["epsilontheory.com", "heisenbergreport.com", "toolkits.com", "uppereastsite.com"],
+  "###_uk_axate.io": ["thecricketer.com", "thinkofx.net"],
+  "###_uk_haymarket": ["classicandsportscar.com", "gpbusiness.co.uk", "scmagazineuk.com", "thecorporatetreasurer.com"],
+  "###_uk_haymarket_medical": ["mycme.com"],
+  "###_usa_hearst_comm": ["chron.com", "sfgate.com"],
+  "###_usa_mcc": ["mcclatchy.com"],
+  "###_usa_townnews": ["bloxdigital.com", "townnews.com"],
+  "thewest.com.au": ["perthnow.com.au"]
+}
+var custom_flex;
+var custom_flex_domains;
+var custom_flex_not_domains;
+var custom_flex_nofix_domains = [].concat(custom_flex_not['###_wp_leaky_paywall'], custom_flex_not['###_uk_axate.io']);
+
+function init_custom_flex_domains() {
+  custom_flex = {};
+  custom_flex_domains = [];
+  custom_flex_not_domains = [].concat.apply([], Object.values(custom_flex_not));
+}
+init_custom_flex_domains();
+
+// sites with no fix (background)
+var de_funke_medien_nofix_domains = ['harzkurier.de'];
+var de_smn_nofix_domains = ['cannstatter-zeitung.de', 'esslinger-zeitung.de', 'frankenpost.de', 'insuedthueringen.de', 'krzbb.de', 'kurier.de', 'np-coburg.de', 'schwarzwaelder-bote.de', 'stuttgarter-nachrichten.de', 'stuttgarter-zeitung.de'];
+var de_westfalen_medien_nofix_domains = ['muensterschezeitung.de', 'westfalen-blatt.de', 'wn.de'];
+var fi_sanoma_nofix_domains = ['aamulehti.fi', 'hs.fi', 'is.fi'];
+var fr_groupe_ebra_nofix_domains = ['bienpublic.com', 'dna.fr', 'estrepublicain.fr', 'lalsace.fr', 'ledauphine.com', 'lejsl.com', 'leprogres.fr', 'republicain-lorrain.fr', 'vosgesmatin.fr'];
+var fr_be_groupe_rossel_nofix_domains = ['lavoixdunord.fr', 'lemessager.fr', 'sudinfo.be'];
+var fr_indigo_nofix_domains = ['africaintelligence.com', 'africaintelligence.fr', 'glitz.paris', 'intelligenceonline.com', 'intelligenceonline.fr', 'lalettre.fr'];
+var fr_jamg_nofix_domains = ['africabusinessplus.com', 'jeuneafrique.com', 'theafricareport.com'];
+var fr_monde_diplo_nofix_domains = ['editionarabediplo.com', 'eldiplo.org', 'lemondediplomatique.cl', 'lmd.nedeljnik.rs', 'lmd.no', 'monde-diplomatique.fr', 'mondediplo.com', 'mondediplo.fi'];
+var it_gedi_nofix_domains = ['ilsecoloxix.it', 'limesonline.com', 'repubblica.it'];
+var nl_mediahuis_region_nofix_domains = ['gooieneemlander.nl', 'haarlemsdagblad.nl', 'ijmuidercourant.nl', 'leidschdagblad.nl', 'noordhollandsdagblad.nl'];
+var se_bonnier_group_nofix_domains = ['di.se', 'dn.se', 'expressen.se', 'hd.se', 'sydsvenskan.se'];
+var nofix_sites = ['11freunde.de', '24.hu', '444.hu', 'abplive.com', 'aerzteblatt.de', 'africa-confidential.com', 'aftenposten.no', 'aftonbladet.se', 'al-monitor.com', 'allgaeuer-zeitung.de', 'americanscientist.org', 'arkansasonline.com', 'asahi.com', 'asiatimes.com', 'autocarpro.in', 'aviationweek.com', 'badische-zeitung.de', 'bhaskar.com', 'bild.de', 'bisnis.com', 'bloomberglaw.com', 'bloombergtax.com', 'bnef.com', 'bnn.de', 'borsen.dk', 'breakingviews.com', 'breitbart.com', 'businessdesk.co.nz', 'businessinsider.de', 'businesslive.co.za', 'businesstimes.com.sg', 'caixin.com', 'caixinglobal.com', 'capital.de', 'caravanmagazine.in', 'catalyst-journal.com', 'chegg.com', 'cieletespace.fr', 'citywire.com', 'cmjornal.pt', 'consumerreports.org', 'costar.com', 'coursehero.com', 'crunchbase.com', 'dealstreetasia.com', 'delfi.ee', 'denikn.cz', 'deraktionaer.de', 'deutsche-wirtschafts-nachrichten.de', 'die-glocke.de', 'diepresse.com', 'donaukurier.de', 'e24.no', 'elordenmundial.com', 'endpts.com', 'entrepreneur.com', 'epw.in', 'euractiv.com', 'ewmagazine.nl', 'falter.at', 'fd.nl', 'finance.si', 'finanz-szene.de', 'franc-tireur.fr', 'freiepresse.de', 'ftchinese.com', 'ftchineselive.com', 'gamestar.de', 'gazetaprawna.pl', 'gazeteoksijen.com', 'gelocal.it', 'geo.de', 'gp.se', 'haufe.de', 'hbrarabic.com', 'hbr-caijing.com', 'hbrfrance.fr', 'hedgehogreview.com', 'hindutamil.in', 'history.org.uk', 'hn.cz', 'hsj.co.uk', 'humanite.fr', 'idnes.cz', 'iex.nl', 'ifre.com', 'information.dk', 'investors.com', 'iltalehti.fi', 'investing.com', 'jacobin.com', 'janes.com', 'jn.pt', 'jungefreiheit.de', 'kicker.de', 'kleinezeitung.at', 'kommunen.dk', 'krone.at', 'laprovence.com', 'lasegunda.com', 'laverita.info', 'lavie.fr', 'lavozdegalicia.es', 'law360.ca', 'law360.co.uk', 'law360.com', 'lecanardenchaine.fr', 'leconomiste.com', 'ledesk.ma', 'lefigaro.fr', 'lefilmfrancais.com', 'lemonde.fr', 'lemoniteur.fr', 'lequipe.fr', 'lesjours.fr', 'letemps.ch', 'libertiesjournal.com', 'liga.net', 'lindipendente.online', 'lorientlejour.com', 'lr-online.de', 'mailplus.co.uk', 'main-echo.de', 'mainpost.de', 'malaysiakini.com', 'marianne.net', 'maville.com', 'mediapart.fr', 'milanofinanza.it', 'mittelbayerische.de', 'money.it', 'moneycontrol.com', 'moodys.com', 'morningstar.com', 'motorsport.com', 'moz.de', 'mz.de', 'nachrichten.at', 'naiz.eus', 'nationaljournal.com', 'nature.com', 'nbr.co.nz', 'newleftreview.org', 'news24.com', 'newscientist.com', 'newspapers.com', 'newsroom.co.nz', 'nexos.com.mx', 'next.ink', 'nikkansports.com', 'nikkei.com', 'nn.de', 'nouvelobs.com', 'noz.de', 'ntnews.com.au', 'nypost.com', 'ojogo.pt', 'on3.com', 'onetz.de', 'ouest-france.fr', 'pagina12.com.ar', 'penews.com', 'pff.com', 'philonomist.com', 'pnp.de', 'politicopro.com', 'politiken.dk', 'postimees.ee', 'pressreader.com', 'publico.pt', 'rbc.ru', 'reason.com', 'reforma.com', 'republic.ru', 'rhein-zeitung.de', 'risk.net', 'rnz.de', 'saechsische.de', 'saltwire.com', 'schwaebische.de', 'sciencedirect.com', 'seekingalpha.com', 'shz.de', 'sn.at', 'springer.com', 'statnews.com', 'stimme.de', 'streetinsider.com', 'studocu.com', 'substack.com', 'svd.se', 'swp.de', 'table.media', 'taxation.co.uk', 'taxjournal.com', 'telerama.fr', 'test.de', 'the-ken.com', 'thebanker.com', 'theinformation.com', 'thejakartapost.com', 'themorningcontext.com', 'theparisreview.org', 'thestar.com.my', 'timeslive.co.za', 'udn.com', 'usine-digitale.fr', 'vedomosti.ru', 'vi.nl', 'volksstimme.de', 'welt.de', 'weltwoche.ch', 'weltwoche.de', 'wissenschaft.de', 'wiwo.de', 'worldpoliticsreview.com', 'woz.ch', 'wpolityce.pl', 'wz.de', 'xakep.ru', 'zaobao.com.sg', 'zive.cz'].concat(custom_flex_nofix_domains, de_funke_medien_nofix_domains, de_smn_nofix_domains, de_westfalen_medien_nofix_domains, fi_sanoma_nofix_domains, fr_groupe_ebra_nofix_domains, fr_be_groupe_rossel_nofix_domains, fr_indigo_nofix_domains, fr_jamg_nofix_domains, fr_monde_diplo_nofix_domains, it_gedi_nofix_domains, nl_mediahuis_region_nofix_domains, se_bonnier_group_nofix_domains);
@@ -0,0 +1,775 @@
+// Generated by tools/build-chunks.js from sites.js (do not edit)
+var siteChunkManifest = {
+  "global": {
+    "file": "sites/chunks/sites-global.js",
+    "domains": [
+      "60millions-mag.com",
+      "adweek.com",
+      "abqjournal.com",
+      "ambito.com",
+      "americastestkitchen.com",
+      "americanaffairsjournal.org",
+      "americanpurpose.com",
+      "apollo-magazine.com",
+      "artforum.com",
+      "artnet.com",
+      "atavist.com",
+      "autosport.com",
+      "axios.com",
+      "balkaninsight.com",
+      "barandbench.com",
+      "barrons.com",
+      "historyextra.com",
+      "benzinga.com",
+      "bloomberg.com",
+      "bloombergadria.com",
+      "thebulletin.org",
+      "businessinsider.com",
+      "business-standard.com",
+      "cambiocolombia.com",
+      "cen.acs.org",
+      "cnbc.com",
+      "cnn.com",
+      "commentary.org",
+      "connaissancedesarts.com",
+      "courrierinternational.com",
+      "cyclingnews.com",
+      "decanter.com",
+      "defector.com",
+      "digitimes.com",
+      "discovermagazine.com",
+      "dwell.com",
+      "elconfidencial.com",
+      "cronista.com",
+      "eldeber.com.bo",
+      "elespanol.com",
+      "elespectador.com",
+      "elpais.com",
+      "eltiempo.com",
+      "eltribuno.com",
+      "britannica.com",
+      "enotes.com",
+      "espn.com",
+      "euobserver.com",
+      "exame.com",
+      "fastcompany.com",
+      "fieldandstream.com",
+      "fnlondon.com",
+      "ft.com",
+      "firstthings.com",
+      "forbes.com",
+      "foreignaffairs.com",
+      "foreignpolicy.com",
+      "fortune.com",
+      "foxnews.com",
+      "faz.net",
+      "gbnews.com",
+      "glassdoor.com",
+      "granta.com",
+      "handelsblatt.com",
+      "harpers.org",
+      "hbr.org",
+      "hindustantimes.com",
+      "staradvertiser.com",
+      "ilsole24ore.com",
+      "inc.com",
+      "inc42.com",
+      "theinitium.com",
+      "inkl.com",
+      "insidehighered.com",
+      "interestingengineering.com",
+      "jazziz.com",
+      "jazzwise.com",
+      "linforme.com",
+      "loeildelaphotographie.com",
+      "la-croix.com",
+      "latercera.com",
+      "lavanguardia.com",
+      "reviewjournal.com",
+      "law.com",
+      "ledevoir.com",
+      "journaldunet.com",
+      "lerevenu.com",
+      "lesinrocks.com",
+      "livemint.com",
+      "loebclassics.com",
+      "latimes.com",
+      "manoramaonline.com",
+      "marketwatch.com",
+      "medscape.com",
+      "mexiconewsdaily.com",
+      "mid-day.com",
+      "sloanreview.mit.edu",
+      "technologyreview.com",
+      "monocle.com",
+      "motorsportmagazine.com",
+      "mv-voice.com",
+      "mundodeportivo.com",
+      "nationalreview.com",
+      "ndtvprofit.com",
+      "newsday.com",
+      "newslaundry.com",
+      "newsweek.com",
+      "asia.nikkei.com",
+      "globo.com",
+      "outdoorlife.com",
+      "outlookbusiness.com",
+      "outlookindia.com",
+      "paloaltoonline.com",
+      "parismatch.com",
+      "pastemagazine.com",
+      "philomag.com",
+      "philosophynow.org",
+      "piratewires.com",
+      "post-gazette.com",
+      "politicaexterior.com",
+      "politico.com",
+      "popsci.com",
+      "pourleco.com",
+      "project-syndicate.org",
+      "puck.news",
+      "qz.com",
+      "quora.com",
+      "reforme.net",
+      "reuters.com",
+      "revistaoeste.com",
+      "revueconflits.com",
+      "rivals.com",
+      "rugbypass.com",
+      "spglobal.com",
+      "scholastic.com",
+      "science.org",
+      "science-et-vie.com",
+      "sciencenews.org",
+      "scienceshumaines.com",
+      "scientificamerican.com",
+      "slate.com",
+      "slideshare.net",
+      "sofrep.com",
+      "scmp.com",
+      "infzm.com",
+      "si.com",
+      "startribune.com",
+      "statista.com",
+      "stereogum.com",
+      "stocknews.com",
+      "stratfor.com",
+      "study.com",
+      "swarajyamag.com",
+      "tampabay.com",
+      "techinasia.com",
+      "tes.com",
+      "texasmonthly.com",
+      "theamericanconservative.com",
+      "the-american-interest.com",
+      "theamericanscholar.org",
+      "theartnewspaper.com",
+      "theatlantic.com",
+      "thebaffler.com",
+      "bostonglobe.com",
+      "bizjournals.com",
+      "businessoffashion.com",
+      "csmonitor.com",
+      "columbian.com",
+      "thedailybeast.com",
+      "dailywire.com",
+      "dallasnews.com",
+      "thediplomat.com",
+      "thedispatch.com",
+      "economist.com",
+      "financialexpress.com",
+      "theglobeandmail.com",
+      "thehill.com",
+      "hilltimes.com",
+      "thehindu.com",
+      "thehindubusinessline.com",
+      "theimpression.com",
+      "indianexpress.com",
+      "theintercept.com",
+      "irishexaminer.com",
+      "irishnews.com",
+      "irishtimes.com",
+      "jpost.com",
+      "thelampmagazine.com",
+      "thelawyer.com",
+      "thenation.com",
+      "thenewatlantis.com",
+      "newcriterion.com",
+      "newrepublic.com",
+      "newstatesman.com",
+      "nybooks.com",
+      "nysun.com",
+      "nytimes.com",
+      "thenewslens.com",
+      "thenewsminute.com",
+      "inquirer.com",
+      "thepointmag.com",
+      "thequint.com",
+      "sltrib.com",
+      "the-scientist.com",
+      "seattletimes.com",
+      "thespectator.com",
+      "thetimes.com",
+      "theverge.com",
+      "wsj.com",
+      "washingtonpost.com",
+      "theweek.com",
+      "thewrap.com",
+      "timeshighereducation.com",
+      "tt.com",
+      "tuttosport.com",
+      "unherd.com",
+      "usatoday.com",
+      "valeursactuelles.com",
+      "vikatan.com",
+      "voguebusiness.com",
+      "vox.com",
+      "washingtonexaminer.com",
+      "winnipegfreepress.com",
+      "wonderzine.com",
+      "zerohedge.com"
+    ]
+  },
+  "usa": {
+    "file": "sites/chunks/sites-usa.js",
+    "domains": [
+      "###_usa_adv_local",
+      "al.com",
+      "cleveland.com",
+      "lehighvalleylive.com",
+      "masslive.com",
+      "mlive.com",
+      "nj.com",
+      "oregonlive.com",
+      "pennlive.com",
+      "silive.com",
+      "syracuse.com",
+      "###_usa_cbj",
+      "labusinessjournal.com",
+      "ocbj.com",
+      "sdbj.com",
+      "sfvbj.com",
+      "###_usa_conde_nast",
+      "architecturaldigest.com",
+      "bonappetit.com",
+      "cntraveler.com",
+      "epicurious.com",
+      "gq.com",
+      "newyorker.com",
+      "vanityfair.com",
+      "vogue.co.uk",
+      "vogue.com",
+      "wired.com",
+      "###_usa_craincomm",
+      "360dx.com",
+      "adage.com",
+      "autonews.com",
+      "chicagobusiness.com",
+      "crainscleveland.com",
+      "crainsdetroit.com",
+      "crainsgrandrapids.com",
+      "crainsnewyork.com",
+      "european-rubber-journal.com",
+      "genomeweb.com",
+      "modernhealthcare.com",
+      "pionline.com",
+      "plasticsnews.com",
+      "precisionmedicineonline.com",
+      "rubbernews.com",
+      "sustainableplastics.com",
+      "tirebusiness.com",
+      "utech-polyurethane.com",
+      "###_usa_digiday",
+      "digiday.com",
+      "glossy.co",
+      "modernretail.co",
+      "###_usa_hearst_comm_mag",
+      "bicycling.com",
+      "cosmopolitan.com",
+      "countryliving.com",
+      "delish.com",
+      "elle.com",
+      "elledecor.com",
+      "esquire.com",
+      "goodhousekeeping.com",
+      "harpersbazaar.com",
+      "housebeautiful.com",
+      "menshealth.com",
+      "oprahdaily.com",
+      "popularmechanics.com",
+      "prevention.com",
+      "roadandtrack.com",
+      "runnersworld.com",
+      "townandcountrymag.com",
+      "womenshealthmag.com",
+      "nautil.us",
+      "###_usa_nymag",
+      "curbed.com",
+      "grubstreet.com",
+      "nymag.com",
+      "thecut.com",
+      "vulture.com",
+      "###_usa_outside_mag",
+      "backpacker.com",
+      "betamtb.com",
+      "betternutrition.com",
+      "cleaneatingmag.com",
+      "climbing.com",
+      "outsideonline.com",
+      "oxygenmag.com",
+      "skimag.com",
+      "trailrunnermag.com",
+      "triathlete.com",
+      "vegetariantimes.com",
+      "womensrunning.com",
+      "yogajournal.com",
+      "###_usa_penske_media",
+      "billboard.com",
+      "rollingstone.com",
+      "sourcingjournal.com",
+      "sportico.com",
+      "variety.com",
+      "wwd.com",
+      "###_usa_techtarget",
+      "computerweekly.com",
+      "lemagit.fr",
+      "techtarget.com",
+      "###_usa_theadvocate",
+      "nola.com",
+      "theadvocate.com",
+      "###_usa_chronicle",
+      "chronicle.com",
+      "philanthropy.com",
+      "###_usa_thejuggernaut",
+      "thejuggernaut.com",
+      "jgnt.co",
+      "###_usa_tribune",
+      "baltimoresun.com",
+      "capitalgazette.com",
+      "chicagotribune.com",
+      "courant.com",
+      "dailypress.com",
+      "mcall.com",
+      "nydailynews.com",
+      "orlandosentinel.com",
+      "pilotonline.com",
+      "sun-sentinel.com"
+    ]
+  },
+  "europe": {
+    "file": "sites/chunks/sites-europe.js",
+    "domains": [
+      "aachener-zeitung.de",
+      "agefi.fr",
+      "###_nl_dpg_adr",
+      "ad.nl",
+      "bd.nl",
+      "bndestem.nl",
+      "destentor.nl",
+      "ed.nl",
+      "gelderlander.nl",
+      "pzc.nl",
+      "tubantia.nl",
+      "alternatives-economiques.fr",
+      "###_cat_ara",
+      "ara.cat",
+      "arabalears.cat",
+      "aerztezeitung.de",
+      "atlantico.fr",
+      "augsburger-allgemeine.de",
+      "autocar.co.uk",
+      "autohebdo.fr",
+      "automobilwoche.de",
+      "autoplus.fr",
+      "belfasttelegraph.co.uk",
+      "berliner-zeitung.de",
+      "berlingske.dk",
+      "boersen-zeitung.de",
+      "businessam.be",
+      "businessinsider.nl",
+      "businesspost.ie",
+      "capital.bg",
+      "capital.fr",
+      "causeur.fr",
+      "challenges.fr",
+      "charliehebdo.fr",
+      "cicero.de",
+      "corriere.it",
+      "corrieredellosport.it",
+      "cosmopolitan.fr",
+      "etc.se",
+      "dagensmedicin.se",
+      "dagsavisen.no",
+      "###_uk_dmg_media",
+      "dailymail.co.uk",
+      "mailonsunday.co.uk",
+      "thisismoney.co.uk",
+      "limburger.nl",
+      "tijd.be",
+      "freitag.de",
+      "spiegel.de",
+      "tagesspiegel.de",
+      "rheinpfalz.de",
+      "zeit.de",
+      "###_no_dn_media",
+      "dn.no",
+      "europower.no",
+      "fiskeribladet.no",
+      "hydrogeninsight.com",
+      "intrafish.com",
+      "intrafish.no",
+      "rechargenews.com",
+      "tradewindsnews.com",
+      "upstreamonline.com",
+      "dnevnik.bg",
+      "editorialedomani.it",
+      "doorbraak.be",
+      "###_nl_dpg_media",
+      "demorgen.be",
+      "flair.nl",
+      "humo.be",
+      "libelle.nl",
+      "margriet.nl",
+      "parool.nl",
+      "trouw.nl",
+      "volkskrant.nl",
+      "eastwest.eu",
+      "eldiario.es",
+      "elle.fr",
+      "esprit.presse.fr",
+      "standard.co.uk",
+      "expresso.pt",
+      "###_nl_eu_ftm",
+      "ftm.eu",
+      "ftm.nl",
+      "forbes.ua",
+      "###_de_funke_medien",
+      "abendblatt.de",
+      "braunschweiger-zeitung.de",
+      "ikz-online.de",
+      "morgenpost.de",
+      "nrz.de",
+      "otz.de",
+      "thueringer-allgemeine.de",
+      "tlz.de",
+      "waz.de",
+      "wp.de",
+      "wr.de",
+      "golem.de",
+      "###_pl_gremi_media",
+      "parkiet.com",
+      "rp.pl",
+      "groene.nl",
+      "###_ch_esh_medias",
+      "arcinfo.ch",
+      "lacote.ch",
+      "lenouvelliste.ch",
+      "###_be_groupe_ipm",
+      "dhnet.be",
+      "lalibre.be",
+      "lavenir.net",
+      "###_fr_groupe_la_depeche",
+      "centrepresseaveyron.fr",
+      "journaldemillau.fr",
+      "ladepeche.fr",
+      "lindependant.fr",
+      "midilibre.fr",
+      "nrpyrenees.fr",
+      "petitbleu.fr",
+      "rugbyrama.fr",
+      "###_fr_groupe_nice_matin",
+      "monacomatin.mc",
+      "nicematin.com",
+      "varmatin.com",
+      "###_fr_groupe_prof_sante",
+      "lequotidiendumedecin.fr",
+      "lequotidiendupharmacien.fr",
+      "###_fr_be_groupe_rossel",
+      "aisnenouvelle.fr",
+      "courrier-picard.fr",
+      "lardennais.fr",
+      "lesoir.be",
+      "lest-eclair.fr",
+      "liberation-champagne.fr",
+      "lunion.fr",
+      "nordlittoral.fr",
+      "paris-normandie.fr",
+      "###_fr_groupe_sud_ouest",
+      "sudouest.fr",
+      "charentelibre.fr",
+      "larepubliquedespyrenees.fr",
+      "###_es_unidad",
+      "elmundo.es",
+      "expansion.com",
+      "marca.com",
+      "###_es_grupo_vocento",
+      "abc.es",
+      "canarias7.es",
+      "diariosur.es",
+      "diariovasco.com",
+      "elcomercio.es",
+      "elcorreo.com",
+      "eldiariomontanes.es",
+      "elnortedecastilla.es",
+      "hoy.es",
+      "ideal.es",
+      "larioja.com",
+      "lasprovincias.es",
+      "laverdad.es",
+      "lavozdigital.es",
+      "###_it_gedi",
+      "huffingtonpost.it",
+      "italian.tech",
+      "lastampa.it",
+      "lescienze.it",
+      "moda.it",
+      "heise.de",
+      "hln.be",
+      "ilfattoquotidiano.it",
+      "ilfoglio.it",
+      "ilmanifesto.it",
+      "###_it_ilmessaggero",
+      "corriereadriatico.it",
+      "ilgazzettino.it",
+      "ilmattino.it",
+      "ilmessaggero.it",
+      "quotidianodipuglia.it",
+      "inews.co.uk",
+      "internazionale.it",
+      "investorschronicle.co.uk",
+      "independent.ie",
+      "italiaoggi.it",
+      "jacobin.de",
+      "ksta.de",
+      "rundschau-online.de",
+      "krautreporter.de",
+      "kurier.at",
+      "lecho.be",
+      "lexpress.fr",
+      "lopinion.fr",
+      "gazzetta.it",
+      "lanouvellerepublique.fr",
+      "latribune.fr",
+      "###_de_lv",
+      "profi.de",
+      "topagrar.com",
+      "wochenblatt.com",
+      "lecourrierdesstrateges.fr",
+      "legrandcontinent.eu",
+      "lejdd.fr",
+      "lenouveleconomiste.fr",
+      "leparisien.fr",
+      "lepoint.fr",
+      "letelegramme.fr",
+      "le1hebdo.fr",
+      "lesechos.fr",
+      "liberation.fr",
+      "linda.nl",
+      "literaryreview.co.uk",
+      "lrb.co.uk",
+      "manager-magazin.de",
+      "###_be_mediahuis",
+      "gva.be",
+      "hbvl.be",
+      "nieuwsblad.be",
+      "standaard.be",
+      "###_de_motor_presse",
+      "aerokurier.de",
+      "auto-motor-und-sport.de",
+      "flugrevue.de",
+      "motorradonline.de",
+      "womenshealth.de",
+      "merkur.de",
+      "nw.de",
+      "nzz.ch",
+      "nv.ua",
+      "nwzonline.de",
+      "nrc.nl",
+      "nyteknik.se",
+      "observador.pt",
+      "philomag.de",
+      "piqd.de",
+      "politis.fr",
+      "polityka.pl",
+      "pourlascience.fr",
+      "profil.at",
+      "prospectmagazine.co.uk",
+      "public.fr",
+      "publico.es",
+      "pb.pl",
+      "###_it_quotidiano",
+      "ilgiorno.it",
+      "ilrestodelcarlino.it",
+      "iltelegrafolivorno.it",
+      "lanazione.it",
+      "quotidiano.net",
+      "record.pt",
+      "revue21.fr",
+      "###_de_rp_medien",
+      "ga.de",
+      "rp-online.de",
+      "saarbruecker-zeitung.de",
+      "volksfreund.de",
+      "###_ch_ringier",
+      "beobachter.ch",
+      "blick.ch",
+      "handelszeitung.ch",
+      "###_pl_ringier",
+      "auto-swiat.pl",
+      "businessinsider.com.pl",
+      "forbes.pl",
+      "komputerswiat.pl",
+      "newsweek.pl",
+      "onet.pl",
+      "sabado.pt",
+      "schweizermonat.ch",
+      "sciencesetavenir.fr",
+      "spektrum.de",
+      "sport.sky.it",
+      "springermedizin.de",
+      "stern.de",
+      "stylist.co.uk",
+      "suomensotilas.fi",
+      "sueddeutsche.de",
+      "suedkurier.de",
+      "t3n.de",
+      "telegraaf.nl",
+      "thecritic.co.uk",
+      "independent.co.uk",
+      "themarket.ch",
+      "theneweuropean.co.uk",
+      "spectator.co.uk",
+      "###_uk_thestage_media",
+      "thebookseller.com",
+      "thestage.co.uk",
+      "telegraph.co.uk",
+      "the-tls.co.uk",
+      "vn.at",
+      "vol.at",
+      "vn.nl",
+      "weltkunst.de",
+      "weser-kurier.de",
+      "###_pl_wyborcza_group",
+      "magazyn-kuchnia.pl",
+      "wyborcza.biz",
+      "wyborcza.pl",
+      "wysokieobcasy.pl"
+    ]
+  },
+  "india": {
+    "file": "sites/chunks/sites-india.js",
+    "domains": [
+      "indiatoday.in",
+      "livelaw.in",
+      "###_economictimes",
+      "economictimes.com",
+      "economictimes.indiatimes.com",
+      "###_timesofindia",
+      "epaper.indiatimes.com",
+      "timesofindia.indiatimes.com"
+    ]
+  },
+  "asia": {
+    "file": "sites/chunks/sites-asia.js",
+    "domains": [
+      "businessinsider.jp",
+      "cw.com.tw",
+      "globes.co.il",
+      "###_il_haaretz_group",
+      "haaretz.co.il",
+      "haaretz.com",
+      "themarker.com",
+      "kompas.id",
+      "mainichi.jp",
+      "###_sg_sph_media",
+      "straitstimes.com",
+      "japantimes.co.jp",
+      "ynet.co.il"
+    ]
+  },
+  "oceania": {
+    "file": "sites/chunks/sites-oceania.js",
+    "domains": [
+      "###_au_news_corp",
+      "adelaidenow.com.au",
+      "cairnspost.com.au",
+      "codesports.com.au",
+      "couriermail.com.au",
+      "dailytelegraph.com.au",
+      "geelongadvertiser.com.au",
+      "goldcoastbulletin.com.au",
+      "heraldsun.com.au",
+      "theaustralian.com.au",
+      "thechronicle.com.au",
+      "themercury.com.au",
+      "townsvillebulletin.com.au",
+      "weeklytimesnow.com.au",
+      "###_au_nine_ent",
+      "afr.com",
+      "brisbanetimes.com.au",
+      "smh.com.au",
+      "theage.com.au",
+      "watoday.com.au",
+      "forbes.com.au",
+      "###_au_investsmart",
+      "intelligentinvestor.com.au",
+      "investsmart.com.au",
+      "macrobusiness.com.au",
+      "nzherald.co.nz",
+      "###_au_private_media",
+      "crikey.com.au",
+      "inc-aus.com",
+      "smartcompany.com.au",
+      "themandarin.com.au",
+      "thesaturdaypaper.com.au",
+      "spectator.com.au"
+    ]
+  },
+  "americas": {
+    "file": "sites/chunks/sites-americas.js",
+    "domains": [
+      "cartacapital.com.br",
+      "correiodopovo.com.br",
+      "crusoe.com.br",
+      "df.cl",
+      "elobservador.com.uy",
+      "elpais.com.uy",
+      "em.com.br",
+      "gauchazh.clicrbs.com.br",
+      "gazetadopovo.com.br",
+      "###_ca_groupe_quebecor",
+      "journaldemontreal.com",
+      "journaldequebec.com",
+      "abril.com.br",
+      "###_ar_grupo_clarin",
+      "clarin.com",
+      "lavoz.com.ar",
+      "losandes.com.ar",
+      "ole.com.ar",
+      "###_pe_grupo_elcomercio",
+      "diariocorreo.pe",
+      "elcomercio.pe",
+      "gestion.pe",
+      "ipolitics.ca",
+      "ladiaria.com.uy",
+      "lanacion.com.ar",
+      "nsctotal.com.br",
+      "estadao.com.br",
+      "###_ca_torstar",
+      "niagarafallsreview.ca",
+      "stcatharinesstandard.ca",
+      "thepeterboroughexaminer.com",
+      "therecord.com",
+      "thespec.com",
+      "thestar.com",
+      "wellandtribune.ca",
+      "uol.com.br"
+    ]
+  },
+  "africa": {
+    "file": "sites/chunks/sites-africa.js",
+    "domains": [
+      "standardmedia.co.ke"
+    ]
+  }
+};
@@ -0,0 +1,201 @@
+/**
+ * Fake extension api (chrome.*) for tests
+ * Storage areas keep data in memory, events collect listeners (dispatch to fire them), session rules (declarativeNetRequest) in memory,
+ * all other api calls are recorded no-ops (return a promise, callbacks are not called)
+ * Storage calls with callback return nothing (errors in runtime.lastError), without callback a promise (promises: false as manifest v2 Chrome: nothing)
+ */
+
+'use strict';
+
+function clone(value) {
+  return (value === undefined) ? value : structuredClone(value);
+}
+
+function later(callback, result) {
+  return new Promise(resolve => setTimeout(() => {
+    if (typeof callback === 'function')
+      callback(result);
+    resolve(result);
+  }, 0));
+}
+
+class FakeEvent {
+  constructor() {
+    this.listeners = [];
+  }
+
+  addListener(listener) {
+    if (!this.listeners.includes(listener))
+      this.listeners.push(listener);
+  }
+
+  removeListener(listener) {
+    this.listeners = this.listeners.filter(x => x !== listener);
+  }
+
+  hasListener(listener) {
+    return this.listeners.includes(listener);
+  }
+
+  /**
+   * Call all listeners, returns their results
+   */
+  dispatch(...args) {
+    return this.listeners.map(listener => listener(...args));
+  }
+}
+
+class FakeStorageArea {
+  constructor(areaName, onChanged, initial = {}, api = null) {
+    this.areaName = areaName;
+    this.onChanged = onChanged;
+    this.data = clone(initial);
+    this.failSet = false;
+    this.api = api;
+    this.promises = !api || api.promises;
+  }
+
+  /**
+   * Result by callback (error in runtime.lastError while callback runs) or promise (without callback)
+   */
+  respond(callback, result, error) {
+    if (typeof callback === 'function') {
+      setTimeout(() => {
+        let overrides = this.api ? this.api.overrides : {};
+        overrides['runtime.lastError'] = error ? {message: error.message} : undefined;
+        try {
+          callback(error ? undefined : result);
+        } finally {
+          overrides['runtime.lastError'] = undefined;
+        }
+      }, 0);
+      return undefined;
+    }
+    if (!this.promises)
+      return undefined;
+    return error ? Promise.reject(error) : later(null, result);
+  }
+
+  get(keys, callback) {
+    let result = {};
+    if (keys === null || keys === undefined)
+      result = clone(this.data);
+    else if (typeof keys === 'string' || Array.isArray(keys)) {
+      for (let key of [].concat(keys)) {
+        if (this.data.hasOwnProperty(key))
+          result[key] = clone(this.data[key]);
+      }
+    } else {
+      for (let key in keys)
+        result[key] = this.data.hasOwnProperty(key) ? clone(this.data[key]) : keys[key];
+    }
+    return this.respond(callback, result);
+  }
+
+  set(items, callback) {
+    if (this.failSet)
+      return this.respond(callback, undefined, new Error('fake storage: set failed (' + this.areaName + ')'));
+    let changes = {};
+    for (let key in items) {
+      changes[key] = {oldValue: clone(this.data[key]), newValue: clone(items[key])};
+      this.data[key] = clone(items[key]);
+    }
+    this.onChanged.dispatch(changes, this.areaName);
+    return this.respond(callback);
+  }
+
+  remove(keys, callback) {
+    let changes = {};
+    for (let key of [].concat(keys)) {
+      if (this.data.hasOwnProperty(key)) {
+        changes[key] = {oldValue: this.data[key]};
+        delete this.data[key];
+      }
+    }
+    this.onChanged.dispatch(changes, this.areaName);
+    return this.respond(callback);
+  }
+
+  clear(callback) {
+    return this.remove(Object.keys(this.data), callback);
+  }
+}
+
+/**
+ * Create fake api: {chrome, storage, calls, events, sessionRules, overrides}
+ * options: {manifest, local, sync, session, promises (default true), overrides: {'path.name': value}}
+ */
+function createFakeExtApi(options = {}) {
+  let sessionRules = [];
+  let api = {
+    promises: options.promises !== false,
+    calls: [],
+    events: {},
+    sessionRules: () => clone(sessionRules),
+    overrides: Object.assign({
+      'runtime.lastError': undefined,
+      'runtime.id': 'fake-extension-id',
+      'runtime.getManifest': () => clone(options.manifest || {manifest_version: 3, version: '0.0.0', name: 'Bypass Paywalls Clean'}),
+      'runtime.getURL': (path) => 'chrome-extension://fake-extension-id/' + String(path).replace(/^\//, ''),
+      // session rules kept in memory
+      'declarativeNetRequest.getSessionRules': (callback) => later(callback, clone(sessionRules)),
+      'declarativeNetRequest.getDynamicRules': (callback) => later(callback, []),
+      // no static rulesets (as Chrome < 111)
+      'declarativeNetRequest.updateStaticRules': undefined,
+      'declarativeNetRequest.updateSessionRules': (update, callback) => {
+        let removeRuleIds = update.removeRuleIds || [];
+        sessionRules = sessionRules.filter(rule => !removeRuleIds.includes(rule.id));
+        for (let rule of update.addRules || []) {
+          if (sessionRules.some(x => x.id === rule.id))
+            return Promise.reject(new Error('fake dnr: duplicate rule id ' + rule.id));
+          sessionRules.push(clone(rule));
+        }
+        return later(callback);
+      }
+    }, options.overrides || {})
+  };
+  let onChanged = new FakeEvent();
+  api.events['storage.onChanged'] = onChanged;
+  api.storage = {
+    local: new FakeStorageArea('local', onChanged, options.local || {}, api),
+    sync: new FakeStorageArea('sync', onChanged, options.sync || {}, api),
+    session: new FakeStorageArea('session', onChanged, options.session || {}, api),
+    onChanged: onChanged
+  };
+
+  function fakeNamespace(path) {
+    let cache = {};
+    // root object (typeof chrome === 'object'), functions below
+    return new Proxy(path ? function () {} : {}, {
+      get(target, prop) {
+        if (typeof prop === 'symbol' || prop === 'then')
+          return undefined;
+        let key = path ? path + '.' + prop : prop;
+        if (api.overrides.hasOwnProperty(key))
+          return api.overrides[key];
+        if (key === 'storage')
+          return api.storage;
+        if (!cache[prop]) {
+          if (/^on[A-Z]/.test(prop))
+            cache[prop] = api.events[key] = new FakeEvent();
+          else
+            cache[prop] = fakeNamespace(key);
+        }
+        return cache[prop];
+      },
+      set(target, prop, value) {
+        api.overrides[path ? path + '.' + prop : prop] = value;
+        return true;
+      },
+      apply(target, thisArg, args) {
+        api.calls.push({name: path, args: args});
+        return Promise.resolve();
+      }
+    });
+  }
+
+  api.chrome = fakeNamespace('');
+  return api;
+}
+
+module.exports = {createFakeExtApi, FakeEvent, FakeStorageArea};
@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+/**
+ * Manifest v2 background tests: background scripts of custom/mv2/manifest.json with fake api (test/fake-ext-api.js),
+ * storage calls with callback only (as manifest v2 Chrome)
+ * Handshake of contentScript.js (bg2csData) right after start for enabled & disabled site, startup time & injection latency (perfMonitor),
+ * blocked script of site (block_regex by regexCache) & cache hit rate
+ *
+ * Usage: node test/run-background-mv2.js [--verbose]
+ */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const {createFakeExtApi} = require('./fake-ext-api');
+
+const root = path.join(__dirname, '..');
+const verbose = process.argv.includes('--verbose');
+const user_agent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+function readFile(file) {
+  return fs.readFileSync(path.join(root, file), 'utf8');
+}
+
+function quietConsole() {
+  let noop = function () {};
+  return verbose ? console : {log: noop, info: noop, warn: noop, debug: noop, error: noop, time: noop, timeEnd: noop};
+}
+
+// background scripts of manifest v2 (enabled sites: title → domain): {context, api, stop}
+async function loadBackground(sites) {
+  let manifest = JSON.parse(readFile('custom/mv2/manifest.json'));
+  let api = createFakeExtApi({
+    manifest: manifest,
+    promises: false,
+    local: {
+      sites: sites,
+      sites_default: Object.keys(sites),
+      ext_version_old: manifest.version,
+      optIn: false,
+      optInUpdate: false
+    }
+  });
+  let timers = [];
+  let context = vm.createContext({
+    console: quietConsole(),
+    navigator: {userAgent: user_agent},
+    chrome: api.chrome,
+    URL, URLSearchParams, TextEncoder, TextDecoder, atob, btoa, structuredClone,
+    fetch: () => Promise.reject(new Error('no network in test')),
+    performance: performance,
+    setTimeout: (fn, ms, ...args) => {
+      let timer = setTimeout(fn, ms, ...args);
+      timers.push(timer);
+      return timer;
+    },
+    clearTimeout: clearTimeout,
+    setInterval: () => 0,
+    clearInterval: () => {},
+    addEventListener: () => {}
+  });
+  context.self = context;
+  for (let file of manifest.background.scripts)
+    vm.runInContext(readFile(file), context, {filename: file});
+  // no wait for set_rules: handshake right after start (handshake waits for rules)
+  return {context, api, stop: () => timers.forEach(timer => clearTimeout(timer))};
+}
+
+// handshake of contentScript.js (runtime message of tab): response of sendResponse
+function handshake(api, url, time) {
+  return new Promise((resolve, reject) => {
+    let timer = setTimeout(() => reject(new Error('no response to handshake: ' + url)), 3000);
+    api.events['runtime.onMessage'].dispatch({request: 'bg2cs', data: {url: url, time: time}}, {tab: {id: 1}}, function (response) {
+      clearTimeout(timer);
+      resolve(response);
+    });
+  });
+}
+
+const tests = {
+  'handshake of enabled site': async () => {
+    let background = await loadBackground({'Der Freitag': 'freitag.de'});
+    try {
+      let response = await handshake(background.api, 'https://www.freitag.de/autoren/article', 12);
+      assert.strictEqual(response.enabled, true);
+      assert.ok(response.data && Object.keys(response.data).length, 'bg2csData');
+      let startup = background.context.perfMonitor.getHistory().startup;
+      assert.strictEqual(startup.length, 1);
+      let injection = background.context.perfMonitor.getHistory().injection;
+      assert.strictEqual(injection.length, 1);
+      assert.strictEqual(injection[0].label, 'freitag.de');
+    } finally {
+      background.stop();
+    }
+  },
+
+  'handshake of disabled site': async () => {
+    let background = await loadBackground({'Der Freitag': 'freitag.de'});
+    try {
+      let response = await handshake(background.api, 'https://t3n.de/news/article', 12);
+      assert.strictEqual(response.enabled, false);
+      assert.deepStrictEqual(JSON.parse(JSON.stringify(response.data)), {});
+      assert.strictEqual(background.context.perfMonitor.getHistory().injection.length, 0);
+    } finally {
+      background.stop();
+    }
+  },
+
+  'blocked script of site (regexCache)': async () => {
+    let background = await loadBackground({'Nordwest Zeitung': 'nwzonline.de'});
+    try {
+      await background.context.rulesReady;
+      let request = url => background.api.events['webRequest.onBeforeSendHeaders'].dispatch({url: url, type: 'script', tabId: 1, initiator: 'https://www.nwzonline.de', requestHeaders: []})[0];
+      let cancelled = url => !!(request(url) || {}).cancel;
+      assert.strictEqual(cancelled('https://experience.piano.io/xbuilder/experience/load'), true);
+      assert.strictEqual(cancelled('https://experience.piano.io/xbuilder/experience/load'), true);
+      assert.strictEqual(cancelled('https://www.nwzonline.de/app.js'), false);
+      let stats = background.context.regexCache.getStats();
+      assert.ok(stats.hits >= 1 && stats.misses >= 2, JSON.stringify(stats));
+      let perfMonitor = background.context.perfMonitor;
+      await perfMonitor.save();
+      let hit_rate = perfMonitor.getHistory().cacheHitRate;
+      assert.strictEqual(hit_rate.length, 1);
+      assert.ok(hit_rate[0].value > 0 && hit_rate[0].value < 100, JSON.stringify(hit_rate));
+    } finally {
+      background.stop();
+    }
+  }
+};
+
+async function main() {
+  let failed = 0;
+  for (let name in tests) {
+    try {
+      await tests[name]();
+      console.log('ok   ' + name);
+    } catch (err) {
+      failed++;
+      console.log('FAIL ' + name);
+      console.log('  ' + (err.stack || String(err)));
+    }
+  }
+  let total = Object.keys(tests).length;
+  console.log(`\n${total - failed}/${total} tests passed`);
+  process.exit(failed ? 1 : 0);
+}
+
+main();
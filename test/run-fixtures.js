@@ -0,0 +1,335 @@
+#!/usr/bin/env node
+/**
+ * Offline rule test runner
+ * Loads recorded page fixtures (test/fixtures/*.json) into jsdom, runs contentScript.js (& site module) with the
+ * bg2csData of the matching rule (handshake with background.js) and checks the paywall is removed & article text is present.
+ * Scripts of block_regex are checked against the compiled DNR block rules (dnrCompiler).
+ * External fetches (getJsonUrl/getArchive/getOchToUnlock) are served by a local http stand-in from the fixture.
+ *
+ * Usage: node test/run-fixtures.js [domain ...]
+ * Needs jsdom (npm install --no-save jsdom)
+ */
+
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const vm = require('vm');
+const {JSDOM} = require('jsdom');
+const {createFakeExtApi} = require('./fake-ext-api');
+
+const root = path.join(__dirname, '..');
+const fixtures_dir = path.join(__dirname, 'fixtures');
+const fixture_timeout = 6000;
+const user_agent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+function readFile(file) {
+  return fs.readFileSync(path.join(root, file), 'utf8');
+}
+
+function quietConsole(verbose) {
+  let noop = function () {};
+  return verbose ? console : {log: noop, info: noop, warn: noop, debug: noop, error: noop, time: noop, timeEnd: noop};
+}
+
+// local http stand-in for external sources (responses recorded in fixture)
+function startStandIn(responses) {
+  let served = [];
+  let missing = [];
+  function findResponse(url) {
+    if (responses[url])
+      return responses[url];
+    // archive.is uses a random tld (archiveRandomDomain)
+    let url_archive = url.replace(/^https:\/\/archive\.\w+\//, 'https://archive.is/');
+    return responses[url_archive];
+  }
+  let server = http.createServer((req, res) => {
+    let url = new URL(req.url, 'http://localhost').searchParams.get('url');
+    let response = findResponse(url);
+    if (response) {
+      served.push(url);
+      res.writeHead(response.status || 200, {'Content-Type': response.contentType || 'text/html'});
+      res.end(response.body);
+    } else {
+      missing.push(url);
+      res.writeHead(404, {'Content-Type': 'text/plain'});
+      res.end('not recorded in fixture: ' + url);
+    }
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    let port = server.address().port;
+    resolve({
+      served,
+      missing,
+      fetch: (url, options = {}) => fetch('http://127.0.0.1:' + port + '/?url=' + encodeURIComponent(url), {method: options.method || 'GET'}),
+      close: () => new Promise(done => server.close(done))
+    });
+  }));
+}
+
+// background.js with fake extension api (all default sites enabled)
+async function loadBackground(fixture, standIn, verbose) {
+  let manifest = JSON.parse(readFile('manifest.json'));
+  let sites_context = vm.createContext({console: quietConsole(false)});
+  vm.runInContext(readFile('sites.js'), sites_context);
+  let defaultSites = vm.runInContext('defaultSites', sites_context);
+  let sites = {};
+  for (let title in defaultSites) {
+    if (defaultSites[title].domain && !defaultSites[title].domain.match(/^(#options_|###$)/))
+      sites[title] = defaultSites[title].domain;
+  }
+  let sites_custom = fixture.sites_custom || {};
+  for (let title in sites_custom)
+    sites[title] = sites_custom[title].domain;
+  let api = createFakeExtApi({
+    manifest: manifest,
+    local: {
+      sites: sites,
+      sites_default: Object.keys(sites),
+      sites_custom: sites_custom,
+      sites_updated: fixture.sites_updated || {},
+      ext_version_old: manifest.version,
+      optIn: false,
+      optInUpdate: false
+    }
+  });
+  let timers = [];
+  let context = vm.createContext({
+    console: quietConsole(verbose),
+    navigator: {userAgent: user_agent},
+    chrome: api.chrome,
+    URL, URLSearchParams, TextEncoder, TextDecoder, atob, btoa, structuredClone,
+    fetch: (url, options) => /^https?:/.test(url) ? standIn.fetch(url, options) : Promise.resolve(new Response(readFile(url))),
+    performance: performance,
+    setTimeout: (fn, ms, ...args) => {
+      let timer = setTimeout(fn, ms, ...args);
+      timers.push(timer);
+      return timer;
+    },
+    clearTimeout: clearTimeout,
+    setInterval: () => 0,
+    clearInterval: () => {},
+    addEventListener: () => {}
+  });
+  context.self = context;
+  context.importScripts = (...files) => {
+    for (let file of files)
+      vm.runInContext(readFile(file), context, {filename: file});
+  };
+  vm.runInContext(readFile('background.js'), context, {filename: 'background.js'});
+  // wait for set_rules (storage callback)
+  let start = Date.now();
+  while (!vm.runInContext('typeof enabledSites !== "undefined" && enabledSites.length > 0', context) && Date.now() - start < 3000)
+    await new Promise(resolve => setTimeout(resolve, 20));
+  // site chunks (all loaded without static rulesets)
+  await context.siteChunksPreloaded;
+  context.stop = () => timers.forEach(timer => clearTimeout(timer));
+  return context;
+}
+
+// getExtSrc (background.js & offscreen.js): fetch source & select article
+async function getExtSrc(data, standIn) {
+  let url_src = data.url_src || data.url;
+  data.html = '';
+  try {
+    let response = await standIn.fetch(url_src);
+    if (response.ok) {
+      let html = await response.text();
+      if (data.base64) {
+        html = Buffer.from(html, 'base64').toString('utf8');
+        data.selector_source = 'body';
+      }
+      let doc = new JSDOM(html).window.document;
+      let article_new = doc.querySelector(data.selector_source);
+      data.html = article_new ? article_new.outerHTML : '';
+    }
+  } catch (err) {
+    data.html = '';
+  }
+  return data;
+}
+
+function loadPage(fixture, background, standIn, verbose) {
+  let dom = new JSDOM(fixture.html, {url: fixture.url, runScripts: 'outside-only', pretendToBeVisual: true});
+  let window = dom.window;
+  let onMessage = [];
+  // jsdom has no layout: innerText as textContent
+  Object.defineProperty(window.HTMLElement.prototype, 'innerText', {
+    get() {
+      return this.textContent;
+    },
+    set(value) {
+      this.textContent = value;
+    },
+    configurable: true
+  });
+  window.console = quietConsole(verbose);
+  window.scrollTo = function () {};
+  window.fetch = (url, options) => standIn.fetch(new URL(url, window.location.href).href, options);
+  window.chrome = {
+    runtime: {
+      onMessage: {
+        addListener: listener => onMessage.push(listener),
+        removeListener: listener => onMessage.splice(onMessage.indexOf(listener), 1)
+      },
+      id: 'fake-extension-id',
+      lastError: undefined,
+      sendMessage: function (message, callback) {
+        // handshake of contentScript.js (bg2csData)
+        if (message.request === 'bg2cs' && message.data) {
+          background.csHandshake(message.data.url).then(response => {
+            if (typeof callback === 'function')
+              callback(response);
+          });
+          return;
+        }
+        if (message.request === 'getExtSrc' && message.data) {
+          getExtSrc(message.data, standIn).then(data => {
+            for (let listener of onMessage)
+              listener({msg: 'showExtSrc', data: data}, {});
+          });
+        }
+        return Promise.resolve();
+      },
+      getManifest: () => JSON.parse(readFile('manifest.json')),
+      getURL: path => 'chrome-extension://fake-extension-id/' + path
+    }
+  };
+  window.sendToContent = function (message) {
+    for (let listener of onMessage)
+      listener(message, {});
+  };
+  return dom;
+}
+
+function checkPage(window, expect) {
+  let document = window.document;
+  let errors = [];
+  if (expect.paywall && document.querySelector(expect.paywall))
+    errors.push('paywall still present: ' + expect.paywall);
+  if (expect.hidden) {
+    for (let elem of document.querySelectorAll(expect.hidden)) {
+      if (window.getComputedStyle(elem).display !== 'none') {
+        errors.push('element not hidden: ' + expect.hidden);
+        break;
+      }
+    }
+  }
+  if (expect.text) {
+    // article can be replaced (by new element)
+    let article = (expect.article && document.querySelector(expect.article)) || document.body;
+    if (!article.textContent.replace(/\s+/g, ' ').includes(expect.text))
+      errors.push('article text not found: ' + expect.text);
+  } else if (expect.article && !document.querySelector(expect.article))
+    errors.push('article not found: ' + expect.article);
+  return errors;
+}
+
+// urlFilter of DNR rule as regex (|| domain anchor, | start/end anchor, * wildcard, ^ separator)
+function urlFilterRegExp(url_filter) {
+  let prefix = '';
+  let suffix = '';
+  if (url_filter.startsWith('||')) {
+    prefix = '^[a-z]+:\\/\\/([^\\/]+\\.)?';
+    url_filter = url_filter.slice(2);
+  } else if (url_filter.startsWith('|')) {
+    prefix = '^';
+    url_filter = url_filter.slice(1);
+  }
+  if (url_filter.endsWith('|')) {
+    suffix = '$';
+    url_filter = url_filter.slice(0, -1);
+  }
+  let source = url_filter.split('').map(x => (x === '*') ? '.*' : (x === '^') ? '([^\\w.%-]|$)' : x.replace(/[.+?${}()|[\]\\\/]/, '\\$&')).join('');
+  return new RegExp(prefix + source + suffix, 'i');
+}
+
+// block rule (DNR rules of dnrCompiler) for script of page
+function blockedBy(background, url, page_url) {
+  let matchDomains = (domains, hostname) => domains.some(domain => hostname === domain || hostname.endsWith('.' + domain));
+  let initiator = new URL(page_url).hostname;
+  let hostname = new URL(url).hostname;
+  for (let rule of background.dnrCompiler.rules.values()) {
+    let condition = rule.condition;
+    if (rule.action.type !== 'block' || (condition.resourceTypes && !condition.resourceTypes.includes('script')))
+      continue;
+    if ((condition.initiatorDomains && !matchDomains(condition.initiatorDomains, initiator)) || (condition.excludedInitiatorDomains && matchDomains(condition.excludedInitiatorDomains, initiator)))
+      continue;
+    if (condition.requestDomains && !matchDomains(condition.requestDomains, hostname))
+      continue;
+    let regex = condition.regexFilter ? new RegExp(condition.regexFilter) : urlFilterRegExp(condition.urlFilter || '*');
+    if (regex.test(url))
+      return rule;
+  }
+  return null;
+}
+
+async function runFixture(file, verbose) {
+  let fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+  let expect = fixture.expect || {};
+  let standIn = await startStandIn(fixture.responses || {});
+  let background = await loadBackground(fixture, standIn, verbose);
+  let dom;
+  let errors = [];
+  try {
+    let details = {url: fixture.url};
+    if (!background.isSiteEnabled(details))
+      errors.push('site not enabled for url: ' + fixture.url);
+    else {
+      // block_regex: scripts blocked on page
+      let errors_blocked = (expect.blocked || []).filter(url => !blockedBy(background, url, fixture.url)).map(url => 'script not blocked: ' + url);
+      let dompurify = !!background.matchUrlDomain(background.dompurify_sites, fixture.url);
+      dom = loadPage(fixture, background, standIn, verbose);
+      let window = dom.window;
+      if (dompurify)
+        window.eval(readFile('lib/purify.min.js'));
+      window.eval(readFile('lib/hostname-matcher.js'));
+      window.eval(readFile('lib/cs-domains.js'));
+      window.eval(readFile('contentScript.js'));
+      // site module of domain (or detect modules) like runOnTab
+      for (let file of background.getSiteModules(new URL(fixture.url).hostname).files)
+        window.eval(readFile(file));
+      let start = Date.now();
+      do {
+        await new Promise(resolve => setTimeout(resolve, 250));
+        errors = checkPage(window, expect);
+      } while (errors.length && Date.now() - start < (fixture.timeout || fixture_timeout));
+      if (errors.length && standIn.missing.length)
+        errors.push('responses not recorded: ' + standIn.missing.join(', '));
+      errors = errors_blocked.concat(errors);
+    }
+  } catch (err) {
+    errors.push(err.stack || String(err));
+  } finally {
+    if (dom)
+      dom.window.close();
+    background.stop();
+    await standIn.close();
+  }
+  return errors;
+}
+
+async function main() {
+  let args = process.argv.slice(2);
+  let verbose = args.includes('--verbose');
+  let domains = args.filter(x => !x.startsWith('--'));
+  let files = fs.existsSync(fixtures_dir) ? fs.readdirSync(fixtures_dir).filter(x => x.endsWith('.json')).sort() : [];
+  if (domains.length)
+    files = files.filter(file => domains.some(domain => file.replace(/\.json$/, '').endsWith(domain)));
+  let failed = 0;
+  for (let file of files) {
+    let errors = await runFixture(path.join(fixtures_dir, file), verbose);
+    if (errors.length) {
+      failed++;
+      console.log('FAIL ' + file);
+      for (let error of errors)
+        console.log('  ' + error);
+    } else
+      console.log('ok   ' + file);
+  }
+  console.log(`\n${files.length - failed}/${files.length} fixtures passed`);
+  process.exit(failed ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,202 @@
+#!/usr/bin/env node
+/**
+ * Migration tests (lib/migration.js) with fake storage (test/fake-ext-api.js)
+ * Steps on fresh & legacy storage, idempotent steps, dry run, rollback, failed step & failed backup
+ *
+ * Usage: node test/run-migration.js [--verbose]
+ */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const {createFakeExtApi} = require('./fake-ext-api');
+
+const root = path.join(__dirname, '..');
+const verbose = process.argv.includes('--verbose');
+
+function readFile(file) {
+  return fs.readFileSync(path.join(root, file), 'utf8');
+}
+
+function quietConsole() {
+  let noop = function () {};
+  return verbose ? console : {log: noop, info: noop, warn: noop, debug: noop, error: noop};
+}
+
+// lib/migration.js (& UserSettings for defaults) with fake storage: {migration, api}
+function loadMigration(storage = {}) {
+  let api = createFakeExtApi({local: storage.local, sync: storage.sync, overrides: {'i18n.getUILanguage': () => 'en-IN'}});
+  let context = vm.createContext({
+    console: quietConsole(),
+    chrome: api.chrome,
+    ext_api: api.chrome,
+    performance: performance,
+    setTimeout: setTimeout,
+    clearTimeout: clearTimeout
+  });
+  context.self = context;
+  for (let file of ['lib/logger.js', 'lib/user-settings.js', 'lib/migration.js'])
+    vm.runInContext(readFile(file), context, {filename: file});
+  return {migration: context.migration, api: api};
+}
+
+// result of checkAndMigrate as plain object (arrays of vm context aren't deepStrictEqual)
+async function migrate(migration, options) {
+  return JSON.parse(JSON.stringify(await migration.checkAndMigrate(options)));
+}
+
+function withoutBackup(data) {
+  let copy = JSON.parse(JSON.stringify(data));
+  delete copy.bpc_migration_backup;
+  return copy;
+}
+
+const legacy = {
+  local: {
+    bpc_migration_status: '4.0.0',
+    migration_completed: 1700000000000,
+    usageData: {'example.com': 7},
+    promotedSites: ['example.com'],
+    dnr_quota: {rules: 10}
+  },
+  sync: {
+    sites: {'Example': 'example.com', 'Other': 'other.com'},
+    userSettings: {features: {mediumRedirect: false, archiveRedirect: false}, siteOverrides: {'other.com': {disabled: true}, 'example.com': {disabled: false, ampRedirect: true}}}
+  }
+};
+
+const tests = {
+  'fresh storage': async () => {
+    let {migration, api} = loadMigration();
+    let result = await migrate(migration);
+    assert.strictEqual(result.error, undefined);
+    assert.deepStrictEqual([result.from, result.to], [0, 7]);
+    assert.strictEqual(api.storage.local.data.bpc_schema_version, 7);
+    let settings = api.storage.sync.data.userSettings;
+    assert.strictEqual(settings.preferredRegion, 'india');
+    assert.strictEqual(settings.features.mediumRedirect, true);
+    assert.strictEqual(api.storage.local.data.bpc_migration_backup.version, 0);
+  },
+
+  'legacy storage': async () => {
+    let {migration, api} = loadMigration(legacy);
+    let result = await migrate(migration);
+    assert.deepStrictEqual(result.steps.map(step => step.version), [1, 2, 3, 4, 5, 6, 7]);
+    let local = api.storage.local.data;
+    let sync = api.storage.sync.data;
+    assert.strictEqual(local.bpc_migration_status, undefined);
+    assert.strictEqual(local.migration_completed, undefined);
+    // disabled by site override (step 5)
+    assert.deepStrictEqual(local.sites, {'Example': 'example.com'});
+    assert.deepStrictEqual(sync.userSettings.siteOverrides, {'example.com': {ampRedirect: true}});
+    assert.strictEqual(sync.sites, undefined);
+    // not stored: on (steps 6 & 7), stored choice kept
+    assert.strictEqual(sync.userSettings.features.ampRedirect, true);
+    assert.strictEqual(sync.userSettings.features.archiveRedirect, false);
+    assert.strictEqual(sync.userSettings.features.mediumRedirect, false);
+    assert.strictEqual(sync.userSettings.performance.usageLearning, true);
+    assert.strictEqual(local.usageData['example.com'].score, 7);
+    assert.strictEqual(local.promotedSites, undefined);
+    // excluded from backup
+    assert.strictEqual(local.bpc_migration_backup.local.dnr_quota, undefined);
+  },
+
+  'stored features are kept': async () => {
+    let {migration} = loadMigration();
+    let state = {local: {}, sync: {userSettings: {features: {mediumRedirect: false, ampRedirect: false, archiveRedirect: true}}}};
+    for (let step of migration.steps.filter(step => step.version >= 6))
+      await step.migrate(state, migration);
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(state.sync.userSettings.features)), {mediumRedirect: false, ampRedirect: false, archiveRedirect: true});
+    state = {local: {}, sync: {userSettings: {features: {}}}};
+    for (let step of migration.steps.filter(step => step.version >= 6))
+      await step.migrate(state, migration);
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(state.sync.userSettings.features)), {ampRedirect: true, archiveRedirect: true, mediumRedirect: true});
+  },
+
+  'steps are idempotent': async () => {
+    let {migration} = loadMigration();
+    let state = JSON.parse(JSON.stringify(legacy));
+    for (let step of migration.steps) {
+      await step.migrate(state, migration);
+      let before = migration.clone(state);
+      await step.migrate(state, migration);
+      assert.strictEqual(migration.formatChanges(migration.diff(before, state)), 'no changes', 'step ' + step.version);
+    }
+  },
+
+  'no migration at current schema version': async () => {
+    let {migration, api} = loadMigration(legacy);
+    await migration.checkAndMigrate();
+    let local = JSON.stringify(api.storage.local.data);
+    let result = await migrate(migration);
+    assert.deepStrictEqual(result.steps, []);
+    assert.strictEqual(JSON.stringify(api.storage.local.data), local);
+  },
+
+  'dry run': async () => {
+    let {migration, api} = loadMigration(legacy);
+    let result = await migrate(migration, {dryRun: true});
+    assert.strictEqual(result.dryRun, true);
+    assert.strictEqual(result.to, 7);
+    assert.deepStrictEqual(result.steps[1].changes.sync.remove, ['sites']);
+    assert.deepStrictEqual(api.storage.local.data, legacy.local);
+    assert.deepStrictEqual(api.storage.sync.data, legacy.sync);
+  },
+
+  'rollback': async () => {
+    let {migration, api} = loadMigration(legacy);
+    await migration.checkAndMigrate();
+    assert.strictEqual(await migration.rollback(), true);
+    assert.deepStrictEqual(withoutBackup(api.storage.local.data), legacy.local);
+    assert.deepStrictEqual(api.storage.sync.data, legacy.sync);
+  },
+
+  'rollback without backup': async () => {
+    let {migration} = loadMigration(legacy);
+    assert.strictEqual(await migration.rollback(), false);
+  },
+
+  'failed step is rolled back': async () => {
+    let {migration, api} = loadMigration(legacy);
+    migration.register(8, 'failing step', state => {
+      throw new Error('step failed');
+    });
+    let result = await migrate(migration);
+    assert.strictEqual(result.error, 'step failed');
+    assert.strictEqual(result.to, 7);
+    assert.deepStrictEqual(withoutBackup(api.storage.local.data), legacy.local);
+    assert.deepStrictEqual(api.storage.sync.data, legacy.sync);
+  },
+
+  'no migration without backup': async () => {
+    let {migration, api} = loadMigration(legacy);
+    api.storage.local.failSet = true;
+    let result = await migrate(migration);
+    assert.ok(result.error);
+    assert.deepStrictEqual(result.steps, []);
+    assert.deepStrictEqual(api.storage.local.data, legacy.local);
+    assert.deepStrictEqual(api.storage.sync.data, legacy.sync);
+  }
+};
+
+async function main() {
+  let failed = 0;
+  for (let name in tests) {
+    try {
+      await tests[name]();
+      console.log('ok   ' + name);
+    } catch (err) {
+      failed++;
+      console.log('FAIL ' + name);
+      console.log('  ' + (err.stack || String(err)));
+    }
+  }
+  let total = Object.keys(tests).length;
+  console.log(`\n${total - failed}/${total} tests passed`);
+  process.exit(failed ? 1 : 0);
+}
+
+main();
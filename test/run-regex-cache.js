@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+/**
+ * RegexCache tests (lib/regex-cache.js): compiled patterns & memoized match results
+ * Cached results, LRU of results (count & bytes), ttl, evicted pattern (with its results) & stats
+ *
+ * Usage: node test/run-regex-cache.js [--verbose]
+ */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const root = path.join(__dirname, '..');
+const verbose = process.argv.includes('--verbose');
+
+function readFile(file) {
+  return fs.readFileSync(path.join(root, file), 'utf8');
+}
+
+function quietConsole() {
+  let noop = function () {};
+  return verbose ? console : {log: noop, info: noop, warn: noop, debug: noop, error: noop};
+}
+
+// new RegexCache of lib/regex-cache.js (options: RegexCache options & maxCacheSize)
+function loadCache(options = {}) {
+  let context = vm.createContext({console: quietConsole(), setTimeout: () => 0, clearTimeout: () => {}});
+  context.self = context;
+  for (let file of ['lib/logger.js', 'lib/regex-cache.js'])
+    vm.runInContext(readFile(file), context, {filename: file});
+  context.options = options;
+  return vm.runInContext('new RegexCache(options.maxCacheSize || 1000, options)', context);
+}
+
+const tests = {
+  'cached results': async () => {
+    let cache = loadCache();
+    let regex = cache.compile('\\.piano\\.io\\/');
+    assert.strictEqual(cache.compile('\\.piano\\.io\\/'), regex);
+    assert.strictEqual(cache.test(regex, 'https://cdn.piano.io/api.js'), true);
+    assert.strictEqual(cache.test(regex, 'https://cdn.piano.io/api.js'), true);
+    assert.strictEqual(cache.test(regex, 'https://example.com/app.js'), false);
+    let stats = cache.getStats();
+    assert.deepStrictEqual([stats.hits, stats.misses, stats.cachedResults], [1, 2, 2]);
+    assert.strictEqual(cache.compile('(invalid'), null);
+  },
+
+  'LRU of results by count & bytes': async () => {
+    let cache = loadCache({maxCacheSize: 2});
+    let regex = cache.compile('a');
+    cache.test(regex, 'https://a.com/1');
+    cache.test(regex, 'https://a.com/2');
+    cache.test(regex, 'https://a.com/1');
+    cache.test(regex, 'https://a.com/3');
+    assert.deepStrictEqual(Array.from(cache.matchResults.keys()).map(key => key.split(' ')[1]), ['https://a.com/1', 'https://a.com/3']);
+    assert.strictEqual(cache.getStats().evicted, 1);
+    let small = loadCache({maxBytes: 200});
+    for (let i = 0; i < 10; i++)
+      small.test('a', 'https://a.com/' + i);
+    assert.ok(small.bytes <= 200, 'bytes: ' + small.bytes);
+    assert.strictEqual(small.bytes, Array.from(small.matchResults.values()).reduce((sum, cached) => sum + cached.bytes, 0));
+  },
+
+  'expired results': async () => {
+    let cache = loadCache({ttl: 1});
+    cache.test('a', 'https://a.com/');
+    await new Promise(resolve => setTimeout(resolve, 5));
+    cache.test('a', 'https://a.com/');
+    let stats = cache.getStats();
+    assert.deepStrictEqual([stats.hits, stats.misses, stats.expired, stats.cachedResults], [0, 2, 1, 1]);
+  },
+
+  'evicted pattern with its results': async () => {
+    let cache = loadCache({maxPatterns: 2});
+    let regex_a = cache.compile('a\\.com');
+    cache.test(regex_a, 'https://a.com/');
+    cache.test('b\\.com', 'https://b.com/');
+    cache.test('c\\.com', 'https://c.com/');
+    // least recently used pattern (a) & its results removed
+    assert.strictEqual(cache.cache.size, 2);
+    assert.strictEqual(cache.patternIds.has(regex_a), false);
+    assert.deepStrictEqual(Array.from(cache.matchResults.keys()).map(key => key.split(' ')[1]), ['https://b.com/', 'https://c.com/']);
+    assert.strictEqual(cache.bytes, Array.from(cache.matchResults.values()).reduce((sum, cached) => sum + cached.bytes, 0));
+    // compiled again (new id): no stale result
+    assert.strictEqual(cache.test(regex_a, 'https://a.com/'), true);
+    assert.strictEqual(cache.getStats().hits, 0);
+  }
+};
+
+async function main() {
+  let failed = 0;
+  for (let name in tests) {
+    try {
+      await tests[name]();
+      console.log('ok   ' + name);
+    } catch (err) {
+      failed++;
+      console.log('FAIL ' + name);
+      console.log('  ' + (err.stack || String(err)));
+    }
+  }
+  let total = Object.keys(tests).length;
+  console.log(`\n${total - failed}/${total} tests passed`);
+  process.exit(failed ? 1 : 0);
+}
+
+main();
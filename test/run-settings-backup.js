@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+/**
+ * Backup tests (lib/settings-backup.js) with fake storage & permissions (test/fake-ext-api.js)
+ * Backup & restore on other device, validation, diff preview, restore with host permission denied & usage data with usage learning disabled
+ *
+ * Usage: node test/run-settings-backup.js [--verbose]
+ */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const {createFakeExtApi} = require('./fake-ext-api');
+
+const root = path.join(__dirname, '..');
+const verbose = process.argv.includes('--verbose');
+
+function readFile(file) {
+  return fs.readFileSync(path.join(root, file), 'utf8');
+}
+
+function quietConsole() {
+  let noop = function () {};
+  return verbose ? console : {log: noop, info: noop, warn: noop, debug: noop, error: noop};
+}
+
+// lib/settings-backup.js (& UserSettings, SiteValidator) with fake storage & granted origins: {backup, api, granted}
+async function loadBackup(storage = {}, origins = []) {
+  let granted = origins.slice();
+  let api = createFakeExtApi({
+    local: storage.local,
+    sync: storage.sync,
+    manifest: {manifest_version: 3, version: '4.0.0', host_permissions: ['*://*.example.com/*']},
+    // storage calls with callback only (as manifest v2 Chrome)
+    promises: false,
+    overrides: {
+      'permissions.getAll': (callback) => callback({origins: ['*://*.example.com/*'].concat(granted)}),
+      'permissions.contains': (permissions, callback) => callback(permissions.origins.every(x => granted.includes(x)))
+    }
+  });
+  let context = vm.createContext({
+    console: quietConsole(),
+    chrome: api.chrome,
+    ext_api: api.chrome,
+    setTimeout: () => 0,
+    clearTimeout: () => {}
+  });
+  context.self = context;
+  for (let file of ['lib/logger.js', 'lib/user-settings.js', 'lib/site-schema.js', 'lib/settings-backup.js'])
+    vm.runInContext(readFile(file), context, {filename: file});
+  await context.userSettings.init();
+  return {backup: context.settingsBackup, api, granted};
+}
+
+// value as plain object (objects of vm context aren't deepStrictEqual)
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+const device = {
+  local: {
+    sites: {'Example': 'example.com', 'Other': 'other.com'},
+    sites_custom: {'Custom': {domain: 'custom.com', allow_cookies: 1}},
+    sites_excluded: ['excluded.com'],
+    optIn: true,
+    usageData: {'example.com': {score: 3, last: 1700000000000}},
+    sync_status: {error: ''}
+  },
+  sync: {
+    userSettings: {features: {mediumRedirect: true}, siteOverrides: {'example.com': {ampRedirect: false}}}
+  }
+};
+
+const tests = {
+  'backup & restore on other device': async () => {
+    let a = await loadBackup(device, ['*://*.custom.com/*']);
+    let bundle = plain(await a.backup.create());
+    assert.strictEqual(bundle.format, 'bpc-backup');
+    assert.strictEqual(bundle.version, 1);
+    assert.strictEqual(bundle.extVersion, '4.0.0');
+    assert.deepStrictEqual(bundle.data.sites_excluded, ['excluded.com']);
+    assert.strictEqual(bundle.data.optInUpdate, true);
+    assert.strictEqual(bundle.data.sync_status, undefined);
+    // without host permissions of manifest
+    assert.deepStrictEqual(bundle.permissions.origins, ['*://*.custom.com/*']);
+    let b = await loadBackup();
+    let missing = plain(await b.backup.restore(bundle));
+    assert.deepStrictEqual(missing, ['*://*.custom.com/*']);
+    for (let key of ['sites', 'sites_custom', 'sites_excluded', 'optIn', 'usageData'])
+      assert.deepStrictEqual(b.api.storage.local.data[key], device.local[key], key);
+    let settings = b.api.storage.sync.data.userSettings;
+    assert.strictEqual(settings.features.mediumRedirect, true);
+    assert.strictEqual(settings.features.ampRedirect, true);
+    assert.deepStrictEqual(plain(settings.siteOverrides), device.sync.userSettings.siteOverrides);
+  },
+
+  'validation': async () => {
+    let {backup} = await loadBackup(device);
+    let bundle = plain(await backup.create());
+    assert.deepStrictEqual(plain(backup.validate(bundle)), []);
+    assert.ok(/not a backup/.test(backup.parse(JSON.stringify({sites: {}})).errors[0]));
+    assert.ok(/json/.test(backup.parse('{').errors[0]));
+    let invalid = plain(bundle);
+    invalid.version = 2;
+    invalid.data.sites_excluded = 'excluded.com';
+    invalid.data.optIn = 'yes';
+    invalid.data.sites_custom = {'Custom': {allow_cookies: 1}};
+    invalid.permissions.origins = ['custom.com'];
+    let errors = backup.validate(invalid).join('\n');
+    for (let pattern of [/version: 2 is newer/, /sites_excluded/, /optIn/, /sites_custom: .*domain/, /permissions\.origins/])
+      assert.ok(pattern.test(errors), pattern + '\n' + errors);
+    await assert.rejects(() => backup.restore(invalid), /Backup not valid/);
+    assert.deepStrictEqual(plain(backup.validate(Object.assign(plain(bundle), {data: {sites: {}}}))), []);
+  },
+
+  'diff preview': async () => {
+    let a = await loadBackup(device, ['*://*.custom.com/*']);
+    let bundle = plain(await a.backup.create());
+    let b = await loadBackup({
+      local: {sites: {'Example': 'example.com', 'New': 'new.com'}, sites_excluded: ['excluded.com'], optIn: false},
+      sync: {userSettings: {features: {mediumRedirect: false}}}
+    });
+    let changes = plain(await b.backup.diff(bundle)).map(change => [change.key, change.name, change.change].join(' '));
+    for (let change of ['sites New removed', 'sites Other added', 'sites_custom Custom added', 'optIn  changed', 'userSettings features.mediumRedirect changed',
+      'userSettings siteOverrides.example.com.ampRedirect added', 'usageData example.com added', 'permissions *://*.custom.com/* added'])
+      assert.ok(changes.includes(change), change + '\n' + changes.join('\n'));
+    assert.ok(!changes.some(change => change.startsWith('sites_excluded')));
+    // nothing changed by diff
+    assert.deepStrictEqual(plain(b.api.storage.local.data.sites), {'Example': 'example.com', 'New': 'new.com'});
+    // restored state: no changes
+    await b.backup.restore(bundle);
+    b.granted.push('*://*.custom.com/*');
+    assert.deepStrictEqual(plain(await b.backup.diff(bundle)), []);
+  },
+
+  'restore with host permission denied': async () => {
+    let a = await loadBackup(device, ['*://*.custom.com/*', '*://*.other.com/*']);
+    let bundle = plain(await a.backup.create());
+    // other.com granted on this device, custom.com denied (not granted by permissions.request)
+    let b = await loadBackup({}, ['*://*.other.com/*']);
+    let missing = plain(await b.backup.restore(bundle));
+    assert.deepStrictEqual(missing, ['*://*.custom.com/*']);
+    // settings restored anyway, custom site without host permission
+    assert.deepStrictEqual(b.api.storage.local.data.sites_custom, device.local.sites_custom);
+    assert.deepStrictEqual(b.api.storage.local.data.sites, device.local.sites);
+    assert.deepStrictEqual(plain(await b.backup.missingOrigins(bundle)), ['*://*.custom.com/*']);
+    let changes = plain(await b.backup.diff(bundle)).map(change => [change.key, change.name, change.change].join(' '));
+    assert.deepStrictEqual(changes, ['permissions *://*.custom.com/* added']);
+  },
+
+  'usage data with usage learning disabled': async () => {
+    let a = await loadBackup({local: device.local, sync: {userSettings: {performance: {usageLearning: false}}}});
+    let bundle = plain(await a.backup.create());
+    let b = await loadBackup();
+    await b.backup.restore(bundle);
+    assert.strictEqual(b.api.storage.local.data.usageData, undefined);
+    assert.strictEqual(b.api.storage.sync.data.userSettings.performance.usageLearning, false);
+  }
+};
+
+async function main() {
+  let failed = 0;
+  for (let name in tests) {
+    try {
+      await tests[name]();
+      console.log('ok   ' + name);
+    } catch (err) {
+      failed++;
+      console.log('FAIL ' + name);
+      console.log('  ' + (err.stack || String(err)));
+    }
+  }
+  let total = Object.keys(tests).length;
+  console.log(`\n${total - failed}/${total} tests passed`);
+  process.exit(failed ? 1 : 0);
+}
+
+main();
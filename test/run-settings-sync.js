@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+/**
+ * Sync tests (lib/settings-sync.js) with fake storage (test/fake-ext-api.js), devices share storage.sync
+ * First sync of device, latest change wins (incl. removed entries), chunks within item quota, quota exceeded & incomplete chunks
+ *
+ * Usage: node test/run-settings-sync.js [--verbose]
+ */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const {createFakeExtApi} = require('./fake-ext-api');
+
+const root = path.join(__dirname, '..');
+const verbose = process.argv.includes('--verbose');
+
+function readFile(file) {
+  return fs.readFileSync(path.join(root, file), 'utf8');
+}
+
+function quietConsole() {
+  let noop = function () {};
+  return verbose ? console : {log: noop, info: noop, warn: noop, debug: noop, error: noop};
+}
+
+// device with lib/settings-sync.js (& UserSettings), storage.sync of other device (shared): {sync, api}
+async function loadDevice(local = {}, options = {}, shared = null) {
+  // promises: false (manifest v2 Chrome: callbacks only)
+  let api = createFakeExtApi({local: Object.assign({sync_enabled: true}, local), sync: {userSettings: {}}, promises: false});
+  if (shared)
+    api.storage.sync.data = shared.storage.sync.data;
+  let context = vm.createContext({
+    console: quietConsole(),
+    chrome: api.chrome,
+    ext_api: api.chrome,
+    TextEncoder, Blob, Response, CompressionStream, DecompressionStream, atob, btoa,
+    // no timers (logger & scheduled sync), sync is run by test
+    setTimeout: () => 0,
+    clearTimeout: () => {}
+  });
+  context.self = context;
+  for (let file of ['lib/logger.js', 'lib/user-settings.js', 'lib/settings-sync.js'])
+    vm.runInContext(readFile(file), context, {filename: file});
+  context.options = options;
+  let sync = vm.runInContext('new SettingsSync(options)', context);
+  await context.userSettings.init();
+  await sync.init();
+  return {sync, api};
+}
+
+// local value as plain object (objects of vm context aren't deepStrictEqual)
+function localData(api, key) {
+  return JSON.parse(JSON.stringify(api.storage.local.data[key]));
+}
+
+async function setLocal(api, items) {
+  await new Promise(resolve => api.chrome.storage.local.set(items, resolve));
+}
+
+const tests = {
+  'first sync of device': async () => {
+    let a = await loadDevice({sites: {'Site A': 'a.com', 'Site B': 'b.com'}, sites_excluded: ['x.com']});
+    assert.strictEqual(localData(a.api, 'sync_status').error, '');
+    assert.ok(a.api.storage.sync.data.bpc_sync_meta.chunks >= 1);
+    // entries of device before sync (time 0): synced entries win, entries only on device are kept
+    let b = await loadDevice({sites: {'Site A': 'a.com', 'Site C': 'c.com'}, sites_excluded: []}, {}, a.api);
+    assert.deepStrictEqual(localData(b.api, 'sites'), {'Site A': 'a.com', 'Site B': 'b.com', 'Site C': 'c.com'});
+    assert.deepStrictEqual(localData(b.api, 'sites_excluded'), ['x.com']);
+    await a.sync.sync();
+    assert.deepStrictEqual(localData(a.api, 'sites'), {'Site A': 'a.com', 'Site B': 'b.com', 'Site C': 'c.com'});
+  },
+
+  'latest change wins': async () => {
+    let a = await loadDevice({sites: {'Site A': 'a.com', 'Site B': 'b.com'}, sites_custom: {'Custom': {domain: 'custom.com'}}});
+    let b = await loadDevice({}, {}, a.api);
+    // removed on a, changed on b later
+    await setLocal(a.api, {sites: {'Site A': 'a.com'}});
+    await a.sync.sync();
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await setLocal(b.api, {sites_custom: {'Custom': {domain: 'custom.com', allow_cookies: 1}}});
+    await b.sync.sync();
+    assert.deepStrictEqual(localData(b.api, 'sites'), {'Site A': 'a.com'});
+    await a.sync.sync();
+    assert.deepStrictEqual(localData(a.api, 'sites_custom'), {'Custom': {domain: 'custom.com', allow_cookies: 1}});
+    // tombstone of removed entry is synced
+    assert.ok(a.sync.state.sites.removed['Site B'] > 0);
+    assert.ok(b.sync.state.sites.removed['Site B'] > 0);
+  },
+
+  'chunks within item quota': async () => {
+    let sites_custom = {};
+    for (let i = 0; i < 400; i++)
+      sites_custom['Custom site ' + i] = {domain: 'custom' + i + '.example.org', block_regex: '\\.custom' + i + '\\.example\\.org\\/js\\/' + Math.random().toString(36), useragent: 'googlebot'};
+    let a = await loadDevice({sites_custom: sites_custom});
+    let meta = a.api.storage.sync.data.bpc_sync_meta;
+    assert.ok(meta.chunks > 1, 'chunks: ' + meta.chunks);
+    for (let i = 0; i < meta.chunks; i++) {
+      let key = 'bpc_sync_' + i;
+      assert.ok(key.length + JSON.stringify(a.api.storage.sync.data[key]).length <= 8192, key);
+    }
+    assert.ok(meta.bytes < JSON.stringify(sites_custom).length, 'compressed');
+    let b = await loadDevice({}, {}, a.api);
+    assert.deepStrictEqual(localData(b.api, 'sites_custom'), sites_custom);
+  },
+
+  'quota exceeded': async () => {
+    let a = await loadDevice({sites: {'Site A': 'a.com'}, sites_custom: {'Custom': {domain: 'custom.com'}}}, {quotaBytes: 100});
+    let status = localData(a.api, 'sync_status');
+    assert.ok(/quota exceeded/.test(status.error), status.error);
+    assert.strictEqual(a.api.storage.sync.data.bpc_sync_meta, undefined);
+    assert.deepStrictEqual(localData(a.api, 'sites'), {'Site A': 'a.com'});
+  },
+
+  'incomplete chunks': async () => {
+    let a = await loadDevice({sites: {'Site A': 'a.com'}});
+    a.api.storage.sync.data.bpc_sync_0 = a.api.storage.sync.data.bpc_sync_0.slice(1);
+    let b = await loadDevice({sites: {'Site C': 'c.com'}}, {}, a.api);
+    assert.ok(/incomplete/.test(localData(b.api, 'sync_status').error));
+    assert.deepStrictEqual(localData(b.api, 'sites'), {'Site C': 'c.com'});
+  },
+
+  'disabled device': async () => {
+    let a = await loadDevice({sync_enabled: false, sites: {'Site A': 'a.com'}});
+    assert.strictEqual(a.api.storage.sync.data.bpc_sync_meta, undefined);
+    await setLocal(a.api, {sync_enabled: true});
+    for (let i = 0; i < 100 && !a.api.storage.sync.data.bpc_sync_meta; i++)
+      await new Promise(resolve => setTimeout(resolve, 5));
+    assert.ok(a.api.storage.sync.data.bpc_sync_meta);
+  }
+};
+
+async function main() {
+  let failed = 0;
+  for (let name in tests) {
+    try {
+      await tests[name]();
+      console.log('ok   ' + name);
+    } catch (err) {
+      failed++;
+      console.log('FAIL ' + name);
+      console.log('  ' + (err.stack || String(err)));
+    }
+  }
+  let total = Object.keys(tests).length;
+  console.log(`\n${total - failed}/${total} tests passed`);
+  process.exit(failed ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+/**
+ * Split defaultSites (sites.js) into regional chunks for lazy loading (service worker)
+ * sites/sites-core.js: all sites as stub ({domain, group, nofix, include_paths, exclude_paths, chunk}) & code of sites.js,
+ *   full rules for sites needed at startup (general paywall-scripts, random ip, flex groups, changed in sites.js)
+ * sites/chunks/sites-<region>.js: full rules of region (self.loadedSiteChunks[region])
+ * sites/sites-manifest.js: chunk → {file, domains} (chunkLoader.init)
+ * Options pages (& manifest v2) keep using sites.js.
+ *
+ * Usage: node tools/build-chunks.js (run after changing sites.js, before tools/build-rulesets.js)
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const {regionNames, siteRegion} = require('./site-regions');
+
+const root = path.join(__dirname, '..');
+const header = '// Generated by tools/build-chunks.js from sites.js (do not edit)\n';
+
+function readFile(file) {
+  return fs.readFileSync(path.join(root, file), 'utf8');
+}
+
+// repo files use crlf
+function writeFile(file, text) {
+  fs.mkdirSync(path.dirname(path.join(root, file)), {recursive: true});
+  fs.writeFileSync(path.join(root, file), text.replace(/\r?\n/g, '\r\n'));
+}
+
+// javascript source of value (regex literals; sites from vm context, so no instanceof)
+function toSource(value, indent = '') {
+  if (Object.prototype.toString.call(value) === '[object RegExp]')
+    return value.toString();
+  if (Array.isArray(value)) {
+    if (value.every(x => typeof x !== 'object'))
+      return '[' + value.map(x => toSource(x)).join(', ') + ']';
+    return '[\n' + value.map(x => indent + '  ' + toSource(x, indent + '  ')).join(',\n') + '\n' + indent + ']';
+  }
+  if (value && typeof value === 'object') {
+    let keys = Object.keys(value);
+    if (!keys.length)
+      return '{}';
+    return '{\n' + keys.map(key => indent + '  ' + (key.match(/^[a-z_$][\w$]*$/i) ? key : JSON.stringify(key)) + ': ' + toSource(value[key], indent + '  ')).join(',\n') + '\n' + indent + '}';
+  }
+  return JSON.stringify(value);
+}
+
+function sitesSource(sites) {
+  return '{\n' + Object.keys(sites).map(title => '  ' + JSON.stringify(title) + ': ' + toSource(sites[title], '  ')).join(',\n') + '\n}';
+}
+
+function main() {
+  let sites_js = readFile('sites.js').replace(/\r\n/g, '\n');
+  let sites_end = sites_js.indexOf('\n}\n');
+  let sites_tail = sites_js.slice(sites_end + 3);
+  // sites as in sites.js, before code of sites.js (tail) changes them
+  let sites_raw = vm.runInContext(sites_js.slice(0, sites_end + 3) + 'defaultSites', vm.createContext({}));
+  let defaultSites = vm.runInContext(sites_js + 'defaultSites', vm.createContext({}));
+
+  // groups for flex sites (contentScript_once.js)
+  let flex_groups = (readFile('contentScript_once.js').match(/group = '[^']+'/g) || []).map(x => x.split("'")[1]);
+  // sites changed by code in sites.js
+  let tail_titles = (sites_tail.match(/defaultSites\['[^']+'\]/g) || []).map(x => x.split("'")[1]);
+
+  let core = {};
+  let chunks = {};
+  let manifest = {};
+  for (let title in sites_raw) {
+    let rule = Object.assign({}, defaultSites[title] || sites_raw[title]);
+    delete rule.group_rule; // expanded
+    let site_domain = rule.domain;
+    let full = !site_domain || site_domain.match(/^(###$|#options_)/) || rule.block_regex_general || rule.random_ip ||
+      flex_groups.includes(site_domain) || tail_titles.includes(title);
+    if (full) {
+      core[title] = tail_titles.includes(title) ? sites_raw[title] : rule;
+      continue;
+    }
+    let region = siteRegion(site_domain, rule.group ? rule.group[0] : site_domain);
+    let stub = {domain: site_domain};
+    if (rule.group)
+      stub.group = rule.group;
+    if (rule.nofix)
+      stub.nofix = rule.nofix;
+    // paths of site for isSiteEnabled (before chunk is loaded)
+    for (let key of ['include_paths', 'exclude_paths']) {
+      if (rule[key])
+        stub[key] = rule[key];
+    }
+    stub.chunk = region;
+    core[title] = stub;
+    chunks[region] = chunks[region] || {};
+    chunks[region][title] = rule;
+    manifest[region] = manifest[region] || {file: 'sites/chunks/sites-' + region + '.js', domains: []};
+    manifest[region].domains.push(...[site_domain].concat(rule.group || []));
+  }
+
+  let chunks_dir = path.join(root, 'sites', 'chunks');
+  if (fs.existsSync(chunks_dir)) {
+    for (let file of fs.readdirSync(chunks_dir).filter(file => file.match(/^sites-.+\.js$/)))
+      fs.unlinkSync(path.join(chunks_dir, file));
+  }
+  let chunk_names = regionNames.filter(region => chunks[region]);
+  for (let region of chunk_names)
+    writeFile(manifest[region].file, header + 'self.loadedSiteChunks = self.loadedSiteChunks || {};\n' +
+      'self.loadedSiteChunks[' + JSON.stringify(region) + '] = ' + sitesSource(chunks[region]) + ';\n');
+  writeFile('sites/sites-core.js', header + '// sites with chunk: rules loaded by chunkLoader\n' + 'var defaultSites = ' + sitesSource(core) + '\n' + sites_tail);
+  let manifest_sorted = {};
+  for (let region of chunk_names)
+    manifest_sorted[region] = manifest[region];
+  writeFile('sites/sites-manifest.js', header + 'var siteChunkManifest = ' + JSON.stringify(manifest_sorted, null, 2) + ';\n');
+
+  console.log(`sites-core: ${Object.keys(core).filter(title => !core[title].chunk).length} full, ${Object.keys(core).filter(title => core[title].chunk).length} stubs`);
+  for (let region of chunk_names)
+    console.log(`sites-${region}: ${Object.keys(chunks[region]).length} sites`);
+}
+
+main();
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+/**
+ * Build cs-sites/cs-sites-index.js from the site modules of contentScript.js (cs-sites/*.js)
+ * A site module registers itself: registerSiteModule({domains, detect, world, run(ctx)})
+ *   domains: sites of module (domain lists of groups in lib/cs-domains.js)
+ *   detect: selector of page for sites without module (custom sites of group), optional
+ *   world: 'MAIN' to run in page (manifest v3), optional
+ * runOnTab (background.js) injects contentScript.js with the module of the domain (most specific domain),
+ * or all detect modules when no module matches.
+ *
+ * Usage: node tools/build-cs-sites.js (run after adding or changing domains of a site module)
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const root = path.join(__dirname, '..');
+const modules_dir = 'cs-sites';
+const index_file = 'cs-sites/cs-sites-index.js';
+
+function readFile(file) {
+  return fs.readFileSync(path.join(root, file), 'utf8');
+}
+
+// repo files use crlf
+function writeFile(file, text) {
+  fs.writeFileSync(path.join(root, file), text.replace(/\r?\n/g, '\r\n'));
+}
+
+function main() {
+  let files = fs.readdirSync(path.join(root, modules_dir)).filter(file => file.endsWith('.js') && file !== path.basename(index_file)).sort();
+  let domains = {};
+  let detect = [];
+  let world = {};
+  let errors = [];
+  for (let file of files) {
+    let name = file.replace(/\.js$/, '');
+    let site_modules = [];
+    let context = vm.createContext({registerSiteModule: site_module => site_modules.push(site_module)});
+    vm.runInContext(readFile('lib/cs-domains.js'), context);
+    vm.runInContext(readFile(path.join(modules_dir, file)), context, {filename: file});
+    if (site_modules.length !== 1 || typeof site_modules[0].run !== 'function') {
+      errors.push(file + ': needs one registerSiteModule with run function');
+      continue;
+    }
+    let site_module = site_modules[0];
+    if (!site_module.domains && !site_module.detect) {
+      errors.push(file + ': needs domains or detect');
+      continue;
+    }
+    for (let domain of site_module.domains || []) {
+      // domain in more than one module: module named by domain
+      if (domains[domain] && domains[domain] !== name) {
+        console.log(`${domain}: in modules ${domains[domain]} & ${name}`);
+        if (domains[domain] === domain)
+          continue;
+      }
+      domains[domain] = name;
+    }
+    if (site_module.detect)
+      detect.push(name);
+    if (site_module.world && site_module.world !== 'ISOLATED')
+      world[name] = site_module.world;
+  }
+  if (errors.length) {
+    console.error(errors.join('\n'));
+    process.exit(1);
+  }
+  let domains_sorted = {};
+  for (let domain of Object.keys(domains).sort())
+    domains_sorted[domain] = domains[domain];
+  writeFile(index_file, '// Generated by tools/build-cs-sites.js from cs-sites/*.js (do not edit)\n' +
+    '// domain → site module, detect modules (sites without module), world of module (default ISOLATED)\n' +
+    'var csSitesIndex = ' + JSON.stringify({domains: domains_sorted, detect, world}, null, 2) + ';\n');
+  console.log(`site modules: ${files.length} (${Object.keys(domains).length} domains, ${detect.length} detect)`);
+}
+
+main();
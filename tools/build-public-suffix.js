@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+/**
+ * Build lib/public-suffix.js from the public suffix list (https://publicsuffix.org/list/public_suffix_list.dat)
+ * Rules are grouped by top-level domain (without tld, separated by ','), so hostnameMatcher only parses the rules of the tld in use.
+ * Top-level domains without other rules are left out (default rule *: every tld is a public suffix).
+ * Internationalized rules are converted to punycode (like location.hostname).
+ *
+ * Usage: node tools/build-public-suffix.js [public_suffix_list.dat]
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const url = require('url');
+
+const root = path.join(__dirname, '..');
+const psl_default = '/usr/share/publicsuffix/public_suffix_list.dat';
+
+// repo files use crlf
+function writeFile(file, text) {
+  fs.writeFileSync(path.join(root, file), text.replace(/\r?\n/g, '\r\n'));
+}
+
+// rule with punycode labels (keeps wildcard * & exception !)
+function asciiRule(rule) {
+  let exception = rule.startsWith('!');
+  let labels = rule.replace(/^!/, '').split('.').map(label => label === '*' ? label : url.domainToASCII(label));
+  if (labels.some(label => !label))
+    return '';
+  return (exception ? '!' : '') + labels.join('.');
+}
+
+function main() {
+  let file = process.argv[2] || psl_default;
+  let text = fs.readFileSync(file, 'utf8');
+  let version = (text.match(/^\/\/ VERSION: (.+)$/m) || [])[1] || '';
+  let rules = {};
+  let count = 0;
+  for (let line of text.split(/\r?\n/)) {
+    line = line.trim().split(/\s/)[0];
+    if (!line || line.startsWith('//'))
+      continue;
+    let rule = asciiRule(line.toLowerCase());
+    if (!rule) {
+      console.error('Rule skipped: ' + line);
+      continue;
+    }
+    let labels = rule.replace(/^!/, '').split('.');
+    let tld = labels.pop();
+    rules[tld] = rules[tld] || [];
+    if (labels.length) {
+      rules[tld].push((rule.startsWith('!') ? '!' : '') + labels.join('.'));
+      count++;
+    }
+  }
+  let tlds = Object.keys(rules).filter(tld => rules[tld].length).sort();
+  let lines = tlds.map(tld => '  ' + JSON.stringify(tld) + ': ' + JSON.stringify([...new Set(rules[tld])].join(',')));
+  writeFile('lib/public-suffix.js', '// Generated by tools/build-public-suffix.js from public_suffix_list.dat (do not edit)\n' +
+    '// Public suffix list (' + (version || 'https://publicsuffix.org/list/') + '), Mozilla Public License 2.0\n' +
+    '// top-level domain → rules below tld (! exception, * wildcard), other tlds by default rule *\n' +
+    'var publicSuffixRules = {\n' + lines.join(',\n') + '\n};\n');
+  console.log(`public suffix list: ${count} rules below ${tlds.length} of ${Object.keys(rules).length} tlds`);
+}
+
+main();
@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+/**
+ * Build static declarativeNetRequest rulesets from defaultSites (sites.js)
+ * Rules are compiled by background.js (set_rules with all default sites enabled, desktop user agent),
+ * one ruleset per region (tools/site-regions.js): rulesets/sites_<region>.json
+ * Writes rulesets/rulesets-index.js (domain → rule type → [ruleset, rule id, hash]) & rule_resources in manifest.json
+ * At runtime rules with the same hash are served by the (enabled) static ruleset, all others are session rules.
+ * Rules of general paywall-scripts & random ip stay session rules.
+ *
+ * Usage: node tools/build-rulesets.js (run after changing sites.js)
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const {createFakeExtApi} = require('../test/fake-ext-api');
+const {regionNames, siteRegion} = require('./site-regions');
+
+const root = path.join(__dirname, '..');
+const rulesets_dir = path.join(root, 'rulesets');
+const manifests = ['manifest.json', 'custom/manifest.json'];
+const user_agent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+const max_regex_rules = 1000;       // per ruleset
+const max_static_rules = 30000;     // GUARANTEED_MINIMUM_STATIC_RULES
+const max_enabled_rulesets = 10;    // MAX_NUMBER_OF_ENABLED_STATIC_RULESETS (Chrome 109)
+
+function readFile(file) {
+  return fs.readFileSync(path.join(root, file), 'utf8');
+}
+
+// repo files use crlf
+function writeFile(file, text) {
+  fs.writeFileSync(path.join(root, file), text.replace(/\r?\n/g, '\r\n'));
+}
+
+// background.js with fake extension api (all default sites enabled, no static rulesets)
+async function loadBackground() {
+  let manifest = JSON.parse(readFile('manifest.json'));
+  let sites_context = vm.createContext({});
+  vm.runInContext(readFile('sites.js'), sites_context);
+  let defaultSites = vm.runInContext('defaultSites', sites_context);
+  let sites = {};
+  for (let title in defaultSites) {
+    if (defaultSites[title].domain && !defaultSites[title].domain.match(/^(#options_|###$)/))
+      sites[title] = defaultSites[title].domain;
+  }
+  let api = createFakeExtApi({
+    manifest: manifest,
+    local: {
+      sites: sites,
+      sites_default: Object.keys(sites),
+      ext_version_old: manifest.version,
+      optIn: false,
+      optInUpdate: false
+    }
+  });
+  let noop = function () {};
+  let context = vm.createContext({
+    console: {log: noop, info: noop, warn: noop, debug: noop, error: console.error},
+    navigator: {userAgent: user_agent},
+    chrome: api.chrome,
+    URL, URLSearchParams, TextEncoder, TextDecoder, atob, btoa, structuredClone,
+    // no updated sites (sites_updated.json) or custom sites
+    fetch: () => Promise.reject(new Error('no fetch in build')),
+    performance: performance,
+    setTimeout: () => 0,
+    clearTimeout: noop,
+    setInterval: () => 0,
+    clearInterval: noop,
+    addEventListener: noop
+  });
+  context.self = context;
+  context.importScripts = (...files) => {
+    for (let file of files.filter(file => !file.startsWith('rulesets/')))
+      vm.runInContext(readFile(file), context, {filename: file});
+  };
+  vm.runInContext(readFile('background.js'), context, {filename: 'background.js'});
+  let start = Date.now();
+  while (!vm.runInContext('typeof enabledSites !== "undefined" && enabledSites.length > 0', context) && Date.now() - start < 5000)
+    await new Promise(resolve => setTimeout(resolve, 20));
+  // site chunks (all loaded without static rulesets)
+  await context.siteChunksPreloaded;
+  await context.dnrCompiler.pending;
+  return {context, defaultSites};
+}
+
+// domain → region
+function domainRegions(defaultSites) {
+  let regions = {};
+  for (let title in defaultSites) {
+    let site_domain = defaultSites[title].domain;
+    if (!site_domain || site_domain.match(/^(#options_|###$)/))
+      continue;
+    let group = defaultSites[title].group;
+    let domains = group ? ((typeof group === 'string') ? group.split(',').map(x => x.trim()) : group) : [site_domain];
+    for (let domain of domains)
+      regions[domain] = siteRegion(site_domain, domain);
+  }
+  return regions;
+}
+
+function updateManifest(file, rule_resources) {
+  let text = readFile(file).replace(/\r\n/g, '\n');
+  let block = '  "declarative_net_request": ' + JSON.stringify({rule_resources}, null, 2).replace(/\n/g, '\n  ') + ',\n';
+  let block_regex = /  "declarative_net_request": \{[\s\S]*?\n  \},\n/;
+  if (block_regex.test(text))
+    text = text.replace(block_regex, block);
+  else
+    text = text.replace(/  "description": /, block + '  "description": ');
+  writeFile(file, text);
+}
+
+async function main() {
+  let {context, defaultSites} = await loadBackground();
+  let compiler = context.dnrCompiler;
+  let regions = domainRegions(defaultSites);
+  let rulesets = {};
+  let index = {rulesets: [], rules: {}};
+  for (let [id, rule] of compiler.rules) {
+    let key = compiler.ruleKeys.get(id);
+    if (compiler.sessionOnly.has(id) || !regions[key.domain])
+      continue;
+    let rulesetId = 'sites_' + regions[key.domain];
+    (rulesets[rulesetId] = rulesets[rulesetId] || []).push(rule);
+    index.rules[key.domain] = index.rules[key.domain] || {};
+    index.rules[key.domain][key.type] = [rulesetId, id, compiler.ruleHash(rule)];
+  }
+  index.rulesets = regionNames.map(region => 'sites_' + region).filter(rulesetId => rulesets[rulesetId]);
+
+  let errors = [];
+  let total = 0;
+  for (let rulesetId of index.rulesets) {
+    let regex_rules = rulesets[rulesetId].filter(rule => rule.condition.regexFilter).length;
+    if (regex_rules > max_regex_rules)
+      errors.push(`${rulesetId}: ${regex_rules} regex rules (max. ${max_regex_rules})`);
+    total += rulesets[rulesetId].length;
+  }
+  if (total > max_static_rules)
+    errors.push(`${total} static rules (max. ${max_static_rules})`);
+  if (index.rulesets.length > max_enabled_rulesets)
+    errors.push(`${index.rulesets.length} rulesets (max. ${max_enabled_rulesets} enabled)`);
+  if (errors.length) {
+    console.error('Rulesets not built:\n' + errors.join('\n'));
+    process.exit(1);
+  }
+
+  fs.mkdirSync(rulesets_dir, {recursive: true});
+  for (let file of fs.readdirSync(rulesets_dir).filter(file => file.match(/^sites_.+\.json$/)))
+    fs.unlinkSync(path.join(rulesets_dir, file));
+  for (let rulesetId of index.rulesets)
+    writeFile('rulesets/' + rulesetId + '.json', JSON.stringify(rulesets[rulesetId], null, 2) + '\n');
+  writeFile('rulesets/rulesets-index.js', '// Generated by tools/build-rulesets.js (do not edit)\n' +
+    '// static rules: domain → rule type → [ruleset id, rule id, hash of rule]\n' +
+    'var staticRulesets = ' + JSON.stringify(index) + ';\n');
+
+  let rule_resources = index.rulesets.map(rulesetId => ({
+    id: rulesetId,
+    enabled: false,
+    path: 'rulesets/' + rulesetId + '.json'
+  }));
+  for (let file of manifests)
+    updateManifest(file, rule_resources);
+
+  for (let rulesetId of index.rulesets)
+    console.log(`${rulesetId}: ${rulesets[rulesetId].length} rules`);
+  console.log(`${total} static rules, ${compiler.rules.size - total} session rules`);
+}
+
+main();
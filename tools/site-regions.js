@@ -0,0 +1,34 @@
+/**
+ * Regions of default sites (for static rulesets & site chunks)
+ * Region of a site: country code of group (###_de_madsack) or country tld of domain, else global
+ */
+
+'use strict';
+
+var siteRegions = {
+  usa: ['usa', 'us'],
+  europe: ['at', 'be', 'bg', 'cat', 'ch', 'cz', 'de', 'dk', 'ee', 'es', 'eu', 'fi', 'fr', 'gr', 'hr', 'hu', 'ie', 'is', 'it', 'lt', 'lu', 'lv', 'nl', 'no', 'pl', 'pt', 'ro', 'rs', 'se', 'si', 'sk', 'ua', 'uk'],
+  india: ['in', 'economictimes', 'timesofindia'],
+  asia: ['ae', 'bd', 'cn', 'hk', 'id', 'il', 'jp', 'kr', 'lk', 'my', 'ph', 'pk', 'qa', 'sa', 'sg', 'th', 'tr', 'tw', 'vn'],
+  oceania: ['au', 'nz'],
+  americas: ['ar', 'br', 'ca', 'cl', 'mx', 'pe', 'uy', 've'],
+  africa: ['eg', 'gh', 'ke', 'ma', 'ng', 'tz', 'ug', 'za']
+};
+
+// all regions (global first)
+var regionNames = ['global'].concat(Object.keys(siteRegions));
+
+function regionOfCode(code) {
+  return Object.keys(siteRegions).find(region => siteRegions[region].includes(code)) || '';
+}
+
+// site_domain: domain of site (###_group for group), domain: (grouped) domain
+function siteRegion(site_domain, domain = site_domain) {
+  let group_match = site_domain.match(/^###_([^_]+)_/) || site_domain.match(/^###_([^_]+)$/);
+  let region = group_match ? regionOfCode(group_match[1]) : '';
+  if (!region && !domain.startsWith('###'))
+    region = regionOfCode(domain.split('.').pop());
+  return region || 'global';
+}
+
+module.exports = {siteRegions, regionNames, regionOfCode, siteRegion};